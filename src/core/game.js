@@ -4,12 +4,73 @@
 import { GameState } from './gameState.js';
 import { UIUpdater } from '../ui/uiUpdater.js';
 import { Tokenizer } from '../modules/tokenizer.js';
+import { IncrementalLexer } from '../modules/incrementalLexer.js';
+import { ManualRewardCalculator } from '../modules/manualReward.js';
+import { RuleWorkshop } from '../modules/ruleWorkshop.js';
+import { Parser, ParseError } from '../modules/parser.js';
+import { diffAST } from '../modules/astDiff.js';
+import { SemanticAnalyzer } from '../modules/semanticAnalyzer.js';
+import { TypeChecker } from '../modules/typeChecker.js';
+import { Interpreter } from '../modules/interpreter.js';
+import { CompileError } from '../modules/compilerFrontend.js';
+import { compileToBytecode } from '../modules/bytecodeCompiler.js';
+import { registerCount } from '../modules/registerAllocator.js';
+import { BytecodeVM } from '../modules/bytecodeVM.js';
+import { buildIR } from '../modules/irBuilder.js';
+import { compileToWasm, WasmCompileError } from '../modules/wasmBackend.js';
+import { runWasm } from '../modules/wasmRuntime.js';
+import { normalizeModuleName } from '../modules/workspace.js';
+import { preprocess, hasDirectives, mapTokens } from '../modules/preprocessor.js';
 import { StorageManager } from '../storage/storageManager.js';
 import { ASTVisualizer } from '../ui/astVisualizer.js';
+import { AutomatonVisualizer } from '../ui/automatonVisualizer.js';
+import { ASTDiffView } from '../ui/astDiffView.js';
+import { SymbolTableView } from '../ui/symbolTableView.js';
+import { ConsoleView } from '../ui/consoleView.js';
+import { TargetCodeView } from '../ui/targetCodeView.js';
+import { VMProfileView } from '../ui/vmProfileView.js';
+import { OptimizationPassView } from '../ui/optimizationPassView.js';
+import { CFGVisualizer } from '../ui/cfgVisualizer.js';
+import { RegisterPuzzleView } from '../ui/registerPuzzleView.js';
+import { PeepholeView } from '../ui/peepholeView.js';
+import { WorkspaceView } from '../ui/workspaceView.js';
+import { LinkerView } from '../ui/linkerView.js';
+import { PreprocessorView } from '../ui/preprocessorView.js';
+import { TokenStreamView } from '../ui/tokenStreamView.js';
+import { CodeEditor } from '../ui/codeEditor.js';
+import { DiagnosticsPanel } from '../ui/diagnosticsPanel.js';
+import { RuleWorkshopView } from '../ui/ruleWorkshopView.js';
 import { PerformanceChart } from '../ui/performanceChart.js';
 import { initializeTabs, switchToTab, toggleTabVisibility } from '../ui/tabManager.js';
 import { initializeDevTools, exposeDevToolsGlobally } from '../ui/devTools.js';
-import { UPGRADE_DATA } from '../utils/constants.js';
+import { UPGRADE_DATA, MANUAL_REWARD, WORKSHOP_CONFIG, SEMANTIC_REWARD, RUN_REWARD, DEPLOYMENT_SCORE, LINKER, PREPROCESSOR } from '../utils/constants.js';
+import { countASTNodes, findNodeAtOffset } from '../utils/astUtils.js';
+import { formatNumber } from '../utils/formatters.js';
+
+// 基准测试把输入代码重复到至少这么多字符
+const BENCHMARK_INPUT_SIZE = 200000;
+
+// 输入停止多久后实时更新令牌流（毫秒）
+const LIVE_LEX_DELAY = 150;
+
+/**
+ * 不计注释的令牌数（宏展开前后对比使用）
+ * @param {Array} tokens - 令牌数组
+ * @returns {number}
+ */
+function countCodeTokens(tokens) {
+    return tokens.filter(token => token.type !== 'COMMENT').length;
+}
+
+/**
+ * 词法诊断中的第一个错误（未闭合的字符串、括号不匹配等），说明中带上位置
+ * @param {Array} diagnostics - Tokenizer.getDiagnostics() 的返回值
+ * @returns {Object|null} 诊断，message 为 "词法错误: …"
+ */
+function findLexicalError(diagnostics) {
+    const error = diagnostics.find(diagnostic => diagnostic.severity === 'error');
+    return error ? { ...error, message: `词法错误: ${error.message} (第${error.line}行, 第${error.column}列)` } : null;
+}
 
 /**
  * 游戏主控制器类
@@ -19,12 +80,45 @@ export class Game {
         // 状态和逻辑模块
         this.state = new GameState();
         this.tokenizer = new Tokenizer();
+        this.incrementalLexer = new IncrementalLexer(this.tokenizer);
+        this.manualReward = new ManualRewardCalculator(this.tokenizer);
+        this.ruleWorkshop = new RuleWorkshop();
+        this.parser = new Parser();
+        this.semanticAnalyzer = new SemanticAnalyzer();
+        this.typeChecker = new TypeChecker();
+        this.interpreter = new Interpreter();
+        this.bytecodeVM = new BytecodeVM();
+        this.lastAST = null;
+        // 生成 lastAST 时的源码，编辑器内容改变后 AST 与源码不再联动
+        this.lastASTSource = null;
+        // 结构差异的对比版本: 玩家固定的基准，否则为上一次编译 ({ ast, source })
+        this.astBaseline = null;
+        this.previousCompilation = null;
+        this.selectingASTSource = false;
         this.storage = new StorageManager(this.state);
 
         // UI模块 - 在init中创建以确保DOM已加载
         this.UI = new UIUpdater();
         this.astVisualizer = null;
+        this.automatonVisualizer = null;
         this.performanceChart = null;
+        this.codeEditor = null;
+        this.tokenStreamView = null;
+        this.diagnosticsPanel = null;
+        this.consoleView = null;
+        this.targetCodeView = null;
+        this.vmProfileView = null;
+        this.optimizationPassView = null;
+        this.cfgVisualizer = null;
+        this.registerPuzzleView = null;
+        this.peepholeView = null;
+        this.workspaceView = null;
+        this.linkerView = null;
+        this.preprocessorView = null;
+        this.lastDiagnostics = [];
+        this.ruleWorkshopView = null;
+        this.workshopTimer = null;
+        this.liveLexTimer = null;
 
         // 游戏循环
         this.gameLoop = null;
@@ -46,6 +140,12 @@ export class Game {
         // 初始化UI组件
         this.initializeUI();
 
+        // 恢复存档中的工作区文件
+        this.restoreWorkspace();
+
+        // 恢复存档中的词法分析语言
+        this.setLexerLanguage(this.state.languages.current);
+
         // 初始化事件监听器
         this.initializeEventListeners();
 
@@ -72,8 +172,62 @@ export class Game {
         // 初始化图表组件
         this.performanceChart = new PerformanceChart('performance-chart');
         
-        // 初始化AST可视化
-        this.astVisualizer = new ASTVisualizer('ast-visualization');
+        // 初始化AST可视化（悬停高亮源码，点击选中源码）
+        this.astVisualizer = new ASTVisualizer('ast-visualization', {
+            onHover: (node) => this.highlightASTSource(node),
+            onSelect: (node) => this.selectASTSource(node)
+        });
+
+        this.astDiffView = new ASTDiffView('ast-diff');
+        this.symbolTableView = new SymbolTableView('symbol-table', (node) => this.selectASTSource(node));
+
+        // 初始化词法规则自动机可视化
+        this.automatonVisualizer = new AutomatonVisualizer('automaton-visualizer');
+
+        // 初始化代码编辑器和令牌流
+        this.codeEditor = new CodeEditor('code-input');
+        this.tokenStreamView = new TokenStreamView('token-stream');
+        this.diagnosticsPanel = new DiagnosticsPanel('lexer-diagnostics', (diagnostic) => {
+            this.codeEditor.jumpTo(diagnostic.from, diagnostic.to);
+        });
+        this.consoleView = new ConsoleView('run-console', (error) => {
+            this.codeEditor.jumpTo(error.position, error.end);
+        });
+        this.targetCodeView = new TargetCodeView('target-code', (error) => {
+            switchToTab('lexer');
+            this.codeEditor.jumpTo(error.position, error.end);
+        });
+        this.vmProfileView = new VMProfileView('vm-profile');
+        this.optimizationPassView = new OptimizationPassView('optimization-passes');
+        this.cfgVisualizer = new CFGVisualizer('cfg-visualizer');
+        this.registerPuzzleView = new RegisterPuzzleView('register-puzzle', (puzzle) => this.submitRegisterPuzzle(puzzle));
+        this.peepholeView = new PeepholeView('peephole-optimizer', {
+            onAdd: (text) => this.updatePeepholeRules((peephole, slots) => peephole.addRule(text, slots)),
+            onToggle: (id) => this.updatePeepholeRules((peephole, slots) => peephole.toggleRule(id, slots)),
+            onMove: (id, offset) => this.updatePeepholeRules((peephole) => peephole.moveRule(id, offset)),
+            onRemove: (id) => this.updatePeepholeRules((peephole) => peephole.removeRule(id))
+        });
+        this.renderPeepholeRules();
+
+        // 初始化工作区文件标签和链接器
+        this.workspaceView = new WorkspaceView('workspace-files', {
+            onSelect: (name) => this.openWorkspaceFile(name),
+            onCreate: (name) => this.createWorkspaceFile(name),
+            onRemove: (name) => this.removeWorkspaceFile(name)
+        });
+        this.linkerView = new LinkerView('linker-report', (error) => {
+            if (!this.openWorkspaceFile(error.module)) return;
+            switchToTab('lexer');
+            this.codeEditor.jumpTo(error.from, error.to);
+        });
+
+        // 初始化预处理器视图（展开前后对照）
+        this.preprocessorView = new PreprocessorView('preprocessor-view', (diagnostic) => {
+            this.codeEditor.jumpTo(diagnostic.from, diagnostic.to);
+        });
+
+        // 初始化规则工坊
+        this.ruleWorkshopView = new RuleWorkshopView();
 
         // 更新版本显示
         this.UI.updateVersionDisplay('v0.8.0');
@@ -91,6 +245,64 @@ export class Game {
             lexerBtn.addEventListener('click', () => this.runLexicalAnalysis());
         }
 
+        // 运行按钮
+        const runBtn = document.getElementById('run-code-btn');
+        if (runBtn) {
+            runBtn.addEventListener('click', () => this.runProgram());
+        }
+
+        // 编译按钮
+        const compileBtn = document.getElementById('compile-code-btn');
+        if (compileBtn) {
+            compileBtn.addEventListener('click', () => this.compileProgram());
+        }
+
+        // 链接按钮
+        const linkBtn = document.getElementById('link-workspace-btn');
+        if (linkBtn) {
+            linkBtn.addEventListener('click', () => this.linkWorkspace());
+        }
+
+        // 部署运行按钮
+        const deployBtn = document.getElementById('deploy-program-btn');
+        if (deployBtn) {
+            deployBtn.addEventListener('click', () => this.deployProgram());
+        }
+
+        // 输入时实时更新令牌流和编辑器着色，并把内容写回工作区的当前文件
+        if (this.codeEditor) {
+            this.state.workspace.update(this.codeEditor.getValue());
+            this.codeEditor.onChange(() => {
+                this.state.workspace.update(this.codeEditor.getValue());
+                this.scheduleLiveLex();
+            });
+            this.codeEditor.onCursorMove((offset) => this.selectASTNodeAt(offset));
+        }
+
+        // 编辑器在隐藏的标签页中创建，切换到词法分析页后需要重新测量布局
+        const lexerTabBtn = document.querySelector('.tab-btn[data-tab="lexer"]');
+        if (lexerTabBtn) {
+            lexerTabBtn.addEventListener('click', () => this.codeEditor && this.codeEditor.refresh());
+        }
+
+        // 词法分析基准测试按钮
+        const benchmarkBtn = document.getElementById('lexer-benchmark-btn');
+        if (benchmarkBtn) {
+            benchmarkBtn.addEventListener('click', () => this.runLexerBenchmark());
+        }
+
+        // 规则工坊预览代码
+        const workshopPreview = document.getElementById('workshop-preview-input');
+        if (workshopPreview) {
+            workshopPreview.addEventListener('input', () => this.scheduleWorkshopRefresh());
+        }
+
+        // 词法分析语言选择
+        const languageSelect = document.getElementById('lexer-language');
+        if (languageSelect) {
+            languageSelect.addEventListener('change', (event) => this.setLexerLanguage(event.target.value));
+        }
+
         // 威望按钮
         const prestigeBtn = document.getElementById('prestige-btn');
         if (prestigeBtn) {
@@ -148,11 +360,6 @@ export class Game {
         if (this.performanceChart) {
             this.performanceChart.updateChart(this.state);
         }
-
-        // 更新AST可视化
-        if (this.astVisualizer) {
-            this.astVisualizer.updateVisualization(this.state);
-        }
     }
 
     /**
@@ -231,50 +438,1064 @@ export class Game {
      * 执行词法分析
      */
     runLexicalAnalysis() {
-        const codeInput = document.getElementById('code-input');
-        const tokenStream = document.getElementById('token-stream');
-        
-        if (!codeInput || !tokenStream) {
+        if (!this.codeEditor || !this.tokenStreamView) {
             console.error('词法分析UI元素未找到');
             return;
         }
 
-        const code = codeInput.value.trim();
-        if (!code) {
-            tokenStream.innerHTML = '<p class="text-gray-400">请输入代码</p>';
+        // 按钮触发时立即分析，取消等待中的实时更新
+        clearTimeout(this.liveLexTimer);
+
+        if (!this.codeEditor.getValue().trim()) {
+            this.tokenStreamView.showMessage('请输入代码');
             return;
         }
 
-        // 执行词法分析
-        const tokens = this.tokenizer.tokenize(code);
-        
-        // 清空之前的结果
-        tokenStream.innerHTML = '';
-        
-        // 显示token
-        tokens.forEach((token, index) => {
-            const tokenElement = document.createElement('span');
-            tokenElement.className = `token token-${token.type}`;
-            tokenElement.textContent = token.value;
-            tokenElement.title = `${token.type} at line ${token.line}, column ${token.column}`;
-            tokenStream.appendChild(tokenElement);
-
-            // 添加延迟动画
-            setTimeout(() => {
-                tokenElement.style.opacity = '1';
-                tokenElement.style.transform = 'translateY(0)';
-            }, index * 50);
-        });
+        // 执行词法分析（复用实时分析已得到的令牌），有预处理指令时再展开宏
+        const { tokens, sourceTokens, diagnostics, preprocessing } = this.preprocessEditorCode();
+        this.tokenStreamView.render(sourceTokens, true);
 
-        // 获取手动加成
+        // 基础奖励（复杂度 × 多样性 × 有效性 × 重复递减），再叠加手动加成、语言倍率和宏展开倍率
+        const reward = this.manualReward.calculate(sourceTokens, diagnostics, this.state.recentInputs);
         const manualMultiplier = this.getManualTokenMultiplier();
-        const tokensGained = new Decimal(tokens.length).mul(manualMultiplier);
-        
+        const languageMultiplier = this.state.getLanguageMultiplier();
+        const workshopMultiplier = this.getWorkshopMultiplier();
+        const macroMultiplier = preprocessing ? this.getMacroMultiplier(sourceTokens, tokens) : 1;
+        const tokensGained = new Decimal(reward.base)
+            .mul(manualMultiplier)
+            .mul(languageMultiplier)
+            .mul(workshopMultiplier)
+            .mul(macroMultiplier);
+
+        this.tokenStreamView.appendSummary(this.createRewardSummary(reward, {
+            manual: manualMultiplier,
+            language: languageMultiplier,
+            workshop: workshopMultiplier,
+            macro: macroMultiplier
+        }, tokensGained));
+
+        // 记录本次提交的指纹
+        this.state.recentInputs.push(reward.fingerprint);
+        if (this.state.recentInputs.length > MANUAL_REWARD.historySize) {
+            this.state.recentInputs.splice(0, this.state.recentInputs.length - MANUAL_REWARD.historySize);
+        }
+
         // 添加tokens
         this.state.resources.tokens = this.state.resources.tokens.add(tokensGained);
         this.state.stats.clickCount++;
 
         console.log(`词法分析完成，获得 ${tokensGained.toString()} tokens`);
+
+        // 语法分析：根据实际构建的 AST 奖励节点（目前只有 JavaScript 语法分析器）
+        if (this.tokenizer.language.parser === 'javascript') {
+            this.runSyntaxAnalysis(tokens, reward);
+        } else {
+            const summary = document.createElement('p');
+            summary.className = 'parse-summary text-xs mt-2 text-gray-400';
+            summary.textContent = `ℹ️ ${this.tokenizer.language.name} 暂无语法分析器，仅产生 Tokens`;
+            this.tokenStreamView.appendSummary(summary);
+        }
+    }
+
+    /**
+     * 输入后等待片刻再实时更新令牌流，连续输入时只分析最后一次
+     */
+    scheduleLiveLex() {
+        clearTimeout(this.liveLexTimer);
+        this.liveLexTimer = setTimeout(() => this.runLiveLex(), LIVE_LEX_DELAY);
+    }
+
+    /**
+     * 增量分析当前输入并更新令牌流，不产生资源
+     */
+    runLiveLex() {
+        if (!this.codeEditor || !this.tokenStreamView) return;
+
+        const result = this.lexEditorCode();
+        if (!this.codeEditor.getValue().trim()) {
+            this.tokenStreamView.showMessage('请输入代码');
+        } else {
+            this.tokenStreamView.update(result);
+        }
+    }
+
+    /**
+     * 增量分析编辑器中的代码，并同步编辑器的着色、括号匹配、错误下划线和诊断面板
+     * @returns {Object} IncrementalLexer.update() 的返回值，另加 diagnostics
+     * @private
+     */
+    lexEditorCode() {
+        const result = this.incrementalLexer.update(this.codeEditor.getValue());
+        const validation = this.tokenizer.validateTokens(result.tokens);
+        const diagnostics = this.tokenizer.getDiagnostics(result.tokens, validation);
+
+        this.codeEditor.highlight(result);
+        this.codeEditor.setBrackets(validation.brackets);
+        this.showDiagnostics(diagnostics);
+        return { ...result, diagnostics };
+    }
+
+    /**
+     * 词法分析编辑器中的代码，语言支持预处理且源码中有指令时先展开宏，再对展开后的代码做词法分析；
+     * 令牌的位置映射回编辑器中的源码，预处理诊断追加到诊断面板
+     * @returns {Object} { tokens: 展开后的令牌, sourceTokens: 展开前的令牌, diagnostics,
+     *          preprocessing: preprocess() 的返回值（没有预处理时为 null）,
+     *          sourceError: 第一个词法或预处理错误，没有时为 null；有错误的代码不能运行、编译或部署 }
+     * @private
+     */
+    preprocessEditorCode() {
+        const { tokens, diagnostics } = this.lexEditorCode();
+        const source = this.codeEditor.getValue();
+        if (!this.tokenizer.language.preprocessor || !hasDirectives(source)) {
+            if (this.preprocessorView) this.preprocessorView.reset();
+            return { tokens, sourceTokens: tokens, diagnostics, preprocessing: null, sourceError: findLexicalError(diagnostics) };
+        }
+
+        const preprocessing = this.preprocessSource(source, this.state.workspace.active);
+        const expanded = mapTokens(this.tokenizer.tokenize(preprocessing.output), preprocessing);
+        const allDiagnostics = [...diagnostics, ...preprocessing.diagnostics];
+        this.showDiagnostics(allDiagnostics);
+        if (this.preprocessorView) {
+            this.preprocessorView.render(preprocessing, {
+                sourceTokens: countCodeTokens(tokens),
+                expandedTokens: countCodeTokens(expanded)
+            });
+        }
+        return {
+            tokens: expanded,
+            sourceTokens: tokens,
+            diagnostics: allDiagnostics,
+            preprocessing,
+            sourceError: findLexicalError(diagnostics) ||
+                preprocessing.diagnostics.find(diagnostic => diagnostic.severity === 'error') || null
+        };
+    }
+
+    /**
+     * 预处理一个文件，#include "文件" 从工作区中查找（math.js 也可以写作 math）
+     * @param {string} source - 源码
+     * @param {string} fileName - 文件名
+     * @returns {Object} preprocess() 的返回值
+     * @private
+     */
+    preprocessSource(source, fileName) {
+        const workspace = this.state.workspace;
+        return preprocess(source, {
+            fileName,
+            resolveInclude: (name) => {
+                const file = workspace.getFile(name) || workspace.getFile(normalizeModuleName(name));
+                return file ? file.source : null;
+            }
+        });
+    }
+
+    /**
+     * 宏展开倍率：展开后比展开前多出的 Token 按宏展开器的等级计入手动收益
+     * @param {Array} sourceTokens - 展开前的令牌
+     * @param {Array} expandedTokens - 展开后的令牌
+     * @returns {number} 倍率 (1 ~ PREPROCESSOR.maxMultiplier)
+     */
+    getMacroMultiplier(sourceTokens, expandedTokens) {
+        const level = this.state.upgrades['macro-expander'] || 0;
+        const sourceCount = countCodeTokens(sourceTokens);
+        if (level === 0 || sourceCount === 0) return 1;
+
+        const share = Math.min(1, UPGRADE_DATA['macro-expander'].baseOutput.mul(level).toNumber());
+        const extra = Math.max(0, countCodeTokens(expandedTokens) / sourceCount - 1);
+        return Math.min(PREPROCESSOR.maxMultiplier, 1 + extra * share);
+    }
+
+    /**
+     * 在编辑器（下划线）和诊断面板中显示诊断
+     * @param {Array} diagnostics - 诊断列表
+     */
+    showDiagnostics(diagnostics) {
+        this.lastDiagnostics = diagnostics;
+        this.codeEditor.setDiagnostics(diagnostics);
+        if (this.diagnosticsPanel) {
+            this.diagnosticsPanel.render(diagnostics);
+        }
+    }
+
+    /**
+     * 创建手动奖励明细
+     * @param {Object} reward - ManualRewardCalculator.calculate() 的返回值
+     * @param {Object} multipliers - { manual: 手动加成 (Decimal), language: 语言倍率, workshop: 规则工坊倍率, macro: 宏展开倍率 }
+     * @param {Decimal} tokensGained - 最终获得的 Tokens
+     * @returns {HTMLElement} 明细元素
+     * @private
+     */
+    createRewardSummary(reward, multipliers, tokensGained) {
+        const rows = [
+            ['复杂度', reward.complexity.toString(), ''],
+            ['多样性', `x${reward.diversity.toFixed(2)}`, ''],
+            ['有效性', `x${reward.validity.toFixed(2)}`, reward.validity < 1 ? 'text-yellow-400' : ''],
+            [
+                reward.repeats > 0
+                    ? `重复提交 (${reward.repeats.toFixed(1)} 次，最相似 ${(reward.similarity * 100).toFixed(0)}%)`
+                    : '重复提交',
+                `x${reward.repetition.toFixed(2)}`,
+                reward.repetition < 1 ? 'text-yellow-400' : ''
+            ],
+            ['手动加成', `x${formatNumber(multipliers.manual)}`, ''],
+            ['语言倍率', `x${multipliers.language}`, ''],
+            ['规则工坊', `x${multipliers.workshop.toFixed(2)}`, ''],
+            ['宏展开', `x${multipliers.macro.toFixed(2)}`, multipliers.macro > 1 ? 'text-green-400' : '']
+        ];
+
+        const summary = document.createElement('div');
+        summary.className = 'reward-summary text-xs mt-2 font-mono';
+        summary.innerHTML = `
+            ${rows.map(([label, value, className]) => `
+                <div class="flex justify-between ${className}">
+                    <span class="text-gray-400">${label}</span><span>${value}</span>
+                </div>
+            `).join('')}
+            <div class="flex justify-between border-t border-gray-600 mt-1 pt-1 text-green-400">
+                <span>获得 Tokens</span><span>+${formatNumber(tokensGained)}</span>
+            </div>
+        `;
+        return summary;
+    }
+
+    /**
+     * 切换词法分析语言
+     * 如果编辑器里还是上一种语言的示例代码，则替换为新语言的示例
+     * @param {string} languageId - 语言 id
+     */
+    setLexerLanguage(languageId) {
+        if (!this.state.languages.unlocked.includes(languageId)) {
+            console.log(`语言尚未解锁: ${languageId}`);
+            return;
+        }
+
+        const previous = this.tokenizer.language;
+        if (!this.tokenizer.setLanguage(languageId)) return;
+        this.state.languages.current = languageId;
+
+        if (this.codeEditor) {
+            const code = this.codeEditor.getValue().trim();
+            if (!code || code === previous.sample.trim()) {
+                this.codeEditor.setValue(this.tokenizer.language.sample);
+            }
+        }
+
+        this.scheduleLiveLex();
+        this.loadWorkshop(previous);
+        if (this.automatonVisualizer) {
+            this.automatonVisualizer.setRules(this.tokenizer.rules, this.tokenizer.language.sample);
+        }
+        console.log(`词法分析语言切换为: ${this.tokenizer.language.name}`);
+    }
+
+    /**
+     * 把工作区的当前文件恢复到编辑器中，并显示文件标签
+     * @private
+     */
+    restoreWorkspace() {
+        const file = this.state.workspace.getActive();
+        if (this.codeEditor && file.source) {
+            this.codeEditor.setValue(file.source);
+        }
+        if (this.workspaceView) {
+            this.workspaceView.render(this.state.workspace);
+        }
+    }
+
+    /**
+     * 在编辑器中打开工作区中的文件
+     * @param {string} name - 文件名
+     * @returns {boolean} 文件是否存在
+     */
+    openWorkspaceFile(name) {
+        const workspace = this.state.workspace;
+        if (name === workspace.active) return true;
+        if (!workspace.select(name)) return false;
+
+        this.codeEditor.setValue(workspace.getActive().source);
+        this.workspaceView.render(workspace);
+        return true;
+    }
+
+    /**
+     * 新建一个空文件并在编辑器中打开
+     * @param {string} name - 文件名
+     * @returns {Object} Workspace.create() 的返回值
+     */
+    createWorkspaceFile(name) {
+        const result = this.state.workspace.create(name);
+        if (result.ok) {
+            this.codeEditor.setValue('');
+            this.workspaceView.render(this.state.workspace);
+        }
+        return result;
+    }
+
+    /**
+     * 删除工作区中的文件，有内容时先确认
+     * @param {string} name - 文件名
+     */
+    removeWorkspaceFile(name) {
+        const workspace = this.state.workspace;
+        const file = workspace.getFile(name);
+        if (!file || (file.source.trim() && !confirm(`确定要删除 ${name} 吗？文件内容不可恢复`))) return;
+
+        const active = workspace.active;
+        if (!workspace.remove(name)) return;
+        if (workspace.active !== active) {
+            this.codeEditor.setValue(workspace.getActive().source);
+        }
+        this.workspaceView.render(workspace);
+    }
+
+    /**
+     * 规则工坊切换到当前语言的规则集
+     * @param {Object} previous - 切换前的语言包（预览代码还是它的示例时替换为新语言的示例）
+     * @private
+     */
+    loadWorkshop(previous) {
+        if (!this.ruleWorkshopView) return;
+
+        const languageId = this.state.languages.current;
+        if (!this.state.workshop.rules[languageId]) {
+            this.state.workshop.rules[languageId] = RuleWorkshop.createStarterRules();
+        }
+        this.ruleWorkshop.load(languageId, this.state.workshop.rules[languageId]);
+
+        const preview = this.ruleWorkshopView.getPreviewCode().trim();
+        if (!preview || preview === previous.sample.trim()) {
+            this.ruleWorkshopView.setPreviewCode(this.tokenizer.language.sample);
+        }
+
+        this.ruleWorkshopView.setLanguage(this.tokenizer.language.name);
+        this.refreshWorkshop(true);
+    }
+
+    /**
+     * 在规则工坊末尾添加一条规则
+     */
+    addWorkshopRule() {
+        if (!this.ruleWorkshop.addRule()) {
+            console.log(`规则数量已达上限 (${WORKSHOP_CONFIG.maxRules})`);
+            return;
+        }
+        this.refreshWorkshop(true);
+    }
+
+    /**
+     * 修改规则工坊中的规则
+     * @param {number} id - 规则 id
+     * @param {string} field - 'type' | 'pattern'
+     * @param {string} value - 新值
+     */
+    updateWorkshopRule(id, field, value) {
+        if (!this.ruleWorkshop.updateRule(id, { [field]: value })) return;
+        this.scheduleWorkshopRefresh();
+    }
+
+    /**
+     * 调整规则顺序
+     * @param {number} id - 规则 id
+     * @param {number} offset - -1 上移，1 下移
+     */
+    moveWorkshopRule(id, offset) {
+        if (this.ruleWorkshop.moveRule(id, offset)) {
+            this.refreshWorkshop(true);
+        }
+    }
+
+    /**
+     * 删除规则
+     * @param {number} id - 规则 id
+     */
+    removeWorkshopRule(id) {
+        if (this.ruleWorkshop.removeRule(id)) {
+            this.refreshWorkshop(true);
+        }
+    }
+
+    /**
+     * 把当前语言的规则恢复为初始规则（最高评分保留）
+     */
+    resetWorkshopRules() {
+        const rules = this.state.workshop.rules[this.state.languages.current];
+        rules.splice(0, rules.length, ...RuleWorkshop.createStarterRules());
+        this.refreshWorkshop(true);
+    }
+
+    /**
+     * 编辑后等待片刻再重新评估，连续输入时只评估最后一次
+     */
+    scheduleWorkshopRefresh() {
+        clearTimeout(this.workshopTimer);
+        this.workshopTimer = setTimeout(() => this.refreshWorkshop(false), LIVE_LEX_DELAY);
+    }
+
+    /**
+     * 评估当前规则集，刷新最高评分并更新界面
+     * @param {boolean} renderRules - 是否重绘规则列表（编辑正则时为 false，保持输入框焦点）
+     */
+    refreshWorkshop(renderRules) {
+        if (!this.ruleWorkshopView) return;
+
+        clearTimeout(this.workshopTimer);
+        const languageId = this.state.languages.current;
+        const result = this.ruleWorkshop.evaluate(this.ruleWorkshopView.getPreviewCode());
+
+        const bestScores = this.state.workshop.bestScores;
+        if (result.score > (bestScores[languageId] || 0)) {
+            bestScores[languageId] = result.score;
+            console.log(`规则工坊新纪录: ${this.tokenizer.language.name} ${(result.score * 100).toFixed(1)}%`);
+        }
+
+        if (renderRules) {
+            this.ruleWorkshopView.renderRules(this.ruleWorkshop.rules);
+        }
+        this.ruleWorkshopView.render(result, this.ruleWorkshop.rules, bestScores[languageId] || 0, this.getWorkshopMultiplier());
+    }
+
+    /**
+     * 当前语言规则集最高评分带来的手动 Token 收益倍率
+     * @returns {number} 倍率 (1 ~ 1 + WORKSHOP_CONFIG.maxBonus)
+     */
+    getWorkshopMultiplier() {
+        const bestScore = this.state.workshop.bestScores[this.state.languages.current] || 0;
+        return 1 + WORKSHOP_CONFIG.maxBonus * bestScore;
+    }
+
+    /**
+     * 解锁词法分析语言，成功后立即切换
+     * @param {string} languageId - 语言 id
+     */
+    unlockLanguage(languageId) {
+        const success = this.state.unlockLanguage(languageId);
+        if (success) {
+            this.setLexerLanguage(languageId);
+        } else {
+            console.log(`无法解锁语言: ${languageId}`);
+        }
+    }
+
+    /**
+     * 词法分析基准测试：把输入代码放大到约 200KB 后测量每秒令牌数，不产生资源
+     */
+    runLexerBenchmark() {
+        const result = document.getElementById('lexer-benchmark-result');
+        if (!this.codeEditor || !result) return;
+
+        const code = this.codeEditor.getValue().trim();
+        if (!code) {
+            result.textContent = '请输入代码';
+            return;
+        }
+
+        const copies = Math.ceil(BENCHMARK_INPUT_SIZE / (code.length + 1));
+        const input = new Array(copies).fill(code).join('\n');
+        const stats = this.tokenizer.benchmark(input);
+
+        result.textContent = `⏱️ ${this.tokenizer.language.name}: ` +
+            `${formatNumber(stats.tokensPerSecond)} tokens/秒, ` +
+            `${formatNumber(stats.charsPerSecond / 1024)} KB/秒 ` +
+            `(${formatNumber(input.length / 1024)} KB × ${stats.runs} 次, ${stats.milliseconds}ms)`;
+        console.log('词法分析基准测试:', stats);
+    }
+
+    /**
+     * 用解释器运行编辑器中的代码，输出显示在控制台面板
+     * 成功运行的程序按执行步数和输出行数奖励 Tokens，未捕获的异常显示为 RuntimeError 诊断
+     */
+    runProgram() {
+        if (!this.codeEditor || !this.consoleView) {
+            console.error('运行所需的UI元素未找到');
+            return;
+        }
+
+        clearTimeout(this.liveLexTimer);
+        if (!this.codeEditor.getValue().trim()) {
+            this.consoleView.showMessage('请输入代码');
+            return;
+        }
+        if (this.tokenizer.language.parser !== 'javascript') {
+            this.consoleView.showMessage(`ℹ️ ${this.tokenizer.language.name} 暂无解释器，目前只能运行 JavaScript`);
+            return;
+        }
+
+        const { tokens, diagnostics, sourceError } = this.preprocessEditorCode();
+        if (sourceError) {
+            this.consoleView.showMessage(`❌ ${sourceError.message}`);
+            return;
+        }
+        let ast;
+        try {
+            ast = this.parser.parse(tokens);
+        } catch (error) {
+            if (!(error instanceof ParseError)) {
+                throw error;
+            }
+            this.consoleView.showMessage(`❌ 语法错误: ${error.message}`);
+            return;
+        }
+
+        const result = this.interpreter.run(ast);
+        let summary = null;
+        if (result.ok) {
+            summary = this.rewardProgramRun(tokens, result.stats);
+        } else {
+            this.showDiagnostics([...diagnostics, {
+                severity: 'error',
+                type: 'RuntimeError',
+                message: `运行时错误: ${result.error.description}`,
+                line: result.error.line,
+                column: result.error.column,
+                from: result.error.position,
+                to: result.error.end
+            }]);
+            console.log(`程序运行失败: ${result.error.message}`);
+        }
+
+        const valueText = result.value === undefined ? null
+            : typeof result.value === 'string' ? JSON.stringify(result.value) : this.interpreter.formatValue(result.value);
+        this.consoleView.render(result, valueText, summary);
+    }
+
+    /**
+     * 用当前代码生成模板编译编辑器中的程序，并显示目标代码和各优化遍的结果
+     */
+    compileProgram() {
+        if (!this.codeEditor || !this.targetCodeView) {
+            console.error('编译所需的UI元素未找到');
+            return;
+        }
+
+        clearTimeout(this.liveLexTimer);
+        if (!this.codeEditor.getValue().trim()) {
+            this.targetCodeView.showMessage('请在词法分析标签页的编辑器中输入代码');
+            return;
+        }
+        if (this.tokenizer.language.parser !== 'javascript') {
+            this.targetCodeView.showMessage(`ℹ️ ${this.tokenizer.language.name} 暂无代码生成后端，目前只能编译 JavaScript`);
+            return;
+        }
+
+        const { tokens, sourceError } = this.preprocessEditorCode();
+        if (sourceError) {
+            this.targetCodeView.showMessage(`❌ ${sourceError.message}`);
+            return;
+        }
+        let compilation;
+        try {
+            compilation = this.state.codeGenerator.compile(this.parser.parse(tokens),
+                (module) => this.state.codeOptimizer.optimizeProgram(module),
+                (program) => this.state.codeOptimizer.optimizeBytecode(program));
+        } catch (error) {
+            if (error instanceof ParseError) {
+                this.targetCodeView.showMessage(`❌ 语法错误: ${error.message}`);
+                return;
+            }
+            if (error instanceof WasmCompileError) {
+                this.targetCodeView.showMessage(`❌ 无法编译为 WebAssembly: ${error.message}`);
+                return;
+            }
+            if (!(error instanceof CompileError)) {
+                throw error;
+            }
+            this.targetCodeView.showError(error);
+            return;
+        }
+
+        this.targetCodeView.render(compilation, this.state.codeGenerator.getCurrentTemplateInfo());
+        if (this.peepholeView) {
+            if (compilation.peephole) {
+                this.peepholeView.renderResult(compilation.peephole);
+            } else {
+                this.peepholeView.showMessage('窥孔优化作用于栈式字节码，当前模板不经过这一步；链接和部署时仍会改写字节码');
+            }
+        }
+        if (!compilation.ir) {
+            // 导入其他模块的程序没有 IR，优化遍、控制流图和寄存器谜题保留上一次的结果
+            console.log(`🛠️ 编译完成: ${compilation.nodeCount} 个节点生成 ${compilation.instructionCount} 条指令（外部符号待链接）`);
+            return;
+        }
+        if (this.optimizationPassView) {
+            this.optimizationPassView.render(compilation.optimization);
+        }
+        if (this.cfgVisualizer) {
+            this.cfgVisualizer.setProgram(compilation.ir, compilation.optimization && compilation.optimization.module);
+        }
+        if (this.registerPuzzleView) {
+            const { level } = this.state.codeOptimizer.optimizations.registerAllocation;
+            this.registerPuzzleView.setProgram(compilation.optimization ? compilation.optimization.module : compilation.ir, registerCount(level));
+        }
+        console.log(`🛠️ 编译完成: ${compilation.nodeCount} 个节点生成 ${compilation.instructionCount} 条指令`);
+    }
+
+    /**
+     * 提交寄存器分配谜题：完整且无冲突的分配如果比线性扫描溢出更少，刷新该谜题的最好成绩并提高优化倍率
+     * @param {RegisterPuzzle} puzzle - 玩家的谜题
+     * @returns {Object} { message, success }
+     */
+    submitRegisterPuzzle(puzzle) {
+        const evaluation = puzzle.evaluate();
+        if (evaluation.unassigned > 0) {
+            return { message: `还有 ${evaluation.unassigned} 个值没有分配`, success: false };
+        }
+        if (evaluation.conflicts.length > 0) {
+            return { message: `有 ${evaluation.conflicts.length} 对同时活跃的值使用了同一个寄存器`, success: false };
+        }
+        if (evaluation.saved === 0) {
+            return { message: `溢出 ${evaluation.spills} 个，没有少于线性扫描的 ${puzzle.baselineSpills} 个`, success: false };
+        }
+
+        const optimizer = this.state.codeOptimizer;
+        const gain = optimizer.recordPuzzle(puzzle.key, evaluation.saved);
+        const bonus = `优化倍率加成 +${optimizer.getPuzzleBonus().mul(100).toFixed(0)}%`;
+        if (gain === 0) {
+            return { message: `比线性扫描少溢出 ${evaluation.saved} 个，没有超过这个谜题之前的成绩（${bonus}）`, success: false };
+        }
+        console.log(`🧩 寄存器分配谜题: @${puzzle.functionName} 比线性扫描少溢出 ${evaluation.saved} 个值`);
+        return { message: `比线性扫描少溢出 ${evaluation.saved} 个值！${bonus}`, success: true };
+    }
+
+    /**
+     * 修改窥孔优化的规则，然后刷新规则表；已编译过程序时重新编译以显示新的改写
+     * @param {Function} change - (peephole, slots) => 结果
+     * @returns {*} change 的返回值
+     * @private
+     */
+    updatePeepholeRules(change) {
+        const optimizer = this.state.codeOptimizer;
+        const result = change(optimizer.peephole, optimizer.getPeepholeSlots());
+        this.renderPeepholeRules();
+        if (this.state.codeGenerator.lastCompilation) {
+            this.compileProgram();
+        }
+        return result;
+    }
+
+    /**
+     * 显示窥孔优化的规则表和规则槽
+     * @private
+     */
+    renderPeepholeRules() {
+        if (!this.peepholeView) return;
+
+        const optimizer = this.state.codeOptimizer;
+        this.peepholeView.renderRules(optimizer.peephole, optimizer.getPeepholeSlots());
+    }
+
+    /**
+     * 以当前文件为入口链接工作区：从入口沿 import 编译每个用到的文件，再交给链接器合并为一个映像
+     * @returns {Object|null} Linker.link() 的返回值，编译失败的文件以同样的格式放在 errors 中；无法链接时为 null
+     */
+    linkWorkspace() {
+        if (!this.codeEditor || !this.linkerView) {
+            console.error('链接所需的UI元素未找到');
+            return null;
+        }
+        if (this.tokenizer.language.parser !== 'javascript') {
+            this.linkerView.showMessage(`ℹ️ ${this.tokenizer.language.name} 暂无代码生成后端，目前只能链接 JavaScript`);
+            return null;
+        }
+
+        const workspace = this.state.workspace;
+        workspace.update(this.codeEditor.getValue());
+
+        const objects = [];
+        const errors = [];
+        const visited = new Set();
+        const pending = [workspace.active];
+        while (pending.length > 0) {
+            const name = pending.pop();
+            const file = workspace.getFile(name);
+            // 不存在的文件由链接器报告
+            if (visited.has(name) || !file) continue;
+            visited.add(name);
+            try {
+                const tokens = this.tokenizeWorkspaceFile(file, name, errors);
+                if (!tokens) continue;
+                const { program } = this.state.codeOptimizer.optimizeBytecode(compileToBytecode(this.parser.parse(tokens)));
+                objects.push({ name, program });
+                program.imports.forEach(({ source }) => pending.push(normalizeModuleName(source)));
+            } catch (error) {
+                if (!(error instanceof ParseError) && !(error instanceof CompileError)) {
+                    throw error;
+                }
+                errors.push({
+                    module: name,
+                    message: `${error instanceof ParseError ? '语法错误' : '编译错误'}: ${error.description}`,
+                    line: error.line,
+                    column: error.column,
+                    from: error.position,
+                    to: error.end
+                });
+            }
+        }
+
+        const result = errors.length > 0
+            ? { ok: false, errors, modules: [], image: null, symbols: [], sections: [], dropped: [], stats: null }
+            : this.state.linker.link(objects, workspace.active);
+        this.linkerView.render(result);
+        console.log(result.ok
+            ? `🔗 链接完成: ${result.stats.modules} 个模块，${result.stats.instructions} 条指令，剥离 ${result.stats.dropped} 个函数`
+            : `链接失败: ${result.errors.length} 个错误`);
+        return result;
+    }
+
+    /**
+     * 词法分析工作区中的一个文件，有预处理指令时先展开宏；预处理错误以链接错误的格式加入 errors
+     * @param {Object} file - { name, source }
+     * @param {string} name - 文件名
+     * @param {Array} errors - 链接错误列表
+     * @returns {Array|null} 令牌，预处理失败时为 null
+     * @private
+     */
+    tokenizeWorkspaceFile(file, name, errors) {
+        if (!this.tokenizer.language.preprocessor || !hasDirectives(file.source)) {
+            return this.tokenizer.tokenize(file.source);
+        }
+
+        const preprocessing = this.preprocessSource(file.source, name);
+        const failures = preprocessing.diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+        failures.forEach(diagnostic => errors.push({
+            module: name,
+            message: diagnostic.message,
+            line: diagnostic.line,
+            column: diagnostic.column,
+            from: diagnostic.from,
+            to: diagnostic.to
+        }));
+        return failures.length > 0 ? null : mapTokens(this.tokenizer.tokenize(preprocessing.output), preprocessing);
+    }
+
+    /**
+     * 把编辑器中的程序编译为字节码并在虚拟机中运行，以实测的周期数交付当前的优化代码，换取性能分数
+     * 字节码以当前文件为入口链接整个工作区，交付的还包括全部可执行文件
+     * WebAssembly 模板下改为编译成 .wasm 模块在浏览器中运行，以实测的吞吐量和模块大小计分
+     * 运行失败（包括 WebAssembly 模块实例化或链接失败）与编译错误一样显示在剖析视图中
+     */
+    async deployProgram() {
+        if (!this.codeEditor || !this.vmProfileView) {
+            console.error('部署所需的UI元素未找到');
+            return;
+        }
+
+        clearTimeout(this.liveLexTimer);
+        if (!this.codeEditor.getValue().trim()) {
+            this.vmProfileView.showMessage('请在词法分析标签页的编辑器中输入代码');
+            return;
+        }
+        if (this.tokenizer.language.parser !== 'javascript') {
+            this.vmProfileView.showMessage(`ℹ️ ${this.tokenizer.language.name} 暂无代码生成后端，目前只能部署 JavaScript`);
+            return;
+        }
+
+        const { tokens, sourceError } = this.preprocessEditorCode();
+        if (sourceError) {
+            this.vmProfileView.showMessage(`❌ ${sourceError.message}`);
+            return;
+        }
+        const wasm = this.state.codeGenerator.currentTemplate === 'wasm';
+        let program;
+        if (wasm) {
+            try {
+                program = compileToWasm(this.state.codeOptimizer.optimizeProgram(buildIR(this.parser.parse(tokens))).module);
+            } catch (error) {
+                if (!(error instanceof ParseError) && !(error instanceof CompileError) && !(error instanceof WasmCompileError)) {
+                    throw error;
+                }
+                this.vmProfileView.showMessage(`❌ ${error instanceof ParseError ? '语法错误' : '编译错误'}: ${error.message}`);
+                return;
+            }
+        } else {
+            const link = this.linkWorkspace();
+            if (!link || !link.ok) {
+                this.vmProfileView.showMessage('❌ 链接失败，错误列在链接器面板中');
+                return;
+            }
+            program = link.image;
+        }
+
+        let result;
+        try {
+            result = wasm ? await runWasm(program) : this.bytecodeVM.run(program);
+        } catch (error) {
+            // 按钮的点击处理不等待这里的 Promise，实例化或链接失败时必须在这里显示出来
+            console.error('部署时运行程序失败:', error);
+            this.vmProfileView.showMessage(`❌ ${wasm ? 'WebAssembly 模块实例化或运行失败' : '运行失败'}: ${error.message}`);
+            return;
+        }
+        const instructions = wasm ? result.instructions : result.profile.instructions;
+        const summary = document.createElement('p');
+        summary.className = 'text-xs mt-2';
+
+        if (!result.ok) {
+            summary.classList.add('text-red-400');
+            summary.textContent = '程序没有正常结束，不能部署';
+        } else if (instructions < DEPLOYMENT_SCORE.minimumInstructions) {
+            summary.classList.add('text-yellow-400');
+            summary.textContent = `程序只执行了 ${instructions} 条指令，` +
+                `至少需要 ${DEPLOYMENT_SCORE.minimumInstructions} 条才能作为部署基准`;
+        } else {
+            // 部署交付全部优化代码和可执行文件
+            const executables = this.state.resources.linkedExecutables;
+            const shipped = this.state.resources.optimizedCode.add(executables.mul(LINKER.deploymentWeight));
+            const analyzer = this.state.performanceAnalyzer;
+            const score = wasm ? analyzer.analyzeWasm(shipped, result) : analyzer.analyzeCode(shipped, result.profile);
+            this.state.resources.optimizedCode = new Decimal(0);
+            this.state.resources.linkedExecutables = new Decimal(0);
+            this.state.stage3.performanceScore = this.state.stage3.performanceScore.add(score);
+
+            summary.classList.add(score.gt(0) ? 'text-green-400' : 'text-gray-400');
+            summary.textContent = score.gt(0)
+                ? `🚀 部署完成: 交付 ${formatNumber(shipped)} 优化代码` +
+                    (executables.gt(0) ? `（含 ${formatNumber(executables)} 个可执行文件）` : '') + `，性能分数 +${formatNumber(score)}`
+                : '没有可交付的优化代码，本次只做了性能剖析';
+            console.log(wasm
+                ? `部署完成，WebAssembly 模块 ${result.bytes} 字节，运行 ${result.milliseconds.toFixed(2)}ms，性能分数 ${score.toString()}`
+                : `部署完成，IPC ${result.profile.ipc.toFixed(3)}，性能分数 ${score.toString()}`);
+        }
+
+        if (wasm) {
+            this.vmProfileView.renderWasm(result, summary);
+        } else {
+            this.vmProfileView.render(result, program, summary);
+        }
+    }
+
+    /**
+     * 切换代码生成模板，已编译过程序时用新模板重新编译
+     * @param {string} templateId - 模板ID
+     */
+    selectCodeTemplate(templateId) {
+        if (!this.state.codeGenerator.upgradeTemplate(templateId)) {
+            console.log(`无法切换代码生成模板: ${templateId}`);
+            return;
+        }
+        if (this.state.codeGenerator.lastCompilation) {
+            this.compileProgram();
+        }
+    }
+
+    /**
+     * 奖励一次成功的运行，重复运行相同的程序收益递减
+     * @param {Array} tokens - 程序的令牌
+     * @param {Object} stats - Interpreter.run() 返回的 stats
+     * @returns {HTMLElement} 奖励说明
+     * @private
+     */
+    rewardProgramRun(tokens, stats) {
+        const fingerprint = this.manualReward.fingerprint(tokens);
+        const repetition = this.manualReward.getRepetitionMultiplier(
+            this.manualReward.countRepeats(fingerprint, this.state.recentRuns));
+        const tokensGained = new Decimal(Math.min(stats.steps, RUN_REWARD.maximumSteps) * RUN_REWARD.stepWeight +
+            stats.outputLines * RUN_REWARD.outputWeight)
+            .mul(repetition)
+            .mul(this.getManualTokenMultiplier());
+
+        this.state.recentRuns.push(fingerprint);
+        if (this.state.recentRuns.length > MANUAL_REWARD.historySize) {
+            this.state.recentRuns.splice(0, this.state.recentRuns.length - MANUAL_REWARD.historySize);
+        }
+        this.state.resources.tokens = this.state.resources.tokens.add(tokensGained);
+
+        const summary = document.createElement('p');
+        summary.className = 'text-xs mt-1 text-green-400';
+        summary.textContent = `▶️ 运行成功: +${formatNumber(tokensGained)} Tokens` +
+            (repetition < 1 ? ` (重复运行 ×${repetition.toFixed(2)})` : '');
+        console.log(`程序运行完成，获得 ${tokensGained.toString()} tokens`, stats);
+        return summary;
+    }
+
+    /**
+     * 执行语法分析，按玩家代码实际产生的 AST 节点数奖励 astNodes，重复提交时按重复递减倍率降低奖励
+     * @param {Array} tokens - 令牌数组
+     * @param {Object} reward - 本次提交的 ManualRewardCalculator.calculate() 结果（指纹和重复递减倍率）
+     */
+    runSyntaxAnalysis(tokens, reward) {
+        const code = this.codeEditor.getValue();
+        const summary = document.createElement('p');
+        summary.className = 'parse-summary text-xs mt-2';
+        let ast = null;
+
+        try {
+            ast = this.parser.parse(tokens);
+            const nodeCount = countASTNodes(ast);
+            const nodesGained = new Decimal(nodeCount)
+                .mul(reward.repetition)
+                .mul(this.state.getPrestigeMultiplier('astNodes'));
+
+            if (this.lastAST) {
+                this.previousCompilation = { ast: this.lastAST, source: this.lastASTSource };
+            }
+            this.lastAST = ast;
+            this.lastASTSource = code;
+            if (this.astVisualizer) {
+                this.astVisualizer.setAST(ast);
+            }
+            this.refreshASTDiff();
+            this.state.resources.astNodes = this.state.resources.astNodes.add(nodesGained);
+            this.state.stats.totalNodesBuilt = this.state.stats.totalNodesBuilt.add(nodesGained);
+
+            summary.classList.add('text-green-400');
+            summary.textContent = `🌳 语法分析完成: ${nodeCount} 个 AST 节点 (+${formatNumber(nodesGained)})` +
+                (reward.repetition < 1 ? ` (重复提交 ×${reward.repetition.toFixed(2)})` : '');
+            console.log(`语法分析完成，获得 ${nodesGained.toString()} AST 节点`);
+        } catch (error) {
+            if (!(error instanceof ParseError)) {
+                throw error;
+            }
+            summary.classList.add('text-red-400');
+            summary.textContent = `❌ 语法错误: ${error.message}`;
+            this.showDiagnostics([...this.lastDiagnostics, {
+                severity: 'error',
+                type: 'ParseError',
+                message: `语法错误: ${error.description}`,
+                line: error.line,
+                column: error.column,
+                from: error.position,
+                to: error.end
+            }]);
+            console.log(`语法分析失败: ${error.message}`);
+        }
+
+        this.tokenStreamView.appendSummary(summary);
+        if (ast) {
+            const semantic = this.runSemanticAnalysis(ast, reward.repetition);
+            const typeResult = this.runTypeCheck(ast, reward.fingerprint);
+            if (this.symbolTableView) {
+                this.symbolTableView.render(semantic, typeResult.bindingTypes);
+            }
+        }
+    }
+
+    /**
+     * 对语法分析得到的 AST 做语义分析，按声明的符号和解析成功的引用奖励 semanticNodes
+     * 语义诊断追加到词法诊断之后，并按诊断数量降低奖励（与手动 Token 奖励的有效性倍率相同），
+     * 重复提交时按手动 Token 奖励的重复递减倍率降低奖励
+     * @param {Object} ast - Program 节点
+     * @param {number} repetition - 本次提交的重复递减倍率
+     * @returns {Object} SemanticAnalyzer.analyze() 的结果
+     * @private
+     */
+    runSemanticAnalysis(ast, repetition) {
+        const result = this.semanticAnalyzer.analyze(ast);
+        const validity = this.manualReward.getValidityMultiplier(result.diagnostics);
+        const semanticGained = new Decimal(result.stats.symbols * SEMANTIC_REWARD.symbolWeight +
+            result.stats.resolved * SEMANTIC_REWARD.referenceWeight)
+            .mul(validity)
+            .mul(repetition)
+            .mul(this.state.getPrestigeMultiplier('semanticNodes'));
+
+        this.state.resources.semanticNodes = this.state.resources.semanticNodes.add(semanticGained);
+        this.showDiagnostics([...this.lastDiagnostics, ...result.diagnostics]);
+
+        const errorCount = result.diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+        const summary = document.createElement('p');
+        summary.className = `parse-summary text-xs mt-1 ${errorCount > 0 ? 'text-yellow-400' : 'text-green-400'}`;
+        summary.textContent = `🔍 语义分析完成: ${result.stats.symbols} 个符号, ` +
+            `${result.stats.resolved}/${result.stats.references} 个引用已解析, ` +
+            `${result.diagnostics.length} 个问题 (+${formatNumber(semanticGained)} 语义节点)` +
+            (repetition < 1 ? ` (重复提交 ×${repetition.toFixed(2)})` : '');
+        this.tokenStreamView.appendSummary(summary);
+        console.log(`语义分析完成，获得 ${semanticGained.toString()} 语义节点`, result.stats);
+        return result;
+    }
+
+    /**
+     * 对 AST 做类型检查，类型错误追加到诊断中
+     * 没有类型错误的程序提升性能分析的可靠性（类型安全加成）
+     * @param {Object} ast - Program 节点
+     * @param {Object} fingerprint - 程序的指纹，相同或近似的程序只计一次加成
+     * @returns {Object} TypeChecker.check() 的结果
+     * @private
+     */
+    runTypeCheck(ast, fingerprint) {
+        const result = this.typeChecker.check(ast);
+        const { stats } = result;
+        this.showDiagnostics([...this.lastDiagnostics, ...result.diagnostics]);
+        const bonus = this.state.performanceAnalyzer.recordTypeCheck(fingerprint, stats);
+
+        const summary = document.createElement('p');
+        summary.className = `parse-summary text-xs mt-1 ${stats.errors > 0 ? 'text-yellow-400' : 'text-green-400'}`;
+        summary.textContent = `🧩 类型检查完成: ${stats.bindings} 个绑定 (${stats.annotated} 个有标注), ` +
+            `${stats.errors} 个类型错误` +
+            (bonus.gt(0) ? ` (类型安全: 可靠性 +${bonus.toFixed(3)})` : '');
+        this.tokenStreamView.appendSummary(summary);
+        console.log('类型检查完成', stats);
+        return result;
+    }
+
+    /**
+     * 比较最近一次编译与对比版本的 AST，更新语法树上的标记和并排源码视图
+     */
+    refreshASTDiff() {
+        const baseline = this.astBaseline || this.previousCompilation;
+        if (!baseline || !this.lastAST) {
+            if (this.astDiffView) this.astDiffView.reset();
+            if (this.astVisualizer) this.astVisualizer.setDiff(null, null);
+            return;
+        }
+
+        const diff = diffAST(baseline.ast, this.lastAST);
+        if (this.astVisualizer) {
+            this.astVisualizer.setDiff(diff, baseline.ast);
+        }
+        if (this.astDiffView) {
+            this.astDiffView.render(diff, baseline, { ast: this.lastAST, source: this.lastASTSource }, this.astBaseline !== null);
+        }
+        console.log('AST结构差异:', diff.stats);
+    }
+
+    /**
+     * 固定最近一次编译为对比基准，已固定时取消（恢复与上一次编译比较）
+     */
+    toggleASTBaseline() {
+        if (this.astBaseline) {
+            this.astBaseline = null;
+        } else if (this.lastAST) {
+            this.astBaseline = { ast: this.lastAST, source: this.lastASTSource };
+        }
+        this.refreshASTDiff();
+    }
+
+    /**
+     * 判断最近的 AST 是否仍与编辑器内容一致
+     * @returns {boolean} 是否一致
+     * @private
+     */
+    isASTInSync() {
+        return this.lastAST !== null && this.codeEditor.getValue() === this.lastASTSource;
+    }
+
+    /**
+     * 在编辑器中高亮 AST 节点对应的源码
+     * @param {Object|null} node - AST节点，null 清除高亮
+     */
+    highlightASTSource(node) {
+        if (!this.codeEditor) return;
+        this.codeEditor.setRangeHighlight(node && this.isASTInSync() ? { from: node.start, to: node.end } : null);
+    }
+
+    /**
+     * 在编辑器中选中 AST 节点对应的源码
+     * @param {Object} node - AST节点
+     */
+    selectASTSource(node) {
+        if (!this.codeEditor || !this.isASTInSync()) return;
+
+        // 选中源码会移动光标，此时不要反过来再选中光标处（更深）的节点
+        this.selectingASTSource = true;
+        this.codeEditor.jumpTo(node.start, node.end);
+        this.selectingASTSource = false;
+    }
+
+    /**
+     * 在 AST 可视化中选中光标所在的节点
+     * @param {number} offset - 光标偏移
+     */
+    selectASTNodeAt(offset) {
+        if (this.selectingASTSource || !this.astVisualizer || !this.isASTInSync()) return;
+        this.astVisualizer.selectNode(findNodeAtOffset(this.lastAST, offset));
     }
 
     /**
@@ -332,6 +1553,35 @@ export class Game {
             if (this.astVisualizer) {
                 this.astVisualizer.reset();
             }
+            if (this.astDiffView) {
+                this.astDiffView.reset();
+            }
+            if (this.symbolTableView) {
+                this.symbolTableView.reset();
+            }
+            if (this.targetCodeView) {
+                this.targetCodeView.reset();
+            }
+            if (this.vmProfileView) {
+                this.vmProfileView.reset();
+            }
+            if (this.optimizationPassView) {
+                this.optimizationPassView.reset();
+            }
+            if (this.cfgVisualizer) {
+                this.cfgVisualizer.reset();
+            }
+            if (this.registerPuzzleView) {
+                this.registerPuzzleView.reset();
+            }
+            if (this.peepholeView) {
+                // 规则保留，规则槽随技术等级重置
+                this.peepholeView.reset();
+                this.renderPeepholeRules();
+            }
+            if (this.linkerView) {
+                this.linkerView.reset();
+            }
         }
     }
 
@@ -343,6 +1593,11 @@ export class Game {
         const success = this.state.codeOptimizer.upgradeOptimization(techKey, this.state);
         if (success) {
             console.log(`成功升级优化技术: ${techKey}`);
+            this.renderPeepholeRules();
+            // 等级决定优化遍的激进程度，重新编译以刷新优化遍视图
+            if (this.state.codeGenerator.lastCompilation) {
+                this.compileProgram();
+            }
         } else {
             console.log(`无法升级优化技术: ${techKey}`);
         }
@@ -4,7 +4,9 @@
 import { CodeGenerator } from '../modules/codeGenerator.js';
 import { CodeOptimizer } from '../modules/codeOptimizer.js';
 import { PerformanceAnalyzer } from '../modules/performanceAnalyzer.js';
-import { UPGRADE_DATA, PRESTIGE_UPGRADES, STAGE3_UPGRADES } from '../utils/constants.js';
+import { Linker } from '../modules/linker.js';
+import { Workspace } from '../modules/workspace.js';
+import { UPGRADE_DATA, PRESTIGE_UPGRADES, STAGE3_UPGRADES, LANGUAGE_DATA } from '../utils/constants.js';
 
 /*
     如何关联: 这是《实现Level1.md》4.4节`GameState`类的实现，是整个游戏逻辑的中枢。
@@ -17,6 +19,10 @@ export class GameState {
         this.codeGenerator = new CodeGenerator();
         this.codeOptimizer = new CodeOptimizer();
         this.performanceAnalyzer = new PerformanceAnalyzer();
+        this.linker = new Linker();
+
+        // 多文件工作区（威望重置时保留）
+        this.workspace = new Workspace();
     }
 
     /**
@@ -27,8 +33,10 @@ export class GameState {
         this.resources = {
             tokens: new Decimal(0),
             astNodes: new Decimal(0),
+            semanticNodes: new Decimal(0),
             generatedCode: new Decimal(0),
             optimizedCode: new Decimal(0),
+            linkedExecutables: new Decimal(0),
             compilerPoints: new Decimal(0)
         };
 
@@ -44,6 +52,24 @@ export class GameState {
             totalResets: 0
         };
 
+        // 词法分析语言（威望重置时保留）
+        this.languages = {
+            unlocked: Object.keys(LANGUAGE_DATA).filter(key => LANGUAGE_DATA[key].unlocked),
+            current: 'javascript'
+        };
+
+        // 最近手动提交的代码指纹，用于重复提交的收益递减
+        this.recentInputs = [];
+
+        // 最近运行的程序指纹，重复运行相同的程序收益递减
+        this.recentRuns = [];
+
+        // 规则工坊：各语言的玩家规则和最高评分（威望重置时保留）
+        this.workshop = {
+            rules: {},
+            bestScores: {}
+        };
+
         // 第三阶段状态
         this.stage3 = {
             unlocked: false,
@@ -153,6 +179,46 @@ export class GameState {
         return true;
     }
 
+    /**
+     * 检查是否可以解锁语言
+     * @param {string} languageId - 语言 id
+     * @returns {boolean} 是否可以解锁
+     */
+    canUnlockLanguage(languageId) {
+        const languageData = LANGUAGE_DATA[languageId];
+        if (!languageData || this.languages.unlocked.includes(languageId)) {
+            return false;
+        }
+        return this.resources.tokens.gte(languageData.baseCost);
+    }
+
+    /**
+     * 解锁语言，消耗 Tokens
+     * @param {string} languageId - 语言 id
+     * @returns {boolean} 是否成功解锁
+     */
+    unlockLanguage(languageId) {
+        if (!this.canUnlockLanguage(languageId)) {
+            return false;
+        }
+
+        const languageData = LANGUAGE_DATA[languageId];
+        this.resources.tokens = this.resources.tokens.sub(languageData.baseCost);
+        this.languages.unlocked.push(languageId);
+
+        console.log(`解锁了语言: ${languageData.name}`);
+        return true;
+    }
+
+    /**
+     * 获取当前语言的 Token 倍率
+     * @returns {number} 倍率
+     */
+    getLanguageMultiplier() {
+        const languageData = LANGUAGE_DATA[this.languages.current];
+        return languageData ? languageData.tokenMultiplier : 1;
+    }
+
     /**
      * 计算每秒产出
      * @returns {Object} 每秒产出数据
@@ -161,8 +227,10 @@ export class GameState {
         const production = {
             tokens: new Decimal(0),
             astNodes: new Decimal(0),
+            semanticNodes: new Decimal(0),
             generatedCode: new Decimal(0),
-            optimizedCode: new Decimal(0)
+            optimizedCode: new Decimal(0),
+            linkedExecutables: new Decimal(0)
         };
 
         // 计算生成器产出
@@ -211,9 +279,9 @@ export class GameState {
      * @private
      */
     calculateStage3Production(production) {
-        // 代码生成
-        if (this.resources.astNodes.gt(0)) {
-            const generatedAmount = this.codeGenerator.generateCode(this.resources.astNodes);
+        // 代码生成（以经过语义分析的节点为输入）
+        if (this.resources.semanticNodes.gt(0)) {
+            const generatedAmount = this.codeGenerator.generateCode(this.resources.semanticNodes);
             production.generatedCode = production.generatedCode.add(generatedAmount);
         }
 
@@ -222,6 +290,12 @@ export class GameState {
             const optimizedAmount = this.codeOptimizer.optimize(this.resources.generatedCode);
             production.optimizedCode = production.optimizedCode.add(optimizedAmount);
         }
+
+        // 链接（以最近一次成功链接的模块数和剥离比例打包优化代码）
+        if (this.resources.optimizedCode.gt(0)) {
+            const linkedAmount = this.linker.produce(this.resources.optimizedCode);
+            production.linkedExecutables = production.linkedExecutables.add(linkedAmount);
+        }
     }
 
     /**
@@ -256,8 +330,10 @@ export class GameState {
     calculatePrestigeGain() {
         const totalResources = this.resources.tokens
             .add(this.resources.astNodes.mul(10))
+            .add(this.resources.semanticNodes.mul(30))
             .add(this.resources.generatedCode.mul(100))
-            .add(this.resources.optimizedCode.mul(1000));
+            .add(this.resources.optimizedCode.mul(1000))
+            .add(this.resources.linkedExecutables.mul(10000));
 
         if (totalResources.lt(1000)) {
             return new Decimal(0);
@@ -284,8 +360,10 @@ export class GameState {
         // 重置资源和升级
         this.resources.tokens = new Decimal(0);
         this.resources.astNodes = new Decimal(0);
+        this.resources.semanticNodes = new Decimal(0);
         this.resources.generatedCode = new Decimal(0);
         this.resources.optimizedCode = new Decimal(0);
+        this.resources.linkedExecutables = new Decimal(0);
 
         // 重置升级
         Object.keys(this.upgrades).forEach(key => {
@@ -296,6 +374,7 @@ export class GameState {
         this.codeGenerator.resetStats();
         this.codeOptimizer.resetOptimizer(true); // 保留部分进度
         this.performanceAnalyzer.resetAnalyzer(false);
+        this.linker.resetStats();
 
         console.log(`威望重置完成，获得 ${gain.toString()} 编译器点数`);
         return true;
@@ -0,0 +1,281 @@
+// src/modules/astDiff.js
+// AST 结构差异 - 比较两次编译得到的语法树，找出新增、删除、移动和修改的节点
+
+/*
+    是什么: 两棵 AST 之间的结构化差异（简化版 GumTree 算法）。
+    为什么: 文本 diff 只能看出哪几行变了。玩家在词法分析页反复修改代码时，更想知道
+            哪个语句被挪了位置、哪个标识符被改了名、哪个表达式被包进了新的调用。
+    如何关联:
+        - 节点的取值（标识符名、字面量、运算符）来自`astUtils.describeNodeValue()`，
+          取值不同但匹配上的节点算作"修改"。
+        - 由`Game.runSyntaxAnalysis()`在每次编译成功后调用，结果交给`ASTVisualizer`
+          标记节点、交给`ASTDiffView`并排显示两份源码。
+
+    算法分三步:
+        1. 自顶向下: 结构完全相同（类型、取值和全部子树都相同）的子树整体匹配，高的子树优先。
+        2. 自底向上: 还没匹配的内部节点，与共享最多已匹配后代的同类型旧节点匹配。
+        3. 补全: 已匹配节点的子节点中，按类型和取值把剩下的一一配对。
+    最后未匹配的新节点是"新增"，未匹配的旧节点是"删除"；父节点不再对应、或在兄弟之间
+    调换了顺序的节点是"移动"。
+*/
+
+import { getChildNodes, describeNodeValue } from '../utils/astUtils.js';
+
+// 各状态的中文名称
+export const DIFF_STATUS_LABELS = {
+    inserted: '新增',
+    deleted: '删除',
+    moved: '移动',
+    updated: '修改'
+};
+
+// 自顶向下阶段只匹配至少这么高的子树（单个标识符、字面量太常见，留给后两步按上下文匹配）
+const MIN_SUBTREE_HEIGHT = 2;
+
+// 自底向上阶段的最小相似度（共享的已匹配后代占两边后代总数的比例）
+const MIN_SIMILARITY = 0.5;
+
+/**
+ * 为一棵树建立索引：父节点、子节点、高度、后代数和结构编号
+ * 结构编号相同的两个子树完全相同（哈希一致化，不会有碰撞）
+ * @param {Object} ast - 根节点
+ * @param {Map} structureIds - 结构键到编号的映射，两棵树共用
+ * @returns {Object} { root, nodes (先序), info: Map<节点, 信息> }
+ */
+function indexTree(ast, structureIds) {
+    const nodes = [];
+    const info = new Map();
+
+    const visit = (node, parent, depth) => {
+        const entry = {
+            parent,
+            depth,
+            order: nodes.length,
+            children: getChildNodes(node),
+            label: describeNodeValue(node),
+            height: 1,
+            size: 1,
+            structure: 0
+        };
+        nodes.push(node);
+        info.set(node, entry);
+
+        entry.children.forEach(child => {
+            const childInfo = visit(child, node, depth + 1);
+            entry.height = Math.max(entry.height, childInfo.height + 1);
+            entry.size += childInfo.size;
+        });
+
+        const key = `${node.type}\u0000${entry.label}\u0000${entry.children.map(child => info.get(child).structure).join(',')}`;
+        if (!structureIds.has(key)) structureIds.set(key, structureIds.size);
+        entry.structure = structureIds.get(key);
+        return entry;
+    };
+
+    visit(ast, null, 0);
+    return { root: ast, nodes, info };
+}
+
+/**
+ * 最长递增子序列，用于找出兄弟节点中没有调换顺序的部分
+ * @param {Array<number>} values - 序列
+ * @returns {Set<number>} 属于最长递增子序列的下标
+ */
+function longestIncreasingSubsequence(values) {
+    const tails = [];
+    const previous = new Array(values.length).fill(-1);
+
+    values.forEach((value, index) => {
+        let low = 0;
+        let high = tails.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (values[tails[mid]] < value) low = mid + 1;
+            else high = mid;
+        }
+        if (low > 0) previous[index] = tails[low - 1];
+        tails[low] = index;
+    });
+
+    const result = new Set();
+    for (let index = tails.length ? tails[tails.length - 1] : -1; index >= 0; index = previous[index]) {
+        result.add(index);
+    }
+    return result;
+}
+
+/**
+ * 比较两棵 AST
+ * @param {Object} oldAST - 旧的根节点
+ * @param {Object} newAST - 新的根节点
+ * @returns {Object} {
+ *     mapping: Map<新节点, 旧节点>, reverseMapping: Map<旧节点, 新节点>,
+ *     inserted: Set<新节点>, deleted: Set<旧节点>, updated: Set<新节点>, moved: Set<新节点>,
+ *     stats: { inserted, deleted, updated, moved, unchanged }
+ * }
+ */
+export function diffAST(oldAST, newAST) {
+    const structureIds = new Map();
+    const before = indexTree(oldAST, structureIds);
+    const after = indexTree(newAST, structureIds);
+
+    const mapping = new Map();
+    const reverseMapping = new Map();
+    const link = (newNode, oldNode) => {
+        mapping.set(newNode, oldNode);
+        reverseMapping.set(oldNode, newNode);
+    };
+
+    // 同时遍历两棵完全相同的子树，逐个节点匹配
+    const linkSubtree = (newNode, oldNode) => {
+        link(newNode, oldNode);
+        const oldChildren = before.info.get(oldNode).children;
+        after.info.get(newNode).children.forEach((child, index) => linkSubtree(child, oldChildren[index]));
+    };
+
+    // 1. 自顶向下：高的子树先匹配，候选有多个时优先选父节点已对应的、其次位置最接近的
+    const oldByStructure = new Map();
+    before.nodes.forEach(node => {
+        const { structure } = before.info.get(node);
+        if (!oldByStructure.has(structure)) oldByStructure.set(structure, []);
+        oldByStructure.get(structure).push(node);
+    });
+
+    const byHeight = after.nodes
+        .filter(node => after.info.get(node).height >= MIN_SUBTREE_HEIGHT)
+        .sort((a, b) => after.info.get(b).height - after.info.get(a).height);
+
+    byHeight.forEach(newNode => {
+        if (mapping.has(newNode)) return;
+
+        const entry = after.info.get(newNode);
+        const candidates = (oldByStructure.get(entry.structure) || []).filter(node => !reverseMapping.has(node));
+        if (candidates.length === 0) return;
+
+        const relativeOrder = entry.order / after.nodes.length;
+        const score = (oldNode) => {
+            const oldEntry = before.info.get(oldNode);
+            const sameParent = entry.parent !== null && mapping.get(entry.parent) === oldEntry.parent ? 1 : 0;
+            return sameParent * 2 - Math.abs(oldEntry.order / before.nodes.length - relativeOrder);
+        };
+        const best = candidates.reduce((a, b) => (score(b) > score(a) ? b : a));
+        linkSubtree(newNode, best);
+    });
+
+    // 2. 自底向上：按已匹配的后代给同类型的旧祖先投票
+    const postOrder = [...after.nodes].sort((a, b) => after.info.get(a).height - after.info.get(b).height);
+    postOrder.forEach(newNode => {
+        const entry = after.info.get(newNode);
+        if (mapping.has(newNode) || entry.children.length === 0) return;
+
+        const votes = new Map();
+        const countVotes = (node) => {
+            after.info.get(node).children.forEach(child => {
+                const partner = mapping.get(child);
+                if (partner) {
+                    for (let current = before.info.get(partner).parent; current; current = before.info.get(current).parent) {
+                        if (current.type === newNode.type && !reverseMapping.has(current)) {
+                            votes.set(current, (votes.get(current) || 0) + 1);
+                        }
+                    }
+                }
+                countVotes(child);
+            });
+        };
+        countVotes(newNode);
+
+        let best = null;
+        let bestSimilarity = 0;
+        votes.forEach((count, oldNode) => {
+            const similarity = (2 * count) / (entry.size - 1 + before.info.get(oldNode).size - 1);
+            if (similarity > bestSimilarity) {
+                best = oldNode;
+                bestSimilarity = similarity;
+            }
+        });
+
+        if (best && bestSimilarity >= MIN_SIMILARITY) {
+            link(newNode, best);
+        }
+    });
+
+    // 根节点类型相同时总是对应
+    if (!mapping.has(newAST) && oldAST.type === newAST.type && !reverseMapping.has(oldAST)) {
+        link(newAST, oldAST);
+    }
+
+    // 3. 补全：已匹配节点的子节点中先按类型和取值、再只按类型配对（先序，新配对的节点随后也会补全）
+    after.nodes.forEach(newNode => {
+        const oldNode = mapping.get(newNode);
+        if (!oldNode) return;
+
+        const oldChildren = before.info.get(oldNode).children.filter(child => !reverseMapping.has(child));
+        const newChildren = after.info.get(newNode).children.filter(child => !mapping.has(child));
+        const passes = [
+            (a, b) => a.type === b.type && describeNodeValue(a) === describeNodeValue(b),
+            (a, b) => a.type === b.type
+        ];
+        passes.forEach(matches => {
+            newChildren.forEach(child => {
+                if (mapping.has(child)) return;
+                const partner = oldChildren.find(candidate => !reverseMapping.has(candidate) && matches(child, candidate));
+                if (partner) link(child, partner);
+            });
+        });
+    });
+
+    // 分类
+    const inserted = new Set(after.nodes.filter(node => !mapping.has(node)));
+    const deleted = new Set(before.nodes.filter(node => !reverseMapping.has(node)));
+    const updated = new Set();
+    const moved = new Set();
+
+    mapping.forEach((oldNode, newNode) => {
+        const entry = after.info.get(newNode);
+        if (entry.label !== before.info.get(oldNode).label) updated.add(newNode);
+        if (entry.parent !== null && mapping.get(entry.parent) !== before.info.get(oldNode).parent) moved.add(newNode);
+    });
+
+    // 父节点仍对应的兄弟之间，不在最长递增子序列中的节点调换了顺序
+    mapping.forEach((oldNode, newNode) => {
+        const oldChildren = before.info.get(oldNode).children;
+        const stayed = after.info.get(newNode).children.filter(child =>
+            mapping.has(child) && !moved.has(child) && oldChildren.includes(mapping.get(child))
+        );
+        const kept = longestIncreasingSubsequence(stayed.map(child => oldChildren.indexOf(mapping.get(child))));
+        stayed.forEach((child, index) => {
+            if (!kept.has(index)) moved.add(child);
+        });
+    });
+
+    return {
+        mapping,
+        reverseMapping,
+        inserted,
+        deleted,
+        updated,
+        moved,
+        stats: {
+            inserted: inserted.size,
+            deleted: deleted.size,
+            updated: updated.size,
+            moved: moved.size,
+            unchanged: [...mapping.keys()].filter(node => !updated.has(node) && !moved.has(node)).length
+        }
+    };
+}
+
+/**
+ * 查询节点在差异中的状态
+ * @param {Object} diff - diffAST() 的返回值
+ * @param {Object} node - 节点
+ * @param {string} side - 'new' 表示节点属于新树，'old' 表示属于旧树
+ * @returns {string|null} 'inserted' | 'deleted' | 'moved' | 'updated'，没有变化为 null
+ */
+export function getDiffStatus(diff, node, side) {
+    const newNode = side === 'new' ? node : diff.reverseMapping.get(node);
+    if (!newNode) return side === 'new' ? 'inserted' : 'deleted';
+    if (diff.moved.has(newNode)) return 'moved';
+    if (diff.updated.has(newNode)) return 'updated';
+    return null;
+}
@@ -0,0 +1,506 @@
+// src/modules/bytecodeCompiler.js
+// 字节码编译器 - 把 AST 编译为栈式虚拟机字节码（basic 模板）
+
+/*
+    是什么: 把可编译子集的 AST 编译为栈式字节码，每个函数是一段指令序列，
+            指令形如 { op, arg, line }，跳转目标是指令下标。
+    为什么: 代码生成的 basic 模板产出真正可以执行的目标代码，
+            生成的指令数决定 generatedCode 的产量。
+    如何关联:
+        - 以`compilerFrontend.analyzeProgram()`的结果为输入。
+        - 由`CodeGenerator.compile()`在 basic 模板下调用，`formatBytecode()`的文本显示在目标代码面板中。
+
+    指令集（栈上的值在指令执行前后的变化写在括号里）:
+        const v (→ v)             pop (v →)                dup (v → v v)
+        load n / store n          读写第 n 个局部变量槽（参数在前）
+        gload n / gstore n        读写第 n 个全局变量
+        add sub mul div rem pow shl shr ushr and or xor
+        eq ne seq sne lt le gt ge (a b → a op b)
+        neg num not bitnot inc dec (a → op a)
+        jmp n                     无条件跳转
+        jz n / jnz n / jnn n      弹出栈顶，为假 / 为真 / 不是 null 或 undefined 时跳转
+        call f                    调用第 f 个函数，参数个数等于其形参个数
+        print n                   弹出 n 个值并输出，压入 undefined
+        ret                       弹出返回值并返回
+        halt                      main 结束
+
+    外部符号: 导入的名字编译为带 extern 标记的指令，arg 是 externs 中的下标，由`linker.js`重定位。
+        call e (extern, argc)     调用外部函数，实参个数 argc 按调用处计算（链接时才知道形参个数）
+        gload e (extern)          读取外部变量
+*/
+
+import { analyzeProgram, isPrintCall, isImport, BINARY_OPCODES, UNARY_OPCODES } from './compilerFrontend.js';
+
+// 跳转类指令（arg 是指令下标）
+export const JUMP_OPCODES = new Set(['jmp', 'jz', 'jnz', 'jnn']);
+
+/**
+ * 把程序编译为字节码
+ * @param {Object} ast - Program 节点
+ * @returns {Object} { functions: [{ name, params, slots, code }]（第一个是 main）, globals,
+ *          imports: [{ source, location }], externs: [{ name, imported, source, called, read, location }],
+ *          exports: [{ name, kind: 'function'|'variable', index, location }] }
+ *          index 是导出的函数或全局变量的下标，location 是 { line, column, from, to }
+ * @throws {CompileError} 程序不在可编译子集中
+ */
+export function compileToBytecode(ast) {
+    const analysis = analyzeProgram(ast);
+    const functionIndex = new Map(analysis.functions.map((fn, index) => [fn.name, index]));
+    const globalIndex = new Map(analysis.globals.map((variable, index) => [variable, index]));
+
+    const functions = analysis.functions.map(fn => {
+        const emitter = new FunctionEmitter(fn, analysis, functionIndex, globalIndex);
+        return emitter.emit();
+    });
+
+    return {
+        functions,
+        globals: analysis.globals.map(variable => variable.name),
+        imports: analysis.imports.map(({ source, node }) => ({ source, location: locationOf(node.source) })),
+        externs: analysis.externs.map(extern => ({
+            name: extern.variable.name,
+            imported: extern.imported,
+            source: extern.source,
+            called: extern.called,
+            read: extern.read,
+            location: locationOf(extern.node)
+        })),
+        exports: analysis.exports.map(entry => ({
+            name: entry.name,
+            kind: entry.kind,
+            index: entry.kind === 'function' ? functionIndex.get(entry.function) : globalIndex.get(entry.variable),
+            location: locationOf(entry.node)
+        }))
+    };
+}
+
+/**
+ * AST 节点在源码中的位置
+ * @private
+ */
+function locationOf(node) {
+    const start = node.loc ? node.loc.start : { line: 1, column: 1 };
+    return { line: start.line, column: start.column, from: node.start, to: node.end };
+}
+
+/**
+ * 字节码的指令总数
+ * @param {Object} program - compileToBytecode() 的返回值
+ * @returns {number}
+ */
+export function countBytecode(program) {
+    return program.functions.reduce((sum, fn) => sum + fn.code.length, 0);
+}
+
+/**
+ * 格式化字节码清单，跳转目标前标出 L<下标>
+ * @param {Object} program - compileToBytecode() 的返回值
+ * @returns {string}
+ */
+export function formatBytecode(program) {
+    const lines = [];
+    if (program.globals.length > 0) lines.push(`; 全局变量: ${program.globals.join(', ')}`);
+    (program.externs || []).forEach(extern => {
+        lines.push(`; 导入: ${extern.imported}${extern.name !== extern.imported ? ` as ${extern.name}` : ''} from ${JSON.stringify(extern.source)}`);
+    });
+    (program.exports || []).forEach(entry => {
+        const target = entry.kind === 'function' ? `${program.functions[entry.index].name}()` : `@${program.globals[entry.index]}`;
+        lines.push(`; 导出: ${entry.name} = ${target}`);
+    });
+
+    program.functions.forEach(fn => {
+        const targets = new Set(fn.code.filter(instruction => JUMP_OPCODES.has(instruction.op)).map(instruction => instruction.arg));
+        lines.push('');
+        lines.push(`${fn.name}(${fn.slots.slice(0, fn.params).join(', ')}):` +
+            (fn.slots.length > fn.params ? `    ; 局部变量: ${fn.slots.slice(fn.params).join(', ')}` : ''));
+
+        fn.code.forEach((instruction, index) => {
+            if (targets.has(index)) lines.push(`L${index}:`);
+            lines.push(`    ${String(index).padStart(4, '0')}  ${formatInstruction(program, fn, instruction)}`);
+        });
+    });
+
+    return lines.join('\n').trim();
+}
+
+/**
+ * 格式化一条指令（操作码和带注释的操作数）
+ * @param {Object} program - compileToBytecode() 的返回值
+ * @param {Object} fn - 指令所在的函数
+ * @param {Object} instruction - 指令
+ * @returns {string}
+ */
+export function formatInstruction(program, fn, instruction) {
+    return `${instruction.op.padEnd(7)}${formatOperand(program, fn, instruction)}`.trimEnd();
+}
+
+/**
+ * @private
+ */
+function formatOperand(program, fn, { op, arg, extern }) {
+    if (extern) return `?    ; extern ${program.externs[arg].name}`;
+    switch (op) {
+        case 'const': return formatConstant(arg);
+        case 'load':
+        case 'store': return `${arg}    ; ${fn.slots[arg]}`;
+        case 'gload':
+        case 'gstore': return `${arg}    ; @${program.globals[arg]}`;
+        case 'call': return `${arg}    ; ${program.functions[arg].name}`;
+        case 'print': return String(arg);
+        default: return JUMP_OPCODES.has(op) ? `L${arg}` : '';
+    }
+}
+
+/**
+ * 常量的源码形式
+ * @param {*} value - 数字、字符串、布尔值、null 或 undefined
+ * @returns {string}
+ */
+export function formatConstant(value) {
+    if (typeof value === 'string') return JSON.stringify(value);
+    if (Object.is(value, -0)) return '-0';
+    return String(value);
+}
+
+/**
+ * 单个函数的字节码生成
+ * @private
+ */
+class FunctionEmitter {
+    constructor(fn, analysis, functionIndex, globalIndex) {
+        this.fn = fn;
+        this.analysis = analysis;
+        this.functionIndex = functionIndex;
+        this.globalIndex = globalIndex;
+        this.code = [];
+        this.loops = [];
+        this.line = fn.node.loc ? fn.node.loc.start.line : 1;
+
+        // 参数在前，其后是非全局的局部变量
+        this.slots = new Map();
+        [...fn.params, ...fn.locals.filter(variable => !variable.global)].forEach(variable => {
+            this.slots.set(variable, this.slots.size);
+        });
+    }
+
+    emit() {
+        this.fn.body.forEach(statement => this.statement(statement));
+        if (this.fn.name === 'main') {
+            this.instruction('halt');
+        } else {
+            this.instruction('const', undefined);
+            this.instruction('ret');
+        }
+
+        // 把标签替换为指令下标
+        this.code.forEach(instruction => {
+            if (JUMP_OPCODES.has(instruction.op)) instruction.arg = instruction.arg.target;
+        });
+
+        return {
+            name: this.fn.name,
+            params: this.fn.params.length,
+            slots: [...this.slots.keys()].map(variable => variable.id),
+            code: this.code
+        };
+    }
+
+    instruction(op, arg) {
+        const instruction = { op, line: this.line };
+        if (arg !== undefined || op === 'const') instruction.arg = arg;
+        this.code.push(instruction);
+        return instruction;
+    }
+
+    label() {
+        return { target: -1 };
+    }
+
+    place(label) {
+        label.target = this.code.length;
+    }
+
+    at(node) {
+        if (node.loc) this.line = node.loc.start.line;
+    }
+
+    load(variable) {
+        if (!variable) {
+            this.instruction('const', undefined);
+        } else if (isImport(variable)) {
+            this.instruction('gload', this.analysis.externs.indexOf(variable.extern)).extern = true;
+        } else if (variable.global) {
+            this.instruction('gload', this.globalIndex.get(variable));
+        } else {
+            this.instruction('load', this.slots.get(variable));
+        }
+    }
+
+    store(variable) {
+        if (variable.global) {
+            this.instruction('gstore', this.globalIndex.get(variable));
+        } else {
+            this.instruction('store', this.slots.get(variable));
+        }
+    }
+
+    statement(node) {
+        this.at(node);
+        switch (node.type) {
+            case 'ExpressionStatement':
+                this.expression(node.expression, false);
+                break;
+            case 'VariableDeclaration':
+                node.declarations.forEach(declarator => {
+                    const variable = this.analysis.variableOf(declarator.id);
+                    if (declarator.init) {
+                        this.expression(declarator.init);
+                    } else if (node.kind !== 'var') {
+                        // 循环体中的 let 每次迭代都要重新初始化
+                        this.instruction('const', undefined);
+                    } else {
+                        return;
+                    }
+                    this.store(variable);
+                });
+                break;
+            case 'BlockStatement':
+                node.body.forEach(statement => this.statement(statement));
+                break;
+            case 'IfStatement': {
+                const otherwise = this.label();
+                this.expression(node.test);
+                this.instruction('jz', otherwise);
+                this.statement(node.consequent);
+                if (node.alternate) {
+                    const end = this.label();
+                    this.instruction('jmp', end);
+                    this.place(otherwise);
+                    this.statement(node.alternate);
+                    this.place(end);
+                } else {
+                    this.place(otherwise);
+                }
+                break;
+            }
+            case 'WhileStatement': {
+                const top = this.label();
+                const end = this.label();
+                this.place(top);
+                this.expression(node.test);
+                this.instruction('jz', end);
+                this.loop(node.body, end, top);
+                this.instruction('jmp', top);
+                this.place(end);
+                break;
+            }
+            case 'DoWhileStatement': {
+                const top = this.label();
+                const test = this.label();
+                const end = this.label();
+                this.place(top);
+                this.loop(node.body, end, test);
+                this.place(test);
+                this.at(node.test);
+                this.expression(node.test);
+                this.instruction('jnz', top);
+                this.place(end);
+                break;
+            }
+            case 'ForStatement': {
+                const top = this.label();
+                const update = this.label();
+                const end = this.label();
+                if (node.init && node.init.type === 'VariableDeclaration') {
+                    this.statement(node.init);
+                } else if (node.init) {
+                    this.expression(node.init, false);
+                }
+                this.place(top);
+                if (node.test) {
+                    this.expression(node.test);
+                    this.instruction('jz', end);
+                }
+                this.loop(node.body, end, update);
+                this.place(update);
+                if (node.update) this.expression(node.update, false);
+                this.instruction('jmp', top);
+                this.place(end);
+                break;
+            }
+            case 'ReturnStatement':
+                if (node.argument) {
+                    this.expression(node.argument);
+                } else {
+                    this.instruction('const', undefined);
+                }
+                this.instruction('ret');
+                break;
+            case 'BreakStatement':
+                this.instruction('jmp', this.loops[this.loops.length - 1].breakLabel);
+                break;
+            case 'ContinueStatement':
+                this.instruction('jmp', this.loops[this.loops.length - 1].continueLabel);
+                break;
+            default:
+                // EmptyStatement 和类型声明不生成代码
+                break;
+        }
+    }
+
+    loop(body, breakLabel, continueLabel) {
+        this.loops.push({ breakLabel, continueLabel });
+        this.statement(body);
+        this.loops.pop();
+    }
+
+    /**
+     * 编译表达式
+     * @param {Object} node - 表达式节点
+     * @param {boolean} needValue - 为 false 时结果不留在栈上
+     */
+    expression(node, needValue = true) {
+        switch (node.type) {
+            case 'AssignmentExpression':
+                this.assignment(node, needValue);
+                return;
+            case 'UpdateExpression':
+                this.update(node, needValue);
+                return;
+            default:
+                this.value(node);
+                if (!needValue) this.instruction('pop');
+        }
+    }
+
+    value(node) {
+        switch (node.type) {
+            case 'Literal':
+                this.instruction('const', node.value);
+                break;
+            case 'Identifier':
+                this.load(this.analysis.variableOf(node));
+                break;
+            case 'BinaryExpression':
+                this.value(node.left);
+                this.value(node.right);
+                this.instruction(BINARY_OPCODES[node.operator]);
+                break;
+            case 'UnaryExpression':
+                this.value(node.argument);
+                this.instruction(UNARY_OPCODES[node.operator]);
+                break;
+            case 'LogicalExpression': {
+                const end = this.label();
+                this.value(node.left);
+                this.instruction('dup');
+                this.instruction(logicalJump(node.operator), end);
+                this.instruction('pop');
+                this.value(node.right);
+                this.place(end);
+                break;
+            }
+            case 'ConditionalExpression': {
+                const otherwise = this.label();
+                const end = this.label();
+                this.value(node.test);
+                this.instruction('jz', otherwise);
+                this.value(node.consequent);
+                this.instruction('jmp', end);
+                this.place(otherwise);
+                this.value(node.alternate);
+                this.place(end);
+                break;
+            }
+            case 'CallExpression':
+                this.call(node);
+                break;
+            default:
+                this.expression(node);
+        }
+    }
+
+    call(node) {
+        if (isPrintCall(node)) {
+            node.arguments.forEach(argument => this.value(argument));
+            this.instruction('print', node.arguments.length);
+            return;
+        }
+
+        const callee = this.analysis.variableOf(node.callee);
+        if (isImport(callee)) {
+            // 形参个数要到链接时才知道，实参全部压栈
+            node.arguments.forEach(argument => this.value(argument));
+            const instruction = this.instruction('call', this.analysis.externs.indexOf(callee.extern));
+            instruction.extern = true;
+            instruction.argc = node.arguments.length;
+            return;
+        }
+
+        // 多余的实参只求值，缺少的实参补 undefined
+        const index = this.functionIndex.get(node.callee.name);
+        const params = this.analysis.functions[index].params.length;
+        node.arguments.forEach((argument, position) => {
+            this.value(argument);
+            if (position >= params) this.instruction('pop');
+        });
+        for (let position = node.arguments.length; position < params; position++) {
+            this.instruction('const', undefined);
+        }
+        this.instruction('call', index);
+    }
+
+    assignment(node, needValue) {
+        const variable = this.analysis.variableOf(node.left);
+        const operator = node.operator.slice(0, -1);
+
+        if (node.operator === '=') {
+            this.value(node.right);
+        } else if (BINARY_OPCODES[operator]) {
+            this.load(variable);
+            this.value(node.right);
+            this.instruction(BINARY_OPCODES[operator]);
+        } else {
+            // 逻辑赋值：左侧已决定结果时不赋值
+            const end = this.label();
+            this.load(variable);
+            this.instruction('dup');
+            this.instruction(logicalJump(operator), end);
+            this.instruction('pop');
+            this.value(node.right);
+            this.instruction('dup');
+            this.store(variable);
+            this.place(end);
+            if (!needValue) this.instruction('pop');
+            return;
+        }
+
+        if (needValue) this.instruction('dup');
+        this.store(variable);
+    }
+
+    update(node, needValue) {
+        const variable = this.analysis.variableOf(node.argument);
+        const op = node.operator === '++' ? 'inc' : 'dec';
+
+        this.load(variable);
+        if (needValue && !node.prefix) {
+            // 后缀形式的值是转换为数字后的旧值
+            this.instruction('num');
+            this.instruction('dup');
+            this.instruction(op);
+        } else {
+            this.instruction(op);
+            if (needValue) this.instruction('dup');
+        }
+        this.store(variable);
+    }
+}
+
+/**
+ * 逻辑运算短路时使用的跳转指令
+ * @private
+ */
+function logicalJump(operator) {
+    return { '&&': 'jz', '||': 'jnz', '??': 'jnn' }[operator];
+}
@@ -0,0 +1,265 @@
+// src/modules/bytecodeVM.js
+// 字节码虚拟机 - 执行代码生成产出的栈式字节码，并按指令采集周期和热点数据
+
+/*
+    是什么: 执行`bytecodeCompiler.js`产出的字节码的栈式虚拟机。
+            每条指令按`VM_CYCLES`计入模拟的周期数，同时记录每条指令的执行次数、
+            条件跳转的跳转次数和每个函数的调用次数，运行结束后汇总为性能剖析（profile）。
+    为什么: 部署得分应当反映编译出的程序真正运行时的表现，而不是资源数量的固定比例。
+    如何关联:
+        - 由`Game.deployProgram()`调用，剖析结果显示在`VMProfileView`中。
+        - 剖析中的指令数和周期数交给`PerformanceAnalyzer.analyzeCode()`计算部署得分。
+        - 执行上限见`VM_LIMITS`，超过时以 VMError 结束。
+
+    剖析结果:
+        - instructions / cycles / ipc：执行的指令总数、周期总数和每周期指令数
+        - opcodes：每种指令的执行次数和周期
+        - functions：每个函数的调用次数、执行的指令和周期（不含被调用的函数）
+        - loops：回跳指令（跳转目标在前面）构成的循环及其迭代次数，按周期排序
+        - hotInstructions：周期最多的指令；counts：每个函数中每条指令的执行次数
+*/
+
+import { VM_LIMITS, VM_CYCLES } from '../utils/constants.js';
+import { JUMP_OPCODES } from './bytecodeCompiler.js';
+import { evaluateBinary } from './ir.js';
+
+// 剖析中保留的热点指令和循环数量
+const HOT_LIMIT = 10;
+
+/**
+ * 虚拟机错误：超出执行上限
+ */
+export class VMError extends Error {
+    /**
+     * @param {string} message - 错误描述
+     * @param {number} line - 正在执行的指令对应的源码行
+     */
+    constructor(message, line) {
+        super(`${message} (第${line}行)`);
+        this.name = 'VMError';
+        this.description = message;
+        this.line = line;
+    }
+}
+
+/**
+ * 字节码虚拟机
+ */
+export class BytecodeVM {
+    /**
+     * @param {Object} limits - 执行上限，缺省使用 VM_LIMITS
+     */
+    constructor(limits = {}) {
+        this.limits = { ...VM_LIMITS, ...limits };
+    }
+
+    /**
+     * 执行程序
+     * @param {Object} program - compileToBytecode() 的返回值
+     * @returns {Object} { ok, output: [string], error, profile, milliseconds }
+     */
+    run(program) {
+        const startTime = Date.now();
+        this.program = program;
+        this.output = [];
+        this.counts = program.functions.map(fn => new Float64Array(fn.code.length));
+        this.taken = program.functions.map(fn => new Float64Array(fn.code.length));
+        this.calls = new Float64Array(program.functions.length);
+        this.executed = 0;
+
+        let error = null;
+        try {
+            this.execute();
+        } catch (caught) {
+            if (!(caught instanceof VMError)) throw caught;
+            error = caught;
+        }
+
+        return {
+            ok: error === null,
+            output: this.output,
+            error,
+            profile: this.buildProfile(),
+            milliseconds: Date.now() - startTime
+        };
+    }
+
+    /**
+     * 指令分派循环
+     * @private
+     */
+    execute() {
+        const { program, limits } = this;
+        const globals = new Array(program.globals.length).fill(undefined);
+        const frames = [];
+        const stack = [];
+
+        let fnIndex = 0;
+        let fn = program.functions[0];
+        let code = fn.code;
+        let counts = this.counts[0];
+        let locals = new Array(fn.slots.length).fill(undefined);
+        let pc = 0;
+        this.calls[0] = 1;
+
+        for (;;) {
+            const instruction = code[pc];
+            if (this.executed >= limits.maxInstructions) {
+                throw new VMError(`执行的指令超过 ${limits.maxInstructions} 条，可能是死循环`, instruction.line);
+            }
+            this.executed++;
+            counts[pc]++;
+            const current = pc++;
+
+            switch (instruction.op) {
+                case 'const': stack.push(instruction.arg); break;
+                case 'pop': stack.pop(); break;
+                case 'dup': stack.push(stack[stack.length - 1]); break;
+                case 'load': stack.push(locals[instruction.arg]); break;
+                case 'store': locals[instruction.arg] = stack.pop(); break;
+                case 'gload': stack.push(globals[instruction.arg]); break;
+                case 'gstore': globals[instruction.arg] = stack.pop(); break;
+                case 'neg': stack.push(-stack.pop()); break;
+                case 'num': stack.push(+stack.pop()); break;
+                case 'not': stack.push(!stack.pop()); break;
+                case 'bitnot': stack.push(~stack.pop()); break;
+                case 'inc': stack.push(+stack.pop() + 1); break;
+                case 'dec': stack.push(+stack.pop() - 1); break;
+                case 'jmp': pc = instruction.arg; break;
+                case 'jz':
+                case 'jnz':
+                case 'jnn':
+                    if (branchTaken(instruction.op, stack.pop())) {
+                        this.taken[fnIndex][current]++;
+                        pc = instruction.arg;
+                    }
+                    break;
+                case 'print': {
+                    const args = stack.splice(stack.length - instruction.arg, instruction.arg);
+                    if (this.output.length >= limits.maxOutputLines) {
+                        throw new VMError(`输出超过 ${limits.maxOutputLines} 行`, instruction.line);
+                    }
+                    this.output.push(args.map(formatOutput).join(' '));
+                    stack.push(undefined);
+                    break;
+                }
+                case 'call': {
+                    if (frames.length >= limits.maxCallDepth) {
+                        throw new VMError(`调用深度超过 ${limits.maxCallDepth}，可能是无限递归`, instruction.line);
+                    }
+                    frames.push({ fnIndex, locals, pc });
+                    fnIndex = instruction.arg;
+                    fn = program.functions[fnIndex];
+                    code = fn.code;
+                    counts = this.counts[fnIndex];
+                    locals = new Array(fn.slots.length).fill(undefined);
+                    const args = stack.splice(stack.length - fn.params, fn.params);
+                    args.forEach((value, index) => { locals[index] = value; });
+                    this.calls[fnIndex]++;
+                    pc = 0;
+                    break;
+                }
+                case 'ret': {
+                    const frame = frames.pop();
+                    fnIndex = frame.fnIndex;
+                    fn = program.functions[fnIndex];
+                    code = fn.code;
+                    counts = this.counts[fnIndex];
+                    locals = frame.locals;
+                    pc = frame.pc;
+                    break;
+                }
+                case 'halt':
+                    return;
+                default: {
+                    const right = stack.pop();
+                    const result = evaluateBinary(instruction.op, stack.pop(), right);
+                    if (typeof result === 'string' && result.length > limits.maxStringLength) {
+                        throw new VMError(`字符串长度超过 ${limits.maxStringLength}`, instruction.line);
+                    }
+                    stack.push(result);
+                }
+            }
+        }
+    }
+
+    /**
+     * 汇总剖析结果
+     * @private
+     */
+    buildProfile() {
+        const { program } = this;
+        const cost = (op) => VM_CYCLES.opcodes[op] || 1;
+        const opcodes = {};
+        const instructions = [];
+        const loops = [];
+
+        const functions = program.functions.map((fn, fnIndex) => {
+            const counts = this.counts[fnIndex];
+            const taken = this.taken[fnIndex];
+            let fnInstructions = 0;
+            let fnCycles = 0;
+
+            fn.code.forEach((instruction, pc) => {
+                const count = counts[pc];
+                if (count === 0) return;
+                const cycles = count * cost(instruction.op) + taken[pc] * VM_CYCLES.takenBranch;
+                fnInstructions += count;
+                fnCycles += cycles;
+
+                if (!opcodes[instruction.op]) opcodes[instruction.op] = { count: 0, cycles: 0 };
+                opcodes[instruction.op].count += count;
+                opcodes[instruction.op].cycles += cycles;
+                instructions.push({ function: fn.name, pc, op: instruction.op, line: instruction.line, count, cycles });
+
+                // 回跳构成循环，无条件回跳的执行次数或条件回跳的跳转次数就是迭代次数
+                if (JUMP_OPCODES.has(instruction.op) && instruction.arg <= pc) {
+                    const iterations = instruction.op === 'jmp' ? count : taken[pc];
+                    if (iterations > 0) loops.push({ function: fn.name, start: instruction.arg, end: pc, line: fn.code[instruction.arg].line, iterations });
+                }
+            });
+
+            return { name: fn.name, calls: this.calls[fnIndex], instructions: fnInstructions, cycles: fnCycles };
+        });
+
+        // 循环的周期：循环范围内所有指令的周期之和
+        loops.forEach(loop => {
+            loop.cycles = instructions
+                .filter(entry => entry.function === loop.function && entry.pc >= loop.start && entry.pc <= loop.end)
+                .reduce((sum, entry) => sum + entry.cycles, 0);
+        });
+
+        const totalCycles = functions.reduce((sum, fn) => sum + fn.cycles, 0);
+        return {
+            instructions: this.executed,
+            cycles: totalCycles,
+            ipc: totalCycles > 0 ? this.executed / totalCycles : 0,
+            opcodes,
+            functions,
+            loops: loops.sort((a, b) => b.cycles - a.cycles).slice(0, HOT_LIMIT),
+            hotInstructions: instructions.sort((a, b) => b.cycles - a.cycles).slice(0, HOT_LIMIT),
+            counts: this.counts.map(counts => Array.from(counts))
+        };
+    }
+}
+
+/**
+ * 条件跳转是否发生
+ * @private
+ */
+function branchTaken(op, value) {
+    if (op === 'jz') return !value;
+    if (op === 'jnz') return Boolean(value);
+    return value !== null && value !== undefined;
+}
+
+/**
+ * print 输出的文本，与控制台的格式一致
+ * @param {*} value - 输出的值
+ * @returns {string}
+ */
+export function formatOutput(value) {
+    if (typeof value === 'string') return value;
+    if (Object.is(value, -0)) return '-0';
+    return String(value);
+}
@@ -5,26 +5,55 @@
     是什么: 代码生成器类，负责将AST节点转换为可执行代码。
     为什么: 实现编译器的第三个核心阶段，从抽象语法树生成目标代码。
     如何关联: 对应《第三阶段实现方案》中的CodeGenerator架构设计。
+              每个模板都有真正的后端：basic 输出栈式字节码，llvm 输出 SSA 形式的 IR，
+              jit 输出经过 SSA 化简的 JavaScript，wasm 输出 WebAssembly 二进制模块（清单为 WAT 文本）。`compile()`记录最近一次编译的指令数，
+              自动生成的代码量按"每个 AST 节点生成多少条指令"计算。
+              编译时由`CodeOptimizer`对 IR 运行优化遍，llvm 和 jit 模板输出优化后的代码；
+              basic 模板的字节码再经过窥孔优化（`peephole.js`）。
 */
+
+import { compileToBytecode, countBytecode, formatBytecode } from './bytecodeCompiler.js';
+import { buildIR } from './irBuilder.js';
+import { countInstructions, printModule } from './ir.js';
+import { emitJavaScript } from './jsEmitter.js';
+import { compileToWasm } from './wasmBackend.js';
+import { countASTNodes } from '../utils/astUtils.js';
+
 export class CodeGenerator {
     constructor() {
+        // SSA IR 比字节码紧凑（每个节点生成的指令更少），高级模板的效率相应更高
+        // defaultDensity: 还没有编译过程序时假定的每节点指令数（典型程序的实测值）
         this.templates = {
             'basic': {
                 name: '基础代码生成',
                 efficiency: 0.1,
-                description: '简单的代码生成模板'
+                defaultDensity: 0.7,
+                description: '简单的代码生成模板',
+                target: '栈式字节码'
             },
             'llvm': {
                 name: 'LLVM后端',
-                efficiency: 0.15,
+                efficiency: 0.25,
+                defaultDensity: 0.4,
                 description: '使用LLVM工具链的高效代码生成',
+                target: 'SSA IR',
                 unlockThreshold: new Decimal(5000)
             },
             'jit': {
                 name: 'JIT编译器',
-                efficiency: 0.2,
+                efficiency: 0.4,
+                defaultDensity: 0.4,
                 description: '实时编译技术，效率最高',
+                target: 'JavaScript',
                 unlockThreshold: new Decimal(50000)
+            },
+            'wasm': {
+                name: 'WebAssembly后端',
+                efficiency: 0.55,
+                defaultDensity: 0.4,
+                description: '输出浏览器原生执行的二进制模块，要求每个值的类型固定',
+                target: 'WebAssembly',
+                unlockThreshold: new Decimal(500000)
             }
         };
         
@@ -35,6 +64,63 @@ export class CodeGenerator {
             sessionsCount: 0,
             averageEfficiency: 0
         };
+
+        // 最近一次编译：{ template, instructionCount, nodeCount, listing, output, ir, optimization, peephole }
+        this.lastCompilation = null;
+    }
+
+    /**
+     * 用当前模板编译程序
+     * 优化遍总是在 IR 上运行；llvm、jit 和 wasm 模板的目标代码使用优化后的 IR，指令数按优化之前计算
+     * wasm 模板的 output 是 compileToWasm() 的返回值
+     * 导入其他模块的程序不能降低为 IR，basic 模板下 ir 和 optimization 为 null
+     * basic 模板的 output 和清单是窥孔优化后的字节码，指令数同样按优化之前计算；其他模板的 peephole 为 null
+     * @param {Object} ast - Program 节点
+     * @param {Function|null} optimize - 对 IR 运行优化遍，参数和返回值同 CodeOptimizer.optimizeProgram()
+     * @param {Function|null} peephole - 对字节码运行窥孔优化，参数和返回值同 CodeOptimizer.optimizeBytecode()
+     * @returns {Object} { template, instructionCount, nodeCount, listing, output, ir, optimization, peephole }
+     * @throws {CompileError} 程序不在可编译子集中
+     * @throws {WasmCompileError} wasm 模板下值的类型不固定
+     */
+    compile(ast, optimize = null, peephole = null) {
+        const nodeCount = countASTNodes(ast);
+        const imports = ast.body.some(node => node.type === 'ImportDeclaration');
+        const ir = imports && this.currentTemplate === 'basic' ? null : buildIR(ast);
+        const optimization = optimize && ir ? optimize(ir) : null;
+        let output;
+        let listing;
+        let instructionCount;
+        let rewriting = null;
+
+        if (this.currentTemplate === 'basic') {
+            const bytecode = compileToBytecode(ast);
+            rewriting = peephole ? peephole(bytecode) : null;
+            output = rewriting ? rewriting.program : bytecode;
+            listing = formatBytecode(output);
+            instructionCount = countBytecode(bytecode);
+        } else if (this.currentTemplate === 'wasm') {
+            output = compileToWasm(optimization ? optimization.module : ir);
+            listing = output.text;
+            instructionCount = countInstructions(ir);
+        } else {
+            output = ir;
+            const optimized = optimization ? optimization.module : ir;
+            listing = this.currentTemplate === 'llvm' ? printModule(optimized) : emitJavaScript(optimized);
+            instructionCount = countInstructions(ir);
+        }
+
+        this.lastCompilation = { template: this.currentTemplate, instructionCount, nodeCount, listing, output, ir, optimization, peephole: rewriting };
+        return this.lastCompilation;
+    }
+
+    /**
+     * 每个 AST 节点生成的指令数，还没有编译过程序时为当前模板的默认值
+     * @returns {number}
+     */
+    getInstructionDensity() {
+        const compilation = this.lastCompilation;
+        if (!compilation || compilation.nodeCount === 0) return this.templates[this.currentTemplate].defaultDensity;
+        return compilation.instructionCount / compilation.nodeCount;
     }
     
     /**
@@ -53,8 +139,11 @@ export class CodeGenerator {
             return new Decimal(0);
         }
 
-        // 基础生成量
-        const baseGeneration = astNodes.mul(template.efficiency);
+        // 基础生成量：最近一次编译中每个节点生成的指令数（还没有编译过时按模板的默认值）
+        const baseGeneration = astNodes.mul(template.efficiency).mul(this.getInstructionDensity());
+        if (baseGeneration.lte(0)) {
+            return new Decimal(0);
+        }
         
         // 优化加成
         const optimizationBonus = new Decimal(1).add(this.optimizationLevel * 0.1);
@@ -172,6 +261,7 @@ export class CodeGenerator {
         };
         this.currentTemplate = 'basic';
         this.optimizationLevel = 0;
+        this.lastCompilation = null;
     }
     
     /**
@@ -185,7 +275,7 @@ export class CodeGenerator {
         const template = this.templates[templateId || this.currentTemplate];
         const optimization = optLevel !== null ? optLevel : this.optimizationLevel;
         
-        const baseGeneration = astNodes.mul(template.efficiency);
+        const baseGeneration = astNodes.mul(template.efficiency).mul(this.getInstructionDensity());
         const optimizationBonus = new Decimal(1).add(optimization * 0.1);
         const experienceBonus = new Decimal(1).add(
             this.generationStats.totalGenerated.div(10000).mul(0.05)
@@ -1,18 +1,30 @@
 // src/modules/codeOptimizer.js
 // 代码优化器模块
 
-import { OPTIMIZATION_TECHS } from '../utils/constants.js';
+import { OPTIMIZATION_TECHS, REGISTER_PUZZLE } from '../utils/constants.js';
+import { cloneModule, countInstructions, printModule } from './ir.js';
+import { OPTIMIZATION_PIPELINE } from './irOptimizer.js';
+import { PeepholeOptimizer } from './peephole.js';
 
 /*
     是什么: 代码优化器类，实现各种编译器优化技术。
     为什么: 模拟真实编译器的优化过程，提供策略深度和技术树玩法。
     如何关联: 实现《第三阶段实现方案》中的优化技术树概念。
+            每项技术对应`irOptimizer.js`中的一个 IR 优化遍，`optimizeProgram()`按技术等级运行它们。
+            寄存器分配谜题（`registerPuzzle.js`）的成绩记录在这里，作为优化倍率的额外加成。
+            窥孔优化不是 IR 优化遍，而是作用于字节码的改写规则（`peephole.js`），技术等级是规则槽数。
 */
 export class CodeOptimizer {
     constructor() {
         this.optimizations = {};
         this.optimizationHistory = [];
         this.totalOptimizationScore = new Decimal(0);
+
+        // 寄存器分配谜题：谜题 → 比线性扫描少溢出的最多个数
+        this.puzzleRecords = {};
+
+        // 窥孔优化的改写规则，威望重置时保留
+        this.peephole = new PeepholeOptimizer();
         
         // 初始化优化技术
         Object.keys(OPTIMIZATION_TECHS).forEach(key => {
@@ -44,7 +56,31 @@ export class CodeOptimizer {
             }
         });
         
-        return totalMultiplier;
+        return totalMultiplier.mul(this.getPuzzleBonus().add(1));
+    }
+
+    /**
+     * 寄存器分配谜题带来的优化倍率加成
+     * @returns {Decimal} 加成（0 ~ REGISTER_PUZZLE.maximum）
+     */
+    getPuzzleBonus() {
+        const saved = Object.values(this.puzzleRecords).reduce((sum, count) => sum + count, 0);
+        return Decimal.min(REGISTER_PUZZLE.maximum, new Decimal(REGISTER_PUZZLE.bonusPerSpill).mul(saved));
+    }
+
+    /**
+     * 记录一次寄存器分配谜题的成绩，只有超过该谜题之前的最好成绩才增加加成
+     * @param {string} key - RegisterPuzzle.key
+     * @param {number} saved - 比线性扫描少溢出的个数
+     * @returns {number} 比之前的最好成绩多少溢出的个数
+     */
+    recordPuzzle(key, saved) {
+        const previous = this.puzzleRecords[key] || 0;
+        if (saved <= previous) {
+            return 0;
+        }
+        this.puzzleRecords[key] = saved;
+        return saved - previous;
     }
     
     /**
@@ -69,6 +105,58 @@ export class CodeOptimizer {
         return optimizedAmount;
     }
     
+    /**
+     * 按各项技术的等级对程序的 IR 运行优化遍，记录每个遍前后的 IR 和指令数
+     * @param {Object} module - buildIR() 的返回值，不会被修改
+     * @returns {Object} { module: 优化后的 IR, passes: [{ tech, name, level, lowering, summary, before, after, instructionsBefore, instructionsAfter }] }
+     */
+    optimizeProgram(module) {
+        const current = cloneModule(module);
+        const passes = [];
+
+        OPTIMIZATION_PIPELINE.forEach(pass => {
+            const { level } = this.optimizations[pass.tech];
+            if (level === 0) return;
+
+            // 寄存器分配之后的 IR 只用于展示，后续的目标代码仍然使用分配之前的 IR
+            const target = pass.lowering ? cloneModule(current) : current;
+            const before = printModule(current);
+            const instructionsBefore = countInstructions(current);
+            const stats = pass.run(target, level);
+
+            passes.push({
+                tech: pass.tech,
+                name: OPTIMIZATION_TECHS[pass.tech].name,
+                level,
+                lowering: Boolean(pass.lowering),
+                summary: pass.describe(stats),
+                before,
+                after: printModule(target),
+                instructionsBefore,
+                instructionsAfter: countInstructions(target)
+            });
+        });
+
+        return { module: current, passes };
+    }
+
+    /**
+     * 用已解锁的规则槽对字节码运行窥孔优化
+     * @param {Object} program - compileToBytecode() 的返回值，不会被修改
+     * @returns {Object} PeepholeOptimizer.run() 的返回值
+     */
+    optimizeBytecode(program) {
+        return this.peephole.run(program, this.getPeepholeSlots());
+    }
+
+    /**
+     * 窥孔优化的规则槽数
+     * @returns {number}
+     */
+    getPeepholeSlots() {
+        return this.optimizations.peephole.level;
+    }
+
     /**
      * 检查是否可以升级优化技术
      * @param {string} techKey - 技术键名
@@ -257,6 +345,7 @@ export class CodeOptimizer {
         if (!keepSomeProgress) {
             this.optimizationHistory = [];
             this.totalOptimizationScore = new Decimal(0);
+            this.puzzleRecords = {};
         }
     }
 }
@@ -0,0 +1,475 @@
+// src/modules/compilerFrontend.js
+// 代码生成前端 - 检查可编译子集并解析变量
+
+/*
+    是什么: 代码生成各个后端（字节码、SSA IR、JavaScript）共用的前端：
+            检查 AST 是否属于可编译的子集，把程序拆成函数，并把每个标识符解析到唯一的变量。
+    为什么: 解释器可以执行完整的 JavaScript 子集，而编译到字节码和 IR 需要更严格的限制
+            （没有闭包、对象和数组），各个后端对同一程序必须得到相同的变量划分。
+    如何关联:
+        - `bytecodeCompiler.js` 和 `irBuilder.js` 都以`analyzeProgram()`的结果为输入。
+        - 不支持的语法抛出 CompileError，由`Game.compileProgram()`显示在目标代码面板中。
+
+    可编译子集:
+        - 顶层函数声明（简单参数），顶层语句组成 main 函数
+        - var/let/const（块作用域）、赋值和复合赋值、++/--
+        - if/while/do-while/for/break/continue/return，条件表达式和 &&、||、??
+        - 数字、字符串、布尔值、null、undefined 和算术/比较/位运算
+        - 直接调用顶层函数，console.log(...) 编译为 print
+        - 顶层的 import { a, b as c } from '...' 和 export 声明 / export { ... }
+    被顶层函数引用的顶层变量是全局变量（load/store），其余变量都是所在函数的局部变量。
+
+    模块: import 和 export 只被收集为符号信息，由`linker.js`在链接时解析。
+        - 导入的名字是外部符号，只能直接调用（外部函数）或读取（外部变量），不能赋值。
+        - 导出的顶层变量总是全局变量，这样其他模块才能读取它；导出的函数就是普通的顶层函数。
+*/
+
+// 二元运算符 → 字节码和 IR 的操作码
+export const BINARY_OPCODES = {
+    '+': 'add', '-': 'sub', '*': 'mul', '/': 'div', '%': 'rem', '**': 'pow',
+    '<<': 'shl', '>>': 'shr', '>>>': 'ushr', '&': 'and', '|': 'or', '^': 'xor',
+    '==': 'eq', '!=': 'ne', '===': 'seq', '!==': 'sne', '<': 'lt', '<=': 'le', '>': 'gt', '>=': 'ge'
+};
+
+// 一元运算符 → 操作码
+export const UNARY_OPCODES = { '-': 'neg', '+': 'num', '!': 'not', '~': 'bitnot' };
+
+/**
+ * 代码生成错误：程序使用了可编译子集之外的语法
+ */
+export class CompileError extends Error {
+    /**
+     * @param {string} message - 错误描述
+     * @param {Object} node - 出错位置的 AST 节点
+     */
+    constructor(message, node) {
+        const loc = node && node.loc ? node.loc.start : { line: 1, column: 1 };
+        super(`${message} (第${loc.line}行, 第${loc.column}列)`);
+        this.name = 'CompileError';
+        this.description = message;
+        this.line = loc.line;
+        this.column = loc.column;
+        this.position = node ? node.start : 0;
+        this.end = node ? node.end : 0;
+    }
+}
+
+/**
+ * 是否为 console.log(...) 调用
+ * @param {Object} node - CallExpression 节点
+ * @returns {boolean}
+ */
+export function isPrintCall(node) {
+    const { callee } = node;
+    return callee.type === 'MemberExpression' && !callee.computed && !callee.optional &&
+        callee.object.type === 'Identifier' && callee.object.name === 'console' &&
+        callee.property.name === 'log';
+}
+
+/**
+ * 分析程序：拆分函数、检查可编译子集、解析变量
+ * @param {Object} ast - Program 节点
+ * @returns {Object} { functions: [{ name, node, params, locals, body }]（第一个是 main）, globals,
+ *          imports: [{ source, node }], externs: [{ variable, imported, source, node, called, read }],
+ *          exports: [{ name, kind: 'function'|'variable', function, variable, node }], variableOf(identifier) }
+ * @throws {CompileError} 程序不在可编译子集中
+ */
+export function analyzeProgram(ast) {
+    return new ProgramAnalyzer().analyze(ast);
+}
+
+/**
+ * @private
+ */
+class ProgramAnalyzer {
+    analyze(ast) {
+        this.variables = new Map();
+        this.globals = [];
+        this.functionNames = new Set();
+        this.imports = [];
+        this.externs = [];
+        this.exports = [];
+
+        const main = { name: 'main', node: ast, params: [], locals: [], body: [], names: new Map() };
+        const functions = [main];
+        const exportedDeclarations = [];
+        const exportSpecifiers = [];
+        ast.body.forEach(item => {
+            if (item.type === 'ImportDeclaration') {
+                this.imports.push({ source: item.source.value, node: item });
+                return;
+            }
+            if (item.type === 'ExportNamedDeclaration' && !item.declaration) {
+                exportSpecifiers.push(...item.specifiers);
+                return;
+            }
+            const statement = item.type === 'ExportNamedDeclaration' ? item.declaration : item;
+            if (statement !== item) exportedDeclarations.push(statement);
+
+            if (statement.type === 'FunctionDeclaration') {
+                if (statement.id.name === 'main') {
+                    throw new CompileError("'main' 是程序入口的保留名，不能声明同名函数", statement.id);
+                }
+                if (this.functionNames.has(statement.id.name)) {
+                    throw new CompileError(`函数 '${statement.id.name}' 重复声明`, statement.id);
+                }
+                this.functionNames.add(statement.id.name);
+                functions.push({ name: statement.id.name, node: statement, params: [], locals: [], body: statement.body.body, names: new Map() });
+            } else {
+                main.body.push(statement);
+            }
+        });
+
+        // 顶层作用域：var 提升，let/const 直接声明（暂时性死区由解释器负责，这里不再检查）
+        this.programScope = { parent: null, names: new Map(), owner: main };
+        this.declareImports(main);
+        this.declareHoisted(main.body, this.programScope, main);
+        this.declareExports(exportedDeclarations, exportSpecifiers);
+        this.visitStatements(main.body, this.programScope, main, false);
+
+        functions.slice(1).forEach(fn => {
+            const scope = { parent: this.programScope, names: new Map(), owner: fn };
+            fn.node.params.forEach(param => {
+                if (param.type !== 'Identifier') {
+                    throw new CompileError('代码生成只支持简单参数（不支持默认值、解构和剩余参数）', param);
+                }
+                fn.params.push(this.declare(param, 'param', scope, fn));
+            });
+            if (fn.node.async || fn.node.generator) {
+                throw new CompileError('代码生成不支持 async 函数和生成器', fn.node);
+            }
+            this.declareHoisted(fn.body, scope, fn);
+            this.visitStatements(fn.body, scope, fn, true);
+        });
+
+        return {
+            functions,
+            globals: this.globals,
+            imports: this.imports,
+            externs: this.externs,
+            exports: this.exports,
+            variableOf: (identifier) => this.variables.get(identifier) || null
+        };
+    }
+
+    /**
+     * 导入的名字声明为外部符号：不占局部变量槽，也不是本模块的全局变量
+     * @private
+     */
+    declareImports(main) {
+        this.imports.forEach(({ source, node }) => node.specifiers.forEach(specifier => {
+            const { local } = specifier;
+            if (this.functionNames.has(local.name) || this.programScope.names.has(local.name)) {
+                throw new CompileError(`'${local.name}' 重复声明`, local);
+            }
+            const variable = { name: local.name, id: local.name, kind: 'import', global: true, owner: main };
+            variable.extern = { variable, imported: specifier.imported.name, source, node: specifier, called: false, read: false };
+            this.externs.push(variable.extern);
+            this.programScope.names.set(local.name, variable);
+            this.variables.set(local, variable);
+        }));
+    }
+
+    /**
+     * 记录导出的函数和变量；导出的变量成为全局变量
+     * @private
+     */
+    declareExports(declarations, specifiers) {
+        const exportVariable = (name, variable, node) => {
+            if (variable.kind === 'import') {
+                throw new CompileError(`暂不支持重新导出导入的 '${variable.name}'`, node);
+            }
+            if (!variable.global) {
+                variable.global = true;
+                this.globals.push(variable);
+            }
+            this.exports.push({ name, kind: 'variable', function: null, variable, node });
+        };
+        const exportFunction = (name, functionName, node) => {
+            this.exports.push({ name, kind: 'function', function: functionName, variable: null, node });
+        };
+
+        declarations.forEach(declaration => {
+            if (declaration.type === 'FunctionDeclaration') {
+                exportFunction(declaration.id.name, declaration.id.name, declaration.id);
+            } else if (declaration.type === 'VariableDeclaration') {
+                declaration.declarations.forEach(declarator => {
+                    const variable = this.variables.get(declarator.id);
+                    if (variable.kind === 'import' || this.programScope.names.get(declarator.id.name) !== variable) {
+                        throw new CompileError(`'${declarator.id.name}' 重复声明`, declarator.id);
+                    }
+                    exportVariable(declarator.id.name, variable, declarator.id);
+                });
+            } else {
+                throw new CompileError(`代码生成暂不支持 ${declaration.type}`, declaration);
+            }
+        });
+
+        specifiers.forEach(({ local, exported }) => {
+            const variable = this.programScope.names.get(local.name);
+            if (variable) {
+                exportVariable(exported.name, variable, exported);
+            } else if (this.functionNames.has(local.name)) {
+                exportFunction(exported.name, local.name, exported);
+            } else {
+                throw new CompileError(`导出的 '${local.name}' 未声明`, local);
+            }
+        });
+    }
+
+    /**
+     * 声明一个变量，变量 id 在所属函数内唯一（同名的块级变量依次为 x、x.1、x.2…）
+     * @private
+     */
+    declare(identifier, kind, scope, owner) {
+        const count = owner.names.get(identifier.name) || 0;
+        owner.names.set(identifier.name, count + 1);
+        const variable = {
+            name: identifier.name,
+            id: count === 0 ? identifier.name : `${identifier.name}.${count}`,
+            kind,
+            global: false,
+            owner
+        };
+        if (kind !== 'param') owner.locals.push(variable);
+        scope.names.set(identifier.name, variable);
+        this.variables.set(identifier, variable);
+        return variable;
+    }
+
+    /**
+     * 作用域开始时声明的名字：当前语句列表中的 let/const，函数作用域还有所有嵌套块中的 var
+     * @private
+     */
+    declareHoisted(statements, scope, owner, includeVar = true) {
+        const declareIds = (declaration) => declaration.declarations.forEach(declarator => {
+            if (declarator.id.type !== 'Identifier') {
+                throw new CompileError('代码生成不支持解构声明', declarator.id);
+            }
+            if (!scope.names.has(declarator.id.name) || declaration.kind !== 'var') {
+                this.declare(declarator.id, declaration.kind, scope, owner);
+            } else {
+                this.variables.set(declarator.id, scope.names.get(declarator.id.name));
+            }
+        });
+
+        statements.forEach(statement => {
+            if (statement.type === 'VariableDeclaration' && statement.kind !== 'var') declareIds(statement);
+        });
+        if (!includeVar) return;
+
+        const visit = (node) => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+            } else if (node.type === 'VariableDeclaration') {
+                if (node.kind === 'var') declareIds(node);
+            } else if (node.type !== 'FunctionDeclaration' && node.type !== 'FunctionExpression' &&
+                node.type !== 'ArrowFunctionExpression' && node.type.endsWith('Statement')) {
+                ['body', 'consequent', 'alternate', 'init', 'block'].forEach(key => visit(node[key]));
+            }
+        };
+        visit(statements);
+    }
+
+    /**
+     * @private
+     */
+    lookup(identifier, scope) {
+        for (let current = scope; current; current = current.parent) {
+            if (current.names.has(identifier.name)) return current.names.get(identifier.name);
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    visitStatements(statements, scope, owner, inFunction) {
+        statements.forEach(statement => this.visitStatement(statement, scope, owner, inFunction));
+    }
+
+    /**
+     * @private
+     */
+    visitStatement(node, scope, owner, inFunction, inLoop = false) {
+        const visitExpression = (expression) => this.visitExpression(expression, scope, owner);
+        switch (node.type) {
+            case 'ExpressionStatement':
+                visitExpression(node.expression);
+                break;
+            case 'VariableDeclaration':
+                node.declarations.forEach(declarator => {
+                    if (!this.variables.has(declarator.id)) {
+                        // 已由 declareHoisted 声明；这里只会遇到 for 循环中的声明
+                        this.declare(declarator.id, node.kind, scope, owner);
+                    }
+                    if (declarator.init) visitExpression(declarator.init);
+                });
+                break;
+            case 'BlockStatement': {
+                const blockScope = { parent: scope, names: new Map(), owner };
+                this.declareHoisted(node.body, blockScope, owner, false);
+                node.body.forEach(statement => this.visitStatement(statement, blockScope, owner, inFunction, inLoop));
+                break;
+            }
+            case 'IfStatement':
+                visitExpression(node.test);
+                this.visitStatement(node.consequent, scope, owner, inFunction, inLoop);
+                if (node.alternate) this.visitStatement(node.alternate, scope, owner, inFunction, inLoop);
+                break;
+            case 'WhileStatement':
+            case 'DoWhileStatement':
+                visitExpression(node.test);
+                this.visitStatement(node.body, scope, owner, inFunction, true);
+                break;
+            case 'ForStatement': {
+                const loopScope = { parent: scope, names: new Map(), owner };
+                if (node.init && node.init.type === 'VariableDeclaration') {
+                    if (node.init.kind !== 'var') this.declareHoisted([node.init], loopScope, owner, false);
+                    this.visitStatement(node.init, loopScope, owner, inFunction);
+                } else if (node.init) {
+                    this.visitExpression(node.init, loopScope, owner);
+                }
+                if (node.test) this.visitExpression(node.test, loopScope, owner);
+                if (node.update) this.visitExpression(node.update, loopScope, owner);
+                this.visitStatement(node.body, loopScope, owner, inFunction, true);
+                break;
+            }
+            case 'ReturnStatement':
+                if (!inFunction) throw new CompileError('return 只能出现在函数中', node);
+                if (node.argument) visitExpression(node.argument);
+                break;
+            case 'BreakStatement':
+            case 'ContinueStatement':
+                if (node.label) throw new CompileError('代码生成不支持带标签的 break/continue', node);
+                if (!inLoop) throw new CompileError(`${node.type === 'BreakStatement' ? 'break' : 'continue'} 只能出现在循环中`, node);
+                break;
+            case 'EmptyStatement':
+            case 'TSTypeAliasDeclaration':
+            case 'TSInterfaceDeclaration':
+                break;
+            case 'FunctionDeclaration':
+                throw new CompileError('代码生成只支持顶层函数（不支持嵌套函数和闭包）', node);
+            default:
+                throw new CompileError(`代码生成暂不支持 ${node.type}`, node);
+        }
+    }
+
+    /**
+     * @private
+     */
+    visitExpression(node, scope, owner) {
+        const visit = (expression) => this.visitExpression(expression, scope, owner);
+        switch (node.type) {
+            case 'Literal':
+                if (node.regex || node.bigint !== undefined) {
+                    throw new CompileError('代码生成不支持正则表达式和 BigInt 字面量', node);
+                }
+                break;
+            case 'Identifier':
+                this.resolveReference(node, scope, owner);
+                break;
+            case 'BinaryExpression':
+                if (!BINARY_OPCODES[node.operator]) {
+                    throw new CompileError(`代码生成不支持运算符 '${node.operator}'`, node);
+                }
+                visit(node.left);
+                visit(node.right);
+                break;
+            case 'LogicalExpression':
+                visit(node.left);
+                visit(node.right);
+                break;
+            case 'UnaryExpression':
+                if (!UNARY_OPCODES[node.operator]) {
+                    throw new CompileError(`代码生成不支持运算符 '${node.operator}'`, node);
+                }
+                visit(node.argument);
+                break;
+            case 'UpdateExpression':
+                this.visitAssignmentTarget(node.argument, scope, owner);
+                break;
+            case 'AssignmentExpression': {
+                const operator = node.operator.slice(0, -1);
+                if (node.operator !== '=' && !BINARY_OPCODES[operator] && !['&&', '||', '??'].includes(operator)) {
+                    throw new CompileError(`代码生成不支持运算符 '${node.operator}'`, node);
+                }
+                this.visitAssignmentTarget(node.left, scope, owner);
+                visit(node.right);
+                break;
+            }
+            case 'ConditionalExpression':
+                visit(node.test);
+                visit(node.consequent);
+                visit(node.alternate);
+                break;
+            case 'CallExpression':
+                if (isPrintCall(node)) {
+                    // console.log 编译为内置的 print
+                } else if (node.callee.type === 'Identifier' && this.functionNames.has(node.callee.name) &&
+                    !this.lookup(node.callee, scope)) {
+                    // 直接调用顶层函数
+                } else if (node.callee.type === 'Identifier' && isImport(this.lookup(node.callee, scope))) {
+                    // 调用导入的函数，由链接器解析
+                    const variable = this.lookup(node.callee, scope);
+                    variable.extern.called = true;
+                    this.variables.set(node.callee, variable);
+                } else {
+                    throw new CompileError('代码生成只支持直接调用顶层函数、导入的函数和 console.log', node.callee);
+                }
+                node.arguments.forEach(argument => {
+                    if (argument.type === 'SpreadElement') throw new CompileError('代码生成不支持展开参数', argument);
+                    visit(argument);
+                });
+                break;
+            default:
+                throw new CompileError(`代码生成暂不支持 ${node.type}`, node);
+        }
+    }
+
+    /**
+     * @private
+     */
+    visitAssignmentTarget(node, scope, owner) {
+        if (node.type !== 'Identifier') {
+            throw new CompileError('代码生成只支持给变量赋值', node);
+        }
+        const variable = this.resolveReference(node, scope, owner);
+        if (!variable) throw new CompileError("不能给 'undefined' 赋值", node);
+        if (variable.kind === 'const') throw new CompileError(`不能给常量 '${node.name}' 赋值`, node);
+        if (isImport(variable)) throw new CompileError(`不能给导入的绑定 '${node.name}' 赋值`, node);
+    }
+
+    /**
+     * 解析引用；函数中引用的顶层变量成为全局变量
+     * @returns {Object|null} 变量，undefined 为 null
+     * @private
+     */
+    resolveReference(node, scope, owner) {
+        const variable = this.lookup(node, scope);
+        if (!variable) {
+            if (node.name === 'undefined') return null;
+            if (this.functionNames.has(node.name)) {
+                throw new CompileError(`函数 '${node.name}' 只能直接调用，不能作为值使用`, node);
+            }
+            throw new CompileError(`未声明的变量 '${node.name}'`, node);
+        }
+        if (variable.owner !== owner && !variable.global) {
+            variable.global = true;
+            this.globals.push(variable);
+        }
+        if (isImport(variable)) variable.extern.read = true;
+        this.variables.set(node, variable);
+        return variable;
+    }
+}
+
+/**
+ * 变量是否为导入的外部符号
+ * @param {Object|null} variable - 变量
+ * @returns {boolean}
+ */
+export function isImport(variable) {
+    return Boolean(variable && variable.kind === 'import');
+}
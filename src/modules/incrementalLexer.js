@@ -0,0 +1,282 @@
+// src/modules/incrementalLexer.js
+// 增量词法分析器
+
+/*
+    是什么: 在`Tokenizer`之上维护一份"当前文档"的令牌，编辑后只重新扫描受影响的区域。
+    为什么: 玩家边输入边看令牌流时，每次按键都从头扫描整段代码会让长输入卡顿。
+    如何关联:
+        - 使用`Tokenizer.scan()`从受损区域之前的令牌状态继续扫描，一旦扫描状态与旧令牌重新对齐就停止，
+          其后的旧令牌只平移位置后复用。
+        - 比较新旧代码的公共前缀和后缀得到编辑区域，不需要编辑器提供变更事件。
+        - 这是实时高亮和诊断的基础，由`Game`在代码输入框的 input 事件（防抖后）中调用。
+*/
+
+/**
+ * 比较两个不可变链表栈的内容
+ * @param {Object|null} a - 栈 { value, next }
+ * @param {Object|null} b - 栈 { value, next }
+ * @returns {boolean} 内容是否相同
+ */
+function sameStack(a, b) {
+    let left = a;
+    let right = b;
+    while (left !== null && right !== null) {
+        if (left === right) return true;
+        if (left.value !== right.value) return false;
+        left = left.next;
+        right = right.next;
+    }
+    return left === right;
+}
+
+/**
+ * 获取某个位置所在行的起始位置
+ * @param {string} code - 源代码
+ * @param {number} position - 位置
+ * @returns {number} 行首位置
+ */
+function lineStartOf(code, position) {
+    let start = position;
+    while (start > 0 && !'\n\r\u2028\u2029'.includes(code[start - 1])) start--;
+    return start;
+}
+
+export class IncrementalLexer {
+    /**
+     * @param {Tokenizer} tokenizer - 使用的词法分析器（语言包切换后会自动整体重新分析）
+     */
+    constructor(tokenizer) {
+        this.tokenizer = tokenizer;
+        this.reset();
+    }
+
+    /**
+     * 清空文档状态，下一次 update() 将整体分析
+     */
+    reset() {
+        this.code = null;
+        this.rules = null;
+        this.rawTokens = [];
+        this.states = [];
+        this.end = { position: 0, line: 1, column: 1 };
+        this.tokens = [];
+    }
+
+    /**
+     * 更新文档并返回最新令牌
+     * @param {string} code - 编辑后的完整代码
+     * @returns {Object} { tokens, change, reused, lexed }
+     *                   change 描述原始令牌数组中被替换的区间 { start, removed, inserted }，
+     *                   缩进敏感的语言或整体重新分析时为 null
+     */
+    update(code) {
+        if (code === this.code && this.rules === this.tokenizer.rules) {
+            return { tokens: this.tokens, change: { start: 0, removed: 0, inserted: 0 }, reused: this.rawTokens.length, lexed: 0 };
+        }
+
+        if (this.code === null || this.rules !== this.tokenizer.rules) {
+            return this.relexAll(code);
+        }
+
+        const oldCode = this.code;
+        const oldTokens = this.rawTokens;
+        const oldStates = this.states;
+
+        // 编辑区域: 旧代码 [prefix, oldCode.length - suffix) 被替换为新代码 [prefix, newEditEnd)
+        const maxCommon = Math.min(oldCode.length, code.length);
+        let prefix = 0;
+        while (prefix < maxCommon && oldCode.charCodeAt(prefix) === code.charCodeAt(prefix)) prefix++;
+        let suffix = 0;
+        while (suffix < maxCommon - prefix &&
+            oldCode.charCodeAt(oldCode.length - 1 - suffix) === code.charCodeAt(code.length - 1 - suffix)) {
+            suffix++;
+        }
+        const newEditEnd = code.length - suffix;
+        const delta = code.length - oldCode.length;
+
+        const restart = this.findRestartIndex(oldCode, prefix);
+        const resume = restart < 0 ? null : { previous: oldTokens[restart], ...oldStates[restart] };
+
+        // 重新扫描，直到某个令牌的起点落在未修改的后缀中、且扫描状态与旧令牌在该处的状态一致
+        let oldIndex = restart + 1;
+        const scanned = this.tokenizer.scan(code, resume, (token, state) => {
+            if (token.position < newEditEnd) return false;
+
+            const oldPosition = token.position - delta;
+            while (oldIndex < oldTokens.length && oldTokens[oldIndex].position < oldPosition) oldIndex++;
+            if (oldIndex >= oldTokens.length || oldTokens[oldIndex].position !== oldPosition) {
+                return false;
+            }
+
+            return this.sameState(state, token, oldIndex);
+        });
+
+        const head = oldTokens.slice(0, restart + 1);
+        let tail = [];
+        let tailStates = [];
+        if (scanned.stopToken) {
+            tail = this.shiftTokens(oldTokens.slice(oldIndex), scanned.stopToken);
+            tailStates = oldStates.slice(oldIndex);
+            this.end = this.shiftPosition(this.end, oldTokens[oldIndex], scanned.stopToken);
+        } else {
+            this.end = scanned.end;
+        }
+
+        this.code = code;
+        this.rawTokens = head.concat(scanned.tokens, tail);
+        this.states = oldStates.slice(0, restart + 1).concat(scanned.states, tailStates);
+        this.tokens = this.tokenizer.finishTokens(this.rawTokens, code, this.end);
+
+        const removed = (scanned.stopToken ? oldIndex : oldTokens.length) - (restart + 1);
+        return {
+            tokens: this.tokens,
+            change: this.tokenizer.language.indentation
+                ? null
+                : { start: restart + 1, removed: removed, inserted: scanned.tokens.length },
+            reused: head.length + tail.length,
+            lexed: scanned.tokens.length
+        };
+    }
+
+    /**
+     * 整体重新分析
+     * @param {string} code - 完整代码
+     * @returns {Object} 与 update() 相同的结果，change 为 null
+     * @private
+     */
+    relexAll(code) {
+        const scanned = this.tokenizer.scan(code);
+
+        this.code = code;
+        this.rules = this.tokenizer.rules;
+        this.rawTokens = scanned.tokens;
+        this.states = scanned.states;
+        this.end = scanned.end;
+        this.tokens = this.tokenizer.finishTokens(this.rawTokens, code, this.end);
+
+        return { tokens: this.tokens, change: null, reused: 0, lexed: scanned.tokens.length };
+    }
+
+    /**
+     * 找到可以继续扫描的最后一个令牌。
+     * 规则匹配（包括较早规则的失败尝试）最多看到当前行末尾，所以编辑所在行之前结束的令牌不受影响。
+     * 例外是跨行结构: 未闭合的块注释、三引号字符串、模板等匹配失败时会留下 UNKNOWN 令牌、
+     * 块注释开头或模板插值后的 }，它们的结果取决于后面任意远的文本，要从这些令牌所在行之前开始重新扫描。
+     * @param {string} oldCode - 旧代码
+     * @param {number} editStart - 编辑起点
+     * @returns {number} 令牌下标，-1 表示从头扫描
+     * @private
+     */
+    findRestartIndex(oldCode, editStart) {
+        const tokens = this.rawTokens;
+        const openers = (this.tokenizer.language.comments.block || []).map(([open]) => open);
+
+        let boundary = lineStartOf(oldCode, editStart);
+        for (let i = 0; i < tokens.length && tokens[i].position < boundary; i++) {
+            const token = tokens[i];
+            const inTemplate = i > 0 && this.states[i - 1].braceStack !== null &&
+                this.states[i - 1].braceStack.value === 'template';
+            if (token.type === 'UNKNOWN' ||
+                (inTemplate && token.type === 'DELIMITER' && token.value === '}') ||
+                openers.some(open => oldCode.startsWith(open, token.position))) {
+                boundary = lineStartOf(oldCode, token.position);
+                break;
+            }
+        }
+
+        // 二分查找最后一个 end < boundary 的令牌
+        let low = 0;
+        let high = tokens.length - 1;
+        let restart = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (tokens[mid].end < boundary) {
+                restart = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return restart;
+    }
+
+    /**
+     * 判断新扫描状态是否与旧令牌 oldIndex 之前的状态一致
+     * @param {Object} state - 新的扫描状态 { previous, conditionClosed, braceStack, parenStack }
+     * @param {Object} token - 新扫描到的令牌（位于未修改的后缀中）
+     * @param {number} oldIndex - 对应的旧令牌下标
+     * @returns {boolean} 是否一致
+     * @private
+     */
+    sameState(state, token, oldIndex) {
+        const oldToken = this.rawTokens[oldIndex];
+        const oldPrevious = oldIndex > 0 ? this.rawTokens[oldIndex - 1] : null;
+        const oldState = oldIndex > 0
+            ? this.states[oldIndex - 1]
+            : { conditionClosed: false, braceStack: null, parenStack: null };
+
+        if (state.previous === null || oldPrevious === null) {
+            if (state.previous !== oldPrevious) return false;
+        } else if (state.previous.type !== oldPrevious.type ||
+            state.previous.value !== oldPrevious.value ||
+            (state.previous.endLine < token.line) !== (oldPrevious.endLine < oldToken.line)) {
+            return false;
+        }
+
+        return state.conditionClosed === oldState.conditionClosed &&
+            sameStack(state.braceStack, oldState.braceStack) &&
+            sameStack(state.parenStack, oldState.parenStack);
+    }
+
+    /**
+     * 平移复用的旧令牌，使 tokens[0] 与 anchor 对齐
+     * 只有与 tokens[0] 同一行的列号需要平移，之后的行只平移行号
+     * @param {Array} tokens - 旧令牌
+     * @param {Object} anchor - 新扫描中与 tokens[0] 对应的令牌
+     * @returns {Array} 平移后的令牌
+     * @private
+     */
+    shiftTokens(tokens, anchor) {
+        if (tokens.length === 0) return tokens;
+
+        const first = tokens[0];
+        if (first.position === anchor.position && first.line === anchor.line && first.column === anchor.column) {
+            return tokens;
+        }
+
+        return tokens.map(token => ({
+            ...token,
+            ...this.shiftPosition({ position: token.position, line: token.line, column: token.column }, first, anchor),
+            ...this.shiftEnd(token, first, anchor)
+        }));
+    }
+
+    /**
+     * 平移一个 { position, line, column } 位置
+     * @param {Object} at - 旧位置
+     * @param {Object} first - 旧的对齐令牌
+     * @param {Object} anchor - 新的对齐令牌
+     * @returns {Object} 新位置
+     * @private
+     */
+    shiftPosition(at, first, anchor) {
+        return {
+            position: at.position + anchor.position - first.position,
+            line: at.line + anchor.line - first.line,
+            column: at.line === first.line ? at.column + anchor.column - first.column : at.column
+        };
+    }
+
+    /**
+     * 平移令牌的结束位置
+     * @param {Object} token - 旧令牌
+     * @param {Object} first - 旧的对齐令牌
+     * @param {Object} anchor - 新的对齐令牌
+     * @returns {Object} { end, endLine, endColumn }
+     * @private
+     */
+    shiftEnd(token, first, anchor) {
+        const shifted = this.shiftPosition({ position: token.end, line: token.endLine, column: token.endColumn }, first, anchor);
+        return { end: shifted.position, endLine: shifted.line, endColumn: shifted.column };
+    }
+}
@@ -0,0 +1,1517 @@
+// src/modules/interpreter.js
+// 解释器模块
+
+/*
+    是什么: 在沙箱中直接遍历`Parser.parse()`产生的 AST 执行玩家的代码（树遍历解释器）。
+    为什么: 游戏模拟的是编译器，但此前从未真正运行过任何代码。
+            能运行的程序才是编译流水线的最终目的，成功运行的程序会获得资源奖励。
+    如何关联:
+        - 由`Game.runProgram()`调用，输出显示在`ConsoleView`中，未捕获的异常作为 RuntimeError 诊断显示。
+        - 执行步数、调用深度、输出行数和字符串/数组大小都有上限（`INTERPRETER_LIMITS`），
+          死循环和无限递归会以 RuntimeError 结束，而不会卡住页面。
+
+    支持的子集:
+        - 变量（var/let/const，含暂时性死区）、解构、函数、闭包、箭头函数、默认参数和剩余参数
+        - if/for/for-in/for-of/while/do-while/switch/标签/break/continue/try/catch/finally/throw
+        - 数组、对象（含 getter/setter、展开、计算属性）、类（字段、私有字段、静态成员、继承和 super）、枚举
+        - 不支持 async 函数、生成器和标签模板，遇到时报 RuntimeError。
+        - export 声明按其中的普通声明执行；import 需要链接其他文件（`linker.js`），遇到时报 RuntimeError。
+
+    沙箱:
+        - 玩家代码只能访问下面 createGlobals() 提供的全局值，访问不到 window、document 和 Function 构造函数。
+        - 禁止读写 constructor 和 __proto__，禁止读取内置函数的 prototype，内置值是只读的代理，
+          所以玩家代码无法修改游戏自身使用的内置对象。
+*/
+
+import { INTERPRETER_LIMITS } from '../utils/constants.js';
+
+// 禁止读写的属性名：通过它们可以拿到 Function 构造函数或修改内置对象的原型
+const BLOCKED_PROPERTIES = new Set(['constructor', '__proto__', '__defineGetter__', '__defineSetter__']);
+
+// 派生类构造函数中调用 super() 之前的 this
+const UNINITIALIZED = Symbol('uninitialized');
+
+// 可选链短路时抛出，由外层 ChainExpression 捕获
+const SHORT_CIRCUIT = Symbol('short-circuit');
+
+// 循环体中结束本循环的 break
+const BREAK_LOOP = { type: 'break', label: null };
+
+// 解释器创建的函数 → { node, env, kind, homeObject, ... }
+const FUNCTIONS = new WeakMap();
+
+/**
+ * 运行时错误：未捕获的异常、超出执行上限或不支持的语法
+ * 与 ParseError 一样带有出错位置，可以转成诊断
+ */
+export class RuntimeError extends Error {
+    /**
+     * @param {string} message - 错误描述
+     * @param {Object} node - 出错位置的 AST 节点
+     */
+    constructor(message, node) {
+        const loc = node && node.loc ? node.loc.start : { line: 1, column: 1 };
+        super(`${message} (第${loc.line}行, 第${loc.column}列)`);
+        this.name = 'RuntimeError';
+        this.description = message;
+        this.line = loc.line;
+        this.column = loc.column;
+        this.position = node ? node.start : 0;
+        this.end = node ? node.end : 0;
+    }
+}
+
+/**
+ * 玩家代码抛出的值（throw 语句或运行时类型错误），可以被玩家代码的 try/catch 捕获
+ */
+class ThrowSignal {
+    constructor(value, node) {
+        this.value = value;
+        this.node = node;
+    }
+}
+
+/**
+ * 词法环境：一个作用域中的绑定，以及函数作用域的调用帧（this、arguments、super 的查找起点）
+ */
+class Environment {
+    /**
+     * @param {Environment|null} parent - 外层环境
+     * @param {Object|null} frame - 函数调用帧，箭头函数和块作用域没有
+     */
+    constructor(parent = null, frame = null) {
+        this.parent = parent;
+        this.frame = frame;
+        this.bindings = new Map();
+        // 类作用域中私有名称 → Symbol
+        this.privateNames = null;
+    }
+
+    declare(name, kind, value, initialized = true) {
+        this.bindings.set(name, { kind, value, initialized });
+    }
+
+    find(name) {
+        for (let env = this; env; env = env.parent) {
+            if (env.bindings.has(name)) return env.bindings.get(name);
+        }
+        return null;
+    }
+
+    findFrame() {
+        let env = this;
+        while (!env.frame) env = env.parent;
+        return env.frame;
+    }
+}
+
+/**
+ * 只读代理：玩家代码可以调用和 new 内置函数，但不能给它们添加或修改属性
+ */
+function readOnly(target) {
+    const reject = () => {
+        throw new TypeError('内置对象是只读的');
+    };
+    return new Proxy(target, { set: reject, defineProperty: reject, deleteProperty: reject, setPrototypeOf: reject });
+}
+
+/**
+ * 复制内置命名空间（Math、JSON 等）的指定成员，得到冻结的新对象
+ */
+function namespace(source, names) {
+    const copy = {};
+    names.forEach(name => {
+        copy[name] = typeof source[name] === 'function' ? source[name].bind(source) : source[name];
+    });
+    return Object.freeze(copy);
+}
+
+/**
+ * 树遍历解释器类
+ */
+export class Interpreter {
+    /**
+     * @param {Object} limits - 执行上限，默认为 INTERPRETER_LIMITS
+     */
+    constructor(limits = INTERPRETER_LIMITS) {
+        this.limits = { ...INTERPRETER_LIMITS, ...limits };
+    }
+
+    /**
+     * 执行一个程序
+     * @param {Object} ast - Program 节点
+     * @returns {Object} { ok, value（最后一个表达式语句的值）, output: [{ level, text }], error: RuntimeError|null, stats }
+     */
+    run(ast) {
+        this.output = [];
+        this.steps = 0;
+        this.calls = 0;
+        this.depth = 0;
+        this.maxDepth = 0;
+        this.lastValue = undefined;
+
+        this.currentNode = ast;
+        const startTime = Date.now();
+        const globalEnv = new Environment(null, { thisValue: undefined, homeObject: null, arguments: [] });
+        Object.entries(this.createGlobals()).forEach(([name, value]) => globalEnv.declare(name, 'const', value));
+
+        let error = null;
+        try {
+            this.declareVars(ast.body, globalEnv);
+            this.executeStatements(ast.body, globalEnv, true);
+        } catch (thrown) {
+            error = this.toRuntimeError(thrown, ast);
+        }
+
+        return {
+            ok: error === null,
+            value: this.lastValue,
+            output: this.output,
+            error,
+            stats: {
+                steps: this.steps,
+                calls: this.calls,
+                maxDepth: this.maxDepth,
+                outputLines: this.output.length,
+                milliseconds: Date.now() - startTime
+            }
+        };
+    }
+
+    /**
+     * 把执行中抛出的任何东西转成 RuntimeError
+     * @private
+     */
+    toRuntimeError(thrown, ast) {
+        if (thrown instanceof RuntimeError) return thrown;
+        if (thrown instanceof ThrowSignal) {
+            return new RuntimeError(`未捕获的异常: ${this.formatValue(thrown.value)}`, thrown.node);
+        }
+        if (thrown instanceof RangeError) {
+            // 宿主调用栈溢出（表达式嵌套过深）
+            return new RuntimeError(`执行失败: ${thrown.message}`, ast);
+        }
+        throw thrown;
+    }
+
+    /**
+     * 玩家代码可以访问的全局值
+     * @private
+     */
+    createGlobals() {
+        const log = (level) => (...args) => this.print(level, args);
+        const console = Object.freeze({
+            log: log('log'),
+            info: log('info'),
+            warn: log('warn'),
+            error: log('error')
+        });
+
+        return {
+            undefined,
+            NaN,
+            Infinity,
+            console,
+            Math: namespace(Math, Object.getOwnPropertyNames(Math)),
+            JSON: namespace(JSON, ['parse', 'stringify']),
+            Object: namespace(Object, ['keys', 'values', 'entries', 'assign', 'freeze', 'isFrozen', 'fromEntries']),
+            Array: namespace(Array, ['isArray', 'of', 'from']),
+            Number: readOnly(Number),
+            String: readOnly(String),
+            Boolean: readOnly(Boolean),
+            Map: readOnly(Map),
+            Set: readOnly(Set),
+            Error: readOnly(Error),
+            TypeError: readOnly(TypeError),
+            RangeError: readOnly(RangeError),
+            parseInt,
+            parseFloat,
+            isNaN,
+            isFinite
+        };
+    }
+
+    /**
+     * console.log 等：格式化参数后追加到输出
+     * @private
+     */
+    print(level, args) {
+        if (this.output.length >= this.limits.maxOutputLines) {
+            throw new RuntimeError(`输出超过 ${this.limits.maxOutputLines} 行`, this.currentNode);
+        }
+        const text = args.map(arg => (typeof arg === 'string' ? arg : this.formatValue(arg))).join(' ');
+        this.output.push({ level, text });
+    }
+
+    /**
+     * 计一步，超过上限时结束执行
+     * @private
+     */
+    tick(node) {
+        this.currentNode = node;
+        if (++this.steps > this.limits.maxSteps) {
+            throw new RuntimeError(`执行超过 ${this.limits.maxSteps} 步，可能存在死循环`, node);
+        }
+    }
+
+    /**
+     * 以玩家代码可以捕获的异常结束当前操作
+     * @param {Function} ErrorType - TypeError、ReferenceError 等
+     * @private
+     */
+    throwError(ErrorType, message, node) {
+        throw new ThrowSignal(new ErrorType(message), node);
+    }
+
+    /**
+     * 执行宿主操作（内置函数、运算符、属性访问），把宿主抛出的异常转成玩家代码可以捕获的异常
+     * @private
+     */
+    guard(operation, node) {
+        let result;
+        try {
+            result = operation();
+        } catch (error) {
+            if (error instanceof ThrowSignal || error instanceof RuntimeError || error === SHORT_CIRCUIT) throw error;
+            if (error instanceof RangeError && /call stack/i.test(error.message)) {
+                throw new RuntimeError('调用栈溢出', node);
+            }
+            throw new ThrowSignal(error, node);
+        }
+        this.checkSize(result, node);
+        return result;
+    }
+
+    /**
+     * 限制字符串和数组的大小，防止占满内存
+     * @private
+     */
+    checkSize(value, node) {
+        if ((typeof value === 'string' || Array.isArray(value)) && value.length > this.limits.maxAllocation) {
+            this.throwError(RangeError, `长度 ${value.length} 超过沙箱上限 ${this.limits.maxAllocation}`, node);
+        }
+    }
+
+    // ==================== 作用域和声明提升 ====================
+
+    /**
+     * 把函数体（或程序）中所有 var 声明的名字提升到函数作用域，不进入嵌套函数
+     * @private
+     */
+    declareVars(statements, env) {
+        const visit = (node) => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+                return;
+            }
+            switch (node.type) {
+                case 'VariableDeclaration':
+                    if (node.kind === 'var') {
+                        node.declarations.forEach(declarator => {
+                            this.patternNames(declarator.id).forEach(name => {
+                                if (!env.bindings.has(name)) env.declare(name, 'var', undefined);
+                            });
+                        });
+                    }
+                    return;
+                case 'BlockStatement':
+                    visit(node.body);
+                    return;
+                case 'IfStatement':
+                    visit(node.consequent);
+                    visit(node.alternate);
+                    return;
+                case 'ForStatement':
+                    visit(node.init);
+                    visit(node.body);
+                    return;
+                case 'ForInStatement':
+                case 'ForOfStatement':
+                    visit(node.left);
+                    visit(node.body);
+                    return;
+                case 'WhileStatement':
+                case 'DoWhileStatement':
+                case 'LabeledStatement':
+                    visit(node.body);
+                    return;
+                case 'ExportNamedDeclaration':
+                    visit(node.declaration);
+                    return;
+                case 'TryStatement':
+                    visit(node.block);
+                    visit(node.handler && node.handler.body);
+                    visit(node.finalizer);
+                    return;
+                case 'SwitchStatement':
+                    node.cases.forEach(switchCase => visit(switchCase.consequent));
+                    return;
+                default:
+                    return;
+            }
+        };
+        visit(statements);
+    }
+
+    /**
+     * 模式中声明的所有名字
+     * @private
+     */
+    patternNames(pattern) {
+        switch (pattern.type) {
+            case 'Identifier':
+                return [pattern.name];
+            case 'AssignmentPattern':
+                return this.patternNames(pattern.left);
+            case 'RestElement':
+                return this.patternNames(pattern.argument);
+            case 'ArrayPattern':
+                return pattern.elements.filter(Boolean).flatMap(element => this.patternNames(element));
+            case 'ObjectPattern':
+                return pattern.properties.flatMap(property => this.patternNames(property.type === 'RestElement' ? property : property.value));
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * 块开始时提升函数声明（立即可用）以及 let/const/class（进入暂时性死区）
+     * @private
+     */
+    hoistBlock(statements, env) {
+        statements.forEach(exported => {
+            const statement = exported.type === 'ExportNamedDeclaration' && exported.declaration ? exported.declaration : exported;
+            if (statement.type === 'FunctionDeclaration') {
+                env.declare(statement.id.name, 'function', this.createFunction(statement, env));
+            } else if (statement.type === 'VariableDeclaration' && statement.kind !== 'var') {
+                statement.declarations.forEach(declarator => {
+                    this.patternNames(declarator.id).forEach(name => env.declare(name, statement.kind, undefined, false));
+                });
+            } else if (statement.type === 'ClassDeclaration' || statement.type === 'TSEnumDeclaration') {
+                env.declare(statement.id.name, 'const', undefined, false);
+            }
+        });
+    }
+
+    /**
+     * 把值绑定到声明模式上（var/let/const、参数、catch 参数）
+     * @private
+     */
+    bindPattern(pattern, value, env, kind) {
+        this.destructure(pattern, value, env, (identifier, item) => {
+            const binding = kind === 'var' ? env.find(identifier.name) : null;
+            if (binding) {
+                binding.value = item;
+            } else {
+                env.declare(identifier.name, kind, item);
+            }
+        });
+    }
+
+    /**
+     * 解构：对模式中的每个标识符或成员表达式调用 assign(target, value)
+     * @private
+     */
+    destructure(pattern, value, env, assign) {
+        switch (pattern.type) {
+            case 'Identifier':
+                assign(pattern, value);
+                break;
+            case 'MemberExpression':
+                this.getReference(pattern, env).set(value);
+                break;
+            case 'AssignmentPattern':
+                this.destructure(pattern.left, value === undefined ? this.evaluateNamed(pattern.right, env, pattern.left) : value, env, assign);
+                break;
+            case 'ArrayPattern': {
+                const items = this.iterate(value, pattern);
+                pattern.elements.forEach((element, index) => {
+                    if (!element) return;
+                    if (element.type === 'RestElement') {
+                        this.destructure(element.argument, items.slice(index), env, assign);
+                    } else {
+                        this.destructure(element, items[index], env, assign);
+                    }
+                });
+                break;
+            }
+            case 'ObjectPattern': {
+                if (value === null || value === undefined) {
+                    this.throwError(TypeError, `不能解构 ${value}`, pattern);
+                }
+                const used = [];
+                pattern.properties.forEach(property => {
+                    if (property.type === 'RestElement') {
+                        const rest = {};
+                        Object.keys(value).filter(key => !used.includes(key)).forEach(key => {
+                            rest[key] = this.getProperty(value, key, property);
+                        });
+                        this.destructure(property.argument, rest, env, assign);
+                        return;
+                    }
+                    const key = this.propertyKey(property, env);
+                    used.push(key);
+                    this.destructure(property.value, this.getProperty(value, key, property), env, assign);
+                });
+                break;
+            }
+            default:
+                throw new RuntimeError(`不支持的解构目标: ${pattern.type}`, pattern);
+        }
+    }
+
+    /**
+     * 把可迭代的值展开成数组（数组解构、展开运算符、for-of）
+     * @private
+     */
+    iterate(value, node) {
+        if (value === null || value === undefined || typeof value[Symbol.iterator] !== 'function') {
+            this.throwError(TypeError, `${this.formatValue(value)} 不可迭代`, node);
+        }
+        const items = [];
+        for (const item of value) {
+            this.tick(node);
+            items.push(item);
+        }
+        return items;
+    }
+
+    // ==================== 语句 ====================
+
+    /**
+     * 执行语句列表，返回中断执行的完成记录（break/continue/return），正常结束返回 undefined
+     * @param {boolean} topLevel - 是否为程序顶层（记录表达式语句的值）
+     * @private
+     */
+    executeStatements(statements, env, topLevel = false) {
+        this.hoistBlock(statements, env);
+        for (const statement of statements) {
+            const completion = this.executeStatement(statement, env, [], topLevel);
+            if (completion) return completion;
+        }
+        return undefined;
+    }
+
+    /**
+     * @private
+     */
+    executeBlock(block, env) {
+        return this.executeStatements(block.body, new Environment(env));
+    }
+
+    /**
+     * 执行一条语句
+     * @param {Array} labels - 语句上的标签（给循环的 continue 用）
+     * @private
+     */
+    executeStatement(node, env, labels = [], topLevel = false) {
+        this.tick(node);
+        switch (node.type) {
+            case 'ExpressionStatement': {
+                const value = this.evaluate(node.expression, env);
+                if (topLevel) this.lastValue = value;
+                return undefined;
+            }
+            case 'VariableDeclaration':
+                node.declarations.forEach(declarator => {
+                    if (!declarator.init && node.kind === 'var') return;
+                    const value = declarator.init ? this.evaluateNamed(declarator.init, env, declarator.id) : undefined;
+                    this.bindPattern(declarator.id, value, env, node.kind);
+                });
+                return undefined;
+            case 'FunctionDeclaration':
+            case 'EmptyStatement':
+            case 'TSTypeAliasDeclaration':
+            case 'TSInterfaceDeclaration':
+                return undefined;
+            case 'ClassDeclaration':
+                env.declare(node.id.name, 'const', this.evaluateClass(node, env));
+                return undefined;
+            case 'TSEnumDeclaration':
+                env.declare(node.id.name, 'const', this.evaluateEnum(node, env));
+                return undefined;
+            case 'ExportNamedDeclaration':
+                return node.declaration ? this.executeStatement(node.declaration, env) : undefined;
+            case 'ImportDeclaration':
+                throw new RuntimeError('解释器一次只运行一个文件，导入其他模块的程序请链接后部署运行', node);
+            case 'BlockStatement':
+                return this.executeBlock(node, env);
+            case 'IfStatement':
+                if (this.evaluate(node.test, env)) return this.executeStatement(node.consequent, env);
+                return node.alternate ? this.executeStatement(node.alternate, env) : undefined;
+            case 'ReturnStatement':
+                return { type: 'return', value: node.argument ? this.evaluate(node.argument, env) : undefined };
+            case 'BreakStatement':
+                return { type: 'break', label: node.label ? node.label.name : null };
+            case 'ContinueStatement':
+                return { type: 'continue', label: node.label ? node.label.name : null };
+            case 'ThrowStatement':
+                throw new ThrowSignal(this.evaluate(node.argument, env), node);
+            case 'LabeledStatement':
+                return this.executeLabeled(node, env, labels);
+            case 'WhileStatement':
+            case 'DoWhileStatement':
+                return this.executeWhile(node, env, labels);
+            case 'ForStatement':
+                return this.executeFor(node, env, labels);
+            case 'ForInStatement':
+            case 'ForOfStatement':
+                return this.executeForInOf(node, env, labels);
+            case 'SwitchStatement':
+                return this.executeSwitch(node, env);
+            case 'TryStatement':
+                return this.executeTry(node, env);
+            default:
+                throw new RuntimeError(`解释器暂不支持 ${node.type}`, node);
+        }
+    }
+
+    /**
+     * @private
+     */
+    executeLabeled(node, env, labels) {
+        const label = node.label.name;
+        const completion = this.executeStatement(node.body, env, [...labels, label]);
+        if (completion && completion.type === 'break' && completion.label === label) return undefined;
+        return completion;
+    }
+
+    /**
+     * 处理循环体的完成记录：返回 null 继续循环，BREAK_LOOP 结束本循环，其他记录需要继续向外传递
+     * @private
+     */
+    loopCompletion(completion, labels) {
+        if (!completion) return null;
+        const ownLabel = completion.label === null || labels.includes(completion.label);
+        if (completion.type === 'continue' && ownLabel) return null;
+        if (completion.type === 'break' && ownLabel) return BREAK_LOOP;
+        return completion;
+    }
+
+    /**
+     * @private
+     */
+    executeWhile(node, env, labels) {
+        let first = node.type === 'DoWhileStatement';
+        while (first || this.evaluate(node.test, env)) {
+            first = false;
+            const result = this.loopCompletion(this.executeStatement(node.body, env), labels);
+            if (result === BREAK_LOOP) break;
+            if (result) return result;
+            this.tick(node);
+        }
+        return undefined;
+    }
+
+    /**
+     * for 循环：let 声明的循环变量每轮都是新的绑定，闭包捕获的是当轮的值
+     * @private
+     */
+    executeFor(node, env, labels) {
+        let loopEnv = new Environment(env);
+        const perIteration = node.init && node.init.type === 'VariableDeclaration' && node.init.kind !== 'var';
+        if (node.init) {
+            if (node.init.type === 'VariableDeclaration') {
+                this.hoistBlock([node.init], loopEnv);
+                this.executeStatement(node.init, loopEnv);
+            } else {
+                this.evaluate(node.init, loopEnv);
+            }
+        }
+
+        while (!node.test || this.evaluate(node.test, loopEnv)) {
+            const result = this.loopCompletion(this.executeStatement(node.body, loopEnv), labels);
+            if (result === BREAK_LOOP) break;
+            if (result) return result;
+
+            if (perIteration) {
+                const next = new Environment(env);
+                loopEnv.bindings.forEach((binding, name) => next.bindings.set(name, { ...binding }));
+                loopEnv = next;
+            }
+            if (node.update) this.evaluate(node.update, loopEnv);
+            this.tick(node);
+        }
+        return undefined;
+    }
+
+    /**
+     * @private
+     */
+    executeForInOf(node, env, labels) {
+        const right = this.evaluate(node.right, env);
+        let items;
+        if (node.type === 'ForOfStatement') {
+            items = this.iterate(right, node.right);
+        } else {
+            items = [];
+            if (right !== null && right !== undefined) {
+                for (const key in right) items.push(key);
+            }
+        }
+
+        for (const item of items) {
+            const iterationEnv = new Environment(env);
+            if (node.left.type === 'VariableDeclaration') {
+                this.bindPattern(node.left.declarations[0].id, item, iterationEnv, node.left.kind === 'var' ? 'var' : node.left.kind);
+            } else {
+                this.destructure(node.left, item, env, (identifier, value) => this.getReference(identifier, env).set(value));
+            }
+            const result = this.loopCompletion(this.executeStatement(node.body, iterationEnv), labels);
+            if (result === BREAK_LOOP) break;
+            if (result) return result;
+            this.tick(node);
+        }
+        return undefined;
+    }
+
+    /**
+     * @private
+     */
+    executeSwitch(node, env) {
+        const discriminant = this.evaluate(node.discriminant, env);
+        const switchEnv = new Environment(env);
+        this.hoistBlock(node.cases.flatMap(switchCase => switchCase.consequent), switchEnv);
+
+        let start = node.cases.findIndex(switchCase => switchCase.test && this.evaluate(switchCase.test, switchEnv) === discriminant);
+        if (start === -1) start = node.cases.findIndex(switchCase => !switchCase.test);
+        if (start === -1) return undefined;
+
+        for (const switchCase of node.cases.slice(start)) {
+            for (const statement of switchCase.consequent) {
+                const completion = this.executeStatement(statement, switchEnv);
+                if (completion && completion.type === 'break' && completion.label === null) return undefined;
+                if (completion) return completion;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * try/catch/finally：只捕获玩家代码的异常，超出执行上限的 RuntimeError 直接结束程序
+     * @private
+     */
+    executeTry(node, env) {
+        let completion;
+        let pending = null;
+        try {
+            completion = this.executeBlock(node.block, env);
+        } catch (error) {
+            if (!(error instanceof ThrowSignal)) throw error;
+            if (node.handler) {
+                try {
+                    const catchEnv = new Environment(env);
+                    if (node.handler.param) this.bindPattern(node.handler.param, error.value, catchEnv, 'let');
+                    completion = this.executeBlock(node.handler.body, catchEnv);
+                } catch (inner) {
+                    if (!(inner instanceof ThrowSignal)) throw inner;
+                    pending = inner;
+                }
+            } else {
+                pending = error;
+            }
+        }
+
+        if (node.finalizer) {
+            const finalCompletion = this.executeBlock(node.finalizer, env);
+            if (finalCompletion) return finalCompletion;
+        }
+        if (pending) throw pending;
+        return completion;
+    }
+
+    // ==================== 表达式 ====================
+
+    /**
+     * 计算表达式的值
+     * @private
+     */
+    evaluate(node, env) {
+        this.tick(node);
+        switch (node.type) {
+            case 'Literal':
+                if (node.regex) return new RegExp(node.regex.pattern, node.regex.flags);
+                return node.value;
+            case 'Identifier':
+                return this.lookup(node, env).value;
+            case 'ThisExpression':
+                return this.thisValue(node, env);
+            case 'TemplateLiteral':
+                return this.guard(() => node.quasis.map((quasi, index) => {
+                    const expression = node.expressions[index];
+                    return quasi.value.cooked + (expression ? String(this.evaluate(expression, env)) : '');
+                }).join(''), node);
+            case 'ArrayExpression':
+                return this.evaluateArray(node, env);
+            case 'ObjectExpression':
+                return this.evaluateObject(node, env);
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+                return this.createFunction(node, env);
+            case 'ClassExpression':
+                return this.evaluateClass(node, env);
+            case 'UnaryExpression':
+                return this.evaluateUnary(node, env);
+            case 'UpdateExpression': {
+                const reference = this.getReference(node.argument, env);
+                const oldValue = this.guard(() => +reference.get(), node);
+                const newValue = node.operator === '++' ? oldValue + 1 : oldValue - 1;
+                reference.set(newValue);
+                return node.prefix ? newValue : oldValue;
+            }
+            case 'BinaryExpression':
+                return this.binaryOperation(node.operator, this.evaluate(node.left, env), this.evaluate(node.right, env), node);
+            case 'LogicalExpression':
+                return this.evaluateLogical(node.operator, node.left, () => this.evaluate(node.right, env), env);
+            case 'ConditionalExpression':
+                return this.evaluate(node.test, env) ? this.evaluate(node.consequent, env) : this.evaluate(node.alternate, env);
+            case 'AssignmentExpression':
+                return this.evaluateAssignment(node, env);
+            case 'SequenceExpression':
+                return node.expressions.reduce((value, expression) => this.evaluate(expression, env), undefined);
+            case 'MemberExpression': {
+                const object = this.evaluateMemberObject(node, env);
+                return this.getMember(object, node, env);
+            }
+            case 'ChainExpression':
+                try {
+                    return this.evaluate(node.expression, env);
+                } catch (signal) {
+                    if (signal === SHORT_CIRCUIT) return undefined;
+                    throw signal;
+                }
+            case 'CallExpression':
+                return this.evaluateCall(node, env);
+            case 'NewExpression':
+                return this.evaluateNew(node, env);
+            default:
+                throw new RuntimeError(`解释器暂不支持 ${node.type}`, node);
+        }
+    }
+
+    /**
+     * 计算赋给名字的值：匿名函数和类取得变量名作为 name
+     * @private
+     */
+    evaluateNamed(node, env, target) {
+        const value = this.evaluate(node, env);
+        const anonymous = (node.type === 'ArrowFunctionExpression' || node.type === 'FunctionExpression' ||
+            node.type === 'ClassExpression') && !node.id;
+        if (anonymous && target.type === 'Identifier') {
+            Object.defineProperty(value, 'name', { value: target.name });
+        }
+        return value;
+    }
+
+    /**
+     * @private
+     */
+    lookup(node, env) {
+        const binding = env.find(node.name);
+        if (!binding) this.throwError(ReferenceError, `${node.name} 未定义`, node);
+        if (!binding.initialized) this.throwError(ReferenceError, `初始化前不能访问 '${node.name}'`, node);
+        return binding;
+    }
+
+    /**
+     * @private
+     */
+    thisValue(node, env) {
+        const frame = env.findFrame();
+        if (frame.thisValue === UNINITIALIZED) {
+            this.throwError(ReferenceError, '派生类的构造函数中必须先调用 super() 才能使用 this', node);
+        }
+        return frame.thisValue;
+    }
+
+    /**
+     * 可以赋值的位置（标识符或成员表达式），读取和写入只计算一次对象和属性名
+     * @private
+     */
+    getReference(node, env) {
+        if (node.type === 'Identifier') {
+            return {
+                get: () => this.lookup(node, env).value,
+                set: (value) => {
+                    const binding = env.find(node.name);
+                    if (!binding) this.throwError(ReferenceError, `${node.name} 未定义`, node);
+                    if (!binding.initialized) this.throwError(ReferenceError, `初始化前不能访问 '${node.name}'`, node);
+                    if (binding.kind === 'const') this.throwError(TypeError, `不能给常量 '${node.name}' 赋值`, node);
+                    binding.value = value;
+                }
+            };
+        }
+        if (node.type === 'MemberExpression') {
+            const object = this.evaluateMemberObject(node, env);
+            const key = this.memberKey(node, env);
+            return {
+                get: () => this.getProperty(object, key, node),
+                set: (value) => this.setProperty(object, key, value, node)
+            };
+        }
+        throw new RuntimeError(`不能赋值给 ${node.type}`, node);
+    }
+
+    /**
+     * @private
+     */
+    evaluateArray(node, env) {
+        const array = [];
+        node.elements.forEach(element => {
+            if (!element) {
+                array.length++;
+            } else if (element.type === 'SpreadElement') {
+                array.push(...this.iterate(this.evaluate(element.argument, env), element));
+            } else {
+                array.push(this.evaluate(element, env));
+            }
+        });
+        this.checkSize(array, node);
+        return array;
+    }
+
+    /**
+     * @private
+     */
+    evaluateObject(node, env) {
+        const object = {};
+        node.properties.forEach(property => {
+            if (property.type === 'SpreadElement') {
+                const source = this.evaluate(property.argument, env);
+                if (source !== null && source !== undefined) {
+                    Object.keys(source).forEach(key => this.defineProperty(object, key, source[key]));
+                }
+                return;
+            }
+
+            const key = this.propertyKey(property, env);
+            if (property.kind === 'get' || property.kind === 'set') {
+                const accessor = this.createFunction(property.value, env, { kind: 'method', homeObject: object, name: key });
+                Object.defineProperty(object, key, { [property.kind]: accessor, enumerable: true, configurable: true });
+            } else if (property.method) {
+                this.defineProperty(object, key, this.createFunction(property.value, env, { kind: 'method', homeObject: object, name: key }));
+            } else {
+                this.defineProperty(object, key, this.evaluateNamed(property.value, env, property.key));
+            }
+        });
+        return object;
+    }
+
+    /**
+     * 对象字面量的属性直接定义为自有属性（__proto__ 也只是普通属性名）
+     * @private
+     */
+    defineProperty(object, key, value) {
+        Object.defineProperty(object, key, { value, writable: true, enumerable: true, configurable: true });
+    }
+
+    /**
+     * 对象字面量、解构和类成员的属性名
+     * @private
+     */
+    propertyKey(property, env) {
+        if (property.computed) return this.toPropertyKey(this.evaluate(property.key, env), property.key);
+        if (property.key.type === 'Identifier') return property.key.name;
+        return String(property.key.value);
+    }
+
+    /**
+     * @private
+     */
+    toPropertyKey(value, node) {
+        return typeof value === 'symbol' ? value : this.guard(() => String(value), node);
+    }
+
+    /**
+     * @private
+     */
+    evaluateUnary(node, env) {
+        if (node.operator === 'typeof' && node.argument.type === 'Identifier' && !env.find(node.argument.name)) {
+            return 'undefined';
+        }
+        if (node.operator === 'delete') {
+            if (node.argument.type !== 'MemberExpression') return true;
+            const object = this.evaluateMemberObject(node.argument, env);
+            const key = this.memberKey(node.argument, env);
+            this.checkPropertyAccess(object, key, node.argument);
+            return this.guard(() => {
+                if (!Reflect.deleteProperty(object, key)) throw new TypeError(`不能删除属性 '${String(key)}'`);
+                return true;
+            }, node);
+        }
+
+        const value = this.evaluate(node.argument, env);
+        return this.guard(() => {
+            switch (node.operator) {
+                case '-': return -value;
+                case '+': return +value;
+                case '!': return !value;
+                case '~': return ~value;
+                case 'typeof': return typeof value;
+                case 'void': return undefined;
+                default: throw new RuntimeError(`不支持的运算符 ${node.operator}`, node);
+            }
+        }, node);
+    }
+
+    /**
+     * 二元运算，复合赋值也使用这里
+     * @private
+     */
+    binaryOperation(operator, left, right, node) {
+        return this.guard(() => {
+            switch (operator) {
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/': return left / right;
+                case '%': return left % right;
+                case '**': return left ** right;
+                case '==': return left == right;
+                case '!=': return left != right;
+                case '===': return left === right;
+                case '!==': return left !== right;
+                case '<': return left < right;
+                case '<=': return left <= right;
+                case '>': return left > right;
+                case '>=': return left >= right;
+                case '<<': return left << right;
+                case '>>': return left >> right;
+                case '>>>': return left >>> right;
+                case '&': return left & right;
+                case '|': return left | right;
+                case '^': return left ^ right;
+                case 'in':
+                    if (right === null || (typeof right !== 'object' && typeof right !== 'function')) {
+                        throw new TypeError(`不能在 ${this.formatValue(right)} 中使用 'in'`);
+                    }
+                    return left in right;
+                case 'instanceof':
+                    if (typeof right !== 'function') throw new TypeError('instanceof 的右侧不是可调用的');
+                    return left instanceof right;
+                default:
+                    throw new RuntimeError(`不支持的运算符 ${operator}`, node);
+            }
+        }, node);
+    }
+
+    /**
+     * &&、||、?? 及其赋值形式：右侧只在需要时计算
+     * @param {Function} evaluateRight - 计算右侧的值
+     * @private
+     */
+    evaluateLogical(operator, leftNode, evaluateRight, env, leftValue = this.evaluate(leftNode, env)) {
+        switch (operator) {
+            case '&&': return leftValue ? evaluateRight() : leftValue;
+            case '||': return leftValue ? leftValue : evaluateRight();
+            default: return leftValue !== null && leftValue !== undefined ? leftValue : evaluateRight();
+        }
+    }
+
+    /**
+     * @private
+     */
+    evaluateAssignment(node, env) {
+        if (node.operator === '=') {
+            if (node.left.type === 'ObjectPattern' || node.left.type === 'ArrayPattern') {
+                const value = this.evaluate(node.right, env);
+                this.destructure(node.left, value, env, (identifier, item) => this.getReference(identifier, env).set(item));
+                return value;
+            }
+            const reference = this.getReference(node.left, env);
+            const value = this.evaluateNamed(node.right, env, node.left);
+            reference.set(value);
+            return value;
+        }
+
+        const reference = this.getReference(node.left, env);
+        const operator = node.operator.slice(0, -1);
+        if (operator === '&&' || operator === '||' || operator === '??') {
+            let assigned;
+            const result = this.evaluateLogical(operator, node.left, () => {
+                assigned = this.evaluate(node.right, env);
+                reference.set(assigned);
+                return assigned;
+            }, env, reference.get());
+            return result;
+        }
+
+        const value = this.binaryOperation(operator, reference.get(), this.evaluate(node.right, env), node);
+        reference.set(value);
+        return value;
+    }
+
+    // ==================== 属性访问 ====================
+
+    /**
+     * 计算成员表达式的对象部分；可选链遇到 null/undefined 时短路
+     * super.x 的对象是当前方法所在对象的原型
+     * @private
+     */
+    evaluateMemberObject(node, env) {
+        if (node.object.type === 'Super') {
+            const frame = env.findFrame();
+            if (!frame.homeObject) throw new RuntimeError("只能在方法中使用 'super'", node.object);
+            return Object.getPrototypeOf(frame.homeObject);
+        }
+        const object = this.evaluate(node.object, env);
+        if (node.optional && (object === null || object === undefined)) throw SHORT_CIRCUIT;
+        return object;
+    }
+
+    /**
+     * @private
+     */
+    memberKey(node, env) {
+        if (node.computed) return this.toPropertyKey(this.evaluate(node.property, env), node.property);
+        if (node.property.type === 'PrivateIdentifier') return this.privateName(node.property, env);
+        return node.property.name;
+    }
+
+    /**
+     * @private
+     */
+    getMember(object, node, env) {
+        const key = this.memberKey(node, env);
+        if (node.object.type === 'Super') {
+            // super.x 在原型上查找，getter 中的 this 仍是当前对象
+            this.checkPropertyAccess(object, key, node);
+            return this.guard(() => Reflect.get(object, key, this.thisValue(node, env)), node);
+        }
+        return this.getProperty(object, key, node);
+    }
+
+    /**
+     * 私有名称（#x）对应的 Symbol，在外层类作用域中查找
+     * @private
+     */
+    privateName(node, env) {
+        for (let scope = env; scope; scope = scope.parent) {
+            if (scope.privateNames && scope.privateNames.has(node.name)) return scope.privateNames.get(node.name);
+        }
+        throw new RuntimeError(`私有名称 #${node.name} 未在外层类中声明`, node);
+    }
+
+    /**
+     * 沙箱检查：禁止访问可以逃出沙箱或修改内置对象的属性
+     * @private
+     */
+    checkPropertyAccess(object, key, node) {
+        if (object === null || object === undefined) {
+            this.throwError(TypeError, `不能访问 ${object} 的属性 '${String(key)}'`, node);
+        }
+        if (BLOCKED_PROPERTIES.has(key) ||
+            (key === 'prototype' && typeof object === 'function' && !FUNCTIONS.has(object))) {
+            this.throwError(TypeError, `沙箱中不能访问属性 '${key}'`, node);
+        }
+    }
+
+    /**
+     * @private
+     */
+    getProperty(object, key, node) {
+        this.checkPropertyAccess(object, key, node);
+        return this.guard(() => object[key], node);
+    }
+
+    /**
+     * @private
+     */
+    setProperty(object, key, value, node) {
+        this.checkPropertyAccess(object, key, node);
+        if (Array.isArray(object) && key === 'length' && value > this.limits.maxAllocation) {
+            this.throwError(RangeError, `数组长度 ${value} 超过沙箱上限 ${this.limits.maxAllocation}`, node);
+        }
+        this.guard(() => {
+            if (!Reflect.set(Object(object), key, value)) throw new TypeError(`不能给只读属性 '${String(key)}' 赋值`);
+        }, node);
+    }
+
+    // ==================== 函数和调用 ====================
+
+    /**
+     * 创建函数值。返回真正的 JavaScript 函数，所以内置方法（map、sort 等）可以回调它，
+     * 函数体仍由解释器执行，同样计入步数
+     * @param {Object} options - { kind: 'function'|'arrow'|'method', homeObject: super 的查找起点, name }
+     * @private
+     */
+    createFunction(node, env, { kind = node.type === 'ArrowFunctionExpression' ? 'arrow' : 'function', homeObject = null, name = '' } = {}) {
+        if (node.async || node.generator) {
+            throw new RuntimeError('解释器暂不支持 async 函数和生成器', node);
+        }
+
+        let scope = env;
+        if (node.type === 'FunctionExpression' && node.id) {
+            // 具名函数表达式可以在函数体内用自己的名字
+            scope = new Environment(env);
+        }
+
+        const info = { node, env: scope, kind, homeObject };
+        const interpreter = this;
+        const fn = function (...args) {
+            return interpreter.callFunction(info, this, args);
+        };
+        FUNCTIONS.set(fn, info);
+
+        const functionName = node.id ? node.id.name : typeof name === 'string' ? name : '';
+        Object.defineProperty(fn, 'name', { value: functionName });
+        Object.defineProperty(fn, 'length', {
+            value: node.params.findIndex(param => param.type === 'AssignmentPattern' || param.type === 'RestElement') === -1
+                ? node.params.length
+                : node.params.findIndex(param => param.type === 'AssignmentPattern' || param.type === 'RestElement')
+        });
+        if (scope !== env) scope.declare(node.id.name, 'const', fn);
+        return fn;
+    }
+
+    /**
+     * 调用解释器创建的函数
+     * @param {Object} info - FUNCTIONS 中的函数信息
+     * @param {*} thisValue - this（箭头函数忽略）
+     * @param {Array} args - 实参
+     * @param {Object|null} frame - 指定的调用帧（类构造函数用）
+     * @private
+     */
+    callFunction(info, thisValue, args, frame = null) {
+        if (this.depth >= this.limits.maxCallDepth) {
+            throw new RuntimeError(`调用深度超过 ${this.limits.maxCallDepth} 层，可能存在无限递归`, info.node);
+        }
+        this.depth++;
+        this.calls++;
+        this.maxDepth = Math.max(this.maxDepth, this.depth);
+
+        try {
+            const { node } = info;
+            const callFrame = info.kind === 'arrow' ? null : frame || { thisValue, homeObject: info.homeObject, arguments: args };
+            const scope = new Environment(info.env, callFrame);
+            if (callFrame) scope.declare('arguments', 'let', args);
+
+            node.params.forEach((param, index) => {
+                if (param.type === 'RestElement') {
+                    this.bindPattern(param.argument, args.slice(index), scope, 'let');
+                } else {
+                    this.bindPattern(param, args[index], scope, 'let');
+                }
+            });
+
+            if (node.body.type !== 'BlockStatement') {
+                return this.evaluate(node.body, scope);
+            }
+
+            this.declareVars(node.body.body, scope);
+            const completion = this.executeStatements(node.body.body, scope);
+            return completion && completion.type === 'return' ? completion.value : undefined;
+        } finally {
+            this.depth--;
+        }
+    }
+
+    /**
+     * @private
+     */
+    evaluateArguments(nodes, env) {
+        const args = [];
+        nodes.forEach(argument => {
+            if (argument.type === 'SpreadElement') {
+                args.push(...this.iterate(this.evaluate(argument.argument, env), argument));
+            } else {
+                args.push(this.evaluate(argument, env));
+            }
+        });
+        return args;
+    }
+
+    /**
+     * @private
+     */
+    evaluateCall(node, env) {
+        if (node.callee.type === 'Super') {
+            return this.callSuperConstructor(node, env);
+        }
+
+        let fn;
+        let thisValue;
+        if (node.callee.type === 'MemberExpression') {
+            thisValue = this.evaluateMemberObject(node.callee, env);
+            fn = this.getMember(thisValue, node.callee, env);
+            if (node.callee.object.type === 'Super') thisValue = this.thisValue(node, env);
+        } else {
+            fn = this.evaluate(node.callee, env);
+        }
+
+        if (node.optional && (fn === null || fn === undefined)) throw SHORT_CIRCUIT;
+        const args = this.evaluateArguments(node.arguments, env);
+        if (typeof fn !== 'function') {
+            this.throwError(TypeError, `${this.describeCallee(node.callee)} 不是函数`, node);
+        }
+
+        const info = FUNCTIONS.get(fn);
+        if (info && info.kind === 'class') {
+            this.throwError(TypeError, `类 ${fn.name} 必须用 new 调用`, node);
+        }
+        if (info) return this.callFunction(info, thisValue, args);
+
+        this.checkHostArguments(fn, thisValue, args, node);
+        return this.guard(() => Reflect.apply(fn, thisValue, args), node);
+    }
+
+    /**
+     * 调用前检查会一次分配大量内存的内置函数
+     * @private
+     */
+    checkHostArguments(fn, thisValue, args, node) {
+        let size = 0;
+        if (fn === String.prototype.repeat) {
+            size = String(thisValue).length * Number(args[0]);
+        } else if (fn === String.prototype.padStart || fn === String.prototype.padEnd) {
+            size = Number(args[0]);
+        } else if (fn === Array.from && args[0] !== null && typeof args[0] === 'object') {
+            size = Number(args[0].length);
+        }
+        if (size > this.limits.maxAllocation) {
+            this.throwError(RangeError, `长度 ${size} 超过沙箱上限 ${this.limits.maxAllocation}`, node);
+        }
+    }
+
+    /**
+     * 报错信息中的被调用者名称
+     * @private
+     */
+    describeCallee(node) {
+        if (node.type === 'Identifier') return node.name;
+        if (node.type === 'MemberExpression' && !node.computed) return `${this.describeCallee(node.object)}.${node.property.name}`;
+        if (node.type === 'ThisExpression') return 'this';
+        return '表达式';
+    }
+
+    /**
+     * @private
+     */
+    evaluateNew(node, env) {
+        const constructor = this.evaluate(node.callee, env);
+        const args = this.evaluateArguments(node.arguments, env);
+        const info = typeof constructor === 'function' ? FUNCTIONS.get(constructor) : null;
+
+        if (info && info.kind === 'class') return this.constructClass(constructor, args, constructor, node);
+        if (info && info.kind === 'function') {
+            const instance = Object.create(constructor.prototype);
+            const result = this.callFunction(info, instance, args);
+            return result !== null && (typeof result === 'object' || typeof result === 'function') ? result : instance;
+        }
+        if (typeof constructor !== 'function' || info) {
+            this.throwError(TypeError, `${this.describeCallee(node.callee)} 不是构造函数`, node);
+        }
+        return this.guard(() => Reflect.construct(constructor, args), node);
+    }
+
+    // ==================== 类和枚举 ====================
+
+    /**
+     * 创建类：实例方法和访问器放在原型上，静态成员放在类本身上，实例字段在构造时初始化
+     * @private
+     */
+    evaluateClass(node, env) {
+        let parent = null;
+        if (node.superClass) {
+            parent = this.evaluate(node.superClass, env);
+            const parentInfo = typeof parent === 'function' ? FUNCTIONS.get(parent) : null;
+            if (parent !== null && (!parentInfo || parentInfo.kind !== 'class')) {
+                this.throwError(TypeError, '解释器中的类只能继承另一个类', node.superClass);
+            }
+        }
+
+        const classEnv = new Environment(env);
+        classEnv.privateNames = new Map();
+        node.body.body.forEach(member => {
+            if (member.key.type === 'PrivateIdentifier') {
+                classEnv.privateNames.set(member.key.name, Symbol(`#${member.key.name}`));
+            }
+        });
+
+        const proto = Object.create(parent ? parent.prototype : Object.prototype);
+        const members = node.body.body;
+        const constructorMethod = members.find(member => member.kind === 'constructor');
+        const classFn = function () {
+            throw new ThrowSignal(new TypeError(`类 ${classFn.name} 必须用 new 调用`), node);
+        };
+        const name = node.id ? node.id.name : '';
+        Object.defineProperty(classFn, 'name', { value: name });
+        Object.defineProperty(classFn, 'prototype', { value: proto, writable: false });
+        if (parent) Object.setPrototypeOf(classFn, parent);
+        Object.defineProperty(proto, 'constructor', { value: classFn, writable: true, configurable: true });
+        if (node.id) classEnv.declare(name, 'const', classFn);
+
+        FUNCTIONS.set(classFn, {
+            kind: 'class',
+            node: constructorMethod ? constructorMethod.value : node,
+            env: classEnv,
+            homeObject: proto,
+            parent,
+            constructorMethod,
+            fields: members.filter(member => member.type === 'PropertyDefinition' && !member.static)
+        });
+
+        members.forEach(member => {
+            if (member.kind === 'constructor') return;
+            const target = member.static ? classFn : proto;
+            const key = member.key.type === 'PrivateIdentifier'
+                ? classEnv.privateNames.get(member.key.name)
+                : this.propertyKey(member, classEnv);
+
+            if (member.type === 'MethodDefinition') {
+                const method = this.createFunction(member.value, classEnv, { kind: 'method', homeObject: target, name: key });
+                if (member.kind === 'get' || member.kind === 'set') {
+                    const existing = Object.getOwnPropertyDescriptor(target, key) || {};
+                    Object.defineProperty(target, key, { ...existing, [member.kind]: method, configurable: true });
+                } else {
+                    Object.defineProperty(target, key, { value: method, writable: true, configurable: true });
+                }
+            } else if (member.static) {
+                const fieldEnv = new Environment(classEnv, { thisValue: classFn, homeObject: classFn, arguments: [] });
+                this.defineProperty(classFn, key, member.value ? this.evaluate(member.value, fieldEnv) : undefined);
+            }
+        });
+        return classFn;
+    }
+
+    /**
+     * new 一个类：没有父类时先创建实例并初始化字段，派生类的实例由 super() 创建
+     * @param {Function} newTarget - new 的直接对象（决定实例的原型）
+     * @private
+     */
+    constructClass(classFn, args, newTarget, node) {
+        const info = FUNCTIONS.get(classFn);
+        if (!info.constructorMethod) {
+            const instance = info.parent
+                ? this.constructClass(info.parent, args, newTarget, node)
+                : Object.create(newTarget.prototype);
+            this.initializeFields(info, instance);
+            return instance;
+        }
+
+        const frame = {
+            thisValue: info.parent ? UNINITIALIZED : Object.create(newTarget.prototype),
+            homeObject: info.homeObject,
+            arguments: args,
+            classInfo: info,
+            newTarget
+        };
+        if (!info.parent) this.initializeFields(info, frame.thisValue);
+
+        const result = this.callFunction(info, frame.thisValue, args, frame);
+        if (result !== null && (typeof result === 'object' || typeof result === 'function')) return result;
+        if (frame.thisValue === UNINITIALIZED) {
+            this.throwError(ReferenceError, '派生类的构造函数必须调用 super()', info.node);
+        }
+        return frame.thisValue;
+    }
+
+    /**
+     * 构造函数中的 super(...)：用父类创建实例，然后初始化本类的字段
+     * @private
+     */
+    callSuperConstructor(node, env) {
+        const frame = env.findFrame();
+        if (!frame.classInfo || !frame.classInfo.parent) {
+            throw new RuntimeError("只能在派生类的构造函数中调用 'super()'", node);
+        }
+        if (frame.thisValue !== UNINITIALIZED) {
+            this.throwError(ReferenceError, 'super() 只能调用一次', node);
+        }
+        const args = this.evaluateArguments(node.arguments, env);
+        frame.thisValue = this.constructClass(frame.classInfo.parent, args, frame.newTarget, node);
+        this.initializeFields(frame.classInfo, frame.thisValue);
+        return undefined;
+    }
+
+    /**
+     * 按声明顺序初始化实例字段，初始值中的 this 是新实例
+     * @private
+     */
+    initializeFields(info, instance) {
+        const fieldEnv = new Environment(info.env, { thisValue: instance, homeObject: info.homeObject, arguments: [] });
+        info.fields.forEach(field => {
+            const key = field.key.type === 'PrivateIdentifier'
+                ? info.env.privateNames.get(field.key.name)
+                : this.propertyKey(field, fieldEnv);
+            const value = field.value ? this.evaluate(field.value, fieldEnv) : undefined;
+            Object.defineProperty(instance, key, {
+                value,
+                writable: true,
+                enumerable: typeof key !== 'symbol',
+                configurable: true
+            });
+        });
+    }
+
+    /**
+     * 枚举：与 TypeScript 相同，数字成员同时有反向映射
+     * @private
+     */
+    evaluateEnum(node, env) {
+        const enumObject = {};
+        const enumEnv = new Environment(env);
+        let next = 0;
+        node.members.forEach(member => {
+            const name = member.id.type === 'Identifier' ? member.id.name : String(member.id.value);
+            const value = member.initializer ? this.evaluate(member.initializer, enumEnv) : next;
+            enumObject[name] = value;
+            enumEnv.declare(name, 'const', value);
+            if (typeof value === 'number') {
+                enumObject[value] = name;
+                next = value + 1;
+            }
+        });
+        return Object.freeze(enumObject);
+    }
+
+    // ==================== 输出格式 ====================
+
+    /**
+     * 把值格式化为控制台中显示的文本（与浏览器控制台相近）
+     * @param {*} value - 任意值
+     * @param {number} depth - 当前嵌套深度
+     * @param {Set} seen - 已经在输出路径上的对象（检测循环引用）
+     * @returns {string} 文本
+     */
+    formatValue(value, depth = 0, seen = new Set()) {
+        if (typeof value === 'string') return depth === 0 ? value : JSON.stringify(value);
+        if (typeof value === 'bigint') return `${value}n`;
+        if (typeof value === 'symbol') return value.toString();
+        if (Object.is(value, -0)) return '-0';
+        if (value === null || typeof value !== 'object' && typeof value !== 'function') return String(value);
+
+        if (typeof value === 'function') {
+            const info = FUNCTIONS.get(value);
+            const kind = info && info.kind === 'class' ? 'class' : 'Function';
+            return `[${kind} ${value.name || '(anonymous)'}]`;
+        }
+        if (value instanceof Error) return `${value.name}: ${value.message}`;
+        if (value instanceof RegExp) return String(value);
+        if (seen.has(value)) return '[Circular]';
+        if (depth >= 3) return Array.isArray(value) ? '[Array]' : '[Object]';
+
+        seen.add(value);
+        const format = (item) => this.formatValue(item, depth + 1, seen);
+        let text;
+        if (Array.isArray(value)) {
+            text = `[${Array.from(value, format).join(', ')}]`;
+        } else if (value instanceof Map) {
+            text = `Map(${value.size}) {${[...value].map(([key, item]) => `${format(key)} => ${format(item)}`).join(', ')}}`;
+        } else if (value instanceof Set) {
+            text = `Set(${value.size}) {${[...value].map(format).join(', ')}}`;
+        } else {
+            const entries = Object.keys(value).map(key => {
+                const descriptor = Object.getOwnPropertyDescriptor(value, key);
+                const shown = 'value' in descriptor ? format(descriptor.value) : '[Getter/Setter]';
+                return `${/^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key)}: ${shown}`;
+            });
+            const proto = Object.getPrototypeOf(value);
+            const className = proto && proto !== Object.prototype && FUNCTIONS.has(proto.constructor) ? `${proto.constructor.name} ` : '';
+            text = entries.length === 0 ? `${className}{}` : `${className}{ ${entries.join(', ')} }`;
+        }
+        seen.delete(value);
+        return text;
+    }
+}
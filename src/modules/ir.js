@@ -0,0 +1,548 @@
+// src/modules/ir.js
+// 中间表示 - SSA 形式的 IR 数据结构与 LLVM 风格的文本输出
+
+/*
+    是什么: llvm 模板使用的 SSA 中间表示。模块由全局变量和函数组成，函数由基本块组成，
+            基本块依次包含 φ 节点、普通指令和一条终结指令（br / cbr / ret）。
+    为什么: SSA 形式让每个值只定义一次，后续的优化遍、控制流图和 JavaScript 输出都直接在它上面工作。
+    如何关联:
+        - `irBuilder.js`从 AST 构造 IR，`jsEmitter.js`把 IR 输出为 JavaScript。
+        - `printModule()`的文本显示在目标代码面板中，`countInstructions()`决定 generatedCode 的产量。
+        - `irOptimizer.js`和`registerAllocator.js`中的优化遍使用这里的克隆、支配树、循环识别等工具函数。
+
+    值的表示:
+        - 常量 { kind: 'const', value }
+        - 临时值 { kind: 'temp', id, hint }，由参数、φ 节点或指令的 dest 定义
+    指令: { op, dest, args }，另有 load/store 的 global、call 的 callee、spill/reload 的 slot
+    寄存器分配之后，值上的 register / slot / scratch 决定它输出时的名字（%r1、%s0、%t0）
+*/
+
+import { formatConstant } from './bytecodeCompiler.js';
+
+// 没有副作用、可以删除或移动的指令
+export const PURE_OPCODES = new Set([
+    'add', 'sub', 'mul', 'div', 'rem', 'pow', 'shl', 'shr', 'ushr', 'and', 'or', 'xor',
+    'eq', 'ne', 'seq', 'sne', 'lt', 'le', 'gt', 'ge', 'neg', 'num', 'not', 'bitnot'
+]);
+
+/**
+ * 创建常量值
+ * @param {*} value - 数字、字符串、布尔值、null 或 undefined
+ * @returns {Object}
+ */
+export function constant(value) {
+    return { kind: 'const', value };
+}
+
+/**
+ * IR 函数
+ */
+export class IRFunction {
+    /**
+     * @param {string} name - 函数名
+     */
+    constructor(name) {
+        this.name = name;
+        this.params = [];
+        this.blocks = [];
+        this.nextValue = 0;
+        this.nextBlock = 0;
+    }
+
+    /**
+     * 创建临时值
+     * @param {string} hint - 输出时优先使用的名字
+     * @returns {Object}
+     */
+    newValue(hint = null) {
+        return { kind: 'temp', id: this.nextValue++, hint };
+    }
+
+    /**
+     * 创建基本块并加入函数
+     * @param {string} name - 块名前缀
+     * @returns {Object} { id, label, name, phis, instructions, terminator, preds }
+     */
+    newBlock(name) {
+        const id = this.nextBlock++;
+        const block = {
+            id,
+            label: name,
+            name: id === 0 ? name : `${name}${id}`,
+            phis: [],
+            instructions: [],
+            terminator: null,
+            preds: []
+        };
+        this.blocks.push(block);
+        return block;
+    }
+
+    get entry() {
+        return this.blocks[0];
+    }
+}
+
+/**
+ * 基本块的后继
+ * @param {Object} block - 基本块
+ * @returns {Array<Object>}
+ */
+export function successors(block) {
+    const { terminator } = block;
+    if (!terminator) return [];
+    if (terminator.op === 'br') return [terminator.target];
+    if (terminator.op === 'cbr') return [terminator.then, terminator.else];
+    return [];
+}
+
+/**
+ * 从入口可达的基本块，按逆后序排列（每个块排在它的非回边后继之前）
+ * @param {IRFunction} fn - 函数
+ * @returns {Array<Object>}
+ */
+export function reversePostorder(fn) {
+    const visited = new Set();
+    const order = [];
+    const visit = (block) => {
+        visited.add(block);
+        // 倒序访问后继，使 then 分支排在 else 分支之前
+        successors(block).reverse().forEach(successor => {
+            if (!visited.has(successor)) visit(successor);
+        });
+        order.push(block);
+    };
+    visit(fn.entry);
+    return order.reverse();
+}
+
+/**
+ * 终结指令和普通指令使用的值
+ * @param {Object} instruction - 指令或终结指令
+ * @returns {Array<Object>}
+ */
+export function operands(instruction) {
+    if (instruction.op === 'cbr') return [instruction.cond];
+    if (instruction.op === 'ret') return [instruction.value];
+    return instruction.args || [];
+}
+
+/**
+ * 计算二元运算，与字节码虚拟机和常量折叠共用
+ * @param {string} op - 操作码，见 BINARY_OPCODES
+ * @param {*} left - 左操作数
+ * @param {*} right - 右操作数
+ * @returns {*}
+ */
+export function evaluateBinary(op, left, right) {
+    switch (op) {
+        case 'add': return left + right;
+        case 'sub': return left - right;
+        case 'mul': return left * right;
+        case 'div': return left / right;
+        case 'rem': return left % right;
+        case 'pow': return left ** right;
+        case 'shl': return left << right;
+        case 'shr': return left >> right;
+        case 'ushr': return left >>> right;
+        case 'and': return left & right;
+        case 'or': return left | right;
+        case 'xor': return left ^ right;
+        case 'eq': return left == right;
+        case 'ne': return left != right;
+        case 'seq': return left === right;
+        case 'sne': return left !== right;
+        case 'lt': return left < right;
+        case 'le': return left <= right;
+        case 'gt': return left > right;
+        case 'ge': return left >= right;
+        default: throw new Error(`未知的二元运算: ${op}`);
+    }
+}
+
+/**
+ * 计算一元运算
+ * @param {string} op - 操作码，见 UNARY_OPCODES
+ * @param {*} value - 操作数
+ * @returns {*}
+ */
+export function evaluateUnary(op, value) {
+    switch (op) {
+        case 'neg': return -value;
+        case 'num': return +value;
+        case 'not': return !value;
+        case 'bitnot': return ~value;
+        default: throw new Error(`未知的一元运算: ${op}`);
+    }
+}
+
+/**
+ * 把函数中对某个值的所有使用替换为另一个值
+ * @param {IRFunction} fn - 函数
+ * @param {Object} from - 被替换的临时值
+ * @param {Object} to - 替代值
+ */
+export function replaceUses(fn, from, to) {
+    const replace = (value) => value === from ? to : value;
+    fn.blocks.forEach(block => {
+        block.phis.forEach(phi => phi.incoming.forEach(entry => { entry.value = replace(entry.value); }));
+        block.instructions.forEach(instruction => { instruction.args = instruction.args.map(replace); });
+        const { terminator } = block;
+        if (terminator.op === 'cbr') terminator.cond = replace(terminator.cond);
+        if (terminator.op === 'ret') terminator.value = replace(terminator.value);
+    });
+}
+
+/**
+ * 把终结指令中跳向 from 的边改为跳向 to（不修改前驱和 φ）
+ * @param {Object} block - 基本块
+ * @param {Object} from - 原来的目标块
+ * @param {Object} to - 新的目标块
+ */
+export function retarget(block, from, to) {
+    const { terminator } = block;
+    if (terminator.op === 'br' && terminator.target === from) terminator.target = to;
+    if (terminator.op === 'cbr') {
+        if (terminator.then === from) terminator.then = to;
+        if (terminator.else === from) terminator.else = to;
+    }
+}
+
+/**
+ * 删除一条 from → to 的边在 to 中留下的前驱记录和 φ 入边
+ * @param {Object} from - 前驱块
+ * @param {Object} to - 后继块
+ */
+export function removeEdge(from, to) {
+    const index = to.preds.indexOf(from);
+    if (index >= 0) to.preds.splice(index, 1);
+    to.phis.forEach(phi => {
+        const entry = phi.incoming.findIndex(incoming => incoming.block === from);
+        if (entry >= 0) phi.incoming.splice(entry, 1);
+    });
+}
+
+/**
+ * 删除从入口不可达的块，其余块按逆后序重新排列（保留块名）
+ * @param {IRFunction} fn - 函数
+ * @returns {number} 删除的块数
+ */
+export function removeUnreachableBlocks(fn) {
+    const count = fn.blocks.length;
+    fn.blocks = reversePostorder(fn);
+    const reachable = new Set(fn.blocks);
+    fn.blocks.forEach(block => {
+        block.preds = block.preds.filter(pred => reachable.has(pred));
+        block.phis.forEach(phi => {
+            phi.incoming = phi.incoming.filter(entry => reachable.has(entry.block));
+        });
+    });
+    return count - fn.blocks.length;
+}
+
+/**
+ * 计算直接支配者（Cooper、Harvey、Kennedy 的迭代算法）
+ * @param {IRFunction} fn - 函数，所有块都可达
+ * @returns {Map} 块 → 直接支配块，入口块映射为 null
+ */
+export function computeDominators(fn) {
+    const order = reversePostorder(fn);
+    const index = new Map(order.map((block, position) => [block, position]));
+    const idom = new Map([[fn.entry, fn.entry]]);
+    const intersect = (a, b) => {
+        while (a !== b) {
+            while (index.get(a) > index.get(b)) a = idom.get(a);
+            while (index.get(b) > index.get(a)) b = idom.get(b);
+        }
+        return a;
+    };
+
+    let changed = true;
+    while (changed) {
+        changed = false;
+        order.slice(1).forEach(block => {
+            const processed = block.preds.filter(pred => idom.has(pred));
+            if (processed.length === 0) return;
+            const dominator = processed.slice(1).reduce(intersect, processed[0]);
+            if (idom.get(block) !== dominator) {
+                idom.set(block, dominator);
+                changed = true;
+            }
+        });
+    }
+    idom.set(fn.entry, null);
+    return idom;
+}
+
+/**
+ * a 是否支配 b
+ * @param {Map} idom - computeDominators() 的返回值
+ * @param {Object} a - 基本块
+ * @param {Object} b - 基本块
+ * @returns {boolean}
+ */
+export function dominates(idom, a, b) {
+    for (let block = b; block; block = idom.get(block)) {
+        if (block === a) return true;
+    }
+    return false;
+}
+
+/**
+ * 计算支配边界：b 支配 x 的某个前驱但不严格支配 x 时，x 在 b 的支配边界上。
+ * 在 b 中赋值的变量需要在 b 的支配边界上放置 φ 节点
+ * @param {IRFunction} fn - 函数，所有块都可达
+ * @param {Map} idom - computeDominators() 的返回值
+ * @returns {Map} 块 → Set(块)
+ */
+export function dominanceFrontiers(fn, idom) {
+    const frontiers = new Map(fn.blocks.map(block => [block, new Set()]));
+    fn.blocks.forEach(block => {
+        const preds = new Set(block.preds);
+        if (preds.size < 2) return;
+        preds.forEach(pred => {
+            for (let runner = pred; runner && runner !== idom.get(block); runner = idom.get(runner)) {
+                frontiers.get(runner).add(block);
+            }
+        });
+    });
+    return frontiers;
+}
+
+/**
+ * 找出自然循环：目标支配来源的边是回边，回边的目标是循环头
+ * @param {IRFunction} fn - 函数，所有块都可达
+ * @returns {Array<Object>} [{ header, latches, blocks: Set }]，内层循环在前
+ */
+export function findLoops(fn) {
+    const idom = computeDominators(fn);
+    const loops = new Map();
+    fn.blocks.forEach(block => successors(block).forEach(header => {
+        if (!dominates(idom, header, block)) return;
+        if (!loops.has(header)) loops.set(header, { header, latches: [], blocks: new Set([header]) });
+        const loop = loops.get(header);
+        if (!loop.latches.includes(block)) loop.latches.push(block);
+
+        // 从回边来源逆着前驱走到循环头，经过的块都在循环中
+        const worklist = [block];
+        while (worklist.length > 0) {
+            const current = worklist.pop();
+            if (loop.blocks.has(current)) continue;
+            loop.blocks.add(current);
+            worklist.push(...current.preds);
+        }
+    }));
+    return [...loops.values()].sort((a, b) => a.blocks.size - b.blocks.size);
+}
+
+/**
+ * 深拷贝模块，优化遍在副本上修改，原模块保持不变
+ * @param {Object} module - { functions, globals }
+ * @returns {Object}
+ */
+export function cloneModule(module) {
+    return { functions: module.functions.map(cloneFunction), globals: [...module.globals] };
+}
+
+/**
+ * 深拷贝函数：块和临时值都是新对象，常量共享
+ * @param {IRFunction} fn - 函数
+ * @returns {IRFunction}
+ */
+export function cloneFunction(fn) {
+    const copy = new IRFunction(fn.name);
+    copy.nextValue = fn.nextValue;
+    copy.nextBlock = fn.nextBlock;
+
+    const values = new Map();
+    const value = (original) => {
+        if (original.kind !== 'temp') return original;
+        if (!values.has(original)) values.set(original, { ...original });
+        return values.get(original);
+    };
+    const blocks = new Map(fn.blocks.map(block => [block, {
+        ...block, phis: [], instructions: [], terminator: null, preds: []
+    }]));
+
+    copy.params = fn.params.map(value);
+    fn.blocks.forEach(block => {
+        const target = blocks.get(block);
+        target.preds = block.preds.map(pred => blocks.get(pred));
+        target.phis = block.phis.map(phi => ({
+            dest: value(phi.dest),
+            incoming: phi.incoming.map(entry => ({ block: blocks.get(entry.block), value: value(entry.value) })),
+            block: target
+        }));
+        target.instructions = block.instructions.map(instruction => ({
+            ...instruction,
+            dest: instruction.dest && value(instruction.dest),
+            args: instruction.args.map(value)
+        }));
+        target.terminator = mapTerminator(block.terminator, (successor) => blocks.get(successor), value);
+        copy.blocks.push(target);
+    });
+    return copy;
+}
+
+/**
+ * 复制终结指令，同时映射目标块和操作数
+ * @param {Object} terminator - 终结指令
+ * @param {Function} mapBlock - 块 → 新块
+ * @param {Function} mapValue - 值 → 新值
+ * @returns {Object}
+ */
+export function mapTerminator(terminator, mapBlock, mapValue) {
+    if (terminator.op === 'br') return { op: 'br', target: mapBlock(terminator.target) };
+    if (terminator.op === 'cbr') {
+        return { op: 'cbr', cond: mapValue(terminator.cond), then: mapBlock(terminator.then), else: mapBlock(terminator.else) };
+    }
+    return { op: 'ret', value: mapValue(terminator.value) };
+}
+
+/**
+ * 统计模块中的指令数（φ 节点、普通指令和终结指令）
+ * @param {Object} module - { functions, globals }
+ * @returns {number}
+ */
+export function countInstructions(module) {
+    return module.functions.reduce((sum, fn) => sum + fn.blocks.reduce(
+        (blockSum, block) => blockSum + block.phis.length + block.instructions.length + (block.terminator ? 1 : 0), 0), 0);
+}
+
+/**
+ * 给函数中的临时值分配输出用的名字：有 hint 的用 hint（重名时加序号），其余按出现顺序编号
+ * @param {IRFunction} fn - 函数
+ * @returns {Map} 临时值 → 名字（不含 %）
+ */
+export function nameValues(fn) {
+    const names = new Map();
+    const used = new Set();
+    let counter = 0;
+    const assign = (value) => {
+        if (names.has(value)) return;
+        // 寄存器分配之后多个值共用同一个寄存器或栈槽的名字
+        const location = locationName(value);
+        if (location) {
+            names.set(value, location);
+            return;
+        }
+        let name = value.hint;
+        if (name) {
+            for (let suffix = 1; used.has(name); suffix++) name = `${value.hint}.${suffix}`;
+        } else {
+            while (used.has(String(counter))) counter++;
+            name = String(counter++);
+        }
+        used.add(name);
+        names.set(value, name);
+    };
+
+    fn.params.forEach(assign);
+    fn.blocks.forEach(block => {
+        block.phis.forEach(phi => assign(phi.dest));
+        block.instructions.forEach(instruction => {
+            if (instruction.dest) assign(instruction.dest);
+        });
+    });
+    return names;
+}
+
+/**
+ * 寄存器分配给值的位置名，还没有分配时为 null
+ * @private
+ */
+function locationName(value) {
+    if (value.register !== undefined) return `r${value.register}`;
+    if (value.slot !== undefined) return `s${value.slot}`;
+    if (value.scratch !== undefined) return `t${value.scratch}`;
+    return null;
+}
+
+/**
+ * 输出 LLVM 风格的 IR 文本
+ * @param {Object} module - { functions, globals }
+ * @returns {string}
+ */
+export function printModule(module) {
+    const lines = module.globals.map(name => `@${name} = global undefined`);
+    module.functions.forEach(fn => {
+        if (lines.length > 0) lines.push('');
+        lines.push(printFunction(fn));
+    });
+    return lines.join('\n');
+}
+
+/**
+ * 输出一个函数的 IR 文本
+ * @param {IRFunction} fn - 函数
+ * @returns {string}
+ */
+export function printFunction(fn) {
+    const names = nameValues(fn);
+    const params = fn.params.map(param => formatValue(param, names));
+    const lines = [`define @${fn.name}(${params.join(', ')}) {`];
+    fn.blocks.forEach((block, index) => {
+        if (index > 0) lines.push('');
+        const preds = block.preds.length > 0 ? `    ; 前驱: ${block.preds.map(pred => `%${pred.name}`).join(', ')}` : '';
+        lines.push(`${block.name}:${preds}`);
+
+        const { phis, instructions, terminator } = formatBlock(block, names);
+        [...phis, ...instructions, terminator].forEach(line => lines.push(`  ${line}`));
+    });
+    lines.push('}');
+    return lines.join('\n');
+}
+
+/**
+ * 一个基本块中各条指令的文本（不含缩进）
+ * @param {Object} block - 基本块
+ * @param {Map} names - nameValues() 的返回值
+ * @returns {Object} { phis: [string], instructions: [string], terminator: string }
+ */
+export function formatBlock(block, names) {
+    const value = (operand) => formatValue(operand, names);
+    const label = (target) => `label %${target.name}`;
+
+    const phis = block.phis.map(phi => {
+        const incoming = phi.incoming.map(({ block: pred, value: operand }) => `[ ${value(operand)}, %${pred.name} ]`);
+        return `${value(phi.dest)} = phi ${incoming.join(', ')}`;
+    });
+
+    const instructions = block.instructions.map(instruction => {
+        const target = instruction.dest ? `${value(instruction.dest)} = ` : '';
+        let text;
+        if (instruction.op === 'load') {
+            text = `load @${instruction.global}`;
+        } else if (instruction.op === 'store') {
+            text = `store ${value(instruction.args[0])}, @${instruction.global}`;
+        } else if (instruction.op === 'call') {
+            text = `call @${instruction.callee}(${instruction.args.map(value).join(', ')})`;
+        } else if (instruction.slot !== undefined) {
+            text = `${instruction.op} ${[...instruction.args.map(value), `[s${instruction.slot}]`].join(', ')}`;
+        } else {
+            text = `${instruction.op} ${instruction.args.map(value).join(', ')}`;
+        }
+        return `${target}${text}`;
+    });
+
+    const { terminator } = block;
+    let text;
+    if (terminator.op === 'br') {
+        text = `br ${label(terminator.target)}`;
+    } else if (terminator.op === 'cbr') {
+        text = `br ${value(terminator.cond)}, ${label(terminator.then)}, ${label(terminator.else)}`;
+    } else {
+        text = `ret ${value(terminator.value)}`;
+    }
+    return { phis, instructions, terminator: text };
+}
+
+/**
+ * 操作数的文本：常量或 %名字
+ * 溢出后只在 φ 入边中出现的值没有定义指令，直接用它的栈槽名
+ * @private
+ */
+function formatValue(operand, names) {
+    if (operand.kind === 'const') return formatConstant(operand.value);
+    return `%${names.get(operand) || locationName(operand)}`;
+}
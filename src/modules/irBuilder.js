@@ -0,0 +1,493 @@
+// src/modules/irBuilder.js
+// IR 构造器 - 把 AST 直接降低为 SSA 形式的 IR（llvm 模板）
+
+/*
+    是什么: 在遍历 AST 的同时构造基本块和 SSA 值。局部变量不分配内存，
+            每次赋值只是记录"变量在当前块中的值"，需要合并时插入 φ 节点。
+    为什么: llvm 模板输出 LLVM 风格的 SSA 文本；SSA 也是 JavaScript 输出和后续优化遍的基础。
+    如何关联:
+        - 以`compilerFrontend.analyzeProgram()`的结果为输入，输出`ir.js`中的数据结构。
+        - 由`CodeGenerator.compile()`在 llvm 和 jit 模板下调用。
+
+    算法: Braun 等人的"Simple and Efficient Construction of SSA Form"。
+        - 块的前驱全部确定后"封闭"（seal）该块；读取未封闭块中的变量时先放一个不完整的 φ。
+        - 只有一个前驱的块直接向前驱查找变量的值。
+        - 所有操作数都相同（或是自身）的 φ 是平凡的，被替换为那个值；最后反复清理直到不动点。
+    全局变量（被函数引用的顶层变量）不进入 SSA，而是用 load/store 读写。
+    IR 没有外部符号，导入其他模块的程序只能用 basic 模板编译，再由`linker.js`链接。
+*/
+
+import { analyzeProgram, isPrintCall, CompileError, BINARY_OPCODES, UNARY_OPCODES } from './compilerFrontend.js';
+import { IRFunction, constant, successors, reversePostorder } from './ir.js';
+
+const UNDEFINED = constant(undefined);
+
+/**
+ * 把程序降低为 SSA IR
+ * @param {Object} ast - Program 节点
+ * @returns {Object} { functions: [IRFunction]（第一个是 main）, globals }
+ * @throws {CompileError} 程序不在可编译子集中
+ */
+export function buildIR(ast) {
+    const analysis = analyzeProgram(ast);
+    if (analysis.imports.length > 0) {
+        throw new CompileError('SSA IR 不支持 import，导入其他模块的程序请用基础代码生成模板编译并链接', analysis.imports[0].node);
+    }
+    const functions = analysis.functions.map(fn => new FunctionBuilder(fn, analysis).build());
+    return { functions, globals: analysis.globals.map(variable => variable.name) };
+}
+
+/**
+ * 单个函数的 SSA 构造
+ * @private
+ */
+class FunctionBuilder {
+    constructor(fn, analysis) {
+        this.source = fn;
+        this.analysis = analysis;
+        this.fn = new IRFunction(fn.name);
+        this.currentDef = new Map();     // 变量 → Map(块 → 值)
+        this.incompletePhis = new Map(); // 块 → Map(变量 → φ)
+        this.sealed = new Set();
+        this.replaced = new Map();       // 被删除的平凡 φ → 替代值
+        this.loops = [];
+    }
+
+    build() {
+        const entry = this.fn.newBlock('entry');
+        this.seal(entry);
+        this.block = entry;
+
+        this.source.params.forEach(variable => {
+            const value = this.fn.newValue(variable.id);
+            this.fn.params.push(value);
+            this.writeVariable(variable, entry, value);
+        });
+
+        this.source.body.forEach(statement => this.statement(statement));
+        if (this.block) this.terminate({ op: 'ret', value: UNDEFINED });
+
+        this.removeUnreachableBlocks();
+        this.removeTrivialPhis();
+        this.resolveOperands();
+        return this.fn;
+    }
+
+    // ---------- SSA 构造 ----------
+
+    writeVariable(variable, block, value) {
+        if (!this.currentDef.has(variable)) this.currentDef.set(variable, new Map());
+        this.currentDef.get(variable).set(block, value);
+    }
+
+    readVariable(variable, block) {
+        const definitions = this.currentDef.get(variable);
+        if (definitions && definitions.has(block)) return this.resolve(definitions.get(block));
+        return this.readVariableRecursive(variable, block);
+    }
+
+    readVariableRecursive(variable, block) {
+        let value;
+        if (!this.sealed.has(block)) {
+            const phi = this.newPhi(block, variable);
+            if (!this.incompletePhis.has(block)) this.incompletePhis.set(block, new Map());
+            this.incompletePhis.get(block).set(variable, phi);
+            value = phi.dest;
+        } else if (block.preds.length === 0) {
+            // 入口块（或不可达块）中尚未赋值的变量
+            value = UNDEFINED;
+        } else if (block.preds.length === 1) {
+            value = this.readVariable(variable, block.preds[0]);
+        } else {
+            // 先写入 φ 以打断循环中的递归
+            const phi = this.newPhi(block, variable);
+            this.writeVariable(variable, block, phi.dest);
+            value = this.addPhiOperands(variable, phi);
+        }
+        this.writeVariable(variable, block, value);
+        return value;
+    }
+
+    newPhi(block, variable) {
+        const phi = { dest: this.fn.newValue(variable.id), incoming: [], block };
+        block.phis.push(phi);
+        return phi;
+    }
+
+    addPhiOperands(variable, phi) {
+        phi.block.preds.forEach(pred => {
+            phi.incoming.push({ block: pred, value: this.readVariable(variable, pred) });
+        });
+        return this.tryRemoveTrivialPhi(phi);
+    }
+
+    tryRemoveTrivialPhi(phi) {
+        let same = null;
+        for (const { value } of phi.incoming) {
+            const operand = this.resolve(value);
+            if (operand === same || operand === phi.dest) continue;
+            if (same !== null) return phi.dest;
+            same = operand;
+        }
+        if (same === null) same = UNDEFINED;
+
+        phi.block.phis.splice(phi.block.phis.indexOf(phi), 1);
+        this.replaced.set(phi.dest, same);
+        return same;
+    }
+
+    resolve(value) {
+        while (this.replaced.has(value)) value = this.replaced.get(value);
+        return value;
+    }
+
+    seal(block) {
+        const pending = this.incompletePhis.get(block);
+        this.sealed.add(block);
+        this.incompletePhis.delete(block);
+        if (pending) {
+            pending.forEach((phi, variable) => this.addPhiOperands(variable, phi));
+        }
+    }
+
+    // ---------- 控制流 ----------
+
+    addEdge(from, to) {
+        to.preds.push(from);
+    }
+
+    terminate(terminator) {
+        this.block.terminator = terminator;
+        successors(this.block).forEach(successor => this.addEdge(this.block, successor));
+        this.block = null;
+    }
+
+    jump(target) {
+        if (this.block) this.terminate({ op: 'br', target });
+    }
+
+    branch(cond, then, otherwise) {
+        this.terminate({ op: 'cbr', cond, then, else: otherwise });
+    }
+
+    /**
+     * 在 return/break/continue 之后继续生成的语句放进一个不可达块，最后被删除
+     */
+    ensureBlock() {
+        if (!this.block) {
+            this.block = this.fn.newBlock('dead');
+            this.seal(this.block);
+        }
+    }
+
+    emit(op, args, extra = {}) {
+        const instruction = { op, dest: null, args, ...extra };
+        if (op !== 'store' && op !== 'print') instruction.dest = this.fn.newValue();
+        this.block.instructions.push(instruction);
+        return instruction.dest;
+    }
+
+    // ---------- 变量 ----------
+
+    read(variable) {
+        if (!variable) return UNDEFINED;
+        if (variable.global) return this.emit('load', [], { global: variable.name });
+        return this.readVariable(variable, this.block);
+    }
+
+    write(variable, value) {
+        if (variable.global) {
+            this.emit('store', [value], { global: variable.name });
+        } else {
+            if (value.kind === 'temp' && !value.hint) value.hint = variable.id;
+            this.writeVariable(variable, this.block, value);
+        }
+    }
+
+    // ---------- 语句 ----------
+
+    statement(node) {
+        this.ensureBlock();
+        switch (node.type) {
+            case 'ExpressionStatement':
+                this.expression(node.expression);
+                break;
+            case 'VariableDeclaration':
+                node.declarations.forEach(declarator => {
+                    if (!declarator.init && node.kind === 'var') return;
+                    const value = declarator.init ? this.expression(declarator.init) : UNDEFINED;
+                    this.write(this.analysis.variableOf(declarator.id), value);
+                });
+                break;
+            case 'BlockStatement':
+                node.body.forEach(statement => this.statement(statement));
+                break;
+            case 'IfStatement': {
+                const then = this.fn.newBlock('if.then');
+                const end = this.fn.newBlock('if.end');
+                const otherwise = node.alternate ? this.fn.newBlock('if.else') : end;
+                this.branch(this.expression(node.test), then, otherwise);
+                this.seal(then);
+                this.block = then;
+                this.statement(node.consequent);
+                this.jump(end);
+                if (node.alternate) {
+                    this.seal(otherwise);
+                    this.block = otherwise;
+                    this.statement(node.alternate);
+                    this.jump(end);
+                }
+                this.seal(end);
+                this.block = end;
+                break;
+            }
+            case 'WhileStatement': {
+                const header = this.fn.newBlock('while.cond');
+                const body = this.fn.newBlock('while.body');
+                const end = this.fn.newBlock('while.end');
+                this.jump(header);
+                this.block = header;
+                this.branch(this.expression(node.test), body, end);
+                this.seal(body);
+                this.block = body;
+                this.loop(node.body, end, header);
+                this.jump(header);
+                this.seal(header);
+                this.seal(end);
+                this.block = end;
+                break;
+            }
+            case 'DoWhileStatement': {
+                const body = this.fn.newBlock('do.body');
+                const test = this.fn.newBlock('do.cond');
+                const end = this.fn.newBlock('do.end');
+                this.jump(body);
+                this.block = body;
+                this.loop(node.body, end, test);
+                this.jump(test);
+                this.seal(test);
+                this.block = test;
+                this.branch(this.expression(node.test), body, end);
+                this.seal(body);
+                this.seal(end);
+                this.block = end;
+                break;
+            }
+            case 'ForStatement': {
+                if (node.init && node.init.type === 'VariableDeclaration') {
+                    this.statement(node.init);
+                } else if (node.init) {
+                    this.expression(node.init);
+                }
+                const header = this.fn.newBlock('for.cond');
+                const body = this.fn.newBlock('for.body');
+                const update = this.fn.newBlock('for.inc');
+                const end = this.fn.newBlock('for.end');
+                this.jump(header);
+                this.block = header;
+                if (node.test) {
+                    this.branch(this.expression(node.test), body, end);
+                } else {
+                    this.jump(body);
+                }
+                this.seal(body);
+                this.block = body;
+                this.loop(node.body, end, update);
+                this.jump(update);
+                this.seal(update);
+                this.block = update;
+                if (node.update) this.expression(node.update);
+                this.jump(header);
+                this.seal(header);
+                this.seal(end);
+                this.block = end;
+                break;
+            }
+            case 'ReturnStatement':
+                this.terminate({ op: 'ret', value: node.argument ? this.expression(node.argument) : UNDEFINED });
+                break;
+            case 'BreakStatement':
+                this.jump(this.loops[this.loops.length - 1].breakTarget);
+                break;
+            case 'ContinueStatement':
+                this.jump(this.loops[this.loops.length - 1].continueTarget);
+                break;
+            default:
+                // EmptyStatement 和类型声明不生成代码
+                break;
+        }
+    }
+
+    loop(body, breakTarget, continueTarget) {
+        this.loops.push({ breakTarget, continueTarget });
+        this.statement(body);
+        this.loops.pop();
+    }
+
+    // ---------- 表达式 ----------
+
+    /**
+     * @returns {Object} 表达式的值
+     */
+    expression(node) {
+        switch (node.type) {
+            case 'Literal':
+                return constant(node.value);
+            case 'Identifier':
+                return this.read(this.analysis.variableOf(node));
+            case 'BinaryExpression': {
+                const left = this.expression(node.left);
+                const right = this.expression(node.right);
+                return this.emit(BINARY_OPCODES[node.operator], [left, right]);
+            }
+            case 'UnaryExpression':
+                return this.emit(UNARY_OPCODES[node.operator], [this.expression(node.argument)]);
+            case 'LogicalExpression':
+                return this.logical(node.operator, this.expression(node.left), () => this.expression(node.right));
+            case 'ConditionalExpression': {
+                const then = this.fn.newBlock('cond.then');
+                const otherwise = this.fn.newBlock('cond.else');
+                const end = this.fn.newBlock('cond.end');
+                this.branch(this.expression(node.test), then, otherwise);
+                this.seal(then);
+                this.seal(otherwise);
+                this.block = then;
+                const thenValue = this.expression(node.consequent);
+                const thenBlock = this.block;
+                this.jump(end);
+                this.block = otherwise;
+                const elseValue = this.expression(node.alternate);
+                const elseBlock = this.block;
+                this.jump(end);
+                this.seal(end);
+                this.block = end;
+                return this.merge(end, [{ block: thenBlock, value: thenValue }, { block: elseBlock, value: elseValue }]);
+            }
+            case 'AssignmentExpression':
+                return this.assignment(node);
+            case 'UpdateExpression': {
+                const variable = this.analysis.variableOf(node.argument);
+                const old = this.emit('num', [this.read(variable)]);
+                const updated = this.emit(node.operator === '++' ? 'add' : 'sub', [old, constant(1)]);
+                this.write(variable, updated);
+                return node.prefix ? updated : old;
+            }
+            case 'CallExpression':
+                return this.call(node);
+            default:
+                return UNDEFINED;
+        }
+    }
+
+    /**
+     * 短路求值：左值决定结果时跳过右侧，在汇合块用 φ 合并两个结果
+     * @param {string} operator - &&、|| 或 ??
+     * @param {Object} left - 左侧的值
+     * @param {Function} evaluateRight - 生成右侧代码并返回其值
+     */
+    logical(operator, left, evaluateRight) {
+        const rhs = this.fn.newBlock('logic.rhs');
+        const end = this.fn.newBlock('logic.end');
+        const leftBlock = this.block;
+        if (operator === '&&') {
+            this.branch(left, rhs, end);
+        } else if (operator === '||') {
+            this.branch(left, end, rhs);
+        } else {
+            const nullish = this.emit('eq', [left, constant(null)]);
+            this.branch(nullish, rhs, end);
+        }
+        this.seal(rhs);
+        this.block = rhs;
+        const right = evaluateRight();
+        const rightBlock = this.block;
+        this.jump(end);
+        this.seal(end);
+        this.block = end;
+        return this.merge(end, [{ block: leftBlock, value: left }, { block: rightBlock, value: right }]);
+    }
+
+    /**
+     * 表达式结果的 φ（汇合块的前驱在此之前已经确定）
+     */
+    merge(block, incoming) {
+        if (incoming[0].value === incoming[1].value) return incoming[0].value;
+        const phi = { dest: this.fn.newValue(), incoming: block.preds.map(pred => incoming.find(entry => entry.block === pred)), block };
+        block.phis.push(phi);
+        return phi.dest;
+    }
+
+    assignment(node) {
+        const variable = this.analysis.variableOf(node.left);
+        const operator = node.operator.slice(0, -1);
+        if (node.operator === '=') {
+            const value = this.expression(node.right);
+            this.write(variable, value);
+            return value;
+        }
+        if (BINARY_OPCODES[operator]) {
+            const value = this.emit(BINARY_OPCODES[operator], [this.read(variable), this.expression(node.right)]);
+            this.write(variable, value);
+            return value;
+        }
+        // 逻辑赋值只在求值右侧时赋值
+        return this.logical(operator, this.read(variable), () => {
+            const value = this.expression(node.right);
+            this.write(variable, value);
+            return value;
+        });
+    }
+
+    call(node) {
+        const args = node.arguments.map(argument => this.expression(argument));
+        if (isPrintCall(node)) {
+            this.emit('print', args);
+            return UNDEFINED;
+        }
+        const callee = node.callee.name;
+        const params = this.analysis.functions.find(fn => fn.name === callee).params.length;
+        while (args.length < params) args.push(UNDEFINED);
+        return this.emit('call', args.slice(0, params), { callee });
+    }
+
+    // ---------- 清理 ----------
+
+    /**
+     * 删除不可达块，其余块按逆后序排列并重新编号
+     */
+    removeUnreachableBlocks() {
+        this.fn.blocks = reversePostorder(this.fn);
+        const reachable = new Set(this.fn.blocks);
+        this.fn.blocks.forEach((block, index) => {
+            block.id = index;
+            if (index > 0) block.name = `${block.label}${index}`;
+            block.preds = block.preds.filter(pred => reachable.has(pred));
+            block.phis.forEach(phi => {
+                phi.incoming = phi.incoming.filter(entry => reachable.has(entry.block));
+            });
+        });
+    }
+
+    removeTrivialPhis() {
+        let changed = true;
+        while (changed) {
+            changed = false;
+            this.fn.blocks.forEach(block => {
+                [...block.phis].forEach(phi => {
+                    if (this.tryRemoveTrivialPhi(phi) !== phi.dest) changed = true;
+                });
+            });
+        }
+    }
+
+    resolveOperands() {
+        const resolve = (value) => this.resolve(value);
+        this.fn.blocks.forEach(block => {
+            block.phis.forEach(phi => phi.incoming.forEach(entry => { entry.value = resolve(entry.value); }));
+            block.instructions.forEach(instruction => { instruction.args = instruction.args.map(resolve); });
+            const { terminator } = block;
+            if (terminator.op === 'cbr') terminator.cond = resolve(terminator.cond);
+            if (terminator.op === 'ret') terminator.value = resolve(terminator.value);
+        });
+    }
+}
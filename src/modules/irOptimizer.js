@@ -0,0 +1,732 @@
+// src/modules/irOptimizer.js
+// IR 优化遍 - 常量折叠与传播、死代码消除、循环优化和函数内联，技术等级决定每个遍的激进程度
+
+/*
+    是什么: 在`irBuilder.js`构造的 SSA IR 上工作的优化遍。每个遍原地修改模块，返回统计数据。
+    为什么: 优化技术不应只是倍率上的一个数字；每项技术都对应一个真正改写程序的遍，
+            玩家可以在第三阶段看到它对自己的程序做了什么、减少了多少条指令。
+    如何关联:
+        - `CodeOptimizer.optimizeProgram()`按`OPTIMIZATION_PIPELINE`的顺序运行等级大于 0 的遍，
+          寄存器分配（`registerAllocator.js`）排在最后。
+        - 优化后的 IR 用作 llvm 模板的清单和 jit 模板输出 JavaScript 的输入。
+
+    各遍按等级解锁的能力:
+        - 常量折叠: Lv1 折叠操作数全是常量的运算并传播结果；Lv2 起折叠常量条件的分支和
+          入边相同的 φ；Lv3 起反复执行直到不动点（最多 2×等级 轮）
+        - 函数内联: 内联不超过 4 + 8×等级 条指令、不递归的函数；Lv3 起被内联的函数可以包含调用
+        - 循环优化: Lv1 外提循环不变的纯运算；Lv2 起也外提循环中没有写入的全局变量读取；
+          Lv3 起展开只从循环头退出的最内层循环，展开倍数 1 + ⌊(等级 - 1) / 2⌋
+        - 死代码消除: Lv1 删除结果没有被使用的运算和不可达的块；Lv2 起用标记-清除删除互相引用的死 φ；
+          Lv3 起让跳转穿过空块；Lv4 起合并只有一条边相连的块
+*/
+
+import {
+    PURE_OPCODES, constant, successors, evaluateBinary, evaluateUnary, replaceUses, retarget, removeEdge,
+    removeUnreachableBlocks, findLoops, mapTerminator, cloneFunction
+} from './ir.js';
+import { allocateModuleRegisters } from './registerAllocator.js';
+
+const UNDEFINED = constant(undefined);
+
+// 折叠出的字符串超过这个长度时保留运算，避免清单膨胀
+const MAX_FOLDED_STRING = 200;
+
+// 内联的大小上限：基础值 + 每级增量
+const INLINE_BASE_SIZE = 4;
+const INLINE_SIZE_PER_LEVEL = 8;
+
+// 循环展开：每级允许展开增加的指令数
+const UNROLL_BUDGET_PER_LEVEL = 16;
+
+/**
+ * 优化遍流水线，按顺序执行
+ * tech 对应 OPTIMIZATION_TECHS 的键；lowering 表示该遍的结果只用于展示，不进入目标代码
+ */
+export const OPTIMIZATION_PIPELINE = [
+    {
+        tech: 'functionInlining',
+        run: functionInlining,
+        describe: (stats) => `内联 ${stats.inlined} 处调用（大小上限 ${stats.threshold} 条指令）`
+    },
+    {
+        tech: 'constantFolding',
+        run: constantFolding,
+        describe: (stats) => `折叠 ${stats.instructions} 条指令、${stats.branches} 个分支、${stats.phis} 个 φ`
+    },
+    {
+        tech: 'loopOptimization',
+        run: loopOptimization,
+        describe: (stats) => `外提 ${stats.hoisted} 条不变指令，展开 ${stats.unrolled} 个循环` +
+            (stats.factor > 1 ? `（${stats.factor} 倍）` : '')
+    },
+    {
+        tech: 'deadCodeElimination',
+        run: deadCodeElimination,
+        describe: (stats) => `删除 ${stats.instructions} 条指令、${stats.blocks} 个基本块`
+    },
+    {
+        tech: 'registerAllocation',
+        run: allocateModuleRegisters,
+        lowering: true,
+        describe: (stats) => `${stats.registers} 个寄存器，溢出 ${stats.spilled} 个值（插入 ${stats.spillInstructions} 条 spill/reload）`
+    }
+];
+
+// ---------- 常量折叠与传播 ----------
+
+/**
+ * 常量折叠与传播
+ * @param {Object} module - IR 模块，原地修改
+ * @param {number} level - 技术等级
+ * @returns {Object} { instructions, branches, phis }
+ */
+export function constantFolding(module, level) {
+    const stats = { instructions: 0, branches: 0, phis: 0 };
+    const rounds = level >= 3 ? level * 2 : 1;
+    module.functions.forEach(fn => {
+        for (let round = 0; round < rounds; round++) {
+            if (!foldFunction(fn, level, stats)) break;
+        }
+    });
+    return stats;
+}
+
+/**
+ * 按块的顺序折叠一轮，前面折叠出的常量立即传播给后面的指令
+ * @returns {boolean} 是否有改动
+ * @private
+ */
+function foldFunction(fn, level, stats) {
+    const replacements = new Map();
+    const resolve = (value) => {
+        while (replacements.has(value)) value = replacements.get(value);
+        return value;
+    };
+    let changed = false;
+
+    fn.blocks.forEach(block => {
+        if (level >= 2) {
+            block.phis = block.phis.filter(phi => {
+                const value = uniqueIncoming(phi, resolve);
+                if (!value) return true;
+                replacements.set(phi.dest, value);
+                stats.phis++;
+                changed = true;
+                return false;
+            });
+        }
+
+        block.instructions = block.instructions.filter(instruction => {
+            instruction.args = instruction.args.map(resolve);
+            if (!PURE_OPCODES.has(instruction.op) || !instruction.args.every(arg => arg.kind === 'const')) return true;
+
+            const values = instruction.args.map(arg => arg.value);
+            const result = values.length === 2
+                ? evaluateBinary(instruction.op, values[0], values[1])
+                : evaluateUnary(instruction.op, values[0]);
+            if (typeof result === 'string' && result.length > MAX_FOLDED_STRING) return true;
+
+            replacements.set(instruction.dest, constant(result));
+            stats.instructions++;
+            changed = true;
+            return false;
+        });
+
+        const { terminator } = block;
+        if (terminator.op === 'ret') terminator.value = resolve(terminator.value);
+        if (terminator.op === 'cbr') {
+            terminator.cond = resolve(terminator.cond);
+            if (level >= 2 && terminator.cond.kind === 'const') {
+                const [taken, dropped] = terminator.cond.value
+                    ? [terminator.then, terminator.else]
+                    : [terminator.else, terminator.then];
+                block.terminator = { op: 'br', target: taken };
+                removeEdge(block, dropped);
+                stats.branches++;
+                changed = true;
+            }
+        }
+    });
+
+    if (!changed) return false;
+
+    // 回边上的 φ 入边和排在定义之前的使用在这里统一替换
+    fn.blocks.forEach(block => {
+        block.phis.forEach(phi => phi.incoming.forEach(entry => { entry.value = resolve(entry.value); }));
+        block.instructions.forEach(instruction => { instruction.args = instruction.args.map(resolve); });
+    });
+    removeUnreachableBlocks(fn);
+    return true;
+}
+
+/**
+ * φ 的入边（除自身外）是否都是同一个值
+ * @returns {Object|null} 那个值
+ * @private
+ */
+function uniqueIncoming(phi, resolve) {
+    let unique = null;
+    for (const entry of phi.incoming) {
+        const value = resolve(entry.value);
+        if (value === phi.dest) continue;
+        if (unique && !sameValue(unique, value)) return null;
+        unique = value;
+    }
+    return unique;
+}
+
+/**
+ * 两个值是否相同：同一个临时值，或值相同的常量
+ * @private
+ */
+function sameValue(a, b) {
+    if (a === b) return true;
+    return a.kind === 'const' && b.kind === 'const' && Object.is(a.value, b.value);
+}
+
+// ---------- 死代码消除 ----------
+
+/**
+ * 死代码消除
+ * @param {Object} module - IR 模块，原地修改
+ * @param {number} level - 技术等级
+ * @returns {Object} { instructions, blocks }
+ */
+export function deadCodeElimination(module, level) {
+    const stats = { instructions: 0, blocks: 0 };
+    module.functions.forEach(fn => {
+        stats.blocks += removeUnreachableBlocks(fn);
+        stats.instructions += level >= 2 ? sweepDeadValues(fn) : removeUnusedValues(fn);
+        if (level >= 3) stats.blocks += threadJumps(fn);
+        if (level >= 4) stats.blocks += mergeBlocks(fn);
+        removeUnreachableBlocks(fn);
+    });
+    return stats;
+}
+
+/**
+ * 可以删除的指令：纯运算和全局变量读取
+ * @private
+ */
+function isRemovable(instruction) {
+    return PURE_OPCODES.has(instruction.op) || instruction.op === 'load';
+}
+
+/**
+ * 统计每个临时值被使用的次数
+ * @private
+ */
+function countUses(fn) {
+    const uses = new Map();
+    const use = (value) => {
+        if (value.kind === 'temp') uses.set(value, (uses.get(value) || 0) + 1);
+    };
+    fn.blocks.forEach(block => {
+        block.phis.forEach(phi => phi.incoming.forEach(entry => use(entry.value)));
+        block.instructions.forEach(instruction => instruction.args.forEach(use));
+        const { terminator } = block;
+        if (terminator.op === 'cbr') use(terminator.cond);
+        if (terminator.op === 'ret') use(terminator.value);
+    });
+    return uses;
+}
+
+/**
+ * 反复删除结果没有被使用的指令和 φ
+ * @returns {number} 删除的条数
+ * @private
+ */
+function removeUnusedValues(fn) {
+    let removed = 0;
+    let changed = true;
+    while (changed) {
+        changed = false;
+        const uses = countUses(fn);
+        fn.blocks.forEach(block => {
+            const phis = block.phis.filter(phi => uses.has(phi.dest));
+            const instructions = block.instructions.filter(instruction => !isRemovable(instruction) || uses.has(instruction.dest));
+            const count = block.phis.length - phis.length + block.instructions.length - instructions.length;
+            if (count > 0) {
+                removed += count;
+                changed = true;
+            }
+            block.phis = phis;
+            block.instructions = instructions;
+        });
+    }
+    return removed;
+}
+
+/**
+ * 标记-清除：从有副作用的指令和终结指令出发标记用到的值，没有标记的运算和 φ 都是死的，
+ * 包括只在循环中互相引用的 φ（例如从未被读取的计数器）
+ * @returns {number} 删除的条数
+ * @private
+ */
+function sweepDeadValues(fn) {
+    const definitions = new Map();
+    fn.blocks.forEach(block => {
+        block.phis.forEach(phi => definitions.set(phi.dest, phi.incoming.map(entry => entry.value)));
+        block.instructions.forEach(instruction => {
+            if (instruction.dest) definitions.set(instruction.dest, instruction.args);
+        });
+    });
+
+    const live = new Set();
+    const worklist = [];
+    const mark = (value) => {
+        if (value.kind !== 'temp' || live.has(value)) return;
+        live.add(value);
+        worklist.push(value);
+    };
+    fn.blocks.forEach(block => {
+        block.instructions.forEach(instruction => {
+            if (!isRemovable(instruction)) instruction.args.forEach(mark);
+        });
+        const { terminator } = block;
+        if (terminator.op === 'cbr') mark(terminator.cond);
+        if (terminator.op === 'ret') mark(terminator.value);
+    });
+    while (worklist.length > 0) {
+        (definitions.get(worklist.pop()) || []).forEach(mark);
+    }
+
+    let removed = 0;
+    fn.blocks.forEach(block => {
+        const phis = block.phis.filter(phi => live.has(phi.dest));
+        const instructions = block.instructions.filter(instruction => !isRemovable(instruction) || live.has(instruction.dest));
+        removed += block.phis.length - phis.length + block.instructions.length - instructions.length;
+        block.phis = phis;
+        block.instructions = instructions;
+    });
+    return removed;
+}
+
+/**
+ * 跳转穿过空块：只有一条 br 的块被绕过；两个目标相同的条件跳转改为 br
+ * @returns {number} 绕过的块数
+ * @private
+ */
+function threadJumps(fn) {
+    let threaded = 0;
+    fn.blocks.forEach(block => {
+        const { terminator } = block;
+        if (terminator.op === 'cbr' && terminator.then === terminator.else) {
+            block.terminator = { op: 'br', target: terminator.then };
+            removeEdge(block, terminator.then);
+        }
+    });
+
+    fn.blocks.forEach(block => {
+        const { terminator } = block;
+        if (block === fn.entry || block.phis.length > 0 || block.instructions.length > 0 || terminator.op !== 'br') return;
+        const target = terminator.target;
+        if (target === block) return;
+        // 前驱已经直接跳向目标时，目标的 φ 无法区分两条边
+        if (target.phis.length > 0 && block.preds.some(pred => target.preds.includes(pred))) return;
+
+        const preds = [...new Set(block.preds)];
+        preds.forEach(pred => retarget(pred, block, target));
+        target.phis.forEach(phi => {
+            const entry = phi.incoming.find(incoming => incoming.block === block);
+            phi.incoming = phi.incoming.filter(incoming => incoming !== entry);
+            block.preds.forEach(pred => phi.incoming.push({ block: pred, value: entry.value }));
+        });
+        target.preds = [...target.preds.filter(pred => pred !== block), ...block.preds];
+        block.preds = [];
+        threaded++;
+    });
+    return threaded;
+}
+
+/**
+ * 合并块：只有一个前驱、且前驱只跳向它的块并入前驱
+ * @returns {number} 合并的块数
+ * @private
+ */
+function mergeBlocks(fn) {
+    let merged = 0;
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const block of fn.blocks) {
+            if (block === fn.entry || block.preds.length !== 1) continue;
+            const [pred] = block.preds;
+            if (pred === block || pred.terminator.op !== 'br') continue;
+
+            block.phis.forEach(phi => replaceUses(fn, phi.dest, phi.incoming[0].value));
+            pred.instructions.push(...block.instructions);
+            pred.terminator = block.terminator;
+            new Set(successors(block)).forEach(successor => {
+                successor.preds = successor.preds.map(p => p === block ? pred : p);
+                successor.phis.forEach(phi => phi.incoming.forEach(entry => {
+                    if (entry.block === block) entry.block = pred;
+                }));
+            });
+            fn.blocks = fn.blocks.filter(other => other !== block);
+            merged++;
+            changed = true;
+            break;
+        }
+    }
+    return merged;
+}
+
+// ---------- 循环优化 ----------
+
+/**
+ * 循环优化：循环不变量外提和循环展开
+ * @param {Object} module - IR 模块，原地修改
+ * @param {number} level - 技术等级
+ * @returns {Object} { hoisted, unrolled, factor }
+ */
+export function loopOptimization(module, level) {
+    const factor = level >= 3 ? 1 + Math.floor((level - 1) / 2) : 1;
+    const stats = { hoisted: 0, unrolled: 0, factor };
+
+    module.functions.forEach(fn => {
+        // 每处理一个循环都可能插入预头块，改变外层循环的块集合，所以每次重新识别
+        const processed = new Set();
+        for (;;) {
+            const loop = findLoops(fn).find(candidate => !processed.has(candidate.header));
+            if (!loop) break;
+            processed.add(loop.header);
+            stats.hoisted += hoistInvariants(fn, loop, level);
+        }
+
+        if (factor > 1) {
+            const budget = { remaining: UNROLL_BUDGET_PER_LEVEL * level };
+            const loops = findLoops(fn);
+            loops.filter(loop => isInnermost(loop, loops)).forEach(loop => {
+                if (unrollLoop(fn, loop, factor, budget)) stats.unrolled++;
+            });
+        }
+        removeUnreachableBlocks(fn);
+    });
+    return stats;
+}
+
+/**
+ * 取得（必要时插入）循环的预头块：循环外唯一的、只跳向循环头的前驱
+ * @private
+ */
+function ensurePreheader(fn, loop) {
+    const { header } = loop;
+    const outside = header.preds.filter(pred => !loop.blocks.has(pred));
+    if (outside.length === 1 && successors(outside[0]).length === 1) return outside[0];
+
+    const preheader = fn.newBlock(`${header.label}.preheader`);
+    preheader.terminator = { op: 'br', target: header };
+    preheader.preds = outside;
+    new Set(outside).forEach(pred => retarget(pred, header, preheader));
+
+    header.phis.forEach(phi => {
+        const entries = phi.incoming.filter(entry => !loop.blocks.has(entry.block));
+        const inside = phi.incoming.filter(entry => loop.blocks.has(entry.block));
+        let value = entries[0].value;
+        if (entries.length > 1) {
+            const merged = { dest: fn.newValue(phi.dest.hint), incoming: entries, block: preheader };
+            preheader.phis.push(merged);
+            value = merged.dest;
+        }
+        phi.incoming = [...inside, { block: preheader, value }];
+    });
+    header.preds = [...header.preds.filter(pred => loop.blocks.has(pred)), preheader];
+    return preheader;
+}
+
+/**
+ * 把操作数都在循环外定义的纯运算移到预头块
+ * @returns {number} 外提的指令数
+ * @private
+ */
+function hoistInvariants(fn, loop, level) {
+    const definedInLoop = new Set();
+    const storedGlobals = new Set();
+    let hasCalls = false;
+    const blocks = fn.blocks.filter(block => loop.blocks.has(block));
+    blocks.forEach(block => {
+        block.phis.forEach(phi => definedInLoop.add(phi.dest));
+        block.instructions.forEach(instruction => {
+            if (instruction.dest) definedInLoop.add(instruction.dest);
+            if (instruction.op === 'store') storedGlobals.add(instruction.global);
+            if (instruction.op === 'call') hasCalls = true;
+        });
+    });
+
+    // 被调用的函数可能写入任何全局变量
+    const canHoist = (instruction) => {
+        if (!instruction.args.every(arg => !definedInLoop.has(arg))) return false;
+        if (PURE_OPCODES.has(instruction.op)) return true;
+        return level >= 2 && instruction.op === 'load' && !hasCalls && !storedGlobals.has(instruction.global);
+    };
+
+    const hoisted = [];
+    let changed = true;
+    while (changed) {
+        changed = false;
+        blocks.forEach(block => {
+            block.instructions = block.instructions.filter(instruction => {
+                if (!canHoist(instruction)) return true;
+                hoisted.push(instruction);
+                definedInLoop.delete(instruction.dest);
+                changed = true;
+                return false;
+            });
+        });
+    }
+
+    if (hoisted.length > 0) ensurePreheader(fn, loop).instructions.push(...hoisted);
+    return hoisted.length;
+}
+
+/**
+ * 循环中是否没有嵌套其他循环
+ * @private
+ */
+function isInnermost(loop, loops) {
+    return loops.every(other => other === loop || !loop.blocks.has(other.header));
+}
+
+/**
+ * 展开循环：把整个循环（包括循环头的退出测试）再复制 factor - 1 份串在回边上。
+ * 每份都保留退出测试，所以不需要知道迭代次数；复制的循环头只有一个前驱，φ 变成上一份的值。
+ * 只处理只有一条回边、只从循环头退出、且退出块只有循环头一个前驱的循环（没有 break 的 for/while）
+ * @returns {boolean} 是否展开
+ * @private
+ */
+function unrollLoop(fn, loop, factor, budget) {
+    const { header, blocks: members } = loop;
+    if (loop.latches.length !== 1) return false;
+    const [latch] = loop.latches;
+    if (latch.terminator.op !== 'br' || header.terminator.op !== 'cbr') return false;
+
+    const exits = successors(header).filter(block => !members.has(block));
+    if (exits.length !== 1) return false;
+    const [exit] = exits;
+    if (exit.preds.length !== 1) return false;
+    const body = fn.blocks.filter(block => members.has(block));
+    if (body.some(block => block !== header && successors(block).some(successor => !members.has(successor)))) return false;
+
+    const size = body.reduce((sum, block) => sum + block.phis.length + block.instructions.length + 1, 0);
+    if (size * (factor - 1) > budget.remaining) return false;
+    budget.remaining -= size * (factor - 1);
+
+    closeLoopValues(fn, loop, exit);
+
+    const backValues = new Map(header.phis.map(phi => [phi, phi.incoming.find(entry => entry.block === latch).value]));
+    const latches = [latch];
+    const headers = [header];
+    let previousValues = new Map();
+    for (let copy = 1; copy < factor; copy++) {
+        const values = new Map();
+        const map = (value) => values.get(value) || value;
+        const copies = new Map(body.map(block => [block, fn.newBlock(block.label)]));
+
+        header.phis.forEach(phi => {
+            const value = backValues.get(phi);
+            values.set(phi.dest, previousValues.get(value) || value);
+        });
+        body.forEach(block => {
+            if (block !== header) block.phis.forEach(phi => values.set(phi.dest, fn.newValue(phi.dest.hint)));
+            block.instructions.forEach(instruction => {
+                if (instruction.dest) values.set(instruction.dest, fn.newValue(instruction.dest.hint));
+            });
+        });
+
+        body.forEach(block => {
+            const target = copies.get(block);
+            if (block !== header) {
+                target.phis = block.phis.map(phi => ({
+                    dest: map(phi.dest),
+                    incoming: phi.incoming.map(entry => ({ block: copies.get(entry.block), value: map(entry.value) })),
+                    block: target
+                }));
+                target.preds = block.preds.map(pred => copies.get(pred));
+            }
+            target.instructions = block.instructions.map(instruction => ({
+                ...instruction,
+                dest: instruction.dest && map(instruction.dest),
+                args: instruction.args.map(map)
+            }));
+            // 回边暂时仍指向原循环头，全部复制完后再串起来
+            target.terminator = mapTerminator(block.terminator,
+                (successor) => successor === header ? header : copies.get(successor) || successor, map);
+        });
+
+        const copiedHeader = copies.get(header);
+        exit.preds.push(copiedHeader);
+        exit.phis.forEach(phi => {
+            const entry = phi.incoming.find(incoming => incoming.block === header);
+            phi.incoming.push({ block: copiedHeader, value: map(entry.value) });
+        });
+
+        previousValues = values;
+        latches.push(copies.get(latch));
+        headers.push(copiedHeader);
+    }
+
+    // 每一份的回边跳向下一份的循环头，最后一份跳回原循环头
+    for (let copy = 1; copy < factor; copy++) {
+        retarget(latches[copy - 1], header, headers[copy]);
+        headers[copy].preds = [latches[copy - 1]];
+    }
+    const lastLatch = latches[latches.length - 1];
+    header.preds = header.preds.map(pred => pred === latch ? lastLatch : pred);
+    header.phis.forEach(phi => phi.incoming.forEach(entry => {
+        if (entry.block !== latch) return;
+        entry.block = lastLatch;
+        entry.value = previousValues.get(entry.value) || entry.value;
+    }));
+    return true;
+}
+
+/**
+ * 循环中定义、循环外使用的值在退出块加单入边 φ（LCSSA），展开后每份的退出边都能接入这个 φ
+ * @private
+ */
+function closeLoopValues(fn, loop, exit) {
+    const definedInLoop = new Set();
+    loop.blocks.forEach(block => {
+        block.phis.forEach(phi => definedInLoop.add(phi.dest));
+        block.instructions.forEach(instruction => {
+            if (instruction.dest) definedInLoop.add(instruction.dest);
+        });
+    });
+
+    const closed = new Map();
+    const close = (value) => {
+        if (!definedInLoop.has(value)) return value;
+        if (!closed.has(value)) {
+            const phi = { dest: fn.newValue(value.hint), incoming: [{ block: loop.header, value }], block: exit };
+            exit.phis.push(phi);
+            closed.set(value, phi.dest);
+        }
+        return closed.get(value);
+    };
+
+    fn.blocks.filter(block => !loop.blocks.has(block)).forEach(block => {
+        block.phis.forEach(phi => {
+            if (phi.block === exit && phi.incoming.length === 1 && phi.incoming[0].block === loop.header) return;
+            phi.incoming.forEach(entry => { entry.value = close(entry.value); });
+        });
+        block.instructions.forEach(instruction => { instruction.args = instruction.args.map(close); });
+        const { terminator } = block;
+        if (terminator.op === 'cbr') terminator.cond = close(terminator.cond);
+        if (terminator.op === 'ret') terminator.value = close(terminator.value);
+    });
+}
+
+// ---------- 函数内联 ----------
+
+/**
+ * 函数内联：把小函数的调用替换为函数体的副本
+ * @param {Object} module - IR 模块，原地修改
+ * @param {number} level - 技术等级
+ * @returns {Object} { inlined, threshold }
+ */
+export function functionInlining(module, level) {
+    const threshold = INLINE_BASE_SIZE + INLINE_SIZE_PER_LEVEL * level;
+    const stats = { inlined: 0, threshold };
+
+    // 内联使用优化前的函数体副本，同一轮中已经内联过的函数不会再被展开
+    const bodies = new Map();
+    module.functions.forEach(fn => {
+        const callees = new Set();
+        let size = 0;
+        fn.blocks.forEach(block => {
+            size += block.phis.length + block.instructions.length + 1;
+            block.instructions.forEach(instruction => {
+                if (instruction.op === 'call') callees.add(instruction.callee);
+            });
+        });
+        if (fn.name === 'main' || size > threshold || callees.has(fn.name)) return;
+        if (level < 3 && callees.size > 0) return;
+        bodies.set(fn.name, cloneFunction(fn));
+    });
+
+    module.functions.forEach(fn => {
+        const inlinedBlocks = new Set();
+        // 内联会在末尾追加块，所以按下标遍历
+        for (let index = 0; index < fn.blocks.length; index++) {
+            const block = fn.blocks[index];
+            if (inlinedBlocks.has(block)) continue;
+            const position = block.instructions.findIndex(instruction =>
+                instruction.op === 'call' && instruction.callee !== fn.name && bodies.has(instruction.callee));
+            if (position < 0) continue;
+
+            const callee = bodies.get(block.instructions[position].callee);
+            inlineCall(fn, block, position, callee).forEach(inlined => inlinedBlocks.add(inlined));
+            stats.inlined++;
+        }
+        removeUnreachableBlocks(fn);
+    });
+    return stats;
+}
+
+/**
+ * 在 block 的第 position 条指令（call）处内联 callee
+ * @returns {Array<Object>} 复制出的被调函数的块
+ * @private
+ */
+function inlineCall(fn, block, position, callee) {
+    const call = block.instructions[position];
+
+    // 调用之后的指令和原来的终结指令移到续块
+    const continuation = fn.newBlock(`${callee.name}.exit`);
+    continuation.instructions = block.instructions.slice(position + 1);
+    continuation.terminator = block.terminator;
+    block.instructions = block.instructions.slice(0, position);
+    new Set(successors(continuation)).forEach(successor => {
+        successor.preds = successor.preds.map(pred => pred === block ? continuation : pred);
+        successor.phis.forEach(phi => phi.incoming.forEach(entry => {
+            if (entry.block === block) entry.block = continuation;
+        }));
+    });
+
+    // 形参映射为实参，缺少的实参是 undefined
+    const values = new Map(callee.params.map((param, index) => [param, call.args[index] || UNDEFINED]));
+    const map = (value) => values.get(value) || value;
+    const copies = new Map(callee.blocks.map(original => [original, fn.newBlock(`${callee.name}.${original.label}`)]));
+    callee.blocks.forEach(original => {
+        original.phis.forEach(phi => values.set(phi.dest, fn.newValue(phi.dest.hint)));
+        original.instructions.forEach(instruction => {
+            if (instruction.dest) values.set(instruction.dest, fn.newValue(instruction.dest.hint));
+        });
+    });
+
+    const returns = [];
+    callee.blocks.forEach(original => {
+        const target = copies.get(original);
+        target.preds = original.preds.map(pred => copies.get(pred));
+        target.phis = original.phis.map(phi => ({
+            dest: map(phi.dest),
+            incoming: phi.incoming.map(entry => ({ block: copies.get(entry.block), value: map(entry.value) })),
+            block: target
+        }));
+        target.instructions = original.instructions.map(instruction => ({
+            ...instruction,
+            dest: instruction.dest && map(instruction.dest),
+            args: instruction.args.map(map)
+        }));
+        if (original.terminator.op === 'ret') {
+            returns.push({ block: target, value: map(original.terminator.value) });
+            target.terminator = { op: 'br', target: continuation };
+        } else {
+            target.terminator = mapTerminator(original.terminator, (successor) => copies.get(successor), map);
+        }
+    });
+
+    const entry = copies.get(callee.entry);
+    entry.preds = [block];
+    block.terminator = { op: 'br', target: entry };
+    continuation.preds = returns.map(({ block: pred }) => pred);
+
+    // 多个 return 时调用结果是续块中的 φ，沿用原来的值；被调函数不会返回时续块不可达
+    if (returns.length > 1) {
+        continuation.phis.push({ dest: call.dest, incoming: returns, block: continuation });
+    } else {
+        replaceUses(fn, call.dest, returns.length === 1 ? returns[0].value : UNDEFINED);
+    }
+    return [...copies.values()];
+}
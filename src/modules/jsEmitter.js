@@ -0,0 +1,258 @@
+// src/modules/jsEmitter.js
+// JavaScript 输出 - 把 SSA IR 重新输出为 JavaScript 源码（jit 模板）
+
+/*
+    是什么: 把`irBuilder.js`构造的 SSA IR 输出为可以直接运行的 JavaScript。
+    为什么: jit 模板的目标代码是经过 SSA 化简的 JavaScript：
+            常量和复制已经传播，只使用一次的纯运算内联回表达式，死代码不再输出。
+    如何关联: 由`CodeGenerator.compile()`在 jit 模板下调用，输出显示在目标代码面板中。
+
+    输出方式:
+        - 只有一个基本块的函数按顺序输出语句。
+        - 多个基本块的函数输出为 `for (;;) switch ($block)` 分派循环，每个 case 是一个基本块。
+        - φ 节点在前驱跳转时用解构赋值并行更新（避免交换问题），条件跳转的两条边分别更新。
+        - 全局变量输出为模块顶层的 let，print 输出为 console.log，最后调用 main()。
+*/
+
+import { PURE_OPCODES, nameValues } from './ir.js';
+import { formatConstant } from './bytecodeCompiler.js';
+
+// 操作码 → [JavaScript 运算符, 优先级]
+const BINARY_OPERATORS = {
+    add: ['+', 13], sub: ['-', 13], mul: ['*', 14], div: ['/', 14], rem: ['%', 14], pow: ['**', 15],
+    shl: ['<<', 12], shr: ['>>', 12], ushr: ['>>>', 12], and: ['&', 9], or: ['|', 7], xor: ['^', 8],
+    eq: ['==', 10], ne: ['!=', 10], seq: ['===', 10], sne: ['!==', 10],
+    lt: ['<', 11], le: ['<=', 11], gt: ['>', 11], ge: ['>=', 11]
+};
+const UNARY_OPERATORS = { neg: '-', num: '+', not: '!', bitnot: '~' };
+const UNARY_PRECEDENCE = 16;
+const ATOM_PRECEDENCE = 20;
+
+/**
+ * 把 IR 模块输出为 JavaScript 源码
+ * @param {Object} module - buildIR() 的返回值
+ * @returns {string}
+ */
+export function emitJavaScript(module) {
+    const lines = module.globals.map(name => `let ${name};`);
+    module.functions.forEach(fn => {
+        if (lines.length > 0) lines.push('');
+        lines.push(...new FunctionWriter(fn, new Set(module.globals)).write());
+    });
+    lines.push('', 'main();');
+    return lines.join('\n');
+}
+
+/**
+ * 单个函数的输出
+ * @private
+ */
+class FunctionWriter {
+    constructor(fn, globals) {
+        this.fn = fn;
+        // 局部值与全局变量同名时加 $ 后缀，避免遮蔽
+        const names = nameValues(fn);
+        this.names = new Map([...names].map(([value, name]) => {
+            const identifier = toIdentifier(name);
+            return [value, globals.has(identifier) ? `${identifier}$` : identifier];
+        }));
+
+        // 统计每个值的使用次数和所在块，决定哪些值可以内联
+        this.uses = new Map();
+        this.definitions = new Map();
+        fn.blocks.forEach(block => {
+            block.phis.forEach(phi => phi.incoming.forEach(entry => this.use(entry.value, null)));
+            block.instructions.forEach(instruction => {
+                if (instruction.dest) this.definitions.set(instruction.dest, { instruction, block });
+                instruction.args.forEach(arg => this.use(arg, block));
+            });
+            const { terminator } = block;
+            if (terminator.op === 'cbr') this.use(terminator.cond, block);
+            if (terminator.op === 'ret') this.use(terminator.value, block);
+        });
+        // φ 的入边值在前驱块末尾使用
+        fn.blocks.forEach(block => block.phis.forEach(phi => phi.incoming.forEach(entry => {
+            const record = this.uses.get(entry.value);
+            if (record) record.blocks.add(entry.block);
+        })));
+    }
+
+    use(value, block) {
+        if (value.kind !== 'temp') return;
+        if (!this.uses.has(value)) this.uses.set(value, { count: 0, blocks: new Set() });
+        const record = this.uses.get(value);
+        record.count++;
+        if (block) record.blocks.add(block);
+    }
+
+    /**
+     * 只使用一次、在同一块中使用的纯运算内联到使用处
+     */
+    isInlined(value) {
+        const definition = this.definitions.get(value);
+        const record = this.uses.get(value);
+        return Boolean(definition && record && record.count === 1 && PURE_OPCODES.has(definition.instruction.op) &&
+            record.blocks.size === 1 && record.blocks.has(definition.block));
+    }
+
+    /**
+     * 结果没有被使用的纯运算和 load 不输出
+     */
+    isDead(instruction) {
+        return (PURE_OPCODES.has(instruction.op) || instruction.op === 'load') && !this.uses.has(instruction.dest);
+    }
+
+    /**
+     * 值的表达式和优先级
+     * @returns {[string, number]}
+     */
+    expression(value) {
+        if (value.kind === 'const') {
+            const negative = typeof value.value === 'number' && (value.value < 0 || Object.is(value.value, -0));
+            return [formatConstant(value.value), negative ? UNARY_PRECEDENCE : ATOM_PRECEDENCE];
+        }
+        if (!this.isInlined(value)) return [this.names.get(value), ATOM_PRECEDENCE];
+        return this.operation(this.definitions.get(value).instruction);
+    }
+
+    /**
+     * 纯运算指令的表达式和优先级
+     * @returns {[string, number]}
+     */
+    operation(instruction) {
+        if (UNARY_OPERATORS[instruction.op]) {
+            const operator = UNARY_OPERATORS[instruction.op];
+            let operand = this.operand(instruction.args[0], UNARY_PRECEDENCE);
+            // 避免 - -x 写成 --x
+            if ((operator === '-' || operator === '+') && operand.startsWith(operator)) operand = `(${operand})`;
+            return [`${operator}${operand}`, UNARY_PRECEDENCE];
+        }
+        const [operator, precedence] = BINARY_OPERATORS[instruction.op];
+        // ** 是右结合，且左侧不能是一元表达式
+        const left = this.operand(instruction.args[0], operator === '**' ? ATOM_PRECEDENCE : precedence);
+        const right = this.operand(instruction.args[1], operator === '**' ? precedence : precedence + 1);
+        return [`${left} ${operator} ${right}`, precedence];
+    }
+
+    operand(value, minimum) {
+        const [text, precedence] = this.expression(value);
+        return precedence >= minimum ? text : `(${text})`;
+    }
+
+    text(value) {
+        return this.expression(value)[0];
+    }
+
+    write() {
+        const { fn } = this;
+        const lines = [`function ${fn.name}(${fn.params.map(param => this.names.get(param)).join(', ')}) {`];
+        const declared = new Set(fn.params);
+        const multiBlock = fn.blocks.length > 1;
+
+        if (multiBlock) {
+            // 分派循环中的值跨 case 使用，统一在函数开头声明
+            const values = [];
+            fn.blocks.forEach(block => {
+                block.phis.forEach(phi => values.push(phi.dest));
+                block.instructions.forEach(instruction => {
+                    if (instruction.dest && this.uses.has(instruction.dest) && !this.isInlined(instruction.dest)) values.push(instruction.dest);
+                });
+            });
+            lines.push(`    let $block = 0${values.map(value => `, ${this.names.get(value)}`).join('')};`);
+            values.forEach(value => declared.add(value));
+            lines.push('    for (;;) {');
+            lines.push('        switch ($block) {');
+            fn.blocks.forEach(block => {
+                lines.push(`            case ${block.id}: { // ${block.name}`);
+                this.writeBlock(block, '                ', declared).forEach(line => lines.push(line));
+                lines.push('            }');
+            });
+            lines.push('        }');
+            lines.push('    }');
+        } else {
+            this.writeBlock(fn.entry, '    ', declared).forEach(line => lines.push(line));
+        }
+
+        lines.push('}');
+        return lines;
+    }
+
+    writeBlock(block, indent, declared) {
+        const lines = [];
+        block.instructions.forEach(instruction => {
+            if (this.isDead(instruction) || instruction.dest && this.isInlined(instruction.dest)) return;
+
+            let text;
+            if (instruction.op === 'load') {
+                text = instruction.global;
+            } else if (instruction.op === 'store') {
+                lines.push(`${indent}${instruction.global} = ${this.text(instruction.args[0])};`);
+                return;
+            } else if (instruction.op === 'print') {
+                lines.push(`${indent}console.log(${instruction.args.map(arg => this.text(arg)).join(', ')});`);
+                return;
+            } else if (instruction.op === 'call') {
+                text = `${instruction.callee}(${instruction.args.map(arg => this.text(arg)).join(', ')})`;
+                if (!this.uses.has(instruction.dest)) {
+                    lines.push(`${indent}${text};`);
+                    return;
+                }
+            } else {
+                text = this.operation(instruction)[0];
+            }
+
+            const name = this.names.get(instruction.dest);
+            lines.push(`${indent}${declared.has(instruction.dest) ? '' : 'const '}${name} = ${text};`);
+        });
+
+        const { terminator } = block;
+        if (terminator.op === 'ret') {
+            const { value } = terminator;
+            if (value.kind === 'temp' || value.value !== undefined) {
+                lines.push(`${indent}return ${this.text(value)};`);
+            } else if (this.fn.blocks.length > 1) {
+                lines.push(`${indent}return;`);
+            }
+        } else if (terminator.op === 'br') {
+            this.writeEdge(block, terminator.target, indent).forEach(line => lines.push(line));
+        } else {
+            lines.push(`${indent}if (${this.text(terminator.cond)}) {`);
+            this.writeEdge(block, terminator.then, `${indent}    `).forEach(line => lines.push(line));
+            lines.push(`${indent}} else {`);
+            this.writeEdge(block, terminator.else, `${indent}    `).forEach(line => lines.push(line));
+            lines.push(`${indent}}`);
+        }
+        return lines;
+    }
+
+    /**
+     * 沿一条边跳转：并行更新目标块的 φ，再切换 $block
+     */
+    writeEdge(from, to, indent) {
+        const lines = [];
+        const targets = [];
+        const sources = [];
+        to.phis.forEach(phi => {
+            const entry = phi.incoming.find(incoming => incoming.block === from);
+            if (!entry || entry.value === phi.dest) return;
+            targets.push(this.names.get(phi.dest));
+            sources.push(this.text(entry.value));
+        });
+        if (targets.length === 1) {
+            lines.push(`${indent}${targets[0]} = ${sources[0]};`);
+        } else if (targets.length > 1) {
+            lines.push(`${indent}[${targets.join(', ')}] = [${sources.join(', ')}];`);
+        }
+        lines.push(`${indent}$block = ${to.id};`);
+        lines.push(`${indent}continue;`);
+        return lines;
+    }
+}
+
+/**
+ * IR 中的值名转为 JavaScript 标识符：数字名加 $ 前缀，x.1 写成 x$1
+ * @private
+ */
+function toIdentifier(name) {
+    return /^\d/.test(name) ? `$${name}` : name.replace(/\./g, '$');
+}
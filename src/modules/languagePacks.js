@@ -0,0 +1,363 @@
+// src/modules/languagePacks.js
+// 词法分析器语言包
+
+/*
+    是什么: 词法分析器的语言定义注册表，以及内置的 JavaScript、Python、C、JSON 语言包。
+    为什么: 不同语言的关键字、令牌规则和注释风格各不相同。把它们从`Tokenizer`中拆出来，词法分析器本身就只负责"按规则扫描"，新增语言只需注册一个语言包。
+    如何关联:
+        - `Tokenizer.setLanguage()`根据这里的定义组装扫描规则。
+        - 语言的解锁成本和 Token 倍率是游戏平衡数据，放在`constants.js`的`LANGUAGE_DATA`中。
+        - 语言包字段:
+            id / name       - 唯一标识和显示名称
+            keywords        - 关键字列表，匹配到的 IDENTIFIER 会被归类为 KEYWORD
+            comments        - { line: ['//'], block: [['/*', '*\/']] } 注释风格
+            rules           - 令牌规则 { type, regex, when?, error? }，按顺序尝试，when(context) 为上下文条件；
+                              带 error 的是错误恢复规则（如未闭合的字符串），匹配到的令牌带有该错误信息，
+                              词法分析器据此报告错误并继续产生有用的令牌
+            indentation     - 是否缩进敏感（为 true 时生成 NEWLINE/INDENT/DEDENT 令牌）
+            regexKeywords   - 这些关键字之后的 / 开始正则字面量（仅 JavaScript）
+            parser          - 可用的语法分析器 id，没有则为 null
+            preprocessor    - 是否在词法分析之前经过 C 风格的预处理器（#define、#include 等，见`preprocessor.js`）
+            sample          - 切换语言时填入编辑器的示例代码
+            workshopSample  - 规则工坊用来给玩家规则集评分的测试代码（不含上下文相关的令牌）
+*/
+
+const registry = new Map();
+
+/**
+ * 转义字符串中的正则元字符
+ * @param {string} text - 原始文本
+ * @returns {string} 转义后的文本
+ */
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * 由运算符列表构造最长匹配优先的正则
+ * @param {Array<string>} punctuators - 运算符列表
+ * @returns {RegExp} 锚定在开头的正则
+ */
+function punctuatorRegex(punctuators) {
+    const sorted = [...punctuators].sort((a, b) => b.length - a.length);
+    return new RegExp(`^(?:${sorted.map(escapeRegex).join('|')})`);
+}
+
+/**
+ * 注册语言包
+ * @param {Object} definition - 语言定义
+ * @returns {Object} 规范化后的语言包
+ */
+export function registerLanguage(definition) {
+    if (!definition || !definition.id) {
+        throw new Error('语言包缺少 id');
+    }
+    if (!Array.isArray(definition.rules) || definition.rules.length === 0) {
+        throw new Error(`语言包 ${definition.id} 没有令牌规则`);
+    }
+
+    const pack = {
+        name: definition.id,
+        keywords: [],
+        comments: { line: [], block: [] },
+        indentation: false,
+        regexKeywords: [],
+        parser: null,
+        preprocessor: false,
+        sample: '',
+        workshopSample: '',
+        ...definition
+    };
+    pack.keywords = new Set(pack.keywords);
+    pack.regexKeywords = new Set(pack.regexKeywords);
+
+    registry.set(pack.id, pack);
+    return pack;
+}
+
+/**
+ * 获取语言包
+ * @param {string} id - 语言 id
+ * @returns {Object|null} 语言包
+ */
+export function getLanguage(id) {
+    return registry.get(id) || null;
+}
+
+/**
+ * 获取所有已注册的语言包
+ * @returns {Array} 语言包列表
+ */
+export function getRegisteredLanguages() {
+    return Array.from(registry.values());
+}
+
+/**
+ * 根据注释风格生成注释规则
+ * @param {Object} comments - { line, block }
+ * @returns {Array} 令牌规则
+ */
+export function buildCommentRules(comments) {
+    const rules = [];
+
+    if (comments.block && comments.block.length > 0) {
+        const pattern = comments.block
+            .map(([open, close]) => `${escapeRegex(open)}[\\s\\S]*?${escapeRegex(close)}`)
+            .join('|');
+        rules.push({ type: 'COMMENT', regex: new RegExp(`^(?:${pattern})`) });
+
+        // 错误恢复: 未闭合的块注释吞掉剩余的全部代码
+        const openers = comments.block.map(([open]) => escapeRegex(open)).join('|');
+        rules.push({ type: 'COMMENT', regex: new RegExp(`^(?:${openers})[\\s\\S]*`), error: '未闭合的块注释' });
+    }
+    if (comments.line && comments.line.length > 0) {
+        const pattern = comments.line.map(escapeRegex).join('|');
+        rules.push({ type: 'COMMENT', regex: new RegExp(`^(?:${pattern})[^\\n\\r\\u2028\\u2029]*`) });
+    }
+
+    return rules;
+}
+
+// ==================== JavaScript ====================
+
+// 标识符: Unicode ID_Start/ID_Continue 以及 \u 转义
+const JS_IDENTIFIER_START = '(?:[\\p{ID_Start}$_]|\\\\u[0-9a-fA-F]{4}|\\\\u\\{[0-9a-fA-F]+\\})';
+const JS_IDENTIFIER_PART = '(?:[\\p{ID_Continue}$\\u200C\\u200D]|\\\\u[0-9a-fA-F]{4}|\\\\u\\{[0-9a-fA-F]+\\})';
+
+// 数字后不能紧跟标识符字符或数字
+const JS_NUMBER_END = '(?![\\p{ID_Start}$_\\\\0-9])';
+const JS_DIGITS = '[0-9](?:_?[0-9])*';
+
+// 模板字符串内容: 非 ` \ $ 的字符、转义、或不接 { 的 $
+const JS_TEMPLATE_CHARS = '(?:[^`\\\\$]|\\\\[\\s\\S]|\\$(?!\\{))*';
+
+registerLanguage({
+    id: 'javascript',
+    name: 'JavaScript',
+    // ECMAScript 保留字，加上游戏一直高亮的上下文关键字和 TypeScript 关键字
+    keywords: [
+        'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+        'delete', 'do', 'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function',
+        'if', 'import', 'in', 'instanceof', 'new', 'null', 'return', 'super', 'switch', 'this',
+        'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield',
+        'let', 'static', 'implements', 'interface', 'package', 'private', 'protected', 'public',
+        'async', 'type', 'namespace', 'module', 'declare', 'abstract', 'readonly', 'override'
+    ],
+    comments: { line: ['//'], block: [['/*', '*/']] },
+    regexKeywords: [
+        'return', 'typeof', 'instanceof', 'in', 'new', 'delete', 'void', 'throw',
+        'case', 'do', 'else', 'yield', 'await'
+    ],
+    rules: [
+        { type: 'COMMENT', regex: /^#![^\n\r\u2028\u2029]*/, when: (context) => context.position === 0 },
+        // 预处理指令（只认预处理器支持的指令，行首的 #私有字段 不受影响），反斜杠可续行
+        // 与指令同名的私有成员（#include = 1;、#if(x) { ... }）不是指令，与`preprocessor.js`的判断相同
+        {
+            type: 'PREPROCESSOR',
+            regex: /^#[ \t]*(?:define|undef|include|ifdef|ifndef|if|elif|else|endif|error)\b(?![ \t]*(?:[=;:]|\(.*\)[ \t]*\{))(?:\\\r?\n|[^\n\r])*/,
+            when: (context) => context.atLineStart
+        },
+        { type: 'TEMPLATE', regex: new RegExp(`^\\}${JS_TEMPLATE_CHARS}(?:\`|\\$\\{)`), when: (context) => context.inTemplate },
+        { type: 'TEMPLATE', regex: new RegExp(`^\`${JS_TEMPLATE_CHARS}(?:\`|\\$\\{)`) },
+        { type: 'TEMPLATE', regex: new RegExp(`^\\}${JS_TEMPLATE_CHARS}`), when: (context) => context.inTemplate, error: '未闭合的模板字符串' },
+        { type: 'TEMPLATE', regex: new RegExp(`^\`${JS_TEMPLATE_CHARS}`), error: '未闭合的模板字符串' },
+        { type: 'REGEX', regex: /^\/(?![*/])(?:[^\\/[\n\r\u2028\u2029]|\\[^\n\r\u2028\u2029]|\[(?:[^\]\\\n\r\u2028\u2029]|\\[^\n\r\u2028\u2029])*\])+\/[\p{ID_Continue}$]*/u, when: (context) => context.regexAllowed },
+        {
+            type: 'NUMBER',
+            regex: new RegExp(
+                '^(?:0[xX][0-9a-fA-F](?:_?[0-9a-fA-F])*n?' +
+                '|0[bB][01](?:_?[01])*n?' +
+                '|0[oO][0-7](?:_?[0-7])*n?' +
+                '|(?:0|[1-9](?:_?[0-9])*)n' +
+                `|(?:${JS_DIGITS}(?:\\.(?:${JS_DIGITS})?)?|\\.${JS_DIGITS})(?:[eE][+-]?${JS_DIGITS})?)` +
+                JS_NUMBER_END,
+                'u'
+            )
+        },
+        { type: 'STRING', regex: /^"(?:[^"\\\n\r]|\\(?:\r\n|[\s\S]))*"|^'(?:[^'\\\n\r]|\\(?:\r\n|[\s\S]))*'/ },
+        { type: 'STRING', regex: /^"(?:[^"\\\n\r]|\\(?:\r\n|[\s\S]))*|^'(?:[^'\\\n\r]|\\(?:\r\n|[\s\S]))*/, error: '未闭合的字符串' },
+        { type: 'IDENTIFIER', regex: new RegExp(`^${JS_IDENTIFIER_START}${JS_IDENTIFIER_PART}*`, 'u') },
+        { type: 'PRIVATE_NAME', regex: new RegExp(`^#${JS_IDENTIFIER_START}${JS_IDENTIFIER_PART}*`, 'u') },
+        { type: 'OPERATOR', regex: /^\?\.(?![0-9])/ },
+        {
+            type: 'OPERATOR',
+            regex: punctuatorRegex([
+                '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+                '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '++', '--', '+=', '-=', '*=', '/=', '%=',
+                '&=', '|=', '^=', '<<', '>>', '**',
+                '+', '-', '*', '/', '%', '&', '|', '^', '!', '~', '<', '>', '=', '?', ':'
+            ])
+        },
+        { type: 'DELIMITER', regex: /^[(){}[\];,.]/ }
+    ],
+    parser: 'javascript',
+    preprocessor: true,
+    sample: 'function hello() {\n    return "Hello World!";\n}',
+    workshopSample: [
+        '// 统计偶数之和',
+        'const limit = 10;',
+        'let total = 0.5;',
+        'for (let i = 0; i < limit; i++) {',
+        '    if (i % 2 === 0 && total != 3) {',
+        '        total += i * 1.5;',
+        '    } else if (i >= 8) {',
+        '        total -= 2e3;',
+        '    }',
+        '}',
+        "const name = 'lexer';",
+        'const message = "total is " + total;',
+        'console.log(name, message, limit !== total);'
+    ].join('\n')
+});
+
+// ==================== Python ====================
+
+const PY_DIGITS = '[0-9](?:_?[0-9])*';
+
+registerLanguage({
+    id: 'python',
+    name: 'Python',
+    keywords: [
+        'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class',
+        'continue', 'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global',
+        'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise',
+        'return', 'try', 'while', 'with', 'yield'
+    ],
+    comments: { line: ['#'], block: [] },
+    indentation: true,
+    rules: [
+        // 反斜杠续行不产生逻辑换行
+        { type: 'WHITESPACE', regex: /^\\\r?\n/ },
+        // 错误恢复: 未闭合的三引号字符串吞掉剩余代码（必须在普通字符串之前，否则 """ 会被拆成 "" 和 "）
+        {
+            type: 'STRING',
+            regex: /^(?:[rR][bBfF]?|[bBfF][rR]?|[uU])?(?:"""(?![\s\S]*?""")|'''(?![\s\S]*?'''))[\s\S]*/,
+            error: '未闭合的三引号字符串'
+        },
+        {
+            type: 'STRING',
+            regex: /^(?:[rR][bBfF]?|[bBfF][rR]?|[uU])?(?:"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:[^"\\\n\r]|\\[\s\S])*"|'(?:[^'\\\n\r]|\\[\s\S])*')/
+        },
+        {
+            type: 'STRING',
+            regex: /^(?:[rR][bBfF]?|[bBfF][rR]?|[uU])?(?:"(?:[^"\\\n\r]|\\[\s\S])*|'(?:[^'\\\n\r]|\\[\s\S])*)/,
+            error: '未闭合的字符串'
+        },
+        {
+            type: 'NUMBER',
+            regex: new RegExp(
+                '^(?:0[xX](?:_?[0-9a-fA-F])+|0[oO](?:_?[0-7])+|0[bB](?:_?[01])+' +
+                `|(?:${PY_DIGITS}(?:\\.(?:${PY_DIGITS})?)?|\\.${PY_DIGITS})(?:[eE][+-]?${PY_DIGITS})?[jJ]?)` +
+                '(?![\\p{ID_Continue}])',
+                'u'
+            )
+        },
+        { type: 'IDENTIFIER', regex: /^[\p{ID_Start}_][\p{ID_Continue}]*/u },
+        {
+            type: 'OPERATOR',
+            regex: punctuatorRegex([
+                '**=', '//=', '>>=', '<<=', '...', '->', ':=', '**', '//', '<<', '>>', '<=', '>=',
+                '==', '!=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '@=',
+                '+', '-', '*', '/', '%', '@', '&', '|', '^', '~', '<', '>', '='
+            ])
+        },
+        { type: 'DELIMITER', regex: /^[(){}[\];,:.]/ }
+    ],
+    sample: 'def fib(n):\n    if n < 2:\n        return n\n    return fib(n - 1) + fib(n - 2)\n',
+    workshopSample: [
+        '# 按系数缩放列表',
+        'def scale(values, factor=2.5):',
+        '    result = []',
+        '    for v in values:',
+        '        if v >= 10 and v != 42:',
+        '            result.append(v * factor)',
+        '        elif v == 0:',
+        '            result.append(v ** 2 - 1)',
+        '    return result',
+        '',
+        "print(scale([1, 20, 0], 0.5), 'done', \"ok\" if True else None)",
+        ''
+    ].join('\n')
+});
+
+// ==================== C ====================
+
+registerLanguage({
+    id: 'c',
+    name: 'C',
+    keywords: [
+        'auto', 'break', 'case', 'char', 'const', 'continue', 'default', 'do', 'double', 'else',
+        'enum', 'extern', 'float', 'for', 'goto', 'if', 'inline', 'int', 'long', 'register',
+        'restrict', 'return', 'short', 'signed', 'sizeof', 'static', 'struct', 'switch', 'typedef',
+        'union', 'unsigned', 'void', 'volatile', 'while', '_Alignas', '_Alignof', '_Atomic',
+        '_Bool', '_Complex', '_Generic', '_Imaginary', '_Noreturn', '_Static_assert', '_Thread_local'
+    ],
+    comments: { line: ['//'], block: [['/*', '*/']] },
+    rules: [
+        // 预处理指令只能出现在行首，反斜杠可续行
+        { type: 'PREPROCESSOR', regex: /^#[ \t]*[A-Za-z_]\w*(?:\\\r?\n|[^\n\r])*/, when: (context) => context.atLineStart },
+        { type: 'STRING', regex: /^(?:u8|[uUL])?"(?:[^"\\\n\r]|\\[\s\S])*"|^[uUL]?'(?:[^'\\\n\r]|\\[\s\S])+'/ },
+        { type: 'STRING', regex: /^(?:u8|[uUL])?"(?:[^"\\\n\r]|\\[\s\S])*|^[uUL]?'(?:[^'\\\n\r]|\\[\s\S])*/, error: '未闭合的字符串或字符常量' },
+        {
+            type: 'NUMBER',
+            regex: /^(?:0[xX][0-9a-fA-F]+(?:\.[0-9a-fA-F]*)?(?:[pP][+-]?[0-9]+)?|0[bB][01]+|(?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:[eE][+-]?[0-9]+)?)[uUlLfF]*(?![A-Za-z0-9_])/
+        },
+        { type: 'IDENTIFIER', regex: /^[A-Za-z_]\w*/ },
+        {
+            type: 'OPERATOR',
+            regex: punctuatorRegex([
+                '<<=', '>>=', '...', '->', '++', '--', '<<', '>>', '<=', '>=', '==', '!=', '&&', '||',
+                '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=',
+                '+', '-', '*', '/', '%', '&', '|', '^', '!', '~', '<', '>', '=', '?', ':'
+            ])
+        },
+        { type: 'DELIMITER', regex: /^[(){}[\];,.]/ }
+    ],
+    preprocessor: true,
+    sample: '#include <stdio.h>\n\nint main(void) {\n    printf("Hello World!\\n");\n    return 0;\n}',
+    workshopSample: [
+        '#include <stdio.h>',
+        '/* 统计非空格字符 */',
+        'int count(const char *text) {',
+        '    int n = 0;',
+        "    for (int i = 0; text[i] != '\\0'; i++) {",
+        "        if (text[i] == ' ' || text[i] >= 'A') n += 1;",
+        '    }',
+        '    return n;',
+        '}',
+        '',
+        'int main(void) {',
+        '    double x = 3.14;',
+        '    x *= 2.0;',
+        '    return count("a b") >= 1 ? 0 : -1;',
+        '}'
+    ].join('\n')
+});
+
+// ==================== JSON ====================
+
+registerLanguage({
+    id: 'json',
+    name: 'JSON',
+    keywords: ['true', 'false', 'null'],
+    rules: [
+        // 字符串内不允许未转义的控制字符 (U+0000-U+001F)
+        { type: 'STRING', regex: /^"(?:[ !#-[\]-\uFFFF]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/ },
+        { type: 'STRING', regex: /^"(?:[^"\\\n\r]|\\[^\n\r])*"?/, error: '无效或未闭合的字符串' },
+        { type: 'NUMBER', regex: /^-?(?:0|[1-9][0-9]*)(?:\.[0-9]+)?(?:[eE][+-]?[0-9]+)?/ },
+        { type: 'IDENTIFIER', regex: /^[A-Za-z_$][\w$]*/ },
+        { type: 'DELIMITER', regex: /^[{}[\]:,]/ }
+    ],
+    sample: '{\n    "name": "compiler",\n    "level": 2,\n    "tags": ["lexer", "parser"],\n    "done": false\n}',
+    workshopSample: [
+        '{',
+        '    "name": "workshop",',
+        '    "version": 1.5,',
+        '    "offset": -3,',
+        '    "limit": 2e10,',
+        '    "tags": ["a", "b\\"c"],',
+        '    "enabled": true,',
+        '    "parent": null',
+        '}'
+    ].join('\n')
+});
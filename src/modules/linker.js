@@ -0,0 +1,313 @@
+// src/modules/linker.js
+// 链接器 - 把工作区中各个文件的字节码合并为一个可执行映像，解析 import 的外部符号
+
+/*
+    是什么: 静态链接器。输入是每个文件`compileToBytecode()`的结果（目标文件），
+            输出是字节码虚拟机可以直接运行的单个程序（映像）、符号表（映射文件）和被剥离的函数。
+    为什么: 编译器只能看到一个文件，import 的名字在编译时只是外部符号；
+            把符号解析到另一个模块导出的函数或全局变量、重新编排地址，正是链接器的工作。
+    如何关联:
+        - 目标文件的外部符号是带 extern 标记的 call / gload 指令（见`bytecodeCompiler.js`），
+          导出表给出函数下标和全局变量下标；模块名由`workspace.js`的`normalizeModuleName()`解析。
+        - 由`Game.linkWorkspace()`调用，结果显示在`LinkerView`中；部署时运行链接后的映像。
+        - 最近一次成功链接的统计决定可执行文件（linkedExecutables）的产出，见`produce()`和`LINKER`。
+
+    链接步骤:
+        1. 从入口文件深度优先遍历 import，后序就是模块的初始化顺序（被依赖的模块先初始化）。
+        2. 建立每个模块的导出表，把每个外部符号解析到导出的函数或变量。
+        3. 从每个模块的顶层代码出发标记可达的函数，其余的函数被剥离。
+        4. 布局: 入口的 main 在最前面，开头依次调用各个依赖模块的初始化函数（原来的 main，halt 改为返回）；
+           每个模块的全局变量占用连续的一段。
+        5. 重定位 call / gload / gstore 和 main 中的跳转目标；实参个数与形参个数不同的外部调用
+           经过一个适配函数（名为 f/实参个数），补 undefined 或丢弃多余的实参。
+*/
+
+import { JUMP_OPCODES } from './bytecodeCompiler.js';
+import { normalizeModuleName } from './workspace.js';
+import { LINKER } from '../utils/constants.js';
+
+/**
+ * 模块在映像中使用的名字前缀：math.js → math
+ * @param {string} name - 文件名
+ * @returns {string}
+ */
+function moduleLabel(name) {
+    return name.replace(/\.js$/, '');
+}
+
+export class Linker {
+    constructor() {
+        // 最近一次成功链接的统计，决定可执行文件的产出
+        this.lastLink = null;
+    }
+
+    /**
+     * 链接目标文件
+     * @param {Array} objects - [{ name, program }]，program 是 compileToBytecode() 的返回值
+     * @param {string} entry - 入口文件名
+     * @returns {Object} { ok, errors: [{ module, message, line, column, from, to }], modules（初始化顺序）,
+     *          image: { functions, globals }, symbols: [{ name, module, kind, address, size, exported }],
+     *          sections: [{ name, size }], dropped: [{ module, name, size }],
+     *          stats: { modules, functions, instructions, dropped, droppedInstructions, thunks } }
+     */
+    link(objects, entry) {
+        const programs = new Map(objects.map(({ name, program }) => [name, program]));
+        const errors = [];
+        const fail = (module, message, location = null) => {
+            errors.push({ module, message, ...(location || { line: 1, column: 1, from: 0, to: 0 }) });
+        };
+        const failed = () => ({ ok: false, errors, modules: [], image: null, symbols: [], sections: [], dropped: [], stats: null });
+
+        if (!programs.has(entry)) {
+            fail(entry, `找不到入口文件 ${entry}`);
+            return failed();
+        }
+
+        // 1. 初始化顺序
+        const modules = [];
+        const visited = new Set();
+        const visit = (name) => {
+            visited.add(name);
+            programs.get(name).imports.forEach(({ source, location }) => {
+                const target = normalizeModuleName(source);
+                if (!programs.has(target)) {
+                    fail(name, `找不到模块 '${source}'（工作区中没有 ${target}）`, location);
+                } else if (!visited.has(target)) {
+                    visit(target);
+                }
+            });
+            modules.push(name);
+        };
+        visit(entry);
+
+        // 2. 导出表和外部符号
+        const exportTables = new Map(modules.map(name => {
+            const table = new Map();
+            programs.get(name).exports.forEach(entryInfo => {
+                if (table.has(entryInfo.name)) {
+                    fail(name, `重复导出 '${entryInfo.name}'`, entryInfo.location);
+                } else {
+                    table.set(entryInfo.name, entryInfo);
+                }
+            });
+            return [name, table];
+        }));
+
+        const resolved = new Map(modules.map(name => [name, programs.get(name).externs.map(extern => {
+            const target = normalizeModuleName(extern.source);
+            if (!exportTables.has(target)) return null;
+            const symbol = exportTables.get(target).get(extern.imported);
+            if (!symbol) {
+                fail(name, `未解析的符号: ${target} 没有导出 '${extern.imported}'`, extern.location);
+                return null;
+            }
+            if (extern.called && symbol.kind !== 'function') {
+                fail(name, `'${extern.name}' 是 ${target} 导出的变量，不能调用`, extern.location);
+                return null;
+            }
+            if (extern.read && symbol.kind === 'function') {
+                fail(name, `'${extern.name}' 是 ${target} 导出的函数，只能直接调用，不能作为值使用`, extern.location);
+                return null;
+            }
+            return { module: target, index: symbol.index };
+        })]));
+
+        if (errors.length > 0) return failed();
+
+        // 3. 可达性：每个模块的顶层代码都会执行
+        const reachable = new Map(modules.map(name => [name, new Set()]));
+        const work = modules.map(name => [name, 0]);
+        while (work.length > 0) {
+            const [name, index] = work.pop();
+            if (reachable.get(name).has(index)) continue;
+            reachable.get(name).add(index);
+            programs.get(name).functions[index].code.forEach(instruction => {
+                if (instruction.op !== 'call') return;
+                const target = instruction.extern ? resolved.get(name)[instruction.arg] : { module: name, index: instruction.arg };
+                work.push([target.module, target.index]);
+            });
+        }
+
+        // 4. 布局
+        const functionAddress = new Map(modules.map(name => [name, new Map()]));
+        const layout = [];
+        const place = (name, index) => {
+            functionAddress.get(name).set(index, layout.length);
+            layout.push({ module: name, index });
+        };
+        place(entry, 0);
+        modules.forEach(name => {
+            programs.get(name).functions.forEach((fn, index) => {
+                if (reachable.get(name).has(index) && !(name === entry && index === 0)) place(name, index);
+            });
+        });
+
+        const globalBase = new Map();
+        const globals = [];
+        modules.forEach(name => {
+            globalBase.set(name, globals.length);
+            programs.get(name).globals.forEach(global => {
+                globals.push(name === entry ? global : `${moduleLabel(name)}.${global}`);
+            });
+        });
+
+        const functionName = (name, index) => {
+            const fn = programs.get(name).functions[index];
+            if (name === entry) return fn.name;
+            return index === 0 ? `${moduleLabel(name)}.init` : `${moduleLabel(name)}.${fn.name}`;
+        };
+
+        // 5. 重定位
+        const thunks = new Map();
+        const functions = layout.map(({ module, index }) => ({
+            name: functionName(module, index),
+            params: programs.get(module).functions[index].params,
+            slots: programs.get(module).functions[index].slots,
+            code: []
+        }));
+        const thunkAddress = (target, argc) => {
+            const key = `${target.module}\u0000${target.index}\u0000${argc}`;
+            if (!thunks.has(key)) {
+                const callee = programs.get(target.module).functions[target.index];
+                const line = callee.code[0].line;
+                const code = [];
+                for (let position = 0; position < callee.params; position++) {
+                    code.push(position < argc ? { op: 'load', arg: position, line } : { op: 'const', arg: undefined, line });
+                }
+                code.push({ op: 'call', arg: functionAddress.get(target.module).get(target.index), line });
+                code.push({ op: 'ret', line });
+                thunks.set(key, functions.length);
+                functions.push({
+                    name: `${functionName(target.module, target.index)}/${argc}`,
+                    params: argc,
+                    slots: Array.from({ length: argc }, (_, position) => `arg${position}`),
+                    code
+                });
+            }
+            return thunks.get(key);
+        };
+
+        const dependencies = modules.filter(name => name !== entry);
+        const prologue = dependencies.flatMap(name => [
+            { op: 'call', arg: functionAddress.get(name).get(0), line: 1 },
+            { op: 'pop', line: 1 }
+        ]);
+
+        layout.forEach(({ module, index }, address) => {
+            const source = programs.get(module).functions[index];
+            const isEntryMain = module === entry && index === 0;
+            const code = source.code.map(({ op, arg, line, extern, argc }) => {
+                const instruction = { op, line };
+                if (arg !== undefined || op === 'const') instruction.arg = arg;
+                if (op === 'call' && extern) {
+                    const target = resolved.get(module)[arg];
+                    instruction.arg = argc === programs.get(target.module).functions[target.index].params
+                        ? functionAddress.get(target.module).get(target.index)
+                        : thunkAddress(target, argc);
+                } else if (op === 'call') {
+                    instruction.arg = functionAddress.get(module).get(arg);
+                } else if (op === 'gload' && extern) {
+                    const target = resolved.get(module)[arg];
+                    instruction.arg = globalBase.get(target.module) + target.index;
+                } else if (op === 'gload' || op === 'gstore') {
+                    instruction.arg = globalBase.get(module) + arg;
+                } else if (isEntryMain && JUMP_OPCODES.has(op)) {
+                    instruction.arg = arg + prologue.length;
+                }
+                return instruction;
+            });
+
+            if (isEntryMain) {
+                functions[address].code = [...prologue, ...code];
+            } else if (index === 0) {
+                // 依赖模块的顶层代码：halt 改为返回，跳转目标不变
+                const halt = code[code.length - 1];
+                code[code.length - 1] = { op: 'const', arg: undefined, line: halt.line };
+                code.push({ op: 'ret', line: halt.line });
+                functions[address].code = code;
+            } else {
+                functions[address].code = code;
+            }
+        });
+
+        // 映射文件
+        const exportedFunctions = new Map(modules.map(name => [name, new Set(programs.get(name).exports
+            .filter(symbol => symbol.kind === 'function').map(symbol => symbol.index))]));
+        const exportedGlobals = new Map(modules.map(name => [name, new Set(programs.get(name).exports
+            .filter(symbol => symbol.kind === 'variable').map(symbol => symbol.index))]));
+        const symbols = [
+            ...functions.map((fn, address) => {
+                const placed = layout[address];
+                return {
+                    name: fn.name,
+                    module: placed ? placed.module : null,
+                    kind: placed ? 'function' : 'thunk',
+                    address,
+                    size: fn.code.length,
+                    exported: Boolean(placed && exportedFunctions.get(placed.module).has(placed.index))
+                };
+            }),
+            ...modules.flatMap(name => programs.get(name).globals.map((global, index) => ({
+                name: globals[globalBase.get(name) + index],
+                module: name,
+                kind: 'variable',
+                address: globalBase.get(name) + index,
+                size: 1,
+                exported: exportedGlobals.get(name).has(index)
+            })))
+        ];
+
+        const dropped = modules.flatMap(name => programs.get(name).functions
+            .filter((fn, index) => !reachable.get(name).has(index))
+            .map(fn => ({ module: name, name: fn.name, size: fn.code.length })));
+
+        const instructions = functions.reduce((sum, fn) => sum + fn.code.length, 0);
+        const stats = {
+            modules: modules.length,
+            functions: functions.length,
+            instructions,
+            dropped: dropped.length,
+            droppedInstructions: dropped.reduce((sum, fn) => sum + fn.size, 0),
+            thunks: thunks.size
+        };
+        this.lastLink = stats;
+
+        return {
+            ok: true,
+            errors,
+            modules,
+            image: { functions, globals },
+            symbols,
+            sections: [
+                { name: '.text', size: instructions },
+                { name: '.data', size: globals.length }
+            ],
+            dropped,
+            stats
+        };
+    }
+
+    /**
+     * 把优化代码打包为可执行文件
+     * 多模块程序和剥离了更多未用代码的链接产出更多
+     * @param {Decimal} optimizedCode - 优化代码数量
+     * @returns {Decimal} 可执行文件产出
+     */
+    produce(optimizedCode) {
+        const stats = this.lastLink;
+        if (!stats || !optimizedCode || optimizedCode.lte(0)) {
+            return new Decimal(0);
+        }
+
+        const moduleBonus = 1 + LINKER.moduleBonus * (stats.modules - 1);
+        const stripped = stats.droppedInstructions / (stats.instructions + stats.droppedInstructions);
+        return optimizedCode.mul(LINKER.efficiency).mul(moduleBonus).mul(1 + stripped);
+    }
+
+    /**
+     * 清除链接记录（威望重置）
+     */
+    resetStats() {
+        this.lastLink = null;
+    }
+}
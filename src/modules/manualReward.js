@@ -0,0 +1,218 @@
+// src/modules/manualReward.js
+// 手动词法分析奖励计算
+
+/*
+    是什么: 根据一次手动词法分析的令牌和诊断计算 Token 收益，并给出每一项倍率的明细。
+    为什么: 按令牌数量计奖时，反复粘贴同一大段代码是最优策略。改为按复杂度计奖，
+            同时奖励令牌种类的多样性、惩罚有错误的代码，并让重复或近似重复的提交收益递减。
+    如何关联:
+        - 复杂度来自`Tokenizer.calculateComplexity()`，多样性来自`Tokenizer.getTokenStats()`，
+          有效性来自`Tokenizer.getDiagnostics()`的结果。
+        - 最近提交的指纹（精确哈希和 MinHash 签名）保存在`GameState.recentInputs`中，随存档保存。
+          签名按令牌结构的 n-gram 计算，改名、换字面量或增删少量令牌后仍与原提交相似，按估计的相似度计入重复次数。
+        - 由`Game.runLexicalAnalysis()`调用，升级、威望和语言倍率仍由`Game`叠加。
+*/
+
+import { MANUAL_REWARD, DIAGNOSTIC_PENALTY } from '../utils/constants.js';
+
+// 不参与多样性和指纹的令牌（注释与代码结构无关）
+const IGNORED_TYPES = new Set(['COMMENT']);
+
+// 近似指纹中保留具体值的令牌类型，其余类型只保留类型名（改名、换字面量仍视为近似重复）
+const SHAPE_VALUE_TYPES = new Set(['KEYWORD', 'OPERATOR', 'DELIMITER', 'PREPROCESSOR']);
+
+// MinHash 的每个哈希函数使用的种子（固定，存档中的签名才能和新提交比较）
+const MINHASH_SEEDS = Array.from({ length: MANUAL_REWARD.signatureSize }, (_, index) => Math.imul(index + 1, 0x9e3779b1));
+
+/**
+ * 32 位 FNV-1a 哈希
+ * @param {string} text - 输入文本
+ * @returns {string} 8 位十六进制哈希
+ */
+export function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * 32 位整数哈希（MurmurHash3 的 fmix32），用于从一个哈希派生出 MinHash 的各个哈希函数
+ * @private
+ */
+function mixHash(value) {
+    let hash = value;
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+}
+
+/**
+ * 令牌序列的 MinHash 签名：把每 MANUAL_REWARD.shingleSize 个相邻令牌作为一个片段，
+ * 每个哈希函数取所有片段哈希的最小值；两个签名中相同位置相等的比例是片段集合 Jaccard 相似度的估计
+ * @param {Array} items - 令牌的字符串形式
+ * @returns {Array} MANUAL_REWARD.signatureSize 个 32 位无符号整数
+ */
+export function minHashSignature(items) {
+    // 令牌数少于片段长度时，整个序列就是唯一的片段
+    const size = Math.min(MANUAL_REWARD.shingleSize, items.length);
+    const signature = new Array(MANUAL_REWARD.signatureSize).fill(0xffffffff);
+    for (let i = 0; i + size <= items.length; i++) {
+        const shingle = parseInt(hashString(items.slice(i, i + size).join('\u0000')), 16);
+        MINHASH_SEEDS.forEach((seed, index) => {
+            const hash = mixHash(shingle ^ seed);
+            if (hash < signature[index]) signature[index] = hash;
+        });
+        // 没有令牌时只有一个空片段
+        if (size === 0) break;
+    }
+    return signature;
+}
+
+/**
+ * 由 MinHash 签名估计两个令牌序列的相似度
+ * @param {Array} a - minHashSignature() 的返回值
+ * @param {Array} b - minHashSignature() 的返回值
+ * @returns {number} 0 ~ 1
+ */
+export function estimateSimilarity(a, b) {
+    const same = a.reduce((count, hash, index) => count + (hash === b[index] ? 1 : 0), 0);
+    return same / a.length;
+}
+
+/**
+ * 两次提交的相似度：完全相同为 1，否则为 MinHash 估计的结构相似度，低于 MANUAL_REWARD.similarityThreshold 时为 0
+ * @param {Object} fingerprint - 指纹 { exact, signature }
+ * @param {Object} other - 指纹 { exact, signature }
+ * @returns {number} 0 ~ 1
+ */
+export function compareFingerprints(fingerprint, other) {
+    if (fingerprint.exact === other.exact) return 1;
+    const similarity = estimateSimilarity(fingerprint.signature, other.signature);
+    return similarity >= MANUAL_REWARD.similarityThreshold ? similarity : 0;
+}
+
+export class ManualRewardCalculator {
+    /**
+     * @param {Tokenizer} tokenizer - 词法分析器（提供复杂度和令牌统计）
+     */
+    constructor(tokenizer) {
+        this.tokenizer = tokenizer;
+    }
+
+    /**
+     * 计算一次提交的基础奖励（不含升级、威望和语言倍率）
+     * @param {Array} tokens - 令牌数组
+     * @param {Array} diagnostics - 诊断列表
+     * @param {Array} recentInputs - 最近提交的指纹 [{ exact, signature }]
+     * @returns {Object} { complexity, diversity, validity, repetition, repeats, similarity: 与最近提交的最高相似度, base, fingerprint }
+     */
+    calculate(tokens, diagnostics, recentInputs) {
+        const complexity = this.tokenizer.calculateComplexity(tokens);
+        const diversity = this.getDiversityMultiplier(tokens);
+        const validity = this.getValidityMultiplier(diagnostics);
+        const fingerprint = this.fingerprint(tokens);
+        const repeats = this.countRepeats(fingerprint, recentInputs);
+        const repetition = this.getRepetitionMultiplier(repeats);
+        const similarity = recentInputs.reduce((closest, input) => Math.max(closest, this.compare(fingerprint, input)), 0);
+
+        return {
+            complexity,
+            diversity,
+            validity,
+            repetition,
+            repeats,
+            similarity,
+            base: complexity * diversity * validity * repetition,
+            fingerprint
+        };
+    }
+
+    /**
+     * 令牌种类越丰富倍率越高
+     * 使用令牌类型分布的香农熵，相对 MANUAL_REWARD.diversityTypes 种类型均匀分布归一化
+     * @param {Array} tokens - 令牌数组
+     * @returns {number} 倍率 (MANUAL_REWARD.minimumDiversity ~ MANUAL_REWARD.maximumDiversity)
+     */
+    getDiversityMultiplier(tokens) {
+        const stats = this.tokenizer.getTokenStats(tokens.filter(token => !IGNORED_TYPES.has(token.type)));
+
+        let entropy = 0;
+        Object.values(stats.types).forEach(count => {
+            const p = count / stats.total;
+            entropy -= p * Math.log2(p);
+        });
+
+        const normalized = Math.min(1, entropy / Math.log2(MANUAL_REWARD.diversityTypes));
+        const { minimumDiversity, maximumDiversity } = MANUAL_REWARD;
+        return minimumDiversity + (maximumDiversity - minimumDiversity) * normalized;
+    }
+
+    /**
+     * 有错误的代码收益更低
+     * @param {Array} diagnostics - 诊断列表
+     * @returns {number} 倍率 (DIAGNOSTIC_PENALTY.minimum ~ 1)
+     */
+    getValidityMultiplier(diagnostics) {
+        const penalty = diagnostics.reduce((sum, diagnostic) => {
+            return sum + (DIAGNOSTIC_PENALTY[diagnostic.severity] || 0);
+        }, 0);
+        return Math.max(DIAGNOSTIC_PENALTY.minimum, 1 - penalty);
+    }
+
+    /**
+     * 计算提交的指纹
+     * exact 忽略空白和注释；signature 进一步忽略标识符名和字面量的具体值，按结构的片段计算 MinHash
+     * @param {Array} tokens - 令牌数组
+     * @returns {Object} { exact, signature }
+     */
+    fingerprint(tokens) {
+        const exact = [];
+        const shape = [];
+        tokens.forEach(token => {
+            if (IGNORED_TYPES.has(token.type)) return;
+            exact.push(`${token.type}:${token.value}`);
+            shape.push(SHAPE_VALUE_TYPES.has(token.type) ? `${token.type}:${token.value}` : token.type);
+        });
+
+        return {
+            exact: hashString(exact.join('\u0000')),
+            signature: minHashSignature(shape)
+        };
+    }
+
+    /**
+     * 两次提交的相似度，见 compareFingerprints()
+     * @param {Object} fingerprint - 指纹
+     * @param {Object} other - 指纹
+     * @returns {number} 0 ~ 1
+     */
+    compare(fingerprint, other) {
+        return compareFingerprints(fingerprint, other);
+    }
+
+    /**
+     * 重复提交的收益递减倍率
+     * @param {number} repeats - countRepeats() 得到的加权重复次数
+     * @returns {number} 倍率
+     */
+    getRepetitionMultiplier(repeats) {
+        return Math.max(MANUAL_REWARD.minimumRepetition, Math.pow(MANUAL_REWARD.repetitionDecay, repeats));
+    }
+
+    /**
+     * 统计最近提交中与本次相同或近似的次数
+     * 每次最近的提交按 compare() 的相似度计入：完全相同计 1 次，只加了一个分号的计将近 1 次
+     * @param {Object} fingerprint - 本次指纹
+     * @param {Array} recentInputs - 最近提交的指纹
+     * @returns {number} 加权重复次数
+     */
+    countRepeats(fingerprint, recentInputs) {
+        return recentInputs.reduce((repeats, input) => repeats + this.compare(fingerprint, input), 0);
+    }
+}
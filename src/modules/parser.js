@@ -0,0 +1,2215 @@
+// src/modules/parser.js
+// 语法分析器模块
+
+/*
+    是什么: 一个递归下降语法分析器，将 Tokenizer 产生的令牌数组构建为 ESTree 风格的抽象语法树(AST)。
+    为什么: 词法分析只得到扁平的令牌序列，编译器的第二个阶段需要理解程序结构。真实的 AST 让"AST 节点"资源来自玩家写下的代码，而不是一个凭空增长的数字。
+    如何关联:
+        - 输入是`Tokenizer.tokenize()`的输出，输出节点格式遵循 ESTree 规范（type/start/end/loc）。
+        - `Game.runLexicalAnalysis()`根据这里实际产生的节点数量奖励`astNodes`。
+        - 支持的 JavaScript 子集: 变量声明、带优先级的表达式、代码块、if/for/while、函数和类。
+        - 顶层可以使用具名的 import / export（ImportDeclaration、ExportNamedDeclaration），
+          出现时 Program 的 sourceType 为 'module'，多个模块由`linker.js`链接。
+        - 另外支持 TypeScript 风格的类型标注（变量、参数、返回值、类字段）和 type/interface/enum 声明，
+          节点格式参照 typescript-estree（TSTypeAnnotation、TSNumberKeyword 等），供`TypeChecker`使用。
+*/
+
+// 二元运算符优先级，数值越大结合越紧
+const BINARY_PRECEDENCE = {
+    '??': 1,
+    '||': 2,
+    '&&': 3,
+    '|': 4,
+    '^': 5,
+    '&': 6,
+    '==': 7, '!=': 7, '===': 7, '!==': 7,
+    '<': 8, '>': 8, '<=': 8, '>=': 8, 'instanceof': 8, 'in': 8,
+    '<<': 9, '>>': 9, '>>>': 9,
+    '+': 10, '-': 10,
+    '*': 11, '/': 11, '%': 11,
+    '**': 12
+};
+
+const LOGICAL_OPERATORS = ['||', '&&', '??'];
+
+const ASSIGNMENT_OPERATORS = [
+    '=', '+=', '-=', '*=', '/=', '%=', '**=',
+    '<<=', '>>=', '>>>=', '&=', '|=', '^=',
+    '&&=', '||=', '??='
+];
+
+const UNARY_OPERATORS = ['!', '-', '+', '~', 'typeof', 'void', 'delete'];
+
+// 单词令牌类型（关键字和标识符）
+const WORD_TYPES = ['KEYWORD', 'IDENTIFIER'];
+
+// 不能用作标识符的保留字；Tokenizer 中其余的关键字（如 type、module）仍可作为变量名
+const RESERVED_WORDS = new Set([
+    'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete',
+    'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import',
+    'in', 'instanceof', 'new', 'null', 'return', 'super', 'switch', 'this', 'throw', 'true',
+    'try', 'typeof', 'var', 'void', 'while', 'with'
+]);
+
+// 标点令牌类型
+const PUNCTUATOR_TYPES = ['OPERATOR', 'DELIMITER'];
+
+// 类型标注中的内置类型关键字
+const TS_KEYWORD_TYPES = {
+    number: 'TSNumberKeyword',
+    string: 'TSStringKeyword',
+    boolean: 'TSBooleanKeyword',
+    bigint: 'TSBigIntKeyword',
+    symbol: 'TSSymbolKeyword',
+    object: 'TSObjectKeyword',
+    any: 'TSAnyKeyword',
+    unknown: 'TSUnknownKeyword',
+    never: 'TSNeverKeyword',
+    void: 'TSVoidKeyword',
+    null: 'TSNullKeyword',
+    undefined: 'TSUndefinedKeyword'
+};
+
+/**
+ * 语法错误，带有出错令牌的行列信息
+ */
+export class ParseError extends Error {
+    /**
+     * @param {string} message - 错误描述
+     * @param {Object} token - 出错位置的令牌
+     */
+    constructor(message, token) {
+        super(`${message} (第${token.line}行, 第${token.column}列)`);
+        this.name = 'ParseError';
+        this.description = message;
+        this.line = token.line;
+        this.column = token.column;
+        this.position = token.position;
+        this.end = getTokenEnd(token).offset;
+    }
+}
+
+/**
+ * ?? 与 || / && 作为相邻运算符且没有括号隔开（JavaScript 中是语法错误）
+ * @param {string} operator - 运算符
+ * @param {string|null} operand - 操作数顶层没有括号的运算符
+ * @returns {boolean}
+ */
+function isCoalesceMix(operator, operand) {
+    const isShortCircuit = (value) => value === '||' || value === '&&';
+    return (operator === '??' && isShortCircuit(operand)) || (isShortCircuit(operator) && operand === '??');
+}
+
+/**
+ * 节点覆盖的范围，用于在节点上报告 ParseError
+ * @param {Object} node - AST 节点
+ * @returns {Object} 与令牌相同的位置字段
+ */
+function nodeRange(node) {
+    return {
+        line: node.loc.start.line, column: node.loc.start.column, position: node.start,
+        end: node.end, endLine: node.loc.end.line, endColumn: node.loc.end.column
+    };
+}
+
+/**
+ * 在绑定模式中查找指定名称的标识符
+ * @param {Object} pattern - Identifier、解构模式、AssignmentPattern 或 RestElement
+ * @param {string} name - 名称
+ * @returns {Object|null} 找到的 Identifier 节点
+ */
+function findBinding(pattern, name) {
+    switch (pattern.type) {
+        case 'Identifier':
+            return pattern.name === name ? pattern : null;
+        case 'AssignmentPattern':
+            return findBinding(pattern.left, name);
+        case 'RestElement':
+            return findBinding(pattern.argument, name);
+        case 'ArrayPattern':
+            return pattern.elements.reduce((found, element) => found || (element && findBinding(element, name)), null);
+        case 'ObjectPattern':
+            return pattern.properties.reduce((found, property) =>
+                found || findBinding(property.type === 'RestElement' ? property : property.value, name), null);
+        default:
+            return null;
+    }
+}
+
+/**
+ * 计算令牌的结束位置
+ * @param {Object} token - 令牌
+ * @returns {Object} { offset, line, column }
+ */
+function getTokenEnd(token) {
+    if (token.end !== undefined && token.endLine !== undefined) {
+        return { offset: token.end, line: token.endLine, column: token.endColumn };
+    }
+
+    const lines = token.value.split('\n');
+    return {
+        offset: token.position + token.value.length,
+        line: token.line + lines.length - 1,
+        column: lines.length > 1
+            ? lines[lines.length - 1].length + 1
+            : token.column + token.value.length
+    };
+}
+
+/**
+ * 还原字符串字面量中的转义序列
+ * @param {string} body - 去掉引号后的字符串内容
+ * @returns {string} 实际字符串值
+ */
+function unescapeString(body) {
+    const simpleEscapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+    return body.replace(/\\(u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|\r\n|[\s\S])/g, (match, escape) => {
+        if (escape[0] === 'u' && escape.length > 1) {
+            const hex = escape[1] === '{' ? escape.slice(2, -1) : escape.slice(1);
+            return String.fromCodePoint(parseInt(hex, 16));
+        }
+        if (escape[0] === 'x' && escape.length === 3) {
+            return String.fromCharCode(parseInt(escape.slice(1), 16));
+        }
+        if (escape === '\n' || escape === '\r\n' || escape === '\r') {
+            return ''; // 续行
+        }
+        return simpleEscapes[escape] !== undefined ? simpleEscapes[escape] : escape;
+    });
+}
+
+/**
+ * 计算数字字面量的值，支持数字分隔符、BigInt 和旧式八进制
+ * @param {string} raw - 数字令牌原文
+ * @returns {Object} { value } 或 { value, bigint }
+ */
+function parseNumber(raw) {
+    const clean = raw.replace(/_/g, '');
+    if (clean.endsWith('n')) {
+        const digits = clean.slice(0, -1);
+        return { value: BigInt(digits), bigint: digits };
+    }
+    if (/^0[0-7]+$/.test(clean)) {
+        return { value: parseInt(clean.slice(1), 8) };
+    }
+    return { value: Number(clean) };
+}
+
+/**
+ * 递归下降语法分析器类
+ */
+export class Parser {
+    constructor() {
+        this.tokens = [];
+        this.index = 0;
+        this.lastToken = null;
+        this.eofToken = null;
+        this.noIn = false;
+        this.inGenerator = false;
+        // 是否在函数体中（决定能否使用 return）
+        this.inFunction = false;
+        // 是否在循环 / switch 中，以及当前函数中包围的标签 [{ name, loop }]（决定能否使用 break、continue）
+        this.inLoop = false;
+        this.inSwitch = false;
+        this.labels = [];
+    }
+
+    /**
+     * 将令牌数组解析为 Program 节点
+     * @param {Array} tokens - Tokenizer.tokenize() 的输出
+     * @returns {Object} ESTree 风格的 Program 节点
+     * @throws {ParseError} 遇到语法错误时抛出，包括词法分析恢复出的错误令牌（如未闭合的字符串）
+     */
+    parse(tokens) {
+        // 错误恢复规则产生的令牌看起来和正常令牌一样，内容却不完整，不能当作有效代码
+        const broken = tokens.find(token => token.error);
+        if (broken) {
+            throw new ParseError(broken.error, broken);
+        }
+
+        this.tokens = tokens.filter(token => token.type !== 'WHITESPACE' && token.type !== 'COMMENT');
+        this.index = 0;
+        this.noIn = false;
+        this.inGenerator = false;
+        this.inFunction = false;
+        this.inLoop = false;
+        this.inSwitch = false;
+        this.labels = [];
+
+        const last = this.tokens[this.tokens.length - 1];
+        const end = last ? getTokenEnd(last) : { offset: 0, line: 1, column: 1 };
+        this.eofToken = { type: 'EOF', value: '', position: end.offset, line: end.line, column: end.column };
+        this.lastToken = this.eofToken;
+
+        const first = this.peek();
+        const start = this.startNode();
+        const body = [];
+        while (!this.isEOF()) {
+            body.push(this.parseModuleItem());
+        }
+
+        const isModule = body.some(statement => statement.type === 'ImportDeclaration' || statement.type === 'ExportNamedDeclaration');
+        const program = this.finishNode(start, { type: 'Program', sourceType: isModule ? 'module' : 'script', body });
+        if (body.length === 0) {
+            program.end = first.position;
+            program.loc.end = { line: first.line, column: first.column };
+        }
+        return program;
+    }
+
+    // ==================== 令牌辅助方法 ====================
+
+    /**
+     * 查看令牌而不消费
+     * @param {number} offset - 相对当前位置的偏移
+     * @returns {Object} 令牌
+     * @private
+     */
+    peek(offset = 0) {
+        return this.tokens[this.index + offset] || this.eofToken;
+    }
+
+    /**
+     * 消费当前令牌
+     * @returns {Object} 被消费的令牌
+     * @private
+     */
+    next() {
+        const token = this.peek();
+        if (token.type !== 'EOF') {
+            this.index++;
+            this.lastToken = token;
+        }
+        return token;
+    }
+
+    /**
+     * @private
+     */
+    isEOF() {
+        return this.peek().type === 'EOF';
+    }
+
+    /**
+     * 检查令牌是否为指定标点
+     * @private
+     */
+    isPunct(value, token = this.peek()) {
+        return PUNCTUATOR_TYPES.includes(token.type) && token.value === value;
+    }
+
+    /**
+     * 检查令牌是否为指定单词（关键字或上下文关键字）
+     * @private
+     */
+    isWord(value, token = this.peek()) {
+        return WORD_TYPES.includes(token.type) && token.value === value;
+    }
+
+    /**
+     * 检查令牌是否可用作标识符
+     * @private
+     */
+    isIdentifier(token = this.peek()) {
+        return WORD_TYPES.includes(token.type) && !RESERVED_WORDS.has(token.value);
+    }
+
+    /**
+     * 若当前令牌为指定标点则消费
+     * @private
+     */
+    eatPunct(value) {
+        if (this.isPunct(value)) {
+            this.next();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * 若当前令牌为指定单词则消费
+     * @private
+     */
+    eatWord(value) {
+        if (this.isWord(value)) {
+            this.next();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * 期望并消费指定标点
+     * @private
+     */
+    expectPunct(value) {
+        if (!this.isPunct(value)) {
+            this.unexpected(`应为 '${value}'`);
+        }
+        return this.next();
+    }
+
+    /**
+     * 期望并消费指定单词
+     * @private
+     */
+    expectWord(value) {
+        if (!this.isWord(value)) {
+            this.unexpected(`应为 '${value}'`);
+        }
+        return this.next();
+    }
+
+    /**
+     * 抛出"意外的令牌"错误
+     * @param {string} expectation - 期望内容的说明
+     * @private
+     */
+    unexpected(expectation = null, token = this.peek()) {
+        const found = token.type === 'EOF' ? '输入结束' : `'${token.value}'`;
+        const message = expectation ? `${expectation}，但遇到了 ${found}` : `意外的令牌 ${found}`;
+        throw new ParseError(message, token);
+    }
+
+    /**
+     * 消费语句结尾的分号，支持自动分号插入
+     * @private
+     */
+    consumeSemicolon() {
+        if (this.eatPunct(';')) return;
+        if (this.isPunct('}') || this.isEOF()) return;
+        if (this.peek().line > getTokenEnd(this.lastToken).line) return;
+        this.unexpected("应为 ';'");
+    }
+
+    /**
+     * 记录节点起始位置
+     * @returns {Object} 起始标记
+     * @private
+     */
+    startNode() {
+        const token = this.peek();
+        return { offset: token.position, line: token.line, column: token.column };
+    }
+
+    /**
+     * 为节点补充位置信息
+     * @param {Object} start - startNode() 返回的标记
+     * @param {Object} node - 节点
+     * @returns {Object} 带位置信息的节点
+     * @private
+     */
+    finishNode(start, node) {
+        const end = getTokenEnd(this.lastToken);
+        node.start = start.offset;
+        node.end = end.offset;
+        node.loc = {
+            start: { line: start.line, column: start.column },
+            end: { line: end.line, column: end.column }
+        };
+        return node;
+    }
+
+    // ==================== 语句 ====================
+
+    /**
+     * @private
+     */
+    parseStatement() {
+        const token = this.peek();
+
+        if (this.isPunct('{')) return this.parseBlock();
+        if (this.isPunct(';')) {
+            const start = this.startNode();
+            this.next();
+            return this.finishNode(start, { type: 'EmptyStatement' });
+        }
+
+        if (WORD_TYPES.includes(token.type)) {
+            switch (token.value) {
+                case 'var':
+                case 'const':
+                    return this.parseVariableStatement();
+                case 'let':
+                    if (this.isDeclarationStart(this.peek(1))) {
+                        return this.parseVariableStatement();
+                    }
+                    break;
+                case 'function':
+                    return this.parseFunction(true, false);
+                case 'async':
+                    if (this.isWord('function', this.peek(1)) && this.peek(1).line === token.line) {
+                        this.next();
+                        return this.parseFunction(true, true);
+                    }
+                    break;
+                case 'class':
+                    return this.parseClass(true);
+                case 'if':
+                    return this.parseIfStatement();
+                case 'for':
+                    return this.parseForStatement();
+                case 'while':
+                    return this.parseWhileStatement();
+                case 'do':
+                    return this.parseDoWhileStatement();
+                case 'return':
+                    return this.parseReturnStatement();
+                case 'break':
+                case 'continue':
+                    return this.parseJumpStatement();
+                case 'throw':
+                    return this.parseThrowStatement();
+                case 'try':
+                    return this.parseTryStatement();
+                case 'switch':
+                    return this.parseSwitchStatement();
+                case 'import':
+                case 'export':
+                    throw new ParseError(`'${token.value}' 只能出现在程序顶层`, token);
+                case 'type':
+                case 'interface':
+                case 'enum':
+                    // 这些单词后面紧跟同一行的名称时才是类型声明，否则仍是普通标识符
+                    if (this.isTypeDeclarationStart(token)) {
+                        return this.parseTypeDeclaration();
+                    }
+                    break;
+            }
+        }
+
+        if (this.isIdentifier(token) && this.isPunct(':', this.peek(1))) {
+            return this.parseLabeledStatement();
+        }
+
+        return this.parseExpressionStatement();
+    }
+
+    // ==================== 模块 ====================
+
+    /**
+     * 顶层语句：import / export 声明或普通语句
+     * @private
+     */
+    parseModuleItem() {
+        if (this.isWord('import') && !this.isPunct('(', this.peek(1)) && !this.isPunct('.', this.peek(1))) {
+            return this.parseImportDeclaration();
+        }
+        if (this.isWord('export')) {
+            return this.parseExportDeclaration();
+        }
+        return this.parseStatement();
+    }
+
+    /**
+     * import { a, b as c } from '模块'; 或只执行模块的 import '模块';
+     * @private
+     */
+    parseImportDeclaration() {
+        const start = this.startNode();
+        this.expectWord('import');
+        const specifiers = [];
+
+        if (this.peek().type !== 'STRING') {
+            if (!this.isPunct('{')) {
+                this.unexpected("只支持具名导入 import { a, b as c } from '模块'，应为 '{'");
+            }
+            this.parseSpecifierList(() => {
+                const specifierStart = this.startNode();
+                const imported = this.parseModuleExportName();
+                const local = this.eatWord('as') ? this.parseBindingIdentifier() : this.copyBindingIdentifier(imported);
+                return this.finishNode(specifierStart, { type: 'ImportSpecifier', imported, local });
+            }).forEach(specifier => specifiers.push(specifier));
+            this.expectWord('from');
+        }
+
+        const source = this.parseModuleSource();
+        this.consumeSemicolon();
+        return this.finishNode(start, { type: 'ImportDeclaration', specifiers, source });
+    }
+
+    /**
+     * export 声明（函数、类、变量）或 export { a, b as c };
+     * @private
+     */
+    parseExportDeclaration() {
+        const start = this.startNode();
+        this.expectWord('export');
+
+        if (this.isWord('default') || this.isPunct('*')) {
+            throw new ParseError(`暂不支持 'export ${this.peek().value}'，请使用具名导出`, this.peek());
+        }
+
+        if (this.isPunct('{')) {
+            const specifiers = this.parseSpecifierList(() => {
+                const specifierStart = this.startNode();
+                const local = this.copyBindingIdentifier(this.parseModuleExportName());
+                const exported = this.eatWord('as') ? this.parseModuleExportName() : this.copyBindingIdentifier(local);
+                return this.finishNode(specifierStart, { type: 'ExportSpecifier', local, exported });
+            });
+            if (this.isWord('from')) {
+                throw new ParseError("暂不支持 'export { ... } from'，请先导入再导出", this.peek());
+            }
+            this.consumeSemicolon();
+            return this.finishNode(start, { type: 'ExportNamedDeclaration', declaration: null, specifiers, source: null });
+        }
+
+        let declaration;
+        const token = this.peek();
+        if (this.isWord('function')) {
+            declaration = this.parseFunction(true, false);
+        } else if (this.isWord('async') && this.isWord('function', this.peek(1))) {
+            this.next();
+            declaration = this.parseFunction(true, true);
+        } else if (this.isWord('class')) {
+            declaration = this.parseClass(true);
+        } else if (this.isWord('var') || this.isWord('let') || this.isWord('const')) {
+            declaration = this.parseVariableStatement();
+        } else {
+            this.unexpected('export 之后应为函数、类、变量声明或 {', token);
+        }
+        return this.finishNode(start, { type: 'ExportNamedDeclaration', declaration, specifiers: [], source: null });
+    }
+
+    /**
+     * 解析 { item, item, ... }，允许末尾逗号
+     * @param {Function} parseItem - 解析一项
+     * @returns {Array} 各项
+     * @private
+     */
+    parseSpecifierList(parseItem) {
+        this.expectPunct('{');
+        const items = [];
+        while (!this.isPunct('}')) {
+            items.push(parseItem());
+            if (!this.isPunct('}')) this.expectPunct(',');
+        }
+        this.next();
+        return items;
+    }
+
+    /**
+     * 导入导出的名字可以是任意单词（包括保留字）
+     * @private
+     */
+    parseModuleExportName() {
+        const token = this.peek();
+        if (!WORD_TYPES.includes(token.type)) {
+            this.unexpected('应为名称');
+        }
+        const start = this.startNode();
+        this.next();
+        return this.finishNode(start, { type: 'Identifier', name: token.value });
+    }
+
+    /**
+     * 复制名称节点作为本地绑定（省略 as 时导入导出的名字和本地名字是两个位置相同的节点），不能是保留字
+     * @private
+     */
+    copyBindingIdentifier(identifier) {
+        if (RESERVED_WORDS.has(identifier.name)) {
+            throw new ParseError(`'${identifier.name}' 是保留字，不能作为本地绑定`, this.lastToken);
+        }
+        return { ...identifier, loc: { start: { ...identifier.loc.start }, end: { ...identifier.loc.end } } };
+    }
+
+    /**
+     * 模块名字符串
+     * @private
+     */
+    parseModuleSource() {
+        if (this.peek().type !== 'STRING') {
+            this.unexpected('应为模块名字符串');
+        }
+        return this.parseLiteral();
+    }
+
+    /**
+     * let 后面紧跟标识符、解构或另起一行时才视为声明
+     * @private
+     */
+    isDeclarationStart(token) {
+        return WORD_TYPES.includes(token.type) || this.isPunct('[', token) || this.isPunct('{', token);
+    }
+
+    /**
+     * @private
+     */
+    parseBlock() {
+        const start = this.startNode();
+        this.expectPunct('{');
+        const body = [];
+        while (!this.isPunct('}')) {
+            if (this.isEOF()) this.unexpected("应为 '}'");
+            body.push(this.parseStatement());
+        }
+        this.next();
+        return this.finishNode(start, { type: 'BlockStatement', body });
+    }
+
+    /**
+     * @private
+     */
+    parseVariableStatement() {
+        const start = this.startNode();
+        const declaration = this.parseVariableDeclaration(start);
+        this.consumeSemicolon();
+        return this.finishNode(start, declaration);
+    }
+
+    /**
+     * 解析 var/let/const 声明（不消费分号）
+     * @private
+     */
+    parseVariableDeclaration(start) {
+        const kind = this.next().value;
+        const declarations = [];
+
+        do {
+            const declStart = this.startNode();
+            const id = this.parseOptionalTypeAnnotation(this.parseBindingTarget());
+            const letBinding = kind !== 'var' && findBinding(id, 'let');
+            if (letBinding) {
+                throw new ParseError(`let 不能作为 ${kind} 声明的名称`, nodeRange(letBinding));
+            }
+            let init = null;
+            if (this.eatPunct('=')) {
+                init = this.parseAssignment();
+            } else if (kind === 'const' && !this.isWord('of') && !this.isWord('in')) {
+                this.unexpected("const 声明必须初始化，应为 '='");
+            }
+            declarations.push(this.finishNode(declStart, { type: 'VariableDeclarator', id, init }));
+        } while (this.eatPunct(','));
+
+        return this.finishNode(start, { type: 'VariableDeclaration', kind, declarations });
+    }
+
+    /**
+     * 解析绑定目标: 标识符、数组模式或对象模式
+     * @private
+     */
+    parseBindingTarget() {
+        if (this.isPunct('[')) return this.parseArrayPattern();
+        if (this.isPunct('{')) return this.parseObjectPattern();
+        return this.parseBindingIdentifier();
+    }
+
+    /**
+     * @private
+     */
+    parseBindingIdentifier() {
+        const token = this.peek();
+        if (!this.isIdentifier(token)) {
+            this.unexpected('应为标识符');
+        }
+        const start = this.startNode();
+        this.next();
+        return this.finishNode(start, { type: 'Identifier', name: token.value });
+    }
+
+    /**
+     * 解析带默认值的绑定元素
+     * @private
+     */
+    parseBindingElement() {
+        const start = this.startNode();
+        const target = this.parseBindingTarget();
+        if (this.eatPunct('=')) {
+            const right = this.parseAssignment();
+            return this.finishNode(start, { type: 'AssignmentPattern', left: target, right });
+        }
+        return target;
+    }
+
+    /**
+     * @private
+     */
+    parseRestElement() {
+        const start = this.startNode();
+        this.expectPunct('...');
+        const argument = this.parseBindingTarget();
+        return this.finishNode(start, { type: 'RestElement', argument });
+    }
+
+    /**
+     * @private
+     */
+    parseArrayPattern() {
+        const start = this.startNode();
+        this.expectPunct('[');
+        const elements = [];
+        while (!this.isPunct(']')) {
+            if (this.isPunct(',')) {
+                this.next();
+                elements.push(null);
+                continue;
+            }
+            if (this.isPunct('...')) {
+                elements.push(this.parseRestElement());
+                break;
+            }
+            elements.push(this.parseBindingElement());
+            if (!this.isPunct(']')) this.expectPunct(',');
+        }
+        this.expectPunct(']');
+        return this.finishNode(start, { type: 'ArrayPattern', elements });
+    }
+
+    /**
+     * @private
+     */
+    parseObjectPattern() {
+        const start = this.startNode();
+        this.expectPunct('{');
+        const properties = [];
+        while (!this.isPunct('}')) {
+            if (this.isPunct('...')) {
+                properties.push(this.parseRestElement());
+                break;
+            }
+
+            const propStart = this.startNode();
+            const { key, computed } = this.parsePropertyKey();
+            let value;
+            let shorthand = false;
+            if (this.eatPunct(':')) {
+                value = this.parseBindingElement();
+            } else {
+                if (key.type !== 'Identifier' || computed) {
+                    this.unexpected("应为 ':'");
+                }
+                shorthand = true;
+                value = key;
+                if (this.eatPunct('=')) {
+                    const right = this.parseAssignment();
+                    value = this.finishNode(propStart, { type: 'AssignmentPattern', left: key, right });
+                }
+            }
+            properties.push(this.finishNode(propStart, {
+                type: 'Property', key, value, kind: 'init', computed, shorthand, method: false
+            }));
+            if (!this.isPunct('}')) this.expectPunct(',');
+        }
+        this.expectPunct('}');
+        return this.finishNode(start, { type: 'ObjectPattern', properties });
+    }
+
+    /**
+     * 解析函数声明或函数表达式（当前令牌为 function）
+     * @param {boolean} isStatement - 是否为声明
+     * @param {boolean} isAsync - 是否为 async 函数
+     * @param {Object} start - 起始标记（async 时由调用方提供）
+     * @private
+     */
+    parseFunction(isStatement, isAsync, start = null) {
+        const nodeStart = start || (isAsync ? this.startFromLast() : this.startNode());
+        this.expectWord('function');
+        const generator = this.eatPunct('*');
+
+        let id = null;
+        if (isStatement || this.isIdentifier()) {
+            id = this.parseBindingIdentifier();
+        }
+
+        const { params, returnType, body } = this.parseFunctionRest(generator);
+
+        return this.finishNode(nodeStart, {
+            type: isStatement ? 'FunctionDeclaration' : 'FunctionExpression',
+            id, params, ...(returnType && { returnType }), body, generator, async: isAsync, expression: false
+        });
+    }
+
+    /**
+     * 解析函数的参数、返回类型标注和函数体，并设置是否处于生成器中
+     * @returns {Object} { params, returnType (没有标注为 null), body }
+     * @private
+     */
+    parseFunctionRest(generator) {
+        const savedInGenerator = this.inGenerator;
+        this.inGenerator = generator;
+        const params = this.parseParams();
+        const returnType = this.isPunct(':') ? this.parseTypeAnnotation() : null;
+        const context = this.enterFunctionBody();
+        const body = this.parseBlock();
+        this.inGenerator = savedInGenerator;
+        this.exitFunctionBody(context);
+        return { params, returnType, body };
+    }
+
+    /**
+     * 进入函数体：可以使用 return，外层的循环、switch 和标签对 break / continue 不再可见
+     * @returns {Object} 进入前的状态，交给 exitFunctionBody() 恢复
+     * @private
+     */
+    enterFunctionBody() {
+        const context = { inFunction: this.inFunction, inLoop: this.inLoop, inSwitch: this.inSwitch, labels: this.labels };
+        this.inFunction = true;
+        this.inLoop = false;
+        this.inSwitch = false;
+        this.labels = [];
+        return context;
+    }
+
+    /**
+     * @private
+     */
+    exitFunctionBody(context) {
+        ({ inFunction: this.inFunction, inLoop: this.inLoop, inSwitch: this.inSwitch, labels: this.labels } = context);
+    }
+
+    /**
+     * 以上一个已消费的令牌作为起点
+     * @private
+     */
+    startFromLast() {
+        const token = this.lastToken;
+        return { offset: token.position, line: token.line, column: token.column };
+    }
+
+    /**
+     * 解析括号内的参数列表
+     * @private
+     */
+    parseParams() {
+        this.expectPunct('(');
+        const params = [];
+        while (!this.isPunct(')')) {
+            if (this.isPunct('...')) {
+                params.push(this.parseOptionalTypeAnnotation(this.parseRestElement()));
+                break;
+            }
+            params.push(this.parseParam());
+            if (!this.isPunct(')')) this.expectPunct(',');
+        }
+        this.expectPunct(')');
+        return params;
+    }
+
+    /**
+     * 解析单个参数: 绑定目标、可选标记 '?'、类型标注和默认值
+     * @private
+     */
+    parseParam() {
+        const start = this.startNode();
+        const target = this.parseBindingTarget();
+        if (target.type === 'Identifier' && this.eatPunct('?')) {
+            target.optional = true;
+            this.finishNode(start, target);
+        }
+        this.parseOptionalTypeAnnotation(target);
+
+        if (this.eatPunct('=')) {
+            const right = this.parseAssignment();
+            return this.finishNode(start, { type: 'AssignmentPattern', left: target, right });
+        }
+        return target;
+    }
+
+    /**
+     * 解析类声明或类表达式
+     * @private
+     */
+    parseClass(isStatement) {
+        const start = this.startNode();
+        this.expectWord('class');
+
+        let id = null;
+        if (isStatement || this.isIdentifier()) {
+            id = this.parseBindingIdentifier();
+            if (id.name === 'let') {
+                throw new ParseError('let 不能作为类名', nodeRange(id));
+            }
+        }
+
+        let superClass = null;
+        if (this.eatWord('extends')) {
+            superClass = this.parseLeftHandSide();
+        }
+
+        const bodyStart = this.startNode();
+        this.expectPunct('{');
+        const members = [];
+        while (!this.isPunct('}')) {
+            if (this.isEOF()) this.unexpected("应为 '}'");
+            if (this.eatPunct(';')) continue;
+            members.push(this.parseClassMember());
+        }
+        this.next();
+        const body = this.finishNode(bodyStart, { type: 'ClassBody', body: members });
+
+        return this.finishNode(start, {
+            type: isStatement ? 'ClassDeclaration' : 'ClassExpression',
+            id, superClass, body
+        });
+    }
+
+    /**
+     * 解析类成员: 方法、getter/setter、字段
+     * @private
+     */
+    parseClassMember() {
+        const start = this.startNode();
+        let isStatic = false;
+        let kind = 'method';
+        let isAsync = false;
+
+        // static/get/set/async 后面若紧跟 '(' 或 '='，它们本身就是成员名
+        const isModifier = (word) => this.isWord(word) &&
+            !this.isPunct('(', this.peek(1)) && !this.isPunct('=', this.peek(1)) &&
+            !this.isPunct(';', this.peek(1)) && !this.isPunct('}', this.peek(1)) &&
+            !this.isPunct(':', this.peek(1)) && !this.isPunct('?', this.peek(1));
+
+        if (isModifier('static')) {
+            this.next();
+            isStatic = true;
+        }
+        if (isModifier('async') && this.peek(1).line === this.peek().line) {
+            this.next();
+            isAsync = true;
+        }
+        if (!isAsync && (isModifier('get') || isModifier('set'))) {
+            kind = this.next().value;
+        }
+        const generator = this.eatPunct('*');
+
+        const { key, computed } = this.parsePropertyKey();
+
+        if (this.isPunct('(')) {
+            if (!isStatic && !computed && kind === 'method' &&
+                ((key.type === 'Identifier' && key.name === 'constructor') ||
+                 (key.type === 'Literal' && key.value === 'constructor'))) {
+                kind = 'constructor';
+            }
+            const value = this.parseMethodFunction(isAsync, generator);
+            return this.finishNode(start, {
+                type: 'MethodDefinition', key, value, kind, computed, static: isStatic
+            });
+        }
+
+        const optional = this.eatPunct('?');
+        const typeAnnotation = this.isPunct(':') ? this.parseTypeAnnotation() : null;
+        let value = null;
+        if (this.eatPunct('=')) {
+            value = this.parseAssignment();
+        }
+        this.consumeSemicolon();
+        return this.finishNode(start, {
+            type: 'PropertyDefinition', key, ...(typeAnnotation && { typeAnnotation }), value, computed, static: isStatic,
+            ...(optional && { optional })
+        });
+    }
+
+    /**
+     * 解析方法的参数和函数体
+     * @private
+     */
+    parseMethodFunction(isAsync, generator) {
+        const start = this.startNode();
+        const { params, returnType, body } = this.parseFunctionRest(generator);
+        return this.finishNode(start, {
+            type: 'FunctionExpression', id: null, params, ...(returnType && { returnType }), body,
+            generator, async: isAsync, expression: false
+        });
+    }
+
+    /**
+     * 解析属性名: 标识符/关键字、字符串、数字或计算属性
+     * @returns {Object} { key, computed }
+     * @private
+     */
+    parsePropertyKey() {
+        const token = this.peek();
+
+        if (this.eatPunct('[')) {
+            const key = this.parseAssignment();
+            this.expectPunct(']');
+            return { key, computed: true };
+        }
+        if (WORD_TYPES.includes(token.type) || token.type === 'PRIVATE_NAME') {
+            return { key: this.parsePropertyName(), computed: false };
+        }
+        if (token.type === 'STRING' || token.type === 'NUMBER') {
+            return { key: this.parseLiteral(), computed: false };
+        }
+        return this.unexpected('应为属性名');
+    }
+
+    /**
+     * @private
+     */
+    parseIfStatement() {
+        const start = this.startNode();
+        this.expectWord('if');
+        const test = this.parseParenExpression();
+        const consequent = this.parseStatement();
+        const alternate = this.eatWord('else') ? this.parseStatement() : null;
+        return this.finishNode(start, { type: 'IfStatement', test, consequent, alternate });
+    }
+
+    /**
+     * @private
+     */
+    parseParenExpression() {
+        this.expectPunct('(');
+        const expression = this.parseExpression();
+        this.expectPunct(')');
+        return expression;
+    }
+
+    /**
+     * 解析 for / for-in / for-of 语句
+     * @private
+     */
+    parseForStatement() {
+        const start = this.startNode();
+        this.expectWord('for');
+        this.expectPunct('(');
+
+        let init = null;
+        if (!this.isPunct(';')) {
+            const initStart = this.startNode();
+            this.noIn = true;
+            if (this.isWord('var') || this.isWord('const') ||
+                (this.isWord('let') && this.isDeclarationStart(this.peek(1)))) {
+                init = this.parseVariableDeclaration(initStart);
+            } else {
+                init = this.parseExpression();
+            }
+            this.noIn = false;
+
+            if (this.isWord('of') || this.isWord('in')) {
+                const isOf = this.next().value === 'of';
+                if (init.type === 'VariableDeclaration') {
+                    if (init.declarations.length !== 1 || init.declarations[0].init) {
+                        throw new ParseError(`for-${isOf ? 'of' : 'in'} 循环只能声明一个未初始化的变量`, this.lastToken);
+                    }
+                } else {
+                    init = this.toAssignable(init);
+                }
+                const right = isOf ? this.parseAssignment() : this.parseExpression();
+                this.expectPunct(')');
+                const body = this.parseLoopBody();
+                const loop = { type: isOf ? 'ForOfStatement' : 'ForInStatement', left: init, right, body };
+                if (isOf) loop.await = false;
+                return this.finishNode(start, loop);
+            }
+        }
+
+        this.expectPunct(';');
+        const test = this.isPunct(';') ? null : this.parseExpression();
+        this.expectPunct(';');
+        const update = this.isPunct(')') ? null : this.parseExpression();
+        this.expectPunct(')');
+        const body = this.parseLoopBody();
+
+        return this.finishNode(start, { type: 'ForStatement', init, test, update, body });
+    }
+
+    /**
+     * 解析循环体（其中可以使用 break 和 continue）
+     * @private
+     */
+    parseLoopBody() {
+        const savedInLoop = this.inLoop;
+        this.inLoop = true;
+        const body = this.parseStatement();
+        this.inLoop = savedInLoop;
+        return body;
+    }
+
+    /**
+     * @private
+     */
+    parseWhileStatement() {
+        const start = this.startNode();
+        this.expectWord('while');
+        const test = this.parseParenExpression();
+        const body = this.parseLoopBody();
+        return this.finishNode(start, { type: 'WhileStatement', test, body });
+    }
+
+    /**
+     * @private
+     */
+    parseDoWhileStatement() {
+        const start = this.startNode();
+        this.expectWord('do');
+        const body = this.parseLoopBody();
+        this.expectWord('while');
+        const test = this.parseParenExpression();
+        this.eatPunct(';');
+        return this.finishNode(start, { type: 'DoWhileStatement', body, test });
+    }
+
+    /**
+     * @private
+     */
+    parseReturnStatement() {
+        const start = this.startNode();
+        if (!this.inFunction) {
+            throw new ParseError('return 只能出现在函数体中', this.peek());
+        }
+        const returnToken = this.next();
+        let argument = null;
+        if (!this.isPunct(';') && !this.isPunct('}') && !this.isEOF() &&
+            this.peek().line === returnToken.line) {
+            argument = this.parseExpression();
+        }
+        this.consumeSemicolon();
+        return this.finishNode(start, { type: 'ReturnStatement', argument });
+    }
+
+    /**
+     * 解析 break / continue（可带标签）
+     * 不带标签的 break 只能出现在循环或 switch 中，continue 只能出现在循环中；
+     * 标签必须是当前函数中包围这条语句的标签，continue 的标签还必须标记循环
+     * @private
+     */
+    parseJumpStatement() {
+        const start = this.startNode();
+        const keyword = this.next();
+        const isBreak = keyword.value === 'break';
+        let label = null;
+        if (this.isIdentifier() && this.peek().line === keyword.line) {
+            label = this.parseBindingIdentifier();
+            const target = this.labels.find(entry => entry.name === label.name);
+            if (!target) {
+                throw new ParseError(`未定义的标签 '${label.name}'`, nodeRange(label));
+            }
+            if (!isBreak && !target.loop) {
+                throw new ParseError(`continue 的标签 '${label.name}' 必须标记循环`, nodeRange(label));
+            }
+        } else if (isBreak && !this.inLoop && !this.inSwitch) {
+            throw new ParseError('break 只能出现在循环或 switch 中', keyword);
+        } else if (!isBreak && !this.inLoop) {
+            throw new ParseError('continue 只能出现在循环中', keyword);
+        }
+        this.consumeSemicolon();
+        return this.finishNode(start, {
+            type: isBreak ? 'BreakStatement' : 'ContinueStatement',
+            label
+        });
+    }
+
+    /**
+     * @private
+     */
+    parseThrowStatement() {
+        const start = this.startNode();
+        const throwToken = this.next();
+        if (this.peek().line !== throwToken.line) {
+            throw new ParseError('throw 之后不允许换行', this.peek());
+        }
+        const argument = this.parseExpression();
+        this.consumeSemicolon();
+        return this.finishNode(start, { type: 'ThrowStatement', argument });
+    }
+
+    /**
+     * @private
+     */
+    parseTryStatement() {
+        const start = this.startNode();
+        this.expectWord('try');
+        const block = this.parseBlock();
+
+        let handler = null;
+        if (this.isWord('catch')) {
+            const catchStart = this.startNode();
+            this.next();
+            let param = null;
+            if (this.eatPunct('(')) {
+                param = this.parseBindingTarget();
+                this.expectPunct(')');
+            }
+            const body = this.parseBlock();
+            handler = this.finishNode(catchStart, { type: 'CatchClause', param, body });
+        }
+
+        const finalizer = this.eatWord('finally') ? this.parseBlock() : null;
+        if (!handler && !finalizer) {
+            this.unexpected("应为 'catch' 或 'finally'");
+        }
+        return this.finishNode(start, { type: 'TryStatement', block, handler, finalizer });
+    }
+
+    /**
+     * @private
+     */
+    parseSwitchStatement() {
+        const start = this.startNode();
+        this.expectWord('switch');
+        const discriminant = this.parseParenExpression();
+        this.expectPunct('{');
+
+        const cases = [];
+        let hasDefault = false;
+        while (!this.isPunct('}')) {
+            const caseStart = this.startNode();
+            let test = null;
+            if (this.eatWord('case')) {
+                test = this.parseExpression();
+            } else if (this.isWord('default')) {
+                if (hasDefault) throw new ParseError('switch 中存在多个 default 分支', this.peek());
+                this.next();
+                hasDefault = true;
+            } else {
+                this.unexpected("应为 'case' 或 'default'");
+            }
+            this.expectPunct(':');
+
+            const consequent = [];
+            const savedInSwitch = this.inSwitch;
+            this.inSwitch = true;
+            while (!this.isPunct('}') && !this.isWord('case') && !this.isWord('default')) {
+                if (this.isEOF()) this.unexpected("应为 '}'");
+                consequent.push(this.parseStatement());
+            }
+            this.inSwitch = savedInSwitch;
+            cases.push(this.finishNode(caseStart, { type: 'SwitchCase', test, consequent }));
+        }
+        this.next();
+        return this.finishNode(start, { type: 'SwitchStatement', discriminant, cases });
+    }
+
+    /**
+     * 解析带标签的语句；标签在语句中可以被 break（以及标记循环时被 continue）引用
+     * @private
+     */
+    parseLabeledStatement() {
+        const start = this.startNode();
+        const label = this.parseBindingIdentifier();
+        this.expectPunct(':');
+        if (this.labels.some(entry => entry.name === label.name)) {
+            throw new ParseError(`标签 '${label.name}' 已经声明`, nodeRange(label));
+        }
+
+        // 连续的标签（a: b: while ...）标记同一条语句
+        let offset = 0;
+        while (this.isIdentifier(this.peek(offset)) && this.isPunct(':', this.peek(offset + 1))) offset += 2;
+        const loop = ['for', 'while', 'do'].some(word => this.isWord(word, this.peek(offset)));
+
+        this.labels.push({ name: label.name, loop });
+        const body = this.parseStatement();
+        this.labels.pop();
+        return this.finishNode(start, { type: 'LabeledStatement', label, body });
+    }
+
+    /**
+     * @private
+     */
+    parseExpressionStatement() {
+        const start = this.startNode();
+        const expression = this.parseExpression();
+        this.consumeSemicolon();
+        return this.finishNode(start, { type: 'ExpressionStatement', expression });
+    }
+
+    // ==================== 类型标注 ====================
+
+    /**
+     * type/interface/enum 后面紧跟同一行的名称，且名称后是类型声明应有的符号
+     * @private
+     */
+    isTypeDeclarationStart(token) {
+        const name = this.peek(1);
+        if (!this.isIdentifier(name) || name.line !== token.line) return false;
+
+        const after = this.peek(2);
+        switch (token.value) {
+            case 'type':
+                return this.isPunct('=', after);
+            case 'interface':
+                return this.isPunct('{', after) || this.isWord('extends', after);
+            default:
+                return this.isPunct('{', after);
+        }
+    }
+
+    /**
+     * 解析 type 别名、interface 或 enum 声明
+     * @private
+     */
+    parseTypeDeclaration() {
+        const start = this.startNode();
+        const keyword = this.next().value;
+        const id = this.parseBindingIdentifier();
+
+        if (keyword === 'type') {
+            this.expectPunct('=');
+            const typeAnnotation = this.parseType();
+            this.consumeSemicolon();
+            return this.finishNode(start, { type: 'TSTypeAliasDeclaration', id, typeAnnotation });
+        }
+
+        if (keyword === 'interface') {
+            const heritage = [];
+            if (this.eatWord('extends')) {
+                do {
+                    const heritageStart = this.startNode();
+                    const expression = this.parseBindingIdentifier();
+                    heritage.push(this.finishNode(heritageStart, { type: 'TSInterfaceHeritage', expression }));
+                } while (this.eatPunct(','));
+            }
+            const bodyStart = this.startNode();
+            const members = this.parseTypeMembers();
+            const body = this.finishNode(bodyStart, { type: 'TSInterfaceBody', body: members });
+            return this.finishNode(start, { type: 'TSInterfaceDeclaration', id, extends: heritage, body });
+        }
+
+        this.expectPunct('{');
+        const members = [];
+        while (!this.isPunct('}')) {
+            const memberStart = this.startNode();
+            const memberId = this.peek().type === 'STRING' ? this.parseLiteral() : this.parseBindingIdentifier();
+            const initializer = this.eatPunct('=') ? this.parseAssignment() : null;
+            members.push(this.finishNode(memberStart, { type: 'TSEnumMember', id: memberId, initializer }));
+            if (!this.isPunct('}')) this.expectPunct(',');
+        }
+        this.next();
+        return this.finishNode(start, { type: 'TSEnumDeclaration', id, members });
+    }
+
+    /**
+     * 若下一个令牌为 ':'，解析类型标注并挂到绑定节点上（节点范围随之延伸到标注末尾）
+     * @param {Object} node - Identifier、解构模式或 RestElement
+     * @returns {Object} 同一个节点
+     * @private
+     */
+    parseOptionalTypeAnnotation(node) {
+        if (!this.isPunct(':')) return node;
+
+        const start = { offset: node.start, line: node.loc.start.line, column: node.loc.start.column };
+        node.typeAnnotation = this.parseTypeAnnotation();
+        return this.finishNode(start, node);
+    }
+
+    /**
+     * 解析 ': 类型'，或函数类型中的 '=> 类型'
+     * @private
+     */
+    parseTypeAnnotation() {
+        const start = this.startNode();
+        if (!this.eatPunct('=>')) this.expectPunct(':');
+        const typeAnnotation = this.parseType();
+        return this.finishNode(start, { type: 'TSTypeAnnotation', typeAnnotation });
+    }
+
+    /**
+     * 解析类型: 函数类型或联合类型
+     * @private
+     */
+    parseType() {
+        if (this.isPunct('(') && this.isArrowFunctionStart()) {
+            const start = this.startNode();
+            const params = this.parseParams();
+            const returnType = this.parseTypeAnnotation();
+            return this.finishNode(start, { type: 'TSFunctionType', params, returnType });
+        }
+
+        const start = this.startNode();
+        this.eatPunct('|');
+        const types = [this.parseArrayType()];
+        while (this.eatPunct('|')) {
+            types.push(this.parseArrayType());
+        }
+        return types.length === 1 ? types[0] : this.finishNode(start, { type: 'TSUnionType', types });
+    }
+
+    /**
+     * 解析带 '[]' 后缀的数组类型
+     * @private
+     */
+    parseArrayType() {
+        const start = this.startNode();
+        let type = this.parsePrimaryType();
+        while (this.isPunct('[') && this.isPunct(']', this.peek(1))) {
+            this.next();
+            this.next();
+            type = this.finishNode(start, { type: 'TSArrayType', elementType: type });
+        }
+        return type;
+    }
+
+    /**
+     * 解析基本类型: 内置类型、字面量类型、类型引用、元组、对象类型和括号
+     * @private
+     */
+    parsePrimaryType() {
+        const token = this.peek();
+        const start = this.startNode();
+
+        if (this.eatPunct('(')) {
+            const type = this.parseType();
+            this.expectPunct(')');
+            return type;
+        }
+        if (this.eatPunct('[')) {
+            const elementTypes = [];
+            while (!this.isPunct(']')) {
+                elementTypes.push(this.parseType());
+                if (!this.isPunct(']')) this.expectPunct(',');
+            }
+            this.next();
+            return this.finishNode(start, { type: 'TSTupleType', elementTypes });
+        }
+        if (this.isPunct('{')) {
+            const members = this.parseTypeMembers();
+            return this.finishNode(start, { type: 'TSTypeLiteral', members });
+        }
+        if (token.type === 'STRING' || token.type === 'NUMBER' || this.isWord('true') || this.isWord('false')) {
+            const literal = this.parseLiteral();
+            return this.finishNode(start, { type: 'TSLiteralType', literal });
+        }
+        if (WORD_TYPES.includes(token.type) && TS_KEYWORD_TYPES[token.value]) {
+            this.next();
+            return this.finishNode(start, { type: TS_KEYWORD_TYPES[token.value] });
+        }
+        if (this.isIdentifier(token)) {
+            const typeName = this.parseBindingIdentifier();
+            const node = { type: 'TSTypeReference', typeName };
+            if (this.isPunct('<')) {
+                const argumentsStart = this.startNode();
+                this.next();
+                const params = [this.parseType()];
+                while (this.eatPunct(',')) {
+                    params.push(this.parseType());
+                }
+                this.expectTypeArgumentsEnd();
+                node.typeArguments = this.finishNode(argumentsStart, { type: 'TSTypeParameterInstantiation', params });
+            }
+            return this.finishNode(start, node);
+        }
+        return this.unexpected('应为类型');
+    }
+
+    /**
+     * 消费类型参数末尾的 '>'
+     * 嵌套的类型参数（如 Array<Array<number>>）会被词法分析为 '>>'，这里拆出第一个 '>'
+     * @private
+     */
+    expectTypeArgumentsEnd() {
+        const token = this.peek();
+        if (!PUNCTUATOR_TYPES.includes(token.type) || token.value[0] !== '>') {
+            this.unexpected("应为 '>'");
+        }
+        if (token.value === '>') {
+            this.next();
+            return;
+        }
+
+        this.tokens[this.index] = {
+            ...token, value: token.value.slice(1), position: token.position + 1, column: token.column + 1
+        };
+        this.lastToken = {
+            type: token.type, value: '>', position: token.position, line: token.line, column: token.column,
+            end: token.position + 1, endLine: token.line, endColumn: token.column + 1
+        };
+    }
+
+    /**
+     * 解析 interface 和对象类型中 '{' 与 '}' 之间的成员，成员之间用 ';'、',' 或换行分隔
+     * @returns {Array} TSPropertySignature / TSMethodSignature 节点
+     * @private
+     */
+    parseTypeMembers() {
+        this.expectPunct('{');
+        const members = [];
+        while (!this.isPunct('}')) {
+            if (this.isEOF()) this.unexpected("应为 '}'");
+
+            const start = this.startNode();
+            const readonly = this.isWord('readonly') && !this.isPunct(':', this.peek(1)) &&
+                !this.isPunct('?', this.peek(1)) && !this.isPunct('(', this.peek(1));
+            if (readonly) this.next();
+
+            const { key, computed } = this.parsePropertyKey();
+            const optional = this.eatPunct('?');
+            if (this.isPunct('(')) {
+                const params = this.parseParams();
+                const returnType = this.isPunct(':') ? this.parseTypeAnnotation() : null;
+                members.push(this.finishNode(start, {
+                    type: 'TSMethodSignature', key, computed, optional, params, returnType
+                }));
+            } else {
+                const typeAnnotation = this.parseTypeAnnotation();
+                members.push(this.finishNode(start, {
+                    type: 'TSPropertySignature', key, computed, optional, readonly, typeAnnotation
+                }));
+            }
+
+            if (!this.eatPunct(';') && !this.eatPunct(',') && !this.isPunct('}') &&
+                this.peek().line === getTokenEnd(this.lastToken).line) {
+                this.unexpected("应为 ';'");
+            }
+        }
+        this.next();
+        return members;
+    }
+
+    // ==================== 表达式 ====================
+
+    /**
+     * 解析逗号分隔的表达式序列
+     * @private
+     */
+    parseExpression() {
+        const start = this.startNode();
+        const expression = this.parseAssignment();
+        if (!this.isPunct(',')) return expression;
+
+        const expressions = [expression];
+        while (this.eatPunct(',')) {
+            expressions.push(this.parseAssignment());
+        }
+        return this.finishNode(start, { type: 'SequenceExpression', expressions });
+    }
+
+    /**
+     * 解析赋值表达式（包括箭头函数）
+     * @private
+     */
+    parseAssignment() {
+        if (this.inGenerator && this.isWord('yield')) {
+            return this.parseYield();
+        }
+        if (this.isArrowFunctionStart()) {
+            return this.parseArrowFunction();
+        }
+
+        const start = this.startNode();
+        const left = this.parseConditional();
+        const token = this.peek();
+
+        if (token.type === 'OPERATOR' && ASSIGNMENT_OPERATORS.includes(token.value)) {
+            // 只有 = 可以解构赋值
+            const target = token.value === '=' ? this.toAssignable(left) : left;
+            if (token.value !== '=') this.checkAssignable(left);
+            this.next();
+            const right = this.parseAssignment();
+            return this.finishNode(start, {
+                type: 'AssignmentExpression', operator: token.value, left: target, right
+            });
+        }
+        return left;
+    }
+
+    /**
+     * @private
+     */
+    parseYield() {
+        const start = this.startNode();
+        const yieldToken = this.next();
+        const delegate = this.eatPunct('*');
+
+        let argument = null;
+        const token = this.peek();
+        const endsExpression = this.isEOF() || [')', ']', '}', ',', ';', ':'].some(value => this.isPunct(value)) ||
+            (token.type === 'TEMPLATE' && token.value[0] === '}');
+        if (delegate || (!endsExpression && token.line === yieldToken.line)) {
+            argument = this.parseAssignment();
+        }
+        return this.finishNode(start, { type: 'YieldExpression', delegate, argument });
+    }
+
+    /**
+     * 检查表达式能否作为赋值目标
+     * @private
+     */
+    checkAssignable(node) {
+        if (node.type !== 'Identifier' && node.type !== 'MemberExpression') {
+            throw new ParseError('无效的赋值目标', nodeRange(node));
+        }
+    }
+
+    /**
+     * 把解构赋值左侧的数组 / 对象字面量转换为 ArrayPattern / ObjectPattern（如 [a, b] = [b, a]），
+     * 其中的 x = 默认值 转换为 AssignmentPattern，...rest 转换为 RestElement
+     * @param {Object} node - 赋值目标表达式
+     * @returns {Object} 转换后的节点，其他表达式原样返回
+     * @throws {ParseError} 字面量中有不能作为赋值目标的元素
+     * @private
+     */
+    toAssignable(node) {
+        const toRest = (element, index, list) => {
+            if (index !== list.length - 1) {
+                throw new ParseError('剩余元素必须是最后一个元素', nodeRange(element));
+            }
+            return { ...element, type: 'RestElement', argument: this.toAssignable(element.argument) };
+        };
+
+        switch (node.type) {
+            case 'ArrayExpression':
+                return {
+                    ...node,
+                    type: 'ArrayPattern',
+                    elements: node.elements.map((element, index, list) => {
+                        if (element === null) return null;
+                        return element.type === 'SpreadElement' ? toRest(element, index, list) : this.toAssignableElement(element);
+                    })
+                };
+            case 'ObjectExpression':
+                return {
+                    ...node,
+                    type: 'ObjectPattern',
+                    properties: node.properties.map((property, index, list) => {
+                        if (property.type === 'SpreadElement') return toRest(property, index, list);
+                        if (property.kind !== 'init' || property.method) {
+                            throw new ParseError('无效的解构目标', nodeRange(property));
+                        }
+                        return { ...property, value: this.toAssignableElement(property.value) };
+                    })
+                };
+            case 'ArrayPattern':
+            case 'ObjectPattern':
+                // 嵌套的 [[a] = b] = c 中，内层已在解析 [a] = b 时转换
+                return node;
+            default:
+                this.checkAssignable(node);
+                return node;
+        }
+    }
+
+    /**
+     * 解构模式中的一个元素：带默认值的 x = 1 转换为 AssignmentPattern
+     * @private
+     */
+    toAssignableElement(node) {
+        if (node.type === 'AssignmentExpression' && node.operator === '=') {
+            return {
+                type: 'AssignmentPattern', left: this.toAssignable(node.left), right: node.right,
+                start: node.start, end: node.end, loc: node.loc
+            };
+        }
+        return this.toAssignable(node);
+    }
+
+    /**
+     * 向前查看是否为箭头函数的开头
+     * @private
+     */
+    isArrowFunctionStart() {
+        let offset = 0;
+        if (this.isWord('async') && this.peek(1).line === this.peek().line &&
+            (this.isIdentifier(this.peek(1)) || this.isPunct('(', this.peek(1)))) {
+            offset = 1;
+        }
+
+        const token = this.peek(offset);
+        if (this.isIdentifier(token)) {
+            return this.isPunct('=>', this.peek(offset + 1));
+        }
+        if (!this.isPunct('(', token)) return false;
+
+        // 找到匹配的右括号，检查其后是否为 =>
+        let depth = 0;
+        for (let i = this.index + offset; i < this.tokens.length; i++) {
+            const current = this.tokens[i];
+            if (!PUNCTUATOR_TYPES.includes(current.type)) continue;
+            if (['(', '[', '{'].includes(current.value)) depth++;
+            if ([')', ']', '}'].includes(current.value)) depth--;
+            if (depth === 0) {
+                return this.isPunct('=>', this.tokens[i + 1] || this.eofToken);
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @private
+     */
+    parseArrowFunction() {
+        const start = this.startNode();
+        const isAsync = this.isWord('async') && !this.isPunct('=>', this.peek(1));
+        if (isAsync) this.next();
+
+        const params = this.isIdentifier()
+            ? [this.parseBindingIdentifier()]
+            : this.parseParams();
+        this.expectPunct('=>');
+
+        const expression = !this.isPunct('{');
+        const savedNoIn = this.noIn;
+        const savedInGenerator = this.inGenerator;
+        this.noIn = false;
+        this.inGenerator = false;
+        const context = this.enterFunctionBody();
+        const body = expression ? this.parseAssignment() : this.parseBlock();
+        this.noIn = savedNoIn;
+        this.inGenerator = savedInGenerator;
+        this.exitFunctionBody(context);
+
+        return this.finishNode(start, {
+            type: 'ArrowFunctionExpression', id: null, params, body, generator: false, async: isAsync, expression
+        });
+    }
+
+    /**
+     * @private
+     */
+    parseConditional() {
+        const start = this.startNode();
+        const test = this.parseBinary(0);
+        if (!this.eatPunct('?')) return test;
+
+        const savedNoIn = this.noIn;
+        this.noIn = false;
+        const consequent = this.parseAssignment();
+        this.noIn = savedNoIn;
+        this.expectPunct(':');
+        const alternate = this.parseAssignment();
+        return this.finishNode(start, { type: 'ConditionalExpression', test, consequent, alternate });
+    }
+
+    /**
+     * 获取当前令牌作为二元运算符的优先级
+     * @private
+     */
+    getBinaryPrecedence(token) {
+        const isOperatorToken = token.type === 'OPERATOR' ||
+            this.isWord('instanceof', token) || this.isWord('in', token);
+        if (!isOperatorToken) return -1;
+        if (token.value === 'in' && this.noIn) return -1;
+        return BINARY_PRECEDENCE[token.value] !== undefined ? BINARY_PRECEDENCE[token.value] : -1;
+    }
+
+    /**
+     * 优先级爬升法解析二元表达式
+     * @param {number} minPrecedence - 最低优先级
+     * @private
+     */
+    parseBinary(minPrecedence) {
+        return this.parseBinaryChain(minPrecedence).node;
+    }
+
+    /**
+     * parseBinary() 的实现，另外返回表达式顶层没有括号的运算符，用于检查 ?? 与 || / && 混用
+     * @returns {Object} { node, operator: 顶层运算符，操作数本身（含括号表达式）为 null }
+     * @private
+     */
+    parseBinaryChain(minPrecedence) {
+        const start = this.startNode();
+        let left = this.parseUnary();
+        let operator = null;
+
+        for (;;) {
+            const token = this.peek();
+            const precedence = this.getBinaryPrecedence(token);
+            if (precedence < 0 || precedence <= minPrecedence) break;
+
+            this.next();
+            // ** 是右结合的
+            const right = token.value === '**'
+                ? this.parseBinaryChain(precedence - 1)
+                : this.parseBinaryChain(precedence);
+            if (isCoalesceMix(token.value, operator) || isCoalesceMix(token.value, right.operator)) {
+                throw new ParseError('?? 不能与 || 或 && 直接混用，请用括号标明运算顺序', token);
+            }
+            const type = LOGICAL_OPERATORS.includes(token.value) ? 'LogicalExpression' : 'BinaryExpression';
+            left = this.finishNode(start, { type, operator: token.value, left, right: right.node });
+            operator = token.value;
+        }
+
+        return { node: left, operator };
+    }
+
+    /**
+     * @private
+     */
+    parseUnary() {
+        const token = this.peek();
+        const start = this.startNode();
+
+        const isUnaryWord = WORD_TYPES.includes(token.type) && UNARY_OPERATORS.includes(token.value);
+        const isUnaryPunct = token.type === 'OPERATOR' && UNARY_OPERATORS.includes(token.value);
+        if (isUnaryWord || isUnaryPunct) {
+            this.next();
+            const argument = this.parseUnary();
+            if (this.isPunct('**')) {
+                throw new ParseError('一元表达式不能直接作为 ** 的左操作数，请加括号', this.peek());
+            }
+            return this.finishNode(start, { type: 'UnaryExpression', operator: token.value, prefix: true, argument });
+        }
+
+        if (this.isPunct('++') || this.isPunct('--')) {
+            this.next();
+            const argument = this.parseUnary();
+            this.checkAssignable(argument);
+            return this.finishNode(start, { type: 'UpdateExpression', operator: token.value, prefix: true, argument });
+        }
+
+        if (this.isWord('await')) {
+            this.next();
+            const argument = this.parseUnary();
+            return this.finishNode(start, { type: 'AwaitExpression', argument });
+        }
+
+        return this.parsePostfix();
+    }
+
+    /**
+     * @private
+     */
+    parsePostfix() {
+        const start = this.startNode();
+        const expression = this.parseLeftHandSide();
+        const token = this.peek();
+
+        if ((this.isPunct('++') || this.isPunct('--')) && token.line === getTokenEnd(this.lastToken).line) {
+            this.checkAssignable(expression);
+            this.next();
+            return this.finishNode(start, {
+                type: 'UpdateExpression', operator: token.value, prefix: false, argument: expression
+            });
+        }
+        return expression;
+    }
+
+    /**
+     * 解析成员访问、调用和 new 表达式
+     * @private
+     */
+    parseLeftHandSide() {
+        const start = this.startNode();
+        let expression;
+
+        if (this.isWord('new')) {
+            expression = this.parseNew();
+        } else {
+            expression = this.parsePrimary();
+        }
+
+        let optionalChain = false;
+        for (;;) {
+            const optional = this.eatPunct('?.');
+            if (optional) optionalChain = true;
+
+            if (this.eatPunct('.') || (optional && !this.isPunct('(') && !this.isPunct('['))) {
+                const property = this.parsePropertyName();
+                expression = this.finishNode(start, {
+                    type: 'MemberExpression', object: expression, property, computed: false, optional
+                });
+            } else if (this.eatPunct('[')) {
+                const property = this.parseExpression();
+                this.expectPunct(']');
+                expression = this.finishNode(start, {
+                    type: 'MemberExpression', object: expression, property, computed: true, optional
+                });
+            } else if (this.isPunct('(')) {
+                const args = this.parseArguments();
+                expression = this.finishNode(start, {
+                    type: 'CallExpression', callee: expression, arguments: args, optional
+                });
+            } else if (this.peek().type === 'TEMPLATE' && this.peek().value[0] === '`') {
+                if (optionalChain) {
+                    throw new ParseError('可选链中不能使用带标签的模板', this.peek());
+                }
+                const quasi = this.parseTemplate();
+                expression = this.finishNode(start, { type: 'TaggedTemplateExpression', tag: expression, quasi });
+            } else {
+                break;
+            }
+        }
+
+        // 含 ?. 的整条链包装为 ChainExpression
+        if (optionalChain) {
+            expression = this.finishNode(start, { type: 'ChainExpression', expression });
+        }
+
+        return expression;
+    }
+
+    /**
+     * 解析 . 之后的属性名（允许关键字）
+     * @private
+     */
+    parsePropertyName() {
+        const token = this.peek();
+        if (!WORD_TYPES.includes(token.type) && token.type !== 'PRIVATE_NAME') {
+            this.unexpected('应为属性名');
+        }
+        const start = this.startNode();
+        this.next();
+        if (token.type === 'PRIVATE_NAME') {
+            return this.finishNode(start, { type: 'PrivateIdentifier', name: token.value.slice(1) });
+        }
+        return this.finishNode(start, { type: 'Identifier', name: token.value });
+    }
+
+    /**
+     * @private
+     */
+    parseNew() {
+        const start = this.startNode();
+        this.expectWord('new');
+
+        // new 的被调用者不吞掉调用括号: new Foo.Bar(x)
+        const calleeStart = this.startNode();
+        let callee = this.isWord('new') ? this.parseNew() : this.parsePrimary();
+        for (;;) {
+            if (this.eatPunct('.')) {
+                const property = this.parsePropertyName();
+                callee = this.finishNode(calleeStart, {
+                    type: 'MemberExpression', object: callee, property, computed: false, optional: false
+                });
+            } else if (this.eatPunct('[')) {
+                const property = this.parseExpression();
+                this.expectPunct(']');
+                callee = this.finishNode(calleeStart, {
+                    type: 'MemberExpression', object: callee, property, computed: true, optional: false
+                });
+            } else {
+                break;
+            }
+        }
+
+        const args = this.isPunct('(') ? this.parseArguments() : [];
+        return this.finishNode(start, { type: 'NewExpression', callee, arguments: args });
+    }
+
+    /**
+     * @private
+     */
+    parseArguments() {
+        this.expectPunct('(');
+        const args = [];
+        while (!this.isPunct(')')) {
+            args.push(this.isPunct('...') ? this.parseSpread() : this.parseAssignment());
+            if (!this.isPunct(')')) this.expectPunct(',');
+        }
+        this.expectPunct(')');
+        return args;
+    }
+
+    /**
+     * @private
+     */
+    parseSpread() {
+        const start = this.startNode();
+        this.expectPunct('...');
+        const argument = this.parseAssignment();
+        return this.finishNode(start, { type: 'SpreadElement', argument });
+    }
+
+    /**
+     * 解析基本表达式
+     * @private
+     */
+    parsePrimary() {
+        const token = this.peek();
+        const start = this.startNode();
+
+        switch (token.type) {
+            case 'NUMBER':
+            case 'STRING':
+            case 'REGEX':
+                return this.parseLiteral();
+            case 'TEMPLATE':
+                if (token.value[0] === '`') return this.parseTemplate();
+                break;
+            case 'KEYWORD':
+            case 'IDENTIFIER':
+                switch (token.value) {
+                    case 'true':
+                    case 'false':
+                    case 'null':
+                        return this.parseLiteral();
+                    case 'this':
+                        this.next();
+                        return this.finishNode(start, { type: 'ThisExpression' });
+                    case 'super':
+                        this.next();
+                        return this.finishNode(start, { type: 'Super' });
+                    case 'function':
+                        return this.parseFunction(false, false);
+                    case 'async':
+                        if (this.isWord('function', this.peek(1)) && this.peek(1).line === token.line) {
+                            this.next();
+                            return this.parseFunction(false, true, start);
+                        }
+                        break;
+                    case 'class':
+                        return this.parseClass(false);
+                }
+                if (RESERVED_WORDS.has(token.value)) {
+                    this.unexpected();
+                }
+                this.next();
+                return this.finishNode(start, { type: 'Identifier', name: token.value });
+        }
+
+        if (this.isPunct('(')) {
+            this.next();
+            const savedNoIn = this.noIn;
+            this.noIn = false;
+            const expression = this.parseExpression();
+            this.noIn = savedNoIn;
+            this.expectPunct(')');
+            return expression;
+        }
+        if (this.isPunct('[')) return this.parseArrayLiteral();
+        if (this.isPunct('{')) return this.parseObjectLiteral();
+
+        return this.unexpected();
+    }
+
+    /**
+     * 解析字面量令牌（数字、字符串、正则、布尔值和 null）
+     * @private
+     */
+    parseLiteral() {
+        const token = this.next();
+        const start = { offset: token.position, line: token.line, column: token.column };
+        const raw = token.value;
+        const node = { type: 'Literal', value: null, raw };
+
+        if (token.type === 'NUMBER') {
+            Object.assign(node, parseNumber(raw));
+        } else if (token.type === 'STRING') {
+            node.value = unescapeString(raw.slice(1, -1));
+        } else if (token.type === 'REGEX') {
+            const lastSlash = raw.lastIndexOf('/');
+            node.regex = { pattern: raw.slice(1, lastSlash), flags: raw.slice(lastSlash + 1) };
+            try {
+                node.value = new RegExp(node.regex.pattern, node.regex.flags);
+            } catch {
+                throw new ParseError(`无效的正则表达式 ${raw}`, token);
+            }
+        } else {
+            node.value = raw === 'null' ? null : raw === 'true';
+        }
+        return this.finishNode(start, node);
+    }
+
+    /**
+     * 解析模板字符串: 由 `...${ / }...${ / }...` 等 TEMPLATE 令牌和插值表达式组成
+     * @private
+     */
+    parseTemplate() {
+        const start = this.startNode();
+        const quasis = [];
+        const expressions = [];
+
+        let token = this.next();
+        for (;;) {
+            const tail = token.value.endsWith('`');
+            quasis.push(this.createTemplateElement(token, tail));
+            if (tail) break;
+
+            expressions.push(this.parseExpression());
+            token = this.peek();
+            if (token.type !== 'TEMPLATE' || token.value[0] !== '}') {
+                this.unexpected("应为结束插值的 '}'");
+            }
+            this.next();
+        }
+
+        return this.finishNode(start, { type: 'TemplateLiteral', quasis, expressions });
+    }
+
+    /**
+     * 由模板令牌创建 TemplateElement，位置不含定界符
+     * @private
+     */
+    createTemplateElement(token, tail) {
+        const suffixLength = tail ? 1 : 2;
+        const rawText = token.value.slice(1, -suffixLength);
+        const end = getTokenEnd(token);
+
+        return {
+            type: 'TemplateElement',
+            value: { raw: rawText.replace(/\r\n?/g, '\n'), cooked: unescapeString(rawText) },
+            tail,
+            start: token.position + 1,
+            end: end.offset - suffixLength,
+            loc: {
+                start: { line: token.line, column: token.column + 1 },
+                end: { line: end.line, column: end.column - suffixLength }
+            }
+        };
+    }
+
+    /**
+     * @private
+     */
+    parseArrayLiteral() {
+        const start = this.startNode();
+        this.expectPunct('[');
+        const elements = [];
+        while (!this.isPunct(']')) {
+            if (this.isPunct(',')) {
+                this.next();
+                elements.push(null);
+                continue;
+            }
+            elements.push(this.isPunct('...') ? this.parseSpread() : this.parseAssignment());
+            if (!this.isPunct(']')) this.expectPunct(',');
+        }
+        this.expectPunct(']');
+        return this.finishNode(start, { type: 'ArrayExpression', elements });
+    }
+
+    /**
+     * @private
+     */
+    parseObjectLiteral() {
+        const start = this.startNode();
+        this.expectPunct('{');
+        const properties = [];
+        while (!this.isPunct('}')) {
+            properties.push(this.isPunct('...') ? this.parseSpread() : this.parseObjectProperty());
+            if (!this.isPunct('}')) this.expectPunct(',');
+        }
+        this.expectPunct('}');
+        return this.finishNode(start, { type: 'ObjectExpression', properties });
+    }
+
+    /**
+     * 解析对象字面量中的属性、简写属性或方法
+     * @private
+     */
+    parseObjectProperty() {
+        const start = this.startNode();
+        let kind = 'init';
+        let isAsync = false;
+
+        const isModifier = (word) => this.isWord(word) &&
+            !this.isPunct(':', this.peek(1)) && !this.isPunct('(', this.peek(1)) &&
+            !this.isPunct(',', this.peek(1)) && !this.isPunct('}', this.peek(1));
+
+        if (isModifier('async')) {
+            this.next();
+            isAsync = true;
+        } else if (isModifier('get') || isModifier('set')) {
+            kind = this.next().value;
+        }
+        const generator = this.eatPunct('*');
+        const { key, computed } = this.parsePropertyKey();
+
+        if (this.isPunct('(')) {
+            const value = this.parseMethodFunction(isAsync, generator);
+            return this.finishNode(start, {
+                type: 'Property', key, value, kind, computed, shorthand: false, method: kind === 'init'
+            });
+        }
+
+        if (kind !== 'init' || isAsync || generator) {
+            this.unexpected("应为 '('");
+        }
+
+        if (this.eatPunct(':')) {
+            const value = this.parseAssignment();
+            return this.finishNode(start, {
+                type: 'Property', key, value, kind, computed, shorthand: false, method: false
+            });
+        }
+
+        if (key.type !== 'Identifier' || computed) {
+            this.unexpected("应为 ':'");
+        }
+        return this.finishNode(start, {
+            type: 'Property', key, value: key, kind, computed, shorthand: true, method: false
+        });
+    }
+}
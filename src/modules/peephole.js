@@ -0,0 +1,541 @@
+// src/modules/peephole.js
+// 窥孔优化 - 按玩家编写的改写规则，在字节码中查找短指令序列并替换为更短或更快的序列
+
+/*
+    是什么: 作用于栈式字节码（basic 模板）的窥孔优化遍和它的规则语言。
+            每条规则是"模式 → 替换"，例如 const $a; pop → ∅ 删除压栈后立即弹出的常量。
+    为什么: 代码生成逐个节点产出指令，相邻的指令之间常有可以合并或删除的冗余；
+            让玩家自己编写规则，比固定的优化遍更能体现"窥孔"的思路，
+            而每条规则都要先通过验证，玩家也能看到为什么 mul 不能随便换成 shl。
+    如何关联:
+        - 规则由`PeepholeOptimizer`持有（`CodeOptimizer.peephole`），peephole 技术的等级是规则槽数：
+          只有前 N 条启用且验证通过的规则参与优化，见`OPTIMIZATION_TECHS`和`PEEPHOLE`。
+        - `CodeGenerator.compile()`在 basic 模板下对编译出的字节码运行`run()`，
+          `Game.linkWorkspace()`对每个目标文件运行后再链接，部署的映像因此执行更少的指令和周期。
+        - 结果显示在`PeepholeView`中（规则表、每次改写和节省的指令）。
+
+    规则语言:
+        规则    := 模式 → 替换                 （箭头也可以写成 -> 或 =>）
+        模式    := 指令 { ; 指令 }             （最多 PEEPHOLE.maxPatternLength 条）
+        替换    := ∅ | 指令 { ; 指令 }          （∅ 或留空表示删除）
+        指令    := 操作码 [操作数]
+        操作数  := $名字 | 数字 | "字符串" | true | false | null | undefined
+    只能使用不影响控制流的指令: const pop dup load store gload gstore、二元和一元运算、inc dec。
+    $名字在模式中绑定操作数（const 的值或 load/store 的变量槽），替换中只能使用模式绑定过的名字。
+
+    规则验证:
+        - 替换必须比模式更短，或者一样长但周期更少（VM_CYCLES），保证改写会终止。
+        - 模式和替换对栈的净效果必须相同。
+        - 用一组有代表性的值（0、-0、NaN、小数、字符串、布尔值、null、undefined…）
+          以及规则中出现的常量和它们的邻近值（±1、取反、数字和字符串形式）随机填充栈、变量和 $名字，
+          逐一比较执行模式和执行替换后的栈、局部变量和全局变量，不同时给出反例。
+    改写时不会跨越跳转目标，也不会改动带 extern 标记（待链接）的指令。
+*/
+
+import { JUMP_OPCODES, formatInstruction, formatConstant } from './bytecodeCompiler.js';
+import { BINARY_OPCODES, UNARY_OPCODES } from './compilerFrontend.js';
+import { evaluateBinary, evaluateUnary } from './ir.js';
+import { PEEPHOLE, VM_CYCLES } from '../utils/constants.js';
+
+const BINARY_OPS = new Set(Object.values(BINARY_OPCODES));
+const UNARY_OPS = new Set([...Object.values(UNARY_OPCODES), 'inc', 'dec']);
+const SLOT_OPS = new Set(['load', 'store', 'gload', 'gstore']);
+
+// 每种指令 [弹出的值个数, 压入的值个数]
+const STACK_EFFECTS = {
+    const: [0, 1], pop: [1, 0], dup: [1, 2],
+    load: [0, 1], store: [1, 0], gload: [0, 1], gstore: [1, 0]
+};
+
+// 验证规则时使用的值
+const TEST_VALUES = [0, -0, 1, -1, 2, 3, 0.5, -2.5, NaN, Infinity, 2 ** 31, '', 'a', '1', true, false, null, undefined];
+
+// 验证时 $名字 绑定的变量槽，以及局部变量和全局变量的个数（至少）
+const TEST_SLOTS = 3;
+
+const ARROW = /\s*(?:→|->|=>)\s*/;
+
+/**
+ * 指令对栈的影响
+ * @private
+ */
+function stackEffect(op) {
+    if (STACK_EFFECTS[op]) return STACK_EFFECTS[op];
+    return BINARY_OPS.has(op) ? [2, 1] : [1, 1];
+}
+
+/**
+ * 一段指令执行前栈上至少需要几个值，以及执行后栈高度的变化
+ * @private
+ */
+function measureStack(instructions) {
+    let height = 0;
+    let lowest = 0;
+    instructions.forEach(({ op }) => {
+        const [pops, pushes] = stackEffect(op);
+        lowest = Math.min(lowest, height - pops);
+        height += pushes - pops;
+    });
+    return { needed: -lowest, delta: height };
+}
+
+/**
+ * 一段指令的周期数
+ * @private
+ */
+function countCycles(instructions) {
+    return instructions.reduce((sum, { op }) => sum + (VM_CYCLES.opcodes[op] || 1), 0);
+}
+
+/**
+ * 解析一个操作数
+ * @returns {Object} { variable } 或 { value }
+ * @throws {Error} 无法识别的操作数
+ * @private
+ */
+function parseOperand(text) {
+    if (/^\$[A-Za-z_]\w*$/.test(text)) return { variable: text };
+    if (text === 'true' || text === 'false') return { value: text === 'true' };
+    if (text === 'null') return { value: null };
+    if (text === 'undefined') return { value: undefined };
+    if (text === 'NaN') return { value: NaN };
+    if (/^-?(?:Infinity|\d+(?:\.\d+)?(?:e[+-]?\d+)?)$/.test(text)) return { value: Number(text) };
+    if (/^(["'])(?:(?!\1)[^\\]|\\.)*\1$/.test(text)) {
+        // 单引号字符串改写为双引号后按 JSON 解析转义
+        const quoted = text[0] === '"' ? text : `"${text.slice(1, -1).replace(/\\'/g, "'").replace(/"/g, '\\"')}"`;
+        try {
+            return { value: JSON.parse(quoted) };
+        } catch {
+            throw new Error(`字符串 ${text} 中有无效的转义`);
+        }
+    }
+    throw new Error(`无法识别的操作数 '${text}'`);
+}
+
+/**
+ * 解析一段指令序列
+ * @returns {Array} [{ op, operand }]，operand 为 null、{ variable } 或 { value }
+ * @throws {Error} 语法错误
+ * @private
+ */
+function parseSequence(text) {
+    const trimmed = text.trim();
+    if (trimmed === '' || trimmed === '∅') return [];
+
+    return trimmed.split(';').map(part => part.trim()).map(part => {
+        if (part === '') throw new Error('多余的分号');
+        const [, op, rest] = /^(\S+)\s*(.*)$/.exec(part);
+        if (JUMP_OPCODES.has(op) || ['call', 'ret', 'halt', 'print'].includes(op)) {
+            throw new Error(`'${op}' 会改变控制流或产生输出，不能用在规则中`);
+        }
+        if (!STACK_EFFECTS[op] && !BINARY_OPS.has(op) && !UNARY_OPS.has(op)) {
+            throw new Error(`未知的操作码 '${op}'`);
+        }
+
+        const hasOperand = op === 'const' || SLOT_OPS.has(op);
+        if (hasOperand && rest === '') throw new Error(`'${op}' 需要一个操作数`);
+        if (!hasOperand && rest !== '') throw new Error(`'${op}' 没有操作数`);
+        if (!hasOperand) return { op, operand: null };
+
+        const operand = parseOperand(rest);
+        if (SLOT_OPS.has(op) && 'value' in operand && !(Number.isInteger(operand.value) && operand.value >= 0)) {
+            throw new Error(`'${op}' 的操作数必须是变量槽编号或 $名字`);
+        }
+        return { op, operand };
+    });
+}
+
+/**
+ * 解析并验证一条规则
+ * @param {string} text - 规则文本
+ * @returns {Object} { ok, text, pattern, replacement, error, saving: { instructions, cycles } }
+ */
+export function compileRule(text) {
+    const fail = (error) => ({ ok: false, text, pattern: [], replacement: [], error, saving: null });
+
+    const sides = text.split(ARROW);
+    if (sides.length !== 2) return fail('规则的格式是 "模式 → 替换"');
+
+    let pattern;
+    let replacement;
+    try {
+        pattern = parseSequence(sides[0]);
+        replacement = parseSequence(sides[1]);
+    } catch (error) {
+        return fail(error.message);
+    }
+    if (pattern.length === 0) return fail('模式至少需要一条指令');
+    if (pattern.length > PEEPHOLE.maxPatternLength) return fail(`模式最多 ${PEEPHOLE.maxPatternLength} 条指令`);
+
+    // $名字：const 的操作数绑定值，load/store/gload/gstore 的操作数绑定变量槽
+    const kinds = new Map();
+    for (const { op, operand } of pattern) {
+        if (!operand || !operand.variable) continue;
+        const kind = op === 'const' ? 'value' : 'slot';
+        if (kinds.has(operand.variable) && kinds.get(operand.variable) !== kind) {
+            return fail(`${operand.variable} 不能同时作为常量和变量槽`);
+        }
+        kinds.set(operand.variable, kind);
+    }
+    for (const { op, operand } of replacement) {
+        if (!operand || !operand.variable) continue;
+        if (!kinds.has(operand.variable)) return fail(`替换中的 ${operand.variable} 没有在模式中出现`);
+        if (kinds.get(operand.variable) !== (op === 'const' ? 'value' : 'slot')) {
+            return fail(`${operand.variable} 在模式和替换中的用法不同（常量 / 变量槽）`);
+        }
+    }
+
+    const saving = {
+        instructions: pattern.length - replacement.length,
+        cycles: countCycles(pattern) - countCycles(replacement)
+    };
+    if (saving.instructions < 0 || (saving.instructions === 0 && saving.cycles <= 0)) {
+        return fail('替换没有比模式更短或更快');
+    }
+
+    const before = measureStack(pattern);
+    const after = measureStack(replacement);
+    if (before.delta !== after.delta) {
+        return fail(`模式使栈高度变化 ${before.delta}，替换变化 ${after.delta}`);
+    }
+
+    const counterexample = findCounterexample(pattern, replacement, kinds, Math.max(before.needed, after.needed));
+    if (counterexample) return fail(`改写改变了程序的行为。反例: ${counterexample}`);
+
+    return { ok: true, text, pattern, replacement, error: null, saving };
+}
+
+/**
+ * 规则中的常量和它们的邻近值（±1、取反、数字和字符串形式），
+ * 比较、相等之类的规则往往只在这些值上出错
+ * @private
+ */
+function literalNeighbours(instructions) {
+    const values = [];
+    const add = (value) => {
+        if (!values.some(existing => Object.is(existing, value))) values.push(value);
+    };
+
+    instructions
+        .filter(({ op, operand }) => op === 'const' && operand && 'value' in operand)
+        .forEach(({ operand: { value } }) => {
+            add(value);
+            add(String(value));
+            if (typeof value === 'string') {
+                add(Number(value));
+            } else if (typeof value === 'number') {
+                [value + 1, value - 1, -value].forEach(neighbour => {
+                    add(neighbour);
+                    add(String(neighbour));
+                });
+            } else if (typeof value === 'boolean') {
+                add(!value);
+                add(Number(value));
+            }
+        });
+    return values;
+}
+
+/**
+ * 随机测试模式和替换是否等价，返回反例的说明或 null
+ * @private
+ */
+function findCounterexample(pattern, replacement, kinds, stackSize) {
+    const literalSlots = [...pattern, ...replacement]
+        .filter(({ op, operand }) => SLOT_OPS.has(op) && operand && 'value' in operand)
+        .map(({ operand }) => operand.value + 1);
+    const slotCount = Math.max(TEST_SLOTS, ...literalSlots);
+
+    // 固定种子的线性同余随机数，每次验证的结果相同
+    let seed = 1;
+    const random = (count) => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed % count;
+    };
+    // 一半的值取自规则中的常量及其邻近值，其余取自 TEST_VALUES
+    const literals = literalNeighbours([...pattern, ...replacement]);
+    const values = [...TEST_VALUES, ...literals];
+    const pick = () => {
+        const pool = literals.length > 0 && random(2) === 0 ? literals : values;
+        return pool[random(pool.length)];
+    };
+
+    for (let trial = 0; trial < PEEPHOLE.verificationTrials; trial++) {
+        const bindings = new Map([...kinds].map(([name, kind]) => [name, kind === 'value' ? pick() : random(TEST_SLOTS)]));
+        const initial = {
+            stack: Array.from({ length: stackSize }, pick),
+            locals: Array.from({ length: slotCount }, pick),
+            globals: Array.from({ length: slotCount }, pick)
+        };
+
+        const expected = execute(pattern, bindings, initial);
+        const actual = execute(replacement, bindings, initial);
+        const difference = compareStates(expected, actual);
+        if (difference) {
+            const bound = [...bindings].map(([name, value]) => `${name} = ${kinds.get(name) === 'value' ? formatConstant(value) : value}`);
+            const inputs = [`栈 [${initial.stack.map(formatConstant).join(', ')}]`, ...bound].join('，');
+            return `${inputs} 时，${difference}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * 在给定的初始状态上执行一段规则指令（语义与`BytecodeVM`相同）
+ * @private
+ */
+function execute(instructions, bindings, initial) {
+    const stack = [...initial.stack];
+    const locals = [...initial.locals];
+    const globals = [...initial.globals];
+    const operandOf = ({ operand }) => (operand.variable ? bindings.get(operand.variable) : operand.value);
+
+    instructions.forEach(instruction => {
+        const { op } = instruction;
+        switch (op) {
+            case 'const': stack.push(operandOf(instruction)); break;
+            case 'pop': stack.pop(); break;
+            case 'dup': stack.push(stack[stack.length - 1]); break;
+            case 'load': stack.push(locals[operandOf(instruction)]); break;
+            case 'store': locals[operandOf(instruction)] = stack.pop(); break;
+            case 'gload': stack.push(globals[operandOf(instruction)]); break;
+            case 'gstore': globals[operandOf(instruction)] = stack.pop(); break;
+            case 'inc': stack.push(+stack.pop() + 1); break;
+            case 'dec': stack.push(+stack.pop() - 1); break;
+            default:
+                if (BINARY_OPS.has(op)) {
+                    const right = stack.pop();
+                    stack.push(evaluateBinary(op, stack.pop(), right));
+                } else {
+                    stack.push(evaluateUnary(op, stack.pop()));
+                }
+        }
+    });
+    return { stack, locals, globals };
+}
+
+/**
+ * 比较两个执行结果，返回第一处不同的说明或 null
+ * @private
+ */
+function compareStates(expected, actual) {
+    const differs = (a, b) => a.length !== b.length || a.some((value, index) => !Object.is(value, b[index]));
+    const list = (values) => `[${values.map(formatConstant).join(', ')}]`;
+
+    if (differs(expected.stack, actual.stack)) {
+        return `原指令得到栈 ${list(expected.stack)}，替换后得到 ${list(actual.stack)}`;
+    }
+    for (const [name, label] of [['locals', '局部变量'], ['globals', '全局变量']]) {
+        const index = expected[name].findIndex((value, position) => !Object.is(value, actual[name][position]));
+        if (index >= 0) {
+            return `${label} ${index} 原为 ${formatConstant(expected[name][index])}，替换后为 ${formatConstant(actual[name][index])}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * 在函数的 pc 处匹配规则的模式
+ * @returns {Map|null} $名字的绑定，不匹配时为 null
+ * @private
+ */
+function matchAt(code, pc, pattern, targets) {
+    if (pc + pattern.length > code.length) return null;
+
+    const bindings = new Map();
+    for (let offset = 0; offset < pattern.length; offset++) {
+        const instruction = code[pc + offset];
+        const { op, operand } = pattern[offset];
+        // 跳转目标只能是窗口的第一条指令
+        if (instruction.op !== op || instruction.extern || (offset > 0 && targets.has(pc + offset))) return null;
+        if (!operand) continue;
+
+        if (operand.variable) {
+            if (bindings.has(operand.variable) && !Object.is(bindings.get(operand.variable), instruction.arg)) return null;
+            bindings.set(operand.variable, instruction.arg);
+        } else if (!Object.is(operand.value, instruction.arg)) {
+            return null;
+        }
+    }
+    return bindings;
+}
+
+/**
+ * 按规则改写一个函数的指令，直到没有规则可以匹配
+ * @returns {Array} 改写记录 [{ rule, pc, line, before, after }]
+ * @private
+ */
+function rewriteFunction(program, fn, rules) {
+    const rewrites = [];
+    const longest = Math.max(...rules.map(rule => rule.pattern.length));
+    let pc = 0;
+
+    while (pc < fn.code.length && rewrites.length < PEEPHOLE.maxRewrites) {
+        const targets = new Set(fn.code.filter(instruction => JUMP_OPCODES.has(instruction.op)).map(instruction => instruction.arg));
+        let applied = false;
+
+        for (const rule of rules) {
+            const bindings = matchAt(fn.code, pc, rule.pattern, targets);
+            if (!bindings) continue;
+
+            const removed = fn.code.slice(pc, pc + rule.pattern.length);
+            const { line } = removed[0];
+            const inserted = rule.replacement.map(({ op, operand }) => {
+                const instruction = { op, line };
+                if (operand) instruction.arg = operand.variable ? bindings.get(operand.variable) : operand.value;
+                return instruction;
+            });
+            fn.code.splice(pc, removed.length, ...inserted);
+
+            // 窗口之后的跳转目标前移
+            const shift = removed.length - inserted.length;
+            fn.code.forEach(instruction => {
+                if (JUMP_OPCODES.has(instruction.op) && instruction.arg >= pc + removed.length) instruction.arg -= shift;
+            });
+
+            rewrites.push({
+                rule: rule.id,
+                pc,
+                line,
+                before: removed.map(instruction => formatInstruction(program, fn, instruction)),
+                after: inserted.map(instruction => formatInstruction(program, fn, instruction))
+            });
+            applied = true;
+            break;
+        }
+
+        // 改写后，前面的指令可能和新指令组成新的匹配
+        pc = applied ? Math.max(0, pc - longest + 1) : pc + 1;
+    }
+    return rewrites;
+}
+
+export class PeepholeOptimizer {
+    constructor() {
+        // 玩家的规则 [{ id, text, enabled }]，顺序即优先级
+        this.rules = PEEPHOLE.starterRules.map((text, index) => ({ id: index + 1, text, enabled: true }));
+        // 规则文本 → compileRule() 的结果
+        this.compiled = new Map();
+    }
+
+    /**
+     * 解析并验证规则（按文本缓存）
+     * @param {Object} rule - { id, text, enabled }
+     * @returns {Object} compileRule() 的返回值
+     */
+    check(rule) {
+        if (!this.compiled.has(rule.text)) {
+            this.compiled.set(rule.text, compileRule(rule.text));
+        }
+        return this.compiled.get(rule.text);
+    }
+
+    /**
+     * 参与优化的规则：前 slots 条启用且验证通过的规则
+     * @param {number} slots - 规则槽数（peephole 技术等级）
+     * @returns {Array} [{ id, text, pattern, replacement }]
+     */
+    getActiveRules(slots) {
+        return this.rules
+            .filter(rule => rule.enabled && this.check(rule).ok)
+            .slice(0, slots)
+            .map(rule => ({ id: rule.id, ...this.check(rule) }));
+    }
+
+    /**
+     * 添加规则，验证通过且还有空的规则槽时自动启用
+     * @param {string} text - 规则文本
+     * @param {number} slots - 规则槽数
+     * @returns {Object} { ok: 是否通过验证, added: 是否加入了规则表, error }
+     */
+    addRule(text, slots) {
+        const trimmed = text.trim();
+        if (!trimmed) return { ok: false, added: false, error: '请输入规则' };
+        if (this.rules.length >= PEEPHOLE.maxRules) return { ok: false, added: false, error: `最多 ${PEEPHOLE.maxRules} 条规则` };
+        if (this.rules.some(rule => rule.text === trimmed)) return { ok: false, added: false, error: '已有相同的规则' };
+
+        const compiled = this.check({ text: trimmed });
+        const id = this.rules.reduce((max, rule) => Math.max(max, rule.id), 0) + 1;
+        this.rules.push({ id, text: trimmed, enabled: compiled.ok && this.getActiveRules(slots).length < slots });
+        return compiled.ok
+            ? { ok: true, added: true, error: null }
+            : { ok: false, added: true, error: `已添加，但没有通过验证: ${compiled.error}` };
+    }
+
+    /**
+     * 启用或停用规则；启用的验证通过的规则不能超过规则槽数
+     * @param {number} id - 规则 id
+     * @param {number} slots - 规则槽数
+     * @returns {Object} { ok, error }
+     */
+    toggleRule(id, slots) {
+        const rule = this.rules.find(other => other.id === id);
+        if (!rule) return { ok: false, error: '规则不存在' };
+
+        if (!rule.enabled) {
+            const compiled = this.check(rule);
+            if (!compiled.ok) return { ok: false, error: `规则没有通过验证: ${compiled.error}` };
+            if (this.getActiveRules(slots).length >= slots) {
+                return { ok: false, error: slots === 0 ? '还没有规则槽，先升级窥孔优化' : `规则槽已满（${slots} 个），先停用一条规则` };
+            }
+        }
+        rule.enabled = !rule.enabled;
+        return { ok: true, error: null };
+    }
+
+    /**
+     * 调整规则顺序（排在前面的规则先尝试匹配）
+     * @param {number} id - 规则 id
+     * @param {number} offset - -1 上移，1 下移
+     * @returns {boolean} 是否移动
+     */
+    moveRule(id, offset) {
+        const index = this.rules.findIndex(rule => rule.id === id);
+        const target = index + offset;
+        if (index < 0 || target < 0 || target >= this.rules.length) return false;
+
+        [this.rules[index], this.rules[target]] = [this.rules[target], this.rules[index]];
+        return true;
+    }
+
+    /**
+     * 删除规则
+     * @param {number} id - 规则 id
+     * @returns {boolean} 是否删除
+     */
+    removeRule(id) {
+        const index = this.rules.findIndex(rule => rule.id === id);
+        if (index < 0) return false;
+
+        this.rules.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * 对字节码运行窥孔优化
+     * @param {Object} program - compileToBytecode() 的返回值，不会被修改
+     * @param {number} slots - 规则槽数
+     * @returns {Object} { program: 优化后的字节码, rewrites: [{ function, rule, pc, line, before, after }],
+     *          rules: [{ id, text, count }]（参与优化的规则和各自的改写次数）, instructionsBefore, instructionsAfter }
+     */
+    run(program, slots) {
+        const rules = this.getActiveRules(slots);
+        const functions = program.functions.map(fn => ({ ...fn, code: fn.code.map(instruction => ({ ...instruction })) }));
+        const optimized = { ...program, functions };
+        const rewrites = rules.length === 0 ? [] : functions.flatMap(fn =>
+            rewriteFunction(optimized, fn, rules).map(rewrite => ({ function: fn.name, ...rewrite })));
+
+        const count = (fns) => fns.reduce((sum, fn) => sum + fn.code.length, 0);
+        return {
+            program: optimized,
+            rewrites,
+            rules: rules.map(rule => ({
+                id: rule.id,
+                text: rule.text,
+                count: rewrites.filter(rewrite => rewrite.rule === rule.id).length
+            })),
+            instructionsBefore: count(program.functions),
+            instructionsAfter: count(functions)
+        };
+    }
+}
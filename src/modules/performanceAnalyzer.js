@@ -1,12 +1,15 @@
 // src/modules/performanceAnalyzer.js
 // 性能分析器模块
 
-import { DEPLOYMENT_PLATFORMS } from '../utils/constants.js';
+import { DEPLOYMENT_PLATFORMS, TYPE_SAFETY_BONUS, DEPLOYMENT_SCORE, WASM_SCORE } from '../utils/constants.js';
+import { compareFingerprints } from './manualReward.js';
 
 /*
     是什么: 性能分析器类，评估代码质量并生成性能分数。
     为什么: 提供第三阶段的最终产出指标，用于解锁高级功能。
     如何关联: 实现《第三阶段实现方案》中的性能分析系统。
+              部署得分以字节码虚拟机实测的周期数为准（`BytecodeVM`的剖析结果）；
+              wasm 模板以浏览器实际运行 WebAssembly 模块的吞吐量和模块大小为准（`runWasm()`的结果）。
 */
 export class PerformanceAnalyzer {
     constructor() {
@@ -20,6 +23,10 @@ export class PerformanceAnalyzer {
             reliability: new Decimal(1),
             scalability: new Decimal(1)
         };
+        // 类型安全加成：由类型检查通过的程序累积，叠加在可靠性上
+        this.typeSafetyBonus = new Decimal(0);
+        // 已计入加成的程序指纹 [{ exact, signature }]（ManualRewardCalculator.fingerprint()），随存档保存
+        this.typeSafePrograms = [];
         
         // 初始化部署统计
         Object.keys(DEPLOYMENT_PLATFORMS).forEach(platform => {
@@ -34,23 +41,65 @@ export class PerformanceAnalyzer {
     
     /**
      * 分析优化后的代码性能
-     * @param {Decimal} optimizedCode - 优化后的代码量
+     * @param {Decimal} optimizedCode - 交付的优化代码量
+     * @param {Object} profile - BytecodeVM 运行玩家程序得到的剖析结果（instructions、cycles）
      * @returns {Decimal} 性能分数
      */
-    analyzeCode(optimizedCode) {
-        if (!optimizedCode || optimizedCode.lte(0)) {
+    analyzeCode(optimizedCode, profile) {
+        if (!optimizedCode || optimizedCode.lte(0) || !profile || profile.cycles <= 0) {
             return new Decimal(0);
         }
 
-        const platform = DEPLOYMENT_PLATFORMS[this.currentPlatform];
-        if (!platform) {
+        if (!DEPLOYMENT_PLATFORMS[this.currentPlatform]) {
             console.error('无效的部署平台:', this.currentPlatform);
             return new Decimal(0);
         }
 
-        // 基础性能分数计算
-        const baseScore = optimizedCode.mul(0.1);
-        
+        // 基础性能分数：实测每周期执行的指令越多，交付的代码越值钱
+        const ipc = profile.instructions / profile.cycles;
+        const baseScore = optimizedCode.mul(ipc).mul(DEPLOYMENT_SCORE.ipcWeight);
+        return this.scoreDeployment(optimizedCode, baseScore, ipc);
+    }
+
+    /**
+     * 分析 WebAssembly 模块的实际运行结果
+     * @param {Decimal} optimizedCode - 交付的优化代码量
+     * @param {Object} run - runWasm() 的返回值（instructions、milliseconds、bytes）
+     * @returns {Decimal} 性能分数
+     */
+    analyzeWasm(optimizedCode, run) {
+        if (!optimizedCode || optimizedCode.lte(0) || !run || run.instructions <= 0) {
+            return new Decimal(0);
+        }
+
+        if (!DEPLOYMENT_PLATFORMS[this.currentPlatform]) {
+            console.error('无效的部署平台:', this.currentPlatform);
+            return new Decimal(0);
+        }
+
+        // 吞吐量得分：每毫秒执行的指令数折算到 0~1，与字节码的 IPC 同一量级
+        const speed = run.instructions / Math.max(run.milliseconds, WASM_SCORE.minimumMilliseconds);
+        const throughput = speed / (speed + WASM_SCORE.referenceSpeed);
+        // 模块越小加成越多
+        const compactness = WASM_SCORE.referenceBytes / (WASM_SCORE.referenceBytes + run.bytes);
+        const baseScore = optimizedCode
+            .mul(throughput)
+            .mul(WASM_SCORE.speedWeight)
+            .mul(1 + WASM_SCORE.sizeBonus * compactness);
+        return this.scoreDeployment(optimizedCode, baseScore, throughput);
+    }
+
+    /**
+     * 在基础分数上叠加平台和经验倍率，并记录这次部署
+     * @param {Decimal} optimizedCode - 交付的优化代码量
+     * @param {Decimal} baseScore - 基础性能分数
+     * @param {number} speed - 执行速度指标（IPC 或吞吐量得分）
+     * @returns {Decimal} 性能分数
+     * @private
+     */
+    scoreDeployment(optimizedCode, baseScore, speed) {
+        const platform = DEPLOYMENT_PLATFORMS[this.currentPlatform];
+
         // 平台倍率
         const platformMultiplier = new Decimal(platform.multiplier);
         
@@ -63,7 +112,7 @@ export class PerformanceAnalyzer {
             .mul(experienceBonus);
 
         // 更新详细指标
-        this.updateDetailedMetrics(optimizedCode);
+        this.updateDetailedMetrics(optimizedCode, speed);
         
         // 记录性能历史
         this.recordPerformance(finalScore);
@@ -77,15 +126,16 @@ export class PerformanceAnalyzer {
     /**
      * 更新详细性能指标
      * @param {Decimal} optimizedCode - 优化后的代码量
+     * @param {number} speed - 实测执行速度指标（IPC 或吞吐量得分）
      * @private
      */
-    updateDetailedMetrics(optimizedCode) {
+    updateDetailedMetrics(optimizedCode, speed) {
         const platform = DEPLOYMENT_PLATFORMS[this.currentPlatform];
         const platformFactor = new Decimal(platform.multiplier);
         
-        // 执行速度：受平台性能影响
+        // 执行速度：实测的速度指标，受平台性能影响
         this.detailedMetrics.executionSpeed = new Decimal(1)
-            .add(optimizedCode.div(1000).mul(0.1))
+            .add(speed)
             .mul(platformFactor);
         
         // 内存效率：代码越优化，内存使用越高效
@@ -99,7 +149,8 @@ export class PerformanceAnalyzer {
         // 可靠性：基于代码量和平台稳定性
         this.detailedMetrics.reliability = new Decimal(0.8)
             .add(optimizedCode.div(3000).mul(0.2))
-            .add(platformFactor.mul(0.1));
+            .add(platformFactor.mul(0.1))
+            .add(this.typeSafetyBonus);
         
         // 可扩展性：高级平台提供更好的可扩展性
         this.detailedMetrics.scalability = new Decimal(0.9)
@@ -107,6 +158,33 @@ export class PerformanceAnalyzer {
             .add(optimizedCode.div(5000).mul(0.1));
     }
     
+    /**
+     * 记录一次类型检查的结果，没有类型错误的程序提升可靠性
+     * 同一个程序只计一次：与已计过的程序相同或近似（只改了空白、注释、名字或少量令牌）时不再计入，
+     * 加成按类型标注的比例增加，累计不超过上限
+     * @param {Object} fingerprint - 被检查的程序的指纹（ManualRewardCalculator.fingerprint()）
+     * @param {Object} stats - TypeChecker.check() 返回的 stats
+     * @returns {Decimal} 本次增加的加成，程序有错误、已经计过或加成已达上限时为 0
+     */
+    recordTypeCheck(fingerprint, stats) {
+        const maximum = new Decimal(TYPE_SAFETY_BONUS.maximum);
+        if (stats.errors > 0 || stats.bindings === 0 || this.typeSafetyBonus.gte(maximum) ||
+            this.typeSafePrograms.some(other => compareFingerprints(fingerprint, other) > 0)) {
+            return new Decimal(0);
+        }
+
+        this.typeSafePrograms.push(fingerprint);
+        const coverage = stats.annotated / stats.bindings;
+        const gain = Decimal.min(
+            new Decimal(TYPE_SAFETY_BONUS.perProgram).mul(1 + coverage),
+            maximum.sub(this.typeSafetyBonus)
+        );
+
+        this.typeSafetyBonus = this.typeSafetyBonus.add(gain);
+        this.detailedMetrics.reliability = this.detailedMetrics.reliability.add(gain);
+        return gain;
+    }
+    
     /**
      * 部署到指定平台
      * @param {string} platform - 平台名称
@@ -332,5 +410,7 @@ export class PerformanceAnalyzer {
             reliability: new Decimal(1),
             scalability: new Decimal(1)
         };
+        this.typeSafetyBonus = new Decimal(0);
+        this.typeSafePrograms = [];
     }
 }
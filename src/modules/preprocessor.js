@@ -0,0 +1,929 @@
+// src/modules/preprocessor.js
+// 预处理器 - 在词法分析之前处理 #define、#include 和条件编译，展开宏
+
+/*
+    是什么: C 风格的预处理器。逐行处理源码: 指令行（# 开头）定义宏、包含工作区中的其他文件、
+            选择条件编译的分支；其余的行展开其中的宏。输出展开后的源码，以及输出到源码的位置映射。
+    为什么: 预处理是编译流水线中词法分析之前的一个独立阶段。宏是纯文本替换，
+            一次使用可以展开成很多令牌，也很容易写出"不卫生"的宏——这正是值得向玩家展示的地方。
+    如何关联:
+        - 只处理语言包中 preprocessor 为 true 的语言（JavaScript、C）；源码中没有指令时不经过预处理。
+        - `Game`在手动提交和语法分析之前调用`preprocess()`，包含的文件来自`Workspace`；
+          展开后的源码重新词法分析，`mapTokens()`把令牌位置映射回编辑器中的源码，语法错误和 AST 仍能定位。
+        - 结果显示在`PreprocessorView`中（展开前后对照、宏表和诊断）；展开后与展开前的令牌数之比
+          配合"宏展开器"升级提高手动提交的收益，见`constants.js`的`PREPROCESSOR`。
+
+    指令:
+        #define NAME 宏体 / #define NAME(a, b) 宏体   （宏体中 #a 转为字符串，a ## b 拼接；行尾 \ 续行）
+        #undef NAME
+        #include "file.js"                          （<...> 形式的系统头文件原样保留）
+        #if 表达式 / #ifdef NAME / #ifndef NAME / #elif 表达式 / #else / #endif
+        #error 信息
+    其他 # 开头的行（如 C 的 #pragma、JavaScript 类的 #私有字段）按普通代码处理；
+    与指令同名的私有成员（#include = 1;、#if(x) { ... }）也不是指令。
+    宏不会在自己的展开结果中再次展开；函数式宏的实参必须和宏名写在同一行。
+
+    卫生检查（警告）:
+        UnparenthesizedParameter - 宏体中的参数没有加括号，传入 a + 1 时按优先级错误展开
+        UnparenthesizedBody      - 表达式宏体没有整体加括号，用在更大的表达式中会错误展开
+        UnhygienicDeclaration    - 宏体声明了变量，与使用处的同名变量冲突
+        VariableCapture          - 实参中的名字被宏体声明的同名变量捕获
+        RepeatedSideEffect       - 带副作用的实参（i++、赋值、调用）在宏体中出现多次
+*/
+
+import { PREPROCESSOR } from '../utils/constants.js';
+
+const DIRECTIVE = /^[ \t]*#[ \t]*(define|undef|include|ifdef|ifndef|if|elif|else|endif|error)\b(.*)$/;
+// 指令名之后是 = ; : 或 (...) {，这一行是 JavaScript 类的私有字段或私有方法
+const PRIVATE_MEMBER = /^[ \t]*(?:[=;:]|\(.*\)[ \t]*\{)/;
+const IDENTIFIER = /[A-Za-z_$][\w$]*/y;
+const NUMBER = /[0-9][\w$.]*/y;
+const IDENTIFIER_NAME = /^[A-Za-z_$][\w$]*$/;
+
+// 宏体的片段：字符串、##、#、标识符、空白、其他字符
+const BODY_PIECE = /("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|`(?:[^`\\]|\\.)*`)|(##)|(#)|([A-Za-z_$][\w$]*)|(\s+)|([\s\S])/g;
+
+// #if 表达式的令牌
+const CONDITION_TOKEN = /\s*(?:(\d+)|([A-Za-z_$][\w$]*)|(&&|\|\||==|!=|<=|>=|<<|>>|[-+*/%<>!()~&|^]))/y;
+
+/**
+ * 源码中是否有预处理指令
+ * @param {string} source - 源码
+ * @returns {boolean}
+ */
+export function hasDirectives(source) {
+    return source.split('\n').some(line => matchDirective(line) !== null);
+}
+
+/**
+ * 匹配指令行
+ * @param {string} line - 一行源码
+ * @returns {Array|null} [整行, 指令名, 指令的其余部分]
+ * @private
+ */
+function matchDirective(line) {
+    const match = DIRECTIVE.exec(line);
+    return match && !PRIVATE_MEMBER.test(match[2]) ? match : null;
+}
+
+/**
+ * 预处理源码
+ * @param {string} source - 源码
+ * @param {Object} options - { fileName, resolveInclude(name) => string|null }
+ * @returns {Object} { source, output, segments, regions, macros, diagnostics, expansions, includes }
+ *          segments: [{ from, to, sourceFrom, sourceTo, kind: 'text'|'macro'|'include', name }] 输出到源码的映射
+ *          regions: [{ from, to, kind: 'directive'|'inactive' }] 源码中被预处理器去掉的部分
+ *          macros: [{ name, params, body, file, line, uses }]
+ *          diagnostics 的格式与`Tokenizer.getDiagnostics()`相同，包含的文件中的问题定位到 #include 指令
+ */
+export function preprocess(source, { fileName = 'main.js', resolveInclude = () => null } = {}) {
+    return new MacroExpander(resolveInclude).run(source, fileName);
+}
+
+/**
+ * 把展开后源码的令牌位置映射回原来的源码：宏展开和包含的文件中的令牌都定位到宏的使用处或 #include 指令
+ * @param {Array} tokens - 对 result.output 词法分析得到的令牌
+ * @param {Object} result - preprocess() 的返回值
+ * @returns {Array} 位置映射后的新令牌
+ */
+export function mapTokens(tokens, result) {
+    const { segments } = result;
+    const lineStarts = computeLineStarts(result.source);
+    const findSegment = (offset) => {
+        let low = 0;
+        let high = segments.length - 1;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (segments[middle].from <= offset) low = middle; else high = middle - 1;
+        }
+        return segments[low];
+    };
+    const mapStart = (offset) => {
+        const segment = findSegment(offset);
+        return segment.kind === 'text' ? segment.sourceFrom + (offset - segment.from) : segment.sourceFrom;
+    };
+    const mapEnd = (offset) => {
+        const segment = findSegment(Math.max(0, offset - 1));
+        return segment.kind === 'text' ? segment.sourceFrom + (offset - segment.from) : segment.sourceTo;
+    };
+
+    if (segments.length === 0) return tokens;
+    return tokens.map(token => {
+        const from = mapStart(token.position);
+        const to = Math.max(from, mapEnd(token.end !== undefined ? token.end : token.position + token.value.length));
+        const start = positionAt(lineStarts, from);
+        const end = positionAt(lineStarts, to);
+        return { ...token, position: from, line: start.line, column: start.column, end: to, endLine: end.line, endColumn: end.column };
+    });
+}
+
+/**
+ * @private
+ */
+function computeLineStarts(text) {
+    const starts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') starts.push(i + 1);
+    }
+    return starts;
+}
+
+/**
+ * @private
+ */
+function positionAt(lineStarts, offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+        const middle = (low + high + 1) >> 1;
+        if (lineStarts[middle] <= offset) low = middle; else high = middle - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+}
+
+/**
+ * 跳过从 start 开始的字符串字面量（同一行内）
+ * @private
+ */
+function skipString(text, start) {
+    const quote = text[start];
+    for (let i = start + 1; i < text.length; i++) {
+        if (text[i] === '\\') i++;
+        else if (text[i] === quote) return i + 1;
+    }
+    return text.length;
+}
+
+/**
+ * 解析函数式宏的实参列表，start 是宏名之后的位置
+ * @returns {Object|null} { args, end }、{ error } 或 null（后面没有左括号，不是宏调用）
+ * @private
+ */
+function parseArguments(text, start) {
+    let i = start;
+    while (i < text.length && (text[i] === ' ' || text[i] === '\t')) i++;
+    if (text[i] !== '(') return null;
+
+    const args = [];
+    let depth = 0;
+    let argStart = i + 1;
+    for (i++; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '"' || ch === "'" || ch === '`') {
+            i = skipString(text, i) - 1;
+        } else if (ch === '(' || ch === '[' || ch === '{') {
+            depth++;
+        } else if ((ch === ')' || ch === ']' || ch === '}') && depth > 0) {
+            depth--;
+        } else if (ch === ',' && depth === 0) {
+            args.push(text.slice(argStart, i));
+            argStart = i + 1;
+        } else if (ch === ')') {
+            args.push(text.slice(argStart, i));
+            return { args: args.map(arg => arg.trim()), end: i + 1 };
+        }
+    }
+    return { error: true };
+}
+
+/**
+ * 宏体中在括号深度 0 处是否有运算符（不计开头的一元运算符）
+ * @private
+ */
+function hasTopLevelOperator(body) {
+    let depth = 0;
+    for (let i = 0; i < body.length; i++) {
+        const ch = body[i];
+        if (ch === '"' || ch === "'" || ch === '`') {
+            i = skipString(body, i) - 1;
+        } else if (ch === '(' || ch === '[') {
+            depth++;
+        } else if (ch === ')' || ch === ']') {
+            depth--;
+        } else if (depth === 0 && i > 0 && '+-*/%<>=&|^?'.includes(ch)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * 宏体是否整个被一对括号包住
+ * @private
+ */
+function isWrapped(body) {
+    if (!body.startsWith('(') || !body.endsWith(')')) return false;
+    let depth = 0;
+    for (let i = 0; i < body.length; i++) {
+        if (body[i] === '"' || body[i] === "'" || body[i] === '`') {
+            i = skipString(body, i) - 1;
+        } else if (body[i] === '(') {
+            depth++;
+        } else if (body[i] === ')') {
+            depth--;
+            if (depth === 0 && i < body.length - 1) return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * 展开超过上限：中止当前行的展开
+ * @private
+ */
+class ExpansionLimit extends Error {}
+
+/**
+ * @private
+ */
+class MacroExpander {
+    constructor(resolveInclude) {
+        this.resolveInclude = resolveInclude;
+        this.macros = new Map();
+        this.diagnostics = [];
+        this.expansions = 0;
+        this.includes = [];
+        this.includeStack = [];
+        // 正在处理被包含的文件时，诊断定位到顶层文件中的 #include 指令
+        this.includeSite = null;
+    }
+
+    run(source, fileName) {
+        this.topLineStarts = computeLineStarts(source);
+        const emitter = { parts: [], length: 0, segments: [], regions: [] };
+        this.processFile(fileName, source, emitter, true);
+
+        this.macros.forEach(macro => {
+            if (macro.site && macro.uses === 0) {
+                this.report('warning', 'UnusedMacro', `宏 '${macro.name}' 定义后没有使用`, macro.site.from, macro.site.to);
+            }
+        });
+
+        return {
+            source,
+            output: emitter.parts.join(''),
+            segments: emitter.segments,
+            regions: emitter.regions,
+            macros: [...this.macros.values()].map(({ name, params, body, file, line, uses }) => ({ name, params, body, file, line, uses })),
+            diagnostics: this.diagnostics,
+            expansions: this.expansions,
+            includes: this.includes
+        };
+    }
+
+    /**
+     * 处理一个文件，输出追加到 emitter；只有顶层文件记录位置映射
+     * @private
+     */
+    processFile(name, source, emitter, top) {
+        const previousFile = this.file;
+        this.file = { name, source, lineStarts: computeLineStarts(source) };
+        this.includeStack.push(name);
+
+        const append = (text, sourceFrom, sourceTo, kind, macroName = null) => {
+            if (text.length === 0) return;
+            if (top) {
+                const last = emitter.segments[emitter.segments.length - 1];
+                if (kind === 'text' && last && last.kind === 'text' && last.to === emitter.length && last.sourceTo === sourceFrom) {
+                    last.to += text.length;
+                    last.sourceTo = sourceTo;
+                } else {
+                    emitter.segments.push({ from: emitter.length, to: emitter.length + text.length, sourceFrom, sourceTo, kind, name: macroName });
+                }
+            }
+            emitter.parts.push(text);
+            emitter.length += text.length;
+            if (emitter.length > PREPROCESSOR.maxOutputLength) {
+                throw new ExpansionLimit(`展开结果超过 ${PREPROCESSOR.maxOutputLength} 个字符`);
+            }
+        };
+        const region = (from, to, kind) => {
+            if (!top || to <= from) return;
+            const last = emitter.regions[emitter.regions.length - 1];
+            if (last && last.kind === kind && last.to + 1 >= from) last.to = to;
+            else emitter.regions.push({ from, to, kind });
+        };
+
+        const lines = source.split('\n');
+        const conditions = [];
+        const active = () => conditions.every(condition => condition.active);
+        const comment = { open: false };
+        let offset = 0;
+
+        for (let index = 0; index < lines.length; index++) {
+            const lineStart = offset;
+            let text = lines[index];
+            const match = comment.open ? null : matchDirective(text);
+
+            if (match) {
+                // 续行：行尾的 \ 把下一行接上，输出中保留同样多的换行
+                let lineCount = 1;
+                while (text.endsWith('\\') && index + 1 < lines.length) {
+                    index++;
+                    lineCount++;
+                    text = `${text.slice(0, -1)} ${lines[index]}`;
+                }
+                const directiveEnd = lineStart + lines.slice(index - lineCount + 1, index + 1).join('\n').length;
+                offset = directiveEnd + 1;
+                const directive = matchDirective(text);
+                const site = { from: lineStart, to: directiveEnd };
+                const wasActive = active();
+                const kept = this.directive(directive[1], directive[2].trim(), site, conditions, active, emitter, append, top);
+                if (kept) {
+                    append(source.slice(lineStart, directiveEnd), lineStart, directiveEnd, 'text');
+                } else {
+                    region(lineStart, directiveEnd, 'directive');
+                }
+                if (!wasActive && !active()) region(lineStart, directiveEnd, 'inactive');
+                const newlines = '\n'.repeat(index + 1 < lines.length ? lineCount : lineCount - 1);
+                append(newlines, directiveEnd, directiveEnd + newlines.length, 'text');
+                continue;
+            }
+
+            offset = lineStart + text.length + 1;
+            const newline = index + 1 < lines.length ? '\n' : '';
+            if (!active()) {
+                region(lineStart, lineStart + text.length, 'inactive');
+                append(newline, lineStart + text.length, lineStart + text.length + newline.length, 'text');
+                continue;
+            }
+
+            try {
+                const pieces = this.expandPieces(text, { hidden: new Set(), depth: 0, comment, base: lineStart, site: null });
+                pieces.forEach(piece => {
+                    if (piece.macro) {
+                        append(piece.text, lineStart + piece.from, lineStart + piece.to, 'macro', piece.macro);
+                    } else {
+                        append(piece.text, lineStart + piece.from, lineStart + piece.to, 'text');
+                    }
+                });
+            } catch (error) {
+                if (!(error instanceof ExpansionLimit)) throw error;
+                this.report('error', 'ExpansionLimit', error.message, lineStart, lineStart + text.length);
+                if (emitter.length > PREPROCESSOR.maxOutputLength) break;
+                append(text, lineStart, lineStart + text.length, 'text');
+            }
+            append(newline, lineStart + text.length, lineStart + text.length + newline.length, 'text');
+        }
+
+        conditions.forEach(condition => {
+            this.report('error', 'UnterminatedConditional', `#${condition.directive} 没有对应的 #endif`, condition.from, condition.to);
+        });
+
+        this.includeStack.pop();
+        this.file = previousFile;
+    }
+
+    /**
+     * 执行一条指令
+     * @returns {boolean} 指令行是否原样保留在输出中
+     * @private
+     */
+    directive(name, argument, site, conditions, active, emitter, append, top) {
+        const report = (severity, type, message) => this.report(severity, type, message, site.from, site.to);
+        const top0 = conditions[conditions.length - 1];
+
+        switch (name) {
+            case 'if':
+            case 'ifdef':
+            case 'ifndef': {
+                const parentActive = active();
+                let value = false;
+                if (parentActive) {
+                    if (name === 'if') {
+                        value = this.evaluate(argument, report);
+                    } else if (!IDENTIFIER_NAME.test(argument)) {
+                        report('error', 'InvalidDirective', `#${name} 后面需要一个宏名`);
+                    } else {
+                        const macro = this.macros.get(argument);
+                        if (macro) macro.uses++;
+                        value = Boolean(macro) === (name === 'ifdef');
+                    }
+                }
+                conditions.push({ directive: name, parentActive, active: parentActive && value, taken: value, elseSeen: false, from: site.from, to: site.to });
+                return false;
+            }
+            case 'elif':
+            case 'else':
+                if (!top0) {
+                    report('error', 'UnmatchedConditional', `#${name} 前面没有 #if`);
+                } else if (top0.elseSeen) {
+                    report('error', 'UnmatchedConditional', `#${name} 出现在 #else 之后`);
+                } else {
+                    const value = !top0.taken && top0.parentActive && (name === 'else' || this.evaluate(argument, report));
+                    top0.active = value;
+                    top0.taken = top0.taken || value;
+                    top0.elseSeen = name === 'else';
+                }
+                return false;
+            case 'endif':
+                if (!top0) report('error', 'UnmatchedConditional', '#endif 前面没有 #if');
+                else conditions.pop();
+                return false;
+            default:
+                break;
+        }
+
+        if (!active()) return false;
+
+        switch (name) {
+            case 'define':
+                this.define(argument, site, report);
+                return false;
+            case 'undef':
+                if (!IDENTIFIER_NAME.test(argument)) report('error', 'InvalidDirective', '#undef 后面需要一个宏名');
+                else this.macros.delete(argument);
+                return false;
+            case 'error':
+                report('error', 'ErrorDirective', `#error ${argument}`);
+                return false;
+            case 'include':
+                return this.include(argument, site, emitter, append, top, report);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    define(argument, site, report) {
+        const match = /^([A-Za-z_$][\w$]*)(\(([^)]*)\))?(.*)$/s.exec(argument);
+        if (!match) {
+            report('error', 'InvalidDirective', '#define 后面需要一个宏名');
+            return;
+        }
+        const [, name, paramList, paramText, rest] = match;
+        if (name === 'defined') {
+            report('error', 'InvalidDirective', "'defined' 不能作为宏名");
+            return;
+        }
+
+        let params = null;
+        if (paramList !== undefined) {
+            params = paramText.trim() === '' ? [] : paramText.split(',').map(param => param.trim());
+            const invalid = params.find((param, index) => !IDENTIFIER_NAME.test(param) || params.indexOf(param) !== index);
+            if (invalid !== undefined) {
+                report('error', 'InvalidDirective', `宏 '${name}' 的参数 '${invalid}' 不是合法的名字或重复了`);
+                return;
+            }
+        }
+        const body = rest.trim();
+
+        const previous = this.macros.get(name);
+        if (previous && (previous.body !== body || String(previous.params) !== String(params))) {
+            report('warning', 'MacroRedefined', `宏 '${name}' 被重新定义（之前在 ${previous.file} 第${previous.line}行）`);
+        }
+
+        const macro = {
+            name,
+            params,
+            body,
+            file: this.file.name,
+            line: positionAt(this.file.lineStarts, site.from).line,
+            uses: previous ? previous.uses : 0,
+            locals: [],
+            // 顶层文件中的定义，没有使用时在这里报告
+            site: this.includeSite ? null : site
+        };
+        this.checkDefinition(macro, report);
+        this.macros.set(name, macro);
+    }
+
+    /**
+     * 定义时的卫生检查
+     * @private
+     */
+    checkDefinition(macro, report) {
+        const { name, params, body } = macro;
+        const statement = body.includes(';') || body.startsWith('{');
+
+        if (!statement && params && params.length > 0 && hasTopLevelOperator(body.replace(/^\(|\)$/g, ' '))) {
+            const bare = new Set();
+            const pieces = [...body.matchAll(BODY_PIECE)];
+            pieces.forEach((piece, index) => {
+                if (!piece[4] || !params.includes(piece[4])) return;
+                const before = pieces.slice(0, index).reverse().find(other => !other[5]);
+                const after = pieces.slice(index + 1).find(other => !other[5]);
+                const stringified = before && before[3];
+                const wrapped = before && before[0] === '(' && after && after[0] === ')';
+                if (!stringified && !wrapped) bare.add(piece[4]);
+            });
+            if (bare.size > 0) {
+                const param = [...bare][0];
+                report('warning', 'UnparenthesizedParameter',
+                    `宏 '${name}' 的参数 ${[...bare].join('、')} 没有加括号，${name}(${params.map(other => other === param ? 'a + 1' : other).join(', ')}) 会按运算符优先级错误展开`);
+            }
+        }
+
+        if (!statement && hasTopLevelOperator(body) && !isWrapped(body)) {
+            report('warning', 'UnparenthesizedBody', `宏 '${name}' 的宏体没有整体加括号，用在更大的表达式中（如 ${name}${params ? `(${params.join(', ')})` : ''} * 2）会错误展开`);
+        }
+
+        for (const [, local] of body.matchAll(/\b(?:let|const|var)\s+([A-Za-z_$][\w$]*)/g)) {
+            macro.locals.push(local);
+        }
+        if (macro.locals.length > 0) {
+            report('warning', 'UnhygienicDeclaration',
+                `宏 '${name}' 在宏体中声明了 ${macro.locals.join('、')}，会与使用处的同名变量冲突（宏不卫生）`);
+        }
+    }
+
+    /**
+     * @returns {boolean} 指令行是否原样保留（系统头文件）
+     * @private
+     */
+    include(argument, site, emitter, append, top, report) {
+        if (/^<[^>]+>$/.test(argument)) return true;
+        const match = /^"([^"]+)"$/.exec(argument);
+        if (!match) {
+            report('error', 'InvalidDirective', '#include 后面需要 "文件名" 或 <头文件>');
+            return false;
+        }
+        const name = match[1].replace(/^\.\//, '');
+        if (this.includeStack.includes(name)) {
+            report('error', 'CircularInclude', `循环包含: ${[...this.includeStack, name].join(' → ')}`);
+            return false;
+        }
+        if (this.includeStack.length > PREPROCESSOR.maxIncludeDepth) {
+            report('error', 'IncludeDepth', `包含的层数超过 ${PREPROCESSOR.maxIncludeDepth}`);
+            return false;
+        }
+        const source = this.resolveInclude(name);
+        if (source === null || source === undefined) {
+            report('error', 'IncludeNotFound', `找不到包含的文件 '${name}'`);
+            return false;
+        }
+
+        if (!this.includes.includes(name)) this.includes.push(name);
+        const nested = { parts: [], length: 0, segments: [], regions: [] };
+        const outerSite = this.includeSite;
+        if (top) this.includeSite = { from: site.from, to: site.to };
+        try {
+            this.processFile(name, source, nested, false);
+        } finally {
+            this.includeSite = outerSite;
+        }
+        append(nested.parts.join(''), site.from, site.to, top ? 'include' : 'text', name);
+        if (nested.length > 0) append('\n', site.from, site.to, top ? 'include' : 'text', name);
+        return false;
+    }
+
+    /**
+     * 展开一段文本中的宏
+     * @param {string} text - 文本
+     * @param {Object} context - { hidden: 不再展开的宏, depth, comment: 块注释状态, base: text 在当前文件中的偏移,
+     *                           site: 嵌套展开时诊断使用的位置 }
+     * @returns {Array} [{ from, to, text, macro }]，macro 为展开的宏名，原样保留的片段为 null
+     * @private
+     */
+    expandPieces(text, context) {
+        const pieces = [];
+        let verbatim = 0;
+        let total = 0;
+        let i = 0;
+        const flush = (end) => {
+            if (end > verbatim) {
+                pieces.push({ from: verbatim, to: end, text: text.slice(verbatim, end), macro: null });
+                total += end - verbatim;
+            }
+        };
+
+        while (i < text.length) {
+            if (context.comment.open) {
+                const close = text.indexOf('*/', i);
+                if (close < 0) break;
+                context.comment.open = false;
+                i = close + 2;
+                continue;
+            }
+            const ch = text[i];
+            if (text.startsWith('//', i)) break;
+            if (text.startsWith('/*', i)) {
+                context.comment.open = true;
+                i += 2;
+                continue;
+            }
+            if (ch === '"' || ch === "'" || ch === '`') {
+                i = skipString(text, i);
+                continue;
+            }
+            NUMBER.lastIndex = i;
+            const number = NUMBER.exec(text);
+            if (number) {
+                i += number[0].length;
+                continue;
+            }
+            IDENTIFIER.lastIndex = i;
+            const identifier = IDENTIFIER.exec(text);
+            if (!identifier) {
+                i++;
+                continue;
+            }
+
+            const name = identifier[0];
+            const macro = this.macros.get(name);
+            let end = i + name.length;
+            if (!macro || context.hidden.has(name) || text[i - 1] === '#') {
+                i = end;
+                continue;
+            }
+
+            const site = context.site || { from: context.base + i, to: context.base + end };
+            let args = null;
+            if (macro.params) {
+                const call = parseArguments(text, end);
+                if (call === null) {
+                    i = end;
+                    continue;
+                }
+                if (call.error) {
+                    macro.uses++;
+                    this.report('error', 'UnterminatedMacroCall', `宏 '${name}' 的参数没有闭合（实参必须和宏名写在同一行）`, site.from, site.to);
+                    i = end;
+                    continue;
+                }
+                end = call.end;
+                args = call.args.length === 1 && call.args[0] === '' && macro.params.length === 0 ? [] : call.args;
+                if (!context.site) site.to = context.base + end;
+                if (args.length !== macro.params.length) {
+                    macro.uses++;
+                    this.report('error', 'MacroArity', `宏 '${name}' 需要 ${macro.params.length} 个参数，实际传入 ${args.length} 个`, site.from, site.to);
+                    i = end;
+                    continue;
+                }
+            }
+
+            flush(i);
+            const replacement = this.expandMacro(macro, args, context, site);
+            pieces.push({ from: i, to: end, text: replacement, macro: name });
+            total += replacement.length;
+            if (total > PREPROCESSOR.maxOutputLength) {
+                throw new ExpansionLimit(`展开结果超过 ${PREPROCESSOR.maxOutputLength} 个字符`);
+            }
+            i = end;
+            verbatim = end;
+        }
+        flush(text.length);
+        return pieces;
+    }
+
+    /**
+     * @private
+     */
+    expandText(text, context) {
+        return this.expandPieces(text, { ...context, comment: { open: false } }).map(piece => piece.text).join('');
+    }
+
+    /**
+     * 展开一次宏的使用：检查实参、预先展开实参、代入宏体，再展开结果
+     * @private
+     */
+    expandMacro(macro, args, context, site) {
+        if (context.depth >= PREPROCESSOR.maxExpansionDepth) {
+            throw new ExpansionLimit(`宏展开的嵌套超过 ${PREPROCESSOR.maxExpansionDepth} 层`);
+        }
+        macro.uses++;
+        this.expansions++;
+
+        const nested = { hidden: context.hidden, depth: context.depth + 1, site, base: 0 };
+        let expandedArgs = [];
+        if (macro.params) {
+            expandedArgs = args.map(arg => this.expandText(arg, nested));
+            if (!context.site) this.checkUse(macro, args, expandedArgs, site);
+        }
+        const body = this.substitute(macro, args || [], expandedArgs);
+        return this.expandText(body, { ...nested, hidden: new Set([...context.hidden, macro.name]) });
+    }
+
+    /**
+     * 使用时的卫生检查；副作用按展开后的实参判断，嵌套的宏调用不算函数调用
+     * @private
+     */
+    checkUse(macro, args, expandedArgs, site) {
+        macro.params.forEach((param, index) => {
+            const arg = args[index];
+            const count = [...macro.body.matchAll(BODY_PIECE)].filter(piece => piece[4] === param).length;
+            if (count > 1 && /\+\+|--|(^|[^=!<>])=(?![=>])|[\w$)\]]\s*\(/.test(expandedArgs[index])) {
+                this.report('warning', 'RepeatedSideEffect',
+                    `宏 '${macro.name}' 的参数 ${param} 在宏体中出现 ${count} 次，实参 '${arg}' 的副作用会执行 ${count} 次`, site.from, site.to);
+            }
+            macro.locals.forEach(local => {
+                if (new RegExp(`(^|[^\\w$])${local.replace(/\$/g, '\\$')}(?![\\w$])`).test(arg)) {
+                    this.report('warning', 'VariableCapture',
+                        `实参中的 '${local}' 被宏 '${macro.name}' 在宏体中声明的同名变量捕获，不再指向使用处的变量`, site.from, site.to);
+                }
+            });
+        });
+    }
+
+    /**
+     * 把实参代入宏体，处理 #参数（转为字符串）和 ##（拼接）
+     * @private
+     */
+    substitute(macro, args, expandedArgs) {
+        const params = macro.params || [];
+        const pieces = [...macro.body.matchAll(BODY_PIECE)];
+        const significant = (from, step) => {
+            for (let k = from; k >= 0 && k < pieces.length; k += step) {
+                if (!pieces[k][5]) return pieces[k];
+            }
+            return null;
+        };
+
+        let output = '';
+        let skipSpace = false;
+        for (let k = 0; k < pieces.length; k++) {
+            const piece = pieces[k];
+            if (piece[5]) {
+                if (!skipSpace) output += piece[0];
+                continue;
+            }
+            skipSpace = false;
+            if (piece[2]) {
+                output = output.trimEnd();
+                skipSpace = true;
+                continue;
+            }
+            if (piece[3]) {
+                const next = significant(k + 1, 1);
+                const index = next && next[4] ? params.indexOf(next[4]) : -1;
+                if (index >= 0) {
+                    output += JSON.stringify(args[index]);
+                    k = pieces.indexOf(next);
+                    continue;
+                }
+                output += '#';
+                continue;
+            }
+            const index = piece[4] ? params.indexOf(piece[4]) : -1;
+            if (index >= 0) {
+                const previous = significant(k - 1, -1);
+                const next = significant(k + 1, 1);
+                const pasted = (previous && previous[2]) || (next && next[2]);
+                output += pasted ? args[index] : expandedArgs[index];
+                continue;
+            }
+            output += piece[0];
+        }
+        return output;
+    }
+
+    /**
+     * 计算 #if / #elif 的条件：未定义的名字为 0，defined NAME 判断宏是否定义
+     * @private
+     */
+    evaluate(expression, report) {
+        const tokens = [];
+        CONDITION_TOKEN.lastIndex = 0;
+        let position = 0;
+        while (position < expression.length) {
+            CONDITION_TOKEN.lastIndex = position;
+            const match = CONDITION_TOKEN.exec(expression);
+            if (!match) {
+                if (expression.slice(position).trim() === '') break;
+                report('error', 'InvalidCondition', `#if 条件中有无法识别的内容 '${expression.slice(position).trim()}'`);
+                return false;
+            }
+            tokens.push(match[1] !== undefined ? { number: Number(match[1]) } : match[2] !== undefined ? { name: match[2] } : { operator: match[3] });
+            position = CONDITION_TOKEN.lastIndex;
+        }
+        if (tokens.length === 0) {
+            report('error', 'InvalidCondition', '#if 后面需要一个条件');
+            return false;
+        }
+
+        const evaluating = new Set();
+        try {
+            const value = this.evaluateTokens(tokens, evaluating);
+            return value !== 0;
+        } catch (error) {
+            if (!(error instanceof ExpansionLimit)) throw error;
+            report('error', 'InvalidCondition', `#if 条件无法计算: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * 按运算符优先级计算条件令牌
+     * @private
+     */
+    evaluateTokens(tokens, evaluating) {
+        let index = 0;
+        const peek = () => tokens[index];
+        const isOperator = (operator) => peek() && peek().operator === operator;
+        const expect = (operator) => {
+            if (!isOperator(operator)) throw new ExpansionLimit(`缺少 '${operator}'`);
+            index++;
+        };
+        const BINARY = [
+            ['||'], ['&&'], ['|'], ['^'], ['&'], ['==', '!='], ['<', '>', '<=', '>='], ['<<', '>>'], ['+', '-'], ['*', '/', '%']
+        ];
+        const apply = (operator, left, right) => {
+            switch (operator) {
+                case '||': return left || right ? 1 : 0;
+                case '&&': return left && right ? 1 : 0;
+                case '|': return left | right;
+                case '^': return left ^ right;
+                case '&': return left & right;
+                case '==': return left === right ? 1 : 0;
+                case '!=': return left !== right ? 1 : 0;
+                case '<': return left < right ? 1 : 0;
+                case '>': return left > right ? 1 : 0;
+                case '<=': return left <= right ? 1 : 0;
+                case '>=': return left >= right ? 1 : 0;
+                case '<<': return left << right;
+                case '>>': return left >> right;
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                default:
+                    if (right === 0) throw new ExpansionLimit('除以 0');
+                    return operator === '/' ? Math.trunc(left / right) : left % right;
+            }
+        };
+
+        const unary = () => {
+            const token = peek();
+            if (!token) throw new ExpansionLimit('条件不完整');
+            index++;
+            if (token.operator === '!') return unary() ? 0 : 1;
+            if (token.operator === '-') return -unary();
+            if (token.operator === '+') return unary();
+            if (token.operator === '~') return ~unary();
+            if (token.operator === '(') {
+                const value = binary(0);
+                expect(')');
+                return value;
+            }
+            if (token.number !== undefined) return token.number;
+            if (token.name === 'defined') {
+                const parenthesized = isOperator('(');
+                if (parenthesized) index++;
+                const target = peek();
+                if (!target || !target.name) throw new ExpansionLimit('defined 后面需要一个宏名');
+                index++;
+                if (parenthesized) expect(')');
+                const macro = this.macros.get(target.name);
+                if (macro) macro.uses++;
+                return macro ? 1 : 0;
+            }
+            if (token.name) {
+                const macro = this.macros.get(token.name);
+                if (!macro || macro.params || evaluating.has(token.name)) return 0;
+                macro.uses++;
+                evaluating.add(token.name);
+                const value = this.evaluate(macro.body, (severity, type, message) => {
+                    throw new ExpansionLimit(`宏 '${token.name}': ${message}`);
+                }) ? 1 : 0;
+                evaluating.delete(token.name);
+                // 宏体是数字时保留它的值
+                return /^\s*\d+\s*$/.test(macro.body) ? Number(macro.body) : value;
+            }
+            throw new ExpansionLimit(`意外的 '${token.operator}'`);
+        };
+
+        const binary = (level) => {
+            if (level === BINARY.length) return unary();
+            let left = binary(level + 1);
+            while (peek() && BINARY[level].includes(peek().operator)) {
+                const operator = tokens[index++].operator;
+                left = apply(operator, left, binary(level + 1));
+            }
+            return left;
+        };
+
+        const value = binary(0);
+        if (index < tokens.length) throw new ExpansionLimit(`多余的 '${tokens[index].operator || tokens[index].name || tokens[index].number}'`);
+        return value;
+    }
+
+    /**
+     * 记录诊断；被包含的文件中的问题定位到顶层文件中的 #include 指令
+     * @param {string} severity - 'error' | 'warning'
+     * @param {string} type - 诊断类型
+     * @param {string} message - 描述
+     * @param {number} from - 当前文件中的起始偏移
+     * @param {number} to - 当前文件中的结束偏移
+     * @private
+     */
+    report(severity, type, message, from, to) {
+        let location = { from, to };
+        let text = message;
+        if (this.includeSite) {
+            text = `${this.file.name} 第${positionAt(this.file.lineStarts, from).line}行: ${message}`;
+            location = this.includeSite;
+        }
+        const lineStarts = this.includeSite || !this.file ? this.topLineStarts : this.file.lineStarts;
+        const start = positionAt(lineStarts, location.from);
+        this.diagnostics.push({
+            severity,
+            type,
+            message: `预处理: ${text}`,
+            line: start.line,
+            column: start.column,
+            from: location.from,
+            to: location.to
+        });
+    }
+}
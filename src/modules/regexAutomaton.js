@@ -0,0 +1,786 @@
+// src/modules/regexAutomaton.js
+// 正则表达式 → 有限自动机
+
+/*
+    是什么: 把词法规则的正则表达式依次构造为 Thompson NFA、子集构造得到的 DFA 和最小化 DFA，并支持逐字符模拟。
+    为什么: 词法分析是游戏的第一阶段，但规则正则对玩家来说是个黑箱。把它画成自动机，
+            玩家可以看到"按规则扫描"时状态机实际在做什么。
+    如何关联:
+        - 输入是`Tokenizer.rules`（或规则工坊）中的正则，由`AutomatonVisualizer`用 d3 绘制并逐字符单步执行。
+        - 字符集合用排好序的码点区间 [[lo, hi], ...] 表示，\p{...} 属性类在首次使用时枚举码点并缓存。
+        - 自动机只能表示正则语言: 前瞻/后顾断言、\b 和 ^ $ 锚点当作空转移处理（并给出提示），
+          反向引用无法表示，会报错。
+        - 三种自动机使用同一结构 { kind, states, start, transitions, outgoing }，
+          transitions 中 set 为 null 的是 ε 转移，因此模拟函数对三者通用。
+*/
+
+// 自动机规模上限，超过时报错而不是让页面卡住
+const MAX_NFA_STATES = 600;
+const MAX_DFA_STATES = 300;
+
+const LINE_TERMINATORS = [[0x0a, 0x0a], [0x0d, 0x0d], [0x2028, 0x2029]];
+const DIGIT = [[0x30, 0x39]];
+const WORD = [[0x30, 0x39], [0x41, 0x5a], [0x5f, 0x5f], [0x61, 0x7a]];
+const SPACE = [
+    [0x09, 0x0d], [0x20, 0x20], [0xa0, 0xa0], [0x1680, 0x1680], [0x2000, 0x200a],
+    [0x2028, 0x2029], [0x202f, 0x202f], [0x205f, 0x205f], [0x3000, 0x3000], [0xfeff, 0xfeff]
+];
+
+// Unicode 属性名 → 码点区间的缓存
+const propertyCache = new Map();
+
+/**
+ * 正则无法解析或无法转换为自动机
+ */
+export class RegexAutomatonError extends Error {
+    /**
+     * @param {string} message - 错误描述
+     * @param {number} position - 出错位置（正则源码中的下标），未知时为 -1
+     */
+    constructor(message, position = -1) {
+        super(position >= 0 ? `${message} (位置 ${position})` : message);
+        this.name = 'RegexAutomatonError';
+        this.description = message;
+        this.position = position;
+    }
+}
+
+// ==================== 字符集合 ====================
+
+/**
+ * 排序并合并相交或相邻的区间
+ * @param {Array} ranges - [[lo, hi], ...]
+ * @returns {Array} 规范化的区间
+ */
+function normalizeRanges(ranges) {
+    const sorted = ranges.filter(([lo, hi]) => lo <= hi).sort((a, b) => a[0] - b[0]);
+    const result = [];
+    sorted.forEach(([lo, hi]) => {
+        const last = result[result.length - 1];
+        if (last && lo <= last[1] + 1) {
+            last[1] = Math.max(last[1], hi);
+        } else {
+            result.push([lo, hi]);
+        }
+    });
+    return result;
+}
+
+/**
+ * 求区间集合的补集
+ * @param {Array} ranges - 规范化的区间
+ * @param {number} max - 最大码点
+ * @returns {Array} 补集
+ */
+function complementRanges(ranges, max) {
+    const result = [];
+    let next = 0;
+    ranges.forEach(([lo, hi]) => {
+        if (lo > next) result.push([next, lo - 1]);
+        next = hi + 1;
+    });
+    if (next <= max) result.push([next, max]);
+    return result;
+}
+
+/**
+ * 判断码点是否在区间集合中
+ * @param {Array} ranges - 规范化的区间
+ * @param {number} codePoint - 码点
+ * @returns {boolean} 是否包含
+ */
+export function rangesContain(ranges, codePoint) {
+    let low = 0;
+    let high = ranges.length - 1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (codePoint < ranges[mid][0]) high = mid - 1;
+        else if (codePoint > ranges[mid][1]) low = mid + 1;
+        else return true;
+    }
+    return false;
+}
+
+/**
+ * 比较两个规范化的区间集合
+ * @param {Array} a - 区间
+ * @param {Array} b - 区间
+ * @returns {boolean} 是否相同
+ */
+function sameRanges(a, b) {
+    return a.length === b.length && a.every(([lo, hi], i) => lo === b[i][0] && hi === b[i][1]);
+}
+
+/**
+ * 枚举 Unicode 属性包含的码点
+ * @param {string} name - 属性名，如 ID_Start 或 Script=Greek
+ * @param {number} position - 在正则中的位置（报错用）
+ * @returns {Array} 区间
+ */
+function propertyRanges(name, position) {
+    if (propertyCache.has(name)) return propertyCache.get(name);
+
+    let regex;
+    try {
+        regex = new RegExp(`^\\p{${name}}$`, 'u');
+    } catch {
+        throw new RegexAutomatonError(`未知的 Unicode 属性 ${name}`, position);
+    }
+
+    const ranges = [];
+    let start = -1;
+    for (let codePoint = 0; codePoint <= 0x10ffff; codePoint++) {
+        const inside = regex.test(String.fromCodePoint(codePoint));
+        if (inside && start < 0) start = codePoint;
+        if (!inside && start >= 0) {
+            ranges.push([start, codePoint - 1]);
+            start = -1;
+        }
+    }
+    if (start >= 0) ranges.push([start, 0x10ffff]);
+
+    propertyCache.set(name, ranges);
+    return ranges;
+}
+
+/**
+ * 把码点显示为可读的字符
+ * @param {number} codePoint - 码点
+ * @returns {string} 显示文本
+ */
+function describeCodePoint(codePoint) {
+    const names = { 0x09: '\\t', 0x0a: '\\n', 0x0b: '\\v', 0x0c: '\\f', 0x0d: '\\r', 0x20: '␣' };
+    if (names[codePoint]) return names[codePoint];
+    if (codePoint < 0x20 || (codePoint >= 0x7f && codePoint < 0xa0) || codePoint > 0xffff) {
+        return `\\u{${codePoint.toString(16)}}`;
+    }
+    const char = String.fromCodePoint(codePoint);
+    return '\\-[]^'.includes(char) ? `\\${char}` : char;
+}
+
+/**
+ * 生成字符集合的简短描述（用作边的标签）
+ * @param {Array} ranges - 规范化的区间
+ * @param {number} max - 最大码点
+ * @returns {string} 描述
+ */
+export function describeRanges(ranges, max) {
+    const named = [
+        [DIGIT, '\\d'], [WORD, '\\w'], [normalizeRanges(SPACE), '\\s'],
+        [complementRanges(normalizeRanges(LINE_TERMINATORS), max), '.'], [[[0, max]], '任意']
+    ];
+    const match = named.find(([set]) => sameRanges(set, ranges));
+    if (match) return match[1];
+
+    const render = set => set.map(([lo, hi]) => {
+        if (lo === hi) return describeCodePoint(lo);
+        if (hi === lo + 1) return describeCodePoint(lo) + describeCodePoint(hi);
+        return `${describeCodePoint(lo)}-${describeCodePoint(hi)}`;
+    }).join('');
+
+    const complement = complementRanges(ranges, max);
+    if (complement.length < ranges.length) {
+        return `[^${render(complement)}]`;
+    }
+    return ranges.length === 1 && ranges[0][0] === ranges[0][1] ? render(ranges) : `[${render(ranges)}]`;
+}
+
+// ==================== 正则解析 ====================
+
+/**
+ * 正则表达式解析器（递归下降），产生语法树:
+ *   { type: 'set', ranges } | { type: 'concat', items } | { type: 'alt', options }
+ *   | { type: 'repeat', node, min, max } | { type: 'empty' }
+ */
+class RegexParser {
+    /**
+     * @param {string} source - 正则源码
+     * @param {string} flags - 标志
+     */
+    constructor(source, flags) {
+        this.source = source;
+        this.unicode = flags.includes('u') || flags.includes('v');
+        this.dotAll = flags.includes('s');
+        this.max = this.unicode ? 0x10ffff : 0xffff;
+        this.position = 0;
+        this.notes = new Set();
+
+        if (flags.includes('i')) this.notes.add('忽略大小写 (i) 标志未体现在自动机中');
+    }
+
+    /**
+     * 解析整个正则
+     * @returns {Object} 语法树
+     */
+    parse() {
+        const node = this.parseAlternation();
+        if (this.position < this.source.length) {
+            throw new RegexAutomatonError('多余的 )', this.position);
+        }
+        return node;
+    }
+
+    peek(offset = 0) {
+        return this.source[this.position + offset];
+    }
+
+    eat(text) {
+        if (this.source.startsWith(text, this.position)) {
+            this.position += text.length;
+            return true;
+        }
+        return false;
+    }
+
+    parseAlternation() {
+        const options = [this.parseConcatenation()];
+        while (this.eat('|')) {
+            options.push(this.parseConcatenation());
+        }
+        return options.length === 1 ? options[0] : { type: 'alt', options };
+    }
+
+    parseConcatenation() {
+        const items = [];
+        while (this.position < this.source.length && this.peek() !== '|' && this.peek() !== ')') {
+            const atom = this.parseAtom();
+            items.push(this.parseQuantifier(atom));
+        }
+        if (items.length === 0) return { type: 'empty' };
+        return items.length === 1 ? items[0] : { type: 'concat', items };
+    }
+
+    parseQuantifier(atom) {
+        const start = this.position;
+        let min;
+        let max;
+
+        if (this.eat('*')) {
+            [min, max] = [0, Infinity];
+        } else if (this.eat('+')) {
+            [min, max] = [1, Infinity];
+        } else if (this.eat('?')) {
+            [min, max] = [0, 1];
+        } else {
+            const braces = /\{(\d+)(?:(,)(\d*))?\}/y;
+            braces.lastIndex = this.position;
+            const match = braces.exec(this.source);
+            if (!match) return atom;
+
+            this.position = braces.lastIndex;
+            min = Number(match[1]);
+            max = match[2] ? (match[3] ? Number(match[3]) : Infinity) : min;
+            if (max < min) throw new RegexAutomatonError('量词范围颠倒', start);
+        }
+
+        if (this.eat('?')) this.notes.add('惰性量词与贪婪量词识别的语言相同（扫描器取的是第一个匹配）');
+        if (atom.type === 'empty') return atom;
+        return { type: 'repeat', node: atom, min, max };
+    }
+
+    parseAtom() {
+        const start = this.position;
+        const char = this.peek();
+
+        if (char === '(') {
+            this.position++;
+            if (this.eat('?=') || this.eat('?!') || this.eat('?<=') || this.eat('?<!')) {
+                this.parseAlternation();
+                this.expect(')', start);
+                this.notes.add('前瞻/后顾断言无法用自动机表示，按空转移处理');
+                return { type: 'empty' };
+            }
+            if (!this.eat('?:') && this.eat('?<')) {
+                const end = this.source.indexOf('>', this.position);
+                if (end < 0) throw new RegexAutomatonError('命名分组缺少 >', start);
+                this.position = end + 1;
+            }
+            const node = this.parseAlternation();
+            this.expect(')', start);
+            return node;
+        }
+        if (char === '[') return this.parseClass();
+        if (char === '.') {
+            this.position++;
+            const ranges = this.dotAll ? [[0, this.max]] : complementRanges(normalizeRanges(LINE_TERMINATORS), this.max);
+            return { type: 'set', ranges };
+        }
+        if (char === '^' || char === '$') {
+            this.position++;
+            return { type: 'empty' };
+        }
+        if (char === '\\') return this.parseEscape(false);
+        if ('*+?'.includes(char)) {
+            throw new RegexAutomatonError(`量词 ${char} 前面没有内容`, start);
+        }
+
+        const codePoint = this.readCodePoint();
+        return { type: 'set', ranges: [[codePoint, codePoint]] };
+    }
+
+    expect(text, start) {
+        if (!this.eat(text)) throw new RegexAutomatonError(`缺少 ${text}`, start);
+    }
+
+    readCodePoint() {
+        const codePoint = this.unicode ? this.source.codePointAt(this.position) : this.source.charCodeAt(this.position);
+        this.position += codePoint > 0xffff ? 2 : 1;
+        return codePoint;
+    }
+
+    /**
+     * 解析转义序列
+     * @param {boolean} inClass - 是否在字符类中（\b 表示退格）
+     * @returns {Object} 语法树节点（字符集合或空）
+     */
+    parseEscape(inClass) {
+        const start = this.position;
+        this.position++;
+        const char = this.peek();
+        if (char === undefined) throw new RegexAutomatonError('正则以 \\ 结尾', start);
+        this.position++;
+
+        const set = ranges => ({ type: 'set', ranges: normalizeRanges(ranges) });
+        const single = codePoint => set([[codePoint, codePoint]]);
+
+        switch (char) {
+            case 'd': return set(DIGIT);
+            case 'D': return set(complementRanges(DIGIT, this.max));
+            case 'w': return set(WORD);
+            case 'W': return set(complementRanges(WORD, this.max));
+            case 's': return set(SPACE);
+            case 'S': return set(complementRanges(normalizeRanges(SPACE), this.max));
+            case 'n': return single(0x0a);
+            case 'r': return single(0x0d);
+            case 't': return single(0x09);
+            case 'v': return single(0x0b);
+            case 'f': return single(0x0c);
+            case 'b':
+                if (inClass) return single(0x08);
+                this.notes.add('单词边界 \\b 无法用自动机表示，按空转移处理');
+                return { type: 'empty' };
+            case 'B':
+                this.notes.add('单词边界 \\B 无法用自动机表示，按空转移处理');
+                return { type: 'empty' };
+            case '0':
+                if (!/[0-9]/.test(this.peek() || '')) return single(0);
+                break;
+            case 'c': {
+                const letter = this.peek();
+                if (letter && /[A-Za-z]/.test(letter)) {
+                    this.position++;
+                    return single(letter.charCodeAt(0) % 32);
+                }
+                return single('\\'.charCodeAt(0));
+            }
+            case 'x': {
+                const hex = /[0-9a-fA-F]{2}/y;
+                hex.lastIndex = this.position;
+                if (hex.test(this.source)) {
+                    this.position += 2;
+                    return single(parseInt(this.source.slice(this.position - 2, this.position), 16));
+                }
+                return single('x'.charCodeAt(0));
+            }
+            case 'u': {
+                const hex = this.unicode ? /\{([0-9a-fA-F]+)\}|([0-9a-fA-F]{4})/y : /()([0-9a-fA-F]{4})/y;
+                hex.lastIndex = this.position;
+                const match = hex.exec(this.source);
+                if (match) {
+                    this.position = hex.lastIndex;
+                    return single(parseInt(match[1] || match[2], 16));
+                }
+                return single('u'.charCodeAt(0));
+            }
+            case 'p':
+            case 'P': {
+                if (!this.unicode) return single(char.charCodeAt(0));
+                const end = this.source.indexOf('}', this.position);
+                if (this.peek() !== '{' || end < 0) throw new RegexAutomatonError('\\p 缺少 {属性名}', start);
+                const ranges = propertyRanges(this.source.slice(this.position + 1, end), start);
+                this.position = end + 1;
+                return set(char === 'p' ? ranges : complementRanges(ranges, this.max));
+            }
+            case 'k':
+                if (this.unicode || this.peek() === '<') {
+                    throw new RegexAutomatonError('反向引用无法用自动机表示', start);
+                }
+                break;
+            default:
+                break;
+        }
+
+        if (/[1-9]/.test(char) && !inClass) {
+            throw new RegexAutomatonError('反向引用无法用自动机表示', start);
+        }
+
+        // 其余转义表示字符本身
+        this.position = start + 1;
+        return single(this.readCodePoint());
+    }
+
+    /**
+     * 解析字符类 [...]
+     * @returns {Object} 字符集合节点
+     */
+    parseClass() {
+        const start = this.position;
+        this.position++;
+        const negated = this.eat('^');
+        const ranges = [];
+
+        const readItem = () => {
+            if (this.peek() === '\\') {
+                return this.parseEscape(true).ranges || [];
+            }
+            const codePoint = this.readCodePoint();
+            return [[codePoint, codePoint]];
+        };
+
+        while (this.peek() !== ']') {
+            if (this.position >= this.source.length) throw new RegexAutomatonError('字符类缺少 ]', start);
+
+            const first = readItem();
+            const isSingle = first.length === 1 && first[0][0] === first[0][1];
+            if (isSingle && this.peek() === '-' && this.peek(1) !== ']' && this.peek(1) !== undefined) {
+                this.position++;
+                const second = readItem();
+                if (second.length !== 1 || second[0][0] !== second[0][1]) {
+                    ranges.push(...first, [45, 45], ...second);
+                    continue;
+                }
+                if (second[0][0] < first[0][0]) throw new RegexAutomatonError('字符类范围颠倒', start);
+                ranges.push([first[0][0], second[0][0]]);
+            } else {
+                ranges.push(...first);
+            }
+        }
+        this.position++;
+
+        const normalized = normalizeRanges(ranges);
+        return { type: 'set', ranges: negated ? complementRanges(normalized, this.max) : normalized };
+    }
+}
+
+// ==================== 自动机构造 ====================
+
+/**
+ * 补全自动机结构：为每个状态建立出边下标列表
+ * @param {string} kind - 'nfa' | 'dfa' | 'min'
+ * @param {Array} states - [{ id, accepting, detail }]
+ * @param {number} start - 起始状态
+ * @param {Array} transitions - [{ from, to, ranges }]，ranges 为 null 表示 ε
+ * @param {number} max - 最大码点
+ * @returns {Object} 自动机
+ */
+function createAutomaton(kind, states, start, transitions, max) {
+    const outgoing = states.map(() => []);
+    transitions.forEach((transition, index) => {
+        transition.label = transition.ranges === null ? 'ε' : describeRanges(transition.ranges, max);
+        outgoing[transition.from].push(index);
+    });
+    return { kind, states, start, transitions, outgoing };
+}
+
+/**
+ * Thompson 构造：每个语法树节点对应一个只有一个入口和一个出口的片段，片段之间用 ε 转移连接
+ * @param {Object} ast - 正则语法树
+ * @param {number} max - 最大码点
+ * @returns {Object} NFA（唯一的接受状态是最后一个片段的出口）
+ */
+function buildNFA(ast, max) {
+    const states = [];
+    const transitions = [];
+
+    const addState = () => {
+        if (states.length >= MAX_NFA_STATES) {
+            throw new RegexAutomatonError(`NFA 超过 ${MAX_NFA_STATES} 个状态，正则过于复杂`);
+        }
+        states.push({ id: states.length, accepting: false });
+        return states.length - 1;
+    };
+    const connect = (from, to, ranges = null) => transitions.push({ from, to, ranges });
+
+    const build = (node) => {
+        const start = addState();
+        const end = addState();
+
+        switch (node.type) {
+            case 'empty':
+                connect(start, end);
+                break;
+            case 'set':
+                connect(start, end, node.ranges);
+                break;
+            case 'concat': {
+                let previous = start;
+                node.items.forEach(item => {
+                    const fragment = build(item);
+                    connect(previous, fragment.start);
+                    previous = fragment.end;
+                });
+                connect(previous, end);
+                break;
+            }
+            case 'alt':
+                node.options.forEach(option => {
+                    const fragment = build(option);
+                    connect(start, fragment.start);
+                    connect(fragment.end, end);
+                });
+                break;
+            case 'repeat': {
+                // {n,m} 展开为 n 个必选副本和 m-n 个可选副本；无上限时最后一个副本可循环
+                let previous = start;
+                for (let i = 0; i < node.min; i++) {
+                    const fragment = build(node.node);
+                    connect(previous, fragment.start);
+                    previous = fragment.end;
+                }
+                if (node.max === Infinity) {
+                    const fragment = build(node.node);
+                    connect(previous, fragment.start);
+                    connect(fragment.end, fragment.start);
+                    connect(previous, end);
+                    connect(fragment.end, end);
+                } else {
+                    for (let i = node.min; i < node.max; i++) {
+                        const fragment = build(node.node);
+                        connect(previous, fragment.start);
+                        connect(previous, end);
+                        previous = fragment.end;
+                    }
+                    connect(previous, end);
+                }
+                break;
+            }
+            default:
+                throw new RegexAutomatonError(`未知的语法树节点 ${node.type}`);
+        }
+
+        return { start, end };
+    };
+
+    const fragment = build(ast);
+    states[fragment.end].accepting = true;
+    return createAutomaton('nfa', states, fragment.start, transitions, max);
+}
+
+/**
+ * 计算一组状态的 ε 闭包
+ * @param {Object} automaton - 自动机
+ * @param {Iterable<number>} states - 状态
+ * @returns {Array<number>} 排好序的闭包
+ */
+export function epsilonClosure(automaton, states) {
+    const closure = new Set(states);
+    const stack = [...closure];
+    while (stack.length > 0) {
+        const state = stack.pop();
+        automaton.outgoing[state].forEach(index => {
+            const transition = automaton.transitions[index];
+            if (transition.ranges === null && !closure.has(transition.to)) {
+                closure.add(transition.to);
+                stack.push(transition.to);
+            }
+        });
+    }
+    return [...closure].sort((a, b) => a - b);
+}
+
+/**
+ * 把所有转移的字符集合切分成互不相交的"原子"区间，同一原子内的字符对所有转移的行为都相同
+ * @param {Array} transitions - 转移
+ * @returns {Object} { atoms: [[lo, hi]], indexOf(codePoint) }
+ */
+function partitionAlphabet(transitions) {
+    const boundaries = new Set();
+    transitions.forEach(({ ranges }) => {
+        if (ranges === null) return;
+        ranges.forEach(([lo, hi]) => {
+            boundaries.add(lo);
+            boundaries.add(hi + 1);
+        });
+    });
+
+    const points = [...boundaries].sort((a, b) => a - b);
+    const atoms = points.slice(0, -1).map((point, i) => [point, points[i + 1] - 1]);
+    const indexOf = (codePoint) => {
+        let low = 0;
+        let high = points.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (points[mid] <= codePoint) low = mid;
+            else high = mid - 1;
+        }
+        return low;
+    };
+    return { atoms, indexOf };
+}
+
+/**
+ * 子集构造：DFA 的每个状态是 NFA 状态集合的 ε 闭包
+ * @param {Object} nfa - NFA
+ * @param {number} max - 最大码点
+ * @returns {Object} DFA（不含死状态，没有转移的字符即匹配失败）
+ */
+function determinize(nfa, max) {
+    const { atoms, indexOf } = partitionAlphabet(nfa.transitions);
+    const accept = nfa.states.findIndex(state => state.accepting);
+
+    const states = [];
+    const transitions = [];
+    const ids = new Map();
+    const queue = [];
+
+    const addState = (nfaStates) => {
+        const key = nfaStates.join(',');
+        if (ids.has(key)) return ids.get(key);
+        if (states.length >= MAX_DFA_STATES) {
+            throw new RegexAutomatonError(`DFA 超过 ${MAX_DFA_STATES} 个状态，正则过于复杂`);
+        }
+        const id = states.length;
+        states.push({ id, accepting: nfaStates.includes(accept), detail: `NFA 状态 {${nfaStates.join(', ')}}` });
+        ids.set(key, id);
+        queue.push(nfaStates);
+        return id;
+    };
+
+    addState(epsilonClosure(nfa, [nfa.start]));
+    for (let from = 0; from < queue.length; from++) {
+        // 每个原子区间可到达的 NFA 状态
+        const moves = new Map();
+        queue[from].forEach(state => {
+            nfa.outgoing[state].forEach(index => {
+                const { ranges, to } = nfa.transitions[index];
+                if (ranges === null) return;
+                ranges.forEach(([lo, hi]) => {
+                    for (let atom = indexOf(lo), last = indexOf(hi); atom <= last; atom++) {
+                        if (!moves.has(atom)) moves.set(atom, new Set());
+                        moves.get(atom).add(to);
+                    }
+                });
+            });
+        });
+
+        // 目标相同的原子合并为一条转移
+        const byTarget = new Map();
+        const closures = new Map();
+        [...moves.keys()].sort((a, b) => a - b).forEach(atom => {
+            const key = [...moves.get(atom)].sort((a, b) => a - b).join(',');
+            if (!closures.has(key)) closures.set(key, addState(epsilonClosure(nfa, moves.get(atom))));
+            const to = closures.get(key);
+            if (!byTarget.has(to)) byTarget.set(to, []);
+            byTarget.get(to).push(atoms[atom]);
+        });
+        byTarget.forEach((ranges, to) => {
+            transitions.push({ from, to, ranges: normalizeRanges(ranges.map(range => [...range])) });
+        });
+    }
+
+    return createAutomaton('dfa', states, 0, transitions, max);
+}
+
+/**
+ * Moore 算法最小化 DFA：从"接受/不接受"两组开始，不断按转移目标所在的组细分，直到不再变化
+ * @param {Object} dfa - DFA
+ * @param {number} max - 最大码点
+ * @returns {Object} 最小化 DFA，状态按从起点广度优先的顺序编号
+ */
+function minimize(dfa, max) {
+    const { atoms, indexOf } = partitionAlphabet(dfa.transitions);
+
+    // table[state][atom] = 目标状态，-1 表示没有转移
+    const table = dfa.states.map(() => new Array(atoms.length).fill(-1));
+    dfa.transitions.forEach(({ from, to, ranges }) => {
+        ranges.forEach(([lo, hi]) => {
+            for (let atom = indexOf(lo), last = indexOf(hi); atom <= last; atom++) table[from][atom] = to;
+        });
+    });
+
+    let block = dfa.states.map(state => (state.accepting ? 1 : 0));
+    let count = new Set(block).size;
+    for (;;) {
+        const signatures = new Map();
+        const next = dfa.states.map((state, id) => {
+            const signature = `${block[id]}|${table[id].map(to => (to < 0 ? -1 : block[to])).join(',')}`;
+            if (!signatures.has(signature)) signatures.set(signature, signatures.size);
+            return signatures.get(signature);
+        });
+        block = next;
+        if (signatures.size === count) break;
+        count = signatures.size;
+    }
+
+    // 从起点广度优先编号
+    const numbering = new Map([[block[dfa.start], 0]]);
+    const representatives = [dfa.start];
+    for (let i = 0; i < representatives.length; i++) {
+        table[representatives[i]].forEach(to => {
+            if (to >= 0 && !numbering.has(block[to])) {
+                numbering.set(block[to], numbering.size);
+                representatives.push(to);
+            }
+        });
+    }
+
+    const states = representatives.map((representative, id) => {
+        const members = dfa.states.filter(state => block[state.id] === block[representative]).map(state => state.id);
+        return { id, accepting: dfa.states[representative].accepting, detail: `DFA 状态 {${members.join(', ')}}` };
+    });
+
+    const transitions = [];
+    representatives.forEach((representative, from) => {
+        const byTarget = new Map();
+        table[representative].forEach((to, atom) => {
+            if (to < 0) return;
+            const target = numbering.get(block[to]);
+            if (!byTarget.has(target)) byTarget.set(target, []);
+            byTarget.get(target).push([...atoms[atom]]);
+        });
+        byTarget.forEach((ranges, to) => transitions.push({ from, to, ranges: normalizeRanges(ranges) }));
+    });
+
+    return createAutomaton('min', states, 0, transitions, max);
+}
+
+/**
+ * 把正则表达式转换为 NFA、DFA 和最小化 DFA
+ * @param {RegExp|string} regex - 正则（字符串按无标志处理）
+ * @returns {Object} { nfa, dfa, minDfa, notes }
+ * @throws {RegexAutomatonError} 正则无法解析或无法表示为自动机
+ */
+export function compileAutomata(regex) {
+    const source = typeof regex === 'string' ? regex : regex.source;
+    const flags = typeof regex === 'string' ? '' : regex.flags;
+
+    const parser = new RegexParser(source, flags);
+    const ast = parser.parse();
+    const nfa = buildNFA(ast, parser.max);
+    const dfa = determinize(nfa, parser.max);
+    const minDfa = minimize(dfa, parser.max);
+
+    return { nfa, dfa, minDfa, notes: [...parser.notes] };
+}
+
+/**
+ * 自动机读入一个字符
+ * @param {Object} automaton - 自动机
+ * @param {Array<number>} states - 当前状态（已取 ε 闭包）
+ * @param {number} codePoint - 字符码点
+ * @returns {Object} { states: 新状态（ε 闭包）, transitions: 经过的转移下标 }
+ */
+export function stepAutomaton(automaton, states, codePoint) {
+    const targets = new Set();
+    const taken = [];
+    states.forEach(state => {
+        automaton.outgoing[state].forEach(index => {
+            const transition = automaton.transitions[index];
+            if (transition.ranges !== null && rangesContain(transition.ranges, codePoint)) {
+                targets.add(transition.to);
+                taken.push(index);
+            }
+        });
+    });
+    return { states: epsilonClosure(automaton, targets), transitions: taken };
+}
@@ -0,0 +1,284 @@
+// src/modules/registerAllocator.js
+// 寄存器分配 - 在 SSA IR 上计算活跃区间，用线性扫描把值分配到有限个寄存器，放不下的溢出到栈槽
+
+/*
+    是什么: registerAllocation 优化技术对应的遍。等级决定可用的寄存器数，寄存器越少溢出越多，
+            溢出的值需要插入 spill/reload 指令在栈槽和临时寄存器之间搬运。
+    为什么: 寄存器分配是后端最重要的优化之一；在玩家自己的程序上展示溢出数量，
+            比一个固定的倍率更能说明"寄存器越多越快"。
+    如何关联:
+        - `irOptimizer.js`的`OPTIMIZATION_PIPELINE`把它作为最后一个遍；结果只用于展示，
+          目标代码仍然使用分配之前的 IR。
+        - `computeLiveness()`和`buildIntervals()`是通用的活跃性分析。
+        - `registerPuzzle.js`用`buildInterferenceGraph()`生成寄存器分配小游戏的干涉图，以`linearScan()`的溢出数为基线。
+
+    算法: Poletto 和 Sarkar 的线性扫描。
+        - 按块的顺序给 φ、指令和终结指令编号；值的活跃区间是它所有活跃位置的最小覆盖范围（不考虑空洞）。
+        - φ 在前驱末尾并行赋值，所以 φ 的结果和入边值在前驱末尾都是活跃的。
+        - 区间按起点排序扫描，寄存器用完时溢出终点最远的区间。
+    溢出代码:
+        - 溢出的参数和 φ 直接放在栈槽中（%s0）。
+        - 溢出的指令结果先写入临时寄存器（%t0）再 spill；每次使用前 reload 到临时寄存器。
+*/
+
+import { successors, operands } from './ir.js';
+
+// 1 级时的寄存器数为 BASE_REGISTERS + 1
+const BASE_REGISTERS = 2;
+
+/**
+ * 某一技术等级下可用的寄存器数
+ * @param {number} level - 技术等级
+ * @returns {number}
+ */
+export function registerCount(level) {
+    return BASE_REGISTERS + level;
+}
+
+/**
+ * 给模块中的每个函数分配寄存器
+ * @param {Object} module - IR 模块，原地修改
+ * @param {number} level - 技术等级
+ * @returns {Object} { registers, spilled, spillInstructions }
+ */
+export function allocateModuleRegisters(module, level) {
+    const registers = registerCount(level);
+    const stats = { registers, spilled: 0, spillInstructions: 0 };
+    module.functions.forEach(fn => {
+        const { spilled } = linearScan(buildIntervals(fn), registers);
+        stats.spilled += spilled.length;
+        stats.spillInstructions += insertSpillCode(fn, spilled.map(interval => interval.value));
+    });
+    return stats;
+}
+
+/**
+ * 活跃性分析
+ * @param {IRFunction} fn - 函数
+ * @returns {Object} { liveIn: Map(块 → Set), liveOut: Map(块 → Set) }
+ */
+export function computeLiveness(fn) {
+    const defined = new Map();
+    const used = new Map();
+    const phiUses = new Map(fn.blocks.map(block => [block, new Set()]));
+
+    fn.blocks.forEach(block => {
+        const defs = new Set(block.phis.map(phi => phi.dest));
+        const uses = new Set();
+        const use = (value) => {
+            if (value.kind === 'temp' && !defs.has(value)) uses.add(value);
+        };
+        block.instructions.forEach(instruction => {
+            instruction.args.forEach(use);
+            if (instruction.dest) defs.add(instruction.dest);
+        });
+        operands(block.terminator).forEach(use);
+        defined.set(block, defs);
+        used.set(block, uses);
+
+        // φ 的入边值在对应前驱的末尾使用
+        block.phis.forEach(phi => phi.incoming.forEach(entry => {
+            if (entry.value.kind === 'temp' && phiUses.has(entry.block)) phiUses.get(entry.block).add(entry.value);
+        }));
+    });
+
+    const liveIn = new Map(fn.blocks.map(block => [block, new Set()]));
+    const liveOut = new Map(fn.blocks.map(block => [block, new Set()]));
+    let changed = true;
+    while (changed) {
+        changed = false;
+        [...fn.blocks].reverse().forEach(block => {
+            const out = new Set(phiUses.get(block));
+            successors(block).forEach(successor => liveIn.get(successor).forEach(value => out.add(value)));
+            const live = new Set(used.get(block));
+            out.forEach(value => {
+                if (!defined.get(block).has(value)) live.add(value);
+            });
+            if (out.size !== liveOut.get(block).size || live.size !== liveIn.get(block).size) changed = true;
+            liveOut.set(block, out);
+            liveIn.set(block, live);
+        });
+    }
+    return { liveIn, liveOut };
+}
+
+/**
+ * 构建干涉图：两个值在某个定义点同时活跃时不能共用寄存器
+ * 与活跃区间不同，干涉图考虑了区间中的空洞，所以按图着色通常比线性扫描溢出得少
+ * @param {IRFunction} fn - 函数
+ * @returns {Map} 值 → 与它干涉的值的 Set，包含函数中所有的临时值
+ */
+export function buildInterferenceGraph(fn) {
+    const { liveOut } = computeLiveness(fn);
+    const graph = new Map();
+    const node = (value) => {
+        if (!graph.has(value)) graph.set(value, new Set());
+    };
+    const interfere = (a, b) => {
+        if (a === b) return;
+        graph.get(a).add(b);
+        graph.get(b).add(a);
+    };
+    // 同时定义的一组值（φ 或参数）两两干涉，也和定义点之后活跃的值干涉
+    const define = (values, live) => {
+        values.forEach(node);
+        values.forEach(value => {
+            live.forEach(other => interfere(value, other));
+            values.forEach(other => interfere(value, other));
+        });
+        values.forEach(value => live.delete(value));
+    };
+    const use = (value, live) => {
+        if (value.kind !== 'temp') return;
+        node(value);
+        live.add(value);
+    };
+
+    fn.blocks.forEach(block => {
+        const live = new Set(liveOut.get(block));
+        live.forEach(node);
+        operands(block.terminator).forEach(value => use(value, live));
+        [...block.instructions].reverse().forEach(instruction => {
+            if (instruction.dest) define([instruction.dest], live);
+            instruction.args.forEach(value => use(value, live));
+        });
+        define(block.phis.map(phi => phi.dest), live);
+        if (block === fn.blocks[0]) define(fn.params, live);
+    });
+    return graph;
+}
+
+/**
+ * 计算活跃区间。位置 0 是参数，之后每个块依次占用：块开头（φ）、每条指令、终结指令
+ * @param {IRFunction} fn - 函数
+ * @returns {Array<Object>} [{ value, start, end }]，按起点排序
+ */
+export function buildIntervals(fn) {
+    const { liveIn, liveOut } = computeLiveness(fn);
+    const intervals = new Map();
+    const extend = (value, position) => {
+        if (value.kind !== 'temp') return;
+        const interval = intervals.get(value);
+        if (!interval) {
+            intervals.set(value, { value, start: position, end: position });
+        } else {
+            interval.start = Math.min(interval.start, position);
+            interval.end = Math.max(interval.end, position);
+        }
+    };
+
+    const ranges = new Map();
+    let position = 0;
+    fn.blocks.forEach(block => {
+        const start = ++position;
+        position += block.instructions.length + 1;
+        ranges.set(block, { start, end: position });
+    });
+
+    fn.params.forEach(param => extend(param, 0));
+    fn.blocks.forEach(block => {
+        const { start, end } = ranges.get(block);
+        block.phis.forEach(phi => {
+            extend(phi.dest, start);
+            phi.incoming.forEach(entry => {
+                const pred = ranges.get(entry.block);
+                extend(phi.dest, pred.end);
+                extend(entry.value, pred.end);
+            });
+        });
+        block.instructions.forEach((instruction, index) => {
+            instruction.args.forEach(arg => extend(arg, start + 1 + index));
+            if (instruction.dest) extend(instruction.dest, start + 1 + index);
+        });
+        operands(block.terminator).forEach(value => extend(value, end));
+        liveIn.get(block).forEach(value => extend(value, start));
+        liveOut.get(block).forEach(value => extend(value, end));
+    });
+
+    return [...intervals.values()].sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+/**
+ * 线性扫描分配，分配到的寄存器写入区间和值的 register
+ * @param {Array<Object>} intervals - buildIntervals() 的返回值
+ * @param {number} registerCount - 可用寄存器数
+ * @returns {Object} { spilled: [区间] }
+ */
+export function linearScan(intervals, registerCount) {
+    const free = Array.from({ length: registerCount }, (_, index) => index);
+    let active = [];
+    const spilled = [];
+
+    intervals.forEach(interval => {
+        // 终点在当前起点之前的区间释放寄存器；同一位置结束和开始的区间不共用寄存器
+        active = active.filter(other => {
+            if (other.end >= interval.start) return true;
+            free.push(other.register);
+            return false;
+        });
+        free.sort((a, b) => a - b);
+
+        if (free.length > 0) {
+            interval.register = free.shift();
+            active.push(interval);
+            return;
+        }
+
+        const victim = active.reduce((farthest, other) => other.end > farthest.end ? other : farthest, active[0]);
+        if (victim && victim.end > interval.end) {
+            interval.register = victim.register;
+            delete victim.register;
+            spilled.push(victim);
+            active = active.filter(other => other !== victim);
+            active.push(interval);
+        } else {
+            spilled.push(interval);
+        }
+    });
+
+    intervals.forEach(interval => {
+        if (interval.register !== undefined) interval.value.register = interval.register;
+    });
+    return { spilled };
+}
+
+/**
+ * 给溢出的值分配栈槽并插入 spill/reload
+ * @param {IRFunction} fn - 函数，原地修改
+ * @param {Array<Object>} values - 溢出的值
+ * @returns {number} 插入的指令数
+ */
+export function insertSpillCode(fn, values) {
+    const spilled = new Set(values);
+    values.forEach((value, slot) => { value.slot = slot; });
+    const scratch = (index) => ({ kind: 'temp', id: fn.nextValue++, hint: null, scratch: index });
+    let inserted = 0;
+
+    fn.blocks.forEach(block => {
+        const instructions = [];
+        const reload = (value, index) => {
+            if (!spilled.has(value)) return value;
+            const register = scratch(index);
+            instructions.push({ op: 'reload', dest: register, args: [], slot: value.slot });
+            inserted++;
+            return register;
+        };
+
+        block.instructions.forEach(instruction => {
+            instruction.args = instruction.args.map(reload);
+            instructions.push(instruction);
+            if (instruction.dest && spilled.has(instruction.dest)) {
+                const { slot } = instruction.dest;
+                instruction.dest = scratch(0);
+                instructions.push({ op: 'spill', dest: null, args: [instruction.dest], slot });
+                inserted++;
+            }
+        });
+
+        const { terminator } = block;
+        if (terminator.op === 'cbr') terminator.cond = reload(terminator.cond, 0);
+        if (terminator.op === 'ret') terminator.value = reload(terminator.value, 0);
+        block.instructions = instructions;
+    });
+    return inserted;
+}
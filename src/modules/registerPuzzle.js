@@ -0,0 +1,137 @@
+// src/modules/registerPuzzle.js
+// 寄存器分配谜题 - 玩家给编译出的函数的干涉图着色，用比线性扫描更少的溢出换取优化代码奖励
+
+/*
+    是什么: 寄存器分配小游戏。每个临时值是干涉图中的一个节点，同时活跃的值之间有边；
+            玩家给每个节点选一个寄存器（颜色）或把它溢出到栈上，相邻节点不能使用同一个寄存器。
+    为什么: 寄存器分配本质上就是图着色。线性扫描把活跃区间当成连续的一段，会比真正的干涉图保守，
+            玩家可以利用区间中的空洞做得比它更好。
+    如何关联:
+        - 干涉图来自`registerAllocator.js`的`buildInterferenceGraph()`，基线是同一个函数上`linearScan()`的溢出数。
+        - 可用寄存器数与 registerAllocation 遍相同，由技术等级决定（`registerCount()`）。
+        - 谜题由函数的 IR 文本和寄存器数确定；`CodeOptimizer.puzzleRecords`记录每个谜题
+          比基线少溢出的最多个数，总数决定优化代码的产出倍率（`REGISTER_PUZZLE`）。
+*/
+
+import { cloneFunction, nameValues, printFunction, formatBlock } from './ir.js';
+import { buildInterferenceGraph, buildIntervals, linearScan } from './registerAllocator.js';
+import { hashString } from './manualReward.js';
+
+// 节点的分配状态：未分配为 null，溢出为 SPILL，其余为寄存器编号
+export const SPILL = -1;
+
+export class RegisterPuzzle {
+    /**
+     * @param {IRFunction} fn - 函数，不会被修改
+     * @param {number} registers - 可用寄存器数
+     */
+    constructor(fn, registers) {
+        const copy = cloneFunction(fn);
+        const names = nameValues(copy);
+        const graph = buildInterferenceGraph(copy);
+
+        this.functionName = fn.name;
+        this.registers = registers;
+        this.key = hashString(`${registers}\u0000${printFunction(fn)}`);
+
+        // 每个值的定义位置，用于提示
+        const definitions = new Map(copy.params.map(param => [param, { block: null, text: '参数' }]));
+        copy.blocks.forEach(block => {
+            const { phis, instructions } = formatBlock(block, names);
+            block.phis.forEach((phi, index) => definitions.set(phi.dest, { block: block.name, text: phis[index] }));
+            block.instructions.forEach((instruction, index) => {
+                if (instruction.dest) definitions.set(instruction.dest, { block: block.name, text: instructions[index] });
+            });
+        });
+
+        const values = [...graph.keys()];
+        const index = new Map(values.map((value, id) => [value, id]));
+        this.nodes = values.map((value, id) => ({
+            id,
+            name: names.get(value),
+            definition: definitions.get(value) || { block: null, text: '' },
+            neighbours: [...graph.get(value)].map(other => index.get(other)).sort((a, b) => a - b)
+        }));
+        this.edges = [];
+        this.nodes.forEach(node => node.neighbours.forEach(other => {
+            if (other > node.id) this.edges.push([node.id, other]);
+        }));
+
+        // 基线：线性扫描的分配结果
+        const { spilled } = linearScan(buildIntervals(copy), registers);
+        this.baselineAssignment = values.map(value => value.register === undefined ? SPILL : value.register);
+        this.baselineSpills = spilled.length;
+
+        this.assignment = this.nodes.map(() => null);
+    }
+
+    /**
+     * 给节点分配寄存器或溢出
+     * @param {number} id - 节点编号
+     * @param {number|null} register - 寄存器编号、SPILL 或 null（清除）
+     * @returns {boolean} 是否成功
+     */
+    assign(id, register) {
+        if (!this.nodes[id]) return false;
+        if (register !== null && register !== SPILL && !(Number.isInteger(register) && register >= 0 && register < this.registers)) {
+            return false;
+        }
+        this.assignment[id] = register;
+        return true;
+    }
+
+    /**
+     * 把所有节点恢复为未分配
+     */
+    clear() {
+        this.assignment = this.nodes.map(() => null);
+    }
+
+    /**
+     * 从线性扫描的结果开始
+     */
+    loadBaseline() {
+        this.assignment = [...this.baselineAssignment];
+    }
+
+    /**
+     * 某个节点的邻居已经占用的寄存器
+     * @param {number} id - 节点编号
+     * @returns {Set<number>}
+     */
+    blockedRegisters(id) {
+        return new Set(this.nodes[id].neighbours
+            .map(other => this.assignment[other])
+            .filter(register => register !== null && register !== SPILL));
+    }
+
+    /**
+     * 两端使用同一个寄存器的边
+     * @returns {Array} [[a, b]]
+     */
+    conflicts() {
+        return this.edges.filter(([a, b]) => {
+            const register = this.assignment[a];
+            return register !== null && register !== SPILL && register === this.assignment[b];
+        });
+    }
+
+    /**
+     * 评估当前的分配
+     * @returns {Object} { unassigned, spills, conflicts, complete, saved }
+     *          complete 表示每个节点都已分配且没有冲突，saved 是比基线少溢出的个数
+     */
+    evaluate() {
+        const unassigned = this.assignment.filter(register => register === null).length;
+        const spills = this.assignment.filter(register => register === SPILL).length;
+        const conflicts = this.conflicts();
+        const complete = unassigned === 0 && conflicts.length === 0;
+        return {
+            unassigned,
+            spills,
+            conflicts,
+            complete,
+            saved: complete ? Math.max(0, this.baselineSpills - spills) : 0
+        };
+    }
+}
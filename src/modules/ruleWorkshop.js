@@ -0,0 +1,288 @@
+// src/modules/ruleWorkshop.js
+// 词法规则工坊
+
+/*
+    是什么: 让玩家自己编写、排序令牌规则（正则表达式）的工坊，负责编译规则、检查冲突、预览和评分。
+    为什么: 内置语言包的规则是固定的，玩家从不接触"按规则扫描"本身。工坊把编写词法规则变成玩法，
+            写得好的规则集能提高该语言的手动 Token 收益。
+    如何关联:
+        - 预览使用一个独立的`Tokenizer`，通过`Tokenizer.useRules()`换上玩家的规则，
+          关键字和缩进处理仍来自当前语言包；评分时与语言包自带规则的结果逐个令牌比较。
+        - 评分用的测试代码是语言包的`workshopSample`。
+        - 玩家的规则和各语言的最高评分保存在`GameState.workshop`中，奖励倍率由`Game`叠加到手动收益上。
+        - 规则冲突检查:
+            InvalidRegex - 正则语法错误（该规则不参与扫描）
+            EmptyMatch   - 可以匹配空字符串（扫描器会跳过空匹配，说明规则写得有问题）
+            Shadowed     - 排在前面的规则只匹配了一部分，后面本可以匹配更长的规则被挡住（如 == 排在 === 之前）
+            UnusedRule   - 在测试代码中从未生效
+*/
+
+import { Tokenizer } from './tokenizer.js';
+import { WORKSHOP_CONFIG } from '../utils/constants.js';
+
+// 缩进令牌由语言包生成，与玩家规则无关
+const LAYOUT_TYPES = new Set(['NEWLINE', 'INDENT', 'DEDENT']);
+
+const WHITESPACE = /\s+/y;
+
+/**
+ * 截断过长的示例文本
+ * @param {string} text - 文本
+ * @returns {string} 最多 20 个字符
+ */
+function excerpt(text) {
+    return text.length > 20 ? `${text.slice(0, 20)}…` : text;
+}
+
+export class RuleWorkshop {
+    /**
+     * @param {string} languageId - 语言包 id
+     */
+    constructor(languageId = 'javascript') {
+        this.tokenizer = new Tokenizer(languageId);
+        this.reference = new Tokenizer(languageId);
+        this.rules = [];
+    }
+
+    /**
+     * 切换语言并使用该语言的规则列表
+     * @param {string} languageId - 语言包 id
+     * @param {Array} rules - 玩家规则 [{ id, type, pattern }]（直接修改该数组）
+     */
+    load(languageId, rules) {
+        this.tokenizer.setLanguage(languageId);
+        this.reference.setLanguage(languageId);
+        this.rules = rules;
+    }
+
+    /**
+     * 创建初始规则列表
+     * @returns {Array} 规则 [{ id, type, pattern }]
+     */
+    static createStarterRules() {
+        return WORKSHOP_CONFIG.starterRules.map((rule, index) => ({ id: index + 1, ...rule }));
+    }
+
+    /**
+     * 在末尾添加规则
+     * @param {string} type - 令牌类型
+     * @param {string} pattern - 正则表达式源码
+     * @returns {Object|null} 新规则，超过数量上限时为 null
+     */
+    addRule(type = 'OPERATOR', pattern = '') {
+        if (this.rules.length >= WORKSHOP_CONFIG.maxRules) {
+            return null;
+        }
+
+        const id = this.rules.reduce((max, rule) => Math.max(max, rule.id), 0) + 1;
+        const rule = { id, type, pattern };
+        this.rules.push(rule);
+        return rule;
+    }
+
+    /**
+     * 修改规则
+     * @param {number} id - 规则 id
+     * @param {Object} changes - { type?, pattern? }
+     * @returns {boolean} 是否修改成功
+     */
+    updateRule(id, changes) {
+        const rule = this.rules.find(rule => rule.id === id);
+        if (!rule) return false;
+
+        if (changes.type !== undefined && WORKSHOP_CONFIG.tokenTypes.includes(changes.type)) {
+            rule.type = changes.type;
+        }
+        if (changes.pattern !== undefined) {
+            rule.pattern = String(changes.pattern);
+        }
+        return true;
+    }
+
+    /**
+     * 调整规则顺序
+     * @param {number} id - 规则 id
+     * @param {number} offset - -1 上移，1 下移
+     * @returns {boolean} 是否移动
+     */
+    moveRule(id, offset) {
+        const index = this.rules.findIndex(rule => rule.id === id);
+        const target = index + offset;
+        if (index < 0 || target < 0 || target >= this.rules.length) return false;
+
+        [this.rules[index], this.rules[target]] = [this.rules[target], this.rules[index]];
+        return true;
+    }
+
+    /**
+     * 删除规则
+     * @param {number} id - 规则 id
+     * @returns {boolean} 是否删除
+     */
+    removeRule(id) {
+        const index = this.rules.findIndex(rule => rule.id === id);
+        if (index < 0) return false;
+
+        this.rules.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * 编译玩家规则
+     * @returns {Object} { compiled: [{ rule, regex, sticky }], problems }
+     */
+    compile() {
+        const compiled = [];
+        const problems = [];
+
+        this.rules.forEach(rule => {
+            if (!rule.pattern) {
+                problems.push(this.createProblem(rule, 'error', 'InvalidRegex', '正则表达式为空'));
+                return;
+            }
+
+            try {
+                compiled.push({
+                    rule,
+                    regex: new RegExp(`^(?:${rule.pattern})`, 'u'),
+                    sticky: new RegExp(`(?:${rule.pattern})`, 'uy')
+                });
+            } catch (error) {
+                problems.push(this.createProblem(rule, 'error', 'InvalidRegex', `正则语法错误: ${error.message}`));
+            }
+        });
+
+        return { compiled, problems };
+    }
+
+    /**
+     * 检查并预览玩家规则，同时给出评分
+     * @param {string} previewCode - 预览代码
+     * @returns {Object} { tokens, previewAccuracy, accuracy, score, problems }
+     */
+    evaluate(previewCode) {
+        const { compiled, problems } = this.compile();
+        const language = this.tokenizer.language;
+        const testCode = language.workshopSample || language.sample;
+
+        this.tokenizer.useRules(compiled.map(({ rule, regex }) => ({ type: rule.type, regex })));
+
+        problems.push(...this.findConflicts(compiled, [testCode, previewCode]));
+
+        const accuracy = this.measureAccuracy(testCode);
+        const errors = problems.filter(problem => problem.severity === 'error').length;
+        const warnings = problems.length - errors;
+        const score = errors > 0 ? 0 : accuracy * Math.max(0, 1 - WORKSHOP_CONFIG.warningPenalty * warnings);
+
+        return {
+            tokens: this.tokenizer.tokenize(previewCode),
+            previewAccuracy: this.measureAccuracy(previewCode),
+            accuracy,
+            score: Math.round(score * 1000) / 1000,
+            problems
+        };
+    }
+
+    /**
+     * 按扫描器的方式（跳过空白，第一个非空匹配胜出）走一遍代码，检查空匹配、遮蔽和从未生效的规则
+     * @param {Array} compiled - compile() 的结果
+     * @param {Array<string>} texts - 要检查的代码
+     * @returns {Array} 问题列表
+     * @private
+     */
+    findConflicts(compiled, texts) {
+        const problems = [];
+        const wins = new Set();
+        const emptyMatches = new Set();
+        const shadowed = new Map();
+
+        // 能匹配空串的规则在任何位置都可能产生空匹配
+        compiled.forEach(({ rule, regex }) => {
+            if (new RegExp(`${regex.source}$`, 'u').test('')) emptyMatches.add(rule);
+        });
+
+        texts.forEach(text => {
+            let position = 0;
+            while (position < text.length) {
+                WHITESPACE.lastIndex = position;
+                if (WHITESPACE.test(text)) {
+                    position = WHITESPACE.lastIndex;
+                    continue;
+                }
+
+                const lengths = compiled.map(({ rule, sticky }) => {
+                    sticky.lastIndex = position;
+                    const match = sticky.exec(text);
+                    if (match && match[0].length === 0) emptyMatches.add(rule);
+                    return match ? match[0].length : 0;
+                });
+
+                const winner = lengths.findIndex(length => length > 0);
+                if (winner < 0) {
+                    position += String.fromCodePoint(text.codePointAt(position)).length;
+                    continue;
+                }
+
+                wins.add(compiled[winner].rule);
+                for (let i = winner + 1; i < compiled.length; i++) {
+                    const key = `${compiled[winner].rule.id}:${compiled[i].rule.id}`;
+                    if (lengths[i] > lengths[winner] && !shadowed.has(key)) {
+                        shadowed.set(key, {
+                            rule: compiled[i].rule,
+                            by: compiled[winner].rule,
+                            matched: excerpt(text.slice(position, position + lengths[winner])),
+                            lost: excerpt(text.slice(position, position + lengths[i]))
+                        });
+                    }
+                }
+                position += lengths[winner];
+            }
+        });
+
+        emptyMatches.forEach(rule => {
+            problems.push(this.createProblem(rule, 'error', 'EmptyMatch', '规则可以匹配空字符串'));
+        });
+        shadowed.forEach(({ rule, by, matched, lost }) => {
+            const byIndex = this.rules.indexOf(by) + 1;
+            problems.push(this.createProblem(rule, 'warning', 'Shadowed',
+                `被第 ${byIndex} 条规则遮蔽: "${lost}" 只匹配到 "${matched}"`));
+        });
+        const shadowedRules = new Set(Array.from(shadowed.values(), ({ rule }) => rule));
+        compiled.forEach(({ rule }) => {
+            if (!wins.has(rule) && !emptyMatches.has(rule) && !shadowedRules.has(rule)) {
+                problems.push(this.createProblem(rule, 'warning', 'UnusedRule', '在测试代码和预览代码中从未生效'));
+            }
+        });
+
+        return problems;
+    }
+
+    /**
+     * 玩家规则的令牌与语言包规则的令牌一致的比例（位置、长度和类型都相同才算一致）
+     * @param {string} code - 代码
+     * @returns {number} 0 ~ 1
+     */
+    measureAccuracy(code) {
+        const key = token => `${token.position}:${token.end}:${token.type}`;
+        const expected = this.reference.tokenize(code).filter(token => !LAYOUT_TYPES.has(token.type));
+        const actual = this.tokenizer.tokenize(code).filter(token => !LAYOUT_TYPES.has(token.type));
+        if (expected.length === 0 && actual.length === 0) return 1;
+
+        const expectedKeys = new Set(expected.map(key));
+        const matched = actual.filter(token => expectedKeys.has(key(token))).length;
+        return matched / Math.max(expected.length, actual.length);
+    }
+
+    /**
+     * 创建规则问题
+     * @param {Object} rule - 规则
+     * @param {string} severity - 'error' | 'warning'
+     * @param {string} type - 问题类型
+     * @param {string} message - 说明
+     * @returns {Object} { ruleId, severity, type, message }
+     * @private
+     */
+    createProblem(rule, severity, type, message) {
+        return { ruleId: rule.id, severity, type, message };
+    }
+}
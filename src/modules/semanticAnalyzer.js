@@ -0,0 +1,618 @@
+// src/modules/semanticAnalyzer.js
+// 语义分析器模块
+
+/*
+    是什么: 在 AST 上建立作用域树和符号表，把每个标识符引用解析到它的声明，并报告语义问题。
+    为什么: 语法正确的程序仍然可能引用不存在的变量、重复声明或在声明前使用变量。
+            代码生成之前需要有一个真正"理解"程序的阶段，这也是编译器流水线中
+            语法分析（astNodes）与代码生成（generatedCode）之间的"语义节点"资源的来源。
+    如何关联:
+        - 输入是`Parser.parse()`的 ESTree AST，诊断格式与`Tokenizer.getDiagnostics()`相同，
+          由`Game.runSyntaxAnalysis()`合并显示在诊断面板中。
+        - 奖励按声明和成功解析的引用计算，见`constants.js`中的`SEMANTIC_REWARD`。
+
+    分两遍:
+        1. 声明: 创建作用域，var 提升到函数作用域，let/const/class/function 留在所在块，
+           参数和 catch 参数放入各自的作用域。
+        2. 解析: 沿作用域链查找每个引用；let/const/class 在声明之前使用（同一函数内）为暂时性死区错误，
+           var 在声明之前使用为警告。
+    模块: import 的本地名字是全局作用域中的只读绑定（不能重复声明，也不能赋值）；
+          导出的绑定被其他模块使用，不报告未使用。导入的名字是否真的存在由`linker.js`检查。
+*/
+
+import { getChildNodes } from '../utils/astUtils.js';
+
+// 宿主环境提供的全局名称，引用它们不算未声明
+const KNOWN_GLOBALS = new Set([
+    'undefined', 'NaN', 'Infinity', 'globalThis', 'arguments',
+    'Object', 'Function', 'Array', 'String', 'Number', 'Boolean', 'Symbol', 'BigInt',
+    'Math', 'JSON', 'Date', 'RegExp', 'Promise', 'Proxy', 'Reflect',
+    'Map', 'Set', 'WeakMap', 'WeakSet',
+    'Error', 'TypeError', 'RangeError', 'SyntaxError', 'ReferenceError',
+    'parseInt', 'parseFloat', 'isNaN', 'isFinite', 'encodeURIComponent', 'decodeURIComponent',
+    'console', 'window', 'document', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval'
+]);
+
+// 块级声明：同一作用域内不能与任何名称重复，声明之前处于暂时性死区
+const LEXICAL_KINDS = new Set(['let', 'const', 'class']);
+
+const KIND_NAMES = {
+    var: '变量',
+    let: '变量',
+    const: '常量',
+    class: '类',
+    function: '函数',
+    param: '参数',
+    catch: 'catch 参数',
+    enum: '枚举',
+    import: '导入'
+};
+
+/**
+ * 作用域
+ */
+export class Scope {
+    /**
+     * @param {string} kind - 'global' | 'function' | 'block' | 'catch' | 'class'
+     * @param {Object} node - 创建作用域的节点
+     * @param {Scope|null} parent - 外层作用域
+     */
+    constructor(kind, node, parent) {
+        this.id = 0;
+        this.kind = kind;
+        this.node = node;
+        this.parent = parent;
+        this.children = [];
+        this.symbols = new Map();
+
+        if (parent) parent.children.push(this);
+    }
+
+    /**
+     * 沿作用域链查找符号
+     * @param {string} name - 名称
+     * @returns {Object|null} 符号
+     */
+    lookup(name) {
+        for (let scope = this; scope; scope = scope.parent) {
+            if (scope.symbols.has(name)) return scope.symbols.get(name);
+        }
+        return null;
+    }
+
+    /**
+     * 最近的函数（或全局）作用域，var 声明提升到这里
+     * @returns {Scope} 作用域
+     */
+    getFunctionScope() {
+        let scope = this;
+        while (scope.kind !== 'function' && scope.kind !== 'global') scope = scope.parent;
+        return scope;
+    }
+}
+
+/**
+ * 语义分析器类
+ */
+export class SemanticAnalyzer {
+    /**
+     * 分析一棵 AST
+     * @param {Object} ast - Parser.parse() 返回的 Program 节点
+     * @returns {Object} {
+     *     globalScope, scopes, symbols, references, diagnostics,
+     *     stats: { scopes, symbols, references, resolved }
+     * }
+     * 符号为 { name, kind, node, declaration, scope, references }，
+     * 引用为 { node, symbol (未解析为 null), scope, read, write }
+     */
+    analyze(ast) {
+        this.scopes = [];
+        this.symbols = [];
+        this.references = [];
+        this.diagnostics = [];
+        this.scopeByNode = new Map();
+
+        const globalScope = this.createScope('global', ast, null);
+        getChildNodes(ast).forEach(child => this.declare(child, globalScope));
+        getChildNodes(ast).forEach(child => this.resolve(child, globalScope));
+        this.reportUnused();
+
+        const diagnostics = this.diagnostics.sort((a, b) => a.from - b.from);
+        return {
+            globalScope,
+            scopes: this.scopes,
+            symbols: this.symbols,
+            references: this.references,
+            diagnostics,
+            stats: {
+                scopes: this.scopes.length,
+                symbols: this.symbols.length,
+                references: this.references.length,
+                resolved: this.references.filter(reference => reference.symbol).length
+            }
+        };
+    }
+
+    // ==================== 第一遍：声明 ====================
+
+    /**
+     * 创建作用域并记录创建它的节点
+     * @private
+     */
+    createScope(kind, node, parent) {
+        const scope = new Scope(kind, node, parent);
+        scope.id = this.scopes.length;
+        this.scopes.push(scope);
+        this.scopeByNode.set(node, scope);
+        return scope;
+    }
+
+    /**
+     * 遍历节点，创建作用域并声明符号
+     * @param {Object} node - 节点
+     * @param {Scope} scope - 当前作用域
+     * @private
+     */
+    declare(node, scope) {
+        let inner = scope;
+
+        switch (node.type) {
+            case 'FunctionDeclaration':
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+                if (node.type === 'FunctionDeclaration' && node.id) {
+                    this.addSymbol(scope, node.id, 'function', node);
+                }
+                inner = this.createScope('function', node, scope);
+                if (node.type === 'FunctionExpression' && node.id) {
+                    // 具名函数表达式的名字只在函数内部可见，不检查是否使用
+                    this.addSymbol(inner, node.id, 'function', node).selfName = true;
+                }
+                node.params.forEach(param => this.declarePattern(param, inner, 'param', node));
+                // 函数体与参数共用一个作用域
+                if (node.body.type === 'BlockStatement') this.scopeByNode.set(node.body, inner);
+                break;
+
+            case 'ClassDeclaration':
+            case 'ClassExpression':
+                if (node.type === 'ClassDeclaration' && node.id) {
+                    this.addSymbol(scope, node.id, 'class', node);
+                } else if (node.id) {
+                    inner = this.createScope('class', node, scope);
+                    this.addSymbol(inner, node.id, 'class', node).selfName = true;
+                }
+                break;
+
+            case 'VariableDeclaration': {
+                const target = node.kind === 'var' ? scope.getFunctionScope() : scope;
+                node.declarations.forEach(declarator => this.declarePattern(declarator.id, target, node.kind, declarator));
+                break;
+            }
+
+            case 'TSEnumDeclaration':
+                this.addSymbol(scope, node.id, 'enum', node);
+                break;
+
+            case 'ImportDeclaration':
+                node.specifiers.forEach(specifier => this.addSymbol(scope, specifier.local, 'import', specifier));
+                return;
+
+            case 'ExportNamedDeclaration':
+                if (node.declaration) {
+                    this.declare(node.declaration, scope);
+                    this.declaredNames(node.declaration).forEach(name => {
+                        scope.symbols.get(name).exported = true;
+                    });
+                }
+                return;
+
+            case 'BlockStatement':
+                inner = this.scopeByNode.get(node) || this.createScope('block', node, scope);
+                break;
+
+            case 'ForStatement':
+            case 'ForInStatement':
+            case 'ForOfStatement':
+            case 'SwitchStatement':
+                inner = this.createScope('block', node, scope);
+                break;
+
+            case 'CatchClause':
+                inner = this.createScope('catch', node, scope);
+                if (node.param) this.declarePattern(node.param, inner, 'catch', node);
+                this.scopeByNode.set(node.body, inner);
+                break;
+
+            default:
+                break;
+        }
+
+        getChildNodes(node).forEach(child => this.declare(child, inner));
+    }
+
+    /**
+     * 声明模式中的所有名称（标识符、解构、默认值、剩余元素）
+     * @param {Object} pattern - 模式节点
+     * @param {Scope} scope - 作用域
+     * @param {string} kind - 符号种类
+     * @param {Object} declaration - 声明节点
+     * @private
+     */
+    declarePattern(pattern, scope, kind, declaration) {
+        switch (pattern.type) {
+            case 'Identifier':
+                this.addSymbol(scope, pattern, kind, declaration);
+                break;
+            case 'AssignmentPattern':
+                this.declarePattern(pattern.left, scope, kind, declaration);
+                break;
+            case 'RestElement':
+                this.declarePattern(pattern.argument, scope, kind, declaration);
+                break;
+            case 'ArrayPattern':
+                pattern.elements.forEach(element => {
+                    if (element) this.declarePattern(element, scope, kind, declaration);
+                });
+                break;
+            case 'ObjectPattern':
+                pattern.properties.forEach(property => {
+                    this.declarePattern(property.type === 'RestElement' ? property : property.value, scope, kind, declaration);
+                });
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * 在作用域中添加符号，检查重复声明
+     * @param {Scope} scope - 作用域
+     * @param {Object} identifier - 名称所在的 Identifier 节点
+     * @param {string} kind - 符号种类
+     * @param {Object} declaration - 声明节点
+     * @returns {Object} 符号（重复的 var/function 声明返回已有符号）
+     * @private
+     */
+    addSymbol(scope, identifier, kind, declaration) {
+        const existing = scope.symbols.get(identifier.name);
+        if (existing) {
+            // var 与 var、function、同名参数之间可以重复声明；块级声明、导入和参数之间不行
+            const redeclarable = !LEXICAL_KINDS.has(kind) && !LEXICAL_KINDS.has(existing.kind) &&
+                kind !== 'import' && existing.kind !== 'import' &&
+                !(kind === 'param' && existing.kind === 'param') && existing.kind !== 'catch';
+            if (!redeclarable) {
+                this.report('error', 'DuplicateDeclaration', identifier,
+                    `重复声明 '${identifier.name}'（第${existing.node.loc.start.line}行已声明为${KIND_NAMES[existing.kind]}）`);
+            }
+            existing.redeclarations = (existing.redeclarations || 0) + 1;
+            return existing;
+        }
+
+        const symbol = { name: identifier.name, kind, node: identifier, declaration, scope, references: [] };
+        scope.symbols.set(identifier.name, symbol);
+        this.symbols.push(symbol);
+        return symbol;
+    }
+
+    /**
+     * 导出的声明所声明的名字
+     * @param {Object} declaration - 函数、类或变量声明
+     * @returns {Array<string>}
+     * @private
+     */
+    declaredNames(declaration) {
+        if (declaration.type !== 'VariableDeclaration') return [declaration.id.name];
+
+        const names = [];
+        const collect = (pattern) => {
+            switch (pattern.type) {
+                case 'Identifier': names.push(pattern.name); break;
+                case 'AssignmentPattern': collect(pattern.left); break;
+                case 'RestElement': collect(pattern.argument); break;
+                case 'ArrayPattern': pattern.elements.forEach(element => element && collect(element)); break;
+                case 'ObjectPattern':
+                    pattern.properties.forEach(property => collect(property.type === 'RestElement' ? property : property.value));
+                    break;
+                default: break;
+            }
+        };
+        declaration.declarations.forEach(declarator => collect(declarator.id));
+        return names;
+    }
+
+    // ==================== 第二遍：解析引用 ====================
+
+    /**
+     * 遍历节点，解析其中的标识符引用
+     * @param {Object} node - 节点
+     * @param {Scope} scope - 当前作用域
+     * @private
+     */
+    resolve(node, scope) {
+        const inner = this.scopeByNode.get(node) || scope;
+
+        switch (node.type) {
+            case 'Identifier':
+                this.addReference(node, scope, { read: true, write: false });
+                return;
+
+            case 'MemberExpression':
+                this.resolve(node.object, scope);
+                if (node.computed) this.resolve(node.property, scope);
+                return;
+
+            case 'Property':
+            case 'MethodDefinition':
+            case 'PropertyDefinition':
+                if (node.computed) this.resolve(node.key, scope);
+                // 简写属性的 key 和 value 是同一个节点
+                if (node.value) this.resolve(node.value, scope);
+                return;
+
+            case 'LabeledStatement':
+                this.resolve(node.body, scope);
+                return;
+
+            case 'BreakStatement':
+            case 'ContinueStatement':
+            case 'ImportDeclaration':
+                return;
+
+            case 'ExportNamedDeclaration':
+                if (node.declaration) this.resolve(node.declaration, scope);
+                // export { a as b } 读取本地绑定 a
+                node.specifiers.forEach(specifier => this.addReference(specifier.local, scope, { read: true, write: false }));
+                return;
+
+            // 类型名称属于另一个命名空间，由 TypeChecker 检查
+            case 'TSTypeAnnotation':
+            case 'TSTypeAliasDeclaration':
+            case 'TSInterfaceDeclaration':
+                return;
+
+            case 'TSEnumDeclaration':
+                node.members.forEach(member => {
+                    if (member.initializer) this.resolve(member.initializer, scope);
+                });
+                return;
+
+            case 'VariableDeclarator':
+                this.resolvePattern(node.id, scope);
+                if (node.init) this.resolve(node.init, scope);
+                return;
+
+            case 'FunctionDeclaration':
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+                node.params.forEach(param => this.resolvePattern(param, inner));
+                this.resolve(node.body, inner);
+                return;
+
+            case 'ClassDeclaration':
+            case 'ClassExpression':
+                if (node.superClass) this.resolve(node.superClass, scope);
+                this.resolve(node.body, inner);
+                return;
+
+            case 'CatchClause':
+                if (node.param) this.resolvePattern(node.param, inner);
+                getChildNodes(node.body).forEach(child => this.resolve(child, inner));
+                return;
+
+            case 'AssignmentExpression':
+                if (node.left.type === 'Identifier') {
+                    // 复合赋值（+= 等）同时读取原值
+                    this.addReference(node.left, scope, { read: node.operator !== '=', write: true });
+                } else {
+                    this.resolveAssignmentTarget(node.left, scope);
+                }
+                this.resolve(node.right, scope);
+                return;
+
+            case 'UpdateExpression':
+                if (node.argument.type === 'Identifier') {
+                    this.addReference(node.argument, scope, { read: true, write: true });
+                } else {
+                    this.resolve(node.argument, scope);
+                }
+                return;
+
+            case 'UnaryExpression':
+                if (node.operator === 'typeof' && node.argument.type === 'Identifier') {
+                    // typeof 常用于检测未声明的全局变量
+                    this.addReference(node.argument, scope, { read: true, write: false, typeofGuard: true });
+                    return;
+                }
+                break;
+
+            case 'ForInStatement':
+            case 'ForOfStatement':
+                if (node.left.type === 'VariableDeclaration') {
+                    this.resolve(node.left, inner);
+                } else {
+                    this.resolveAssignmentTarget(node.left, inner);
+                }
+                this.resolve(node.right, inner);
+                this.resolve(node.body, inner);
+                return;
+
+            default:
+                break;
+        }
+
+        getChildNodes(node).forEach(child => this.resolve(child, inner));
+    }
+
+    /**
+     * 解析赋值目标：解构赋值模式中的标识符是写入引用，成员表达式、默认值和计算属性名正常解析
+     * @param {Object} target - Identifier、MemberExpression 或解构模式
+     * @param {Scope} scope - 作用域
+     * @private
+     */
+    resolveAssignmentTarget(target, scope) {
+        switch (target.type) {
+            case 'Identifier':
+                this.addReference(target, scope, { read: false, write: true });
+                break;
+            case 'AssignmentPattern':
+                this.resolveAssignmentTarget(target.left, scope);
+                this.resolve(target.right, scope);
+                break;
+            case 'RestElement':
+                this.resolveAssignmentTarget(target.argument, scope);
+                break;
+            case 'ArrayPattern':
+                target.elements.forEach(element => {
+                    if (element) this.resolveAssignmentTarget(element, scope);
+                });
+                break;
+            case 'ObjectPattern':
+                target.properties.forEach(property => {
+                    if (property.type === 'RestElement') {
+                        this.resolveAssignmentTarget(property, scope);
+                        return;
+                    }
+                    if (property.computed) this.resolve(property.key, scope);
+                    this.resolveAssignmentTarget(property.value, scope);
+                });
+                break;
+            default:
+                this.resolve(target, scope);
+                break;
+        }
+    }
+
+    /**
+     * 解析声明模式中的表达式部分（默认值和计算属性名），名称本身是声明而不是引用
+     * @param {Object} pattern - 模式节点
+     * @param {Scope} scope - 作用域
+     * @private
+     */
+    resolvePattern(pattern, scope) {
+        switch (pattern.type) {
+            case 'AssignmentPattern':
+                this.resolvePattern(pattern.left, scope);
+                this.resolve(pattern.right, scope);
+                break;
+            case 'RestElement':
+                this.resolvePattern(pattern.argument, scope);
+                break;
+            case 'ArrayPattern':
+                pattern.elements.forEach(element => {
+                    if (element) this.resolvePattern(element, scope);
+                });
+                break;
+            case 'ObjectPattern':
+                pattern.properties.forEach(property => {
+                    if (property.type === 'RestElement') {
+                        this.resolvePattern(property, scope);
+                        return;
+                    }
+                    if (property.computed) this.resolve(property.key, scope);
+                    this.resolvePattern(property.value, scope);
+                });
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * 记录一个引用，并检查未声明和声明前使用
+     * @param {Object} identifier - Identifier 节点
+     * @param {Scope} scope - 引用所在的作用域
+     * @param {Object} access - { read, write, typeofGuard }
+     * @private
+     */
+    addReference(identifier, scope, access) {
+        const symbol = scope.lookup(identifier.name);
+        const reference = { node: identifier, symbol, scope, read: access.read, write: access.write };
+        this.references.push(reference);
+
+        if (!symbol) {
+            if (!KNOWN_GLOBALS.has(identifier.name) && !access.typeofGuard) {
+                this.report('error', 'UndeclaredVariable', identifier, `'${identifier.name}' 未声明`);
+            }
+            return;
+        }
+
+        symbol.references.push(reference);
+        if (symbol.kind === 'import' && access.write) {
+            this.report('error', 'ImportAssignment', identifier, `不能给导入的绑定 '${identifier.name}' 赋值`);
+        }
+        this.checkUseBeforeDefine(reference, symbol);
+    }
+
+    /**
+     * 同一函数内、位于声明之前的引用：块级声明是错误（暂时性死区），var 是警告（值为 undefined）
+     * 函数内部对外层变量的引用可能在声明之后才执行，不检查
+     * @private
+     */
+    checkUseBeforeDefine(reference, symbol) {
+        if (symbol.kind !== 'var' && !LEXICAL_KINDS.has(symbol.kind)) return;
+        if (symbol.selfName || reference.scope.getFunctionScope() !== symbol.scope.getFunctionScope()) return;
+
+        // let x = x; 中右侧的 x 也在死区内：初始值先于绑定求值
+        const { init } = symbol.declaration;
+        const inInitializer = LEXICAL_KINDS.has(symbol.kind) && init &&
+            reference.node.start >= init.start && reference.node.end <= init.end;
+        if (reference.node.start >= symbol.node.start && !inInitializer) return;
+
+        if (LEXICAL_KINDS.has(symbol.kind)) {
+            this.report('error', 'UseBeforeDefine', reference.node,
+                `'${symbol.name}' 在声明之前使用（${KIND_NAMES[symbol.kind]}处于暂时性死区）`);
+        } else {
+            this.report('warning', 'UseBeforeDefine', reference.node,
+                `'${symbol.name}' 在声明之前使用（var 提升后值为 undefined）`);
+        }
+    }
+
+    // ==================== 检查 ====================
+
+    /**
+     * 报告从未被读取的绑定
+     * 以下划线开头的名称、具名函数表达式自身的名字、导出的绑定，以及最后一个被使用的参数之前的参数不报告
+     * @private
+     */
+    reportUnused() {
+        this.symbols.forEach(symbol => {
+            if (symbol.selfName || symbol.exported || symbol.name.startsWith('_')) return;
+            if (symbol.references.some(reference => reference.read)) return;
+            if (symbol.kind === 'param' && this.hasLaterUsedParam(symbol)) return;
+
+            const assigned = symbol.references.some(reference => reference.write);
+            this.report('warning', 'UnusedBinding', symbol.node,
+                `${KIND_NAMES[symbol.kind]} '${symbol.name}' ${assigned ? '只被赋值，从未读取' : '声明后从未使用'}`);
+        });
+    }
+
+    /**
+     * 参数之后是否还有被使用的参数（前面的参数只是占位，不算未使用）
+     * @private
+     */
+    hasLaterUsedParam(symbol) {
+        const params = [...symbol.scope.symbols.values()].filter(other => other.kind === 'param');
+        const index = params.indexOf(symbol);
+        return params.slice(index + 1).some(other => other.references.some(reference => reference.read));
+    }
+
+    /**
+     * 记录诊断
+     * @param {string} severity - 'error' | 'warning'
+     * @param {string} type - 诊断类型
+     * @param {Object} node - 出问题的节点
+     * @param {string} message - 描述
+     * @private
+     */
+    report(severity, type, node, message) {
+        this.diagnostics.push({
+            severity,
+            type,
+            message: `语义: ${message}`,
+            line: node.loc.start.line,
+            column: node.loc.start.column,
+            from: node.start,
+            to: node.end
+        });
+    }
+}
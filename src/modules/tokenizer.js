@@ -1,89 +1,447 @@
 // src/modules/tokenizer.js
 // 词法分析器模块
 
+import { getLanguage, buildCommentRules } from './languagePacks.js';
+
+// 行终止符（用于行列计算）
+const LINE_TERMINATOR = /\r\n|[\n\r\u2028\u2029]/g;
+
+// 缩进计算中制表符对齐到 8 列（与 Python 分词器一致）
+const TAB_SIZE = 8;
+
+// 规则正则 → 粘连 (y) 正则的缓存；规则被替换成新正则时自动重新编译
+const stickyCache = new WeakMap();
+
+/**
+ * 把以 ^ 锚定的规则正则编译为粘连正则
+ * 粘连正则通过 lastIndex 直接在当前位置匹配，不再需要 code.slice()，整个扫描是线性的
+ * @param {RegExp} regex - 规则正则
+ * @returns {RegExp} 等价的粘连正则
+ */
+function toStickyRegex(regex) {
+    let sticky = stickyCache.get(regex);
+    if (sticky) return sticky;
+
+    // 去掉字符类之外、未转义的 ^ 锚点（粘连匹配本身就锚定在 lastIndex）
+    const source = regex.source;
+    let result = '';
+    let inClass = false;
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (char === '\\') {
+            result += char + (source[i + 1] || '');
+            i++;
+            continue;
+        }
+        if (char === '[') inClass = true;
+        else if (char === ']') inClass = false;
+        else if (char === '^' && !inClass) continue;
+        result += char;
+    }
+
+    sticky = new RegExp(result, regex.flags.replace(/[gy]/g, '') + 'y');
+    stickyCache.set(regex, sticky);
+    return sticky;
+}
+
 /*
     是什么: 一个用于将代码字符串分解为一系列"令牌"(Token)的类。
     为什么: 这是模拟编译器工作的第一步。它将原始代码文本转化为机器更容易理解的结构化数据。
     如何关联:
         - 这是《研究Level1.md》1.4.1节"阶段一 - 词法分析"和《实现Level1.md》"核心功能实现"中`Tokenizer`类的具体实现。
         - `rules`数组中的正则表达式定义了如何识别代码中的不同部分（关键字、数字、字符串等），是词法分析的核心规则。
+          具体规则来自`languagePacks.js`中的语言包，`when`条件实现了正则与除号、模板续接等上下文相关的选择。
+        - 规则正则被编译为粘连 (y) 正则，在原字符串上按位置匹配，扫描时间与输入长度成线性关系。
+        - 缩进敏感的语言（Python）会额外生成 NEWLINE/INDENT/DEDENT 令牌。
         - 游戏的核心玩法之一就是通过这个过程产生`Tokens`资源。
 */
 export class Tokenizer {
-    constructor() {
+    /**
+     * @param {string} languageId - 初始语言包 id
+     */
+    constructor(languageId = 'javascript') {
+        this.setLanguage(languageId);
+    }
+
+    /**
+     * 切换词法分析使用的语言包
+     * @param {string} languageId - 语言包 id
+     * @returns {boolean} 是否切换成功
+     */
+    setLanguage(languageId) {
+        const language = getLanguage(languageId);
+        if (!language) {
+            console.warn(`未知的语言包: ${languageId}`);
+            return false;
+        }
+
+        this.language = language;
+        this.keywords = language.keywords;
         this.rules = [
-            { type: 'KEYWORD', regex: /^(function|var|let|const|if|else|for|while|return|class|import|export|async|await|try|catch|finally|throw|new|this|super|extends|implements|interface|type|enum|namespace|module|declare|abstract|private|public|protected|static|readonly|override)\b/ },
-            { type: 'NUMBER', regex: /^[0-9]+(\.[0-9]+)?\b/ },
-            { type: 'STRING', regex: /^"([^"\\]|\\.)*"|^'([^'\\]|\\.)*'|^`([^`\\]|\\.)*`/ },
-            { type: 'IDENTIFIER', regex: /^[a-zA-Z_$][a-zA-Z0-9_$]*/ },
-            { type: 'OPERATOR', regex: /^(\+\+|--|&&|\|\||==|!=|<=|>=|===|!==|=>|\+|\-|\*|\/|%|&|\||!|<|>|=|\?|:)/ },
-            { type: 'DELIMITER', regex: /^[(){}\[\];,.]/ },
-            { type: 'WHITESPACE', regex: /^[\s\r\n\t]+/ },
-            { type: 'COMMENT', regex: /^\/\/.*$|^\/\*[\s\S]*?\*\// }
+            { type: 'WHITESPACE', regex: /^\s+/ },
+            ...buildCommentRules(language.comments),
+            ...language.rules
         ];
+        return true;
+    }
+
+    /**
+     * 用自定义令牌规则替换语言包的规则（规则工坊），关键字和缩进处理仍来自当前语言包
+     * @param {Array} rules - 令牌规则 { type, regex }，按顺序尝试
+     */
+    useRules(rules) {
+        this.rules = [{ type: 'WHITESPACE', regex: /^\s+/ }, ...rules];
     }
 
     /**
      * 将代码字符串分解为令牌数组
      * @param {string} code - 要分析的代码字符串
-     * @returns {Array} 令牌数组
+     * @returns {Array} 令牌数组，每个令牌带有起止位置 (position/line/column 与 end/endLine/endColumn)
      */
     tokenize(code) {
-        let tokens = [];
-        let position = 0;
-        let line = 1;
-        let column = 1;
+        const { tokens, end } = this.scan(code);
+        return this.finishTokens(tokens, code, end);
+    }
+
+    /**
+     * 对扫描结果做语言相关的后处理（缩进敏感的语言插入缩进令牌）
+     * @param {Array} tokens - scan() 产生的原始令牌
+     * @param {string} code - 源代码
+     * @param {Object} end - 代码结束处的 { position, line, column }
+     * @returns {Array} 最终令牌数组
+     */
+    finishTokens(tokens, code, end) {
+        if (this.language.indentation) {
+            return this.applyIndentation(tokens, code, end);
+        }
+        return tokens;
+    }
+
+    /**
+     * 扫描代码产生原始令牌，可以从某个令牌之后的状态继续扫描（增量词法分析使用）
+     * 括号栈使用不可变链表 { value, next }，因此每个令牌之后的状态可以直接保存而无需复制
+     * @param {string} code - 源代码
+     * @param {Object|null} resume - 继续扫描的起点 { previous, conditionClosed, braceStack, parenStack }，
+     *                               previous 为起点之前的最后一个令牌，为 null 时从头扫描
+     * @param {Function|null} shouldStop - (token, state) => boolean，在令牌加入结果之前调用，返回 true 时停止扫描
+     * @returns {Object} { tokens, states, end, stopToken }
+     *                   states[i] 是第 i 个令牌之后的扫描状态；stopToken 是使扫描停止的（未加入结果的）令牌
+     */
+    scan(code, resume = null, shouldStop = null) {
+        const tokens = [];
+        const states = [];
+
+        // 上下文状态: 上一个有效令牌决定 / 的含义，括号栈区分普通 } 与模板插值的 }，
+        // 圆括号栈记录 if/for/while 的条件括号（其后的 / 开始正则）
+        let previous = resume ? resume.previous : null;
+        let conditionClosed = resume ? resume.conditionClosed : false;
+        let braceStack = resume ? resume.braceStack : null;
+        let parenStack = resume ? resume.parenStack : null;
+
+        let position = previous ? previous.end : 0;
+        let line = previous ? previous.endLine : 1;
+        let column = previous ? previous.endColumn : 1;
 
         while (position < code.length) {
-            let matched = false;
-
-            for (let rule of this.rules) {
-                const match = code.slice(position).match(rule.regex);
-                if (match) {
-                    const value = match[0];
-                    
-                    // 跳过空白字符和注释，但不添加到令牌中
-                    if (rule.type !== 'WHITESPACE' && rule.type !== 'COMMENT') {
-                        tokens.push({
-                            type: rule.type,
-                            value: value,
-                            position: position,
-                            line: line,
-                            column: column
-                        });
-                    }
+            const context = {
+                position: position,
+                regexAllowed: conditionClosed || this.isRegexAllowed(previous),
+                inTemplate: braceStack !== null && braceStack.value === 'template',
+                atLineStart: previous === null || previous.endLine < line
+            };
 
-                    // 更新位置信息
-                    const lines = value.split('\n');
-                    if (lines.length > 1) {
-                        line += lines.length - 1;
-                        column = lines[lines.length - 1].length + 1;
-                    } else {
-                        column += value.length;
-                    }
+            let type = 'UNKNOWN';
+            let value = code[position];
+            let error = null;
 
-                    position += value.length;
-                    matched = true;
+            for (const rule of this.rules) {
+                if (rule.when && !rule.when(context)) continue;
+
+                const regex = toStickyRegex(rule.regex);
+                regex.lastIndex = position;
+                const match = regex.exec(code);
+                if (match && match[0].length > 0) {
+                    type = rule.type;
+                    value = match[0];
+                    error = rule.error || null;
                     break;
                 }
             }
 
-            if (!matched) {
-                // 未匹配的字符作为 UNKNOWN 类型
-                const unknownChar = code[position];
-                tokens.push({
-                    type: 'UNKNOWN',
-                    value: unknownChar,
-                    position: position,
+            // 未匹配的字符作为 UNKNOWN 类型；代理对作为一个字符处理
+            if (type === 'UNKNOWN') {
+                value = String.fromCodePoint(code.codePointAt(position));
+            }
+
+            if (type === 'IDENTIFIER' && this.keywords.has(value)) {
+                type = 'KEYWORD';
+            }
+
+            // 计算结束位置
+            const start = { position, line, column };
+            const lines = value.split(LINE_TERMINATOR);
+            if (lines.length > 1) {
+                line += lines.length - 1;
+                column = lines[lines.length - 1].length + 1;
+            } else {
+                column += value.length;
+            }
+            position += value.length;
+
+            // 跳过空白字符和注释，但不添加到令牌中（错误恢复产生的注释保留下来以便报告错误）
+            if ((type === 'WHITESPACE' || type === 'COMMENT') && !error) continue;
+
+            const token = {
+                type: type,
+                value: value,
+                position: start.position,
+                line: start.line,
+                column: start.column,
+                end: position,
+                endLine: line,
+                endColumn: column
+            };
+            if (error) token.error = error;
+
+            if (shouldStop && shouldStop(token, { previous, conditionClosed, braceStack, parenStack })) {
+                return { tokens, states, end: start, stopToken: token };
+            }
+            tokens.push(token);
+
+            conditionClosed = false;
+            if (token.type === 'DELIMITER' && token.value === '(') {
+                const isCondition = previous !== null && previous.type === 'KEYWORD' &&
+                    ['if', 'for', 'while', 'with'].includes(previous.value);
+                parenStack = { value: isCondition, next: parenStack };
+            } else if (token.type === 'DELIMITER' && token.value === ')') {
+                conditionClosed = parenStack !== null && parenStack.value === true;
+                parenStack = parenStack !== null ? parenStack.next : null;
+            }
+            previous = token;
+
+            braceStack = this.updateBraceStack(braceStack, token);
+            states.push({ conditionClosed, braceStack, parenStack });
+        }
+
+        return { tokens, states, end: { position, line, column }, stopToken: null };
+    }
+
+    /**
+     * 基准测试：重复分析同一段代码直到达到最短耗时，测量吞吐量
+     * @param {string} code - 测试代码
+     * @param {number} minDuration - 最短测试时间（毫秒）
+     * @returns {Object} { runs, chars, tokens, milliseconds, tokensPerSecond, charsPerSecond }
+     */
+    benchmark(code, minDuration = 250) {
+        let runs = 0;
+        let tokens = 0;
+        const start = Date.now();
+        let elapsed = 0;
+
+        do {
+            tokens += this.tokenize(code).length;
+            runs++;
+            elapsed = Date.now() - start;
+        } while (elapsed < minDuration);
+
+        const seconds = Math.max(elapsed, 1) / 1000;
+        return {
+            runs: runs,
+            chars: code.length * runs,
+            tokens: tokens,
+            milliseconds: elapsed,
+            tokensPerSecond: Math.round(tokens / seconds),
+            charsPerSecond: Math.round(code.length * runs / seconds)
+        };
+    }
+
+    /**
+     * 为缩进敏感的语言插入 NEWLINE/INDENT/DEDENT 令牌
+     * 括号内的换行和反斜杠续行不算逻辑换行
+     * @param {Array} tokens - 原始令牌数组
+     * @param {string} code - 源代码
+     * @param {Object} eof - 代码结束处的 { position, line, column }
+     * @returns {Array} 插入缩进令牌后的数组
+     * @private
+     */
+    applyIndentation(tokens, code, eof) {
+        const result = [];
+        const indentStack = [0];
+        let depth = 0;
+        let previous = null;
+
+        tokens.forEach(token => {
+            const newline = previous === null ? null : this.findLogicalNewline(code, previous, token);
+
+            if (previous === null || (depth === 0 && newline)) {
+                if (newline) result.push(newline);
+
+                const lineStart = token.position - (token.column - 1);
+                const indent = code.slice(lineStart, token.position);
+                const width = this.measureIndent(indent);
+
+                if (width > indentStack[indentStack.length - 1]) {
+                    indentStack.push(width);
+                    const indentToken = {
+                        type: 'INDENT',
+                        value: indent,
+                        position: lineStart,
+                        line: token.line,
+                        column: 1,
+                        end: token.position,
+                        endLine: token.line,
+                        endColumn: token.column
+                    };
+                    // 第一行不允许缩进
+                    if (previous === null) indentToken.indentError = '意外的缩进';
+                    result.push(indentToken);
+                }
+                while (width < indentStack[indentStack.length - 1]) {
+                    indentStack.pop();
+                    result.push(this.createIndentMarker('DEDENT', token));
+                    if (width > indentStack[indentStack.length - 1]) {
+                        result[result.length - 1].indentError = '缩进与外层代码块不一致';
+                    }
+                }
+            }
+
+            result.push(token);
+
+            if (token.type === 'DELIMITER' && ['(', '[', '{'].includes(token.value)) {
+                depth++;
+            } else if (token.type === 'DELIMITER' && [')', ']', '}'].includes(token.value)) {
+                depth = Math.max(0, depth - 1);
+            }
+            previous = token;
+        });
+
+        if (previous !== null) {
+            result.push(this.createIndentMarker('NEWLINE', eof));
+            for (let i = indentStack.length - 1; i > 0; i--) {
+                result.push(this.createIndentMarker('DEDENT', eof));
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * 查找两个令牌之间的逻辑换行（跳过反斜杠续行）
+     * @param {string} code - 源代码
+     * @param {Object} previous - 前一个令牌
+     * @param {Object} token - 当前令牌
+     * @returns {Object|null} NEWLINE 令牌，没有逻辑换行时为 null
+     * @private
+     */
+    findLogicalNewline(code, previous, token) {
+        if (token.line === previous.endLine) return null;
+
+        const gap = code.slice(previous.end, token.position);
+        const pattern = /\\\r?\n|(\r\n|[\n\r])/g;
+        let match;
+        let line = previous.endLine;
+        let lineStart = -(previous.endColumn - 1);
+
+        while ((match = pattern.exec(gap)) !== null) {
+            if (match[1]) {
+                return {
+                    type: 'NEWLINE',
+                    value: match[1],
+                    position: previous.end + match.index,
                     line: line,
-                    column: column
-                });
-                position++;
-                column++;
+                    column: match.index - lineStart + 1,
+                    end: previous.end + match.index + match[1].length,
+                    endLine: line + 1,
+                    endColumn: 1
+                };
             }
+            line++;
+            lineStart = match.index + match[0].length;
         }
+        return null;
+    }
 
-        return tokens;
+    /**
+     * 计算缩进宽度，制表符对齐到 TAB_SIZE 列
+     * @param {string} indent - 行首空白
+     * @returns {number} 缩进宽度
+     * @private
+     */
+    measureIndent(indent) {
+        let width = 0;
+        for (const char of indent) {
+            width = char === '\t' ? (Math.floor(width / TAB_SIZE) + 1) * TAB_SIZE : width + 1;
+        }
+        return width;
+    }
+
+    /**
+     * 创建零宽度的 DEDENT 或结尾 NEWLINE 令牌
+     * @param {string} type - 令牌类型
+     * @param {Object} at - 所在位置 { position, line, column }
+     * @returns {Object} 令牌
+     * @private
+     */
+    createIndentMarker(type, at) {
+        return {
+            type: type,
+            value: '',
+            position: at.position,
+            line: at.line,
+            column: at.column,
+            end: at.position,
+            endLine: at.line,
+            endColumn: at.column
+        };
+    }
+
+    /**
+     * 根据上一个令牌判断 / 是否开始一个正则字面量
+     * @param {Object|null} previous - 上一个有效令牌
+     * @returns {boolean} 是否允许正则
+     * @private
+     */
+    isRegexAllowed(previous) {
+        if (!previous) return true;
+
+        switch (previous.type) {
+            case 'NUMBER':
+            case 'STRING':
+            case 'REGEX':
+            case 'IDENTIFIER':
+            case 'PRIVATE_NAME':
+                return false;
+            case 'KEYWORD':
+                return this.language.regexKeywords.has(previous.value);
+            case 'TEMPLATE':
+                return previous.value.endsWith('${');
+            case 'DELIMITER':
+                return ![')', ']', '}'].includes(previous.value);
+            case 'OPERATOR':
+                return previous.value !== '++' && previous.value !== '--';
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * 维护括号栈，使模板插值 ${ ... } 的右括号能继续扫描模板
+     * @param {Object|null} braceStack - 括号栈（不可变链表）
+     * @param {Object} token - 刚产生的令牌
+     * @returns {Object|null} 新的括号栈
+     * @private
+     */
+    updateBraceStack(braceStack, token) {
+        let stack = braceStack;
+        if (token.type === 'TEMPLATE') {
+            if (token.value[0] === '}' && stack !== null) stack = stack.next;
+            if (token.value.endsWith('${')) stack = { value: 'template', next: stack };
+        } else if (token.type === 'DELIMITER' && token.value === '{') {
+            stack = { value: 'brace', next: stack };
+        } else if (token.type === 'DELIMITER' && token.value === '}' && stack !== null) {
+            stack = stack.next;
+        }
+        return stack;
     }
 
     /**
@@ -106,14 +464,17 @@ export class Tokenizer {
 
     /**
      * 验证令牌序列的基本语法
+     * 错误和警告带有所在令牌的下标 index；brackets 记录每个括号令牌的配对结果，供编辑器做括号匹配
      * @param {Array} tokens - 令牌数组
-     * @returns {Object} 验证结果
+     * @returns {Object} 验证结果 { isValid, errors, warnings, brackets }，
+     *                   brackets 为 Map<令牌下标, { partner: 配对令牌下标或 null, matched: 是否类型匹配 }>
      */
     validateTokens(tokens) {
         const errors = [];
         const warnings = [];
+        const brackets = new Map();
         
-        let bracketStack = [];
+        const bracketStack = [];
         const bracketPairs = {
             '(': ')',
             '[': ']',
@@ -131,51 +492,109 @@ export class Tokenizer {
                 });
             } else if (token.type === 'DELIMITER' && [')', ']', '}'].includes(token.value)) {
                 if (bracketStack.length === 0) {
+                    brackets.set(index, { partner: null, matched: false });
                     errors.push({
                         type: 'UnmatchedClosingBracket',
                         message: `未匹配的闭合括号 '${token.value}'`,
                         line: token.line,
-                        column: token.column
+                        column: token.column,
+                        index: index
                     });
                 } else {
                     const lastOpen = bracketStack.pop();
-                    if (bracketPairs[lastOpen.type] !== token.value) {
+                    const matched = bracketPairs[lastOpen.type] === token.value;
+                    brackets.set(lastOpen.index, { partner: index, matched: matched });
+                    brackets.set(index, { partner: lastOpen.index, matched: matched });
+                    if (!matched) {
                         errors.push({
                             type: 'MismatchedBrackets',
                             message: `括号不匹配: '${lastOpen.type}' (第${lastOpen.line}行) 与 '${token.value}' (第${token.line}行)`,
                             line: token.line,
-                            column: token.column
+                            column: token.column,
+                            index: index
                         });
                     }
                 }
             }
 
+            // 检查错误恢复规则产生的令牌
+            if (token.error) {
+                errors.push({
+                    type: 'LexicalError',
+                    message: token.error,
+                    line: token.line,
+                    column: token.column,
+                    index: index
+                });
+            }
+
+            // 检查缩进错误
+            if (token.indentError) {
+                errors.push({
+                    type: 'IndentationError',
+                    message: token.indentError,
+                    line: token.line,
+                    column: token.column,
+                    index: index
+                });
+            }
+
             // 检查未知令牌
             if (token.type === 'UNKNOWN') {
                 warnings.push({
                     type: 'UnknownToken',
                     message: `未识别的字符: '${token.value}'`,
                     line: token.line,
-                    column: token.column
+                    column: token.column,
+                    index: index
                 });
             }
         });
 
         // 检查未闭合的括号
         bracketStack.forEach(bracket => {
+            brackets.set(bracket.index, { partner: null, matched: false });
             errors.push({
                 type: 'UnclosedBracket',
                 message: `未闭合的括号 '${bracket.type}'`,
                 line: bracket.line,
-                column: bracket.column
+                column: bracket.column,
+                index: bracket.index
             });
         });
 
         return {
             isValid: errors.length === 0,
             errors: errors,
-            warnings: warnings
+            warnings: warnings,
+            brackets: brackets
+        };
+    }
+
+    /**
+     * 把 validateTokens() 的错误和警告转换为诊断信息（带字符范围，供编辑器下划线和诊断面板使用）
+     * @param {Array} tokens - 令牌数组
+     * @param {Object} validation - validateTokens() 的返回值
+     * @returns {Array} 按位置排序的诊断 [{ severity, type, message, line, column, from, to }]
+     */
+    getDiagnostics(tokens, validation) {
+        const toDiagnostic = (severity) => (problem) => {
+            const token = tokens[problem.index];
+            return {
+                severity: severity,
+                type: problem.type,
+                message: problem.message,
+                line: problem.line,
+                column: problem.column,
+                from: token.position,
+                to: token.end
+            };
         };
+
+        return [
+            ...validation.errors.map(toDiagnostic('error')),
+            ...validation.warnings.map(toDiagnostic('warning'))
+        ].sort((a, b) => a.from - b.from);
     }
 
     /**
@@ -189,6 +608,14 @@ export class Tokenizer {
             'IDENTIFIER': 1,
             'NUMBER': 1,
             'STRING': 1,
+            'TEMPLATE': 1.5,
+            'REGEX': 2.5,
+            'PRIVATE_NAME': 1,
+            'COMMENT': 0,
+            'PREPROCESSOR': 2,
+            'INDENT': 0.5,
+            'DEDENT': 0.5,
+            'NEWLINE': 0.2,
             'OPERATOR': 1.5,
             'DELIMITER': 0.5,
             'UNKNOWN': 3
@@ -196,7 +623,7 @@ export class Tokenizer {
 
         let complexity = 0;
         tokens.forEach(token => {
-            complexity += weights[token.type] || 1;
+            complexity += weights[token.type] ?? 1;
         });
 
         return Math.round(complexity * 10) / 10;
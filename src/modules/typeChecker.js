@@ -0,0 +1,1546 @@
+// src/modules/typeChecker.js
+// 类型检查器模块
+
+/*
+    是什么: 在 AST 上做局部类型推断和类型检查，支持 TypeScript 风格的类型标注和 type/interface/enum 声明。
+    为什么: 语义分析只能确认名字存在，不能发现"把字符串传给需要数字的参数"这类错误。
+            类型检查让玩家写出更可靠的代码，类型安全的程序会提升性能分析中的"可靠性"指标。
+    如何关联:
+        - 输入是`Parser.parse()`的 AST（含 TSTypeAnnotation 等节点），诊断格式与`SemanticAnalyzer`相同，
+          由`Game.runTypeCheck()`合并显示在诊断面板中。
+        - 未声明的变量由`SemanticAnalyzer`报告，这里把它们当作 any 处理，避免重复报错。
+        - 每个模块单独检查，导入的绑定是 any；export 声明按其中的声明检查。
+        - 没有错误且至少有一个绑定的程序交给`PerformanceAnalyzer.recordTypeCheck()`计算可靠性加成。
+
+    推断方式（比 Hindley–Milner 简单的局部推断）:
+        - 有标注的绑定使用标注的类型，初始值必须可以赋给它；没有标注的绑定使用初始值的类型。
+        - 没有标注的参数是 any；没有标注的返回类型由所有 return 语句的类型合并得到。
+        - 类型兼容按结构判断（对象比较属性，函数比较参数和返回值），字面量类型按其基本类型处理。
+        - type/interface/enum 和类名在整个程序中可见（不区分作用域）。
+        - 没有控制流收窄，所以读取属性和算术运算时忽略联合类型中的 null/undefined，
+          方法中对 this.x 的赋值会声明属性 x（与 TypeScript 检查 JS 文件时一致），
+          类型取自第一次检查到的赋值，构造函数最先检查。
+*/
+
+import { traverseAST } from '../utils/astUtils.js';
+
+// ==================== 类型表示 ====================
+
+const primitive = (kind) => ({ kind });
+
+// 基本类型单例
+export const TYPES = {
+    number: primitive('number'),
+    string: primitive('string'),
+    boolean: primitive('boolean'),
+    bigint: primitive('bigint'),
+    symbol: primitive('symbol'),
+    null: primitive('null'),
+    undefined: primitive('undefined'),
+    void: primitive('void'),
+    any: primitive('any'),
+    unknown: primitive('unknown'),
+    never: primitive('never')
+};
+
+const PRIMITIVE_KINDS = new Set(Object.keys(TYPES));
+
+// 类型标注关键字节点到基本类型的映射（object 关键字单独处理）
+const KEYWORD_TYPES = {
+    TSNumberKeyword: TYPES.number,
+    TSStringKeyword: TYPES.string,
+    TSBooleanKeyword: TYPES.boolean,
+    TSBigIntKeyword: TYPES.bigint,
+    TSSymbolKeyword: TYPES.symbol,
+    TSNullKeyword: TYPES.null,
+    TSUndefinedKeyword: TYPES.undefined,
+    TSVoidKeyword: TYPES.void,
+    TSAnyKeyword: TYPES.any,
+    TSUnknownKeyword: TYPES.unknown,
+    TSNeverKeyword: TYPES.never
+};
+
+const arrayOf = (element) => ({ kind: 'array', element });
+const functionOf = (params, returns) => ({ kind: 'function', params, returns });
+const param = (name, type, optional = false, rest = false) => ({ name, type, optional, rest });
+
+/**
+ * 对象类型
+ * @param {Map} properties - 属性名到 { type, optional } 的映射
+ * @param {string|null} name - 命名类型（interface、类）的名字
+ * @param {boolean} open - 为 true 时访问未知属性得到 any 而不报错（内置对象、含展开的对象字面量）
+ */
+const objectOf = (properties = new Map(), name = null, open = false) => ({ kind: 'object', properties, name, open });
+
+// 任意对象（object 关键字、正则、Promise 等未建模的内置对象）
+const openObject = (name) => objectOf(new Map(), name, true);
+
+/**
+ * 合并为联合类型：展开嵌套的联合、去掉重复和 never，含 any 时就是 any
+ * @param {Array} types - 类型列表
+ * @returns {Object} 类型
+ */
+export function unionOf(types) {
+    const members = [];
+    const seen = new Set();
+    types.flatMap(type => (type.kind === 'union' ? type.types : [type])).forEach(type => {
+        const key = typeToString(type);
+        if (type.kind === 'never' || seen.has(key)) return;
+        seen.add(key);
+        members.push(type);
+    });
+
+    if (members.some(type => type.kind === 'any')) return TYPES.any;
+    if (members.length === 0) return TYPES.never;
+    return members.length === 1 ? members[0] : { kind: 'union', types: members };
+}
+
+/**
+ * 类型的显示文本
+ * @param {Object} type - 类型
+ * @returns {string} 如 number、string[]、(a: number) => void、{ x: number }
+ */
+export function typeToString(type) {
+    switch (type.kind) {
+        case 'array': {
+            const element = typeToString(type.element);
+            return type.element.kind === 'union' || type.element.kind === 'function' ? `(${element})[]` : `${element}[]`;
+        }
+        case 'tuple':
+            return `[${type.elements.map(typeToString).join(', ')}]`;
+        case 'union':
+            return type.types.map(typeToString).join(' | ');
+        case 'function': {
+            const params = type.params.map(p => `${p.rest ? '...' : ''}${p.name}${p.optional ? '?' : ''}: ${typeToString(p.type)}`);
+            return `(${params.join(', ')}) => ${typeToString(type.returns)}`;
+        }
+        case 'object': {
+            if (type.name) return type.name;
+            if (type.open && type.properties.size === 0) return 'object';
+            const properties = [...type.properties].map(([key, property]) =>
+                `${key}${property.optional ? '?' : ''}: ${typeToString(property.type)}`);
+            return `{ ${properties.join('; ')}${type.open ? '; ...' : ''} }`;
+        }
+        case 'class':
+            return `typeof ${type.name}`;
+        case 'enum':
+            return type.name;
+        default:
+            return type.kind;
+    }
+}
+
+/**
+ * 去掉 null 和 undefined（用于 ?? 的左侧）
+ * @private
+ */
+function withoutNullish(type) {
+    if (type.kind !== 'union') return type.kind === 'null' || type.kind === 'undefined' ? TYPES.never : type;
+    return unionOf(type.types.filter(member => member.kind !== 'null' && member.kind !== 'undefined'));
+}
+
+/**
+ * 是否为数值类（number、数值枚举）
+ * @private
+ */
+function isNumeric(type) {
+    return type.kind === 'number' || (type.kind === 'enum' && type.base.kind === 'number');
+}
+
+/**
+ * 是否为字符串类（string、字符串枚举）
+ * @private
+ */
+function isStringLike(type) {
+    return type.kind === 'string' || (type.kind === 'enum' && type.base.kind === 'string');
+}
+
+/**
+ * 联合类型的每个成员都满足条件（非联合类型直接判断）
+ * @private
+ */
+function every(type, predicate) {
+    return type.kind === 'union' ? type.types.every(predicate) : predicate(type);
+}
+
+// 数组方法的类型，element 为数组元素类型
+const ARRAY_METHODS = {
+    push: (element) => functionOf([param('items', arrayOf(element), false, true)], TYPES.number),
+    pop: (element) => functionOf([], element),
+    shift: (element) => functionOf([], element),
+    unshift: (element) => functionOf([param('items', arrayOf(element), false, true)], TYPES.number),
+    indexOf: (element) => functionOf([param('item', element)], TYPES.number),
+    includes: (element) => functionOf([param('item', element)], TYPES.boolean),
+    join: () => functionOf([param('separator', TYPES.string, true)], TYPES.string),
+    slice: (element) => functionOf([param('start', TYPES.number, true), param('end', TYPES.number, true)], arrayOf(element)),
+    concat: (element) => functionOf([param('items', TYPES.any, false, true)], arrayOf(element)),
+    reverse: (element) => functionOf([], arrayOf(element)),
+    sort: (element) => functionOf([param('compare', TYPES.any, true)], arrayOf(element)),
+    filter: (element) => functionOf([param('predicate', TYPES.any)], arrayOf(element)),
+    find: (element) => functionOf([param('predicate', TYPES.any)], element),
+    some: () => functionOf([param('predicate', TYPES.any)], TYPES.boolean),
+    every: () => functionOf([param('predicate', TYPES.any)], TYPES.boolean),
+    forEach: () => functionOf([param('callback', TYPES.any)], TYPES.void),
+    map: () => functionOf([param('callback', TYPES.any)], arrayOf(TYPES.any))
+};
+
+// 字符串方法的返回类型
+const STRING_METHODS = {
+    toUpperCase: TYPES.string, toLowerCase: TYPES.string, trim: TYPES.string, slice: TYPES.string,
+    substring: TYPES.string, charAt: TYPES.string, repeat: TYPES.string, padStart: TYPES.string,
+    padEnd: TYPES.string, replace: TYPES.string, concat: TYPES.string,
+    indexOf: TYPES.number, lastIndexOf: TYPES.number, charCodeAt: TYPES.number,
+    includes: TYPES.boolean, startsWith: TYPES.boolean, endsWith: TYPES.boolean,
+    split: arrayOf(TYPES.string)
+};
+
+// 值为基本类型的全局名称；其余未声明的名称按 any 处理
+const GLOBAL_VALUES = {
+    undefined: TYPES.undefined,
+    NaN: TYPES.number,
+    Infinity: TYPES.number
+};
+
+// 算术和位运算，两侧必须是数字（或同为 bigint）
+const NUMERIC_OPERATORS = new Set(['-', '*', '/', '%', '**', '<<', '>>', '>>>', '&', '|', '^']);
+
+/**
+ * 类型检查器类
+ */
+export class TypeChecker {
+    /**
+     * 检查一棵 AST
+     * @param {Object} ast - Parser.parse() 返回的 Program 节点
+     * @returns {Object} {
+     *     diagnostics,
+     *     bindingTypes: Map<声明处的 Identifier 节点, 类型>,
+     *     stats: { bindings, annotated, errors }
+     * }
+     */
+    check(ast) {
+        this.diagnostics = [];
+        this.bindingTypes = new Map();
+        this.annotatedCount = 0;
+        this.typeDeclarations = new Map();
+        this.namedTypes = new Map();
+        this.resolving = new Set();
+        this.assumptions = [];
+        this.functionStack = [];
+        this.thisType = TYPES.any;
+        this.classInstance = null;
+        this.scope = null;
+
+        this.collectTypeDeclarations(ast);
+        this.checkBlock(ast.body, true);
+
+        const diagnostics = this.diagnostics.sort((a, b) => a.from - b.from);
+        return {
+            diagnostics,
+            bindingTypes: this.bindingTypes,
+            stats: {
+                bindings: this.bindingTypes.size,
+                annotated: this.annotatedCount,
+                errors: diagnostics.filter(diagnostic => diagnostic.severity === 'error').length
+            }
+        };
+    }
+
+    // ==================== 作用域 ====================
+
+    /**
+     * @private
+     */
+    pushScope(isFunction = false) {
+        this.scope = { parent: this.scope, bindings: new Map(), isFunction };
+    }
+
+    /**
+     * @private
+     */
+    popScope() {
+        this.scope = this.scope.parent;
+    }
+
+    /**
+     * 声明一个值绑定，并记录到 bindingTypes
+     * @param {Object} identifier - 声明处的 Identifier 节点
+     * @param {Object} type - 类型
+     * @param {Object} options - { kind: 'var' 时放入函数作用域, annotated: 类型是否来自标注 }
+     * @private
+     */
+    bind(identifier, type, { kind = 'let', annotated = false } = {}) {
+        let scope = this.scope;
+        if (kind === 'var') {
+            while (!scope.isFunction) scope = scope.parent;
+        }
+        scope.bindings.set(identifier.name, { type, annotated });
+        this.bindingTypes.set(identifier, type);
+        if (annotated) this.annotatedCount++;
+    }
+
+    /**
+     * @private
+     */
+    lookup(name) {
+        for (let scope = this.scope; scope; scope = scope.parent) {
+            if (scope.bindings.has(name)) return scope.bindings.get(name);
+        }
+        return null;
+    }
+
+    // ==================== 类型标注 ====================
+
+    /**
+     * 收集整个程序中的 type/interface/enum 和类声明，它们的名字在任何位置都可以用作类型
+     * @private
+     */
+    collectTypeDeclarations(node) {
+        if (!node || typeof node !== 'object') return;
+        if (Array.isArray(node)) {
+            node.forEach(child => this.collectTypeDeclarations(child));
+            return;
+        }
+
+        if (['TSTypeAliasDeclaration', 'TSInterfaceDeclaration', 'TSEnumDeclaration', 'ClassDeclaration'].includes(node.type) &&
+            node.id) {
+            if (this.typeDeclarations.has(node.id.name)) {
+                this.report('DuplicateType', node.id, `类型 '${node.id.name}' 重复声明`);
+            } else {
+                this.typeDeclarations.set(node.id.name, node);
+            }
+        }
+
+        Object.keys(node).forEach(key => {
+            if (key !== 'loc' && typeof node[key] === 'object') this.collectTypeDeclarations(node[key]);
+        });
+    }
+
+    /**
+     * 把类型标注节点转换为类型
+     * @param {Object|null} annotation - TSTypeAnnotation 或类型节点，null 得到 null
+     * @returns {Object|null} 类型
+     * @private
+     */
+    resolveAnnotation(annotation) {
+        if (!annotation) return null;
+        const node = annotation.type === 'TSTypeAnnotation' ? annotation.typeAnnotation : annotation;
+
+        if (KEYWORD_TYPES[node.type]) return KEYWORD_TYPES[node.type];
+
+        switch (node.type) {
+            case 'TSObjectKeyword':
+                return openObject(null);
+            case 'TSLiteralType':
+                // 字面量类型按其基本类型处理
+                return this.typeOfLiteral(node.literal);
+            case 'TSArrayType':
+                return arrayOf(this.resolveAnnotation(node.elementType));
+            case 'TSTupleType':
+                return { kind: 'tuple', elements: node.elementTypes.map(element => this.resolveAnnotation(element)) };
+            case 'TSUnionType':
+                return unionOf(node.types.map(type => this.resolveAnnotation(type)));
+            case 'TSFunctionType':
+                return functionOf(node.params.map(p => this.paramFromNode(p)), this.resolveAnnotation(node.returnType));
+            case 'TSTypeLiteral':
+                return this.objectFromMembers(node.members, null);
+            case 'TSTypeReference':
+                return this.resolveTypeReference(node);
+            default:
+                return TYPES.any;
+        }
+    }
+
+    /**
+     * 解析类型引用: 内置泛型、程序中声明的类型
+     * @private
+     */
+    resolveTypeReference(node) {
+        const { name } = node.typeName;
+        const typeArguments = node.typeArguments ? node.typeArguments.params.map(arg => this.resolveAnnotation(arg)) : [];
+
+        if (name === 'Array' || name === 'ReadonlyArray') {
+            return arrayOf(typeArguments[0] || TYPES.any);
+        }
+        if (this.typeDeclarations.has(name)) {
+            return this.resolveNamedType(name);
+        }
+        if (['Object', 'Function', 'Promise', 'Map', 'Set', 'Record', 'RegExp', 'Date', 'Error'].includes(name)) {
+            return openObject(name);
+        }
+
+        this.report('UnknownType', node.typeName, `找不到类型 '${name}'`);
+        return TYPES.any;
+    }
+
+    /**
+     * 解析程序中声明的命名类型，结果缓存；interface 先登记再填充属性，因此可以引用自身
+     * @private
+     */
+    resolveNamedType(name) {
+        if (this.namedTypes.has(name)) return this.namedTypes.get(name);
+
+        const declaration = this.typeDeclarations.get(name);
+        switch (declaration.type) {
+            case 'TSInterfaceDeclaration': {
+                const type = objectOf(new Map(), name);
+                this.namedTypes.set(name, type);
+                declaration.extends.forEach(heritage => {
+                    const base = this.typeDeclarations.has(heritage.expression.name)
+                        ? this.resolveNamedType(heritage.expression.name)
+                        : null;
+                    if (base && base.kind === 'object') {
+                        base.properties.forEach((property, key) => type.properties.set(key, property));
+                    } else {
+                        this.report('UnknownType', heritage.expression, `找不到接口 '${heritage.expression.name}'`);
+                    }
+                });
+                this.objectFromMembers(declaration.body.body, type);
+                return type;
+            }
+            case 'TSTypeAliasDeclaration': {
+                if (this.resolving.has(name)) {
+                    this.report('CircularType', declaration.id, `类型别名 '${name}' 循环引用了自身`);
+                    return TYPES.any;
+                }
+                this.resolving.add(name);
+                const type = this.resolveAnnotation(declaration.typeAnnotation);
+                this.resolving.delete(name);
+                this.namedTypes.set(name, type);
+                return type;
+            }
+            case 'TSEnumDeclaration':
+                return this.resolveEnum(declaration).instance;
+            default:
+                return this.resolveClass(declaration).instance;
+        }
+    }
+
+    /**
+     * 由 interface 或对象类型的成员建立对象类型
+     * @param {Array} members - TSPropertySignature / TSMethodSignature
+     * @param {Object|null} target - 填充到已有的对象类型中，null 时新建
+     * @private
+     */
+    objectFromMembers(members, target) {
+        const type = target || objectOf();
+        members.forEach(member => {
+            const key = this.propertyName(member.key, member.computed);
+            if (key === null) {
+                type.open = true;
+                return;
+            }
+            const memberType = member.type === 'TSMethodSignature'
+                ? functionOf(member.params.map(p => this.paramFromNode(p)), this.resolveAnnotation(member.returnType) || TYPES.any)
+                : this.resolveAnnotation(member.typeAnnotation);
+            type.properties.set(key, { type: memberType, optional: member.optional });
+        });
+        return type;
+    }
+
+    /**
+     * 由参数节点得到函数类型中的参数（没有标注为 any，有默认值时可选）
+     * @private
+     */
+    paramFromNode(node) {
+        if (node.type === 'RestElement') {
+            return param(this.patternName(node.argument), this.resolveAnnotation(node.typeAnnotation) || arrayOf(TYPES.any), false, true);
+        }
+        if (node.type === 'AssignmentPattern') {
+            const type = this.resolveAnnotation(node.left.typeAnnotation);
+            return param(this.patternName(node.left), type || TYPES.any, true);
+        }
+        return param(this.patternName(node), this.resolveAnnotation(node.typeAnnotation) || TYPES.any, Boolean(node.optional));
+    }
+
+    /**
+     * 参数的显示名称（解构参数显示为 {...} 或 [...]）
+     * @private
+     */
+    patternName(node) {
+        if (node.type === 'Identifier') return node.name;
+        return node.type === 'ArrayPattern' ? '[...]' : '{...}';
+    }
+
+    /**
+     * 非计算属性名的文本，计算属性返回 null
+     * @private
+     */
+    propertyName(key, computed) {
+        if (computed) {
+            return key.type === 'Literal' && typeof key.value === 'string' ? key.value : null;
+        }
+        if (key.type === 'Identifier') return key.name;
+        if (key.type === 'PrivateIdentifier') return `#${key.name}`;
+        return String(key.value);
+    }
+
+    /**
+     * 建立枚举类型: 枚举值的类型（instance）和枚举对象的类型（value）
+     * @private
+     */
+    resolveEnum(declaration) {
+        const cacheKey = `enum:${declaration.id.name}`;
+        if (this.namedTypes.has(cacheKey)) return this.namedTypes.get(cacheKey);
+
+        const stringValued = declaration.members.some(member =>
+            member.initializer && member.initializer.type === 'Literal' && typeof member.initializer.value === 'string');
+        const instance = { kind: 'enum', name: declaration.id.name, base: stringValued ? TYPES.string : TYPES.number };
+        const value = objectOf(new Map(), `typeof ${declaration.id.name}`);
+        declaration.members.forEach(member => {
+            const key = member.id.type === 'Identifier' ? member.id.name : member.id.value;
+            value.properties.set(key, { type: instance, optional: false });
+        });
+
+        const result = { instance, value };
+        this.namedTypes.set(cacheKey, result);
+        this.namedTypes.set(declaration.id.name, instance);
+        return result;
+    }
+
+    /**
+     * 建立类类型: 实例类型（instance）和类本身（value，可以 new）
+     * 字段和方法的类型先取自标注，方法体检查后再补上推断出的返回类型
+     * @private
+     */
+    resolveClass(declaration) {
+        const cacheKey = `class:${declaration.id.name}`;
+        if (this.namedTypes.has(cacheKey)) return this.namedTypes.get(cacheKey);
+
+        const name = declaration.id.name;
+        // 继承未知的父类时，实例可能有任何属性
+        const instance = objectOf(new Map(), name, Boolean(declaration.superClass));
+        const value = { kind: 'class', name, instance, statics: new Map(), construct: functionOf([], instance) };
+        const result = { instance, value };
+        this.namedTypes.set(cacheKey, result);
+        this.namedTypes.set(name, instance);
+
+        if (declaration.superClass && declaration.superClass.type === 'Identifier' &&
+            this.typeDeclarations.has(declaration.superClass.name) &&
+            this.typeDeclarations.get(declaration.superClass.name).type === 'ClassDeclaration') {
+            const base = this.resolveClass(this.typeDeclarations.get(declaration.superClass.name));
+            base.instance.properties.forEach((property, key) => instance.properties.set(key, property));
+            instance.open = base.instance.open;
+            value.construct = functionOf(base.value.construct.params, instance);
+        }
+
+        declaration.body.body.forEach(member => {
+            const key = this.propertyName(member.key, member.computed);
+            if (key === null) {
+                instance.open = true;
+                return;
+            }
+            const target = member.static ? value.statics : instance.properties;
+            if (member.type === 'MethodDefinition') {
+                const method = functionOf(member.value.params.map(p => this.paramFromNode(p)),
+                    this.resolveAnnotation(member.value.returnType) || TYPES.any);
+                if (member.kind === 'constructor') {
+                    value.construct = functionOf(method.params, instance);
+                } else if (member.kind === 'get') {
+                    target.set(key, { type: method.returns, optional: false });
+                } else if (member.kind !== 'set') {
+                    target.set(key, { type: method, optional: false });
+                }
+            } else {
+                target.set(key, {
+                    type: this.resolveAnnotation(member.typeAnnotation) || TYPES.any,
+                    optional: Boolean(member.optional)
+                });
+            }
+        });
+
+        // 方法中 this.x = ... 赋值的属性先按 any 声明，第一次赋值时再推断类型
+        declaration.body.body.forEach(member => {
+            if (member.type !== 'MethodDefinition' || member.static) return;
+            this.collectThisAssignments(member.value.body).forEach(key => {
+                if (!instance.properties.has(key)) {
+                    instance.properties.set(key, { type: TYPES.any, optional: false, implicit: true });
+                }
+            });
+        });
+        return result;
+    }
+
+    /**
+     * 收集函数体中 this.x = ... 赋值的属性名，不进入有自己 this 的普通函数和类
+     * @private
+     */
+    collectThisAssignments(body) {
+        const keys = [];
+        traverseAST(body, node => {
+            if (node !== body && (node.type === 'FunctionExpression' || node.type === 'FunctionDeclaration' ||
+                node.type === 'ClassExpression' || node.type === 'ClassDeclaration')) return false;
+            if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression' &&
+                !node.left.computed && node.left.object.type === 'ThisExpression' &&
+                node.left.property.type === 'Identifier') {
+                keys.push(node.left.property.name);
+            }
+            return true;
+        });
+        return keys;
+    }
+
+    // ==================== 类型兼容 ====================
+
+    /**
+     * source 类型的值能否赋给 target 类型
+     * @param {Object} source - 值的类型
+     * @param {Object} target - 目标类型
+     * @returns {boolean} 是否兼容
+     */
+    isAssignable(source, target) {
+        if (source === target) return true;
+        if (target.kind === 'any' || target.kind === 'unknown') return true;
+        if (source.kind === 'any' || source.kind === 'never') return true;
+        if (source.kind === 'union') return source.types.every(member => this.isAssignable(member, target));
+        if (target.kind === 'union') return target.types.some(member => this.isAssignable(source, member));
+
+        // 递归类型（如链表节点）比较到自身时假定兼容
+        if (this.assumptions.some(([s, t]) => s === source && t === target)) return true;
+        this.assumptions.push([source, target]);
+        const result = this.compareStructure(source, target);
+        this.assumptions.pop();
+        return result;
+    }
+
+    /**
+     * @private
+     */
+    compareStructure(source, target) {
+        switch (target.kind) {
+            case 'void':
+                return source.kind === 'void' || source.kind === 'undefined';
+            case 'enum':
+                return source.kind === 'enum' ? source.name === target.name : this.isAssignable(source, target.base);
+            case 'array':
+                if (source.kind === 'array') return this.isAssignable(source.element, target.element);
+                if (source.kind === 'tuple') return source.elements.every(element => this.isAssignable(element, target.element));
+                return false;
+            case 'tuple':
+                return source.kind === 'tuple' && source.elements.length === target.elements.length &&
+                    source.elements.every((element, index) => this.isAssignable(element, target.elements[index]));
+            case 'function':
+                return this.isFunctionAssignable(source, target);
+            case 'class':
+                return source.kind === 'class' && source.name === target.name;
+            case 'object':
+                return this.isObjectAssignable(source, target);
+            default:
+                // 基本类型
+                return source.kind === target.kind || (source.kind === 'enum' && source.base.kind === target.kind);
+        }
+    }
+
+    /**
+     * @private
+     */
+    isFunctionAssignable(source, target) {
+        if (source.kind === 'class') return false;
+        if (source.kind === 'object') return source.open && source.name === 'Function';
+        if (source.kind !== 'function') return false;
+
+        // 源函数要求的参数不能比目标提供的多
+        const required = source.params.filter(p => !p.optional && !p.rest).length;
+        if (!target.params.some(p => p.rest) && required > target.params.length) return false;
+
+        // 参数双向兼容即可（与 TypeScript 的方法参数双变一致）
+        const paramsMatch = source.params.every((sourceParam, index) => {
+            const targetParam = target.params[index];
+            return !targetParam || this.isAssignable(targetParam.type, sourceParam.type) ||
+                this.isAssignable(sourceParam.type, targetParam.type);
+        });
+        return paramsMatch && (target.returns.kind === 'void' || this.isAssignable(source.returns, target.returns));
+    }
+
+    /**
+     * 结构兼容：目标的每个必需属性源都要有，且类型兼容；源可以有多余的属性
+     * @private
+     */
+    isObjectAssignable(source, target) {
+        if (source.kind === 'class' || source.kind === 'function' || source.kind === 'array' || source.kind === 'tuple') {
+            return target.properties.size === 0 && target.open;
+        }
+        if (source.kind !== 'object') return false;
+        if (target.name && target.name === source.name) return true;
+        if (target.open && target.properties.size === 0) return true;
+
+        return [...target.properties].every(([key, property]) => {
+            const sourceProperty = source.properties.get(key);
+            if (!sourceProperty) return property.optional || source.open;
+            return this.isAssignable(sourceProperty.type, property.type);
+        });
+    }
+
+    // ==================== 语句 ====================
+
+    /**
+     * 检查语句列表，先提升函数、类和枚举声明
+     * @param {Array} statements - 语句列表
+     * @param {boolean} isFunction - 是否为函数体或整个程序（var 声明放在这里）
+     * @private
+     */
+    checkBlock(statements, isFunction = false, prepare = null) {
+        this.pushScope(isFunction);
+        if (prepare) prepare();
+
+        statements.forEach(exported => {
+            const statement = exported.type === 'ExportNamedDeclaration' && exported.declaration ? exported.declaration : exported;
+            if (statement.type === 'ImportDeclaration') {
+                statement.specifiers.forEach(specifier => this.bind(specifier.local, TYPES.any));
+            } else if (statement.type === 'FunctionDeclaration' && statement.id) {
+                this.bind(statement.id, this.functionSignature(statement), { annotated: this.isFullyAnnotated(statement) });
+            } else if (statement.type === 'ClassDeclaration') {
+                this.bind(statement.id, this.resolveClass(statement).value, { annotated: true });
+            } else if (statement.type === 'TSEnumDeclaration') {
+                this.bind(statement.id, this.resolveEnum(statement).value, { annotated: true });
+            }
+        });
+        statements.forEach(statement => this.checkStatement(statement));
+
+        this.popScope();
+    }
+
+    /**
+     * @private
+     */
+    checkStatement(node) {
+        switch (node.type) {
+            case 'VariableDeclaration':
+                node.declarations.forEach(declarator => this.checkDeclarator(declarator, node.kind));
+                break;
+            case 'FunctionDeclaration':
+                this.checkFunction(node, this.lookup(node.id.name).type);
+                break;
+            case 'ClassDeclaration':
+                this.checkClassBody(node, this.resolveClass(node));
+                break;
+            case 'TSEnumDeclaration':
+                node.members.forEach(member => {
+                    if (member.initializer) this.typeOf(member.initializer);
+                });
+                break;
+            case 'ExpressionStatement':
+                this.typeOf(node.expression);
+                break;
+            case 'BlockStatement':
+                this.checkBlock(node.body);
+                break;
+            case 'IfStatement':
+                this.typeOf(node.test);
+                this.checkStatement(node.consequent);
+                if (node.alternate) this.checkStatement(node.alternate);
+                break;
+            case 'WhileStatement':
+            case 'DoWhileStatement':
+                this.typeOf(node.test);
+                this.checkStatement(node.body);
+                break;
+            case 'ForStatement':
+                this.pushScope();
+                if (node.init) {
+                    if (node.init.type === 'VariableDeclaration') this.checkStatement(node.init);
+                    else this.typeOf(node.init);
+                }
+                if (node.test) this.typeOf(node.test);
+                if (node.update) this.typeOf(node.update);
+                this.checkStatement(node.body);
+                this.popScope();
+                break;
+            case 'ForInStatement':
+            case 'ForOfStatement':
+                this.checkForInOf(node);
+                break;
+            case 'ReturnStatement':
+                this.checkReturn(node);
+                break;
+            case 'ThrowStatement':
+                this.typeOf(node.argument);
+                break;
+            case 'TryStatement':
+                this.checkStatement(node.block);
+                if (node.handler) {
+                    this.checkBlock(node.handler.body.body, false, () => {
+                        if (node.handler.param) this.bindPattern(node.handler.param, TYPES.any, 'let');
+                    });
+                }
+                if (node.finalizer) this.checkStatement(node.finalizer);
+                break;
+            case 'SwitchStatement':
+                this.typeOf(node.discriminant);
+                this.pushScope();
+                node.cases.forEach(switchCase => {
+                    if (switchCase.test) this.typeOf(switchCase.test);
+                    switchCase.consequent.forEach(statement => this.checkStatement(statement));
+                });
+                this.popScope();
+                break;
+            case 'LabeledStatement':
+                this.checkStatement(node.body);
+                break;
+            case 'ExportNamedDeclaration':
+                if (node.declaration) this.checkStatement(node.declaration);
+                node.specifiers.forEach(specifier => this.typeOf(specifier.local));
+                break;
+            default:
+                // 空语句、break/continue、import、type/interface 声明（已在收集阶段处理）
+                break;
+        }
+    }
+
+    /**
+     * 检查变量声明: 有标注时初始值必须兼容，没有标注时使用初始值的类型
+     * @private
+     */
+    checkDeclarator(declarator, kind) {
+        const annotation = this.resolveAnnotation(declarator.id.typeAnnotation);
+        const initType = declarator.init ? this.typeOfWithContext(declarator.init, annotation) : null;
+
+        if (annotation && initType && !this.isAssignable(initType, annotation)) {
+            this.report('TypeMismatch', declarator.init,
+                `不能将类型 '${typeToString(initType)}' 赋给类型 '${typeToString(annotation)}'`);
+        }
+
+        const type = annotation || (initType ? this.widen(initType) : TYPES.any);
+        this.bindPattern(declarator.id, type, kind, Boolean(annotation));
+    }
+
+    /**
+     * 没有标注时，null 和 undefined 初始值推断为 any（之后可以赋任何值）
+     * @private
+     */
+    widen(type) {
+        return type.kind === 'null' || type.kind === 'undefined' ? TYPES.any : type;
+    }
+
+    /**
+     * 按值的类型绑定模式中的每个名称
+     * @param {Object} pattern - 模式节点
+     * @param {Object} type - 值的类型
+     * @param {string} kind - 声明种类
+     * @param {boolean} annotated - 类型是否来自标注
+     * @private
+     */
+    bindPattern(pattern, type, kind, annotated = false) {
+        switch (pattern.type) {
+            case 'Identifier':
+                this.bind(pattern, type, { kind, annotated });
+                break;
+            case 'AssignmentPattern': {
+                const defaultType = this.typeOf(pattern.right);
+                if (type.kind !== 'any' && !this.isAssignable(defaultType, type)) {
+                    this.report('TypeMismatch', pattern.right,
+                        `默认值的类型 '${typeToString(defaultType)}' 不能赋给类型 '${typeToString(type)}'`);
+                }
+                this.bindPattern(pattern.left, type.kind === 'any' ? this.widen(defaultType) : type, kind, annotated);
+                break;
+            }
+            case 'RestElement':
+                this.bindPattern(pattern.argument, type, kind, annotated);
+                break;
+            case 'ArrayPattern':
+                pattern.elements.forEach((element, index) => {
+                    if (!element) return;
+                    const elementType = element.type === 'RestElement'
+                        ? arrayOf(this.elementType(type, null))
+                        : this.elementType(type, index);
+                    this.bindPattern(element, elementType, kind, annotated);
+                });
+                break;
+            case 'ObjectPattern':
+                pattern.properties.forEach(property => {
+                    if (property.type === 'RestElement') {
+                        this.bindPattern(property, TYPES.any, kind, annotated);
+                        return;
+                    }
+                    const key = this.propertyName(property.key, property.computed);
+                    // 带默认值的属性在对象中可以不存在
+                    const defaulted = property.value.type === 'AssignmentPattern' &&
+                        type.kind === 'object' && !type.properties.has(key);
+                    const propertyType = key === null || defaulted ? TYPES.any : this.propertyType(type, key, property.key, false);
+                    this.bindPattern(property.value, propertyType, kind, annotated);
+                });
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * 数组、元组或字符串中元素的类型
+     * @param {Object} type - 容器类型
+     * @param {number|null} index - 已知的下标（元组用）
+     * @private
+     */
+    elementType(type, index) {
+        if (type.kind === 'array') return type.element;
+        if (type.kind === 'tuple') {
+            return index !== null && index < type.elements.length ? type.elements[index] : unionOf(type.elements);
+        }
+        if (isStringLike(type)) return TYPES.string;
+        return TYPES.any;
+    }
+
+    /**
+     * @private
+     */
+    checkForInOf(node) {
+        this.pushScope();
+        const rightType = this.typeOf(node.right);
+        const valueType = node.type === 'ForInStatement' ? TYPES.string : this.elementType(rightType, null);
+
+        if (node.left.type === 'VariableDeclaration') {
+            this.bindPattern(node.left.declarations[0].id, valueType, node.left.kind);
+        } else {
+            this.checkAssignment(node.left, valueType, node.left);
+        }
+        this.checkStatement(node.body);
+        this.popScope();
+    }
+
+    /**
+     * @private
+     */
+    checkReturn(node) {
+        const current = this.functionStack[this.functionStack.length - 1];
+        const type = node.argument ? this.typeOf(node.argument) : TYPES.undefined;
+        if (!current) return;
+
+        current.returns.push(type);
+        if (current.declared && !this.isAssignable(type, current.declared) &&
+            !(current.declared.kind === 'void' && !node.argument)) {
+            this.report('TypeMismatch', node.argument || node,
+                `不能返回类型 '${typeToString(type)}'，函数声明的返回类型为 '${typeToString(current.declared)}'`);
+        }
+    }
+
+    // ==================== 函数和类 ====================
+
+    /**
+     * 由函数节点的标注得到函数类型（返回类型没有标注时暂为 any，检查函数体后更新）
+     * @private
+     */
+    functionSignature(node) {
+        return functionOf(node.params.map(p => this.paramFromNode(p)), this.resolveAnnotation(node.returnType) || TYPES.any);
+    }
+
+    /**
+     * 参数和返回值是否都有类型标注
+     * @private
+     */
+    isFullyAnnotated(node) {
+        const annotated = (p) => {
+            if (p.type === 'AssignmentPattern') return Boolean(p.left.typeAnnotation);
+            return Boolean(p.typeAnnotation);
+        };
+        return Boolean(node.returnType) && node.params.every(annotated);
+    }
+
+    /**
+     * 检查函数体，推断返回类型并写回函数类型
+     * @param {Object} node - 函数节点
+     * @param {Object} signature - functionSignature() 得到的函数类型
+     * @param {Object|null} thisType - 函数体中 this 的类型（方法为实例类型），箭头函数沿用外层
+     * @private
+     */
+    checkFunction(node, signature, thisType = null) {
+        const declared = this.resolveAnnotation(node.returnType);
+        const frame = { declared, returns: [] };
+        const savedThis = this.thisType;
+        if (node.type !== 'ArrowFunctionExpression') this.thisType = thisType || TYPES.any;
+        this.functionStack.push(frame);
+
+        const bindParams = () => {
+            // 具名函数表达式的名字只在函数内部可见
+            if (node.type === 'FunctionExpression' && node.id) this.bind(node.id, signature);
+            node.params.forEach((p, index) => {
+                const annotated = Boolean((p.type === 'AssignmentPattern' ? p.left : p).typeAnnotation);
+                this.bindPattern(p, signature.params[index].type, 'let', annotated);
+            });
+        };
+
+        if (node.body.type === 'BlockStatement') {
+            this.checkBlock(node.body.body, true, bindParams);
+        } else {
+            this.pushScope(true);
+            bindParams();
+            frame.returns.push(this.typeOf(node.body));
+            this.popScope();
+            if (declared && !this.isAssignable(frame.returns[0], declared)) {
+                this.report('TypeMismatch', node.body,
+                    `不能返回类型 '${typeToString(frame.returns[0])}'，函数声明的返回类型为 '${typeToString(declared)}'`);
+            }
+        }
+
+        this.functionStack.pop();
+        this.thisType = savedThis;
+
+        if (declared) {
+            const mayOmitReturn = ['void', 'any', 'unknown', 'undefined'].includes(declared.kind) ||
+                (declared.kind === 'union' && declared.types.some(type => type.kind === 'undefined' || type.kind === 'void'));
+            if (frame.returns.length === 0 && !mayOmitReturn && !node.generator && !node.async) {
+                this.report('MissingReturn', node.returnType,
+                    `函数声明的返回类型为 '${typeToString(declared)}'，但没有 return 语句`);
+            }
+        } else if (!node.generator && !node.async) {
+            signature.returns = frame.returns.length === 0 ? TYPES.void : unionOf(frame.returns.map(type => this.widen(type)));
+        }
+        return signature;
+    }
+
+    /**
+     * 检查类的字段初始值和方法体
+     * @private
+     */
+    checkClassBody(node, classType) {
+        if (node.superClass) this.typeOf(node.superClass);
+
+        // 先检查构造函数，其中声明的属性在其他方法中可用
+        const members = [...node.body.body].sort((a, b) => Number(b.kind === 'constructor') - Number(a.kind === 'constructor'));
+        members.forEach(member => {
+            if (member.computed) this.typeOf(member.key);
+            const key = this.propertyName(member.key, member.computed);
+            const target = member.static ? classType.value.statics : classType.instance.properties;
+            const thisType = member.static ? classType.value : classType.instance;
+
+            if (member.type === 'MethodDefinition') {
+                const signature = this.functionSignature(member.value);
+                this.classInstance = member.static ? null : classType.instance;
+                this.checkFunction(member.value, signature, thisType);
+                this.classInstance = null;
+                if (key !== null && member.kind === 'method' && !member.value.returnType) {
+                    target.set(key, { type: signature, optional: false });
+                }
+                return;
+            }
+
+            if (!member.value) return;
+            const savedThis = this.thisType;
+            this.thisType = thisType;
+            const valueType = this.typeOf(member.value);
+            this.thisType = savedThis;
+
+            const declared = this.resolveAnnotation(member.typeAnnotation);
+            if (declared && !this.isAssignable(valueType, declared)) {
+                this.report('TypeMismatch', member.value,
+                    `不能将类型 '${typeToString(valueType)}' 赋给类型 '${typeToString(declared)}'`);
+            } else if (!declared && key !== null) {
+                target.set(key, { type: this.widen(valueType), optional: false });
+            }
+        });
+    }
+
+    // ==================== 表达式 ====================
+
+    /**
+     * 推断表达式的类型，同时检查其中的类型错误
+     * @param {Object} node - 表达式节点
+     * @returns {Object} 类型
+     * @private
+     */
+    typeOf(node) {
+        switch (node.type) {
+            case 'Literal':
+                return this.typeOfLiteral(node);
+            case 'TemplateLiteral':
+                node.expressions.forEach(expression => this.typeOf(expression));
+                return TYPES.string;
+            case 'Identifier': {
+                const binding = this.lookup(node.name);
+                if (binding) return binding.type;
+                return GLOBAL_VALUES[node.name] || TYPES.any;
+            }
+            case 'ThisExpression':
+                return this.thisType;
+            case 'ArrayExpression':
+                return this.typeOfArray(node);
+            case 'ObjectExpression':
+                return this.typeOfObject(node);
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+                return this.checkFunction(node, this.functionSignature(node));
+            case 'ClassExpression': {
+                if (!node.id) return TYPES.any;
+                const classType = this.resolveClass(node);
+                this.checkClassBody(node, classType);
+                return classType.value;
+            }
+            case 'ChainExpression':
+                return this.typeOf(node.expression);
+            case 'UnaryExpression':
+                return this.typeOfUnary(node);
+            case 'UpdateExpression': {
+                const type = this.typeOf(node.argument);
+                this.expectNumeric(type, node.argument, node.operator);
+                return type.kind === 'bigint' ? TYPES.bigint : TYPES.number;
+            }
+            case 'BinaryExpression':
+                return this.typeOfBinary(node);
+            case 'LogicalExpression': {
+                const left = this.typeOf(node.left);
+                const right = this.typeOf(node.right);
+                if (node.operator === '&&') return right;
+                return unionOf([node.operator === '??' ? withoutNullish(left) : left, right]);
+            }
+            case 'AssignmentExpression':
+                return this.typeOfAssignment(node);
+            case 'ConditionalExpression':
+                this.typeOf(node.test);
+                return unionOf([this.typeOf(node.consequent), this.typeOf(node.alternate)]);
+            case 'SequenceExpression':
+                return node.expressions.map(expression => this.typeOf(expression)).pop();
+            case 'MemberExpression':
+                return this.typeOfMember(node);
+            case 'CallExpression':
+                return this.typeOfCall(node);
+            case 'NewExpression':
+                return this.typeOfNew(node);
+            case 'SpreadElement':
+                return this.typeOf(node.argument);
+            default:
+                // await、yield、带标签的模板等：检查子表达式，结果为 any
+                Object.keys(node).forEach(key => {
+                    const value = node[key];
+                    if (value && typeof value === 'object' && typeof value.type === 'string' && key !== 'loc') {
+                        this.typeOf(value);
+                    }
+                });
+                return TYPES.any;
+        }
+    }
+
+    /**
+     * 带期望类型的推断: 数组字面量可以推断为元组，函数表达式中没有标注的参数使用期望的参数类型
+     * @param {Object} node - 表达式节点
+     * @param {Object|null} expected - 期望类型（标注、形参类型），null 时与 typeOf() 相同
+     * @returns {Object} 类型
+     * @private
+     */
+    typeOfWithContext(node, expected) {
+        if (expected && expected.kind === 'tuple' && node.type === 'ArrayExpression' &&
+            node.elements.every(element => element && element.type !== 'SpreadElement')) {
+            return {
+                kind: 'tuple',
+                elements: node.elements.map((element, index) => this.typeOfWithContext(element, expected.elements[index] || null))
+            };
+        }
+
+        if (expected && expected.kind === 'function' &&
+            (node.type === 'ArrowFunctionExpression' || node.type === 'FunctionExpression')) {
+            const signature = this.functionSignature(node);
+            signature.params.forEach((p, index) => {
+                const annotated = node.params[index].type === 'AssignmentPattern'
+                    ? node.params[index].left.typeAnnotation
+                    : node.params[index].typeAnnotation;
+                if (!annotated && !p.rest && index < expected.params.length) p.type = expected.params[index].type;
+            });
+            return this.checkFunction(node, signature);
+        }
+
+        return this.typeOf(node);
+    }
+
+    /**
+     * 第 index 个实参对应的形参类型（剩余参数取元素类型）
+     * @private
+     */
+    paramTypeAt(signature, index) {
+        const fixed = signature.params.filter(p => !p.rest);
+        if (index < fixed.length) return fixed[index].type;
+        const rest = signature.params.find(p => p.rest);
+        return rest ? this.elementType(rest.type, null) : null;
+    }
+
+    /**
+     * @private
+     */
+    typeOfLiteral(node) {
+        if (node.bigint !== undefined) return TYPES.bigint;
+        if (node.regex || (node.raw && node.raw[0] === '/')) return openObject('RegExp');
+        if (node.value === null) return TYPES.null;
+        switch (typeof node.value) {
+            case 'number':
+                return TYPES.number;
+            case 'string':
+                return TYPES.string;
+            case 'boolean':
+                return TYPES.boolean;
+            default:
+                return TYPES.any;
+        }
+    }
+
+    /**
+     * @private
+     */
+    typeOfArray(node) {
+        const elements = node.elements.filter(Boolean).map(element => {
+            const type = this.typeOf(element);
+            return element.type === 'SpreadElement' ? this.elementType(type, null) : type;
+        });
+        return arrayOf(elements.length === 0 ? TYPES.any : unionOf(elements.map(type => this.widen(type))));
+    }
+
+    /**
+     * 对象字面量的类型；含计算属性或展开时为开放对象，之后可以通过赋值新增属性
+     * @private
+     */
+    typeOfObject(node) {
+        const type = { ...objectOf(), expando: true };
+        node.properties.forEach(property => {
+            if (property.type === 'SpreadElement') {
+                const spread = this.typeOf(property.argument);
+                if (spread.kind === 'object') {
+                    spread.properties.forEach((value, key) => type.properties.set(key, value));
+                    type.open = type.open || spread.open;
+                } else {
+                    type.open = true;
+                }
+                return;
+            }
+
+            if (property.computed) this.typeOf(property.key);
+            const key = this.propertyName(property.key, property.computed);
+            let valueType;
+            if (property.method || property.kind !== 'init') {
+                // 方法和 getter/setter 中的 this 是对象本身
+                const signature = this.checkFunction(property.value, this.functionSignature(property.value), type);
+                valueType = property.kind === 'get' ? signature.returns : property.kind === 'set' ? TYPES.any : signature;
+            } else {
+                valueType = this.typeOf(property.value);
+            }
+
+            if (key === null) {
+                type.open = true;
+            } else {
+                type.properties.set(key, { type: this.widen(valueType), optional: false });
+            }
+        });
+        return type;
+    }
+
+    /**
+     * @private
+     */
+    typeOfUnary(node) {
+        const type = this.typeOf(node.argument);
+        switch (node.operator) {
+            case '!':
+            case 'delete':
+                return TYPES.boolean;
+            case 'typeof':
+                return TYPES.string;
+            case 'void':
+                return TYPES.undefined;
+            case '+':
+                return TYPES.number;
+            default:
+                // - 和 ~
+                this.expectNumeric(type, node.argument, node.operator);
+                return type.kind === 'bigint' ? TYPES.bigint : TYPES.number;
+        }
+    }
+
+    /**
+     * 运算数必须是数字或 bigint
+     * @private
+     */
+    expectNumeric(type, node, operator) {
+        const operand = type.kind === 'union' ? withoutNullish(type) : type;
+        if (!every(operand, member => member.kind === 'any' || member.kind === 'bigint' || isNumeric(member))) {
+            this.report('InvalidOperand', node, `运算符 '${operator}' 不能用于类型 '${typeToString(type)}'`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    typeOfBinary(node) {
+        return this.binaryResult(node.operator, this.typeOf(node.left), this.typeOf(node.right), node);
+    }
+
+    /**
+     * 由两侧的类型得到二元运算的结果类型，并检查运算数
+     * @param {string} operator - 运算符
+     * @param {Object} left - 左侧类型
+     * @param {Object} right - 右侧类型
+     * @param {Object} node - 带 left/right 的节点（二元表达式或复合赋值），用于报错
+     * @private
+     */
+    binaryResult(operator, left, right, node) {
+        if (operator === '+') {
+            if (left.kind === 'any' || right.kind === 'any') return TYPES.any;
+            if (isStringLike(left) || isStringLike(right)) return TYPES.string;
+            if (left.kind === 'bigint' && right.kind === 'bigint') return TYPES.bigint;
+            if (every(left, isNumeric) && every(right, isNumeric)) return TYPES.number;
+            this.report('InvalidOperand', node,
+                `运算符 '+' 不能用于类型 '${typeToString(left)}' 和 '${typeToString(right)}'`);
+            return TYPES.any;
+        }
+
+        if (NUMERIC_OPERATORS.has(operator)) {
+            if (left.kind === 'bigint' && right.kind === 'bigint') return TYPES.bigint;
+            if ((left.kind === 'bigint' && isNumeric(right)) || (right.kind === 'bigint' && isNumeric(left))) {
+                this.report('InvalidOperand', node, `不能混合 bigint 和 number 进行 '${operator}' 运算`);
+                return TYPES.any;
+            }
+            this.expectNumeric(left, node.left, operator);
+            this.expectNumeric(right, node.right, operator);
+            return TYPES.number;
+        }
+
+        if (['===', '!==', '==', '!='].includes(operator) && this.isDisjoint(left, right)) {
+            this.report('ComparisonNoOverlap', node,
+                `类型 '${typeToString(left)}' 和 '${typeToString(right)}' 没有重叠，比较结果总是${operator.startsWith('!') ? ' true' : ' false'}`);
+        }
+        // 比较、相等、in、instanceof
+        return TYPES.boolean;
+    }
+
+    /**
+     * 两个基本类型互不兼容（null 和 undefined 可以与任何值比较）
+     * @private
+     */
+    isDisjoint(left, right) {
+        const concrete = (type) => every(type, member =>
+            PRIMITIVE_KINDS.has(member.kind) && !['any', 'unknown', 'never', 'null', 'undefined', 'void'].includes(member.kind));
+        return concrete(left) && concrete(right) &&
+            !this.isAssignable(left, right) && !this.isAssignable(right, left);
+    }
+
+    /**
+     * @private
+     */
+    typeOfAssignment(node) {
+        const right = this.typeOf(node.right);
+        if (node.operator === '=') {
+            this.checkAssignment(node.left, right, node.right);
+            return right;
+        }
+
+        const left = this.typeOf(node.left);
+        if (['&&=', '||=', '??='].includes(node.operator)) return unionOf([left, right]);
+        const result = this.binaryResult(node.operator.slice(0, -1), left, right, node);
+        this.checkAssignment(node.left, result, node, left);
+        return result;
+    }
+
+    /**
+     * 检查赋值的值与目标的类型是否兼容
+     * @param {Object} target - 赋值目标（标识符或成员表达式）
+     * @param {Object} valueType - 值的类型
+     * @param {Object} reportNode - 出错时标记的节点
+     * @param {Object} knownTargetType - 已经推断过的目标类型（复合赋值），避免重复检查
+     * @private
+     */
+    checkAssignment(target, valueType, reportNode, knownTargetType = null) {
+        let targetType = knownTargetType;
+        if (targetType) {
+            // 已由调用方推断
+        } else if (target.type === 'Identifier') {
+            const binding = this.lookup(target.name);
+            targetType = binding ? binding.type : null;
+        } else if (this.declaresThisProperty(target)) {
+            this.classInstance.properties.set(target.property.name, { type: this.widen(valueType), optional: false });
+            return;
+        } else if (target.type === 'MemberExpression' && !target.computed) {
+            const objectType = this.typeOf(target.object);
+            const key = this.propertyName(target.property, false);
+            if (objectType.expando && !objectType.properties.has(key)) {
+                // 给对象字面量新增属性（与 TypeScript 检查 JS 文件时一致）
+                objectType.properties.set(key, { type: this.widen(valueType), optional: false });
+                return;
+            }
+            targetType = this.propertyType(objectType, key, target.property, Boolean(target.optional));
+        } else if (target.type === 'MemberExpression') {
+            targetType = this.typeOfMember(target);
+        }
+
+        if (targetType && !this.isAssignable(valueType, targetType)) {
+            this.report('TypeMismatch', reportNode,
+                `不能将类型 '${typeToString(valueType)}' 赋给类型 '${typeToString(targetType)}'`);
+        }
+    }
+
+    /**
+     * 方法中第一次给隐式声明的属性赋值（this.x = ...）时，用值的类型确定这个属性的类型
+     * @private
+     */
+    declaresThisProperty(target) {
+        if (this.classInstance === null || target.type !== 'MemberExpression' || target.computed ||
+            target.object.type !== 'ThisExpression' || target.property.type !== 'Identifier') return false;
+        const property = this.classInstance.properties.get(target.property.name);
+        return Boolean(property && property.implicit);
+    }
+
+    /**
+     * @private
+     */
+    typeOfMember(node) {
+        const objectType = this.typeOf(node.object);
+        if (!node.computed) {
+            return this.propertyType(objectType, this.propertyName(node.property, false), node.property, Boolean(node.optional));
+        }
+
+        const indexType = this.typeOf(node.property);
+        if (node.property.type === 'Literal' && typeof node.property.value === 'string') {
+            return this.propertyType(objectType, node.property.value, node.property, Boolean(node.optional));
+        }
+        if (isNumeric(indexType) || indexType.kind === 'any') {
+            const index = node.property.type === 'Literal' && typeof node.property.value === 'number' ? node.property.value : null;
+            return this.elementType(objectType, index);
+        }
+        return TYPES.any;
+    }
+
+    /**
+     * 读取属性的类型，对象类型上不存在的属性报错
+     * @param {Object} objectType - 对象的类型
+     * @param {string} key - 属性名
+     * @param {Object} keyNode - 属性名节点（报错位置）
+     * @param {boolean} optional - 是否为可选链访问
+     * @private
+     */
+    propertyType(objectType, key, keyNode, optional) {
+        if (objectType.kind === 'union') {
+            const members = withoutNullish(objectType);
+            if (members.kind !== 'union') return this.propertyType(members, key, keyNode, optional);
+            return unionOf(members.types.map(member => this.propertyType(member, key, keyNode, optional)));
+        }
+
+        switch (objectType.kind) {
+            case 'object': {
+                const property = objectType.properties.get(key);
+                if (property) return property.type;
+                if (!objectType.open) {
+                    this.report('PropertyNotFound', keyNode, `类型 '${typeToString(objectType)}' 上不存在属性 '${key}'`);
+                }
+                return TYPES.any;
+            }
+            case 'class': {
+                const property = objectType.statics.get(key);
+                if (property) return property.type;
+                if (key !== 'prototype' && key !== 'name') {
+                    this.report('PropertyNotFound', keyNode, `类 '${objectType.name}' 上不存在静态属性 '${key}'`);
+                }
+                return TYPES.any;
+            }
+            case 'array':
+            case 'tuple': {
+                if (key === 'length') return TYPES.number;
+                const method = ARRAY_METHODS[key];
+                return method ? method(this.elementType(objectType, null)) : TYPES.any;
+            }
+            case 'string':
+            case 'enum':
+                if (!isStringLike(objectType)) return TYPES.any;
+                if (key === 'length') return TYPES.number;
+                return STRING_METHODS[key] ? functionOf([param('args', TYPES.any, false, true)], STRING_METHODS[key]) : TYPES.any;
+            case 'number':
+                if (key === 'toFixed' || key === 'toString') {
+                    return functionOf([param('digits', TYPES.number, true)], TYPES.string);
+                }
+                return TYPES.any;
+            case 'null':
+            case 'undefined':
+                if (!optional) {
+                    this.report('PropertyNotFound', keyNode, `不能读取 '${objectType.kind}' 的属性 '${key}'`);
+                }
+                return TYPES.undefined;
+            default:
+                return TYPES.any;
+        }
+    }
+
+    /**
+     * @private
+     */
+    typeOfCall(node) {
+        const calleeType = this.typeOf(node.callee);
+        const argumentTypes = node.arguments.map((argument, index) =>
+            this.typeOfWithContext(argument, calleeType.kind === 'function' ? this.paramTypeAt(calleeType, index) : null));
+
+        if (calleeType.kind === 'function') {
+            this.checkArguments(node, calleeType, argumentTypes);
+            return calleeType.returns;
+        }
+        if (calleeType.kind === 'class') {
+            this.report('NotCallable', node.callee, `类 '${calleeType.name}' 只能用 new 调用`);
+            return TYPES.any;
+        }
+        if (calleeType.kind === 'union' || calleeType.kind === 'any' || calleeType.kind === 'unknown' ||
+            (calleeType.kind === 'object' && calleeType.open)) {
+            return TYPES.any;
+        }
+
+        this.report('NotCallable', node.callee, `类型 '${typeToString(calleeType)}' 不能调用`);
+        return TYPES.any;
+    }
+
+    /**
+     * @private
+     */
+    typeOfNew(node) {
+        const calleeType = this.typeOf(node.callee);
+        const argumentTypes = node.arguments.map(argument => this.typeOf(argument));
+
+        if (calleeType.kind === 'class') {
+            this.checkArguments(node, calleeType.construct, argumentTypes);
+            return calleeType.instance;
+        }
+        if (calleeType.kind === 'object' && !calleeType.open && calleeType.name) {
+            this.report('NotConstructable', node.callee, `类型 '${typeToString(calleeType)}' 不能用 new 调用`);
+        } else if (PRIMITIVE_KINDS.has(calleeType.kind) && !['any', 'unknown'].includes(calleeType.kind)) {
+            this.report('NotConstructable', node.callee, `类型 '${typeToString(calleeType)}' 不能用 new 调用`);
+        }
+        return TYPES.any;
+    }
+
+    /**
+     * 检查实参的个数和类型
+     * @param {Object} node - 调用节点
+     * @param {Object} signature - 函数类型
+     * @param {Array} argumentTypes - 实参类型
+     * @private
+     */
+    checkArguments(node, signature, argumentTypes) {
+        const hasSpread = node.arguments.some(argument => argument.type === 'SpreadElement');
+        const rest = signature.params.find(p => p.rest);
+        const fixed = signature.params.filter(p => !p.rest);
+        const required = fixed.filter(p => !p.optional).length;
+
+        if (!hasSpread && (argumentTypes.length < required || (!rest && argumentTypes.length > fixed.length))) {
+            const expected = rest ? `至少 ${required}` : required === fixed.length ? `${required}` : `${required}-${fixed.length}`;
+            this.report('ArgumentCount', node, `应有 ${expected} 个参数，但传入了 ${argumentTypes.length} 个`);
+        }
+
+        argumentTypes.forEach((type, index) => {
+            if (node.arguments[index].type === 'SpreadElement') return;
+            const target = this.paramTypeAt(signature, index);
+            if (target && !this.isAssignable(type, target)) {
+                const name = index < fixed.length ? fixed[index].name : rest.name;
+                this.report('TypeMismatch', node.arguments[index],
+                    `类型 '${typeToString(type)}' 的实参不能赋给类型 '${typeToString(target)}' 的参数 '${name}'`);
+            }
+        });
+    }
+
+    // ==================== 诊断 ====================
+
+    /**
+     * 记录类型错误
+     * @param {string} type - 诊断类型
+     * @param {Object} node - 出错的节点
+     * @param {string} message - 描述
+     * @private
+     */
+    report(type, node, message) {
+        this.diagnostics.push({
+            severity: 'error',
+            type,
+            message: `类型: ${message}`,
+            line: node.loc.start.line,
+            column: node.loc.start.column,
+            from: node.start,
+            to: node.end
+        });
+    }
+}
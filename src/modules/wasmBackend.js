@@ -0,0 +1,832 @@
+// src/modules/wasmBackend.js
+// WebAssembly 后端 - 把 SSA IR 编码为真正的 .wasm 二进制模块（wasm 模板）
+
+/*
+    是什么: 不借助外部工具，直接按 WebAssembly 二进制格式输出模块：类型、导入、函数、内存、
+            全局变量、导出、代码和数据段，外加记录函数名的 name 自定义段。
+            同一份指令序列同时输出为文本格式（WAT），显示在目标代码面板中。
+    为什么: wasm 模板的目标代码应当是浏览器可以原生执行的程序，而不是又一种文本清单。
+    如何关联:
+        - 由`CodeGenerator.compile()`在 wasm 模板下调用，输入是优化后的 IR。
+        - `wasmRuntime.js`用 WebAssembly.instantiate 实例化并运行模块，结果交给`PerformanceAnalyzer`。
+        - 模块导入 env.print_number / print_boolean / print_string / print_end（输出一行）
+          以及 env.pow / env.rem（WebAssembly 没有对应的浮点指令），导出 main、memory、steps 和 depth。
+
+    值的表示:
+        - 源语言是动态类型的，后端先在整个模块上推断每个值、全局变量和返回值的静态类型，
+          要求每个值的类型固定（数字、布尔值、null 或 undefined），否则报 WasmCompileError。
+        - 所有值都用 f64 表示：布尔值为 0/1，null 为 0，undefined 为 NaN，
+          算术运算的结果因此与 JavaScript 一致；== 和 === 中涉及类型的部分在编译时决定。
+        - 字符串只能是 console.log 的常量参数，放在数据段中。
+        - 位运算先用辅助函数 $toInt32 按 JavaScript 的 ToInt32 规则转换为 i32。
+    控制流: Ramsey 的"Beyond Relooper"算法，把可归约的控制流图翻译为 block / loop / if。
+        - 支配树中有多个前向入边的子节点（汇合点）按逆后序从晚到早嵌套在 block 之后，
+          跳到汇合点是 br 到对应 block 的末尾；循环头包在 loop 中，回边是 br 到 loop 的开头。
+        - 只有一个前向入边的后继直接内联在分支中。
+        - φ 节点在每条边上用局部变量并行赋值（先把所有入边值压栈，再倒序 local.set）。
+    运行保护: 与字节码虚拟机使用相同的上限，超过时执行 unreachable，死循环和无限递归不会卡住页面。
+        - 每个基本块入口把块中的指令数累加到全局变量 $steps 上，不超过`VM_LIMITS.maxInstructions`。
+        - 函数入口把 $depth 加一、return 之前减一，调用深度不超过`VM_LIMITS.maxCallDepth`。
+*/
+
+import { VM_LIMITS } from '../utils/constants.js';
+import { computeDominators, dominates, nameValues } from './ir.js';
+
+const I32 = 0x7f;
+const F64 = 0x7c;
+const FUNCTION_TYPE = 0x60;
+const BLOCK_VOID = 0x40;
+const PAGE_SIZE = 65536;
+const TWO_TO_32 = 4294967296;
+
+// 导入的宿主函数：[名字, 参数类型, 返回类型]
+const IMPORTS = [
+    ['print_number', [F64], []],
+    ['print_boolean', [I32], []],
+    ['print_string', [I32, I32], []],
+    ['print_end', [], []],
+    ['pow', [F64, F64], [F64]],
+    ['rem', [F64, F64], [F64]]
+];
+const IMPORT_INDEX = Object.fromEntries(IMPORTS.map(([name], index) => [name, index]));
+
+// 操作码 → [编码, 立即数类型]
+const OPCODES = {
+    'unreachable': [0x00], 'block': [0x02, 'block'], 'loop': [0x03, 'block'], 'if': [0x04, 'block'],
+    'else': [0x05], 'end': [0x0b], 'br': [0x0c, 'depth'], 'return': [0x0f], 'call': [0x10, 'func'],
+    'local.get': [0x20, 'local'], 'local.set': [0x21, 'local'],
+    'global.get': [0x23, 'global'], 'global.set': [0x24, 'global'],
+    'i32.const': [0x41, 'i32'], 'f64.const': [0x44, 'f64'],
+    'i32.eqz': [0x45], 'i32.gt_u': [0x4b],
+    'f64.eq': [0x61], 'f64.ne': [0x62], 'f64.lt': [0x63], 'f64.gt': [0x64], 'f64.le': [0x65], 'f64.ge': [0x66],
+    'i32.add': [0x6a], 'i32.sub': [0x6b], 'i32.and': [0x71], 'i32.or': [0x72], 'i32.xor': [0x73],
+    'i32.shl': [0x74], 'i32.shr_s': [0x75], 'i32.shr_u': [0x76],
+    'f64.neg': [0x9a], 'f64.trunc': [0x9d], 'f64.add': [0xa0], 'f64.sub': [0xa1], 'f64.mul': [0xa2], 'f64.div': [0xa3],
+    'i32.wrap_i64': [0xa7], 'i64.trunc_f64_s': [0xb0], 'f64.convert_i32_s': [0xb7], 'f64.convert_i32_u': [0xb8]
+};
+
+// IR 操作码 → WebAssembly 指令
+const FLOAT_OPS = { add: 'f64.add', sub: 'f64.sub', mul: 'f64.mul', div: 'f64.div' };
+const IMPORTED_OPS = { pow: 'pow', rem: 'rem' };
+const INTEGER_OPS = { and: 'i32.and', or: 'i32.or', xor: 'i32.xor', shl: 'i32.shl', shr: 'i32.shr_s', ushr: 'i32.shr_u' };
+const ORDER_OPS = { lt: 'f64.lt', le: 'f64.le', gt: 'f64.gt', ge: 'f64.ge' };
+const EQUALITY_OPS = new Set(['eq', 'ne', 'seq', 'sne']);
+
+const TYPE_NAMES = { number: '数字', boolean: '布尔值', null: 'null', undefined: 'undefined', string: '字符串' };
+
+/**
+ * WebAssembly 后端错误：程序用到了只能动态确定的类型
+ */
+export class WasmCompileError extends Error {
+    /**
+     * @param {string} message - 错误描述
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'WasmCompileError';
+    }
+}
+
+/**
+ * 把 IR 模块编码为 WebAssembly 二进制
+ * @param {Object} module - IR 模块（寄存器分配之前）
+ * @returns {Object} { bytes: Uint8Array, text: WAT 文本, sections: [{ name, size }] }
+ * @throws {WasmCompileError} 值的类型不固定或使用了字符串运算
+ */
+export function compileToWasm(module) {
+    return new ModuleEncoder(module).encode();
+}
+
+// ---------- 二进制编码 ----------
+
+function unsignedLEB(value) {
+    const bytes = [];
+    do {
+        let byte = value & 0x7f;
+        value >>>= 7;
+        if (value !== 0) byte |= 0x80;
+        bytes.push(byte);
+    } while (value !== 0);
+    return bytes;
+}
+
+function signedLEB(value) {
+    const bytes = [];
+    for (;;) {
+        const byte = value & 0x7f;
+        value >>= 7;
+        if ((value === 0 && (byte & 0x40) === 0) || (value === -1 && (byte & 0x40) !== 0)) {
+            bytes.push(byte);
+            return bytes;
+        }
+        bytes.push(byte | 0x80);
+    }
+}
+
+function float64(value) {
+    const view = new DataView(new ArrayBuffer(8));
+    view.setFloat64(0, value, true);
+    return [...new Uint8Array(view.buffer)];
+}
+
+function encodeName(text) {
+    const bytes = [...new TextEncoder().encode(text)];
+    return [...unsignedLEB(bytes.length), ...bytes];
+}
+
+function vector(items) {
+    return [...unsignedLEB(items.length), ...items.flat()];
+}
+
+function section(id, contents) {
+    return [id, ...unsignedLEB(contents.length), ...contents];
+}
+
+/**
+ * f64 常量的文本形式
+ * @private
+ */
+function formatFloat(value) {
+    if (Number.isNaN(value)) return 'nan';
+    if (value === Infinity) return 'inf';
+    if (value === -Infinity) return '-inf';
+    return Object.is(value, -0) ? '-0' : String(value);
+}
+
+/**
+ * 数据段字符串的文本形式，非 ASCII 可见字符转义为 \hh
+ * @private
+ */
+function formatData(bytes) {
+    return [...bytes].map(byte => byte >= 0x20 && byte < 0x7f && byte !== 0x22 && byte !== 0x5c
+        ? String.fromCharCode(byte)
+        : `\\${byte.toString(16).padStart(2, '0')}`).join('');
+}
+
+/**
+ * 常量的静态类型
+ * @private
+ */
+function constantType(value) {
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+/**
+ * 同时输出二进制指令和文本的写入器
+ * @private
+ */
+class InstructionWriter {
+    /**
+     * @param {Object} names - { local: [], func: [], global: [] }，文本中立即数显示的名字
+     */
+    constructor(names) {
+        this.names = names;
+        this.bytes = [];
+        this.lines = [];
+        this.depth = 2;
+    }
+
+    /**
+     * @param {string} name - 指令名，见 OPCODES
+     * @param {*} immediate - 立即数
+     * @param {string} comment - 文本中附加的注释
+     */
+    op(name, immediate = null, comment = null) {
+        const [code, kind] = OPCODES[name];
+        if (name === 'end' || name === 'else') this.depth--;
+
+        let text = name;
+        this.bytes.push(code);
+        if (kind === 'block') {
+            this.bytes.push(BLOCK_VOID);
+        } else if (kind === 'i32') {
+            this.bytes.push(...signedLEB(immediate));
+            text += ` ${immediate}`;
+        } else if (kind === 'f64') {
+            this.bytes.push(...float64(immediate));
+            text += ` ${formatFloat(immediate)}`;
+        } else if (kind) {
+            this.bytes.push(...unsignedLEB(immediate));
+            text += kind === 'depth' ? ` ${immediate}` : ` $${this.names[kind][immediate]}`;
+        }
+        this.lines.push(`${'  '.repeat(this.depth)}${text}${comment ? `  ;; ${comment}` : ''}`);
+
+        if (kind === 'block' || name === 'else') this.depth++;
+    }
+}
+
+/**
+ * 整个模块的编码
+ * @private
+ */
+class ModuleEncoder {
+    constructor(module) {
+        this.module = module;
+        this.functionIndex = new Map(module.functions.map((fn, index) => [fn.name, IMPORTS.length + index]));
+        this.toInt32Index = IMPORTS.length + module.functions.length;
+        // 全局变量 0 和 1 是指令计数器 $steps 和调用深度 $depth
+        this.globalIndex = new Map(module.globals.map((name, index) => [name, index + 2]));
+        this.strings = new Map();
+        this.data = [];
+        this.inferTypes();
+    }
+
+    /**
+     * 字符串在数据段中的位置，相同的字符串只存一份
+     * @param {string} text - 字符串
+     * @returns {Object} { offset, length }
+     */
+    string(text) {
+        if (!this.strings.has(text)) {
+            const bytes = new TextEncoder().encode(text);
+            this.strings.set(text, { offset: this.data.length, length: bytes.length });
+            this.data.push(...bytes);
+        }
+        return this.strings.get(text);
+    }
+
+    /**
+     * 在整个模块上迭代到不动点，推断值、全局变量和返回值的类型
+     * 参数的类型来自所有调用点的实参，同一个值出现两种类型时报错
+     * @private
+     */
+    inferTypes() {
+        this.types = new Map();
+        this.globalTypes = new Map();
+        this.returnTypes = new Map();
+        const functions = new Map(this.module.functions.map(fn => [fn.name, fn]));
+        const names = new Map(this.module.functions.map(fn => [fn, nameValues(fn)]));
+
+        let changed = true;
+        const update = (map, key, type, describe) => {
+            if (!type) return;
+            const current = map.get(key);
+            if (current === type) return;
+            if (current) {
+                throw new WasmCompileError(`${describe()}既可能是${TYPE_NAMES[current]}也可能是${TYPE_NAMES[type]}，` +
+                    'WebAssembly 后端要求每个值的类型固定');
+            }
+            if (type === 'string') {
+                throw new WasmCompileError(`${describe()}是字符串，WebAssembly 后端只能直接输出字符串常量`);
+            }
+            map.set(key, type);
+            changed = true;
+        };
+
+        while (changed) {
+            changed = false;
+            this.module.functions.forEach(fn => {
+                const value = (operand) => () => `@${fn.name} 中的 %${names.get(fn).get(operand)} `;
+                fn.blocks.forEach(block => {
+                    block.phis.forEach(phi => phi.incoming.forEach(entry => {
+                        update(this.types, phi.dest, this.typeOf(entry.value), value(phi.dest));
+                    }));
+                    block.instructions.forEach(instruction => {
+                        if (instruction.op === 'store') {
+                            update(this.globalTypes, instruction.global, this.typeOf(instruction.args[0]), () => `全局变量 ${instruction.global} `);
+                            return;
+                        }
+                        if (instruction.op === 'call') {
+                            const callee = functions.get(instruction.callee);
+                            instruction.args.forEach((arg, index) => {
+                                const param = callee.params[index];
+                                update(this.types, param, this.typeOf(arg), () => `@${callee.name} 的参数 %${names.get(callee).get(param)} `);
+                            });
+                        }
+                        if (instruction.dest) {
+                            update(this.types, instruction.dest, this.resultType(instruction), value(instruction.dest));
+                        }
+                    });
+                    if (block.terminator.op === 'ret') {
+                        update(this.returnTypes, fn.name, this.typeOf(block.terminator.value), () => `@${fn.name} 的返回值`);
+                    }
+                });
+            });
+        }
+    }
+
+    /**
+     * 值的静态类型，还没有确定时为 null
+     * @private
+     */
+    typeOf(value) {
+        if (value.kind === 'const') return constantType(value.value);
+        return this.types.get(value) || null;
+    }
+
+    /**
+     * 指令结果的静态类型
+     * @private
+     */
+    resultType(instruction) {
+        const { op } = instruction;
+        if (op === 'load') return this.globalTypes.get(instruction.global) || null;
+        if (op === 'call') return this.returnTypes.get(instruction.callee) || null;
+        if (op === 'not' || ORDER_OPS[op] || EQUALITY_OPS.has(op)) return 'boolean';
+        return 'number';
+    }
+
+    /**
+     * @returns {Object} { bytes, text, sections }
+     */
+    encode() {
+        const { module } = this;
+        const functionNames = [...IMPORTS.map(([name]) => name), ...module.functions.map(fn => fn.name), 'toInt32'];
+        const globalNames = ['steps', 'depth', ...module.globals];
+
+        const bodies = module.functions.map(fn => new FunctionEncoder(fn, this, functionNames, globalNames).encode());
+        bodies.push(this.encodeToInt32(functionNames, globalNames));
+
+        // 类型段：按签名去重
+        const signatures = [];
+        const typeIndex = (params, results) => {
+            const key = `${params.join(',')}:${results.join(',')}`;
+            let index = signatures.findIndex(signature => signature.key === key);
+            if (index < 0) {
+                index = signatures.length;
+                signatures.push({ key, bytes: [FUNCTION_TYPE, ...vector(params), ...vector(results)] });
+            }
+            return index;
+        };
+        const imports = IMPORTS.map(([name, params, results]) => [
+            ...encodeName('env'), ...encodeName(name), 0x00, ...unsignedLEB(typeIndex(params, results))
+        ]);
+        const functions = bodies.map(body => unsignedLEB(typeIndex(body.params, body.results)));
+
+        const pages = Math.max(1, Math.ceil(this.data.length / PAGE_SIZE));
+        // 全局变量：(类型, 可变, 初始值表达式)，源程序的全局变量初始为 undefined
+        const globals = [
+            [I32, 0x01, OPCODES['i32.const'][0], 0x00, OPCODES.end[0]],
+            [I32, 0x01, OPCODES['i32.const'][0], 0x00, OPCODES.end[0]],
+            ...module.globals.map(() => [F64, 0x01, OPCODES['f64.const'][0], ...float64(NaN), OPCODES.end[0]])
+        ];
+        const exports = [
+            [...encodeName('main'), 0x00, ...unsignedLEB(this.functionIndex.get('main'))],
+            [...encodeName('memory'), 0x02, 0x00],
+            [...encodeName('steps'), 0x03, 0x00],
+            [...encodeName('depth'), 0x03, 0x01]
+        ];
+        const code = bodies.map(body => {
+            const locals = body.locals.length > 0 ? vector([[...unsignedLEB(body.locals.length), F64]]) : [0x00];
+            const contents = [...locals, ...body.bytes, OPCODES.end[0]];
+            return [...unsignedLEB(contents.length), ...contents];
+        });
+        const data = [[0x00, OPCODES['i32.const'][0], 0x00, OPCODES.end[0], ...vector(this.data)]];
+        // name 自定义段的函数名子段（id 1）
+        const functionNameMap = vector(functionNames.map((name, index) => [...unsignedLEB(index), ...encodeName(name)]));
+
+        const sections = [
+            ['type', section(1, vector(signatures.map(signature => signature.bytes)))],
+            ['import', section(2, vector(imports))],
+            ['function', section(3, vector(functions))],
+            ['memory', section(5, vector([[0x00, ...unsignedLEB(pages)]]))],
+            ['global', section(6, vector(globals))],
+            ['export', section(7, vector(exports))],
+            ['code', section(10, vector(code))],
+            ['data', section(11, vector(data))],
+            ['name', section(0, [...encodeName('name'), 0x01, ...unsignedLEB(functionNameMap.length), ...functionNameMap])]
+        ];
+        const bytes = new Uint8Array([0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00, ...sections.flatMap(([, contents]) => contents)]);
+
+        return {
+            bytes,
+            text: this.formatText(bodies, pages),
+            sections: sections.map(([name, contents]) => ({ name, size: contents.length }))
+        };
+    }
+
+    /**
+     * 辅助函数 $toInt32：JavaScript 的 ToInt32，NaN 和无穷大为 0，其余按 2^32 取模
+     * @private
+     */
+    encodeToInt32(functionNames, globalNames) {
+        const writer = new InstructionWriter({ local: ['x'], func: functionNames, global: globalNames });
+        writer.op('local.get', 0);
+        writer.op('local.get', 0);
+        writer.op('f64.sub');
+        writer.op('f64.const', 0);
+        writer.op('f64.ne', null, 'NaN 或无穷大');
+        writer.op('if');
+        writer.op('i32.const', 0);
+        writer.op('return');
+        writer.op('end');
+        writer.op('local.get', 0);
+        writer.op('local.get', 0);
+        writer.op('f64.const', TWO_TO_32);
+        writer.op('f64.div');
+        writer.op('f64.trunc');
+        writer.op('f64.const', TWO_TO_32);
+        writer.op('f64.mul');
+        writer.op('f64.sub', null, 'x - trunc(x / 2^32) * 2^32');
+        writer.op('i64.trunc_f64_s');
+        writer.op('i32.wrap_i64');
+        return { name: 'toInt32', params: [F64], results: [I32], paramNames: ['x'], locals: [], bytes: writer.bytes, lines: writer.lines };
+    }
+
+    /**
+     * 模块的文本格式
+     * @private
+     */
+    formatText(bodies, pages) {
+        const typeName = (type) => type === I32 ? 'i32' : 'f64';
+        const signature = (params, results, paramNames = null) => [
+            ...params.map((type, index) => ` (param ${paramNames ? `$${paramNames[index]} ` : ''}${typeName(type)})`),
+            ...results.map(type => ` (result ${typeName(type)})`)
+        ].join('');
+
+        const lines = ['(module'];
+        IMPORTS.forEach(([name, params, results]) => {
+            lines.push(`  (import "env" "${name}" (func $${name}${signature(params, results)}))`);
+        });
+        lines.push(`  (memory (export "memory") ${pages})`);
+        lines.push('  (global $steps (export "steps") (mut i32) (i32.const 0))');
+        lines.push('  (global $depth (export "depth") (mut i32) (i32.const 0))');
+        this.module.globals.forEach(name => lines.push(`  (global $${name} (mut f64) (f64.const nan))`));
+        if (this.data.length > 0) lines.push(`  (data (i32.const 0) "${formatData(this.data)}")`);
+
+        bodies.forEach(body => {
+            const exported = body.name === 'main' ? ' (export "main")' : '';
+            lines.push('', `  (func $${body.name}${exported}${signature(body.params, body.results, body.paramNames)}`);
+            if (body.locals.length > 0) lines.push(`    ${body.locals.map(name => `(local $${name} f64)`).join(' ')}`);
+            lines.push(...body.lines, '  )');
+        });
+        lines.push(')');
+        return lines.join('\n');
+    }
+}
+
+/**
+ * 单个函数的编码
+ * @private
+ */
+class FunctionEncoder {
+    constructor(fn, encoder, functionNames, globalNames) {
+        this.fn = fn;
+        this.encoder = encoder;
+
+        // 参数是前几个局部变量，其余每个 SSA 值一个局部变量
+        const names = nameValues(fn);
+        this.locals = new Map(fn.params.map((param, index) => [param, index]));
+        const localNames = fn.params.map(param => names.get(param));
+        fn.blocks.forEach(block => {
+            [...block.phis.map(phi => phi.dest), ...block.instructions.map(instruction => instruction.dest)]
+                .filter(Boolean)
+                .forEach(value => {
+                    this.locals.set(value, localNames.length);
+                    localNames.push(names.get(value));
+                });
+        });
+        this.localNames = localNames;
+        this.writer = new InstructionWriter({ local: localNames, func: functionNames, global: globalNames });
+    }
+
+    /**
+     * @returns {Object} { name, params, results, paramNames, locals, bytes, lines }
+     */
+    encode() {
+        const { fn } = this;
+        this.analyzeControlFlow();
+        this.count(1, 1, VM_LIMITS.maxCallDepth + 1, '调用深度');
+        this.doTree(fn.blocks[0], []);
+        // 所有路径都以 return 或 br 结束，函数末尾不可达
+        this.writer.op('unreachable');
+
+        return {
+            name: fn.name,
+            params: fn.params.map(() => F64),
+            results: [F64],
+            paramNames: this.localNames.slice(0, fn.params.length),
+            locals: this.localNames.slice(fn.params.length),
+            bytes: this.writer.bytes,
+            lines: this.writer.lines
+        };
+    }
+
+    // ---------- 控制流结构化 ----------
+
+    /**
+     * 计算支配树、循环头和汇合点
+     * @private
+     */
+    analyzeControlFlow() {
+        const { fn } = this;
+        this.order = new Map(fn.blocks.map((block, index) => [block, index]));
+        const idom = computeDominators(fn);
+        this.children = new Map(fn.blocks.map(block => [block, []]));
+        fn.blocks.forEach(block => {
+            if (idom.get(block)) this.children.get(idom.get(block)).push(block);
+        });
+
+        this.loopHeaders = new Set();
+        const forwardEdges = new Map(fn.blocks.map(block => [block, 0]));
+        fn.blocks.forEach(block => {
+            const { terminator } = block;
+            const targets = terminator.op === 'br' ? [terminator.target]
+                : terminator.op === 'cbr' ? [terminator.then, terminator.else] : [];
+            targets.forEach(target => {
+                if (!this.isBackward(block, target)) {
+                    forwardEdges.set(target, forwardEdges.get(target) + 1);
+                } else if (dominates(idom, target, block)) {
+                    this.loopHeaders.add(target);
+                } else {
+                    throw new WasmCompileError(`@${fn.name} 的控制流不可归约，无法翻译为 WebAssembly 的结构化控制流`);
+                }
+            });
+        });
+        this.mergeNodes = new Set(fn.blocks.filter(block => forwardEdges.get(block) > 1));
+    }
+
+    isBackward(source, target) {
+        return this.order.get(target) <= this.order.get(source);
+    }
+
+    /**
+     * 输出以 block 为根的支配子树
+     * @param {Object} block - 基本块
+     * @param {Array} context - 外层的结构，最内层在前：{ loop: 循环头 } / { follow: 汇合点 } / {}（if）
+     * @private
+     */
+    doTree(block, context) {
+        const merges = this.children.get(block)
+            .filter(child => this.mergeNodes.has(child))
+            .sort((a, b) => this.order.get(b) - this.order.get(a));
+
+        if (this.loopHeaders.has(block)) {
+            this.writer.op('loop', null, block.name);
+            this.nodeWithin(block, merges, [{ loop: block }, ...context]);
+            this.writer.op('end');
+        } else {
+            this.nodeWithin(block, merges, context);
+        }
+    }
+
+    /**
+     * 逆后序最晚的汇合点在最外层：block 结束后接着输出它
+     * @private
+     */
+    nodeWithin(block, merges, context) {
+        if (merges.length === 0) {
+            this.emitBlock(block, context);
+            return;
+        }
+        const [follower, ...rest] = merges;
+        this.writer.op('block', null, `→ ${follower.name}`);
+        this.nodeWithin(block, rest, [{ follow: follower }, ...context]);
+        this.writer.op('end');
+        this.doTree(follower, context);
+    }
+
+    /**
+     * 沿一条边跳转：先给目标的 φ 赋值，再 br 到循环头或汇合点，否则直接内联目标
+     * @private
+     */
+    branch(source, target, context) {
+        const copies = target.phis
+            .map(phi => [phi.dest, phi.incoming.find(entry => entry.block === source).value])
+            .filter(([dest, value]) => dest !== value);
+        copies.forEach(([, value]) => this.push(value));
+        [...copies].reverse().forEach(([dest]) => this.writer.op('local.set', this.locals.get(dest)));
+
+        const backward = this.isBackward(source, target);
+        if (!backward && !this.mergeNodes.has(target)) {
+            this.doTree(target, context);
+            return;
+        }
+        const depth = context.findIndex(entry => (backward ? entry.loop : entry.follow) === target);
+        this.writer.op('br', depth, target.name);
+    }
+
+    // ---------- 基本块 ----------
+
+    /**
+     * 给计数器（全局变量）加上 amount，超过 limit 时执行 unreachable
+     * @private
+     */
+    count(global, amount, limit, comment) {
+        const { writer } = this;
+        writer.op('global.get', global, comment);
+        writer.op('i32.const', amount);
+        writer.op('i32.add');
+        writer.op('global.set', global);
+        writer.op('global.get', global);
+        writer.op('i32.const', limit);
+        writer.op('i32.gt_u');
+        writer.op('if');
+        writer.op('unreachable');
+        writer.op('end');
+    }
+
+    /**
+     * 输出基本块的计数、指令和终结指令
+     * @private
+     */
+    emitBlock(block, context) {
+        const { writer } = this;
+        this.count(0, block.instructions.length + 1, VM_LIMITS.maxInstructions, block.name);
+
+        block.instructions.forEach(instruction => this.emitInstruction(instruction));
+
+        const { terminator } = block;
+        if (terminator.op === 'ret') {
+            this.push(terminator.value);
+            writer.op('global.get', 1);
+            writer.op('i32.const', 1);
+            writer.op('i32.sub');
+            writer.op('global.set', 1);
+            writer.op('return');
+        } else if (terminator.op === 'br') {
+            this.branch(block, terminator.target, context);
+        } else if (terminator.cond.kind === 'const') {
+            this.branch(block, terminator.cond.value ? terminator.then : terminator.else, context);
+        } else {
+            this.truthy(terminator.cond);
+            writer.op('if');
+            this.branch(block, terminator.then, [{}, ...context]);
+            writer.op('else');
+            this.branch(block, terminator.else, [{}, ...context]);
+            writer.op('end');
+        }
+    }
+
+    emitInstruction(instruction) {
+        const { writer } = this;
+        const { op, args } = instruction;
+        switch (op) {
+            case 'load':
+                writer.op('global.get', this.encoder.globalIndex.get(instruction.global));
+                break;
+            case 'store':
+                this.push(args[0]);
+                writer.op('global.set', this.encoder.globalIndex.get(instruction.global));
+                return;
+            case 'print':
+                args.forEach(arg => this.print(arg));
+                writer.op('call', IMPORT_INDEX.print_end);
+                return;
+            case 'call':
+                args.forEach(arg => this.push(arg));
+                writer.op('call', this.encoder.functionIndex.get(instruction.callee));
+                break;
+            default:
+                this.operation(op, args);
+        }
+        writer.op('local.set', this.locals.get(instruction.dest));
+    }
+
+    /**
+     * 纯运算，结果（f64）留在栈上
+     * @private
+     */
+    operation(op, args) {
+        const { writer } = this;
+        args.forEach(arg => this.checkNotString(arg));
+        if (FLOAT_OPS[op]) {
+            args.forEach(arg => this.push(arg));
+            writer.op(FLOAT_OPS[op]);
+        } else if (IMPORTED_OPS[op]) {
+            args.forEach(arg => this.push(arg));
+            writer.op('call', IMPORT_INDEX[IMPORTED_OPS[op]]);
+        } else if (INTEGER_OPS[op]) {
+            args.forEach(arg => this.toInt32(arg));
+            writer.op(INTEGER_OPS[op]);
+            writer.op(op === 'ushr' ? 'f64.convert_i32_u' : 'f64.convert_i32_s');
+        } else if (ORDER_OPS[op]) {
+            args.forEach(arg => this.push(arg));
+            writer.op(ORDER_OPS[op]);
+            writer.op('f64.convert_i32_u');
+        } else if (EQUALITY_OPS.has(op)) {
+            this.equality(op, args[0], args[1]);
+        } else if (op === 'neg') {
+            this.push(args[0]);
+            writer.op('f64.neg');
+        } else if (op === 'num') {
+            // 布尔值、null 和 undefined 的表示本身就是它们转换为数字的结果
+            this.push(args[0]);
+        } else if (op === 'not') {
+            this.truthy(args[0]);
+            writer.op('i32.eqz');
+            writer.op('f64.convert_i32_u');
+        } else if (op === 'bitnot') {
+            this.toInt32(args[0]);
+            writer.op('i32.const', -1);
+            writer.op('i32.xor');
+            writer.op('f64.convert_i32_s');
+        } else {
+            throw new WasmCompileError(`WebAssembly 后端不支持 ${op} 指令`);
+        }
+    }
+
+    /**
+     * == / != / === / !==：涉及 null、undefined 或不同类型的比较在编译时决定，其余比较数值
+     * @private
+     */
+    equality(op, left, right) {
+        const leftType = this.encoder.typeOf(left) || 'undefined';
+        const rightType = this.encoder.typeOf(right) || 'undefined';
+        const nullish = (type) => type === 'null' || type === 'undefined';
+
+        let known = null;
+        if (op === 'eq' || op === 'ne') {
+            if (nullish(leftType) || nullish(rightType)) known = nullish(leftType) && nullish(rightType);
+        } else if (leftType !== rightType) {
+            known = false;
+        } else if (nullish(leftType)) {
+            known = true;
+        }
+
+        const negated = op === 'ne' || op === 'sne';
+        if (known !== null) {
+            this.writer.op('f64.const', known !== negated ? 1 : 0);
+            return;
+        }
+        this.push(left);
+        this.push(right);
+        this.writer.op(negated ? 'f64.ne' : 'f64.eq');
+        this.writer.op('f64.convert_i32_u');
+    }
+
+    // ---------- 值 ----------
+
+    checkNotString(value) {
+        if (value.kind === 'const' && typeof value.value === 'string') {
+            throw new WasmCompileError(`WebAssembly 后端不支持字符串运算（${JSON.stringify(value.value)}），只能直接输出字符串常量`);
+        }
+    }
+
+    /**
+     * 把值作为 f64 压栈
+     * @private
+     */
+    push(value) {
+        if (value.kind === 'temp') {
+            this.writer.op('local.get', this.locals.get(value));
+            return;
+        }
+        this.checkNotString(value);
+        const number = value.value === undefined ? NaN : Number(value.value);
+        this.writer.op('f64.const', number);
+    }
+
+    /**
+     * 把值的真假（i32）压栈：0、NaN、false、null 和 undefined 为假
+     * @private
+     */
+    truthy(value) {
+        const { writer } = this;
+        const type = this.encoder.typeOf(value) || 'undefined';
+        if (value.kind === 'const' || type === 'null' || type === 'undefined') {
+            writer.op('i32.const', value.kind === 'const' && value.value ? 1 : 0);
+            return;
+        }
+        writer.op('local.get', this.locals.get(value));
+        writer.op('f64.const', 0);
+        writer.op('f64.ne');
+        if (type === 'number') {
+            writer.op('local.get', this.locals.get(value));
+            writer.op('local.get', this.locals.get(value));
+            writer.op('f64.eq', null, '不是 NaN');
+            writer.op('i32.and');
+        }
+    }
+
+    /**
+     * 把值按 ToInt32 转换后压栈，常量在编译时转换
+     * @private
+     */
+    toInt32(value) {
+        if (value.kind === 'const') {
+            this.writer.op('i32.const', value.value === null ? 0 : Number(value.value) | 0);
+            return;
+        }
+        this.push(value);
+        this.writer.op('call', this.encoder.toInt32Index);
+    }
+
+    /**
+     * 按静态类型调用对应的输出函数
+     * @private
+     */
+    print(value) {
+        const { writer } = this;
+        const type = value.kind === 'const' ? constantType(value.value) : this.encoder.typeOf(value) || 'undefined';
+        if (type === 'string' || type === 'null' || type === 'undefined') {
+            const { offset, length } = this.encoder.string(type === 'string' ? value.value : type);
+            writer.op('i32.const', offset);
+            writer.op('i32.const', length);
+            writer.op('call', IMPORT_INDEX.print_string);
+        } else if (type === 'boolean') {
+            if (value.kind === 'const') {
+                writer.op('i32.const', value.value ? 1 : 0);
+            } else {
+                writer.op('local.get', this.locals.get(value));
+                writer.op('f64.const', 0);
+                writer.op('f64.ne');
+            }
+            writer.op('call', IMPORT_INDEX.print_boolean);
+        } else {
+            this.push(value);
+            writer.op('call', IMPORT_INDEX.print_number);
+        }
+    }
+}
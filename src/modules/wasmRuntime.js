@@ -0,0 +1,88 @@
+// src/modules/wasmRuntime.js
+// WebAssembly 运行时 - 实例化 wasm 后端输出的模块并执行 main，记录输出、运行时间和执行的指令数
+
+/*
+    是什么: 为`wasmBackend.js`输出的模块提供宿主导入（输出和数学函数），
+            用 WebAssembly.instantiate 实例化后调用导出的 main。
+    为什么: wasm 模板的程序由浏览器原生执行，部署得分应当来自真实的运行时间和代码大小。
+    如何关联:
+        - 由`Game.deployProgram()`在 wasm 模板下调用，结果显示在`VMProfileView`中，
+          并交给`PerformanceAnalyzer.analyzeWasm()`计算部署得分。
+        - 输出的格式与字节码虚拟机相同（`formatOutput()`）。
+        - 执行的指令数来自模块导出的 $steps 计数器；超过`VM_LIMITS`中的上限时模块执行 unreachable，
+          这里根据 $steps 和 $depth 转换为与字节码虚拟机相同的错误信息。
+*/
+
+import { VM_LIMITS } from '../utils/constants.js';
+import { formatOutput } from './bytecodeVM.js';
+
+/**
+ * WebAssembly 运行错误：超出执行上限
+ */
+export class WasmRuntimeError extends Error {
+    /**
+     * @param {string} message - 错误描述
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'WasmRuntimeError';
+    }
+}
+
+/**
+ * 实例化并运行模块
+ * @param {Object} compiled - compileToWasm() 的返回值
+ * @returns {Promise<Object>} { ok, output: [string], error, instructions, bytes, milliseconds }
+ */
+export async function runWasm(compiled) {
+    const { maxInstructions, maxCallDepth, maxOutputLines } = VM_LIMITS;
+    const output = [];
+    let line = [];
+    let memory = null;
+    const decoder = new TextDecoder();
+
+    const env = {
+        print_number: (value) => line.push(formatOutput(value)),
+        print_boolean: (value) => line.push(String(value !== 0)),
+        print_string: (offset, length) => line.push(decoder.decode(new Uint8Array(memory.buffer, offset, length))),
+        print_end: () => {
+            if (output.length >= maxOutputLines) {
+                throw new WasmRuntimeError(`输出超过 ${maxOutputLines} 行`);
+            }
+            output.push(line.join(' '));
+            line = [];
+        },
+        pow: (base, exponent) => base ** exponent,
+        rem: (dividend, divisor) => dividend % divisor
+    };
+
+    const { instance } = await WebAssembly.instantiate(compiled.bytes, { env });
+    memory = instance.exports.memory;
+    const { steps, depth } = instance.exports;
+
+    let error = null;
+    const startTime = performance.now();
+    try {
+        instance.exports.main();
+    } catch (caught) {
+        if (caught instanceof WasmRuntimeError) {
+            error = caught;
+        } else if (caught instanceof WebAssembly.RuntimeError && steps.value > maxInstructions) {
+            error = new WasmRuntimeError(`执行的指令超过 ${maxInstructions} 条，可能是死循环`);
+        } else if (caught instanceof WebAssembly.RuntimeError && depth.value > maxCallDepth) {
+            error = new WasmRuntimeError(`调用深度超过 ${maxCallDepth}，可能是无限递归`);
+        } else {
+            throw caught;
+        }
+    }
+    const milliseconds = performance.now() - startTime;
+
+    return {
+        ok: error === null,
+        output,
+        error,
+        instructions: steps.value,
+        bytes: compiled.bytes.length,
+        milliseconds
+    };
+}
@@ -0,0 +1,119 @@
+// src/modules/workspace.js
+// 多文件工作区 - 编辑器中打开的源文件，import 按文件名相互引用
+
+/*
+    是什么: 一组命名的源文件（main.js、math.js…）和当前在编辑器中打开的文件。
+    为什么: 链接器需要多个模块才有事可做；工作区让玩家把程序拆成几个文件，
+            用 import { f } from './math.js' 引用其他文件导出的函数和变量。
+    如何关联:
+        - 由`GameState.workspace`持有，文件内容随存档保存，威望重置时保留。
+        - `Game`在切换文件时把编辑器内容写回当前文件；`WorkspaceView`显示文件标签。
+        - `Game.linkWorkspace()`编译每个文件，以当前文件为入口交给`Linker.link()`；
+          import 的模块名由`normalizeModuleName()`转换为文件名。
+*/
+
+import { WORKSPACE } from '../utils/constants.js';
+
+// 文件名：字母或下划线开头，以 .js 结尾
+const FILE_NAME = /^[A-Za-z_][\w-]*\.js$/;
+
+/**
+ * 把 import 的模块名转换为工作区中的文件名：'./math.js'、'./math' 和 'math' 都是 math.js
+ * @param {string} specifier - import 语句中的模块名
+ * @returns {string} 文件名
+ */
+export function normalizeModuleName(specifier) {
+    const name = specifier.replace(/^\.\//, '');
+    return name.endsWith('.js') ? name : `${name}.js`;
+}
+
+export class Workspace {
+    constructor() {
+        this.files = [{ name: 'main.js', source: '' }];
+        this.active = 'main.js';
+    }
+
+    /**
+     * @param {string} name - 文件名
+     * @returns {Object|null} { name, source }
+     */
+    getFile(name) {
+        return this.files.find(file => file.name === name) || null;
+    }
+
+    /**
+     * 当前在编辑器中打开的文件
+     * @returns {Object} { name, source }
+     */
+    getActive() {
+        return this.getFile(this.active) || this.files[0];
+    }
+
+    /**
+     * 切换当前文件
+     * @param {string} name - 文件名
+     * @returns {boolean} 文件是否存在
+     */
+    select(name) {
+        if (!this.getFile(name)) return false;
+        this.active = name;
+        return true;
+    }
+
+    /**
+     * 更新当前文件的内容
+     * @param {string} source - 源码
+     */
+    update(source) {
+        this.getActive().source = source;
+    }
+
+    /**
+     * 新建一个空文件并切换到它
+     * @param {string} name - 文件名
+     * @returns {Object} { ok, error }
+     */
+    create(name) {
+        if (!FILE_NAME.test(name)) {
+            return { ok: false, error: '文件名只能包含字母、数字、_ 和 -，并以 .js 结尾' };
+        }
+        if (this.getFile(name)) {
+            return { ok: false, error: `${name} 已存在` };
+        }
+        if (this.files.length >= WORKSPACE.maxFiles) {
+            return { ok: false, error: `工作区最多 ${WORKSPACE.maxFiles} 个文件` };
+        }
+        this.files.push({ name, source: '' });
+        this.active = name;
+        return { ok: true, error: null };
+    }
+
+    /**
+     * 删除文件，至少保留一个；删除当前文件时切换到第一个文件
+     * @param {string} name - 文件名
+     * @returns {boolean} 是否删除
+     */
+    remove(name) {
+        if (this.files.length <= 1 || !this.getFile(name)) return false;
+        this.files = this.files.filter(file => file.name !== name);
+        if (this.active === name) this.active = this.files[0].name;
+        return true;
+    }
+
+    /**
+     * 从存档恢复，跳过文件名不合法或重复的文件
+     * @param {Object} data - { files: [{ name, source }], active }
+     */
+    load(data) {
+        const files = [];
+        (Array.isArray(data.files) ? data.files : []).forEach(file => {
+            if (file && FILE_NAME.test(file.name) && typeof file.source === 'string' &&
+                !files.some(other => other.name === file.name) && files.length < WORKSPACE.maxFiles) {
+                files.push({ name: file.name, source: file.source });
+            }
+        });
+        if (files.length === 0) return;
+        this.files = files;
+        this.active = this.getFile(data.active) ? data.active : files[0].name;
+    }
+}
@@ -1,7 +1,18 @@
 // src/storage/storageManager.js
 // 游戏数据持久化管理器
 
-import { PRESTIGE_UPGRADES, OPTIMIZATION_TECHS } from '../utils/constants.js';
+import { PRESTIGE_UPGRADES, OPTIMIZATION_TECHS, LANGUAGE_DATA, PEEPHOLE, MANUAL_REWARD, TYPE_SAFETY_BONUS } from '../utils/constants.js';
+
+/**
+ * 检查存档中的一条代码指纹，旧存档中只有结构哈希、没有 MinHash 签名的指纹不再使用
+ * @param {Object} input - { exact, signature }
+ * @returns {boolean}
+ */
+function isFingerprint(input) {
+    return Boolean(input) && typeof input.exact === 'string' && Array.isArray(input.signature) &&
+        input.signature.length === MANUAL_REWARD.signatureSize &&
+        input.signature.every(hash => Number.isInteger(hash) && hash >= 0 && hash <= 0xffffffff);
+}
 
 /**
  * 存储管理器类 - 负责游戏数据的保存和加载
@@ -25,8 +36,10 @@ export class StorageManager {
                 resources: {
                     tokens: this.state.resources.tokens.toString(),
                     astNodes: this.state.resources.astNodes.toString(),
+                    semanticNodes: this.state.resources.semanticNodes.toString(),
                     generatedCode: this.state.resources.generatedCode.toString(),
                     optimizedCode: this.state.resources.optimizedCode.toString(),
+                    linkedExecutables: this.state.resources.linkedExecutables.toString(),
                     compilerPoints: this.state.resources.compilerPoints.toString()
                 },
                 
@@ -40,12 +53,52 @@ export class StorageManager {
                     upgrades: {}
                 },
                 
+                // 词法分析语言
+                languages: {
+                    unlocked: [...this.state.languages.unlocked],
+                    current: this.state.languages.current
+                },
+
+                // 最近手动提交和运行的代码指纹
+                recentInputs: this.state.recentInputs.map(input => ({ ...input })),
+                recentRuns: this.state.recentRuns.map(input => ({ ...input })),
+
+                // 规则工坊
+                workshop: {
+                    rules: JSON.parse(JSON.stringify(this.state.workshop.rules)),
+                    bestScores: { ...this.state.workshop.bestScores }
+                },
+
+                // 多文件工作区
+                workspace: {
+                    files: this.state.workspace.files.map(file => ({ ...file })),
+                    active: this.state.workspace.active
+                },
+                
                 // 第三阶段数据
                 stage3: {
                     unlocked: this.state.stage3.unlocked,
                     optimizations: {},
                     currentDeployment: this.state.stage3.currentDeployment,
-                    performanceScore: this.state.stage3.performanceScore.toString()
+                    performanceScore: this.state.stage3.performanceScore.toString(),
+                    registerPuzzles: { ...this.state.codeOptimizer.puzzleRecords },
+                    typeSafety: {
+                        bonus: this.state.performanceAnalyzer.typeSafetyBonus.toString(),
+                        programs: this.state.performanceAnalyzer.typeSafePrograms.map(input => ({ ...input }))
+                    },
+                    peepholeRules: this.state.codeOptimizer.peephole.rules.map(rule => ({ ...rule })),
+                    // 映像不保存，只保存决定可执行文件产量的链接统计
+                    lastLink: this.state.linker.lastLink && { ...this.state.linker.lastLink },
+                    codeGeneration: {
+                        template: this.state.codeGenerator.currentTemplate,
+                        totalGenerated: this.state.codeGenerator.generationStats.totalGenerated.toString(),
+                        // 目标代码清单不保存，只保存决定产量的指令统计
+                        compilation: this.state.codeGenerator.lastCompilation && {
+                            template: this.state.codeGenerator.lastCompilation.template,
+                            instructionCount: this.state.codeGenerator.lastCompilation.instructionCount,
+                            nodeCount: this.state.codeGenerator.lastCompilation.nodeCount
+                        }
+                    }
                 },
                 
                 // 游戏设置
@@ -138,12 +191,106 @@ export class StorageManager {
                 }
             }
 
+            // 加载词法分析语言
+            if (data.languages) {
+                const unlocked = (data.languages.unlocked || []).filter(key => LANGUAGE_DATA[key]);
+                unlocked.forEach(key => {
+                    if (!this.state.languages.unlocked.includes(key)) {
+                        this.state.languages.unlocked.push(key);
+                    }
+                });
+                if (this.state.languages.unlocked.includes(data.languages.current)) {
+                    this.state.languages.current = data.languages.current;
+                }
+            }
+
+            // 加载最近手动提交和运行的代码指纹
+            if (Array.isArray(data.recentInputs)) {
+                this.state.recentInputs = data.recentInputs
+                    .filter(isFingerprint)
+                    .map(input => ({ exact: input.exact, signature: [...input.signature] }));
+            }
+            if (Array.isArray(data.recentRuns)) {
+                this.state.recentRuns = data.recentRuns
+                    .filter(isFingerprint)
+                    .map(input => ({ exact: input.exact, signature: [...input.signature] }));
+            }
+
+            // 加载规则工坊
+            if (data.workshop) {
+                Object.entries(data.workshop.rules || {}).forEach(([key, rules]) => {
+                    if (LANGUAGE_DATA[key] && Array.isArray(rules)) {
+                        this.state.workshop.rules[key] = rules
+                            .filter(rule => rule && Number.isInteger(rule.id) && typeof rule.pattern === 'string')
+                            .map(rule => ({ id: rule.id, type: rule.type, pattern: rule.pattern }));
+                    }
+                });
+                Object.entries(data.workshop.bestScores || {}).forEach(([key, score]) => {
+                    if (LANGUAGE_DATA[key] && typeof score === 'number') {
+                        this.state.workshop.bestScores[key] = Math.min(1, Math.max(0, score));
+                    }
+                });
+            }
+
+            // 加载多文件工作区
+            if (data.workspace) {
+                this.state.workspace.load(data.workspace);
+            }
+
             // 加载第三阶段数据
             if (data.stage3) {
                 this.state.stage3.unlocked = data.stage3.unlocked || false;
                 this.state.stage3.currentDeployment = data.stage3.currentDeployment || 'development';
                 this.state.stage3.performanceScore = new Decimal(data.stage3.performanceScore || 0);
+                if (data.stage3.codeGeneration) {
+                    const { template, totalGenerated, compilation } = data.stage3.codeGeneration;
+                    const generator = this.state.codeGenerator;
+                    generator.generationStats.totalGenerated = new Decimal(totalGenerated || 0);
+                    if (generator.templates[template]) generator.currentTemplate = template;
+                    if (compilation && compilation.nodeCount > 0) {
+                        generator.lastCompilation = {
+                            template: compilation.template,
+                            instructionCount: compilation.instructionCount,
+                            nodeCount: compilation.nodeCount,
+                            listing: null,
+                            output: null,
+                            ir: null,
+                            optimization: null,
+                            peephole: null
+                        };
+                    }
+                }
                 
+                Object.entries(data.stage3.registerPuzzles || {}).forEach(([key, saved]) => {
+                    if (/^[0-9a-f]{8}$/.test(key) && Number.isInteger(saved) && saved > 0) {
+                        this.state.codeOptimizer.puzzleRecords[key] = saved;
+                    }
+                });
+
+                const { typeSafety } = data.stage3;
+                if (typeSafety && Array.isArray(typeSafety.programs)) {
+                    const analyzer = this.state.performanceAnalyzer;
+                    const bonus = new Decimal(Number(typeSafety.bonus) || 0);
+                    analyzer.typeSafetyBonus = Decimal.min(TYPE_SAFETY_BONUS.maximum, Decimal.max(0, bonus));
+                    analyzer.typeSafePrograms = typeSafety.programs
+                        .filter(isFingerprint)
+                        .map(input => ({ exact: input.exact, signature: [...input.signature] }));
+                }
+
+                if (Array.isArray(data.stage3.peepholeRules)) {
+                    this.state.codeOptimizer.peephole.rules = data.stage3.peepholeRules
+                        .filter(rule => rule && Number.isInteger(rule.id) && typeof rule.text === 'string')
+                        .slice(0, PEEPHOLE.maxRules)
+                        .map(rule => ({ id: rule.id, text: rule.text, enabled: Boolean(rule.enabled) }));
+                }
+
+                const { lastLink } = data.stage3;
+                if (lastLink && ['modules', 'functions', 'instructions', 'dropped', 'droppedInstructions', 'thunks']
+                    .every(key => Number.isInteger(lastLink[key]) && lastLink[key] >= 0) &&
+                    lastLink.modules > 0 && lastLink.instructions > 0) {
+                    this.state.linker.lastLink = { ...lastLink };
+                }
+
                 if (data.stage3.optimizations) {
                     Object.keys(data.stage3.optimizations).forEach(key => {
                         const optData = data.stage3.optimizations[key];
@@ -0,0 +1,175 @@
+// src/ui/astDiffView.js
+// AST 差异源码视图 - 并排显示对比版本和当前版本的源码，按节点的差异状态着色
+
+import { escapeHTML } from '../utils/formatters.js';
+import { traverseAST } from '../utils/astUtils.js';
+import { getDiffStatus, DIFF_STATUS_LABELS } from '../modules/astDiff.js';
+
+const EMPTY_MESSAGE = '再编译一次后，这里会并排显示两个版本之间的结构差异';
+
+/**
+ * AST 差异源码视图类
+ * 悬停某段源码时，同时高亮它所在的节点和另一侧与之对应的节点
+ */
+export class ASTDiffView {
+    constructor(containerId) {
+        this.containerId = containerId;
+        this.container = document.getElementById(containerId);
+        this.diff = null;
+        this.sides = null;
+
+        if (!this.container) {
+            console.warn(`AST差异视图容器未找到: ${containerId}`);
+            return;
+        }
+
+        this.container.addEventListener('mouseover', (event) => {
+            const segment = event.target.closest('[data-from]');
+            if (segment) this.focusSegment(segment);
+        });
+        this.container.addEventListener('mouseleave', () => this.clearFocus());
+
+        this.showMessage(EMPTY_MESSAGE);
+    }
+
+    /**
+     * 显示提示信息
+     * @param {string} message - 信息
+     */
+    showMessage(message) {
+        if (!this.container) return;
+
+        this.diff = null;
+        this.sides = null;
+        this.container.innerHTML = `<p class="text-xs text-gray-400">${escapeHTML(message)}</p>`;
+    }
+
+    /**
+     * 显示两个版本的差异
+     * @param {Object} diff - diffAST() 的返回值
+     * @param {Object} before - 对比版本 { ast, source }
+     * @param {Object} after - 当前版本 { ast, source }
+     * @param {boolean} pinned - 对比版本是否为玩家固定的基准
+     */
+    render(diff, before, after, pinned) {
+        if (!this.container) return;
+
+        this.diff = diff;
+        this.sides = { old: before, new: after };
+
+        const stats = Object.keys(DIFF_STATUS_LABELS).map(status => `
+            <span class="ast-diff-${status} px-1 rounded">${DIFF_STATUS_LABELS[status]} ${diff.stats[status]}</span>
+        `).join('');
+
+        this.container.innerHTML = `
+            <div class="flex flex-wrap justify-between items-center gap-2 mb-2">
+                <span class="text-xs flex flex-wrap gap-1">${stats}</span>
+                <button class="btn text-xs" onclick="game.toggleASTBaseline()">
+                    ${pinned ? '📌 取消固定基准' : '📌 固定当前版本为基准'}
+                </button>
+            </div>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-2">
+                <div>
+                    <p class="text-xs text-gray-400 mb-1">${pinned ? '固定的基准' : '上一次编译'}</p>
+                    <pre data-side="old" class="ast-diff-pane">${this.renderSource('old')}</pre>
+                </div>
+                <div>
+                    <p class="text-xs text-gray-400 mb-1">当前版本</p>
+                    <pre data-side="new" class="ast-diff-pane">${this.renderSource('new')}</pre>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * 生成一侧源码的 HTML：在每个节点边界处切分，每段按最深的有变化节点着色
+     * @param {string} side - 'old' | 'new'
+     * @returns {string} HTML字符串
+     * @private
+     */
+    renderSource(side) {
+        const { ast, source } = this.sides[side];
+        const statuses = new Array(source.length).fill(null);
+        const boundaries = new Set([0, source.length]);
+
+        // 先序遍历，子节点的状态覆盖父节点
+        traverseAST(ast, node => {
+            boundaries.add(node.start);
+            boundaries.add(node.end);
+            const status = getDiffStatus(this.diff, node, side);
+            if (status) statuses.fill(status, node.start, node.end);
+        });
+
+        const points = [...boundaries].filter(point => point <= source.length).sort((a, b) => a - b);
+        let html = '';
+        for (let i = 0; i < points.length - 1; i++) {
+            const from = points[i];
+            const status = statuses[from];
+            html += `<span data-from="${from}" data-to="${points[i + 1]}"${status ? ` class="ast-diff-${status}"` : ''}>` +
+                `${escapeHTML(source.slice(from, points[i + 1]))}</span>`;
+        }
+        return html;
+    }
+
+    /**
+     * 高亮悬停的源码片段所在的节点，以及另一侧对应的节点
+     * @param {HTMLElement} segment - 源码片段元素
+     * @private
+     */
+    focusSegment(segment) {
+        if (!this.diff) return;
+
+        const side = segment.closest('[data-side]').dataset.side;
+        const node = this.findNodeAt(this.sides[side].ast, Number(segment.dataset.from));
+        const partner = node && (side === 'new' ? this.diff.mapping.get(node) : this.diff.reverseMapping.get(node));
+
+        this.clearFocus();
+        if (node) this.highlightRange(side, node);
+        if (partner) this.highlightRange(side === 'new' ? 'old' : 'new', partner);
+    }
+
+    /**
+     * 查找包含某个字符的最深节点（不包括结束位置）
+     * @param {Object} ast - 根节点
+     * @param {number} offset - 字符偏移
+     * @returns {Object|null} 节点
+     * @private
+     */
+    findNodeAt(ast, offset) {
+        let found = null;
+        traverseAST(ast, node => {
+            if (offset < node.start || offset >= node.end) return false;
+            found = node;
+        });
+        return found;
+    }
+
+    /**
+     * 高亮一侧源码中节点覆盖的片段
+     * @param {string} side - 'old' | 'new'
+     * @param {Object} node - 节点
+     * @private
+     */
+    highlightRange(side, node) {
+        this.container.querySelectorAll(`[data-side="${side}"] [data-from]`).forEach(segment => {
+            if (Number(segment.dataset.from) >= node.start && Number(segment.dataset.to) <= node.end) {
+                segment.classList.add('ast-diff-focus');
+            }
+        });
+    }
+
+    /**
+     * 清除悬停高亮
+     * @private
+     */
+    clearFocus() {
+        this.container.querySelectorAll('.ast-diff-focus').forEach(segment => segment.classList.remove('ast-diff-focus'));
+    }
+
+    /**
+     * 重置视图
+     */
+    reset() {
+        this.showMessage(EMPTY_MESSAGE);
+    }
+}
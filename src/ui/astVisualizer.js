@@ -1,23 +1,93 @@
 // src/ui/astVisualizer.js
-// AST可视化组件 - 使用D3.js绘制抽象语法树
+// AST可视化组件 - 使用D3.js绘制玩家最近一次编译得到的抽象语法树
+// 支持缩放平移、折叠子树、小地图和节点搜索；只绘制视口内的节点，几千个节点的树也能流畅操作
+
+import { createSVGCanvas, showTooltip, hideTooltip } from './d3Setup.js';
+import { getChildNodes, describeNodeValue } from '../utils/astUtils.js';
+import { escapeHTML } from '../utils/formatters.js';
+import { getDiffStatus, DIFF_STATUS_LABELS } from '../modules/astDiff.js';
+
+// 树布局：相邻节点的水平间距和层间距
+const NODE_SPACING = 72;
+const LEVEL_SPACING = 64;
+
+// 视口外额外保留的绘制范围（像素），平移时边缘不会闪烁
+const CULL_MARGIN = 100;
+
+// 缩放范围；缩小到 LABEL_MIN_SCALE 以下时不再绘制文字
+const SCALE_EXTENT = [0.05, 3];
+const LABEL_MIN_SCALE = 0.45;
+
+// 结构差异中各状态的标记颜色
+const DIFF_COLORS = {
+    inserted: '#50fa7b',
+    deleted: '#ff5555',
+    moved: '#8be9fd',
+    updated: '#f1fa8c'
+};
+
+// 小地图尺寸
+const MINIMAP_WIDTH = 160;
+const MINIMAP_HEIGHT = 100;
+
+/**
+ * 截断过长的文本
+ * @param {string} text - 文本
+ * @param {number} length - 最大长度
+ * @returns {string} 截断后的文本
+ */
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length)}…` : text;
+}
 
 /**
  * AST可视化器类
+ * 组件自己生成控件（搜索、折叠、适应窗口），游戏只需在编译成功后调用 setAST()，
+ * 有上一次的编译结果时再调用 setDiff() 标记结构差异
  */
 export class ASTVisualizer {
-    constructor(containerId) {
+    /**
+     * @param {string} containerId - 容器元素 id
+     * @param {Object} callbacks - { onHover(node|null), onSelect(node) }，node 为 AST 节点
+     */
+    constructor(containerId, callbacks = {}) {
         this.containerId = containerId;
         this.container = document.getElementById(containerId);
+        this.callbacks = callbacks;
         this.svg = null;
-        this.width = 400;
-        this.height = 300;
-        this.margin = { top: 20, right: 20, bottom: 20, left: 20 };
-        
+        this.width = 600;
+        this.height = 420;
+
+        // 最近一次编译的 AST；与上一版本比较时可以切换显示旧树
+        this.currentAST = null;
+        this.oldAST = null;
+        this.diff = null;
+        this.side = 'new';
+
+        // 当前显示的 AST、d3 层级结构和全部节点（包括折叠起来的）
+        this.ast = null;
+        this.root = null;
+        this.allNodes = [];
+        this.nodeByAST = new Map();
+
+        // 展开的节点及布局边界
+        this.visibleNodes = [];
+        this.visibleLinks = [];
+        this.bounds = null;
+
+        // 交互状态
+        this.collapsed = new Set();
+        this.selected = null;
+        this.matches = [];
+        this.matchIndex = -1;
+        this.transform = d3.zoomIdentity;
+        this.renderPending = false;
+
         this.init();
     }
 
     /**
-     * 初始化可视化容器
+     * 生成控件、画布和小地图并绑定事件
      */
     init() {
         if (!this.container) {
@@ -25,54 +95,100 @@ export class ASTVisualizer {
             return;
         }
 
-        // 清空容器
-        this.container.innerHTML = '';
-
-        // 创建SVG
-        this.svg = d3.select(this.container)
-            .append('svg')
-            .attr('width', this.width)
-            .attr('height', this.height)
-            .style('background', '#1a1a2e')
-            .style('border', '1px solid #30363d')
-            .style('border-radius', '6px');
+        this.container.innerHTML = `
+            <div class="flex flex-wrap items-center gap-2 mb-2">
+                <input data-role="search" type="text" spellcheck="false" placeholder="搜索节点类型或名称"
+                       class="flex-1 p-1 bg-gray-900 border border-gray-600 rounded text-gray-300 font-mono text-sm">
+                <button class="btn text-xs" data-action="previous">◀</button>
+                <button class="btn text-xs" data-action="next">▶</button>
+                <span data-role="search-status" class="text-xs text-gray-400"></span>
+                <button class="btn text-xs" data-action="expand">展开全部</button>
+                <button class="btn text-xs" data-action="collapse">折叠全部</button>
+                <button class="btn text-xs" data-action="fit">适应窗口</button>
+            </div>
+            <div data-role="diff" class="flex flex-wrap items-center gap-2 mb-2 text-xs" style="display: none;">
+                <span class="text-gray-400">结构差异:</span>
+                <button class="btn text-xs" data-side="new">当前版本</button>
+                <button class="btn text-xs" data-side="old">对比版本</button>
+                ${Object.keys(DIFF_COLORS).map(status => `
+                    <span style="color: ${DIFF_COLORS[status]}">● ${DIFF_STATUS_LABELS[status]} <span data-count="${status}"></span></span>
+                `).join('')}
+            </div>
+            <div data-role="canvas" class="relative">
+                <canvas data-role="minimap" width="${MINIMAP_WIDTH}" height="${MINIMAP_HEIGHT}"
+                        class="absolute bottom-2 right-2 border border-gray-600 rounded cursor-pointer"></canvas>
+            </div>
+            <p data-role="status" class="text-xs text-gray-500 mt-1"></p>
+        `;
+
+        this.canvasContainer = this.container.querySelector('[data-role="canvas"]');
+        this.minimap = this.container.querySelector('[data-role="minimap"]');
+        this.searchInput = this.container.querySelector('[data-role="search"]');
+        this.width = this.canvasContainer.clientWidth || this.width;
+
+        // 创建带背景网格的SVG，放在小地图下面
+        this.svg = createSVGCanvas(this.canvasContainer, this.width, this.height, 'ast-grid');
+        this.canvasContainer.insertBefore(this.svg.node(), this.minimap);
+        this.viewport = this.svg.append('g').attr('class', 'ast-tree');
+        this.linkLayer = this.viewport.append('g');
+        this.nodeLayer = this.viewport.append('g');
+
+        // 缩放平移只改变视口变换，节点在下一帧按新视口裁剪后重绘
+        this.zoom = d3.zoom()
+            .scaleExtent(SCALE_EXTENT)
+            .extent([[0, 0], [this.width, this.height]])
+            .on('zoom', (event) => {
+                this.transform = event.transform;
+                this.viewport.attr('transform', event.transform);
+                this.scheduleRender();
+            });
+        this.svg.call(this.zoom).on('dblclick.zoom', null);
+
+        this.searchInput.addEventListener('input', () => this.search(this.searchInput.value));
+        this.searchInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') this.focusMatch(this.matchIndex + (event.shiftKey ? -1 : 1));
+        });
+
+        this.container.addEventListener('click', (event) => {
+            const sideButton = event.target.closest('[data-side]');
+            if (sideButton) {
+                this.showSide(sideButton.dataset.side);
+                return;
+            }
 
-        // 添加背景网格
-        this.addGrid();
+            const button = event.target.closest('[data-action]');
+            if (!button || !this.root) return;
+            if (button.dataset.action === 'previous') this.focusMatch(this.matchIndex - 1);
+            if (button.dataset.action === 'next') this.focusMatch(this.matchIndex + 1);
+            if (button.dataset.action === 'expand') this.expandAll();
+            if (button.dataset.action === 'collapse') this.collapseAll();
+            if (button.dataset.action === 'fit') this.fitToView();
+        });
+
+        // 点击或拖动小地图时把视口中心移到对应位置
+        const moveToMinimapPoint = (event) => {
+            if (!this.bounds) return;
+            const { scale, offsetX, offsetY } = this.getMinimapScale();
+            this.svg.call(this.zoom.translateTo,
+                (event.offsetX - offsetX) / scale + this.bounds.minX,
+                (event.offsetY - offsetY) / scale + this.bounds.minY);
+        };
+        this.minimap.addEventListener('mousedown', moveToMinimapPoint);
+        this.minimap.addEventListener('mousemove', (event) => {
+            if (event.buttons === 1) moveToMinimapPoint(event);
+        });
 
         // 初始显示占位符
         this.showPlaceholder();
     }
 
-    /**
-     * 添加背景网格
-     */
-    addGrid() {
-        const defs = this.svg.append('defs');
-        const pattern = defs.append('pattern')
-            .attr('id', 'grid')
-            .attr('width', 20)
-            .attr('height', 20)
-            .attr('patternUnits', 'userSpaceOnUse');
-
-        pattern.append('rect')
-            .attr('width', 20)
-            .attr('height', 20)
-            .attr('fill', 'none')
-            .attr('stroke', '#30363d')
-            .attr('stroke-width', 0.5);
-
-        this.svg.append('rect')
-            .attr('width', '100%')
-            .attr('height', '100%')
-            .attr('fill', 'url(#grid)')
-            .attr('opacity', 0.3);
-    }
-
     /**
      * 显示占位符
      */
     showPlaceholder() {
+        this.svg.select('.placeholder').remove();
+        this.minimap.style.display = 'none';
+
         const g = this.svg.append('g')
             .attr('class', 'placeholder');
 
@@ -90,97 +206,165 @@ export class ASTVisualizer {
             .attr('text-anchor', 'middle')
             .attr('fill', '#8b949e')
             .attr('font-size', '12px')
-            .text('需要更多 AST 节点');
+            .text('执行词法分析后显示语法树');
     }
 
     /**
-     * 根据游戏状态更新AST可视化
-     * @param {Object} gameState - 游戏状态
+     * 显示一棵新的 AST（只在编译成功后调用，游戏循环不会重绘）
+     * @param {Object} ast - Parser.parse() 返回的 Program 节点
      */
-    updateVisualization(gameState) {
-        if (!this.svg) return;
+    setAST(ast) {
+        if (!this.svg || ast === this.currentAST) return;
+
+        this.currentAST = ast;
+        this.oldAST = null;
+        this.diff = null;
+        this.side = 'new';
+        this.updateDiffControls();
+        this.loadTree(ast);
+    }
 
-        const astNodeCount = gameState.resources.astNodes.toNumber();
-        
-        if (astNodeCount < 10) {
-            this.showPlaceholder();
-            return;
+    /**
+     * 标记与上一版本之间的结构差异
+     * @param {Object|null} diff - diffAST(oldAST, 当前 AST) 的返回值，null 清除标记
+     * @param {Object|null} oldAST - 对比版本的 AST
+     */
+    setDiff(diff, oldAST) {
+        if (!this.root) return;
+
+        if (this.side === 'old') {
+            this.side = 'new';
+            this.loadTree(this.currentAST);
         }
+        this.diff = diff;
+        this.oldAST = oldAST;
+        this.updateDiffControls();
+        this.render();
+    }
+
+    /**
+     * 切换显示当前版本或对比版本的树
+     * @param {string} side - 'new' | 'old'
+     */
+    showSide(side) {
+        if (!this.diff || side === this.side) return;
+
+        this.side = side;
+        this.updateDiffControls();
+        this.loadTree(side === 'new' ? this.currentAST : this.oldAST);
+    }
 
-        // 移除占位符
+    /**
+     * 更新差异控件：有差异时显示，并标出当前显示的版本
+     * @private
+     */
+    updateDiffControls() {
+        const controls = this.container.querySelector('[data-role="diff"]');
+        controls.style.display = this.diff ? '' : 'none';
+        if (!this.diff) return;
+
+        controls.querySelectorAll('[data-side]').forEach(button => {
+            button.classList.toggle('btn-primary', button.dataset.side === this.side);
+        });
+        Object.keys(DIFF_COLORS).forEach(status => {
+            controls.querySelector(`[data-count="${status}"]`).textContent = this.diff.stats[status];
+        });
+    }
+
+    /**
+     * 显示一棵树（当前版本或对比版本）
+     * @param {Object} ast - 根节点
+     * @private
+     */
+    loadTree(ast) {
+        // 画布在隐藏的标签页中创建时量不到宽度，第一次有数据时重新测量
+        const width = this.canvasContainer.clientWidth;
+        if (width && width !== this.width) this.setCanvasSize(width, this.height);
+
+        this.ast = ast;
+        this.root = d3.hierarchy(ast, getChildNodes);
+        this.allNodes = this.root.descendants();
+        this.nodeByAST = new Map();
+        this.allNodes.forEach((d, index) => {
+            d.id = index;
+            d.allChildren = d.children || null;
+            this.nodeByAST.set(d.data, d);
+        });
+
+        this.collapsed = new Set();
+        this.selected = null;
         this.svg.select('.placeholder').remove();
+        this.minimap.style.display = '';
 
-        // 生成AST数据
-        const astData = this.generateASTData(astNodeCount);
-        
-        // 绘制AST
-        this.drawAST(astData);
-    }
-
-    /**
-     * 生成AST数据结构
-     * @param {number} nodeCount - 节点数量
-     * @returns {Object} AST数据
-     */
-    generateASTData(nodeCount) {
-        // 简化的AST结构生成
-        const nodeTypes = ['FunctionDecl', 'VariableDecl', 'BinaryExpr', 'CallExpr', 'Identifier', 'Literal'];
-        const maxDepth = Math.min(4, Math.floor(Math.log2(nodeCount)) + 1);
-        
-        function createNode(depth = 0, id = 0) {
-            const type = nodeTypes[Math.floor(Math.random() * nodeTypes.length)];
-            const node = {
-                id: id,
-                type: type,
-                name: `${type}_${id}`,
-                depth: depth,
-                children: []
-            };
-
-            // 递归创建子节点
-            if (depth < maxDepth && Math.random() > 0.3) {
-                const childCount = Math.random() > 0.5 ? 2 : 1;
-                for (let i = 0; i < childCount; i++) {
-                    id++;
-                    const child = createNode(depth + 1, id);
-                    node.children.push(child);
-                    id = Math.max(id, child.id || id);
-                }
-            }
+        // 已存在的节点元素按 id 复用，换树时必须清空
+        this.linkLayer.selectAll('*').remove();
+        this.nodeLayer.selectAll('*').remove();
 
-            return node;
-        }
+        this.layout();
+        this.fitToView();
+        this.search(this.searchInput.value);
+    }
 
-        return createNode();
+    /**
+     * 根据折叠状态重新计算布局
+     * @private
+     */
+    layout() {
+        const applyCollapse = (d) => {
+            d.children = d.allChildren && !this.collapsed.has(d) ? d.allChildren : null;
+            if (d.children) d.children.forEach(applyCollapse);
+        };
+        applyCollapse(this.root);
+
+        // 固定节点间距的树布局，视口通过缩放平移查看
+        d3.tree().nodeSize([NODE_SPACING, LEVEL_SPACING])(this.root);
+
+        this.visibleNodes = this.root.descendants();
+        this.visibleLinks = this.root.links();
+
+        const bounds = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+        this.visibleNodes.forEach(d => {
+            bounds.minX = Math.min(bounds.minX, d.x);
+            bounds.maxX = Math.max(bounds.maxX, d.x);
+            bounds.minY = Math.min(bounds.minY, d.y);
+            bounds.maxY = Math.max(bounds.maxY, d.y);
+        });
+        this.bounds = bounds;
     }
 
     /**
-     * 绘制AST
-     * @param {Object} astData - AST数据
+     * 在下一帧重绘（同一帧内的多次缩放事件只绘制一次）
+     * @private
      */
-    drawAST(astData) {
-        // 清除之前的绘制
-        this.svg.selectAll('.ast-node').remove();
-        this.svg.selectAll('.ast-link').remove();
+    scheduleRender() {
+        if (this.renderPending) return;
+        this.renderPending = true;
+        window.requestAnimationFrame(() => {
+            this.renderPending = false;
+            this.render();
+        });
+    }
 
-        // 创建树布局
-        const treeLayout = d3.tree()
-            .size([this.width - this.margin.left - this.margin.right, 
-                   this.height - this.margin.top - this.margin.bottom]);
+    /**
+     * 只绘制视口内的节点和连线
+     * @private
+     */
+    render() {
+        if (!this.root) return;
 
-        // 转换数据
-        const root = d3.hierarchy(astData);
-        const treeData = treeLayout(root);
+        hideTooltip();
+        const view = this.getViewRect();
+        const inView = d => d.x >= view.x0 && d.x <= view.x1 && d.y >= view.y0 && d.y <= view.y1;
 
-        // 创建主组
-        const g = this.svg.append('g')
-            .attr('transform', `translate(${this.margin.left}, ${this.margin.top})`);
+        const nodes = this.visibleNodes.filter(inView);
+        const links = this.visibleLinks.filter(({ source, target }) =>
+            Math.max(source.x, target.x) >= view.x0 && Math.min(source.x, target.x) <= view.x1 &&
+            target.y >= view.y0 && source.y <= view.y1);
 
         // 绘制连接线
-        g.selectAll('.ast-link')
-            .data(treeData.links())
-            .enter()
-            .append('path')
+        this.linkLayer.selectAll('.ast-link')
+            .data(links, link => link.target.id)
+            .join('path')
             .attr('class', 'ast-link')
             .attr('d', d3.linkVertical()
                 .x(d => d.x)
@@ -191,38 +375,336 @@ export class ASTVisualizer {
             .attr('opacity', 0.7);
 
         // 绘制节点
-        const nodes = g.selectAll('.ast-node')
-            .data(treeData.descendants())
-            .enter()
-            .append('g')
+        const showLabels = this.transform.k >= LABEL_MIN_SCALE;
+        const matched = new Set(this.matches);
+        this.nodeLayer.selectAll('.ast-node')
+            .data(nodes, d => d.id)
+            .join(enter => this.createNodes(enter))
+            .attr('transform', d => `translate(${d.x}, ${d.y})`)
+            .call(selection => {
+                selection.select('.ast-diff-ring')
+                    .attr('stroke', d => {
+                        const status = this.getStatus(d);
+                        return status ? DIFF_COLORS[status] : 'none';
+                    })
+                    .attr('stroke-dasharray', d => (this.getStatus(d) === 'moved' ? '4 2' : null));
+                selection.select('.ast-node-circle')
+                    .attr('stroke', d => {
+                        if (d === this.selected) return '#ffd700';
+                        return matched.has(d) ? '#ff79c6' : '#ffffff';
+                    })
+                    .attr('stroke-width', d => (d === this.selected || matched.has(d) ? 4 : 1.5));
+                selection.select('.ast-toggle')
+                    .text(d => (this.collapsed.has(d) ? `+${d.allChildren.length}` : '−'));
+                selection.selectAll('text').attr('display', showLabels ? null : 'none');
+            });
+
+        this.drawMinimap();
+        this.updateStatus(nodes.length);
+    }
+
+    /**
+     * 创建新进入视口的节点元素
+     * @param {Object} enter - d3 enter 选择集
+     * @returns {Object} 新节点的选择集
+     * @private
+     */
+    createNodes(enter) {
+        const nodes = enter.append('g')
             .attr('class', 'ast-node')
-            .attr('transform', d => `translate(${d.x}, ${d.y})`);
+            .style('cursor', 'pointer')
+            .on('mouseover', (event, d) => {
+                this.showNodeTooltip(event, d);
+                if (this.callbacks.onHover && this.side === 'new') this.callbacks.onHover(d.data);
+            })
+            .on('mouseout', () => {
+                this.hideNodeTooltip();
+                if (this.callbacks.onHover && this.side === 'new') this.callbacks.onHover(null);
+            })
+            .on('click', (event, d) => {
+                this.selected = d;
+                this.render();
+                if (this.callbacks.onSelect && this.side === 'new') this.callbacks.onSelect(d.data);
+            });
 
         // 节点圆圈
         nodes.append('circle')
+            .attr('class', 'ast-node-circle')
             .attr('r', 8)
-            .attr('fill', d => this.getNodeColor(d.data.type))
-            .attr('stroke', '#ffffff')
-            .attr('stroke-width', 1.5)
-            .style('cursor', 'pointer')
-            .on('mouseover', (event, d) => this.showNodeTooltip(event, d))
-            .on('mouseout', () => this.hideNodeTooltip());
+            .attr('fill', d => this.getNodeColor(d.data.type));
 
-        // 节点标签
+        // 结构差异标记环
+        nodes.append('circle')
+            .attr('class', 'ast-diff-ring')
+            .attr('r', 12)
+            .attr('fill', 'none')
+            .attr('stroke-width', 2.5);
+
+        // 节点类型
         nodes.append('text')
-            .attr('dy', 25)
+            .attr('dy', 22)
             .attr('text-anchor', 'middle')
             .attr('fill', '#c9d1d9')
             .attr('font-size', '10px')
-            .text(d => d.data.type.slice(0, 8));
+            .text(d => truncate(d.data.type, 12));
+
+        // 节点取值（标识符名、字面量、运算符）
+        nodes.append('text')
+            .attr('dy', 34)
+            .attr('text-anchor', 'middle')
+            .attr('fill', '#ffd700')
+            .attr('font-size', '10px')
+            .attr('font-family', 'monospace')
+            .text(d => truncate(describeNodeValue(d.data), 10));
+
+        // 折叠/展开按钮（只有带子节点的节点才有）
+        nodes.filter(d => d.allChildren)
+            .append('text')
+            .attr('class', 'ast-toggle')
+            .attr('x', 11)
+            .attr('y', -8)
+            .attr('fill', '#8be9fd')
+            .attr('font-size', '11px')
+            .on('click', (event, d) => {
+                event.stopPropagation();
+                this.toggleNode(d);
+            });
+
+        return nodes;
+    }
+
+    /**
+     * 当前视口在树坐标系中的范围（含裁剪余量）
+     * @returns {Object} { x0, x1, y0, y1 }
+     * @private
+     */
+    getViewRect() {
+        const { x, y, k } = this.transform;
+        const margin = CULL_MARGIN / k;
+        return {
+            x0: -x / k - margin,
+            x1: (this.width - x) / k + margin,
+            y0: -y / k - margin,
+            y1: (this.height - y) / k + margin
+        };
+    }
+
+    /**
+     * 折叠或展开一个节点的子树
+     * @param {Object} d - d3 层级节点
+     */
+    toggleNode(d) {
+        if (this.collapsed.has(d)) {
+            this.collapsed.delete(d);
+        } else {
+            this.collapsed.add(d);
+        }
+
+        // 保持被点击的节点在屏幕上的位置不变
+        const before = this.transform.apply([d.x, d.y]);
+        this.layout();
+        this.svg.call(this.zoom.translateTo, d.x + this.width / 2 / this.transform.k - before[0] / this.transform.k,
+            d.y + this.height / 2 / this.transform.k - before[1] / this.transform.k);
+        this.render();
+    }
+
+    /**
+     * 展开全部节点
+     */
+    expandAll() {
+        this.collapsed.clear();
+        this.layout();
+        this.render();
+    }
+
+    /**
+     * 折叠全部节点，只留下根节点和顶层语句
+     */
+    collapseAll() {
+        this.allNodes.forEach(d => {
+            if (d.depth >= 1 && d.allChildren) this.collapsed.add(d);
+        });
+        this.layout();
+        this.fitToView();
+    }
+
+    /**
+     * 缩放到能看到整棵（展开部分的）树，最大不超过原始大小
+     */
+    fitToView() {
+        if (!this.bounds) return;
+
+        const treeWidth = this.bounds.maxX - this.bounds.minX + NODE_SPACING;
+        const treeHeight = this.bounds.maxY - this.bounds.minY + LEVEL_SPACING;
+        const scale = Math.max(SCALE_EXTENT[0], Math.min(1, this.width / treeWidth, this.height / treeHeight));
+        const x = this.width / 2 - scale * (this.bounds.minX + this.bounds.maxX) / 2;
+        const y = (this.height - scale * (this.bounds.maxY - this.bounds.minY)) / 2 - scale * this.bounds.minY;
+
+        this.svg.call(this.zoom.transform, d3.zoomIdentity.translate(x, Math.min(y, 30)).scale(scale));
+        this.render();
+    }
 
-        // 添加动画效果
-        nodes.selectAll('circle')
-            .style('opacity', 0)
-            .transition()
-            .duration(500)
-            .delay((d, i) => i * 50)
-            .style('opacity', 1);
+    /**
+     * 按节点类型或名称（标识符名、字面量、运算符）搜索
+     * @param {string} query - 搜索词，不区分大小写
+     */
+    search(query) {
+        const text = query.trim().toLowerCase();
+        this.matches = text ? this.allNodes.filter(d =>
+            d.data.type.toLowerCase().includes(text) || describeNodeValue(d.data).toLowerCase().includes(text)
+        ) : [];
+        this.matchIndex = -1;
+
+        if (this.matches.length > 0) {
+            this.focusMatch(0);
+        } else {
+            this.updateSearchStatus(text);
+            if (this.root) this.render();
+        }
+    }
+
+    /**
+     * 定位到第几个搜索结果（循环）
+     * @param {number} index - 结果下标
+     */
+    focusMatch(index) {
+        if (this.matches.length === 0) return;
+
+        this.matchIndex = (index + this.matches.length) % this.matches.length;
+        this.reveal(this.matches[this.matchIndex], true);
+        this.updateSearchStatus(this.searchInput.value.trim());
+    }
+
+    /**
+     * 选中节点（展开其祖先，不在视口内时移到视口中心）
+     * @param {Object|null} node - AST节点，null 取消选中
+     * @param {boolean} scroll - 是否移动视口
+     */
+    selectNode(node, scroll = true) {
+        if (!this.root) return;
+
+        const d = node ? this.nodeByAST.get(node) || null : null;
+        if (!d || !scroll) {
+            this.selected = d;
+            this.render();
+            return;
+        }
+        this.reveal(d, false);
+    }
+
+    /**
+     * 选中并显示一个层级节点
+     * @param {Object} d - d3 层级节点
+     * @param {boolean} center - 是否总是居中（否则只在视口外时移动）
+     * @private
+     */
+    reveal(d, center) {
+        let relayout = false;
+        for (let ancestor = d.parent; ancestor; ancestor = ancestor.parent) {
+            if (this.collapsed.delete(ancestor)) relayout = true;
+        }
+        if (relayout) this.layout();
+
+        this.selected = d;
+        const [x, y] = this.transform.apply([d.x, d.y]);
+        const outside = x < 0 || x > this.width || y < 0 || y > this.height;
+        if (center || outside) {
+            this.svg.call(this.zoom.translateTo, d.x, d.y);
+        }
+        this.render();
+    }
+
+    /**
+     * 小地图的缩放比例和偏移
+     * @returns {Object} { scale, offsetX, offsetY }
+     * @private
+     */
+    getMinimapScale() {
+        const padding = 6;
+        const width = Math.max(1, this.bounds.maxX - this.bounds.minX);
+        const height = Math.max(1, this.bounds.maxY - this.bounds.minY);
+        const scale = Math.min((MINIMAP_WIDTH - padding * 2) / width, (MINIMAP_HEIGHT - padding * 2) / height);
+        return {
+            scale,
+            offsetX: (MINIMAP_WIDTH - width * scale) / 2,
+            offsetY: (MINIMAP_HEIGHT - height * scale) / 2
+        };
+    }
+
+    /**
+     * 绘制小地图：所有展开的节点和当前视口
+     * @private
+     */
+    drawMinimap() {
+        const context = this.minimap.getContext('2d');
+        if (!context) return;
+
+        context.fillStyle = 'rgba(22, 27, 34, 0.9)';
+        context.fillRect(0, 0, MINIMAP_WIDTH, MINIMAP_HEIGHT);
+
+        const { scale, offsetX, offsetY } = this.getMinimapScale();
+        const toMinimap = (x, y) => [
+            (x - this.bounds.minX) * scale + offsetX,
+            (y - this.bounds.minY) * scale + offsetY
+        ];
+
+        this.visibleNodes.forEach(d => {
+            const [x, y] = toMinimap(d.x, d.y);
+            const status = this.getStatus(d);
+            if (d === this.selected) {
+                context.fillStyle = '#ffd700';
+            } else if (this.diff) {
+                context.fillStyle = status ? DIFF_COLORS[status] : '#484f58';
+            } else {
+                context.fillStyle = this.getNodeColor(d.data.type);
+            }
+            context.fillRect(x - 1, y - 1, 2, 2);
+        });
+
+        const view = this.getViewRect();
+        const margin = CULL_MARGIN / this.transform.k;
+        const [x0, y0] = toMinimap(view.x0 + margin, view.y0 + margin);
+        const [x1, y1] = toMinimap(view.x1 - margin, view.y1 - margin);
+        context.strokeStyle = '#ffd700';
+        context.lineWidth = 1;
+        context.strokeRect(x0, y0, x1 - x0, y1 - y0);
+    }
+
+    /**
+     * 更新节点统计
+     * @param {number} drawn - 实际绘制的节点数
+     * @private
+     */
+    updateStatus(drawn) {
+        const status = this.container.querySelector('[data-role="status"]');
+        status.textContent = `共 ${this.allNodes.length} 个节点，展开 ${this.visibleNodes.length} 个，` +
+            `绘制 ${drawn} 个 | 缩放 ${Math.round(this.transform.k * 100)}% | 滚轮缩放，拖动平移`;
+    }
+
+    /**
+     * 更新搜索结果计数
+     * @param {string} query - 搜索词
+     * @private
+     */
+    updateSearchStatus(query) {
+        const status = this.container.querySelector('[data-role="search-status"]');
+        if (!query) {
+            status.textContent = '';
+        } else if (this.matches.length === 0) {
+            status.textContent = '无匹配';
+        } else {
+            status.textContent = `${this.matchIndex + 1}/${this.matches.length}`;
+        }
+    }
+
+    /**
+     * 节点在结构差异中的状态
+     * @param {Object} d - d3 层级节点
+     * @returns {string|null} 状态，没有差异或节点未变化时为 null
+     * @private
+     */
+    getStatus(d) {
+        return this.diff ? getDiffStatus(this.diff, d.data, this.side) : null;
     }
 
     /**
@@ -232,14 +714,17 @@ export class ASTVisualizer {
      */
     getNodeColor(nodeType) {
         const colorMap = {
-            'FunctionDecl': '#23d18b',
-            'VariableDecl': '#39c5fe',
-            'BinaryExpr': '#f778ba',
-            'CallExpr': '#ffd700',
+            'Program': '#ffd700',
             'Identifier': '#bd93f9',
-            'Literal': '#50fa7b'
+            'PrivateIdentifier': '#bd93f9',
+            'Literal': '#50fa7b',
+            'TemplateElement': '#50fa7b'
         };
-        return colorMap[nodeType] || '#8b949e';
+        if (colorMap[nodeType]) return colorMap[nodeType];
+        if (nodeType.endsWith('Declaration') || nodeType.endsWith('Declarator')) return '#23d18b';
+        if (nodeType.endsWith('Statement') || nodeType.endsWith('Clause') || nodeType === 'SwitchCase') return '#39c5fe';
+        if (nodeType.endsWith('Expression')) return '#f778ba';
+        return '#8b949e';
     }
 
     /**
@@ -248,42 +733,26 @@ export class ASTVisualizer {
      * @param {Object} nodeData - 节点数据
      */
     showNodeTooltip(event, nodeData) {
-        // 移除现有提示框
-        d3.select('body').select('.ast-tooltip').remove();
-
-        // 创建提示框
-        const tooltip = d3.select('body')
-            .append('div')
-            .attr('class', 'ast-tooltip')
-            .style('position', 'absolute')
-            .style('background', '#161b22')
-            .style('border', '1px solid #30363d')
-            .style('padding', '8px')
-            .style('border-radius', '4px')
-            .style('font-size', '12px')
-            .style('color', '#c9d1d9')
-            .style('pointer-events', 'none')
-            .style('z-index', '1000');
-
-        tooltip.html(`
-            <strong>${nodeData.data.type}</strong><br>
-            ID: ${nodeData.data.id}<br>
-            深度: ${nodeData.data.depth}<br>
-            子节点: ${nodeData.children ? nodeData.children.length : 0}
+        const node = nodeData.data;
+        const value = describeNodeValue(node);
+        const { start, end } = node.loc;
+        const status = this.getStatus(nodeData);
+
+        showTooltip(event, `
+            <strong>${node.type}</strong><br>
+            ${value ? `值: <code>${escapeHTML(truncate(value, 40))}</code><br>` : ''}
+            ${status ? `<span style="color: ${DIFF_COLORS[status]}">${DIFF_STATUS_LABELS[status]}</span><br>` : ''}
+            范围: ${start.line}:${start.column} - ${end.line}:${end.column} (${node.start}-${node.end})<br>
+            深度: ${nodeData.depth}<br>
+            子节点: ${nodeData.allChildren ? nodeData.allChildren.length : 0}${this.collapsed.has(nodeData) ? ' (已折叠)' : ''}
         `);
-
-        // 定位提示框
-        const [x, y] = d3.pointer(event, document.body);
-        tooltip
-            .style('left', (x + 10) + 'px')
-            .style('top', (y - 10) + 'px');
     }
 
     /**
      * 隐藏节点提示框
      */
     hideNodeTooltip() {
-        d3.select('body').select('.ast-tooltip').remove();
+        hideTooltip();
     }
 
     /**
@@ -291,8 +760,26 @@ export class ASTVisualizer {
      */
     reset() {
         if (this.svg) {
-            this.svg.selectAll('.ast-node').remove();
-            this.svg.selectAll('.ast-link').remove();
+            this.currentAST = null;
+            this.oldAST = null;
+            this.diff = null;
+            this.side = 'new';
+            this.updateDiffControls();
+            this.ast = null;
+            this.root = null;
+            this.allNodes = [];
+            this.nodeByAST = new Map();
+            this.visibleNodes = [];
+            this.visibleLinks = [];
+            this.bounds = null;
+            this.collapsed = new Set();
+            this.selected = null;
+            this.matches = [];
+            this.linkLayer.selectAll('*').remove();
+            this.nodeLayer.selectAll('*').remove();
+            this.container.querySelector('[data-role="status"]').textContent = '';
+            this.updateSearchStatus('');
+            this.svg.call(this.zoom.transform, d3.zoomIdentity);
             this.showPlaceholder();
         }
     }
@@ -303,13 +790,28 @@ export class ASTVisualizer {
      * @param {number} height - 新高度
      */
     resize(width, height) {
+        if (!this.svg) return;
+
+        this.setCanvasSize(width, height);
+        if (this.root) {
+            this.render();
+        } else {
+            this.showPlaceholder();
+        }
+    }
+
+    /**
+     * 设置画布和缩放范围的尺寸
+     * @param {number} width - 宽度
+     * @param {number} height - 高度
+     * @private
+     */
+    setCanvasSize(width, height) {
         this.width = width;
         this.height = height;
-        
-        if (this.svg) {
-            this.svg
-                .attr('width', width)
-                .attr('height', height);
-        }
+        this.svg
+            .attr('width', width)
+            .attr('height', height);
+        this.zoom.extent([[0, 0], [width, height]]);
     }
 }
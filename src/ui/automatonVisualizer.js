@@ -0,0 +1,506 @@
+// src/ui/automatonVisualizer.js
+// 自动机可视化组件 - 使用D3.js绘制词法规则的 NFA / DFA / 最小化 DFA，并逐字符单步执行
+
+import { createSVGCanvas, showTooltip, hideTooltip } from './d3Setup.js';
+import { compileAutomata, epsilonClosure, stepAutomaton } from '../modules/regexAutomaton.js';
+import { escapeHTML } from '../utils/formatters.js';
+
+const VIEWS = [
+    { key: 'nfa', label: 'Thompson NFA' },
+    { key: 'dfa', label: 'DFA' },
+    { key: 'minDfa', label: '最小化 DFA' }
+];
+
+// 布局参数
+const NODE_RADIUS = 14;
+const LAYER_SPACING = 90;
+const ROW_SPACING = 48;
+const MARGIN = 40;
+const MAX_LABEL_LENGTH = 14;
+
+/**
+ * 自动机可视化器类
+ * 组件自己生成控件（规则选择、视图切换、单步按钮），游戏只需在切换语言时调用 setRules()
+ */
+export class AutomatonVisualizer {
+    constructor(containerId) {
+        this.containerId = containerId;
+        this.container = document.getElementById(containerId);
+        this.rules = [];
+        this.sample = '';
+        this.automata = null;
+        this.view = 'dfa';
+        this.input = [];
+        this.position = 0;
+        this.current = [];
+        this.taken = [];
+        this.lastAccept = -1;
+        this.svg = null;
+
+        this.init();
+    }
+
+    /**
+     * 生成控件并绑定事件
+     */
+    init() {
+        if (!this.container) {
+            console.warn(`自动机可视化容器未找到: ${this.containerId}`);
+            return;
+        }
+
+        this.container.innerHTML = `
+            <div class="flex flex-wrap items-center gap-2 mb-2">
+                <select data-role="rule" class="p-1 bg-gray-900 border border-gray-600 rounded text-gray-300 text-sm"></select>
+                <input data-role="pattern" type="text" spellcheck="false" placeholder="自定义正则"
+                       class="flex-1 p-1 bg-gray-900 border border-gray-600 rounded text-gray-300 font-mono text-sm">
+                <div class="flex gap-1">
+                    ${VIEWS.map(view => `<button class="btn text-xs" data-view="${view.key}">${view.label}</button>`).join('')}
+                </div>
+            </div>
+            <div class="flex flex-wrap items-center gap-2 mb-2">
+                <input data-role="input" type="text" spellcheck="false" placeholder="示例输入"
+                       class="flex-1 p-1 bg-gray-900 border border-gray-600 rounded text-gray-300 font-mono text-sm">
+                <button class="btn text-xs" data-action="reset">⏮ 重置</button>
+                <button class="btn text-xs" data-action="step">▶ 单步</button>
+                <button class="btn text-xs" data-action="run">⏭ 运行到底</button>
+            </div>
+            <div data-role="trace" class="font-mono text-sm mb-1"></div>
+            <p data-role="status" class="text-xs text-gray-400 mb-1"></p>
+            <p data-role="notes" class="text-xs text-yellow-400 mb-2"></p>
+            <div data-role="graph" class="overflow-auto max-h-96"></div>
+        `;
+
+        this.ruleSelect = this.container.querySelector('[data-role="rule"]');
+        this.patternInput = this.container.querySelector('[data-role="pattern"]');
+        this.inputField = this.container.querySelector('[data-role="input"]');
+        this.graph = this.container.querySelector('[data-role="graph"]');
+
+        this.ruleSelect.addEventListener('change', () => this.selectRule(Number(this.ruleSelect.value)));
+        this.patternInput.addEventListener('input', () => this.loadRegex(this.patternInput.value, 'u'));
+        this.inputField.addEventListener('input', () => this.resetRun());
+
+        this.container.addEventListener('click', (event) => {
+            const viewButton = event.target.closest('[data-view]');
+            if (viewButton) {
+                this.view = viewButton.dataset.view;
+                this.resetRun();
+                return;
+            }
+
+            const actionButton = event.target.closest('[data-action]');
+            if (!actionButton) return;
+            if (actionButton.dataset.action === 'reset') this.resetRun();
+            if (actionButton.dataset.action === 'step') this.step();
+            if (actionButton.dataset.action === 'run') {
+                while (this.step()) { /* 读完输入或进入死状态为止 */ }
+            }
+        });
+    }
+
+    /**
+     * 设置可选的规则（切换语言时调用）
+     * @param {Array} rules - Tokenizer.rules
+     * @param {string} sample - 语言示例代码，用来给选中的规则找一段示例输入
+     */
+    setRules(rules, sample = '') {
+        if (!this.container) return;
+
+        this.rules = rules;
+        this.sample = sample;
+        this.ruleSelect.innerHTML = rules.map((rule, index) => `
+            <option value="${index}">${index + 1}. ${rule.type}${rule.error ? ' (错误恢复)' : ''}</option>
+        `).join('');
+
+        // 默认选中第一条非空白规则
+        const first = rules.findIndex(rule => rule.type !== 'WHITESPACE');
+        this.ruleSelect.value = String(Math.max(0, first));
+        this.selectRule(Math.max(0, first));
+    }
+
+    /**
+     * 选中一条规则
+     * @param {number} index - 规则下标
+     */
+    selectRule(index) {
+        const rule = this.rules[index];
+        if (!rule) return;
+
+        this.patternInput.value = rule.regex.source;
+        this.inputField.value = this.findSampleInput(rule.regex);
+        this.loadRegex(rule.regex.source, rule.regex.flags);
+    }
+
+    /**
+     * 在示例代码中找到规则的第一个匹配，作为默认的示例输入
+     * @param {RegExp} regex - 规则正则
+     * @returns {string} 示例输入
+     * @private
+     */
+    findSampleInput(regex) {
+        let sticky;
+        try {
+            sticky = new RegExp(regex.source.replace(/^\^/, ''), regex.flags.replace(/[gy]/g, '') + 'y');
+        } catch {
+            return '';
+        }
+
+        for (let position = 0; position < this.sample.length; position++) {
+            sticky.lastIndex = position;
+            const match = sticky.exec(this.sample);
+            if (match && match[0].trim()) return match[0];
+        }
+        return '';
+    }
+
+    /**
+     * 编译正则并重新绘制
+     * @param {string} source - 正则源码
+     * @param {string} flags - 标志
+     */
+    loadRegex(source, flags) {
+        const notes = this.container.querySelector('[data-role="notes"]');
+        try {
+            this.automata = compileAutomata(new RegExp(source, flags));
+            notes.textContent = this.automata.notes.map(note => `⚠️ ${note}`).join('  ');
+        } catch (error) {
+            this.automata = null;
+            notes.textContent = `❌ ${error.description || error.message}`;
+        }
+        this.resetRun();
+    }
+
+    /**
+     * 回到输入开头
+     */
+    resetRun() {
+        this.input = Array.from(this.inputField.value);
+        this.position = 0;
+        this.taken = [];
+        this.lastAccept = -1;
+
+        const automaton = this.getAutomaton();
+        this.current = automaton ? epsilonClosure(automaton, [automaton.start]) : [];
+        if (this.isAccepting(this.current)) this.lastAccept = 0;
+
+        this.container.querySelectorAll('[data-view]').forEach(button => {
+            button.classList.toggle('btn-primary', button.dataset.view === this.view);
+        });
+
+        this.draw();
+        this.updateStatus();
+    }
+
+    /**
+     * 读入下一个字符
+     * @returns {boolean} 是否还能继续
+     */
+    step() {
+        const automaton = this.getAutomaton();
+        if (!automaton || this.position >= this.input.length || this.current.length === 0) return false;
+
+        const result = stepAutomaton(automaton, this.current, this.input[this.position].codePointAt(0));
+        this.position++;
+        this.current = result.states;
+        this.taken = result.transitions;
+        if (this.isAccepting(this.current)) this.lastAccept = this.position;
+
+        this.highlight();
+        this.updateStatus();
+        return this.current.length > 0 && this.position < this.input.length;
+    }
+
+    /**
+     * 当前视图的自动机
+     * @returns {Object|null} 自动机
+     * @private
+     */
+    getAutomaton() {
+        return this.automata ? this.automata[this.view] : null;
+    }
+
+    /**
+     * 状态集合中是否有接受状态
+     * @param {Array<number>} states - 状态
+     * @returns {boolean} 是否接受
+     * @private
+     */
+    isAccepting(states) {
+        const automaton = this.getAutomaton();
+        return states.some(state => automaton.states[state].accepting);
+    }
+
+    /**
+     * 更新输入轨迹和状态说明
+     * @private
+     */
+    updateStatus() {
+        const trace = this.container.querySelector('[data-role="trace"]');
+        const status = this.container.querySelector('[data-role="status"]');
+        const automaton = this.getAutomaton();
+        if (!automaton) {
+            trace.innerHTML = '';
+            status.textContent = '';
+            return;
+        }
+
+        const consumed = escapeHTML(this.input.slice(0, this.position).join(''));
+        const next = this.position < this.input.length ? escapeHTML(this.input[this.position]) : '';
+        const rest = escapeHTML(this.input.slice(this.position + 1).join(''));
+        trace.innerHTML = `
+            <span class="text-green-400">${consumed}</span><span class="bg-yellow-600 text-black">${next}</span><span class="text-gray-500">${rest}</span>
+        `;
+
+        const longest = this.lastAccept >= 0 ? `"${this.input.slice(0, this.lastAccept).join('')}"` : '无';
+        let state;
+        if (this.current.length === 0) {
+            state = '没有可用的转移（匹配失败）';
+        } else {
+            state = `当前状态 {${this.current.join(', ')}}${this.isAccepting(this.current) ? ' ✓ 接受' : ''}`;
+        }
+        status.textContent = `${VIEWS.find(view => view.key === this.view).label}: ${automaton.states.length} 个状态，` +
+            `${automaton.transitions.length} 条转移 | 已读 ${this.position}/${this.input.length} 个字符 | ${state} | 最长匹配: ${longest}`;
+    }
+
+    /**
+     * 分层布局：按从起点出发的广度优先深度分列，同一列中按编号排列
+     * @param {Object} automaton - 自动机
+     * @returns {Object} { positions: [{ x, y, layer }], width, height }
+     * @private
+     */
+    layout(automaton) {
+        const layers = new Array(automaton.states.length).fill(-1);
+        layers[automaton.start] = 0;
+        const queue = [automaton.start];
+        for (let i = 0; i < queue.length; i++) {
+            automaton.outgoing[queue[i]].forEach(index => {
+                const to = automaton.transitions[index].to;
+                if (layers[to] < 0) {
+                    layers[to] = layers[queue[i]] + 1;
+                    queue.push(to);
+                }
+            });
+        }
+
+        const columns = [];
+        automaton.states.forEach((state, id) => {
+            const layer = Math.max(0, layers[id]);
+            if (!columns[layer]) columns[layer] = [];
+            columns[layer].push(id);
+        });
+
+        const tallest = Math.max(...columns.map(column => (column ? column.length : 0)));
+        const height = MARGIN * 2 + Math.max(1, tallest) * ROW_SPACING;
+        const positions = [];
+        columns.forEach((column, layer) => {
+            if (!column) return;
+            const top = (height - (column.length - 1) * ROW_SPACING) / 2;
+            column.forEach((id, row) => {
+                positions[id] = { x: MARGIN + 20 + layer * LAYER_SPACING, y: top + row * ROW_SPACING, layer };
+            });
+        });
+
+        return { positions, width: MARGIN * 2 + 20 + (columns.length - 1) * LAYER_SPACING, height };
+    }
+
+    /**
+     * 绘制当前视图的自动机
+     * @private
+     */
+    draw() {
+        this.graph.innerHTML = '';
+        hideTooltip();
+
+        const automaton = this.getAutomaton();
+        if (!automaton) return;
+
+        const { positions, width, height } = this.layout(automaton);
+        this.svg = createSVGCanvas(this.graph, Math.max(width, 300), height, `${this.containerId}-grid`);
+        this.addMarkers();
+
+        // 同一对状态之间的多条转移合并成一条边
+        const edges = new Map();
+        automaton.transitions.forEach((transition, index) => {
+            const key = `${transition.from}:${transition.to}`;
+            if (!edges.has(key)) edges.set(key, { from: transition.from, to: transition.to, labels: [], indices: [] });
+            edges.get(key).labels.push(transition.label);
+            edges.get(key).indices.push(index);
+        });
+
+        const g = this.svg.append('g');
+
+        // 起始箭头
+        const start = positions[automaton.start];
+        g.append('line')
+            .attr('x1', start.x - NODE_RADIUS - 24).attr('y1', start.y)
+            .attr('x2', start.x - NODE_RADIUS - 2).attr('y2', start.y)
+            .attr('stroke', '#8b949e')
+            .attr('stroke-width', 1.5)
+            .attr('marker-end', `url(#${this.containerId}-arrow)`);
+
+        const edgeGroups = g.selectAll('.automaton-edge')
+            .data([...edges.values()])
+            .enter()
+            .append('g')
+            .attr('class', 'automaton-edge');
+
+        edgeGroups.append('path')
+            .attr('d', edge => this.edgeGeometry(edge, positions, edges).path)
+            .attr('fill', 'none')
+            .attr('stroke', edge => (edge.labels.every(label => label === 'ε') ? '#6272a4' : '#39c5fe'))
+            .attr('stroke-width', 1.2)
+            .attr('stroke-dasharray', edge => (edge.labels.every(label => label === 'ε') ? '4 3' : null))
+            .attr('marker-end', `url(#${this.containerId}-arrow)`);
+
+        edgeGroups.append('text')
+            .attr('x', edge => this.edgeGeometry(edge, positions, edges).labelX)
+            .attr('y', edge => this.edgeGeometry(edge, positions, edges).labelY)
+            .attr('text-anchor', 'middle')
+            .attr('fill', '#c9d1d9')
+            .attr('font-size', '10px')
+            .attr('font-family', 'monospace')
+            .style('cursor', 'default')
+            .text(edge => this.shortenLabel([...new Set(edge.labels)].join(', ')))
+            .on('mouseover', (event, edge) => showTooltip(event, `
+                <strong>${edge.from} → ${edge.to}</strong><br>
+                ${[...new Set(edge.labels)].map(escapeHTML).join('<br>')}
+            `))
+            .on('mouseout', () => hideTooltip());
+
+        const nodes = g.selectAll('.automaton-node')
+            .data(automaton.states)
+            .enter()
+            .append('g')
+            .attr('class', 'automaton-node')
+            .attr('transform', state => `translate(${positions[state.id].x}, ${positions[state.id].y})`)
+            .style('cursor', 'pointer')
+            .on('mouseover', (event, state) => showTooltip(event, `
+                <strong>状态 ${state.id}</strong>${state.accepting ? '（接受）' : ''}<br>
+                ${state.detail ? escapeHTML(state.detail) : ''}
+            `))
+            .on('mouseout', () => hideTooltip());
+
+        nodes.append('circle')
+            .attr('class', 'automaton-state')
+            .attr('r', NODE_RADIUS)
+            .attr('fill', '#161b22')
+            .attr('stroke', '#39c5fe')
+            .attr('stroke-width', 1.5);
+
+        nodes.filter(state => state.accepting)
+            .append('circle')
+            .attr('r', NODE_RADIUS - 4)
+            .attr('fill', 'none')
+            .attr('stroke', '#23d18b')
+            .attr('stroke-width', 1.5);
+
+        nodes.append('text')
+            .attr('dy', 4)
+            .attr('text-anchor', 'middle')
+            .attr('fill', '#c9d1d9')
+            .attr('font-size', '10px')
+            .text(state => state.id);
+
+        this.highlight();
+    }
+
+    /**
+     * 高亮当前状态和上一步经过的边
+     * @private
+     */
+    highlight() {
+        if (!this.svg) return;
+
+        const active = new Set(this.current);
+        const taken = new Set(this.taken);
+
+        this.svg.selectAll('.automaton-state')
+            .attr('fill', state => (active.has(state.id) ? '#23d18b' : '#161b22'));
+        this.svg.selectAll('.automaton-edge path')
+            .attr('stroke-width', edge => (edge.indices.some(index => taken.has(index)) ? 3 : 1.2))
+            .attr('stroke', edge => {
+                if (edge.indices.some(index => taken.has(index))) return '#ffd700';
+                return edge.labels.every(label => label === 'ε') ? '#6272a4' : '#39c5fe';
+            });
+    }
+
+    /**
+     * 计算边的路径和标签位置
+     * 相邻列之间的边画成直线；自环画在状态上方；反向边、同列边和跨列边画成弧线以免重叠
+     * @param {Object} edge - { from, to }
+     * @param {Array} positions - 状态位置
+     * @param {Map} edges - 所有边（判断是否存在反向边）
+     * @returns {Object} { path, labelX, labelY }
+     * @private
+     */
+    edgeGeometry(edge, positions, edges) {
+        const from = positions[edge.from];
+        const to = positions[edge.to];
+
+        if (edge.from === edge.to) {
+            const top = from.y - NODE_RADIUS;
+            return {
+                path: `M ${from.x - 6} ${top} C ${from.x - 22} ${top - 34}, ${from.x + 22} ${top - 34}, ${from.x + 6} ${top}`,
+                labelX: from.x,
+                labelY: top - 30
+            };
+        }
+
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const length = Math.hypot(dx, dy);
+        const curved = edges.has(`${edge.to}:${edge.from}`) || to.layer - from.layer !== 1;
+        const bend = curved ? 28 : 0;
+
+        // 控制点在中点的法线方向上
+        const cx = (from.x + to.x) / 2 - (dy / length) * bend;
+        const cy = (from.y + to.y) / 2 + (dx / length) * bend;
+
+        // 起止点收缩到圆周上
+        const trim = (point, toward) => {
+            const distance = Math.hypot(toward.x - point.x, toward.y - point.y) || 1;
+            return {
+                x: point.x + (toward.x - point.x) / distance * (NODE_RADIUS + 2),
+                y: point.y + (toward.y - point.y) / distance * (NODE_RADIUS + 2)
+            };
+        };
+        const control = { x: cx, y: cy };
+        const p0 = trim(from, control);
+        const p1 = trim(to, control);
+
+        return {
+            path: `M ${p0.x} ${p0.y} Q ${cx} ${cy} ${p1.x} ${p1.y}`,
+            labelX: 0.25 * p0.x + 0.5 * cx + 0.25 * p1.x,
+            labelY: 0.25 * p0.y + 0.5 * cy + 0.25 * p1.y - 4
+        };
+    }
+
+    /**
+     * 添加箭头标记
+     * @private
+     */
+    addMarkers() {
+        this.svg.select('defs')
+            .append('marker')
+            .attr('id', `${this.containerId}-arrow`)
+            .attr('viewBox', '0 0 10 10')
+            .attr('refX', 9)
+            .attr('refY', 5)
+            .attr('markerWidth', 6)
+            .attr('markerHeight', 6)
+            .attr('orient', 'auto')
+            .append('path')
+            .attr('d', 'M 0 0 L 10 5 L 0 10 z')
+            .attr('fill', '#8b949e');
+    }
+
+    /**
+     * 截断过长的边标签（完整内容在提示框中）
+     * @param {string} label - 标签
+     * @returns {string} 截断后的标签
+     * @private
+     */
+    shortenLabel(label) {
+        return label.length > MAX_LABEL_LENGTH ? `${label.slice(0, MAX_LABEL_LENGTH)}…` : label;
+    }
+}
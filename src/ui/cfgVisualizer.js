@@ -0,0 +1,486 @@
+// src/ui/cfgVisualizer.js
+// 控制流图可视化组件 - 使用D3.js绘制编译出的 SSA IR 中一个函数的基本块、分支边、支配树和 φ 节点
+// 支持缩放平移；悬停基本块时标出它支配的块和支配边界（φ 节点的放置位置）
+
+import { createSVGCanvas, showTooltip, hideTooltip } from './d3Setup.js';
+import { computeDominators, dominanceFrontiers, dominates, nameValues, formatBlock, successors } from '../modules/ir.js';
+import { escapeHTML } from '../utils/formatters.js';
+
+const EMPTY_MESSAGE = '编译程序后，这里会绘制所选函数的控制流图';
+
+// 基本块的尺寸：每行高度、字符宽度和最大宽度（更长的行截断，完整内容在提示框中）
+const LINE_HEIGHT = 14;
+const CHAR_WIDTH = 6.6;
+const BLOCK_PADDING = 8;
+const HEADER_HEIGHT = 18;
+const MIN_BLOCK_WIDTH = 120;
+const MAX_LINE_LENGTH = 40;
+
+// 分层布局的间距
+const LAYER_SPACING = 56;
+const COLUMN_SPACING = 36;
+const MARGIN = 40;
+
+// 回边绕到块右侧的距离，每条回边再错开一些
+const BACK_EDGE_OFFSET = 28;
+const BACK_EDGE_STEP = 12;
+
+const SCALE_EXTENT = [0.1, 2];
+const CANVAS_HEIGHT = 480;
+
+const COLORS = {
+    block: '#161b22',
+    border: '#39c5fe',
+    phi: '#f1fa8c',
+    instruction: '#c9d1d9',
+    terminator: '#8be9fd',
+    then: '#50fa7b',
+    else: '#ff5555',
+    jump: '#8b949e',
+    back: '#ffb86c',
+    dominator: '#bd93f9',
+    frontier: '#ffb86c',
+    dominated: '#bd93f9'
+};
+
+/**
+ * 截断过长的文本
+ * @param {string} text - 文本
+ * @param {number} length - 最大长度
+ * @returns {string} 截断后的文本
+ */
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length)}…` : text;
+}
+
+/**
+ * 控制流图可视化器类
+ * 组件自己生成控件（函数选择、优化前后切换、支配树开关），游戏只需在编译后调用 setProgram()
+ */
+export class CFGVisualizer {
+    /**
+     * @param {string} containerId - 容器元素 id
+     */
+    constructor(containerId) {
+        this.containerId = containerId;
+        this.container = document.getElementById(containerId);
+        this.modules = { original: null, optimized: null };
+        this.side = 'optimized';
+        this.functionName = 'main';
+        this.showDominators = true;
+        this.svg = null;
+        this.layoutResult = null;
+
+        this.init();
+    }
+
+    /**
+     * 生成控件并绑定事件
+     */
+    init() {
+        if (!this.container) {
+            console.warn(`控制流图容器未找到: ${this.containerId}`);
+            return;
+        }
+
+        this.container.innerHTML = `
+            <div class="flex flex-wrap items-center gap-2 mb-2">
+                <select data-role="function" class="p-1 bg-gray-900 border border-gray-600 rounded text-gray-300 text-sm"></select>
+                <button class="btn text-xs" data-side="original">优化前</button>
+                <button class="btn text-xs" data-side="optimized">优化后</button>
+                <label class="text-xs text-gray-400 flex items-center gap-1">
+                    <input data-role="dominators" type="checkbox" checked> 支配树
+                </label>
+                <button class="btn text-xs" data-action="fit">适应窗口</button>
+            </div>
+            <div data-role="legend" class="flex flex-wrap gap-3 text-xs mb-2">
+                <span style="color: ${COLORS.then}">━ 条件成立</span>
+                <span style="color: ${COLORS.else}">━ 条件不成立</span>
+                <span style="color: ${COLORS.back}">┅ 回边</span>
+                <span style="color: ${COLORS.dominator}">┅ 直接支配</span>
+                <span style="color: ${COLORS.phi}">■ φ 节点</span>
+                <span class="text-gray-500">悬停基本块：紫框为它支配的块，橙框为支配边界</span>
+            </div>
+            <div data-role="graph"></div>
+            <p data-role="status" class="text-xs text-gray-500 mt-1"></p>
+        `;
+
+        this.functionSelect = this.container.querySelector('[data-role="function"]');
+        this.graph = this.container.querySelector('[data-role="graph"]');
+        this.status = this.container.querySelector('[data-role="status"]');
+
+        this.functionSelect.addEventListener('change', () => {
+            this.functionName = this.functionSelect.value;
+            this.draw();
+        });
+        this.container.querySelector('[data-role="dominators"]').addEventListener('change', (event) => {
+            this.showDominators = event.target.checked;
+            this.draw();
+        });
+        this.container.addEventListener('click', (event) => {
+            const sideButton = event.target.closest('[data-side]');
+            if (sideButton) {
+                this.side = sideButton.dataset.side;
+                this.draw();
+                return;
+            }
+            const button = event.target.closest('[data-action]');
+            if (button && button.dataset.action === 'fit') this.fitToView();
+        });
+
+        this.showMessage(EMPTY_MESSAGE);
+    }
+
+    /**
+     * 显示提示信息
+     * @param {string} message - 信息
+     */
+    showMessage(message) {
+        if (!this.container) return;
+
+        hideTooltip();
+        this.svg = null;
+        this.graph.innerHTML = `<p class="text-xs text-gray-400">${escapeHTML(message)}</p>`;
+        this.status.textContent = '';
+    }
+
+    /**
+     * 设置要显示的程序
+     * @param {Object} original - buildIR() 的返回值
+     * @param {Object|null} optimized - 优化后的 IR，没有运行优化遍时为 null
+     */
+    setProgram(original, optimized = null) {
+        if (!this.container) return;
+
+        this.modules = { original, optimized };
+        const names = original.functions.map(fn => fn.name);
+        if (!names.includes(this.functionName)) this.functionName = names[0];
+        this.functionSelect.innerHTML = names.map(name => `
+            <option value="${escapeHTML(name)}">${escapeHTML(name)}</option>
+        `).join('');
+        this.functionSelect.value = this.functionName;
+        this.draw();
+    }
+
+    /**
+     * 当前显示的函数
+     * @returns {IRFunction|null}
+     * @private
+     */
+    getFunction() {
+        const module = this.side === 'optimized' && this.modules.optimized ? this.modules.optimized : this.modules.original;
+        return module ? module.functions.find(fn => fn.name === this.functionName) || null : null;
+    }
+
+    /**
+     * 分层布局：按逆后序求每个块到入口的最长前向路径作为层号，同层的块从左到右排列
+     * @param {IRFunction} fn - 函数
+     * @returns {Object} { nodes: Map(块 → 节点), edges, width, height }
+     * @private
+     */
+    layout(fn) {
+        const names = nameValues(fn);
+        const order = new Map(fn.blocks.map((block, index) => [block, index]));
+        const nodes = new Map();
+        const layers = [];
+
+        fn.blocks.forEach(block => {
+            const text = formatBlock(block, names);
+            const lines = [
+                ...text.phis.map(line => ({ text: line, kind: 'phi' })),
+                ...text.instructions.map(line => ({ text: line, kind: 'instruction' })),
+                { text: text.terminator, kind: 'terminator' }
+            ];
+            const longest = Math.max(block.name.length + 1, ...lines.map(line => Math.min(line.text.length, MAX_LINE_LENGTH + 1)));
+            const forwardPreds = block.preds.filter(pred => order.get(pred) < order.get(block));
+            const layer = forwardPreds.reduce((deepest, pred) => Math.max(deepest, nodes.get(pred).layer + 1), 0);
+
+            const node = {
+                block,
+                lines,
+                layer,
+                width: Math.max(MIN_BLOCK_WIDTH, longest * CHAR_WIDTH + BLOCK_PADDING * 2),
+                height: HEADER_HEIGHT + lines.length * LINE_HEIGHT + BLOCK_PADDING
+            };
+            nodes.set(block, node);
+            if (!layers[layer]) layers[layer] = [];
+            layers[layer].push(node);
+        });
+
+        // 每层居中，层高取该层最高的块
+        const rowWidths = layers.map(row => row.reduce((sum, node) => sum + node.width, 0) + (row.length - 1) * COLUMN_SPACING);
+        const width = Math.max(...rowWidths) + MARGIN * 2;
+        let y = MARGIN;
+        layers.forEach((row, index) => {
+            let x = (width - rowWidths[index]) / 2;
+            row.forEach(node => {
+                node.x = x;
+                node.y = y;
+                x += node.width + COLUMN_SPACING;
+            });
+            y += Math.max(...row.map(node => node.height)) + LAYER_SPACING;
+        });
+
+        const edges = [];
+        let backEdges = 0;
+        fn.blocks.forEach(block => {
+            const { terminator } = block;
+            const targets = terminator.op === 'cbr'
+                ? [{ target: terminator.then, kind: 'then' }, { target: terminator.else, kind: 'else' }]
+                : successors(block).map(target => ({ target, kind: 'jump' }));
+            targets.forEach(({ target, kind }, index) => {
+                const back = order.get(target) <= order.get(block);
+                edges.push({
+                    from: nodes.get(block),
+                    to: nodes.get(target),
+                    kind: back ? 'back' : kind,
+                    slot: targets.length > 1 ? index : -1,
+                    offset: back ? backEdges++ : 0
+                });
+            });
+        });
+
+        return { nodes, edges, width: width + backEdges * BACK_EDGE_STEP + BACK_EDGE_OFFSET, height: y - LAYER_SPACING + MARGIN };
+    }
+
+    /**
+     * 边的路径：前向边从块底部连到目标顶部；回边从块右侧绕回目标右侧
+     * @private
+     */
+    edgePath(edge) {
+        const { from, to } = edge;
+        if (edge.kind === 'back') {
+            const sx = from.x + from.width;
+            const sy = from.y + from.height - LINE_HEIGHT / 2;
+            const tx = to.x + to.width;
+            const ty = to.y + HEADER_HEIGHT / 2;
+            const bend = Math.max(sx, tx) + BACK_EDGE_OFFSET + edge.offset * BACK_EDGE_STEP;
+            return `M ${sx} ${sy} C ${bend} ${sy}, ${bend} ${ty}, ${tx + 2} ${ty}`;
+        }
+        // 条件跳转的两条边分别从块底部的左右三分点出发
+        const sx = edge.slot < 0 ? from.x + from.width / 2 : from.x + from.width * (edge.slot + 1) / 3;
+        const sy = from.y + from.height;
+        const tx = to.x + to.width / 2;
+        const ty = to.y - 2;
+        const middle = (sy + ty) / 2;
+        return `M ${sx} ${sy} C ${sx} ${middle}, ${tx} ${middle}, ${tx} ${ty}`;
+    }
+
+    /**
+     * 绘制当前函数
+     * @private
+     */
+    draw() {
+        if (!this.container) return;
+
+        this.container.querySelectorAll('[data-side]').forEach(button => {
+            button.classList.toggle('btn-primary', button.dataset.side === this.side);
+            button.disabled = button.dataset.side === 'optimized' && !this.modules.optimized;
+        });
+
+        const fn = this.getFunction();
+        if (!fn) {
+            this.showMessage(EMPTY_MESSAGE);
+            return;
+        }
+
+        hideTooltip();
+        this.graph.innerHTML = '';
+        this.layoutResult = this.layout(fn);
+        const { nodes, edges } = this.layoutResult;
+        const idom = computeDominators(fn);
+        const frontiers = dominanceFrontiers(fn, idom);
+
+        this.width = this.graph.clientWidth || 600;
+        this.svg = createSVGCanvas(this.graph, this.width, CANVAS_HEIGHT, `${this.containerId}-grid`);
+        this.addMarkers();
+        const viewport = this.svg.append('g');
+        this.zoom = d3.zoom()
+            .scaleExtent(SCALE_EXTENT)
+            .on('zoom', (event) => viewport.attr('transform', event.transform));
+        this.svg.call(this.zoom).on('dblclick.zoom', null);
+
+        // 分支边
+        viewport.append('g').selectAll('path')
+            .data(edges)
+            .enter()
+            .append('path')
+            .attr('d', edge => this.edgePath(edge))
+            .attr('fill', 'none')
+            .attr('stroke', edge => COLORS[edge.kind])
+            .attr('stroke-width', 1.4)
+            .attr('stroke-dasharray', edge => edge.kind === 'back' ? '5 3' : null)
+            .attr('marker-end', edge => `url(#${this.containerId}-arrow-${edge.kind})`);
+
+        // 支配树：从直接支配块指向被支配块
+        if (this.showDominators) {
+            const treeEdges = fn.blocks.filter(block => idom.get(block)).map(block => ({ from: nodes.get(idom.get(block)), to: nodes.get(block) }));
+            viewport.append('g').selectAll('path')
+                .data(treeEdges)
+                .enter()
+                .append('path')
+                .attr('d', ({ from, to }) => {
+                    const sx = from.x + 6;
+                    const sy = from.y + from.height / 2;
+                    const tx = to.x + 6;
+                    const ty = to.y + HEADER_HEIGHT / 2;
+                    const bend = Math.min(from.x, to.x) - 24;
+                    return `M ${sx} ${sy} C ${bend} ${sy}, ${bend} ${ty}, ${tx} ${ty}`;
+                })
+                .attr('fill', 'none')
+                .attr('stroke', COLORS.dominator)
+                .attr('stroke-width', 1.2)
+                .attr('stroke-dasharray', '2 3')
+                .attr('opacity', 0.8)
+                .attr('marker-end', `url(#${this.containerId}-arrow-dominator)`);
+        }
+
+        // 基本块
+        const blocks = viewport.append('g').selectAll('g')
+            .data([...nodes.values()])
+            .enter()
+            .append('g')
+            .attr('class', 'cfg-block')
+            .attr('transform', node => `translate(${node.x}, ${node.y})`)
+            .on('mouseover', (event, node) => {
+                this.highlight(node.block, idom, frontiers);
+                showTooltip(event, this.describeBlock(node, idom, frontiers));
+            })
+            .on('mouseout', () => {
+                this.highlight(null);
+                hideTooltip();
+            });
+
+        blocks.append('rect')
+            .attr('class', 'cfg-block-frame')
+            .attr('width', node => node.width)
+            .attr('height', node => node.height)
+            .attr('rx', 4)
+            .attr('fill', COLORS.block)
+            .attr('stroke', COLORS.border)
+            .attr('stroke-width', 1.2);
+
+        // φ 节点放在块开头，用底色标出
+        blocks.filter(node => node.block.phis.length > 0)
+            .append('rect')
+            .attr('x', 1)
+            .attr('y', HEADER_HEIGHT - 2)
+            .attr('width', node => node.width - 2)
+            .attr('height', node => node.block.phis.length * LINE_HEIGHT + 2)
+            .attr('fill', COLORS.phi)
+            .attr('opacity', 0.12);
+
+        blocks.append('text')
+            .attr('x', BLOCK_PADDING)
+            .attr('y', 13)
+            .attr('fill', COLORS.border)
+            .attr('font-size', '11px')
+            .attr('font-weight', 'bold')
+            .attr('font-family', 'monospace')
+            .text(node => `${node.block.name}:`);
+
+        blocks.each((node, index, groups) => {
+            const group = d3.select(groups[index]);
+            node.lines.forEach((line, row) => {
+                group.append('text')
+                    .attr('x', BLOCK_PADDING)
+                    .attr('y', HEADER_HEIGHT + (row + 1) * LINE_HEIGHT - 3)
+                    .attr('fill', COLORS[line.kind])
+                    .attr('font-size', '11px')
+                    .attr('font-family', 'monospace')
+                    .style('white-space', 'pre')
+                    .text(truncate(line.text, MAX_LINE_LENGTH));
+            });
+        });
+
+        const phiCount = fn.blocks.reduce((sum, block) => sum + block.phis.length, 0);
+        const backCount = edges.filter(edge => edge.kind === 'back').length;
+        this.status.textContent = `@${fn.name}（${this.side === 'optimized' && this.modules.optimized ? '优化后' : '优化前'}）: ` +
+            `${fn.blocks.length} 个基本块，${edges.length} 条边（${backCount} 条回边），${phiCount} 个 φ 节点`;
+
+        this.fitToView();
+    }
+
+    /**
+     * 悬停时标出被支配的块和支配边界
+     * @private
+     */
+    highlight(block, idom = null, frontiers = null) {
+        if (!this.svg) return;
+
+        const frontier = block ? frontiers.get(block) : new Set();
+        this.svg.selectAll('.cfg-block-frame')
+            .attr('stroke', node => {
+                if (!block || node.block === block) return COLORS.border;
+                if (frontier.has(node.block)) return COLORS.frontier;
+                return dominates(idom, block, node.block) ? COLORS.dominated : COLORS.border;
+            })
+            .attr('stroke-width', node => block && node.block === block ? 2.5 : 1.2)
+            .attr('opacity', node => {
+                if (!block || node.block === block || frontier.has(node.block)) return 1;
+                return dominates(idom, block, node.block) ? 1 : 0.45;
+            });
+    }
+
+    /**
+     * 基本块的提示框：前驱、直接支配块、支配边界和完整的指令
+     * @private
+     */
+    describeBlock(node, idom, frontiers) {
+        const { block } = node;
+        const list = (blocks) => blocks.length > 0 ? blocks.map(other => escapeHTML(other.name)).join(', ') : '无';
+        const dominator = idom.get(block);
+        return `
+            <strong>${escapeHTML(block.name)}</strong><br>
+            前驱: ${list(block.preds)}<br>
+            直接支配块: ${dominator ? escapeHTML(dominator.name) : '无（入口）'}<br>
+            支配边界: ${list([...frontiers.get(block)])}<br>
+            <span class="text-gray-400">在这里赋值的变量需要在支配边界上合并（放置 φ）</span>
+            <pre class="mt-1">${node.lines.map(line => escapeHTML(line.text)).join('\n')}</pre>
+        `;
+    }
+
+    /**
+     * 缩放到能看到整个图，最大不超过原始大小
+     */
+    fitToView() {
+        if (!this.svg || !this.layoutResult) return;
+
+        const { width, height } = this.layoutResult;
+        const scale = Math.max(SCALE_EXTENT[0], Math.min(1, this.width / width, CANVAS_HEIGHT / height));
+        const x = (this.width - width * scale) / 2;
+        this.svg.call(this.zoom.transform, d3.zoomIdentity.translate(x, 0).scale(scale));
+    }
+
+    /**
+     * 添加各种边的箭头标记
+     * @private
+     */
+    addMarkers() {
+        const defs = this.svg.select('defs');
+        ['then', 'else', 'jump', 'back', 'dominator'].forEach(kind => {
+            defs.append('marker')
+                .attr('id', `${this.containerId}-arrow-${kind}`)
+                .attr('viewBox', '0 0 10 10')
+                .attr('refX', 9)
+                .attr('refY', 5)
+                .attr('markerWidth', 6)
+                .attr('markerHeight', 6)
+                .attr('orient', 'auto')
+                .append('path')
+                .attr('d', 'M 0 0 L 10 5 L 0 10 z')
+                .attr('fill', COLORS[kind]);
+        });
+    }
+
+    /**
+     * 重置视图
+     */
+    reset() {
+        if (!this.container) return;
+
+        this.modules = { original: null, optimized: null };
+        this.functionSelect.innerHTML = '';
+        this.showMessage(EMPTY_MESSAGE);
+    }
+}
@@ -0,0 +1,290 @@
+// src/ui/codeEditor.js
+// 代码编辑器组件 - 基于 CodeMirror，由游戏自己的词法分析器着色
+
+// 不着色的令牌（空白或零宽度）
+const UNMARKED_TOKEN_TYPES = new Set(['NEWLINE', 'INDENT', 'DEDENT']);
+
+/**
+ * 代码编辑器类
+ * CodeMirror 只负责编辑、行号和光标；着色、括号匹配和错误下划线全部来自 Tokenizer 的结果
+ */
+export class CodeEditor {
+    constructor(textareaId) {
+        this.textareaId = textareaId;
+        this.textarea = document.getElementById(textareaId);
+        this.cm = null;
+
+        // 没有 CodeMirror 时的变化回调（程序设置内容不会触发 input 事件）
+        this.changeCallbacks = [];
+
+        // 与令牌数组一一对应的着色标记
+        this.tokenMarks = [];
+        this.diagnosticMarks = [];
+        this.bracketMarks = [];
+        this.rangeMark = null;
+
+        // 最近一次着色时的令牌和括号配对，用于光标处的括号匹配
+        this.tokens = [];
+        this.brackets = new Map();
+        this.highlightGeneration = null;
+
+        this.init();
+    }
+
+    /**
+     * 用 CodeMirror 替换文本框
+     */
+    init() {
+        if (!this.textarea) {
+            console.warn(`代码输入框未找到: ${this.textareaId}`);
+            return;
+        }
+        if (typeof CodeMirror === 'undefined') {
+            console.warn('CodeMirror 未加载，使用普通文本框');
+            return;
+        }
+
+        // mode 为 null: 不使用 CodeMirror 自带的语法高亮
+        this.cm = CodeMirror.fromTextArea(this.textarea, {
+            mode: null,
+            theme: 'dracula',
+            lineNumbers: true,
+            indentUnit: 4,
+            tabSize: 4,
+            viewportMargin: 50
+        });
+
+        this.cm.on('cursorActivity', () => this.updateBracketMatch());
+    }
+
+    /**
+     * 获取编辑器内容
+     * @returns {string} 代码
+     */
+    getValue() {
+        if (this.cm) return this.cm.getValue();
+        return this.textarea ? this.textarea.value : '';
+    }
+
+    /**
+     * 设置编辑器内容
+     * @param {string} code - 代码
+     */
+    setValue(code) {
+        if (this.cm) {
+            this.cm.setValue(code);
+        } else if (this.textarea) {
+            this.textarea.value = code;
+            this.changeCallbacks.forEach(callback => callback());
+        }
+    }
+
+    /**
+     * 监听内容变化
+     * @param {Function} callback - 变化回调
+     */
+    onChange(callback) {
+        if (this.cm) {
+            this.cm.on('changes', () => callback());
+        } else if (this.textarea) {
+            this.changeCallbacks.push(callback);
+            this.textarea.addEventListener('input', () => callback());
+        }
+    }
+
+    /**
+     * 监听光标移动
+     * @param {Function} callback - 回调 (offset)，offset 为光标的字符偏移
+     */
+    onCursorMove(callback) {
+        if (this.cm) {
+            this.cm.on('cursorActivity', () => callback(this.cm.indexFromPos(this.cm.getCursor())));
+        } else if (this.textarea) {
+            const notify = () => callback(this.textarea.selectionStart);
+            this.textarea.addEventListener('click', notify);
+            this.textarea.addEventListener('keyup', notify);
+        }
+    }
+
+    /**
+     * 所在标签页显示后刷新布局（CodeMirror 在隐藏时无法测量尺寸）
+     */
+    refresh() {
+        if (this.cm) this.cm.refresh();
+    }
+
+    /**
+     * 根据增量词法分析的结果更新着色，只替换变化区间的标记
+     * @param {Object} result - IncrementalLexer.update() 的返回值
+     */
+    highlight(result) {
+        if (!this.cm) return;
+
+        const change = result.change;
+        this.cm.operation(() => {
+            if (!change || this.tokenMarks.length !== result.tokens.length - change.inserted + change.removed) {
+                this.tokenMarks.forEach(mark => mark && mark.clear());
+                this.tokenMarks = result.tokens.map(token => this.markToken(token));
+            } else {
+                const inserted = result.tokens.slice(change.start, change.start + change.inserted)
+                    .map(token => this.markToken(token));
+                this.tokenMarks.splice(change.start, change.removed, ...inserted)
+                    .forEach(mark => mark && mark.clear());
+            }
+        });
+
+        this.tokens = result.tokens;
+        this.highlightGeneration = this.cm.changeGeneration();
+    }
+
+    /**
+     * 记录 validateTokens() 得到的括号配对，用于光标处的括号匹配
+     * @param {Map} brackets - validateTokens() 返回的 brackets
+     */
+    setBrackets(brackets) {
+        this.brackets = brackets;
+        this.updateBracketMatch();
+    }
+
+    /**
+     * 替换所有错误下划线
+     * @param {Array} diagnostics - [{ from, to, message, severity }]，from/to 为字符偏移 (Tokenizer.getDiagnostics())
+     */
+    setDiagnostics(diagnostics) {
+        if (!this.cm) return;
+
+        this.cm.operation(() => {
+            this.diagnosticMarks.forEach(mark => mark.clear());
+            this.diagnosticMarks = diagnostics.map(diagnostic => this.markDiagnostic(diagnostic));
+        });
+    }
+
+    /**
+     * 高亮一段源码（如鼠标悬停的 AST 节点），传入 null 清除
+     * @param {Object|null} range - { from, to } 字符偏移
+     */
+    setRangeHighlight(range) {
+        if (!this.cm) return;
+
+        if (this.rangeMark) {
+            this.rangeMark.clear();
+            this.rangeMark = null;
+        }
+        if (range && range.to > range.from) {
+            this.rangeMark = this.cm.markText(
+                this.cm.posFromIndex(range.from),
+                this.cm.posFromIndex(range.to),
+                { className: 'cm-ast-highlight' }
+            );
+        }
+    }
+
+    /**
+     * 选中并滚动到指定位置
+     * @param {number} from - 起始字符偏移
+     * @param {number} to - 结束字符偏移
+     */
+    jumpTo(from, to) {
+        if (this.cm) {
+            const start = this.cm.posFromIndex(from);
+            this.cm.focus();
+            this.cm.setSelection(start, this.cm.posFromIndex(to));
+            this.cm.scrollIntoView(start, 40);
+        } else if (this.textarea) {
+            this.textarea.focus();
+            this.textarea.setSelectionRange(from, to);
+        }
+    }
+
+    /**
+     * 为令牌添加着色标记
+     * @param {Object} token - 令牌
+     * @returns {Object|null} CodeMirror 标记
+     * @private
+     */
+    markToken(token) {
+        if (UNMARKED_TOKEN_TYPES.has(token.type) || token.end <= token.position) return null;
+
+        return this.cm.markText(
+            this.cm.posFromIndex(token.position),
+            this.cm.posFromIndex(token.end),
+            { className: `cm-tok-${token.type}` }
+        );
+    }
+
+    /**
+     * 添加错误下划线标记
+     * @param {Object} diagnostic - { from, to, message, severity }
+     * @returns {Object} CodeMirror 标记
+     * @private
+     */
+    markDiagnostic(diagnostic) {
+        // 零宽度的位置（如输入结束）向前扩展一个字符，保证下划线可见
+        const lastLine = this.cm.lastLine();
+        const length = this.cm.indexFromPos({ line: lastLine, ch: this.cm.getLine(lastLine).length });
+        let from = diagnostic.from;
+        const to = Math.max(diagnostic.to, from + 1);
+        if (to > length) from = Math.max(0, from - 1);
+
+        return this.cm.markText(
+            this.cm.posFromIndex(from),
+            this.cm.posFromIndex(to),
+            { className: `cm-lex-${diagnostic.severity}`, attributes: { title: diagnostic.message } }
+        );
+    }
+
+    /**
+     * 高亮光标旁的括号及其配对括号
+     * @private
+     */
+    updateBracketMatch() {
+        if (!this.cm) return;
+
+        this.bracketMarks.forEach(mark => mark.clear());
+        this.bracketMarks = [];
+
+        // 着色之后文本又被修改过时令牌位置已过期，等下一次着色
+        if (this.highlightGeneration === null || !this.cm.isClean(this.highlightGeneration)) return;
+
+        const cursor = this.cm.indexFromPos(this.cm.getCursor());
+        const index = this.findBracketAt(cursor);
+        if (index < 0) return;
+
+        const { partner, matched } = this.brackets.get(index);
+        const className = matched ? 'CodeMirror-matchingbracket' : 'CodeMirror-nonmatchingbracket';
+        [index, partner].forEach(tokenIndex => {
+            if (tokenIndex === null) return;
+            const token = this.tokens[tokenIndex];
+            this.bracketMarks.push(this.cm.markText(
+                this.cm.posFromIndex(token.position),
+                this.cm.posFromIndex(token.end),
+                { className: className }
+            ));
+        });
+    }
+
+    /**
+     * 查找紧挨光标（光标之后优先，其次光标之前）的括号令牌
+     * @param {number} cursor - 光标偏移
+     * @returns {number} 令牌下标，没有则为 -1
+     * @private
+     */
+    findBracketAt(cursor) {
+        // 二分查找第一个 position >= cursor 的令牌
+        let low = 0;
+        let high = this.tokens.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.tokens[mid].position < cursor) low = mid + 1;
+            else high = mid;
+        }
+
+        const candidates = [low, low - 1];
+        for (const index of candidates) {
+            const token = this.tokens[index];
+            if (!token || !this.brackets.has(index)) continue;
+            if (token.position === cursor || token.end === cursor) return index;
+        }
+        return -1;
+    }
+}
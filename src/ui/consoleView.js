@@ -0,0 +1,92 @@
+// src/ui/consoleView.js
+// 控制台视图 - 显示解释器运行玩家代码时的输出、返回值和运行时错误
+
+import { escapeHTML } from '../utils/formatters.js';
+
+const EMPTY_MESSAGE = '点击"运行"执行编辑器中的 JavaScript 代码，console.log 的输出会显示在这里';
+
+// 输出级别对应的颜色和前缀
+const LEVEL_STYLES = {
+    log: { className: 'text-gray-300', prefix: '' },
+    info: { className: 'text-cyan-400', prefix: 'ℹ ' },
+    warn: { className: 'text-yellow-400', prefix: '⚠ ' },
+    error: { className: 'text-red-400', prefix: '✖ ' }
+};
+
+/**
+ * 控制台视图类
+ * 点击运行时错误时通过回调选中出错的源码
+ */
+export class ConsoleView {
+    /**
+     * @param {string} containerId - 容器元素 id
+     * @param {Function} onSelectError - 点击运行时错误时调用，参数为 RuntimeError
+     */
+    constructor(containerId, onSelectError) {
+        this.containerId = containerId;
+        this.container = document.getElementById(containerId);
+        this.error = null;
+
+        if (!this.container) {
+            console.warn(`控制台容器未找到: ${containerId}`);
+            return;
+        }
+
+        this.container.addEventListener('click', (event) => {
+            if (event.target.closest('.console-error') && this.error && onSelectError) onSelectError(this.error);
+        });
+
+        this.showMessage(EMPTY_MESSAGE);
+    }
+
+    /**
+     * 显示提示信息
+     * @param {string} message - 信息
+     */
+    showMessage(message) {
+        if (!this.container) return;
+
+        this.error = null;
+        this.container.innerHTML = `<p class="text-xs text-gray-400">${escapeHTML(message)}</p>`;
+    }
+
+    /**
+     * 显示一次运行的结果
+     * @param {Object} result - Interpreter.run() 的返回值
+     * @param {string} valueText - 最后一个表达式语句的值（已格式化），没有时为 null
+     * @param {HTMLElement|null} summary - 附加在末尾的奖励说明
+     */
+    render(result, valueText, summary = null) {
+        if (!this.container) return;
+
+        this.error = result.error;
+        const lines = result.output.map(({ level, text }) => {
+            const style = LEVEL_STYLES[level] || LEVEL_STYLES.log;
+            return `<div class="console-line ${style.className}">${escapeHTML(style.prefix + text)}</div>`;
+        });
+
+        if (result.error) {
+            lines.push(`<div class="console-line console-error text-red-400" title="点击选中出错位置">✖ ${escapeHTML(result.error.message)}</div>`);
+        } else if (valueText !== null) {
+            lines.push(`<div class="console-line text-gray-500">← ${escapeHTML(valueText)}</div>`);
+        }
+
+        const { stats } = result;
+        lines.push(`
+            <div class="text-xs text-gray-500 mt-2">
+                ${stats.steps} 步 · ${stats.calls} 次调用 · 最大调用深度 ${stats.maxDepth} · ${stats.milliseconds}ms
+            </div>
+        `);
+
+        this.container.innerHTML = lines.join('');
+        if (summary) this.container.appendChild(summary);
+        this.container.scrollTop = this.container.scrollHeight;
+    }
+
+    /**
+     * 重置视图
+     */
+    reset() {
+        this.showMessage(EMPTY_MESSAGE);
+    }
+}
@@ -0,0 +1,79 @@
+// src/ui/d3Setup.js
+// d3 画布公共设置 - AST 和自动机等可视化共用的 SVG 画布、背景网格和提示框
+
+/**
+ * 在容器中创建带背景网格的 SVG 画布
+ * @param {HTMLElement} container - 容器元素
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @param {string} gridId - 网格图案的 id（同一页面中的多个画布需要不同的 id）
+ * @returns {Object} d3 选择集
+ */
+export function createSVGCanvas(container, width, height, gridId) {
+    const svg = d3.select(container)
+        .append('svg')
+        .attr('width', width)
+        .attr('height', height)
+        .style('background', '#1a1a2e')
+        .style('border', '1px solid #30363d')
+        .style('border-radius', '6px');
+
+    const defs = svg.append('defs');
+    const pattern = defs.append('pattern')
+        .attr('id', gridId)
+        .attr('width', 20)
+        .attr('height', 20)
+        .attr('patternUnits', 'userSpaceOnUse');
+
+    pattern.append('rect')
+        .attr('width', 20)
+        .attr('height', 20)
+        .attr('fill', 'none')
+        .attr('stroke', '#30363d')
+        .attr('stroke-width', 0.5);
+
+    svg.append('rect')
+        .attr('class', 'canvas-grid')
+        .attr('width', '100%')
+        .attr('height', '100%')
+        .attr('fill', `url(#${gridId})`)
+        .attr('opacity', 0.3);
+
+    return svg;
+}
+
+/**
+ * 在鼠标位置显示提示框（同一时间只有一个）
+ * @param {Event} event - 鼠标事件
+ * @param {string} html - 提示内容
+ */
+export function showTooltip(event, html) {
+    hideTooltip();
+
+    const tooltip = d3.select('body')
+        .append('div')
+        .attr('class', 'd3-tooltip')
+        .style('position', 'absolute')
+        .style('background', '#161b22')
+        .style('border', '1px solid #30363d')
+        .style('padding', '8px')
+        .style('border-radius', '4px')
+        .style('font-size', '12px')
+        .style('color', '#c9d1d9')
+        .style('pointer-events', 'none')
+        .style('z-index', '1000');
+
+    tooltip.html(html);
+
+    const [x, y] = d3.pointer(event, document.body);
+    tooltip
+        .style('left', (x + 10) + 'px')
+        .style('top', (y - 10) + 'px');
+}
+
+/**
+ * 隐藏提示框
+ */
+export function hideTooltip() {
+    d3.select('body').select('.d3-tooltip').remove();
+}
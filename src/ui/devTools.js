@@ -110,6 +110,7 @@ function handleDevModeShortcuts(event, gameInstance) {
         case '9':
             if (confirm('确定要重置游戏状态吗？此操作不可恢复！')) {
                 state.reset();
+                gameInstance.setLexerLanguage(state.languages.current);
                 showDevModeNotification('游戏状态已重置');
             }
             break;
@@ -0,0 +1,90 @@
+// src/ui/diagnosticsPanel.js
+// 诊断面板 - 列出词法/语法分析发现的问题
+
+import { escapeHTML } from '../utils/formatters.js';
+
+const SEVERITY_DISPLAY = {
+    error: { icon: '❌', label: '错误', className: 'text-red-400' },
+    warning: { icon: '⚠️', label: '警告', className: 'text-yellow-400' }
+};
+
+/**
+ * 诊断面板类
+ */
+export class DiagnosticsPanel {
+    /**
+     * @param {string} containerId - 容器元素 id
+     * @param {Function} onSelect - 点击某条诊断时的回调 (diagnostic) => void
+     */
+    constructor(containerId, onSelect) {
+        this.containerId = containerId;
+        this.container = document.getElementById(containerId);
+        this.onSelect = onSelect;
+        this.diagnostics = [];
+
+        if (!this.container) {
+            console.warn(`诊断面板容器未找到: ${containerId}`);
+            return;
+        }
+
+        this.container.addEventListener('click', (event) => {
+            const item = event.target.closest('[data-diagnostic-index]');
+            if (item) {
+                this.onSelect(this.diagnostics[Number(item.dataset.diagnosticIndex)]);
+            }
+        });
+    }
+
+    /**
+     * 显示诊断列表
+     * @param {Array} diagnostics - [{ severity, message, line, column, from, to }]
+     */
+    render(diagnostics) {
+        if (!this.container) return;
+
+        this.diagnostics = diagnostics;
+        const errorCount = diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+        const warningCount = diagnostics.length - errorCount;
+
+        const header = `
+            <div class="flex justify-between items-center mb-2">
+                <span class="text-sm font-medium text-gray-400">诊断</span>
+                <span class="text-xs">
+                    <span class="text-red-400">${errorCount} 错误</span>
+                    <span class="text-yellow-400 ml-2">${warningCount} 警告</span>
+                </span>
+            </div>
+        `;
+
+        if (diagnostics.length === 0) {
+            this.container.innerHTML = `${header}<p class="text-xs text-green-400">✅ 没有发现问题</p>`;
+            return;
+        }
+
+        this.container.innerHTML = `
+            ${header}
+            <ul class="space-y-1 max-h-32 overflow-y-auto">
+                ${diagnostics.map((diagnostic, index) => this.createDiagnosticHTML(diagnostic, index)).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * 创建单条诊断HTML
+     * @param {Object} diagnostic - 诊断
+     * @param {number} index - 下标
+     * @returns {string} HTML字符串
+     * @private
+     */
+    createDiagnosticHTML(diagnostic, index) {
+        const severity = SEVERITY_DISPLAY[diagnostic.severity] || SEVERITY_DISPLAY.warning;
+
+        return `
+            <li class="diagnostic-item text-xs font-mono cursor-pointer px-2 py-1 rounded" data-diagnostic-index="${index}">
+                <span class="${severity.className}">${severity.icon} ${severity.label}</span>
+                <span class="text-gray-500 ml-1">${diagnostic.line}:${diagnostic.column}</span>
+                <span class="text-gray-300 ml-1">${escapeHTML(diagnostic.message)}</span>
+            </li>
+        `;
+    }
+}
@@ -0,0 +1,128 @@
+// src/ui/linkerView.js
+// 链接器视图 - 显示链接错误、模块初始化顺序、映射文件（符号地址表）和被剥离的函数
+
+import { escapeHTML, formatNumber } from '../utils/formatters.js';
+
+const EMPTY_MESSAGE = '点击"链接"以当前文件为入口编译工作区中的文件，解析 import 并合并为一个可执行映像；' +
+    '部署运行的就是链接后的映像';
+
+const KIND_LABELS = { function: '函数', thunk: '适配', variable: '变量' };
+
+/**
+ * 链接器视图类
+ */
+export class LinkerView {
+    /**
+     * @param {string} containerId - 容器元素 id
+     * @param {Function} onSelectError - 点击某条错误时的回调 (error) => void，error 含 module 和源码位置
+     */
+    constructor(containerId, onSelectError) {
+        this.containerId = containerId;
+        this.container = document.getElementById(containerId);
+        this.onSelectError = onSelectError;
+        this.errors = [];
+
+        if (!this.container) {
+            console.warn(`链接器容器未找到: ${containerId}`);
+            return;
+        }
+
+        this.container.addEventListener('click', (event) => {
+            const item = event.target.closest('[data-error-index]');
+            if (item) this.onSelectError(this.errors[Number(item.dataset.errorIndex)]);
+        });
+        this.showMessage(EMPTY_MESSAGE);
+    }
+
+    /**
+     * 显示提示信息
+     * @param {string} message - 信息
+     */
+    showMessage(message) {
+        if (!this.container) return;
+
+        this.container.innerHTML = `<p class="text-xs text-gray-400">${escapeHTML(message)}</p>`;
+    }
+
+    /**
+     * 显示一次链接的结果
+     * @param {Object} result - Linker.link() 的返回值（编译失败的文件也以同样的格式放在 errors 中）
+     * @param {HTMLElement|null} summary - 附加在末尾的说明
+     */
+    render(result, summary = null) {
+        if (!this.container) return;
+
+        this.errors = result.errors;
+        this.container.innerHTML = result.ok ? this.renderLink(result) : this.renderErrors(result.errors);
+        if (summary) this.container.appendChild(summary);
+    }
+
+    /**
+     * 恢复初始状态（威望重置）
+     */
+    reset() {
+        this.errors = [];
+        this.showMessage(EMPTY_MESSAGE);
+    }
+
+    /**
+     * @private
+     */
+    renderErrors(errors) {
+        return `
+            <p class="text-sm text-red-400 mb-2">✖ 链接失败：${errors.length} 个错误</p>
+            <ul class="space-y-1">
+                ${errors.map((error, index) => `
+                    <li class="diagnostic-item text-xs font-mono cursor-pointer px-2 py-1 rounded" data-error-index="${index}">
+                        <span class="text-cyan-400">${escapeHTML(error.module)}</span>
+                        <span class="text-gray-500 ml-1">${error.line}:${error.column}</span>
+                        <span class="text-gray-300 ml-1">${escapeHTML(error.message)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    renderLink(result) {
+        const { stats } = result;
+        const order = result.modules.map(name => `<span class="text-cyan-400">${escapeHTML(name)}</span>`).join(' → ');
+        const sections = result.sections.map(section => `${section.name} ${formatNumber(section.size)}`).join(' · ');
+
+        const rows = result.symbols.map(symbol => `
+            <tr>
+                <td class="pr-3 text-gray-500">${symbol.kind === 'variable' ? '@' : ''}${String(symbol.address).padStart(4, '0')}</td>
+                <td class="pr-3 ${symbol.exported ? 'text-green-400' : 'text-gray-300'}">${escapeHTML(symbol.name)}</td>
+                <td class="pr-3 text-gray-400">${KIND_LABELS[symbol.kind]}</td>
+                <td class="pr-3 text-gray-400">${escapeHTML(symbol.module || '—')}</td>
+                <td class="text-right text-gray-400">${symbol.size}</td>
+            </tr>
+        `).join('');
+
+        const dropped = result.dropped.length > 0
+            ? `<p class="text-xs text-yellow-400 mt-2">✂ 剥离了 ${stats.dropped} 个未被调用的函数（${stats.droppedInstructions} 条指令）：
+                ${result.dropped.map(fn => `${escapeHTML(fn.module)}:${escapeHTML(fn.name)}`).join(', ')}</p>`
+            : '<p class="text-xs text-gray-400 mt-2">没有可剥离的函数</p>';
+
+        return `
+            <p class="text-xs text-gray-400 mb-1">
+                ${stats.modules} 个模块 · ${stats.functions} 个函数 · ${formatNumber(stats.instructions)} 条指令
+                ${stats.thunks > 0 ? ` · ${stats.thunks} 个参数适配函数` : ''}
+            </p>
+            <p class="text-xs text-gray-400 mb-2">初始化顺序：${order}</p>
+            <p class="text-xs text-gray-400 mb-1">映射文件（${sections}）</p>
+            <div class="max-h-64 overflow-y-auto">
+                <table class="text-xs font-mono">
+                    <thead><tr class="text-gray-500">
+                        <th class="pr-3 text-left">地址</th><th class="pr-3 text-left">符号</th>
+                        <th class="pr-3 text-left">类型</th><th class="pr-3 text-left">模块</th><th class="text-right">大小</th>
+                    </tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            ${dropped}
+        `;
+    }
+}
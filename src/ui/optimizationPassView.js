@@ -0,0 +1,110 @@
+// src/ui/optimizationPassView.js
+// 优化遍视图 - 显示每个优化遍前后的 IR 和减少的指令数
+
+import { escapeHTML } from '../utils/formatters.js';
+
+const EMPTY_MESSAGE = '编译程序后，这里会显示每个已升级的优化技术对程序 IR 的改写';
+const NO_PASSES_MESSAGE = '还没有升级任何优化技术。升级后重新编译，这里会显示每个优化遍前后的 IR';
+
+/**
+ * 优化遍视图类
+ */
+export class OptimizationPassView {
+    /**
+     * @param {string} containerId - 容器元素 id
+     */
+    constructor(containerId) {
+        this.containerId = containerId;
+        this.container = document.getElementById(containerId);
+
+        if (!this.container) {
+            console.warn(`优化遍容器未找到: ${containerId}`);
+            return;
+        }
+
+        this.showMessage(EMPTY_MESSAGE);
+    }
+
+    /**
+     * 显示提示信息
+     * @param {string} message - 信息
+     */
+    showMessage(message) {
+        if (!this.container) return;
+
+        this.container.innerHTML = `<p class="text-xs text-gray-400">${escapeHTML(message)}</p>`;
+    }
+
+    /**
+     * 显示一次优化的结果
+     * @param {Object} optimization - CodeOptimizer.optimizeProgram() 的返回值
+     */
+    render(optimization) {
+        if (!this.container) return;
+
+        const { passes } = optimization;
+        if (passes.length === 0) {
+            this.showMessage(NO_PASSES_MESSAGE);
+            return;
+        }
+
+        // 总计只统计进入目标代码的遍，寄存器分配这类只用于展示的遍不计入
+        const transforms = passes.filter(pass => !pass.lowering);
+        const summary = transforms.length > 0
+            ? `${transforms.length} 个优化遍：${transforms[0].instructionsBefore} → ${transforms[transforms.length - 1].instructionsAfter} 条指令
+                ${this.renderChange(transforms[0].instructionsBefore, transforms[transforms.length - 1].instructionsAfter)}`
+            : '寄存器分配不改变目标代码';
+
+        this.container.innerHTML = `
+            <p class="text-xs text-gray-400 mb-2">${summary}</p>
+            ${passes.map(pass => this.renderPass(pass)).join('')}
+        `;
+    }
+
+    /**
+     * 单个优化遍：摘要行，展开后左右对照显示前后的 IR
+     * @private
+     */
+    renderPass(pass) {
+        return `
+            <details class="optimization-pass mb-2">
+                <summary class="text-sm">
+                    <span class="text-cyan-400">${escapeHTML(pass.name)}</span>
+                    <span class="text-gray-500">Lv.${pass.level}</span>
+                    <span class="text-gray-300">${escapeHTML(pass.summary)}</span>
+                    <span class="text-gray-500">· ${pass.instructionsBefore} → ${pass.instructionsAfter}</span>
+                    ${this.renderChange(pass.instructionsBefore, pass.instructionsAfter)}
+                </summary>
+                <div class="grid grid-cols-1 md:grid-cols-2 gap-2 mt-2">
+                    <div>
+                        <p class="text-xs text-gray-500 mb-1">优化前</p>
+                        <pre class="target-code">${escapeHTML(pass.before)}</pre>
+                    </div>
+                    <div>
+                        <p class="text-xs text-gray-500 mb-1">优化后</p>
+                        <pre class="target-code">${escapeHTML(pass.after)}</pre>
+                    </div>
+                </div>
+            </details>
+        `;
+    }
+
+    /**
+     * 指令数的变化：减少为绿色，增加（例如循环展开、溢出代码）为黄色
+     * @private
+     */
+    renderChange(before, after) {
+        if (before === after) return '<span class="text-gray-500">（不变）</span>';
+        const percent = before > 0 ? Math.abs(after - before) / before * 100 : 0;
+        return after < before
+            ? `<span class="text-green-400">（减少 ${before - after} 条，${percent.toFixed(1)}%）</span>`
+            : `<span class="text-yellow-400">（增加 ${after - before} 条，${percent.toFixed(1)}%）</span>`;
+    }
+
+    /**
+     * 重置视图
+     */
+    reset() {
+        this.showMessage(EMPTY_MESSAGE);
+    }
+}
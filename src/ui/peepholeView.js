@@ -0,0 +1,185 @@
+// src/ui/peepholeView.js
+// 窥孔优化视图 - 编辑改写规则（验证状态、规则槽），显示最近一次编译中的每次改写和节省的指令
+
+import { escapeHTML } from '../utils/formatters.js';
+
+const EMPTY_MESSAGE = '用基础代码生成模板编译程序后，这里会列出每次窥孔改写；链接时每个文件也会经过同样的改写';
+
+// 最多列出的改写次数
+const MAX_LISTED_REWRITES = 200;
+
+const HELP = `
+    <details class="text-xs text-gray-400 mt-2">
+        <summary class="cursor-pointer">规则语言</summary>
+        <p class="mt-1">格式为 <code>模式 → 替换</code>，指令之间用分号分隔，<code>∅</code> 或留空表示删除。</p>
+        <p>可用的指令：const pop dup load store gload gstore、二元运算（add sub mul shl eq…）、一元运算（neg num not bitnot）、inc dec。</p>
+        <p><code>$名字</code> 匹配任意操作数，在替换中使用同一个名字代表同一个值，例如 <code>load $x; store $x → ∅</code>。</p>
+        <p>规则必须减少指令或周期，并且在各种值（包括 NaN、-0、字符串）上与原指令行为一致，否则会给出反例。</p>
+    </details>
+`;
+
+/**
+ * 窥孔优化视图类
+ */
+export class PeepholeView {
+    /**
+     * @param {string} containerId - 容器元素 id
+     * @param {Object} callbacks - { onAdd(text) => { ok, added, error }, onToggle(id) => { ok, error }, onMove(id, offset), onRemove(id) }
+     */
+    constructor(containerId, callbacks) {
+        this.containerId = containerId;
+        this.container = document.getElementById(containerId);
+        this.callbacks = callbacks;
+
+        if (!this.container) {
+            console.warn(`窥孔优化容器未找到: ${containerId}`);
+            return;
+        }
+
+        this.container.innerHTML = `
+            <div data-role="rules" class="mb-2"></div>
+            <div class="flex items-center gap-2">
+                <input data-role="rule" type="text" spellcheck="false" placeholder="例如 neg; neg → num"
+                       class="flex-1 p-1 bg-gray-900 border border-gray-600 rounded text-gray-300 font-mono text-xs">
+                <button class="btn text-xs" data-action="add">＋ 添加规则</button>
+            </div>
+            <p data-role="status" class="text-xs text-red-400 mt-1"></p>
+            ${HELP}
+            <div data-role="result" class="mt-3"></div>
+        `;
+        this.rules = this.container.querySelector('[data-role="rules"]');
+        this.ruleInput = this.container.querySelector('[data-role="rule"]');
+        this.status = this.container.querySelector('[data-role="status"]');
+        this.result = this.container.querySelector('[data-role="result"]');
+
+        this.rules.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-rule-action]');
+            if (!button) return;
+
+            const id = Number(button.dataset.ruleId);
+            const action = button.dataset.ruleAction;
+            if (action === 'toggle') {
+                const toggled = this.callbacks.onToggle(id);
+                this.status.textContent = toggled.ok ? '' : toggled.error;
+            } else if (action === 'remove') {
+                this.callbacks.onRemove(id);
+            } else {
+                this.callbacks.onMove(id, action === 'up' ? -1 : 1);
+            }
+        });
+        this.container.querySelector('[data-action="add"]').addEventListener('click', () => this.add());
+        this.ruleInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') this.add();
+        });
+        this.showMessage(EMPTY_MESSAGE);
+    }
+
+    /**
+     * 在改写结果区域显示提示信息
+     * @param {string} message - 信息
+     */
+    showMessage(message) {
+        if (!this.container) return;
+
+        this.result.innerHTML = `<p class="text-xs text-gray-400">${escapeHTML(message)}</p>`;
+    }
+
+    /**
+     * 显示规则表
+     * @param {PeepholeOptimizer} peephole - 持有规则的优化器
+     * @param {number} slots - 规则槽数
+     */
+    renderRules(peephole, slots) {
+        if (!this.container) return;
+
+        const active = new Map(peephole.getActiveRules(slots).map((rule, index) => [rule.id, index + 1]));
+        const rows = peephole.rules.map((rule, index) => {
+            const compiled = peephole.check(rule);
+            const slot = active.get(rule.id);
+            const status = compiled.ok
+                ? `<span class="text-green-400" title="验证通过">✔</span>`
+                : `<span class="text-red-400" title="${escapeHTML(compiled.error)}">✖</span>`;
+            const saving = compiled.ok
+                ? `<span class="text-gray-500">−${compiled.saving.instructions} 条 / −${compiled.saving.cycles} 周期</span>`
+                : `<span class="text-red-400">${escapeHTML(compiled.error)}</span>`;
+
+            return `
+                <li class="flex items-start gap-2 text-xs font-mono px-2 py-1 rounded ${slot ? 'bg-gray-800' : ''}">
+                    <span class="w-10 shrink-0 ${slot ? 'text-cyan-400' : 'text-gray-600'}">${slot ? `槽 ${slot}` : '—'}</span>
+                    ${status}
+                    <span class="flex-1 ${slot ? 'text-gray-200' : 'text-gray-500'}">${escapeHTML(rule.text)}<br>${saving}</span>
+                    <button class="text-gray-500 hover:text-white" data-rule-action="up" data-rule-id="${rule.id}" title="上移（先尝试匹配）" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button class="text-gray-500 hover:text-white" data-rule-action="down" data-rule-id="${rule.id}" title="下移" ${index === peephole.rules.length - 1 ? 'disabled' : ''}>↓</button>
+                    <button class="text-gray-400 hover:text-white" data-rule-action="toggle" data-rule-id="${rule.id}">${rule.enabled ? '停用' : '启用'}</button>
+                    <button class="text-gray-500 hover:text-red-400" data-rule-action="remove" data-rule-id="${rule.id}" title="删除规则">×</button>
+                </li>
+            `;
+        }).join('');
+
+        this.rules.innerHTML = `
+            <p class="text-xs text-gray-400 mb-1">
+                规则槽 ${active.size} / ${slots}${slots === 0 ? '（升级窥孔优化解锁规则槽）' : ''}
+            </p>
+            ${rows ? `<ul class="space-y-1">${rows}</ul>` : '<p class="text-xs text-gray-500">还没有规则</p>'}
+        `;
+    }
+
+    /**
+     * 显示一次窥孔优化的结果
+     * @param {Object} result - PeepholeOptimizer.run() 的返回值
+     */
+    renderResult(result) {
+        if (!this.container) return;
+
+        if (result.rules.length === 0) {
+            this.showMessage('没有参与优化的规则：启用验证通过的规则并确保有空的规则槽');
+            return;
+        }
+
+        const { instructionsBefore: before, instructionsAfter: after } = result;
+        const percent = before > 0 ? (before - after) / before * 100 : 0;
+        const counts = result.rules
+            .map(rule => `<span class="${rule.count > 0 ? 'text-gray-300' : 'text-gray-500'}">${escapeHTML(rule.text)} ×${rule.count}</span>`)
+            .join('<br>');
+        const listed = result.rewrites.slice(0, MAX_LISTED_REWRITES).map(rewrite => `
+            <li class="text-xs font-mono">
+                <span class="text-cyan-400">${escapeHTML(rewrite.function)}</span>
+                <span class="text-gray-500">第${rewrite.line}行 L${rewrite.pc}</span>
+                <span class="text-gray-300">${escapeHTML(rewrite.before.join(' │ '))}</span>
+                <span class="text-gray-500">→</span>
+                <span class="text-green-400">${rewrite.after.length > 0 ? escapeHTML(rewrite.after.join(' │ ')) : '∅'}</span>
+            </li>
+        `).join('');
+        const more = result.rewrites.length > MAX_LISTED_REWRITES
+            ? `<p class="text-xs text-gray-500 mt-1">还有 ${result.rewrites.length - MAX_LISTED_REWRITES} 次改写未列出</p>`
+            : '';
+
+        this.result.innerHTML = `
+            <p class="text-xs text-gray-400 mb-1">
+                ${result.rewrites.length} 次改写 · 指令 ${before} → ${after}
+                ${after < before ? `<span class="text-green-400">（减少 ${before - after} 条，${percent.toFixed(1)}%）</span>` : '<span class="text-gray-500">（不变）</span>'}
+            </p>
+            <p class="text-xs font-mono mb-2">${counts}</p>
+            ${listed ? `<ul class="max-h-64 overflow-y-auto space-y-1">${listed}</ul>${more}` : ''}
+        `;
+    }
+
+    /**
+     * 恢复初始状态（威望重置），规则表由调用方重新显示
+     */
+    reset() {
+        if (!this.container) return;
+
+        this.status.textContent = '';
+        this.showMessage(EMPTY_MESSAGE);
+    }
+
+    /**
+     * @private
+     */
+    add() {
+        const added = this.callbacks.onAdd(this.ruleInput.value);
+        this.status.textContent = added.error || '';
+        if (added.added) this.ruleInput.value = '';
+    }
+}
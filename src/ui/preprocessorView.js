@@ -0,0 +1,175 @@
+// src/ui/preprocessorView.js
+// 预处理器视图 - 并排显示展开前后的源码，以及宏表、预处理诊断和展开前后的 Token 数
+
+import { escapeHTML } from '../utils/formatters.js';
+
+const EMPTY_MESSAGE = '源码中有 #define、#include 或 #if 等指令时，词法分析前会先经过预处理器；' +
+    '这里并排显示展开前后的代码';
+
+const SEVERITY_ICONS = { error: '✖', warning: '⚠' };
+
+/**
+ * 把文本中的若干区间包上带样式的 span
+ * @param {string} text - 文本
+ * @param {Array} ranges - [{ from, to, className, title }]，互不重叠
+ * @returns {string} HTML
+ */
+function markRanges(text, ranges) {
+    let html = '';
+    let position = 0;
+    [...ranges].sort((a, b) => a.from - b.from).forEach(range => {
+        if (range.from < position) return;
+        html += escapeHTML(text.slice(position, range.from));
+        html += `<span class="${range.className}" title="${escapeHTML(range.title)}">${escapeHTML(text.slice(range.from, range.to))}</span>`;
+        position = range.to;
+    });
+    return html + escapeHTML(text.slice(position));
+}
+
+/**
+ * 预处理器视图类
+ */
+export class PreprocessorView {
+    /**
+     * @param {string} containerId - 容器元素 id
+     * @param {Function} onSelectDiagnostic - 点击某条诊断时的回调 (diagnostic) => void
+     */
+    constructor(containerId, onSelectDiagnostic) {
+        this.containerId = containerId;
+        this.container = document.getElementById(containerId);
+        this.onSelectDiagnostic = onSelectDiagnostic;
+        this.diagnostics = [];
+
+        if (!this.container) {
+            console.warn(`预处理器容器未找到: ${containerId}`);
+            return;
+        }
+
+        this.container.addEventListener('click', (event) => {
+            const item = event.target.closest('[data-diagnostic-index]');
+            if (item) this.onSelectDiagnostic(this.diagnostics[Number(item.dataset.diagnosticIndex)]);
+        });
+        this.showMessage(EMPTY_MESSAGE);
+    }
+
+    /**
+     * 显示提示信息
+     * @param {string} message - 信息
+     */
+    showMessage(message) {
+        if (!this.container) return;
+
+        this.diagnostics = [];
+        this.container.innerHTML = `<p class="text-xs text-gray-400">${escapeHTML(message)}</p>`;
+    }
+
+    /**
+     * 恢复初始状态（代码中没有预处理指令）
+     */
+    reset() {
+        this.showMessage(EMPTY_MESSAGE);
+    }
+
+    /**
+     * 显示一次预处理的结果
+     * @param {Object} result - preprocess() 的返回值
+     * @param {Object} counts - { sourceTokens, expandedTokens } 展开前后的 Token 数
+     */
+    render(result, counts) {
+        if (!this.container) return;
+
+        this.diagnostics = result.diagnostics;
+        const sourceRanges = [
+            ...result.regions.map(region => ({
+                from: region.from,
+                to: region.to,
+                className: region.kind === 'directive' ? 'pp-directive' : 'pp-inactive',
+                title: region.kind === 'directive' ? '预处理指令' : '条件编译未选中的分支'
+            })),
+            ...result.segments.filter(segment => segment.kind === 'macro').map(segment => ({
+                from: segment.sourceFrom,
+                to: segment.sourceTo,
+                className: 'pp-macro',
+                title: `宏 ${segment.name}`
+            }))
+        ];
+        const outputRanges = result.segments.filter(segment => segment.kind !== 'text').map(segment => ({
+            from: segment.from,
+            to: segment.to,
+            className: segment.kind === 'macro' ? 'pp-macro' : 'pp-include',
+            title: segment.kind === 'macro' ? `宏 ${segment.name} 的展开` : `包含的文件 ${segment.name}`
+        }));
+
+        const ratio = counts.sourceTokens > 0 ? counts.expandedTokens / counts.sourceTokens : 1;
+        const includes = result.includes.length > 0 ? ` · 包含 ${result.includes.map(escapeHTML).join('、')}` : '';
+
+        this.container.innerHTML = `
+            <p class="text-xs text-gray-400 mb-2">
+                ${result.expansions} 次宏展开${includes} ·
+                Token ${counts.sourceTokens} → ${counts.expandedTokens}
+                <span class="${ratio > 1 ? 'text-green-400' : ''}">（×${ratio.toFixed(2)}）</span>
+            </p>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-2">
+                <div>
+                    <p class="text-xs text-gray-400 mb-1">展开前</p>
+                    <pre class="preprocessor-pane">${markRanges(result.source, sourceRanges)}</pre>
+                </div>
+                <div>
+                    <p class="text-xs text-gray-400 mb-1">展开后</p>
+                    <pre class="preprocessor-pane">${markRanges(result.output, outputRanges)}</pre>
+                </div>
+            </div>
+            ${this.renderMacros(result.macros)}
+            ${this.renderDiagnostics(result.diagnostics)}
+        `;
+    }
+
+    /**
+     * @private
+     */
+    renderMacros(macros) {
+        if (macros.length === 0) {
+            return '<p class="text-xs text-gray-400 mt-2">没有定义宏</p>';
+        }
+
+        const rows = macros.map(macro => `
+            <tr>
+                <td class="pr-3 text-cyan-400">${escapeHTML(macro.name)}${macro.params ? `(${escapeHTML(macro.params.join(', '))})` : ''}</td>
+                <td class="pr-3 text-gray-300">${escapeHTML(macro.body) || '<span class="text-gray-500">（空）</span>'}</td>
+                <td class="pr-3 text-gray-400">${escapeHTML(macro.file)}:${macro.line}</td>
+                <td class="text-right ${macro.uses > 0 ? 'text-gray-300' : 'text-gray-500'}">${macro.uses}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <div class="max-h-48 overflow-y-auto mt-2">
+                <table class="text-xs font-mono">
+                    <thead><tr class="text-gray-500">
+                        <th class="pr-3 text-left">宏</th><th class="pr-3 text-left">宏体</th>
+                        <th class="pr-3 text-left">定义</th><th class="text-right">使用</th>
+                    </tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    renderDiagnostics(diagnostics) {
+        if (diagnostics.length === 0) return '';
+
+        return `
+            <ul class="space-y-1 mt-2">
+                ${diagnostics.map((diagnostic, index) => `
+                    <li class="diagnostic-item text-xs font-mono cursor-pointer px-2 py-1 rounded" data-diagnostic-index="${index}">
+                        <span class="${diagnostic.severity === 'error' ? 'text-red-400' : 'text-yellow-400'}">${SEVERITY_ICONS[diagnostic.severity]}</span>
+                        <span class="text-gray-500 ml-1">${diagnostic.line}:${diagnostic.column}</span>
+                        <span class="text-gray-300 ml-1">${escapeHTML(diagnostic.message)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+}
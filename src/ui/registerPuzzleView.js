@@ -0,0 +1,351 @@
+// src/ui/registerPuzzleView.js
+// 寄存器分配谜题视图 - 使用D3.js绘制干涉图，玩家选择寄存器或溢出后点击节点着色
+// 相邻节点使用同一个寄存器时连线变红；提交后由游戏比较溢出数和线性扫描基线
+
+import { createSVGCanvas, showTooltip, hideTooltip } from './d3Setup.js';
+import { RegisterPuzzle, SPILL } from '../modules/registerPuzzle.js';
+import { escapeHTML } from '../utils/formatters.js';
+
+const EMPTY_MESSAGE = '编译程序后，这里会生成所选函数的干涉图：给每个值分配寄存器，溢出比线性扫描少就能获得优化倍率加成';
+
+// 寄存器的颜色，按编号循环使用
+const REGISTER_COLORS = [
+    '#39c5fe', '#50fa7b', '#ff79c6', '#f1fa8c', '#bd93f9', '#ffb86c', '#8be9fd',
+    '#ff5555', '#7ee787', '#d2a8ff', '#ffa657', '#79c0ff', '#f778ba', '#a5d6ff'
+];
+const COLORS = {
+    unassigned: '#161b22',
+    spill: '#484f58',
+    edge: '#30363d',
+    conflict: '#ff5555',
+    neighbour: '#c9d1d9'
+};
+
+const NODE_RADIUS = 14;
+const CANVAS_HEIGHT = 420;
+const SCALE_EXTENT = [0.2, 3];
+
+// 力导向布局的参数，布局在绘制前同步计算完成
+const LINK_DISTANCE = 70;
+const CHARGE_STRENGTH = -220;
+const LAYOUT_TICKS = 300;
+
+/**
+ * 寄存器的显示名
+ * @param {number|null} register - 寄存器编号、SPILL 或 null
+ * @returns {string}
+ */
+function registerName(register) {
+    if (register === null) return '未分配';
+    return register === SPILL ? '溢出' : `r${register}`;
+}
+
+/**
+ * 寄存器分配谜题视图类
+ */
+export class RegisterPuzzleView {
+    /**
+     * @param {string} containerId - 容器元素 id
+     * @param {Function} onSubmit - 点击"提交"时调用，参数为 RegisterPuzzle，返回 { message, success }
+     */
+    constructor(containerId, onSubmit) {
+        this.containerId = containerId;
+        this.container = document.getElementById(containerId);
+        this.onSubmit = onSubmit;
+        this.module = null;
+        this.registers = 0;
+        this.functionName = 'main';
+        this.puzzle = null;
+        this.tool = 0;
+        this.svg = null;
+
+        this.init();
+    }
+
+    /**
+     * 生成控件并绑定事件
+     */
+    init() {
+        if (!this.container) {
+            console.warn(`寄存器分配谜题容器未找到: ${this.containerId}`);
+            return;
+        }
+
+        this.container.innerHTML = `
+            <div class="flex flex-wrap items-center gap-2 mb-2">
+                <select data-role="function" class="p-1 bg-gray-900 border border-gray-600 rounded text-gray-300 text-sm"></select>
+                <span data-role="palette" class="flex flex-wrap gap-1"></span>
+                <button class="btn text-xs" data-action="baseline">载入线性扫描</button>
+                <button class="btn text-xs" data-action="clear">清空</button>
+                <button class="btn btn-primary text-xs" data-action="submit">提交</button>
+            </div>
+            <p class="text-xs text-gray-500 mb-2">选择一个寄存器（或溢出）后点击节点；有连线的两个值同时活跃，不能使用同一个寄存器</p>
+            <div data-role="graph"></div>
+            <p data-role="status" class="text-xs text-gray-400 mt-1"></p>
+            <p data-role="result" class="text-xs mt-1"></p>
+        `;
+
+        this.functionSelect = this.container.querySelector('[data-role="function"]');
+        this.palette = this.container.querySelector('[data-role="palette"]');
+        this.graph = this.container.querySelector('[data-role="graph"]');
+        this.status = this.container.querySelector('[data-role="status"]');
+        this.result = this.container.querySelector('[data-role="result"]');
+
+        this.functionSelect.addEventListener('change', () => {
+            this.functionName = this.functionSelect.value;
+            this.startPuzzle();
+        });
+        this.container.addEventListener('click', (event) => {
+            const tool = event.target.closest('[data-tool]');
+            if (tool) {
+                this.tool = tool.dataset.tool === 'clear' ? null : Number(tool.dataset.tool);
+                this.renderPalette();
+                return;
+            }
+            const button = event.target.closest('[data-action]');
+            if (button && this.puzzle) this.handleAction(button.dataset.action);
+        });
+
+        this.showMessage(EMPTY_MESSAGE);
+    }
+
+    /**
+     * 显示提示信息
+     * @param {string} message - 信息
+     */
+    showMessage(message) {
+        if (!this.container) return;
+
+        hideTooltip();
+        this.svg = null;
+        this.graph.innerHTML = `<p class="text-xs text-gray-400">${escapeHTML(message)}</p>`;
+        this.status.textContent = '';
+        this.result.textContent = '';
+    }
+
+    /**
+     * 设置程序和可用寄存器数，重新开始所选函数的谜题
+     * @param {Object} module - IR 模块（寄存器分配之前）
+     * @param {number} registers - 可用寄存器数
+     */
+    setProgram(module, registers) {
+        if (!this.container) return;
+
+        this.module = module;
+        this.registers = registers;
+        if (this.tool !== null && this.tool >= registers) this.tool = 0;
+
+        const names = module.functions.map(fn => fn.name);
+        if (!names.includes(this.functionName)) this.functionName = names[0];
+        this.functionSelect.innerHTML = names.map(name => `
+            <option value="${escapeHTML(name)}">${escapeHTML(name)}</option>
+        `).join('');
+        this.functionSelect.value = this.functionName;
+        this.renderPalette();
+        this.startPuzzle();
+    }
+
+    /**
+     * 为当前函数生成谜题并计算布局
+     * @private
+     */
+    startPuzzle() {
+        const fn = this.module.functions.find(other => other.name === this.functionName);
+        this.puzzle = new RegisterPuzzle(fn, this.registers);
+        this.result.textContent = '';
+
+        if (this.puzzle.nodes.length === 0) {
+            this.showMessage(`@${fn.name} 没有需要分配寄存器的值`);
+            return;
+        }
+
+        this.width = this.graph.clientWidth || 600;
+        this.layout = this.puzzle.nodes.map(node => ({ id: node.id }));
+        const links = this.puzzle.edges.map(([source, target]) => ({ source, target }));
+        d3.forceSimulation(this.layout)
+            .force('link', d3.forceLink(links).id(node => node.id).distance(LINK_DISTANCE))
+            .force('charge', d3.forceManyBody().strength(CHARGE_STRENGTH))
+            .force('center', d3.forceCenter(this.width / 2, CANVAS_HEIGHT / 2))
+            .force('collide', d3.forceCollide(NODE_RADIUS * 1.5))
+            .stop()
+            .tick(LAYOUT_TICKS);
+
+        this.draw();
+    }
+
+    /**
+     * 处理按钮
+     * @private
+     */
+    handleAction(action) {
+        if (action === 'baseline') {
+            this.puzzle.loadBaseline();
+        } else if (action === 'clear') {
+            this.puzzle.clear();
+        } else if (action === 'submit') {
+            const { message, success } = this.onSubmit(this.puzzle);
+            this.result.className = `text-xs mt-1 ${success ? 'text-green-400' : 'text-yellow-400'}`;
+            this.result.textContent = message;
+            return;
+        }
+        this.result.textContent = '';
+        this.update();
+    }
+
+    /**
+     * 寄存器选择按钮
+     * @private
+     */
+    renderPalette() {
+        const tools = [...Array.from({ length: this.registers }, (_, index) => index), SPILL, null];
+        this.palette.innerHTML = tools.map(tool => {
+            const color = tool === null ? COLORS.unassigned : tool === SPILL ? COLORS.spill : REGISTER_COLORS[tool % REGISTER_COLORS.length];
+            const selected = tool === this.tool;
+            return `
+                <button class="btn btn-mini" data-tool="${tool === null ? 'clear' : tool}"
+                    style="border: 2px solid ${selected ? '#ffffff' : color}; ${tool !== null ? `background: ${color}; color: #0d1117;` : ''}">
+                    ${tool === null ? '擦除' : registerName(tool)}
+                </button>
+            `;
+        }).join('');
+    }
+
+    /**
+     * 绘制干涉图
+     * @private
+     */
+    draw() {
+        hideTooltip();
+        this.graph.innerHTML = '';
+        this.svg = createSVGCanvas(this.graph, this.width, CANVAS_HEIGHT, `${this.containerId}-grid`);
+        const viewport = this.svg.append('g');
+        const zoom = d3.zoom()
+            .scaleExtent(SCALE_EXTENT)
+            .on('zoom', (event) => viewport.attr('transform', event.transform));
+        this.svg.call(zoom).on('dblclick.zoom', null);
+
+        const position = (id) => this.layout[id];
+        this.edgeSelection = viewport.append('g').selectAll('line')
+            .data(this.puzzle.edges)
+            .enter()
+            .append('line')
+            .attr('x1', ([a]) => position(a).x)
+            .attr('y1', ([a]) => position(a).y)
+            .attr('x2', ([, b]) => position(b).x)
+            .attr('y2', ([, b]) => position(b).y);
+
+        this.nodeSelection = viewport.append('g').selectAll('g')
+            .data(this.puzzle.nodes)
+            .enter()
+            .append('g')
+            .attr('transform', node => `translate(${position(node.id).x}, ${position(node.id).y})`)
+            .style('cursor', 'pointer')
+            .on('click', (event, node) => {
+                this.puzzle.assign(node.id, this.tool);
+                this.result.textContent = '';
+                this.update();
+                showTooltip(event, this.describeNode(node));
+            })
+            .on('mouseover', (event, node) => {
+                this.highlight(node);
+                showTooltip(event, this.describeNode(node));
+            })
+            .on('mouseout', () => {
+                this.highlight(null);
+                hideTooltip();
+            });
+
+        this.nodeSelection.append('circle').attr('r', NODE_RADIUS);
+        this.nodeSelection.append('text')
+            .attr('text-anchor', 'middle')
+            .attr('dy', NODE_RADIUS + 12)
+            .attr('fill', '#c9d1d9')
+            .attr('font-size', '10px')
+            .attr('font-family', 'monospace')
+            .text(node => `%${node.name}`);
+        this.nodeSelection.append('text')
+            .attr('class', 'register-label')
+            .attr('text-anchor', 'middle')
+            .attr('dy', 4)
+            .attr('fill', '#0d1117')
+            .attr('font-size', '10px')
+            .attr('font-weight', 'bold');
+
+        this.update();
+    }
+
+    /**
+     * 按当前分配刷新节点颜色、冲突边和状态
+     * @private
+     */
+    update() {
+        if (!this.svg) return;
+
+        const { assignment } = this.puzzle;
+        const evaluation = this.puzzle.evaluate();
+        const conflicts = new Set(evaluation.conflicts);
+
+        this.edgeSelection
+            .attr('stroke', edge => conflicts.has(edge) ? COLORS.conflict : COLORS.edge)
+            .attr('stroke-width', edge => conflicts.has(edge) ? 3 : 1.2);
+        this.nodeSelection.select('circle')
+            .attr('fill', node => {
+                const register = assignment[node.id];
+                if (register === null) return COLORS.unassigned;
+                return register === SPILL ? COLORS.spill : REGISTER_COLORS[register % REGISTER_COLORS.length];
+            })
+            .attr('stroke', node => assignment[node.id] === null ? '#8b949e' : '#0d1117')
+            .attr('stroke-dasharray', node => assignment[node.id] === SPILL ? '3 2' : null)
+            .attr('stroke-width', 1.5);
+        this.nodeSelection.select('.register-label')
+            .text(node => assignment[node.id] === null ? '' : assignment[node.id] === SPILL ? '栈' : `r${assignment[node.id]}`);
+
+        this.status.innerHTML = `
+            @${escapeHTML(this.puzzle.functionName)}: ${this.puzzle.nodes.length} 个值，${this.puzzle.edges.length} 条干涉边，${this.puzzle.registers} 个寄存器 ·
+            线性扫描溢出 <span class="text-yellow-400">${this.puzzle.baselineSpills}</span> 个 ·
+            当前溢出 <span class="${evaluation.spills < this.puzzle.baselineSpills ? 'text-green-400' : 'text-gray-300'}">${evaluation.spills}</span> 个
+            ${evaluation.unassigned > 0 ? `· 未分配 ${evaluation.unassigned} 个` : ''}
+            ${evaluation.conflicts.length > 0 ? `· <span class="text-red-400">冲突 ${evaluation.conflicts.length} 处</span>` : ''}
+        `;
+    }
+
+    /**
+     * 悬停时突出节点和它的邻居
+     * @private
+     */
+    highlight(node) {
+        if (!this.svg) return;
+
+        const neighbours = new Set(node ? node.neighbours : []);
+        this.nodeSelection.attr('opacity', other => !node || other === node || neighbours.has(other.id) ? 1 : 0.35);
+        this.edgeSelection.attr('opacity', ([a, b]) => !node || a === node.id || b === node.id ? 1 : 0.25);
+    }
+
+    /**
+     * 节点的提示框：定义位置、邻居和被邻居占用的寄存器
+     * @private
+     */
+    describeNode(node) {
+        const blocked = [...this.puzzle.blockedRegisters(node.id)].sort((a, b) => a - b);
+        const { definition } = node;
+        return `
+            <strong>%${escapeHTML(node.name)}</strong>：${registerName(this.puzzle.assignment[node.id])}<br>
+            ${definition.block ? `定义于 ${escapeHTML(definition.block)}: ` : ''}<code>${escapeHTML(definition.text)}</code><br>
+            与 ${node.neighbours.length} 个值干涉<br>
+            邻居已占用: ${blocked.length > 0 ? blocked.map(register => `r${register}`).join(', ') : '无'}
+        `;
+    }
+
+    /**
+     * 重置视图
+     */
+    reset() {
+        if (!this.container) return;
+
+        this.module = null;
+        this.puzzle = null;
+        this.functionSelect.innerHTML = '';
+        this.palette.innerHTML = '';
+        this.showMessage(EMPTY_MESSAGE);
+    }
+}
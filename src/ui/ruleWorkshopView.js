@@ -0,0 +1,169 @@
+// src/ui/ruleWorkshopView.js
+// 规则工坊界面 - 规则列表、冲突提示、评分和预览
+
+import { TokenStreamView } from './tokenStreamView.js';
+import { WORKSHOP_CONFIG } from '../utils/constants.js';
+import { escapeHTML } from '../utils/formatters.js';
+
+/**
+ * 规则工坊视图类
+ * 规则行的按钮和输入框通过 game.xxxWorkshopRule() 回调游戏
+ */
+export class RuleWorkshopView {
+    constructor() {
+        this.rulesContainer = document.getElementById('workshop-rules');
+        this.problemsContainer = document.getElementById('workshop-problems');
+        this.scoreContainer = document.getElementById('workshop-score');
+        this.languageLabel = document.getElementById('workshop-language');
+        this.previewInput = document.getElementById('workshop-preview-input');
+        this.tokenStreamView = new TokenStreamView('workshop-token-stream');
+
+        if (!this.rulesContainer) {
+            console.warn('规则工坊容器未找到');
+        }
+    }
+
+    /**
+     * 获取预览代码
+     * @returns {string} 代码
+     */
+    getPreviewCode() {
+        return this.previewInput ? this.previewInput.value : '';
+    }
+
+    /**
+     * 设置预览代码
+     * @param {string} code - 代码
+     */
+    setPreviewCode(code) {
+        if (this.previewInput) this.previewInput.value = code;
+    }
+
+    /**
+     * 显示当前语言
+     * @param {string} name - 语言名称
+     */
+    setLanguage(name) {
+        if (this.languageLabel) this.languageLabel.textContent = `当前语言: ${name}`;
+    }
+
+    /**
+     * 重新渲染规则列表（增删和排序后调用，编辑正则时不重绘以免输入框失去焦点）
+     * @param {Array} rules - 规则 [{ id, type, pattern }]
+     */
+    renderRules(rules) {
+        if (!this.rulesContainer) return;
+
+        if (rules.length === 0) {
+            this.rulesContainer.innerHTML = '<p class="text-sm text-gray-400">还没有规则，点击"添加规则"开始</p>';
+            return;
+        }
+
+        this.rulesContainer.innerHTML = rules.map((rule, index) => this.createRuleHTML(rule, index, rules.length)).join('');
+    }
+
+    /**
+     * 显示评估结果：冲突列表、规则行标记、评分和预览令牌
+     * @param {Object} result - RuleWorkshop.evaluate() 的返回值
+     * @param {Array} rules - 规则列表
+     * @param {number} bestScore - 该语言的最高评分
+     * @param {number} multiplier - 最高评分带来的手动收益倍率
+     */
+    render(result, rules, bestScore, multiplier) {
+        this.renderProblems(result.problems, rules);
+        this.renderScore(result, bestScore, multiplier);
+        this.tokenStreamView.render(result.tokens);
+    }
+
+    /**
+     * 显示规则冲突
+     * @param {Array} problems - [{ ruleId, severity, type, message }]
+     * @param {Array} rules - 规则列表
+     * @private
+     */
+    renderProblems(problems, rules) {
+        if (this.rulesContainer) {
+            this.rulesContainer.querySelectorAll('[data-rule-id]').forEach(row => {
+                const ruleProblems = problems.filter(problem => problem.ruleId === Number(row.dataset.ruleId));
+                const hasError = ruleProblems.some(problem => problem.severity === 'error');
+                row.classList.toggle('border-red-500', hasError);
+                row.classList.toggle('border-yellow-500', !hasError && ruleProblems.length > 0);
+                row.classList.toggle('border-gray-600', ruleProblems.length === 0);
+            });
+        }
+
+        if (!this.problemsContainer) return;
+
+        if (problems.length === 0) {
+            this.problemsContainer.innerHTML = '<p class="text-xs text-green-400">✅ 没有发现规则冲突</p>';
+            return;
+        }
+
+        this.problemsContainer.innerHTML = `
+            <ul class="space-y-1">
+                ${problems.map(problem => {
+                    const index = rules.findIndex(rule => rule.id === problem.ruleId) + 1;
+                    const icon = problem.severity === 'error' ? '❌' : '⚠️';
+                    const className = problem.severity === 'error' ? 'text-red-400' : 'text-yellow-400';
+                    return `
+                        <li class="text-xs ${className}">
+                            ${icon} 规则 ${index}: <span class="text-gray-300">${escapeHTML(problem.message)}</span>
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * 显示评分
+     * @param {Object} result - 评估结果
+     * @param {number} bestScore - 最高评分
+     * @param {number} multiplier - 收益倍率
+     * @private
+     */
+    renderScore(result, bestScore, multiplier) {
+        if (!this.scoreContainer) return;
+
+        const percent = value => `${(value * 100).toFixed(1)}%`;
+        this.scoreContainer.innerHTML = `
+            <div class="grid grid-cols-2 gap-2 text-sm">
+                <div class="text-gray-400">测试代码一致率</div><div class="text-right">${percent(result.accuracy)}</div>
+                <div class="text-gray-400">预览代码一致率</div><div class="text-right">${percent(result.previewAccuracy)}</div>
+                <div class="text-gray-400">当前评分</div><div class="text-right text-cyan-400">${percent(result.score)}</div>
+                <div class="text-gray-400">最高评分</div><div class="text-right text-green-400">${percent(bestScore)}</div>
+            </div>
+            <p class="text-xs text-green-400 mt-2">手动 Token 收益 x${multiplier.toFixed(2)}</p>
+        `;
+    }
+
+    /**
+     * 创建规则行HTML
+     * @param {Object} rule - 规则
+     * @param {number} index - 下标
+     * @param {number} count - 规则总数
+     * @returns {string} HTML字符串
+     * @private
+     */
+    createRuleHTML(rule, index, count) {
+        const options = WORKSHOP_CONFIG.tokenTypes.map(type => `
+            <option value="${type}" ${type === rule.type ? 'selected' : ''}>${type}</option>
+        `).join('');
+
+        return `
+            <div class="flex items-center gap-2 bg-gray-900 border border-gray-600 rounded p-2" data-rule-id="${rule.id}">
+                <span class="text-xs text-gray-500 w-5">${index + 1}</span>
+                <select class="p-1 bg-gray-800 border border-gray-600 rounded text-gray-300 text-xs"
+                        onchange="game.updateWorkshopRule(${rule.id}, 'type', this.value)">${options}</select>
+                <input type="text" spellcheck="false" value="${escapeHTML(rule.pattern)}" placeholder="正则表达式"
+                       class="flex-1 p-1 bg-gray-800 border border-gray-600 rounded text-gray-300 font-mono text-xs"
+                       oninput="game.updateWorkshopRule(${rule.id}, 'pattern', this.value)">
+                <button class="btn text-xs px-2 py-1" ${index === 0 ? 'disabled' : ''}
+                        onclick="game.moveWorkshopRule(${rule.id}, -1)">↑</button>
+                <button class="btn text-xs px-2 py-1" ${index === count - 1 ? 'disabled' : ''}
+                        onclick="game.moveWorkshopRule(${rule.id}, 1)">↓</button>
+                <button class="btn text-xs px-2 py-1" onclick="game.removeWorkshopRule(${rule.id})">✕</button>
+            </div>
+        `;
+    }
+}
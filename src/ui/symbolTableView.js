@@ -0,0 +1,131 @@
+// src/ui/symbolTableView.js
+// 符号表视图 - 按作用域嵌套显示语义分析得到的符号、推断的类型及其引用次数
+
+import { escapeHTML } from '../utils/formatters.js';
+import { typeToString } from '../modules/typeChecker.js';
+
+const EMPTY_MESSAGE = '执行一次 JavaScript 语法分析后，这里会显示作用域和符号表';
+
+// 作用域种类的中文名称
+const SCOPE_LABELS = {
+    global: '全局',
+    function: '函数',
+    block: '块',
+    catch: 'catch',
+    class: '类'
+};
+
+// 符号种类的中文名称
+const SYMBOL_KIND_LABELS = {
+    var: 'var',
+    let: 'let',
+    const: 'const',
+    class: 'class',
+    function: 'function',
+    param: '参数',
+    catch: 'catch 参数',
+    enum: 'enum',
+    import: 'import'
+};
+
+/**
+ * 符号表视图类
+ * 点击符号时通过回调选中它在源码中的声明
+ */
+export class SymbolTableView {
+    /**
+     * @param {string} containerId - 容器元素 id
+     * @param {Function} onSelect - 点击符号时调用，参数为声明处的 Identifier 节点
+     */
+    constructor(containerId, onSelect) {
+        this.containerId = containerId;
+        this.container = document.getElementById(containerId);
+        this.symbols = [];
+        this.bindingTypes = new Map();
+
+        if (!this.container) {
+            console.warn(`符号表容器未找到: ${containerId}`);
+            return;
+        }
+
+        this.container.addEventListener('click', (event) => {
+            const item = event.target.closest('[data-symbol]');
+            if (item && onSelect) onSelect(this.symbols[Number(item.dataset.symbol)].node);
+        });
+
+        this.showMessage(EMPTY_MESSAGE);
+    }
+
+    /**
+     * 显示提示信息
+     * @param {string} message - 信息
+     */
+    showMessage(message) {
+        if (!this.container) return;
+
+        this.symbols = [];
+        this.container.innerHTML = `<p class="text-xs text-gray-400">${escapeHTML(message)}</p>`;
+    }
+
+    /**
+     * 显示一次语义分析的结果
+     * @param {Object} result - SemanticAnalyzer.analyze() 的返回值
+     * @param {Map} bindingTypes - TypeChecker.check() 得到的 声明处 Identifier 节点 → 类型
+     */
+    render(result, bindingTypes = new Map()) {
+        if (!this.container) return;
+
+        this.symbols = result.symbols;
+        this.bindingTypes = bindingTypes;
+        const { stats } = result;
+        const unresolved = stats.references - stats.resolved;
+
+        this.container.innerHTML = `
+            <p class="text-xs text-gray-400 mb-2">
+                ${stats.scopes} 个作用域 · ${stats.symbols} 个符号 · ${stats.resolved}/${stats.references} 个引用已解析
+                ${unresolved > 0 ? `<span class="text-red-400">（${unresolved} 个未解析）</span>` : ''}
+            </p>
+            <div class="symbol-table text-xs">${this.renderScope(result.globalScope)}</div>
+        `;
+    }
+
+    /**
+     * 生成一个作用域及其子作用域的 HTML，没有符号的作用域直接展开其子作用域
+     * @param {Scope} scope - 作用域
+     * @returns {string} HTML字符串
+     * @private
+     */
+    renderScope(scope) {
+        const children = scope.children.map(child => this.renderScope(child)).join('');
+        if (scope.symbols.size === 0 && scope.kind !== 'global') return children;
+
+        const symbols = [...scope.symbols.values()].map(symbol => {
+            const reads = symbol.references.filter(reference => reference.read).length;
+            const writes = symbol.references.filter(reference => reference.write).length;
+            const type = this.bindingTypes.get(symbol.node);
+            return `
+                <li data-symbol="${this.symbols.indexOf(symbol)}" class="symbol-table-entry" title="点击选中声明">
+                    <span class="text-cyan-400">${escapeHTML(symbol.name)}</span>
+                    ${type ? `<span class="text-purple-400">: ${escapeHTML(typeToString(type))}</span>` : ''}
+                    <span class="text-gray-500">${symbol.exported ? 'export ' : ''}${SYMBOL_KIND_LABELS[symbol.kind]} · 第${symbol.node.loc.start.line}行</span>
+                    <span class="${reads === 0 ? 'text-yellow-400' : 'text-gray-400'}">读 ${reads} / 写 ${writes}</span>
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <div class="symbol-table-scope">
+                <p class="text-gray-300">${SCOPE_LABELS[scope.kind]}作用域 <span class="text-gray-500">第${scope.node.loc.start.line}行</span></p>
+                <ul>${symbols}</ul>
+                ${children}
+            </div>
+        `;
+    }
+
+    /**
+     * 重置视图
+     */
+    reset() {
+        this.showMessage(EMPTY_MESSAGE);
+    }
+}
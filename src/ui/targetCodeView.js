@@ -0,0 +1,104 @@
+// src/ui/targetCodeView.js
+// 目标代码视图 - 显示代码生成器为编辑器中的程序生成的字节码、SSA IR、JavaScript 或 WebAssembly
+
+import { escapeHTML } from '../utils/formatters.js';
+
+const EMPTY_MESSAGE = '点击"编译"用当前模板编译编辑器中的 JavaScript 代码，生成的目标代码会显示在这里';
+
+/**
+ * 目标代码视图类
+ * 点击编译错误时通过回调选中出错的源码
+ */
+export class TargetCodeView {
+    /**
+     * @param {string} containerId - 容器元素 id
+     * @param {Function} onSelectError - 点击编译错误时调用，参数为 CompileError
+     */
+    constructor(containerId, onSelectError) {
+        this.containerId = containerId;
+        this.container = document.getElementById(containerId);
+        this.error = null;
+
+        if (!this.container) {
+            console.warn(`目标代码容器未找到: ${containerId}`);
+            return;
+        }
+
+        this.container.addEventListener('click', (event) => {
+            if (event.target.closest('.target-code-error') && this.error && onSelectError) onSelectError(this.error);
+        });
+
+        this.showMessage(EMPTY_MESSAGE);
+    }
+
+    /**
+     * 显示提示信息
+     * @param {string} message - 信息
+     */
+    showMessage(message) {
+        if (!this.container) return;
+
+        this.error = null;
+        this.container.innerHTML = `<p class="text-xs text-gray-400">${escapeHTML(message)}</p>`;
+    }
+
+    /**
+     * 显示编译错误
+     * @param {CompileError} error - 编译错误
+     */
+    showError(error) {
+        if (!this.container) return;
+
+        this.error = error;
+        this.container.innerHTML = `
+            <p class="target-code-error text-sm text-red-400" title="点击选中出错位置">✖ ${escapeHTML(error.message)}</p>
+            <p class="text-xs text-gray-500 mt-1">代码生成支持顶层函数、变量、循环、条件和算术运算，以及 console.log</p>
+        `;
+    }
+
+    /**
+     * 显示一次编译的结果
+     * @param {Object} compilation - CodeGenerator.compile() 的返回值
+     * @param {Object} template - 模板信息
+     */
+    render(compilation, template) {
+        if (!this.container) return;
+
+        this.error = null;
+        const density = compilation.nodeCount > 0 ? compilation.instructionCount / compilation.nodeCount : 0;
+        // 字节码不经过 IR 优化遍
+        const passes = compilation.template !== 'basic' && compilation.optimization
+            ? compilation.optimization.passes.filter(pass => !pass.lowering).length
+            : 0;
+        const rewrites = compilation.peephole ? compilation.peephole.rewrites.length : 0;
+        this.container.innerHTML = `
+            <p class="text-xs text-gray-400 mb-2">
+                ${escapeHTML(template.name)} → ${escapeHTML(template.target)} ·
+                ${compilation.nodeCount} 个 AST 节点生成 ${compilation.instructionCount} 条指令
+                <span class="text-cyan-400">（每节点 ${density.toFixed(2)} 条）</span>
+                ${passes > 0 ? `· 清单经过 ${passes} 个优化遍` : ''}
+                ${rewrites > 0 ? `· 清单经过 ${rewrites} 次窥孔改写（${compilation.peephole.instructionsAfter} 条指令）` : ''}
+            </p>
+            ${compilation.template === 'wasm' ? this.renderSections(compilation.output) : ''}
+            <pre class="target-code">${escapeHTML(compilation.listing)}</pre>
+        `;
+    }
+
+    /**
+     * WebAssembly 模块的大小和各段大小
+     * @private
+     */
+    renderSections(compiled) {
+        const sections = compiled.sections
+            .map(section => `${escapeHTML(section.name)} <span class="text-gray-500">${section.size}B</span>`)
+            .join(' · ');
+        return `<p class="text-xs text-gray-400 mb-2"><span class="text-cyan-400">.wasm ${compiled.bytes.length} 字节</span> · ${sections}</p>`;
+    }
+
+    /**
+     * 重置视图
+     */
+    reset() {
+        this.showMessage(EMPTY_MESSAGE);
+    }
+}
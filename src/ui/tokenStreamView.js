@@ -0,0 +1,130 @@
+// src/ui/tokenStreamView.js
+// 令牌流显示组件
+
+// 缩进令牌的值是空白或空串，令牌流中用符号显示
+const LAYOUT_TOKEN_LABELS = { NEWLINE: '⏎', INDENT: '→', DEDENT: '←' };
+
+/**
+ * 令牌流视图 - 显示令牌并在增量词法分析后只替换变化的部分
+ */
+export class TokenStreamView {
+    constructor(containerId) {
+        this.containerId = containerId;
+        this.container = document.getElementById(containerId);
+        this.tokens = [];
+        this.elements = [];
+
+        if (!this.container) {
+            console.warn(`令牌流容器未找到: ${containerId}`);
+            return;
+        }
+
+        // 提示信息在悬停时按令牌的当前位置生成，复用的令牌平移后无需更新 DOM
+        this.container.addEventListener('mouseover', (event) => {
+            const index = this.elements.indexOf(event.target);
+            if (index >= 0) {
+                const token = this.tokens[index];
+                event.target.title = `${token.type} at line ${token.line}, column ${token.column}`;
+            }
+        });
+    }
+
+    /**
+     * 重新渲染全部令牌
+     * @param {Array} tokens - 令牌数组
+     * @param {boolean} animate - 是否逐个显示
+     */
+    render(tokens, animate = false) {
+        if (!this.container) return;
+
+        this.container.innerHTML = '';
+        this.tokens = tokens;
+        this.elements = tokens.map(token => this.createTokenElement(token));
+
+        const fragment = document.createDocumentFragment();
+        this.elements.forEach((element, index) => {
+            fragment.appendChild(element);
+
+            // 添加延迟动画
+            if (animate) {
+                setTimeout(() => {
+                    element.style.opacity = '1';
+                    element.style.transform = 'translateY(0)';
+                }, index * 50);
+            }
+        });
+        this.container.appendChild(fragment);
+    }
+
+    /**
+     * 应用一次增量词法分析的结果
+     * @param {Object} result - IncrementalLexer.update() 的返回值
+     */
+    update(result) {
+        if (!this.container) return;
+
+        this.clearSummary();
+
+        // 视图显示的必须正是这次变更之前的令牌，否则整体重绘
+        const change = result.change;
+        if (!change || this.elements.length === 0 ||
+            this.elements.length !== result.tokens.length - change.inserted + change.removed) {
+            this.render(result.tokens);
+            return;
+        }
+
+        const { start, removed, inserted } = change;
+        const newElements = result.tokens.slice(start, start + inserted).map(token => this.createTokenElement(token));
+        const oldElements = this.elements.splice(start, removed, ...newElements);
+        oldElements.forEach(element => element.remove());
+
+        const next = this.elements[start + inserted] || null;
+        const fragment = document.createDocumentFragment();
+        newElements.forEach(element => fragment.appendChild(element));
+        this.container.insertBefore(fragment, next);
+
+        this.tokens = result.tokens;
+    }
+
+    /**
+     * 在令牌之后显示一条摘要（语法分析结果等），下次更新时移除
+     * @param {HTMLElement} element - 摘要元素
+     */
+    appendSummary(element) {
+        if (!this.container) return;
+        element.classList.add('token-stream-summary');
+        this.container.appendChild(element);
+    }
+
+    /**
+     * 移除所有摘要
+     */
+    clearSummary() {
+        if (!this.container) return;
+        this.container.querySelectorAll('.token-stream-summary').forEach(element => element.remove());
+    }
+
+    /**
+     * 显示提示信息（没有令牌时）
+     * @param {string} message - 提示文字
+     */
+    showMessage(message) {
+        if (!this.container) return;
+        this.tokens = [];
+        this.elements = [];
+        this.container.innerHTML = `<p class="text-gray-400">${message}</p>`;
+    }
+
+    /**
+     * 创建令牌元素
+     * @param {Object} token - 令牌
+     * @returns {HTMLElement} span 元素
+     * @private
+     */
+    createTokenElement(token) {
+        const element = document.createElement('span');
+        element.className = `token token-${token.type}`;
+        element.textContent = LAYOUT_TOKEN_LABELS[token.type] || token.value;
+        return element;
+    }
+}
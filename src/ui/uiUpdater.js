@@ -2,7 +2,7 @@
 // UI更新器 - 负责更新所有界面元素
 
 import { formatNumber, formatTime, formatPercentage } from '../utils/formatters.js';
-import { UPGRADE_DATA, STAGE3_UPGRADES } from '../utils/constants.js';
+import { UPGRADE_DATA, STAGE3_UPGRADES, LANGUAGE_DATA } from '../utils/constants.js';
 
 /**
  * UI更新器类 - 负责更新所有界面显示
@@ -11,6 +11,7 @@ export class UIUpdater {
     constructor() {
         this.lastUpdateTime = 0;
         this.updateInterval = 100; // 100ms 更新一次
+        this.languageSignature = null;
     }
 
     /**
@@ -27,6 +28,7 @@ export class UIUpdater {
         this.updateStats(gameState);
         this.updateUpgrades(gameState);
         this.updatePrestige(gameState);
+        this.updateLanguages(gameState);
         this.updateStage3(gameState);
     }
 
@@ -53,6 +55,13 @@ export class UIUpdater {
                 rate: production.astNodes.gt(0) ? `+${formatNumber(production.astNodes)}/s` : null,
                 icon: '🌳'
             },
+            {
+                label: '语义节点',
+                value: formatNumber(gameState.resources.semanticNodes),
+                rate: production.semanticNodes.gt(0) ? `+${formatNumber(production.semanticNodes)}/s` : null,
+                icon: '🔍',
+                hidden: gameState.resources.semanticNodes.eq(0) && !gameState.upgrades['auto-analyzer-1']
+            },
             {
                 label: '生成代码',
                 value: formatNumber(gameState.resources.generatedCode),
@@ -67,6 +76,13 @@ export class UIUpdater {
                 icon: '🚀',
                 hidden: !gameState.stage3.unlocked
             },
+            {
+                label: '可执行文件',
+                value: formatNumber(gameState.resources.linkedExecutables),
+                rate: production.linkedExecutables.gt(0) ? `+${formatNumber(production.linkedExecutables)}/s` : null,
+                icon: '📦',
+                hidden: gameState.resources.linkedExecutables.eq(0) && !gameState.linker.lastLink
+            },
             {
                 label: '编译器点数',
                 value: formatNumber(gameState.resources.compilerPoints),
@@ -155,6 +171,8 @@ export class UIUpdater {
             output = `${formatNumber(upgradeData.baseOutput.mul(level))}/s`;
         } else if (upgradeData.type === 'converter') {
             output = `转换率: ${formatNumber(upgradeData.baseOutput.mul(level))}`;
+        } else if (upgradeData.type === 'macro') {
+            output = `展开 Token 计入: ${formatNumber(Decimal.min(1, upgradeData.baseOutput.mul(level)).mul(100))}%`;
         }
 
         return {
@@ -290,17 +308,44 @@ export class UIUpdater {
 
         const generatorInfo = gameState.codeGenerator.getCurrentTemplateInfo();
         const stats = gameState.codeGenerator.getStats();
+        const density = gameState.codeGenerator.getInstructionDensity();
+        const measured = gameState.codeGenerator.lastCompilation !== null;
+        const templates = gameState.codeGenerator.getAvailableTemplates();
 
         container.innerHTML = `
             <div class="text-center">
                 <h3 class="text-lg font-bold mb-2">代码生成器</h3>
-                <p class="text-sm text-gray-400">当前模板: ${generatorInfo.name}</p>
+                <p class="text-sm text-gray-400">当前模板: ${generatorInfo.name}（${generatorInfo.target}）</p>
                 <p class="text-sm text-cyan-400">效率: ${formatPercentage(generatorInfo.efficiency)}</p>
+                <p class="text-sm ${measured ? 'text-cyan-400' : 'text-yellow-400'}">
+                    每节点指令: ${density.toFixed(2)}${measured ? '' : '（默认值，编译程序后按实测计算）'}
+                </p>
                 <p class="text-sm text-green-400">已生成: ${formatNumber(stats.totalGenerated)}</p>
+                <div class="flex justify-center gap-1 mt-2">
+                    ${templates.map(template => this.createCodeTemplateButtonHTML(template)).join('')}
+                </div>
             </div>
         `;
     }
 
+    /**
+     * 创建代码生成模板按钮HTML
+     * @param {Object} template - 模板数据
+     * @returns {string} HTML字符串
+     * @private
+     */
+    createCodeTemplateButtonHTML(template) {
+        const buttonClass = template.isCurrent ? 'btn-mini btn-primary' : 'btn-mini';
+        const disabledAttr = template.isUnlocked && !template.isCurrent ? '' : 'disabled';
+        const title = template.isUnlocked ? template.description : `累计生成 ${formatNumber(template.unlockThreshold)} 代码后解锁`;
+
+        return `
+            <button class="${buttonClass}" ${disabledAttr} title="${title}" onclick="game.selectCodeTemplate('${template.id}')">
+                ${template.isUnlocked ? '' : '🔒 '}${template.id}
+            </button>
+        `;
+    }
+
     /**
      * 更新优化面板
      * @param {Object} gameState - 游戏状态
@@ -365,6 +410,7 @@ export class UIUpdater {
 
         const platforms = gameState.performanceAnalyzer.getAvailablePlatforms();
         const rating = gameState.performanceAnalyzer.getPerformanceRating();
+        const { detailedMetrics, typeSafetyBonus } = gameState.performanceAnalyzer;
 
         container.innerHTML = `
             <div>
@@ -374,6 +420,11 @@ export class UIUpdater {
                         ${rating.rating}
                     </div>
                     <p class="text-sm text-gray-400">${rating.description}</p>
+                    <p class="text-xs text-cyan-400 mt-1">累计性能分数 ${formatNumber(gameState.stage3.performanceScore)}</p>
+                    <p class="text-xs text-gray-400 mt-1">
+                        可靠性 ${detailedMetrics.reliability.toFixed(2)}
+                        ${typeSafetyBonus.gt(0) ? `<span class="text-green-400">（类型安全 +${typeSafetyBonus.toFixed(2)}）</span>` : ''}
+                    </p>
                 </div>
                 <div class="space-y-2">
                     ${platforms.map(platform => this.createPlatformHTML(platform)).join('')}
@@ -405,6 +456,70 @@ export class UIUpdater {
         `;
     }
 
+    /**
+     * 更新词法分析语言选择和解锁列表
+     * 下拉框只在解锁状态变化时重建，避免打断玩家的选择
+     * @param {Object} gameState - 游戏状态
+     */
+    updateLanguages(gameState) {
+        const select = document.getElementById('lexer-language');
+        const unlocks = document.getElementById('language-unlocks');
+        if (!select || !unlocks) return;
+
+        const { unlocked, current } = gameState.languages;
+        const locked = Object.keys(LANGUAGE_DATA).filter(key => !unlocked.includes(key));
+        const signature = [
+            unlocked.join(','),
+            current,
+            locked.map(key => gameState.canUnlockLanguage(key)).join(',')
+        ].join('|');
+
+        if (signature === this.languageSignature) return;
+        this.languageSignature = signature;
+
+        select.innerHTML = unlocked.map(key => `
+            <option value="${key}" ${key === current ? 'selected' : ''}>${LANGUAGE_DATA[key].name}</option>
+        `).join('');
+
+        const multiplier = document.getElementById('lexer-language-multiplier');
+        if (multiplier) {
+            multiplier.textContent = `${gameState.getLanguageMultiplier()}x Token 倍率`;
+        }
+
+        unlocks.innerHTML = locked.map(key => this.createLanguageUnlockHTML(key, gameState)).join('');
+    }
+
+    /**
+     * 创建语言解锁HTML
+     * @param {string} languageId - 语言 id
+     * @param {Object} gameState - 游戏状态
+     * @returns {string} HTML字符串
+     * @private
+     */
+    createLanguageUnlockHTML(languageId, gameState) {
+        const language = LANGUAGE_DATA[languageId];
+        const canAfford = gameState.canUnlockLanguage(languageId);
+
+        return `
+            <div class="hacker-box p-3">
+                <div class="flex justify-between items-center">
+                    <div>
+                        <h4 class="font-semibold text-sm">${language.name}</h4>
+                        <p class="text-xs text-gray-400">${language.description}</p>
+                        <span class="text-xs text-green-400">${language.tokenMultiplier}x Token 倍率</span>
+                    </div>
+                    <button 
+                        class="${canAfford ? 'btn-mini btn-primary' : 'btn-mini'}" 
+                        ${canAfford ? '' : 'disabled'}
+                        onclick="game.unlockLanguage('${languageId}')"
+                    >
+                        ${formatNumber(language.baseCost)} Tokens
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
     /**
      * 显示威望弹窗
      * @param {Object} summary - 威望总结数据
@@ -0,0 +1,172 @@
+// src/ui/vmProfileView.js
+// 虚拟机剖析视图 - 显示字节码虚拟机的输出、周期统计、热点循环和按执行次数着色的字节码，以及 WebAssembly 模块的运行结果
+
+import { escapeHTML, formatNumber } from '../utils/formatters.js';
+import { formatInstruction } from '../modules/bytecodeCompiler.js';
+
+const EMPTY_MESSAGE = '点击"部署运行"把编辑器中的程序编译为字节码并在虚拟机中执行，这里会显示每条指令的执行次数和周期' +
+    '（WebAssembly 模板下编译为 .wasm 模块在浏览器中原生执行）';
+
+// 输出区最多显示的行数
+const OUTPUT_PREVIEW_LINES = 20;
+
+/**
+ * 虚拟机剖析视图类
+ */
+export class VMProfileView {
+    /**
+     * @param {string} containerId - 容器元素 id
+     */
+    constructor(containerId) {
+        this.containerId = containerId;
+        this.container = document.getElementById(containerId);
+
+        if (!this.container) {
+            console.warn(`虚拟机剖析容器未找到: ${containerId}`);
+            return;
+        }
+
+        this.showMessage(EMPTY_MESSAGE);
+    }
+
+    /**
+     * 显示提示信息
+     * @param {string} message - 信息
+     */
+    showMessage(message) {
+        if (!this.container) return;
+
+        this.container.innerHTML = `<p class="text-xs text-gray-400">${escapeHTML(message)}</p>`;
+    }
+
+    /**
+     * 显示一次运行的结果
+     * @param {Object} result - BytecodeVM.run() 的返回值
+     * @param {Object} program - 被执行的字节码
+     * @param {HTMLElement|null} summary - 附加在末尾的部署说明
+     */
+    render(result, program, summary = null) {
+        if (!this.container) return;
+
+        const { profile } = result;
+        const output = result.output.slice(-OUTPUT_PREVIEW_LINES)
+            .map(line => `<div class="console-line text-gray-300">${escapeHTML(line)}</div>`).join('');
+
+        this.container.innerHTML = `
+            <p class="text-xs text-gray-400 mb-2">
+                ${formatNumber(profile.instructions)} 条指令 · ${formatNumber(profile.cycles)} 个周期 ·
+                <span class="text-cyan-400">IPC ${profile.ipc.toFixed(3)}</span> · ${result.milliseconds}ms
+            </p>
+            ${output ? `<div class="run-console bg-gray-800 rounded p-2 mb-2 text-sm font-mono">${output}</div>` : ''}
+            ${result.error ? `<p class="text-sm text-red-400 mb-2">✖ ${escapeHTML(result.error.message)}</p>` : ''}
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-3 text-xs">
+                <div>${this.renderOpcodes(profile)}</div>
+                <div>${this.renderFunctions(profile)}${this.renderLoops(profile)}</div>
+            </div>
+            <pre class="target-code mt-2">${this.renderListing(program, profile)}</pre>
+        `;
+        if (summary) this.container.appendChild(summary);
+    }
+
+    /**
+     * 显示 WebAssembly 模块的运行结果
+     * @param {Object} run - runWasm() 的返回值
+     * @param {HTMLElement|null} summary - 附加在末尾的部署说明
+     */
+    renderWasm(run, summary = null) {
+        if (!this.container) return;
+
+        const speed = run.milliseconds > 0 ? run.instructions / run.milliseconds : 0;
+        const output = run.output.slice(-OUTPUT_PREVIEW_LINES)
+            .map(line => `<div class="console-line text-gray-300">${escapeHTML(line)}</div>`).join('');
+
+        this.container.innerHTML = `
+            <p class="text-xs text-gray-400 mb-2">
+                WebAssembly · ${formatNumber(run.instructions)} 条指令 · ${run.milliseconds.toFixed(2)}ms ·
+                <span class="text-cyan-400">${formatNumber(Math.round(speed))} 条/毫秒</span> · 模块 ${run.bytes} 字节
+            </p>
+            ${output ? `<div class="run-console bg-gray-800 rounded p-2 mb-2 text-sm font-mono">${output}</div>` : ''}
+            ${run.error ? `<p class="text-sm text-red-400 mb-2">✖ ${escapeHTML(run.error.message)}</p>` : ''}
+        `;
+        if (summary) this.container.appendChild(summary);
+    }
+
+    /**
+     * 每种指令的执行次数和周期，按周期从多到少
+     * @private
+     */
+    renderOpcodes(profile) {
+        const rows = Object.entries(profile.opcodes)
+            .sort(([, a], [, b]) => b.cycles - a.cycles)
+            .map(([op, { count, cycles }]) => {
+                const share = profile.cycles > 0 ? cycles / profile.cycles : 0;
+                return `
+                    <tr>
+                        <td class="text-cyan-400 pr-2">${op}</td>
+                        <td class="text-right pr-2">${formatNumber(count)}</td>
+                        <td class="text-right pr-2">${formatNumber(cycles)}</td>
+                        <td class="w-full"><div class="vm-heat-bar" style="width: ${(share * 100).toFixed(1)}%"></div></td>
+                    </tr>
+                `;
+            }).join('');
+
+        return `
+            <p class="text-gray-300 mb-1">指令周期</p>
+            <table class="w-full text-gray-400">
+                <tr class="text-gray-500"><th class="text-left">指令</th><th class="text-right pr-2">次数</th><th class="text-right pr-2">周期</th><th></th></tr>
+                ${rows}
+            </table>
+        `;
+    }
+
+    /**
+     * 每个函数的调用次数和自身周期
+     * @private
+     */
+    renderFunctions(profile) {
+        const items = profile.functions.filter(fn => fn.calls > 0).map(fn => `
+            <li><span class="text-cyan-400">${escapeHTML(fn.name)}</span>
+                <span class="text-gray-500">调用 ${formatNumber(fn.calls)} 次 · ${formatNumber(fn.cycles)} 周期</span></li>
+        `).join('');
+        return `<p class="text-gray-300 mb-1">函数</p><ul class="mb-2">${items}</ul>`;
+    }
+
+    /**
+     * 热点循环
+     * @private
+     */
+    renderLoops(profile) {
+        if (profile.loops.length === 0) return '';
+        const items = profile.loops.map(loop => `
+            <li><span class="text-yellow-400">${escapeHTML(loop.function)} 第${loop.line}行</span>
+                <span class="text-gray-500">迭代 ${formatNumber(loop.iterations)} 次 · ${formatNumber(loop.cycles)} 周期
+                （${(loop.cycles / profile.cycles * 100).toFixed(1)}%）</span></li>
+        `).join('');
+        return `<p class="text-gray-300 mb-1">热点循环</p><ul>${items}</ul>`;
+    }
+
+    /**
+     * 字节码清单，执行次数越多颜色越亮，没有执行过的指令变暗
+     * @private
+     */
+    renderListing(program, profile) {
+        const maximum = Math.max(1, ...profile.counts.flat());
+        return program.functions.map((fn, fnIndex) => {
+            const lines = fn.code.map((instruction, pc) => {
+                const count = profile.counts[fnIndex][pc];
+                const heat = count === 0 ? 'text-gray-600' : count / maximum > 0.5 ? 'text-red-400'
+                    : count / maximum > 0.1 ? 'text-yellow-400' : 'text-gray-300';
+                const text = `${String(pc).padStart(4, '0')}  ${formatInstruction(program, fn, instruction).padEnd(28)}`;
+                return `<span class="${heat}">${escapeHTML(text)}${count > 0 ? ` ×${count}` : ''}</span>`;
+            });
+            return `<span class="text-gray-400">${escapeHTML(fn.name)}:</span>\n${lines.join('\n')}`;
+        }).join('\n\n');
+    }
+
+    /**
+     * 重置视图
+     */
+    reset() {
+        this.showMessage(EMPTY_MESSAGE);
+    }
+}
@@ -0,0 +1,81 @@
+// src/ui/workspaceView.js
+// 工作区视图 - 编辑器上方的文件标签，切换、新建和删除工作区中的文件
+
+import { escapeHTML } from '../utils/formatters.js';
+
+/**
+ * 工作区视图类
+ */
+export class WorkspaceView {
+    /**
+     * @param {string} containerId - 容器元素 id
+     * @param {Object} callbacks - { onSelect(name), onCreate(name) => { ok, error }, onRemove(name) }
+     */
+    constructor(containerId, callbacks) {
+        this.containerId = containerId;
+        this.container = document.getElementById(containerId);
+        this.callbacks = callbacks;
+
+        if (!this.container) {
+            console.warn(`工作区容器未找到: ${containerId}`);
+            return;
+        }
+
+        this.container.innerHTML = `
+            <div data-role="tabs" class="flex flex-wrap items-center gap-1 mb-1"></div>
+            <div class="flex items-center gap-2 mb-2">
+                <input data-role="name" type="text" spellcheck="false" placeholder="新文件名，如 math.js"
+                       class="p-1 bg-gray-900 border border-gray-600 rounded text-gray-300 font-mono text-xs">
+                <button class="btn text-xs" data-action="create">＋ 新建文件</button>
+                <span data-role="status" class="text-xs text-red-400"></span>
+            </div>
+        `;
+        this.tabs = this.container.querySelector('[data-role="tabs"]');
+        this.nameInput = this.container.querySelector('[data-role="name"]');
+        this.status = this.container.querySelector('[data-role="status"]');
+
+        this.tabs.addEventListener('click', (event) => {
+            const remove = event.target.closest('[data-remove]');
+            if (remove) {
+                this.callbacks.onRemove(remove.dataset.remove);
+                return;
+            }
+            const tab = event.target.closest('[data-file]');
+            if (tab) this.callbacks.onSelect(tab.dataset.file);
+        });
+        this.container.querySelector('[data-action="create"]').addEventListener('click', () => this.create());
+        this.nameInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') this.create();
+        });
+    }
+
+    /**
+     * 显示文件标签
+     * @param {Workspace} workspace - 工作区
+     */
+    render(workspace) {
+        if (!this.container) return;
+
+        const removable = workspace.files.length > 1;
+        this.tabs.innerHTML = workspace.files.map(file => {
+            const active = file.name === workspace.active;
+            return `
+                <span class="inline-flex items-center rounded text-xs font-mono ${active ? 'bg-gray-700 text-white' : 'bg-gray-900 text-gray-400'}">
+                    <button class="px-2 py-1" data-file="${escapeHTML(file.name)}" title="${active ? '当前文件（链接入口）' : '切换到此文件'}">
+                        ${escapeHTML(file.name)}
+                    </button>
+                    ${removable ? `<button class="pr-2 text-gray-500 hover:text-red-400" data-remove="${escapeHTML(file.name)}" title="删除文件">×</button>` : ''}
+                </span>
+            `;
+        }).join('');
+    }
+
+    /**
+     * @private
+     */
+    create() {
+        const result = this.callbacks.onCreate(this.nameInput.value.trim());
+        this.status.textContent = result.ok ? '' : result.error;
+        if (result.ok) this.nameInput.value = '';
+    }
+}
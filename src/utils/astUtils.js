@@ -0,0 +1,111 @@
+// src/utils/astUtils.js
+// AST 遍历工具函数
+
+// 这些键保存的是位置信息或原始文本，不是子节点
+const NON_CHILD_KEYS = new Set(['type', 'start', 'end', 'loc', 'raw']);
+
+/**
+ * 判断一个值是否为 AST 节点
+ * @param {*} value - 任意值
+ * @returns {boolean} 是否为节点
+ */
+export function isASTNode(value) {
+    return value !== null && typeof value === 'object' && typeof value.type === 'string';
+}
+
+/**
+ * 获取节点的直接子节点（按源码顺序）
+ * @param {Object} node - AST节点
+ * @returns {Array} 子节点数组
+ */
+export function getChildNodes(node) {
+    const children = [];
+    if (!isASTNode(node)) return children;
+
+    Object.keys(node).forEach(key => {
+        if (NON_CHILD_KEYS.has(key)) return;
+
+        const value = node[key];
+        if (Array.isArray(value)) {
+            value.forEach(item => {
+                if (isASTNode(item)) children.push(item);
+            });
+        } else if (isASTNode(value)) {
+            children.push(value);
+        }
+    });
+
+    return children;
+}
+
+/**
+ * 生成节点的简短取值说明（标识符名、字面量原文、运算符等）
+ * @param {Object} node - AST节点
+ * @returns {string} 说明，没有则为空串
+ */
+export function describeNodeValue(node) {
+    switch (node.type) {
+        case 'Identifier':
+            return node.name;
+        case 'PrivateIdentifier':
+            return `#${node.name}`;
+        case 'Literal':
+            return node.raw !== undefined ? node.raw : String(node.value);
+        case 'TemplateElement':
+            return node.value.raw;
+        case 'BinaryExpression':
+        case 'LogicalExpression':
+        case 'AssignmentExpression':
+        case 'UnaryExpression':
+        case 'UpdateExpression':
+            return node.operator;
+        case 'VariableDeclaration':
+            return node.kind;
+        case 'MethodDefinition':
+        case 'Property':
+            return node.kind === 'init' ? '' : node.kind;
+        default:
+            return '';
+    }
+}
+
+/**
+ * 深度优先遍历 AST
+ * @param {Object} node - 起始节点
+ * @param {Function} visitor - 访问函数 (node, parent)，返回 false 时跳过该节点的子树
+ * @param {Object|null} parent - 父节点
+ */
+export function traverseAST(node, visitor, parent = null) {
+    if (!isASTNode(node)) return;
+    if (visitor(node, parent) === false) return;
+
+    getChildNodes(node).forEach(child => traverseAST(child, visitor, node));
+}
+
+/**
+ * 统计 AST 中的节点总数
+ * @param {Object} ast - AST根节点
+ * @returns {number} 节点数量
+ */
+export function countASTNodes(ast) {
+    let count = 0;
+    traverseAST(ast, () => {
+        count++;
+    });
+    return count;
+}
+
+/**
+ * 查找包含源码位置的最深节点
+ * @param {Object} ast - AST根节点
+ * @param {number} offset - 源码偏移量
+ * @returns {Object|null} 节点，位置不在任何节点内时为 null
+ */
+export function findNodeAtOffset(ast, offset) {
+    let found = null;
+    traverseAST(ast, node => {
+        if (offset < node.start || offset > node.end) return false;
+        found = node;
+    });
+    return found;
+}
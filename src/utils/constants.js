@@ -59,6 +59,26 @@ export const UPGRADE_DATA = {
         costResource: 'tokens', 
         unlockThreshold: new Decimal(500) 
     },
+    'auto-analyzer-1': {
+        name: '语义分析器',
+        description: '消耗 AST 节点，解析作用域和名称，产生语义节点。',
+        baseCost: new Decimal(500),
+        growth: 1.20,
+        baseOutput: new Decimal(0.5),
+        type: 'converter',
+        resource: 'semanticNodes',
+        costResource: 'astNodes',
+        unlockThreshold: new Decimal(200)
+    },
+    'macro-expander': {
+        name: '宏展开器',
+        description: '手动提交的代码中，宏展开出的额外 Token 也计入收益。',
+        baseCost: new Decimal(2000),
+        growth: 1.3,
+        baseOutput: new Decimal(0.2),
+        type: 'macro',
+        unlockThreshold: new Decimal(1000)
+    },
 };
 
 export const PRESTIGE_UPGRADES = {
@@ -101,7 +121,7 @@ export const STAGE3_UPGRADES = {
         type: 'converter', 
         resource: 'generatedCode',
         costResource: 'astNodes',
-        description: "将AST节点转换为基础代码",
+        description: "将语义节点转换为基础代码",
         unlockThreshold: new Decimal(1000)
     },
     'llvmCodeGen': { 
@@ -136,7 +156,15 @@ export const OPTIMIZATION_TECHS = {
         baseCost: new Decimal(50),
         growth: 1.6,
         efficiency: 0.1,
-        description: "移除永远不会执行的代码"
+        description: "删除结果没有被使用的运算和不可达的块，高等级还会清除死 φ、绕过空块并合并基本块"
+    },
+    'constantFolding': {
+        name: "常量折叠与传播",
+        maxLevel: 6,
+        baseCost: new Decimal(80),
+        growth: 1.6,
+        efficiency: 0.08,
+        description: "在编译期计算常量表达式并传播结果，高等级还会折叠常量条件的分支"
     },
     'loopOptimization': {
         name: "循环优化", 
@@ -144,7 +172,7 @@ export const OPTIMIZATION_TECHS = {
         baseCost: new Decimal(200),
         growth: 1.8,
         efficiency: 0.15,
-        description: "循环展开和向量化优化"
+        description: "把循环不变的运算外提到循环之前，高等级还会展开最内层循环"
     },
     'functionInlining': {
         name: "函数内联",
@@ -152,7 +180,7 @@ export const OPTIMIZATION_TECHS = {
         baseCost: new Decimal(500),
         growth: 2.0,
         efficiency: 0.2,
-        description: "消除函数调用开销"
+        description: "把小函数的调用替换为函数体，等级越高能内联的函数越大"
     },
     'registerAllocation': {
         name: "寄存器分配",
@@ -160,7 +188,15 @@ export const OPTIMIZATION_TECHS = {
         baseCost: new Decimal(100),
         growth: 1.5,
         efficiency: 0.05,
-        description: "优化CPU寄存器使用"
+        description: "用线性扫描把值分配到寄存器，等级越高寄存器越多、溢出越少；在寄存器分配谜题中溢出比线性扫描更少可以额外提高优化倍率"
+    },
+    'peephole': {
+        name: "窥孔优化",
+        maxLevel: 8,
+        baseCost: new Decimal(150),
+        growth: 1.7,
+        efficiency: 0.06,
+        description: "按玩家编写的改写规则替换字节码中的短指令序列，每级多一个规则槽"
     }
 };
 
@@ -188,3 +224,170 @@ export const DEPLOYMENT_PLATFORMS = {
         requiresPrestige: 3 
     }
 };
+
+// 词法分析语言数据（语言包定义见 modules/languagePacks.js）
+export const LANGUAGE_DATA = {
+    'javascript': {
+        name: "JavaScript",
+        description: "默认语言，Token 倍率 x1。",
+        tokenMultiplier: 1,
+        unlocked: true
+    },
+    'json': {
+        name: "JSON",
+        description: "简单的数据格式，令牌密集但价值较低。",
+        tokenMultiplier: 0.5,
+        baseCost: new Decimal(200)
+    },
+    'python': {
+        name: "Python",
+        description: "缩进敏感，额外产生 INDENT/DEDENT 令牌。",
+        tokenMultiplier: 1.5,
+        baseCost: new Decimal(1500)
+    },
+    'c': {
+        name: "C",
+        description: "带预处理指令的系统语言。",
+        tokenMultiplier: 2,
+        baseCost: new Decimal(5000)
+    }
+};
+
+// 词法诊断对手动 Token 收益的惩罚：每个错误/警告扣除的比例，以及最低保留比例
+export const DIAGNOSTIC_PENALTY = {
+    error: 0.2,
+    warning: 0.05,
+    minimum: 0.2
+};
+
+// 手动语义分析奖励：每个声明的符号和每个成功解析的引用产生的语义节点
+export const SEMANTIC_REWARD = {
+    symbolWeight: 1,
+    referenceWeight: 0.5
+};
+
+// 解释器的执行上限：超过时程序以 RuntimeError 结束，保证死循环和无限递归不会卡住页面
+export const INTERPRETER_LIMITS = {
+    maxSteps: 200000,           // 执行的语句和表达式总数
+    maxCallDepth: 256,
+    maxOutputLines: 500,
+    maxAllocation: 1000000      // 字符串长度和数组元素数
+};
+
+// 运行程序的奖励：按执行步数和输出行数产生 Tokens，重复运行相同的程序收益递减（与手动词法分析相同）
+export const RUN_REWARD = {
+    stepWeight: 0.02,
+    outputWeight: 2,
+    maximumSteps: 50000         // 超过这个步数的部分不再计入奖励
+};
+
+// 类型安全加成：每个没有类型错误的新程序提升可靠性的比例（按标注比例最多翻倍），以及累计上限
+export const TYPE_SAFETY_BONUS = {
+    perProgram: 0.02,
+    maximum: 0.5
+};
+
+// 字节码虚拟机的执行上限：超过时程序以 VMError 结束
+export const VM_LIMITS = {
+    maxInstructions: 1000000,   // 执行的指令总数
+    maxCallDepth: 256,
+    maxOutputLines: 500,
+    maxStringLength: 1000000
+};
+
+// 字节码虚拟机模拟的每条指令周期数，未列出的指令为 1 个周期
+export const VM_CYCLES = {
+    opcodes: {
+        gload: 3, gstore: 3,
+        mul: 3, div: 20, rem: 20, pow: 40,
+        jmp: 2, jz: 2, jnz: 2, jnn: 2,
+        call: 12, ret: 6, print: 50
+    },
+    takenBranch: 1              // 条件跳转发生跳转时额外的周期（流水线冲刷）
+};
+
+// 部署得分：性能分数 = 交付的优化代码 × 实测每周期指令数（IPC）× ipcWeight
+export const DEPLOYMENT_SCORE = {
+    ipcWeight: 0.2,
+    minimumInstructions: 1000   // 执行的指令少于这个数的程序太短，不能作为部署基准
+};
+
+// WebAssembly 部署得分：吞吐量（每毫秒指令数）按 referenceSpeed 折算到 0~1，模块越小额外加成越多
+export const WASM_SCORE = {
+    speedWeight: 0.3,
+    referenceSpeed: 100000,     // 每毫秒执行这么多条指令时吞吐量得分为 0.5
+    minimumMilliseconds: 0.1,   // 计时精度有限，运行时间不低于这个值
+    sizeBonus: 0.5,             // 模块极小时的最大加成
+    referenceBytes: 1024        // 模块为这个大小时加成减半
+};
+
+// 手动词法分析奖励：多样性倍率范围、重复提交的递减
+export const MANUAL_REWARD = {
+    diversityTypes: 6,          // 令牌类型熵达到 6 种均匀分布时多样性满分
+    minimumDiversity: 0.5,
+    maximumDiversity: 1.5,
+    historySize: 20,            // 记住最近多少次提交的指纹
+    repetitionDecay: 0.5,       // 每次重复收益减半
+    shingleSize: 4,             // 近似重复按每 4 个相邻令牌的结构片段比较
+    signatureSize: 32,          // MinHash 签名的哈希函数个数
+    similarityThreshold: 0.6,   // 片段相似度达到这个值才算近似重复，按相似度计入重复次数
+    minimumRepetition: 0.05
+};
+
+// 寄存器分配谜题：每比线性扫描少溢出一个值，优化倍率提升的比例，以及累计上限
+export const REGISTER_PUZZLE = {
+    bonusPerSpill: 0.05,
+    maximum: 1
+};
+
+// 规则工坊：玩家可选的令牌类型、初始规则和评分奖励
+export const WORKSHOP_CONFIG = {
+    tokenTypes: ['IDENTIFIER', 'NUMBER', 'STRING', 'OPERATOR', 'DELIMITER', 'COMMENT', 'PREPROCESSOR'],
+    starterRules: [
+        { type: 'IDENTIFIER', pattern: '[A-Za-z_]\\w*' },
+        { type: 'NUMBER', pattern: '\\d+' },
+        { type: 'STRING', pattern: '"[^"]*"' },
+        { type: 'OPERATOR', pattern: '[+\\-*/%=<>!]' },
+        { type: 'DELIMITER', pattern: '[(){}\\[\\];,.]' }
+    ],
+    maxRules: 20,
+    warningPenalty: 0.1,        // 每个遮蔽或未生效警告扣除的评分
+    maxBonus: 1                 // 满分规则集使该语言的手动 Token 收益 x(1 + maxBonus)
+};
+
+// 多文件工作区：最多能创建的文件数
+export const WORKSPACE = {
+    maxFiles: 8
+};
+
+// 链接器：可执行文件 = 优化代码 × efficiency × (1 + moduleBonus × (模块数 - 1)) × (1 + 剥离的未用代码比例)
+// 部署时每个可执行文件折合 deploymentWeight 个优化代码
+export const LINKER = {
+    efficiency: 0.05,
+    moduleBonus: 0.25,
+    deploymentWeight: 20
+};
+
+// 预处理器：包含和宏展开的上限，以及宏展开器升级的倍率
+// 手动提交倍率 = 1 + (展开后 Token 数 / 展开前 Token 数 - 1) × min(1, 宏展开器等级 × baseOutput)，不超过 maxMultiplier
+export const PREPROCESSOR = {
+    maxIncludeDepth: 16,
+    maxExpansionDepth: 64,
+    maxOutputLength: 200000,
+    maxMultiplier: 5
+};
+
+// 窥孔优化：初始规则、规则语言的上限，以及验证规则时随机测试的次数
+export const PEEPHOLE = {
+    starterRules: [
+        'const $a; pop → ∅',
+        'load $x; pop → ∅',
+        'dup; pop → ∅',
+        'load $x; store $x → ∅',
+        'gstore $g; gload $g → dup; gstore $g'
+    ],
+    maxRules: 16,
+    maxPatternLength: 6,
+    maxRewrites: 10000,         // 每个函数最多改写的次数
+    verificationTrials: 300
+};
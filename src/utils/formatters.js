@@ -64,3 +64,18 @@ export function formatResource(amount, unit = '') {
     const formatted = formatNumber(amount);
     return unit ? `${formatted} ${unit}` : formatted;
 }
+
+/**
+ * 转义 HTML 特殊字符（显示玩家输入的文本时使用）
+ * @param {string} text - 原始文本
+ * @returns {string} 转义后的文本
+ */
+export function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
+}